@@ -1,18 +1,24 @@
 import React, { useState } from 'react';
+import { useMyPets } from '@fhevm-pet-dna/sdk/react';
 import { useWallet } from './hooks/useWallet';
 import WalletConnection from './components/WalletConnection';
 import PetRegistration from './components/PetRegistration';
 import MyPets from './components/MyPets';
 import MatchingService from './components/MatchingService';
+import MatchHistory from './components/MatchHistory';
 import ContractInfo from './components/ContractInfo';
+import AdminConsole from './components/AdminConsole';
 import './App.css';
 
 function App() {
   const {
     account,
     balance,
+    provider,
     contract,
-    fhevmClient,
+    petDNA,
+    enhancedPetDNA,
+    matchingTracker,
     isConnected,
     isInitializing,
     error,
@@ -20,7 +26,10 @@ function App() {
   } = useWallet();
 
   const [statusMessage, setStatusMessage] = useState(null);
-  const [pets, setPets] = useState([]);
+  // Shares its store with MyPets, so both always show the same pets
+  const { pets } = useMyPets(petDNA, account);
+  // Pets registered on EnhancedPetDNAMatching, whose requests can be refunded after a timeout
+  const { pets: enhancedPets } = useMyPets(enhancedPetDNA, account);
 
   const showStatus = (message, type = 'info') => {
     setStatusMessage({ message, type });
@@ -29,10 +38,6 @@ function App() {
     }
   };
 
-  const handlePetLoadSuccess = (loadedPets) => {
-    setPets(loadedPets);
-  };
-
   return (
     <div className="container">
       <div className="header">
@@ -52,31 +57,68 @@ function App() {
       {isConnected && (
         <>
           <PetRegistration
-            contract={contract}
-            fhevmClient={fhevmClient}
+            petDNA={petDNA}
             onSuccess={(msg) => showStatus(msg, 'success')}
             onError={(msg) => showStatus(msg, 'error')}
           />
 
           <MyPets
-            contract={contract}
+            petDNA={petDNA}
             account={account}
             onSuccess={(msg) => showStatus(msg, 'success')}
             onError={(msg) => showStatus(msg, 'error')}
           />
 
           <MatchingService
-            contract={contract}
+            petDNA={petDNA}
+            account={account}
+            pets={pets}
+            onSuccess={(msg) => showStatus(msg, 'success')}
+            onError={(msg) => showStatus(msg, 'error')}
+          />
+
+          {enhancedPetDNA && (
+            <MatchingService
+              title="💕 Matching Service (EnhancedPetDNAMatching)"
+              petDNA={enhancedPetDNA}
+              tracker={matchingTracker}
+              account={account}
+              pets={enhancedPets}
+              onSuccess={(msg) => showStatus(msg, 'success')}
+              onError={(msg) => showStatus(msg, 'error')}
+            />
+          )}
+
+          <MatchHistory
+            petDNA={petDNA}
             pets={pets}
             onSuccess={(msg) => showStatus(msg, 'success')}
             onError={(msg) => showStatus(msg, 'error')}
           />
 
+          {enhancedPetDNA && (
+            <MatchHistory
+              title="📜 Match History (EnhancedPetDNAMatching)"
+              petDNA={enhancedPetDNA}
+              pets={enhancedPets}
+              onSuccess={(msg) => showStatus(msg, 'success')}
+              onError={(msg) => showStatus(msg, 'error')}
+            />
+          )}
+
           <ContractInfo
             contract={contract}
             onSuccess={(msg) => showStatus(msg, 'success')}
             onError={(msg) => showStatus(msg, 'error')}
           />
+
+          <AdminConsole
+            petDNA={enhancedPetDNA}
+            provider={provider}
+            account={account}
+            onSuccess={(msg) => showStatus(msg, 'success')}
+            onError={(msg) => showStatus(msg, 'error')}
+          />
         </>
       )}
 
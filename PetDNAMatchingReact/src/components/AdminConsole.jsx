@@ -0,0 +1,217 @@
+import React, { useState } from 'react';
+import { ethers } from 'ethers';
+import { useAdminConsole } from '../hooks/useAdminConsole';
+import { checkDestination, checkTimeout, describeAdminEvent, formatDuration } from '../utils/admin';
+
+const Stat = ({ label, value }) => (
+  <div className="admin-stat">
+    <span>{label}</span>
+    <strong>{value}</strong>
+  </div>
+);
+
+/**
+ * Owner-only operations of EnhancedPetDNAMatching; renders nothing for other accounts
+ */
+const AdminConsole = ({ petDNA, provider, account, onSuccess, onError }) => {
+  const { isOwner, stats, balance, timeoutRange, events, isLoading, error, refresh, send } =
+    useAdminConsole(petDNA, provider, account);
+  const [destination, setDestination] = useState('');
+  const [timeoutMinutes, setTimeoutMinutes] = useState('');
+  const [newOwner, setNewOwner] = useState('');
+  const [pending, setPending] = useState(null);
+
+  if (!isOwner) return null;
+
+  const run = async (action, transaction, successMessage) => {
+    try {
+      setPending(action);
+      onSuccess && onSuccess('Waiting for confirmation...');
+      await send(transaction());
+      onSuccess && onSuccess(successMessage);
+    } catch (err) {
+      console.error(`Admin action ${action} failed:`, err);
+      onError && onError(err.reason || err.message);
+    } finally {
+      setPending(null);
+    }
+  };
+
+  // Reject addresses the contract or the funds would not survive; confirm the rest
+  const confirmDestination = async (address, question) => {
+    let check;
+    try {
+      check = await checkDestination(provider, address, { contractAddress: petDNA.address, account });
+    } catch (err) {
+      console.error('Destination check failed:', err);
+      onError && onError(`Could not check ${address}: ${err.reason || err.message}`);
+      return null;
+    }
+    if (check.error) {
+      onError && onError(check.error);
+      return null;
+    }
+    const notes = check.warnings.map(warning => `⚠️ ${warning}\n`).join('');
+    return window.confirm(`${notes}${question}`) ? check.destination : null;
+  };
+
+  const withdrawFees = async () => {
+    const amount = ethers.utils.formatEther(stats.accumulatedFees);
+    const to = await confirmDestination(destination || account, `Withdraw ${amount} ETH of platform fees?`);
+    if (!to) return;
+    await run('withdraw', () => petDNA.withdrawPlatformFees(to), `Withdrew ${amount} ETH to ${to}`);
+  };
+
+  const updateTimeout = async () => {
+    const problem = checkTimeout(timeoutMinutes, timeoutRange);
+    if (problem) {
+      onError && onError(problem);
+      return;
+    }
+    const seconds = Number(timeoutMinutes) * 60;
+    await run(
+      'timeout',
+      () => petDNA.setCallbackTimeout(seconds),
+      `Callback timeout set to ${formatDuration(seconds)}; it applies to new requests`
+    );
+    setTimeoutMinutes('');
+  };
+
+  const togglePause = async () => {
+    const question = stats.isPaused
+      ? 'Resume registrations and matching requests?'
+      : 'Pause the contract? New registrations and matching requests are rejected until it is resumed. ' +
+        'Pending requests can still complete or be refunded.';
+    if (!window.confirm(question)) return;
+    await run('pause', () => petDNA.togglePause(), stats.isPaused ? 'Contract resumed' : 'Contract paused');
+  };
+
+  const transferOwnership = async () => {
+    const to = await confirmDestination(
+      newOwner,
+      'Transfer ownership? You lose access to this console and only the new owner can transfer it back.'
+    );
+    if (!to) return;
+    await run('transfer', () => petDNA.transferOwnership(to), `Ownership transferred to ${to}`);
+  };
+
+  const heldForRequests = stats && balance ? balance.sub(stats.accumulatedFees) : null;
+
+  return (
+    <div className="card">
+      <h2>🛠️ Admin Console</h2>
+      <p style={{ marginBottom: '15px' }}>
+        EnhancedPetDNAMatching at <code>{petDNA.address}</code>, visible to the contract owner only
+      </p>
+
+      {error && <div className="status error">Failed to load the admin console: {error.message}</div>}
+
+      {stats && (
+        <div className="admin-stats">
+          <Stat label="Status" value={stats.isPaused ? '⏸️ Paused' : '▶️ Active'} />
+          <Stat label="Pets" value={stats.totalPets} />
+          <Stat label="Matching Requests" value={stats.totalRequests} />
+          <Stat label="Platform Fees" value={`${ethers.utils.formatEther(stats.accumulatedFees)} ETH`} />
+          {heldForRequests && (
+            <Stat label="Held for Open Requests" value={`${ethers.utils.formatEther(heldForRequests)} ETH`} />
+          )}
+          <Stat label="Callback Timeout" value={formatDuration(stats.callbackTimeout)} />
+        </div>
+      )}
+      <button className="btn btn-secondary" onClick={refresh} disabled={isLoading}>
+        {isLoading ? 'Loading...' : 'Refresh'}
+      </button>
+
+      {stats && timeoutRange && (
+        <div className="form-grid admin-actions">
+          <div className="form-group">
+            <label htmlFor="withdrawTo">Withdraw Fees To</label>
+            <input
+              type="text"
+              id="withdrawTo"
+              placeholder={account}
+              value={destination}
+              onChange={(e) => setDestination(e.target.value)}
+            />
+            <button
+              className="btn btn-success"
+              onClick={withdrawFees}
+              disabled={pending !== null || stats.accumulatedFees.isZero()}
+            >
+              {pending === 'withdraw' ? 'Withdrawing...' : 'Withdraw Platform Fees'}
+            </button>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="callbackTimeout">
+              Callback Timeout in Minutes ({formatDuration(timeoutRange.min)} to {formatDuration(timeoutRange.max)})
+            </label>
+            <input
+              type="number"
+              id="callbackTimeout"
+              min={timeoutRange.min / 60}
+              max={timeoutRange.max / 60}
+              placeholder={String(stats.callbackTimeout / 60)}
+              value={timeoutMinutes}
+              onChange={(e) => setTimeoutMinutes(e.target.value)}
+            />
+            <button className="btn btn-secondary" onClick={updateTimeout} disabled={pending !== null || !timeoutMinutes}>
+              {pending === 'timeout' ? 'Updating...' : 'Update Timeout'}
+            </button>
+          </div>
+
+          <div className="form-group">
+            <label>Emergency Pause</label>
+            <button className="btn btn-warning" onClick={togglePause} disabled={pending !== null}>
+              {pending === 'pause' ? 'Updating...' : stats.isPaused ? '▶️ Resume Contract' : '⏸️ Pause Contract'}
+            </button>
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="newOwner">Transfer Ownership To</label>
+            <input
+              type="text"
+              id="newOwner"
+              placeholder="0x..."
+              value={newOwner}
+              onChange={(e) => setNewOwner(e.target.value)}
+            />
+            <button className="btn btn-warning" onClick={transferOwnership} disabled={pending !== null || !newOwner}>
+              {pending === 'transfer' ? 'Transferring...' : 'Transfer Ownership'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      <h3 style={{ margin: '20px 0 10px' }}>📋 Audit Trail</h3>
+      {events.length === 0 ? (
+        <p>{isLoading ? 'Loading admin events...' : 'No admin events yet.'}</p>
+      ) : (
+        <div className="history-table">
+          <table>
+            <thead>
+              <tr>
+                <th>Time</th>
+                <th>Action</th>
+                <th>Block</th>
+                <th>Transaction</th>
+              </tr>
+            </thead>
+            <tbody>
+              {events.map(event => (
+                <tr key={`${event.transactionHash}-${event.type}`}>
+                  <td>{new Date(event.timestamp * 1000).toLocaleString()}</td>
+                  <td>{describeAdminEvent(event)}</td>
+                  <td>{event.blockNumber}</td>
+                  <td><code>{event.transactionHash.slice(0, 10)}...</code></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminConsole;
@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
 import { ethers } from 'ethers';
-import { CONTRACT_ADDRESS } from '../utils/fhevm';
+import { CONTRACT_ADDRESS } from '../utils/deployment';
 
 const ContractInfo = ({ contract, onSuccess, onError }) => {
   const [info, setInfo] = useState(null);
@@ -0,0 +1,142 @@
+import React, { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { useMatchHistory } from '../hooks/useMatchHistory';
+import { STATUS_LABELS, formatCountdown, nextDeadline, supportsRefunds } from '../utils/matchHistory';
+
+/**
+ * Current unix time, ticking every second while `active`
+ */
+const useNow = (active) => {
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
+
+  useEffect(() => {
+    if (!active) return;
+    const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 1000);
+    return () => clearInterval(timer);
+  }, [active]);
+
+  return now;
+};
+
+const HistoryRow = ({ entry, petName, now, showRefunds, isClaiming, onClaim }) => (
+  <tr>
+    <td>#{entry.requestId}</td>
+    <td>#{entry.petId} {petName}</td>
+    <td>{entry.counterpartId ? `#${entry.counterpartId}` : '—'}</td>
+    <td>
+      <span className={`history-status ${entry.status}`}>{STATUS_LABELS[entry.status]}</span>
+      {entry.isSuccessfulMatch === false && <div className="history-note">No match</div>}
+    </td>
+    <td>{entry.score !== null ? `${entry.score}/100` : '—'}</td>
+    <td>{entry.feePaid ? `${ethers.utils.formatEther(entry.feePaid)} ETH` : '—'}</td>
+    {showRefunds && (
+      <>
+        <td>
+          {entry.status === 'pending' && entry.timeoutDeadline ? formatCountdown(entry.timeoutDeadline, now) : '—'}
+        </td>
+        <td>
+          {entry.canClaimRefund && (
+            <button className="btn btn-warning" onClick={() => onClaim(entry.requestId)} disabled={isClaiming}>
+              {isClaiming ? 'Claiming...' : 'Claim Refund'}
+            </button>
+          )}
+        </td>
+      </>
+    )}
+  </tr>
+);
+
+/**
+ * Matching requests of the account's pets on one contract, or of one of them
+ *
+ * Deadlines and the refund button only show for contracts with timeout
+ * refunds (EnhancedPetDNAMatching).
+ */
+const MatchHistory = ({ petDNA, pets, title = '📜 Match History', onSuccess, onError }) => {
+  const [selectedPetId, setSelectedPetId] = useState('');
+  const petIds = selectedPetId ? [Number(selectedPetId)] : pets.map(pet => pet.id);
+  const { entries, isLoading, error, claiming, claimRefund, refresh } = useMatchHistory(petDNA, petIds);
+  const now = useNow(nextDeadline(entries) !== null);
+  const showRefunds = supportsRefunds(petDNA);
+  // One history per contract can be on the page
+  const selectId = `historyPet-${petDNA.variant}`;
+
+  const names = Object.fromEntries(pets.map(pet => [pet.id, pet.name]));
+
+  const claim = async (requestId) => {
+    try {
+      onSuccess && onSuccess('Claiming refund...');
+      await claimRefund(requestId);
+      onSuccess && onSuccess(`Matching fee of request #${requestId} refunded`);
+    } catch (err) {
+      console.error('Refund claim failed:', err);
+      onError && onError(err.reason || err.message);
+    }
+  };
+
+  return (
+    <div className="card">
+      <h2>{title}</h2>
+      <div className="browser-toolbar">
+        <div className="form-group">
+          <label htmlFor={selectId}>Pet</label>
+          <select id={selectId} value={selectedPetId} onChange={(e) => setSelectedPetId(e.target.value)}>
+            <option value="">All my pets</option>
+            {pets.map(pet => (
+              <option key={pet.id} value={pet.id}>
+                #{pet.id} - {pet.name}
+              </option>
+            ))}
+          </select>
+        </div>
+        <span>{entries.length} request{entries.length === 1 ? '' : 's'}</span>
+        <button className="btn btn-secondary" onClick={refresh} disabled={isLoading}>
+          {isLoading ? 'Loading...' : 'Refresh'}
+        </button>
+      </div>
+
+      {error && <div className="status error">Failed to load match history: {error.message}</div>}
+      {!showRefunds && (
+        <p className="history-note">
+          Requests on this contract have no callback deadline; timeout refunds need EnhancedPetDNAMatching.
+        </p>
+      )}
+
+      {entries.length === 0 ? (
+        !isLoading && <p>No matching requests yet.</p>
+      ) : (
+        <div className="history-table">
+          <table>
+            <thead>
+              <tr>
+                <th>Request</th>
+                <th>Pet</th>
+                <th>Counterpart</th>
+                <th>Status</th>
+                <th>Score</th>
+                <th>Fee Paid</th>
+                {showRefunds && <th>Deadline</th>}
+                {showRefunds && <th></th>}
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map(entry => (
+                <HistoryRow
+                  key={entry.requestId}
+                  entry={entry}
+                  petName={names[entry.petId] || ''}
+                  now={now}
+                  showRefunds={showRefunds}
+                  isClaiming={claiming === entry.requestId}
+                  onClaim={claim}
+                />
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MatchHistory;
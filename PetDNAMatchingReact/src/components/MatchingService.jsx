@@ -1,49 +1,151 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { ethers } from 'ethers';
+import { useMatchingRequest } from '@fhevm-pet-dna/sdk/react';
+import PetBrowser from './PetBrowser';
 
-const MatchingService = ({ contract, pets, onSuccess, onError }) => {
+const isPending = (request) => request.status === 'requested' || request.status === 'decrypting';
+
+/**
+ * IDs of the account's requests still waiting for the gateway, newest first
+ */
+const pendingRequestIds = (tracker, account) =>
+  tracker
+    .getAll(account)
+    .filter(isPending)
+    .map(request => request.requestId)
+    .sort((a, b) => b - a);
+
+/**
+ * Progress of one request, followed through the tracker until the gateway
+ * callback or a refund
+ */
+const RequestProgress = ({ tracker, requestId }) => {
+  const { request, deadline, isExpired, isLoading, error } = useMatchingRequest(tracker, requestId);
+
+  if (error) {
+    return <div className="status error">Failed to follow request #{requestId}: {error.message}</div>;
+  }
+  if (!request) {
+    return isLoading ? <p>Loading request #{requestId}...</p> : null;
+  }
+
+  if (request.status === 'completed') {
+    return (
+      <div className="match-result">
+        <h3>🎉 Matching Complete!</h3>
+        <p><strong>Pet #{request.petId1}</strong> matched with <strong>Pet #{request.petId2}</strong></p>
+        <div className="compatibility-score">{request.compatibilityScore}/100</div>
+        <p>
+          Compatibility score (higher is better for breeding)
+          {request.isSuccessfulMatch === false && ', below the match threshold'}
+        </p>
+        <p style={{ fontSize: '0.9em', marginTop: '10px' }}>
+          <strong>Note:</strong> All genetic data remains encrypted throughout the matching process.
+        </p>
+      </div>
+    );
+  }
+
+  if (request.status === 'refunded') {
+    return (
+      <div className="status info">
+        ↩️ Request #{requestId} (Pet #{request.petId1} and Pet #{request.petId2}) was refunded
+        {request.refundReason ? `: ${request.refundReason}` : ''}
+      </div>
+    );
+  }
+
+  return (
+    <div className="status info">
+      ⏳ Request #{requestId} (Pet #{request.petId1} and Pet #{request.petId2}) is waiting for the gateway
+      {isExpired
+        ? '; its deadline has passed, claim the fee back in the match history'
+        : ` until ${deadline.toLocaleString()}`}
+    </div>
+  );
+};
+
+/**
+ * Requests matching between one of the account's pets and a candidate
+ *
+ * With a MatchingRequestTracker (EnhancedPetDNAMatching), the account's
+ * pending requests are recovered from the contract logs and followed until
+ * the gateway answers, so their results survive page reloads. The tracker
+ * cannot read the events of the other variants; their results show in the
+ * match history.
+ */
+const MatchingService = ({
+  petDNA,
+  tracker = null,
+  account,
+  pets,
+  title = '💕 Matching Service',
+  onSuccess,
+  onError
+}) => {
   const [petId1, setPetId1] = useState('');
-  const [petId2, setPetId2] = useState('');
+  const [candidate, setCandidate] = useState(null);
+  const petId2 = candidate ? candidate.id.toString() : '';
   const [isMatching, setIsMatching] = useState(false);
-  const [matchResults, setMatchResults] = useState([]);
+  const [fee, setFee] = useState(null);
+  const [requestIds, setRequestIds] = useState([]);
+  // One matching service per contract can be on the page
+  const selectId = `matchPet1-${petDNA.variant}`;
 
-  const requestMatching = async () => {
-    if (!contract) {
-      onError && onError('Please connect wallet first');
-      return;
-    }
+  useEffect(() => {
+    petDNA.getMatchingFee()
+      .then(setFee)
+      .catch(err => console.error('Failed to load the matching fee:', err));
+  }, [petDNA]);
+
+  // Resume the requests left pending by a previous visit
+  useEffect(() => {
+    setRequestIds([]);
+    if (!tracker || !account) return;
 
+    let cancelled = false;
+    tracker.sync()
+      .then(() => {
+        if (!cancelled) setRequestIds(pendingRequestIds(tracker, account));
+      })
+      .catch(err => {
+        console.error('Failed to recover matching requests:', err);
+        onError && onError(`Failed to recover pending matching requests: ${err.message}`);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [tracker, account]);
+
+  const requestMatching = async () => {
     if (!petId1 || !petId2) {
-      onError && onError('Please select both pets');
+      onError && onError('Please select your pet and a candidate');
       return;
     }
 
     try {
       setIsMatching(true);
 
-      const matchingCost = await contract.matchingCost();
-
-      const tx = await contract.requestMatching(petId1, petId2, {
-        value: matchingCost
-      });
+      if (tracker) await tracker.sync();
+      const known = new Set(tracker ? tracker.getAll(account).map(request => request.requestId) : []);
 
+      const tx = await petDNA.requestMatching(Number(petId1), Number(petId2));
       onSuccess && onSuccess('Matching request sent, waiting for confirmation...');
 
-      const receipt = await tx.wait();
-      onSuccess && onSuccess('Matching confirmed! Waiting for Gateway to process...');
+      await tx.wait();
 
-      // Listen for matching result
-      contract.once('MatchingCompleted', (p1, p2, score) => {
-        if (p1.toString() === petId1 && p2.toString() === petId2) {
-          setMatchResults(prev => [...prev, {
-            petId1: petId1,
-            petId2: petId2,
-            score: score.toString()
-          }]);
-          onSuccess && onSuccess('Matching completed!');
-        }
-      });
+      if (!tracker) {
+        onSuccess && onSuccess('Matching confirmed! The match history shows the result once the Gateway answers');
+        return;
+      }
 
+      await tracker.sync();
+      const added = tracker
+        .getAll(account)
+        .map(request => request.requestId)
+        .filter(requestId => !known.has(requestId));
+      setRequestIds(ids => [...added, ...ids.filter(requestId => !added.includes(requestId))]);
+      onSuccess && onSuccess('Matching confirmed! Waiting for Gateway to process...');
     } catch (error) {
       console.error('Matching failed:', error);
       onError && onError(error.reason || error.message);
@@ -52,57 +154,55 @@ const MatchingService = ({ contract, pets, onSuccess, onError }) => {
     }
   };
 
+  const feeLabel = fee ? `${ethers.utils.formatEther(fee)} ETH` : '...';
+
   return (
     <div className="card">
-      <h2>💕 Matching Service</h2>
-      <p style={{ marginBottom: '15px' }}>Select two pets to request compatibility matching (Cost: 0.001 ETH)</p>
+      <h2>{title}</h2>
+      <p style={{ marginBottom: '15px' }}>Select two pets to request compatibility matching (Cost: {feeLabel})</p>
       <div className="form-grid">
         <div className="form-group">
-          <label htmlFor="matchPet1">Your Pet</label>
+          <label htmlFor={selectId}>Your Pet</label>
           <select
-            id="matchPet1"
+            id={selectId}
             value={petId1}
             onChange={(e) => setPetId1(e.target.value)}
           >
             <option value="">Select your pet</option>
             {pets.map(pet => (
               <option key={pet.id} value={pet.id}>
-                #{pet.id} - {pet.info.name} ({pet.info.breed})
+                #{pet.id} - {pet.name} ({pet.breed})
               </option>
             ))}
           </select>
         </div>
         <div className="form-group">
-          <label htmlFor="matchPet2">Match With Pet ID</label>
-          <input
-            type="number"
-            id="matchPet2"
-            placeholder="Enter pet ID to match with"
-            min="1"
-            value={petId2}
-            onChange={(e) => setPetId2(e.target.value)}
-          />
+          <label>Match With</label>
+          <p className="selected-candidate">
+            {candidate
+              ? `#${candidate.id} - ${candidate.name} (${candidate.breed})`
+              : 'Pick a candidate below'}
+          </p>
         </div>
       </div>
+      <h3 style={{ margin: '10px 0' }}>🔍 Find a Candidate</h3>
+      <PetBrowser
+        petDNA={petDNA}
+        account={account}
+        selectedPetId={candidate ? candidate.id : null}
+        onSelect={setCandidate}
+      />
       <button
         className="btn btn-success"
         onClick={requestMatching}
         disabled={isMatching}
       >
-        {isMatching ? 'Processing...' : 'Request Matching (0.001 ETH)'}
+        {isMatching ? 'Processing...' : `Request Matching (${feeLabel})`}
       </button>
 
       <div style={{ marginTop: '20px' }}>
-        {matchResults.map((result, index) => (
-          <div key={index} className="match-result">
-            <h3>🎉 Matching Complete!</h3>
-            <p><strong>Pet #{result.petId1}</strong> matched with <strong>Pet #{result.petId2}</strong></p>
-            <div className="compatibility-score">{result.score}/100</div>
-            <p>Compatibility score (higher is better for breeding)</p>
-            <p style={{ fontSize: '0.9em', marginTop: '10px' }}>
-              <strong>Note:</strong> All genetic data remains encrypted throughout the matching process.
-            </p>
-          </div>
+        {requestIds.map(requestId => (
+          <RequestProgress key={requestId} tracker={tracker} requestId={requestId} />
         ))}
       </div>
     </div>
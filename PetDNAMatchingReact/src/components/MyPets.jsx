@@ -1,87 +1,85 @@
 import React, { useState } from 'react';
+import { useMyPets } from '@fhevm-pet-dna/sdk/react';
+
+const TRAIT_LABELS = {
+  healthScore: 'Health Score',
+  geneticMarker1: 'Genetic Marker 1',
+  geneticMarker2: 'Genetic Marker 2',
+  geneticMarker3: 'Genetic Marker 3',
+  temperament: 'Temperament'
+};
 
-const PetCard = ({ petId, petInfo, onToggleStatus }) => {
+const PetCard = ({ pet, onToggleStatus, onDecrypt, isDecrypting }) => {
   const currentYear = new Date().getFullYear();
-  const age = currentYear - parseInt(petInfo.birthYear);
+  const age = currentYear - pet.birthYear;
 
   return (
     <div className="pet-card">
-      <h3>{petInfo.name}</h3>
-      <p><strong>Species:</strong> {petInfo.species}</p>
-      <p><strong>Breed:</strong> {petInfo.breed}</p>
-      <p><strong>Age:</strong> {age} years old (born {petInfo.birthYear.toString()})</p>
-      <p><strong>Breeding Status:</strong> {petInfo.availableForBreeding ? 'Available' : 'Not Available'}</p>
+      <h3>{pet.name}</h3>
+      <p><strong>Species:</strong> {pet.species}</p>
+      <p><strong>Breed:</strong> {pet.breed}</p>
+      <p><strong>Age:</strong> {age} years old (born {pet.birthYear})</p>
+      <p><strong>Breeding Status:</strong> {pet.isAvailableForBreeding ? 'Available' : 'Not Available'}</p>
+      {pet.dna && (
+        <div className="dna-markers">
+          {Object.entries(pet.dna).map(([trait, value]) => (
+            <div key={trait} className="marker">
+              <strong>{TRAIT_LABELS[trait] || trait}:</strong> {value}
+            </div>
+          ))}
+        </div>
+      )}
       <div className="pet-actions">
         <button
           className="btn btn-warning"
-          onClick={() => onToggleStatus(petId, petInfo.availableForBreeding)}
+          onClick={() => onToggleStatus(pet.id, pet.isAvailableForBreeding)}
         >
-          {petInfo.availableForBreeding ? 'Set Unavailable' : 'Set Available'}
+          {pet.isAvailableForBreeding ? 'Set Unavailable' : 'Set Available'}
         </button>
+        {!pet.dna && (
+          <button
+            className="btn btn-secondary"
+            onClick={() => onDecrypt(pet.id)}
+            disabled={isDecrypting}
+          >
+            {isDecrypting ? 'Decrypting...' : '🔓 Show Genetic Data'}
+          </button>
+        )}
       </div>
     </div>
   );
 };
 
-const MyPets = ({ contract, account, onSuccess, onError }) => {
-  const [pets, setPets] = useState([]);
-  const [isLoading, setIsLoading] = useState(false);
+const MyPets = ({ petDNA, account, onSuccess, onError }) => {
+  const { pets, isLoading, error, refresh, decryptDNA } = useMyPets(petDNA, account);
+  const [decrypting, setDecrypting] = useState(null);
 
-  const loadPets = async () => {
-    if (!contract || !account) {
-      onError && onError('Please connect wallet first');
-      return;
-    }
+  const toggleBreedingStatus = async (petId, currentStatus) => {
+    if (!petDNA) return;
 
     try {
-      setIsLoading(true);
-
-      const petIds = await contract.getOwnerPets(account);
-
-      if (petIds.length === 0) {
-        setPets([]);
-        onSuccess && onSuccess('No pets registered yet');
-        return;
-      }
-
-      const petsData = [];
-      for (let i = 0; i < petIds.length; i++) {
-        const petId = petIds[i];
-        const petInfo = await contract.getPetInfo(petId);
-        petsData.push({
-          id: petId.toString(),
-          info: petInfo
-        });
-      }
+      const tx = await petDNA.setBreedingStatus(petId, !currentStatus);
+      onSuccess && onSuccess('Updating status...');
 
-      setPets(petsData);
-      onSuccess && onSuccess(`Loaded ${petIds.length} pets successfully`);
+      // The BreedingStatusChanged event updates every view of the pet
+      await tx.wait();
+      onSuccess && onSuccess('Breeding status updated');
 
     } catch (error) {
-      console.error('Failed to load pets:', error);
+      console.error('Failed to update status:', error);
       onError && onError(error.message);
-    } finally {
-      setIsLoading(false);
     }
   };
 
-  const toggleBreedingStatus = async (petId, currentStatus) => {
-    if (!contract) return;
-
+  const showGeneticData = async (petId) => {
     try {
-      const newStatus = !currentStatus;
-      const tx = await contract.setBreedingStatus(petId, newStatus);
-      onSuccess && onSuccess('Updating status...');
-
-      await tx.wait();
-      onSuccess && onSuccess('Breeding status updated');
-
-      // Reload pets
-      setTimeout(() => loadPets(), 1000);
-
+      setDecrypting(petId);
+      await decryptDNA(petId);
     } catch (error) {
-      console.error('Failed to update status:', error);
+      console.error('Failed to decrypt genetic data:', error);
       onError && onError(error.message);
+    } finally {
+      setDecrypting(null);
     }
   };
 
@@ -90,21 +88,29 @@ const MyPets = ({ contract, account, onSuccess, onError }) => {
       <h2>🏠 My Pets</h2>
       <button
         className="btn btn-secondary"
-        onClick={loadPets}
-        disabled={isLoading}
+        onClick={refresh}
+        disabled={isLoading || !petDNA}
       >
-        {isLoading ? 'Loading...' : 'Load My Pets'}
+        {isLoading ? 'Loading...' : 'Refresh'}
       </button>
+      {error && (
+        <div className="status error" style={{ marginTop: '20px' }}>
+          Failed to load pets: {error.message}
+        </div>
+      )}
       <div className="pet-list">
         {pets.length === 0 ? (
-          <p style={{ marginTop: '20px' }}>No pets loaded. Click "Load My Pets" to fetch your pets.</p>
+          <p style={{ marginTop: '20px' }}>
+            {isLoading ? 'Loading your pets...' : 'No pets registered yet. New registrations appear here automatically.'}
+          </p>
         ) : (
           pets.map(pet => (
             <PetCard
               key={pet.id}
-              petId={pet.id}
-              petInfo={pet.info}
+              pet={pet}
               onToggleStatus={toggleBreedingStatus}
+              onDecrypt={showGeneticData}
+              isDecrypting={decrypting === pet.id}
             />
           ))
         )}
@@ -0,0 +1,149 @@
+import React from 'react';
+import { usePetDirectory } from '../hooks/usePetDirectory';
+import { petAge } from '../utils/petDirectory';
+
+const CandidateCard = ({ pet, isSelected, onSelect }) => (
+  <div className={`pet-card${isSelected ? ' selected' : ''}`}>
+    <h3>#{pet.id} {pet.name}</h3>
+    {pet.species && <p><strong>Species:</strong> {pet.species}</p>}
+    <p><strong>Breed:</strong> {pet.breed}</p>
+    <p><strong>Age:</strong> {petAge(pet)} years old</p>
+    <p><strong>Owner:</strong> {pet.owner.slice(0, 6)}...{pet.owner.slice(-4)}</p>
+    <div className="pet-actions">
+      <button
+        className={isSelected ? 'btn btn-success' : 'btn btn-secondary'}
+        onClick={() => onSelect(isSelected ? null : pet)}
+      >
+        {isSelected ? '✓ Selected' : 'Select'}
+      </button>
+    </div>
+  </div>
+);
+
+/**
+ * Searchable, paged grid of breeding candidates owned by other accounts
+ */
+const PetBrowser = ({ petDNA, account, selectedPetId, onSelect }) => {
+  const {
+    pets,
+    page,
+    pageCount,
+    matchCount,
+    candidateCount,
+    options,
+    filters,
+    setFilters,
+    resetFilters,
+    setPage,
+    isLoading,
+    error,
+    refresh
+  } = usePetDirectory(petDNA, account);
+
+  return (
+    <div className="pet-browser">
+      <div className="form-grid">
+        <div className="form-group">
+          <label htmlFor="browseSearch">Search</label>
+          <input
+            type="text"
+            id="browseSearch"
+            placeholder="Name or breed"
+            value={filters.search}
+            onChange={(e) => setFilters({ search: e.target.value })}
+          />
+        </div>
+        {options.species.length > 0 && (
+          <div className="form-group">
+            <label htmlFor="browseSpecies">Species</label>
+            <select
+              id="browseSpecies"
+              value={filters.species}
+              onChange={(e) => setFilters({ species: e.target.value })}
+            >
+              <option value="">All species</option>
+              {options.species.map(species => (
+                <option key={species} value={species}>{species}</option>
+              ))}
+            </select>
+          </div>
+        )}
+        <div className="form-group">
+          <label htmlFor="browseBreed">Breed</label>
+          <select
+            id="browseBreed"
+            value={filters.breed}
+            onChange={(e) => setFilters({ breed: e.target.value })}
+          >
+            <option value="">All breeds</option>
+            {options.breeds.map(breed => (
+              <option key={breed} value={breed}>{breed}</option>
+            ))}
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor="browseMinAge">Age (years)</label>
+          <div className="age-range">
+            <input
+              type="number"
+              id="browseMinAge"
+              placeholder="Min"
+              min="0"
+              value={filters.minAge}
+              onChange={(e) => setFilters({ minAge: e.target.value })}
+            />
+            <input
+              type="number"
+              aria-label="Maximum age"
+              placeholder="Max"
+              min="0"
+              value={filters.maxAge}
+              onChange={(e) => setFilters({ maxAge: e.target.value })}
+            />
+          </div>
+        </div>
+      </div>
+
+      <div className="browser-toolbar">
+        <span>
+          {isLoading ? 'Indexing pets...' : `${matchCount} of ${candidateCount} available pets`}
+        </span>
+        <button className="btn btn-secondary" onClick={resetFilters}>Clear Filters</button>
+        <button className="btn btn-secondary" onClick={refresh} disabled={isLoading}>Refresh</button>
+      </div>
+
+      {error && (
+        <div className="status error">Failed to load pets: {error.message}</div>
+      )}
+
+      <div className="pet-list">
+        {pets.length === 0 ? (
+          <p>{isLoading ? 'Loading candidates...' : 'No available pets match these filters.'}</p>
+        ) : (
+          pets.map(pet => (
+            <CandidateCard
+              key={pet.id}
+              pet={pet}
+              isSelected={pet.id === selectedPetId}
+              onSelect={onSelect}
+            />
+          ))
+        )}
+      </div>
+
+      {pageCount > 1 && (
+        <div className="pagination">
+          <button className="btn btn-secondary" onClick={() => setPage(page - 1)} disabled={page <= 1}>
+            ← Previous
+          </button>
+          <span>Page {page} of {pageCount}</span>
+          <button className="btn btn-secondary" onClick={() => setPage(page + 1)} disabled={page >= pageCount}>
+            Next →
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PetBrowser;
@@ -1,18 +1,94 @@
 import React, { useState } from 'react';
-import { CONTRACT_ADDRESS } from '../utils/fhevm';
+import { importDNA, toLegacyDNA } from '@fhevm-pet-dna/sdk';
 
-const PetRegistration = ({ contract, fhevmClient, onSuccess, onError }) => {
+// Encrypted fields of PetDNAMatching.registerPet and the imported DNA field each comes from
+const ENCRYPTED_FIELDS = [
+  { key: 'healthScore', label: 'Health Score', type: 'euint8', source: 'healthRisk' },
+  { key: 'geneticMarker1', label: 'Genetic Marker 1', type: 'euint16', source: 'marker1' },
+  { key: 'geneticMarker2', label: 'Genetic Marker 2', type: 'euint16', source: 'marker2' },
+  { key: 'geneticMarker3', label: 'Genetic Marker 3', type: 'euint16', source: 'marker3' },
+  { key: 'temperament', label: 'Temperament', type: 'euint8', source: 'temperament' }
+];
+
+const EMPTY_DNA = {
+  marker1: '',
+  marker2: '',
+  marker3: '',
+  marker4: '',
+  healthRisk: ''
+};
+
+/**
+ * The values registerPet encrypts: the imported lab results, or the typed
+ * markers once all of them are filled in
+ */
+const dnaToEncrypt = (petData, imported) => {
+  if (imported) return toLegacyDNA(imported.dna);
+
+  const { marker1, marker2, marker3, marker4, healthRisk } = petData;
+  if ([marker1, marker2, marker3, marker4, healthRisk].some(value => value === '')) return null;
+  return {
+    healthScore: 100 - parseInt(healthRisk),
+    geneticMarker1: parseInt(marker1),
+    geneticMarker2: parseInt(marker2),
+    geneticMarker3: parseInt(marker3),
+    temperament: parseInt(marker4) % 10 + 1
+  };
+};
+
+const DNAPreview = ({ dna, imported }) => (
+  <div className="dna-preview">
+    <h3>🔐 Values to be encrypted</h3>
+    {imported && (
+      <p>
+        Imported from <strong>{imported.fileName}</strong> ({imported.format.toUpperCase()}
+        {imported.sample ? `, sample ${imported.sample}` : ''}) with quantization v{imported.version}.
+        The file itself never leaves your browser.
+      </p>
+    )}
+    <table>
+      <thead>
+        <tr>
+          <th>Field</th>
+          <th>Type</th>
+          <th>Value</th>
+          {imported && <th>Loci</th>}
+        </tr>
+      </thead>
+      <tbody>
+        {ENCRYPTED_FIELDS.map(field => (
+          <tr key={field.key}>
+            <td>{field.label}</td>
+            <td><code>{field.type}</code></td>
+            <td>{dna[field.key]}</td>
+            {imported && <td>{imported.loci[field.source]}</td>}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+    {imported && imported.healthFindings.length > 0 && (
+      <ul className="dna-findings">
+        {imported.healthFindings.map(finding => (
+          <li key={finding.locus}>{finding.condition}: {finding.status}</li>
+        ))}
+      </ul>
+    )}
+    {imported && imported.warnings.map(warning => (
+      <div key={warning} className="status info">{warning}</div>
+    ))}
+  </div>
+);
+
+const PetRegistration = ({ petDNA, onSuccess, onError }) => {
   const [petData, setPetData] = useState({
     petName: '',
     petBreed: '',
     petAge: '',
-    marker1: '',
-    marker2: '',
-    marker3: '',
-    marker4: '',
-    healthRisk: ''
+    ...EMPTY_DNA
   });
+  const [imported, setImported] = useState(null);
   const [isRegistering, setIsRegistering] = useState(false);
+  const dna = dnaToEncrypt(petData, imported);
 
   const handleInputChange = (e) => {
     setPetData({
@@ -21,7 +97,37 @@ const PetRegistration = ({ contract, fhevmClient, onSuccess, onError }) => {
     });
   };
 
+  const handleDNAFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const result = importDNA(await file.text(), { fileName: file.name });
+      const legacy = toLegacyDNA(result.dna);
+      setImported({ ...result, fileName: file.name });
+      setPetData({
+        ...petData,
+        marker1: legacy.geneticMarker1.toString(),
+        marker2: legacy.geneticMarker2.toString(),
+        marker3: legacy.geneticMarker3.toString(),
+        marker4: '',
+        healthRisk: result.dna.healthRisk.toString()
+      });
+      onSuccess && onSuccess(`Imported DNA from ${file.name}, check the preview before registering`);
+    } catch (error) {
+      console.error('DNA import failed:', error);
+      onError && onError(error.message);
+    }
+  };
+
+  const discardImport = () => {
+    setImported(null);
+    setPetData({ ...petData, ...EMPTY_DNA });
+  };
+
   const generateRandomDNA = () => {
+    setImported(null);
     setPetData({
       ...petData,
       marker1: Math.floor(Math.random() * 65536).toString(),
@@ -34,7 +140,7 @@ const PetRegistration = ({ contract, fhevmClient, onSuccess, onError }) => {
   };
 
   const registerPet = async () => {
-    if (!contract) {
+    if (!petDNA) {
       onError && onError('Please connect wallet first');
       return;
     }
@@ -42,82 +148,43 @@ const PetRegistration = ({ contract, fhevmClient, onSuccess, onError }) => {
     try {
       setIsRegistering(true);
 
-      const { petName, petBreed, petAge, marker1, marker2, marker3, marker4, healthRisk } = petData;
+      const { petName, petBreed, petAge } = petData;
 
       // Validate input
-      if (!petName || !petBreed || !petAge || !marker1 || !marker2 || !marker3 || !healthRisk) {
+      if (!petName || !petBreed || !petAge || !dna) {
         throw new Error('Please fill in all fields');
       }
 
       const age = parseInt(petAge);
-      const m1 = parseInt(marker1);
-      const m2 = parseInt(marker2);
-      const m3 = parseInt(marker3);
-      const m4 = parseInt(marker4);
-      const risk = parseInt(healthRisk);
+      const { healthScore, geneticMarker1: m1, geneticMarker2: m2, geneticMarker3: m3, temperament } = dna;
+      const m4 = parseInt(petData.marker4);
 
       if (age <= 0 || age > 20) throw new Error('Age must be between 1-20 years');
-      if (m1 < 0 || m1 > 65535) throw new Error('Marker 1 must be 0-65535');
-      if (m2 < 0 || m2 > 65535) throw new Error('Marker 2 must be 0-65535');
-      if (m3 < 0 || m3 > 65535) throw new Error('Marker 3 must be 0-65535');
-      if (risk < 0 || risk > 100) throw new Error('Health risk must be 0-100');
+      // Imported values are in range by construction
+      if (!imported) {
+        if (m1 < 0 || m1 > 65535) throw new Error('Marker 1 must be 0-65535');
+        if (m2 < 0 || m2 > 65535) throw new Error('Marker 2 must be 0-65535');
+        if (m3 < 0 || m3 > 65535) throw new Error('Marker 3 must be 0-65535');
+        if (m4 < 0 || m4 > 255) throw new Error('Temperament seed must be 0-255');
+        if (healthScore < 0 || healthScore > 100) throw new Error('Health risk must be 0-100');
+      }
 
       const currentYear = 2024;
       const birthYear = currentYear - age;
-      const temperament = m4 % 10 + 1;
-      const healthScore = 100 - risk;
       const species = "Dog";
 
-      // Encrypt data using SDK
-      let encryptedHealth, encryptedMarker1, encryptedMarker2, encryptedMarker3, encryptedTemperament;
-
-      if (fhevmClient && fhevmClient.getInstance()) {
-        try {
-          onSuccess && onSuccess('Encrypting data with FHEVM SDK...');
-
-          const healthEnc = await fhevmClient.encrypt(healthScore, 'euint8', CONTRACT_ADDRESS);
-          encryptedHealth = healthEnc.handles[0];
-
-          const m1Enc = await fhevmClient.encrypt(m1, 'euint16', CONTRACT_ADDRESS);
-          encryptedMarker1 = m1Enc.handles[0];
-
-          const m2Enc = await fhevmClient.encrypt(m2, 'euint16', CONTRACT_ADDRESS);
-          encryptedMarker2 = m2Enc.handles[0];
-
-          const m3Enc = await fhevmClient.encrypt(m3, 'euint16', CONTRACT_ADDRESS);
-          encryptedMarker3 = m3Enc.handles[0];
-
-          const tempEnc = await fhevmClient.encrypt(temperament, 'euint8', CONTRACT_ADDRESS);
-          encryptedTemperament = tempEnc.handles[0];
-
-          onSuccess && onSuccess('Data encrypted successfully!');
-        } catch (encError) {
-          console.warn('SDK encryption failed:', encError);
-          encryptedHealth = healthScore;
-          encryptedMarker1 = m1;
-          encryptedMarker2 = m2;
-          encryptedMarker3 = m3;
-          encryptedTemperament = temperament;
-        }
-      } else {
-        encryptedHealth = healthScore;
-        encryptedMarker1 = m1;
-        encryptedMarker2 = m2;
-        encryptedMarker3 = m3;
-        encryptedTemperament = temperament;
-      }
-
-      const tx = await contract.registerPet(
-        petName,
+      // PetDNAMatching takes the values in the clear and encrypts them on-chain
+      const tx = await petDNA.registerPet({
+        name: petName,
         species,
-        petBreed,
+        breed: petBreed,
         birthYear,
-        encryptedHealth,
-        encryptedMarker1,
-        encryptedMarker2,
-        encryptedMarker3,
-        encryptedTemperament
-      );
+        healthScore,
+        geneticMarker1: m1,
+        geneticMarker2: m2,
+        geneticMarker3: m3,
+        temperament
+      });
 
       onSuccess && onSuccess('Transaction sent, waiting for confirmation...');
       const receipt = await tx.wait();
@@ -127,12 +194,9 @@ const PetRegistration = ({ contract, fhevmClient, onSuccess, onError }) => {
         petName: '',
         petBreed: '',
         petAge: '',
-        marker1: '',
-        marker2: '',
-        marker3: '',
-        marker4: '',
-        healthRisk: ''
+        ...EMPTY_DNA
       });
+      setImported(null);
 
       onSuccess && onSuccess(`Pet registered successfully! TX: ${receipt.transactionHash}`);
 
@@ -194,6 +258,21 @@ const PetRegistration = ({ contract, fhevmClient, onSuccess, onError }) => {
         </div>
       </div>
 
+      <div className="dna-import">
+        <label htmlFor="dnaFile">Lab Results (VCF or breed panel CSV/TSV)</label>
+        <input
+          type="file"
+          id="dnaFile"
+          accept=".vcf,.csv,.tsv,.txt"
+          onChange={handleDNAFile}
+        />
+        {imported && (
+          <button className="btn btn-secondary" onClick={discardImport}>
+            ✕ Discard Import
+          </button>
+        )}
+      </div>
+
       <div className="dna-markers">
         <div className="marker">
           <label htmlFor="marker1">Genetic Marker 1 (0-65535)</label>
@@ -206,6 +285,7 @@ const PetRegistration = ({ contract, fhevmClient, onSuccess, onError }) => {
             placeholder="Marker 1 value"
             value={petData.marker1}
             onChange={handleInputChange}
+            disabled={!!imported}
           />
         </div>
         <div className="marker">
@@ -219,6 +299,7 @@ const PetRegistration = ({ contract, fhevmClient, onSuccess, onError }) => {
             placeholder="Marker 2 value"
             value={petData.marker2}
             onChange={handleInputChange}
+            disabled={!!imported}
           />
         </div>
         <div className="marker">
@@ -232,6 +313,7 @@ const PetRegistration = ({ contract, fhevmClient, onSuccess, onError }) => {
             placeholder="Marker 3 value"
             value={petData.marker3}
             onChange={handleInputChange}
+            disabled={!!imported}
           />
         </div>
         <div className="marker">
@@ -242,9 +324,10 @@ const PetRegistration = ({ contract, fhevmClient, onSuccess, onError }) => {
             name="marker4"
             min="0"
             max="255"
-            placeholder="Used to calculate temperament (1-10)"
+            placeholder={imported ? 'Taken from the lab results' : 'Used to calculate temperament (1-10)'}
             value={petData.marker4}
             onChange={handleInputChange}
+            disabled={!!imported}
           />
         </div>
         <div className="marker">
@@ -258,6 +341,7 @@ const PetRegistration = ({ contract, fhevmClient, onSuccess, onError }) => {
             placeholder="Will be converted to health score"
             value={petData.healthRisk}
             onChange={handleInputChange}
+            disabled={!!imported}
           />
         </div>
         <button
@@ -269,6 +353,8 @@ const PetRegistration = ({ contract, fhevmClient, onSuccess, onError }) => {
         </button>
       </div>
 
+      {dna && <DNAPreview dna={dna} imported={imported} />}
+
       <button
         className="btn"
         onClick={registerPet}
@@ -1,14 +1,14 @@
 import React from 'react';
-import { CONTRACT_ADDRESS } from '../utils/fhevm';
+import { CONTRACT_ADDRESS, CHAIN_ID, NETWORK } from '../utils/deployment';
 
 const WalletConnection = ({ account, balance, isConnected, isInitializing, error, onConnect }) => {
   return (
     <div className="card">
       <h2>🔗 Wallet Connection</h2>
       <div className="status success">
-        <strong>✅ Contract Deployed!</strong> Connected to Sepolia testnet.<br />
+        <strong>✅ Contract Deployed!</strong> Connected to {NETWORK}.<br />
         <strong>Address:</strong> <code>{CONTRACT_ADDRESS}</code><br />
-        <strong>Gateway:</strong> API v2.0+ Compatible | <strong>Network:</strong> Sepolia (Chain ID: 11155111)<br />
+        <strong>Gateway:</strong> API v2.0+ Compatible | <strong>Network:</strong> {NETWORK} (Chain ID: {CHAIN_ID})<br />
         <a
           href={`https://sepolia.etherscan.io/address/${CONTRACT_ADDRESS}`}
           target="_blank"
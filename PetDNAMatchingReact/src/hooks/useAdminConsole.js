@@ -0,0 +1,87 @@
+import { useState, useEffect, useCallback } from 'react';
+
+/**
+ * State of the EnhancedPetDNAMatching admin console
+ *
+ * Only the owner is looked up for other accounts; stats, balance and the
+ * audit trail load once the connected account is the contract owner.
+ */
+export const useAdminConsole = (petDNA, provider, account) => {
+  const [owner, setOwner] = useState(null);
+  const [stats, setStats] = useState(null);
+  const [balance, setBalance] = useState(null);
+  const [timeoutRange, setTimeoutRange] = useState(null);
+  const [events, setEvents] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isOwner = !!owner && !!account && owner.toLowerCase() === account.toLowerCase();
+
+  const loadOwner = useCallback(async () => {
+    if (!petDNA) {
+      setOwner(null);
+      return;
+    }
+    try {
+      setOwner(await petDNA.getOwner());
+    } catch (err) {
+      console.error('Failed to read the contract owner:', err);
+      setOwner(null);
+    }
+  }, [petDNA]);
+
+  const load = useCallback(async () => {
+    if (!petDNA || !provider || !isOwner) return;
+
+    try {
+      setIsLoading(true);
+      setError(null);
+      const [contractStats, contractBalance, range, adminEvents] = await Promise.all([
+        petDNA.getContractStats(),
+        provider.getBalance(petDNA.address),
+        petDNA.getCallbackTimeoutRange(),
+        petDNA.getAdminEvents()
+      ]);
+      setStats(contractStats);
+      setBalance(contractBalance);
+      setTimeoutRange(range);
+      setEvents(adminEvents);
+    } catch (err) {
+      console.error('Failed to load the admin console:', err);
+      setError(err);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [petDNA, provider, isOwner]);
+
+  useEffect(() => {
+    loadOwner();
+  }, [loadOwner]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  /**
+   * Send an owner transaction, wait for it and reload the console
+   */
+  const send = useCallback(async (transaction) => {
+    const tx = await transaction;
+    await tx.wait();
+    await loadOwner();
+    await load();
+  }, [loadOwner, load]);
+
+  return {
+    isOwner,
+    owner,
+    stats,
+    balance,
+    timeoutRange,
+    events,
+    isLoading,
+    error,
+    refresh: load,
+    send
+  };
+};
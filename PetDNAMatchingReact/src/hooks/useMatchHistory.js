@@ -0,0 +1,77 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { mergeHistories, nextDeadline, supportsRefunds } from '../utils/matchHistory';
+
+/**
+ * Matching requests involving the given pets, newest first
+ *
+ * Reloads when the contract reports a request or an outcome, and when the
+ * callback deadline of a pending request passes so its refund can be claimed.
+ */
+export const useMatchHistory = (petDNA, petIds) => {
+  const [entries, setEntries] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [claiming, setClaiming] = useState(null);
+
+  // Stable across renders that pass the same pets
+  const key = petIds.join(',');
+  const ids = useMemo(() => (key ? key.split(',').map(Number) : []), [key]);
+
+  const load = useCallback(async () => {
+    if (!petDNA) return;
+
+    try {
+      setIsLoading(true);
+      setError(null);
+      const histories = await Promise.all(ids.map(petId => petDNA.getMatchHistory(petId)));
+      setEntries(mergeHistories(histories));
+    } catch (err) {
+      console.error('Failed to load match history:', err);
+      setError(err);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [petDNA, ids]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  useEffect(() => {
+    if (!petDNA) return;
+    return petDNA.onMatchingChange(() => load());
+  }, [petDNA, load]);
+
+  useEffect(() => {
+    const deadline = nextDeadline(entries);
+    if (deadline === null) return;
+
+    // The contract accepts the claim from the first block after the deadline
+    const delay = Math.max(deadline * 1000 - Date.now(), 0) + 15000;
+    const timer = setTimeout(load, delay);
+    return () => clearTimeout(timer);
+  }, [entries, load]);
+
+  const claimRefund = useCallback(async (requestId) => {
+    if (!supportsRefunds(petDNA)) {
+      throw new Error(`${petDNA.variant} has no timeout refunds`);
+    }
+    setClaiming(requestId);
+    try {
+      const tx = await petDNA.claimTimeoutRefund(requestId);
+      await tx.wait();
+      await load();
+    } finally {
+      setClaiming(null);
+    }
+  }, [petDNA, load]);
+
+  return {
+    entries,
+    isLoading,
+    error,
+    claiming,
+    claimRefund,
+    refresh: load
+  };
+};
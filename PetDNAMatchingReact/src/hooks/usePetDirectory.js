@@ -0,0 +1,94 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { PetStore } from '@fhevm-pet-dna/sdk';
+import { EMPTY_FILTERS, filterOptions, filterPets, isCandidate, paginate } from '../utils/petDirectory';
+
+// Pets requested in parallel per batch while indexing
+const BATCH_SIZE = 20;
+
+/**
+ * Index of the breeding candidates of other owners
+ *
+ * Pet records are shared with useMyPets through the SDK PetStore, so
+ * breeding status changes show up everywhere. New registrations are added
+ * as their PetRegistered events arrive.
+ */
+export const usePetDirectory = (petDNA, account) => {
+  const store = useMemo(() => (petDNA ? PetStore.for(petDNA) : null), [petDNA]);
+  const [petIds, setPetIds] = useState([]);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(1);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [, setVersion] = useState(0);
+
+  const load = useCallback(async () => {
+    if (!petDNA || !store) return;
+
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      // PrivatePetDNAMatching lists available pets itself; other variants are scanned
+      const ids = petDNA.getAvailablePets
+        ? await petDNA.getAvailablePets()
+        : Array.from({ length: await petDNA.getTotalPets() }, (_, i) => i + 1);
+      setPetIds(ids);
+
+      for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+        await store.loadPets(ids.slice(i, i + BATCH_SIZE));
+      }
+    } catch (err) {
+      console.error('Failed to index pets:', err);
+      setError(err);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [petDNA, store]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  useEffect(() => {
+    if (!petDNA || !store) return;
+
+    const unsubscribeStore = store.subscribe(() => setVersion(version => version + 1));
+    const unsubscribeEvents = petDNA.onPetChange(change => {
+      if (change.type !== 'registered') return;
+      setPetIds(ids => (ids.includes(change.petId) ? ids : [...ids, change.petId]));
+      store.loadPet(change.petId).catch(err => console.warn(`Failed to load pet ${change.petId}:`, err));
+    });
+
+    return () => {
+      unsubscribeStore();
+      unsubscribeEvents();
+    };
+  }, [petDNA, store]);
+
+  const candidates = store
+    ? petIds.map(id => store.getPet(id)).filter(pet => pet && isCandidate(pet, account))
+    : [];
+  const matches = filterPets(candidates, filters);
+  const current = paginate(matches, page);
+
+  const updateFilters = useCallback((changes) => {
+    setFilters(previous => ({ ...previous, ...changes }));
+    setPage(1);
+  }, []);
+
+  return {
+    pets: current.items,
+    page: current.page,
+    pageCount: current.pageCount,
+    matchCount: matches.length,
+    candidateCount: candidates.length,
+    options: filterOptions(candidates),
+    filters,
+    setFilters: updateFilters,
+    resetFilters: () => updateFilters(EMPTY_FILTERS),
+    setPage,
+    isLoading,
+    error,
+    refresh: load
+  };
+};
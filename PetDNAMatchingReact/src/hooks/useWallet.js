@@ -1,6 +1,13 @@
 import { useState, useEffect } from 'react';
 import { ethers } from 'ethers';
-import { SimpleFHEVMClient, CONTRACT_ADDRESS, CONTRACT_ABI } from '../utils/fhevm';
+import {
+  EnhancedPetDNAClient,
+  FHEVMClient,
+  LegacyPetDNAClient,
+  MatchingRequestTracker,
+  PET_DNA_ABIS
+} from '@fhevm-pet-dna/sdk';
+import { CONTRACT_ADDRESS, CHAIN_ID, DEPLOYMENT, ENHANCED_DEPLOYMENT, INDEXER_URL } from '../utils/deployment';
 
 export const useWallet = () => {
   const [provider, setProvider] = useState(null);
@@ -8,7 +15,9 @@ export const useWallet = () => {
   const [account, setAccount] = useState(null);
   const [balance, setBalance] = useState('0');
   const [contract, setContract] = useState(null);
-  const [fhevmClient, setFhevmClient] = useState(null);
+  const [petDNA, setPetDNA] = useState(null);
+  const [enhancedPetDNA, setEnhancedPetDNA] = useState(null);
+  const [matchingTracker, setMatchingTracker] = useState(null);
   const [isConnected, setIsConnected] = useState(false);
   const [isInitializing, setIsInitializing] = useState(false);
   const [error, setError] = useState(null);
@@ -66,19 +75,53 @@ export const useWallet = () => {
         const userBalance = await provider.getBalance(userAccount);
         setBalance(ethers.utils.formatEther(userBalance));
 
-        // Initialize FHEVM SDK
+        // Initialize contract
+        const contractInstance = new ethers.Contract(CONTRACT_ADDRESS, PET_DNA_ABIS.PetDNAMatching, web3Signer);
+        setContract(contractInstance);
+
+        // FHEVM client shared by the PetDNA clients; encrypts inputs and decrypts the owner's traits
+        const client = new FHEVMClient({
+          provider,
+          signer: web3Signer,
+          chainId: CHAIN_ID,
+          mock: CHAIN_ID === 31337,
+          // No KMS verifier is known to check the gateway's public key on Sepolia
+          allowUnverifiedPublicKey: true,
+        });
         try {
-          const client = new SimpleFHEVMClient(provider, web3Signer, 11155111);
           await client.initialize();
-          setFhevmClient(client);
         } catch (fhevmError) {
-          console.warn('FHEVM SDK initialization warning:', fhevmError);
-          // Continue without SDK for demo purposes
+          console.warn('FHEVM client initialization warning, traits cannot be decrypted:', fhevmError);
+        }
+        setPetDNA(
+          new LegacyPetDNAClient({
+            address: CONTRACT_ADDRESS,
+            client,
+            signer: web3Signer,
+            indexer: INDEXER_URL || undefined,
+            // Bounds the log queries of the match history
+            fromBlock: DEPLOYMENT.blockNumber,
+          })
+        );
+        // Managed by the admin console; its match history offers timeout refunds
+        if (ENHANCED_DEPLOYMENT) {
+          setEnhancedPetDNA(
+            new EnhancedPetDNAClient({
+              address: ENHANCED_DEPLOYMENT.address,
+              client,
+              signer: web3Signer,
+              fromBlock: ENHANCED_DEPLOYMENT.blockNumber,
+            })
+          );
+          // Follows its matching requests through the gateway callback, across page reloads
+          setMatchingTracker(
+            new MatchingRequestTracker({
+              address: ENHANCED_DEPLOYMENT.address,
+              provider,
+              fromBlock: ENHANCED_DEPLOYMENT.blockNumber,
+            })
+          );
         }
-
-        // Initialize contract
-        const contractInstance = new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, web3Signer);
-        setContract(contractInstance);
 
         setIsConnected(true);
       }
@@ -95,7 +138,12 @@ export const useWallet = () => {
     setSigner(null);
     setBalance('0');
     setContract(null);
-    setFhevmClient(null);
+    setPetDNA(null);
+    setEnhancedPetDNA(null);
+    setMatchingTracker(tracker => {
+      tracker && tracker.stop();
+      return null;
+    });
     setIsConnected(false);
   };
 
@@ -105,7 +153,9 @@ export const useWallet = () => {
     account,
     balance,
     contract,
-    fhevmClient,
+    petDNA,
+    enhancedPetDNA,
+    matchingTracker,
     isConnected,
     isInitializing,
     error,
@@ -0,0 +1,81 @@
+import { ethers } from 'ethers';
+
+/**
+ * Checks and formatting of the admin console
+ */
+
+/**
+ * Check a fee withdrawal or ownership destination before sending
+ *
+ * `error` is set when the contract would reject the address or the funds
+ * would be lost; `warnings` need the owner's confirmation.
+ */
+export const checkDestination = async (provider, address, { contractAddress, account }) => {
+  const value = address.trim();
+  if (!ethers.utils.isAddress(value)) {
+    return { error: 'Not a valid address; check for typos or a wrong checksum', warnings: [] };
+  }
+
+  const destination = ethers.utils.getAddress(value);
+  if (destination === ethers.constants.AddressZero) {
+    return { error: 'The zero address is rejected by the contract', warnings: [] };
+  }
+  if (destination === ethers.utils.getAddress(contractAddress)) {
+    return { error: 'The destination is the matching contract itself', warnings: [] };
+  }
+
+  const warnings = [];
+  if (destination !== ethers.utils.getAddress(account)) {
+    warnings.push(`${destination} is not the connected account`);
+  }
+  if ((await provider.getCode(destination)) !== '0x') {
+    warnings.push(`${destination} is a contract; it must be able to receive ETH and act as owner`);
+  }
+  return { destination, error: null, warnings };
+};
+
+/**
+ * Validate a callback timeout, in minutes, against the contract's bounds in seconds
+ */
+export const checkTimeout = (minutes, { min, max }) => {
+  const seconds = Number(minutes) * 60;
+  if (!Number.isInteger(seconds) || seconds <= 0) {
+    return 'Enter the timeout in whole minutes';
+  }
+  if (seconds < min || seconds > max) {
+    return `The timeout must be between ${formatDuration(min)} and ${formatDuration(max)}`;
+  }
+  return null;
+};
+
+/**
+ * Seconds as e.g. "2h 30m" or "10m"
+ */
+export const formatDuration = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (hours === 0) return `${minutes}m`;
+  return minutes === 0 ? `${hours}h` : `${hours}h ${minutes}m`;
+};
+
+export const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+/**
+ * One line describing an admin event of the SDK's getAdminEvents
+ */
+export const describeAdminEvent = (event) => {
+  switch (event.type) {
+    case 'feesWithdrawn':
+      return `Withdrew ${ethers.utils.formatEther(event.amount)} ETH to ${shortAddress(event.to)}`;
+    case 'callbackTimeoutUpdated':
+      return `Set the callback timeout to ${formatDuration(event.callbackTimeout)}`;
+    case 'pauseToggled':
+      return event.isPaused ? 'Paused the contract' : 'Resumed the contract';
+    case 'ownershipTransferred':
+      return event.previousOwner === ethers.constants.AddressZero
+        ? `Deployed with owner ${shortAddress(event.newOwner)}`
+        : `Transferred ownership from ${shortAddress(event.previousOwner)} to ${shortAddress(event.newOwner)}`;
+    default:
+      return event.type;
+  }
+};
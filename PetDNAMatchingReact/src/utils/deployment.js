@@ -0,0 +1,38 @@
+import { getDeployment, parseDeploymentRegistry } from '@fhevm-pet-dna/sdk/deployments';
+
+/**
+ * Deployments read from the registry written by scripts/deploy.js
+ *
+ * The app matches pets on PetDNAMatching; when the same registry has an
+ * EnhancedPetDNAMatching, the admin console manages it, a second matching
+ * service follows its requests through the gateway callback and a second
+ * match history lists them with their timeout refunds.
+ *
+ * VITE_NETWORK selects deployments/<network>.json (default: sepolia).
+ * VITE_INDEXER_URL points at the event indexer (scripts/indexer) used for
+ * batched pet reads; without it every pet is read from the contract.
+ */
+const registries = import.meta.glob('../../../deployments/*.json', { eager: true, import: 'default' });
+
+export const NETWORK = import.meta.env.VITE_NETWORK || 'sepolia';
+
+function loadRegistry() {
+  const file = `../../../deployments/${NETWORK}.json`;
+  if (!registries[file]) {
+    throw new Error(`No deployment registry for ${NETWORK}: run scripts/deploy.js with --network ${NETWORK}`);
+  }
+
+  return parseDeploymentRegistry(registries[file], `deployments/${NETWORK}.json`);
+}
+
+const REGISTRY = loadRegistry();
+
+export const DEPLOYMENT = { chainId: REGISTRY.chainId, ...getDeployment(REGISTRY, 'PetDNAMatching') };
+
+export const CONTRACT_ADDRESS = DEPLOYMENT.address;
+
+export const CHAIN_ID = DEPLOYMENT.chainId;
+
+export const ENHANCED_DEPLOYMENT = REGISTRY.contracts.EnhancedPetDNAMatching || null;
+
+export const INDEXER_URL = import.meta.env.VITE_INDEXER_URL || null;
@@ -0,0 +1,57 @@
+/**
+ * Helpers of the match history
+ *
+ * Entries come from the SDK clients' getMatchHistory, one list per pet.
+ */
+
+export const STATUS_LABELS = {
+  pending: '⏳ Pending gateway',
+  completed: '✅ Completed',
+  refunded: '↩️ Refunded',
+  timedOut: '⌛ Timed out'
+};
+
+/**
+ * Whether the client's contract has callback deadlines and timeout refunds
+ *
+ * Only EnhancedPetDNAMatching does; its client is the one with claimTimeoutRefund.
+ */
+export const supportsRefunds = (petDNA) => !!petDNA && typeof petDNA.claimTimeoutRefund === 'function';
+
+/**
+ * Merge the histories of several pets, newest first
+ *
+ * A request between two of the pets is listed once, under the first pet.
+ */
+export const mergeHistories = (histories) => {
+  const byRequest = new Map();
+  histories.flat().forEach(entry => {
+    if (!byRequest.has(entry.requestId)) {
+      byRequest.set(entry.requestId, entry);
+    }
+  });
+  return Array.from(byRequest.values()).sort((a, b) => b.requestId - a.requestId);
+};
+
+/**
+ * Earliest deadline of the requests still waiting for the gateway, in unix seconds
+ */
+export const nextDeadline = (entries) => {
+  const deadlines = entries
+    .filter(entry => entry.status === 'pending' && entry.timeoutDeadline)
+    .map(entry => entry.timeoutDeadline);
+  return deadlines.length > 0 ? Math.min(...deadlines) : null;
+};
+
+/**
+ * Time left until a deadline, e.g. "1h 05m 09s"
+ */
+export const formatCountdown = (deadline, now = Math.floor(Date.now() / 1000)) => {
+  const left = deadline - now;
+  if (left <= 0) return 'expired';
+
+  const hours = Math.floor(left / 3600);
+  const minutes = String(Math.floor((left % 3600) / 60)).padStart(2, '0');
+  const seconds = String(left % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}h ${minutes}m ${seconds}s` : `${minutes}m ${seconds}s`;
+};
@@ -0,0 +1,74 @@
+/**
+ * Filtering and paging of the pet directory
+ *
+ * Pets come from the SDK clients: PetDNAMatching records carry `species`
+ * and `birthYear`, the other variants an `age` and no species.
+ */
+
+export const PAGE_SIZE = 9;
+
+export const EMPTY_FILTERS = {
+  search: '',
+  species: '',
+  breed: '',
+  minAge: '',
+  maxAge: ''
+};
+
+export const petAge = (pet, currentYear = new Date().getFullYear()) =>
+  pet.birthYear !== undefined ? currentYear - pet.birthYear : pet.age;
+
+const sameText = (a, b) => (a || '').trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * Pets of other owners that are open for breeding
+ */
+export const isCandidate = (pet, account) =>
+  pet.isAvailableForBreeding && (!account || pet.owner.toLowerCase() !== account.toLowerCase());
+
+export const filterPets = (pets, filters) => {
+  const search = filters.search.trim().toLowerCase();
+  const minAge = filters.minAge === '' ? null : Number(filters.minAge);
+  const maxAge = filters.maxAge === '' ? null : Number(filters.maxAge);
+
+  return pets.filter(pet => {
+    const age = petAge(pet);
+    return (
+      (!search || pet.name.toLowerCase().includes(search) || pet.breed.toLowerCase().includes(search)) &&
+      (!filters.species || sameText(pet.species, filters.species)) &&
+      (!filters.breed || sameText(pet.breed, filters.breed)) &&
+      (minAge === null || age >= minAge) &&
+      (maxAge === null || age <= maxAge)
+    );
+  });
+};
+
+/**
+ * Distinct species and breeds for the filter dropdowns
+ */
+export const filterOptions = (pets) => {
+  // Case-insensitive, keeping the first spelling seen
+  const distinct = (values) => {
+    const byKey = new Map();
+    values.filter(Boolean).forEach(value => {
+      const key = value.trim().toLowerCase();
+      if (!byKey.has(key)) byKey.set(key, value.trim());
+    });
+    return [...byKey.values()].sort((a, b) => a.localeCompare(b));
+  };
+
+  return {
+    species: distinct(pets.map(pet => pet.species)),
+    breeds: distinct(pets.map(pet => pet.breed))
+  };
+};
+
+export const paginate = (items, page, pageSize = PAGE_SIZE) => {
+  const pageCount = Math.max(1, Math.ceil(items.length / pageSize));
+  const current = Math.min(Math.max(page, 1), pageCount);
+  return {
+    items: items.slice((current - 1) * pageSize, current * pageSize),
+    page: current,
+    pageCount
+  };
+};
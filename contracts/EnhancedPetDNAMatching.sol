@@ -307,6 +307,7 @@ contract EnhancedPetDNAMatching is SepoliaConfig {
 
         // Calculate encrypted compatibility score
         euint32 encryptedScore = _calculateCompatibility(pets[_petId1].dnaProfile, pets[_petId2].dnaProfile);
+        FHE.allowThis(encryptedScore);
 
         // Create matching request
         matchingRequests[requestId] = MatchingRequest({
@@ -444,7 +445,7 @@ contract EnhancedPetDNAMatching is SepoliaConfig {
     function _calculateCompatibility(
         DNAProfile storage pet1DNA,
         DNAProfile storage pet2DNA
-    ) internal view returns (euint32) {
+    ) internal returns (euint32) {
         // Calculate genetic diversity (differences in markers promote diversity)
         euint8 diff1 = _absDiff(pet1DNA.marker1, pet2DNA.marker1);
         euint8 diff2 = _absDiff(pet1DNA.marker2, pet2DNA.marker2);
@@ -478,7 +479,7 @@ contract EnhancedPetDNAMatching is SepoliaConfig {
      * @notice Calculate absolute difference between two euint8 values
      * @dev Privacy-preserving absolute value computation
      */
-    function _absDiff(euint8 a, euint8 b) internal pure returns (euint8) {
+    function _absDiff(euint8 a, euint8 b) internal returns (euint8) {
         ebool aGreater = FHE.ge(a, b);
         euint8 diff1 = FHE.sub(a, b);
         euint8 diff2 = FHE.sub(b, a);
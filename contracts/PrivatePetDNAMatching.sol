@@ -44,6 +44,7 @@ contract PrivatePetDNAMatching is SepoliaConfig {
     mapping(uint256 => Pet) public pets;
     mapping(uint256 => MatchingRequest) public matchingRequests;
     mapping(address => uint256[]) public ownerToPets;
+    mapping(uint256 => uint256) public requestIdByDecryptionId;
 
     // Events
     event PetRegistered(uint256 indexed petId, address indexed owner, string name, string breed);
@@ -154,6 +155,9 @@ contract PrivatePetDNAMatching is SepoliaConfig {
 
         requestId = nextRequestId++;
 
+        euint32 initialScore = FHE.asEuint32(0);
+        FHE.allowThis(initialScore);
+
         matchingRequests[requestId] = MatchingRequest({
             petId: _petId,
             requester: msg.sender,
@@ -161,7 +165,7 @@ contract PrivatePetDNAMatching is SepoliaConfig {
             requestTime: block.timestamp,
             potentialMatches: new uint256[](0),
             bestMatchId: 0,
-            bestMatchScore: FHE.asEuint32(0)
+            bestMatchScore: initialScore
         });
 
         emit MatchingRequested(requestId, _petId, msg.sender);
@@ -203,12 +207,14 @@ contract PrivatePetDNAMatching is SepoliaConfig {
             request.potentialMatches.push(i);
         }
 
+        FHE.allowThis(bestScore);
         request.bestMatchScore = bestScore;
 
         // Request decryption to reveal the final result
         bytes32[] memory cts = new bytes32[](1);
         cts[0] = FHE.toBytes32(bestScore);
-        FHE.requestDecryption(cts, this.processMatchingResult.selector, abi.encode(_requestId));
+        uint256 decryptionRequestId = FHE.requestDecryption(cts, this.processMatchingResult.selector);
+        requestIdByDecryptionId[decryptionRequestId] = _requestId;
     }
 
     /**
@@ -218,7 +224,7 @@ contract PrivatePetDNAMatching is SepoliaConfig {
     function _calculateCompatibility(
         DNAProfile storage pet1DNA,
         DNAProfile storage pet2DNA
-    ) internal view returns (euint32) {
+    ) internal returns (euint32) {
         // Calculate genetic diversity (differences in markers are good)
         euint8 diff1 = FHE.sub(pet1DNA.marker1, pet2DNA.marker1);
         euint8 diff2 = FHE.sub(pet1DNA.marker2, pet2DNA.marker2);
@@ -248,14 +254,20 @@ contract PrivatePetDNAMatching is SepoliaConfig {
      * Process the decrypted matching result
      */
     function processMatchingResult(
-        uint256 requestId,
-        uint32 decryptedScore,
-        bytes[] memory signatures
+        uint256 decryptionRequestId,
+        bytes memory cleartexts,
+        bytes memory decryptionProof
     ) external {
         // Verify signatures
-        FHE.checkSignatures(requestId, signatures);
+        FHE.checkSignatures(decryptionRequestId, cleartexts, decryptionProof);
+
+        uint256 requestId = requestIdByDecryptionId[decryptionRequestId];
+        require(requestId > 0, "Invalid decryption request");
 
         MatchingRequest storage request = matchingRequests[requestId];
+        require(request.isActive, "Request is not active");
+
+        uint32 decryptedScore = abi.decode(cleartexts, (uint32));
 
         // Find the best match by re-evaluating with decrypted score
         uint256 bestMatchId = _findBestMatchId(requestId, decryptedScore);
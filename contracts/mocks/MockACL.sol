@@ -0,0 +1,83 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { ZamaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+
+/**
+ * @title MockACL
+ * @notice Local stand-in for the FHEVM access control list
+ * @dev Installed at the Sepolia ACL address by the Hardhat mock environment
+ *      (scripts/fhevm-mock). Mirrors the permission rules of the real ACL:
+ *      - transient permissions live for one transaction (EIP-1153 storage)
+ *      - allow() and allowForDecryption() require the caller to hold the handle
+ *      - the coprocessor can always grant transient permissions
+ *      Never deploy this contract to a public network.
+ */
+contract MockACL {
+    mapping(bytes32 => mapping(address => bool)) private persistedAllowed;
+    mapping(bytes32 => bool) private allowedForDecryption;
+
+    event Allowed(address indexed caller, address indexed account, bytes32 handle);
+    event AllowedForDecryption(address indexed caller, bytes32[] handlesList);
+
+    /**
+     * @notice Allow the use of a handle by an account for the current transaction
+     */
+    function allowTransient(bytes32 handle, address account) external {
+        if (msg.sender != ZamaConfig.getSepoliaConfig().CoprocessorAddress) {
+            require(isAllowed(handle, msg.sender), "MockACL: sender not allowed");
+        }
+        bytes32 key = _transientKey(handle, account);
+        assembly {
+            tstore(key, 1)
+        }
+    }
+
+    /**
+     * @notice Allow the use of a handle by an account permanently
+     */
+    function allow(bytes32 handle, address account) external {
+        require(isAllowed(handle, msg.sender), "MockACL: sender not allowed");
+        persistedAllowed[handle][account] = true;
+        emit Allowed(msg.sender, account, handle);
+    }
+
+    /**
+     * @notice Mark handles as publicly decryptable by the decryption oracle
+     */
+    function allowForDecryption(bytes32[] memory handlesList) external {
+        for (uint256 i = 0; i < handlesList.length; i++) {
+            require(isAllowed(handlesList[i], msg.sender), "MockACL: sender not allowed");
+            allowedForDecryption[handlesList[i]] = true;
+        }
+        emit AllowedForDecryption(msg.sender, handlesList);
+    }
+
+    /**
+     * @notice Transient permissions are scoped to the transaction, nothing to clean up
+     */
+    function cleanTransientStorage() external {}
+
+    function isAllowed(bytes32 handle, address account) public view returns (bool) {
+        return allowedTransient(handle, account) || persistedAllowed[handle][account];
+    }
+
+    function persistAllowed(bytes32 handle, address account) external view returns (bool) {
+        return persistedAllowed[handle][account];
+    }
+
+    function isAllowedForDecryption(bytes32 handle) external view returns (bool) {
+        return allowedForDecryption[handle];
+    }
+
+    function allowedTransient(bytes32 handle, address account) public view returns (bool isAllowedTransient) {
+        bytes32 key = _transientKey(handle, account);
+        assembly {
+            isAllowedTransient := tload(key)
+        }
+    }
+
+    function _transientKey(bytes32 handle, address account) private pure returns (bytes32) {
+        return keccak256(abi.encodePacked(handle, account));
+    }
+}
@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/**
+ * @title MockDecryptionOracle
+ * @notice Local stand-in for the Zama decryption oracle
+ * @dev Installed at the Sepolia oracle address by the Hardhat mock environment
+ *      (scripts/fhevm-mock). It only records requests; the mock relayer picks
+ *      up DecryptionRequest events and calls the dApp callback with signed
+ *      cleartexts. Never deploy this contract to a public network.
+ */
+contract MockDecryptionOracle {
+    uint256 public counter;
+
+    event DecryptionRequest(
+        uint256 indexed counter,
+        uint256 requestID,
+        bytes32[] cts,
+        address contractCaller,
+        bytes4 callbackSelector
+    );
+
+    function requestDecryption(
+        uint256 requestID,
+        bytes32[] calldata ctsHandles,
+        bytes4 callbackSelector
+    ) external payable {
+        counter++;
+        emit DecryptionRequest(counter, requestID, ctsHandles, msg.sender, callbackSelector);
+    }
+}
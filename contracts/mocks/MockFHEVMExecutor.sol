@@ -0,0 +1,381 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import { FheType } from "@fhevm/solidity/lib/FheType.sol";
+import { ZamaConfig } from "@fhevm/solidity/config/ZamaConfig.sol";
+
+interface IMockACL {
+    function allowTransient(bytes32 handle, address account) external;
+    function isAllowed(bytes32 handle, address account) external view returns (bool);
+}
+
+/**
+ * @title MockFHEVMExecutor
+ * @notice Local stand-in for the FHEVM coprocessor that computes on cleartexts
+ * @dev Installed at the Sepolia coprocessor address by the Hardhat mock
+ *      environment (scripts/fhevm-mock). Every handle it produces is backed by
+ *      a cleartext stored in `plaintexts`, so contracts using FHE.* run
+ *      unchanged on a local network while tests can still inspect results.
+ *      Handles follow the FHEVM layout:
+ *      - bytes 0-20:  hash (input hash for user inputs, counter hash otherwise)
+ *      - byte 21:     index in the input proof (0xff for computed handles)
+ *      - bytes 22-29: chain id
+ *      - byte 30:     FheType
+ *      - byte 31:     handle version
+ *      Never deploy this contract to a public network.
+ */
+contract MockFHEVMExecutor {
+    uint8 public constant HANDLE_VERSION = 0;
+    uint8 private constant COMPUTED_INDEX = 0xff;
+
+    mapping(bytes32 => uint256) public plaintexts;
+    mapping(bytes32 => bool) public isHandle;
+    uint256 private handleCounter;
+
+    event HandleCreated(bytes32 indexed handle, FheType fheType, uint256 plaintext);
+
+    /// @notice One homomorphic operation, priced in HCU by scripts/benchmark
+    /// @param operator Selector of the executor function (fheAdd, cast, ...)
+    /// @param fheType Operand type, or the produced type for trivialEncrypt and fheRand
+    /// @param scalar Whether the right-hand operand is a cleartext
+    event FheOperation(bytes4 indexed operator, FheType fheType, bool scalar);
+
+    // ============================================
+    // ARITHMETIC & BITWISE OPERATIONS
+    // ============================================
+
+    function fheAdd(bytes32 lhs, bytes32 rhs, bytes1 scalarByte) external returns (bytes32) {
+        (FheType t, uint256 a, uint256 b) = _binaryOperands(lhs, rhs, scalarByte);
+        unchecked {
+            return _produce(t, a + b);
+        }
+    }
+
+    function fheSub(bytes32 lhs, bytes32 rhs, bytes1 scalarByte) external returns (bytes32) {
+        (FheType t, uint256 a, uint256 b) = _binaryOperands(lhs, rhs, scalarByte);
+        unchecked {
+            return _produce(t, a - b);
+        }
+    }
+
+    function fheMul(bytes32 lhs, bytes32 rhs, bytes1 scalarByte) external returns (bytes32) {
+        (FheType t, uint256 a, uint256 b) = _binaryOperands(lhs, rhs, scalarByte);
+        unchecked {
+            return _produce(t, a * b);
+        }
+    }
+
+    function fheDiv(bytes32 lhs, bytes32 rhs, bytes1 scalarByte) external returns (bytes32) {
+        require(scalarByte == 0x01, "MockFHEVMExecutor: divisor must be a scalar");
+        (FheType t, uint256 a, uint256 b) = _binaryOperands(lhs, rhs, scalarByte);
+        require(b != 0, "MockFHEVMExecutor: division by zero");
+        return _produce(t, a / b);
+    }
+
+    function fheRem(bytes32 lhs, bytes32 rhs, bytes1 scalarByte) external returns (bytes32) {
+        require(scalarByte == 0x01, "MockFHEVMExecutor: divisor must be a scalar");
+        (FheType t, uint256 a, uint256 b) = _binaryOperands(lhs, rhs, scalarByte);
+        require(b != 0, "MockFHEVMExecutor: division by zero");
+        return _produce(t, a % b);
+    }
+
+    function fheBitAnd(bytes32 lhs, bytes32 rhs, bytes1 scalarByte) external returns (bytes32) {
+        (FheType t, uint256 a, uint256 b) = _binaryOperands(lhs, rhs, scalarByte);
+        return _produce(t, a & b);
+    }
+
+    function fheBitOr(bytes32 lhs, bytes32 rhs, bytes1 scalarByte) external returns (bytes32) {
+        (FheType t, uint256 a, uint256 b) = _binaryOperands(lhs, rhs, scalarByte);
+        return _produce(t, a | b);
+    }
+
+    function fheBitXor(bytes32 lhs, bytes32 rhs, bytes1 scalarByte) external returns (bytes32) {
+        (FheType t, uint256 a, uint256 b) = _binaryOperands(lhs, rhs, scalarByte);
+        return _produce(t, a ^ b);
+    }
+
+    function fheShl(bytes32 lhs, bytes32 rhs, bytes1 scalarByte) external returns (bytes32) {
+        (FheType t, uint256 a, uint256 b) = _binaryOperands(lhs, rhs, scalarByte);
+        return _produce(t, a << (b % _bits(t)));
+    }
+
+    function fheShr(bytes32 lhs, bytes32 rhs, bytes1 scalarByte) external returns (bytes32) {
+        (FheType t, uint256 a, uint256 b) = _binaryOperands(lhs, rhs, scalarByte);
+        return _produce(t, a >> (b % _bits(t)));
+    }
+
+    function fheRotl(bytes32 lhs, bytes32 rhs, bytes1 scalarByte) external returns (bytes32) {
+        (FheType t, uint256 a, uint256 b) = _binaryOperands(lhs, rhs, scalarByte);
+        uint256 bits = _bits(t);
+        uint256 shift = b % bits;
+        if (shift == 0) {
+            return _produce(t, a);
+        }
+        return _produce(t, (a << shift) | (a >> (bits - shift)));
+    }
+
+    function fheRotr(bytes32 lhs, bytes32 rhs, bytes1 scalarByte) external returns (bytes32) {
+        (FheType t, uint256 a, uint256 b) = _binaryOperands(lhs, rhs, scalarByte);
+        uint256 bits = _bits(t);
+        uint256 shift = b % bits;
+        if (shift == 0) {
+            return _produce(t, a);
+        }
+        return _produce(t, (a >> shift) | (a << (bits - shift)));
+    }
+
+    function fheMin(bytes32 lhs, bytes32 rhs, bytes1 scalarByte) external returns (bytes32) {
+        (FheType t, uint256 a, uint256 b) = _binaryOperands(lhs, rhs, scalarByte);
+        return _produce(t, a < b ? a : b);
+    }
+
+    function fheMax(bytes32 lhs, bytes32 rhs, bytes1 scalarByte) external returns (bytes32) {
+        (FheType t, uint256 a, uint256 b) = _binaryOperands(lhs, rhs, scalarByte);
+        return _produce(t, a > b ? a : b);
+    }
+
+    function fheNeg(bytes32 ct) external returns (bytes32) {
+        (FheType t, uint256 a) = _operand(ct);
+        _meter(t, false);
+        unchecked {
+            return _produce(t, 0 - a);
+        }
+    }
+
+    function fheNot(bytes32 ct) external returns (bytes32) {
+        (FheType t, uint256 a) = _operand(ct);
+        _meter(t, false);
+        return _produce(t, ~a);
+    }
+
+    // ============================================
+    // COMPARISONS
+    // ============================================
+
+    function fheEq(bytes32 lhs, bytes32 rhs, bytes1 scalarByte) external returns (bytes32) {
+        (, uint256 a, uint256 b) = _binaryOperands(lhs, rhs, scalarByte);
+        return _produceBool(a == b);
+    }
+
+    function fheNe(bytes32 lhs, bytes32 rhs, bytes1 scalarByte) external returns (bytes32) {
+        (, uint256 a, uint256 b) = _binaryOperands(lhs, rhs, scalarByte);
+        return _produceBool(a != b);
+    }
+
+    function fheGe(bytes32 lhs, bytes32 rhs, bytes1 scalarByte) external returns (bytes32) {
+        (, uint256 a, uint256 b) = _binaryOperands(lhs, rhs, scalarByte);
+        return _produceBool(a >= b);
+    }
+
+    function fheGt(bytes32 lhs, bytes32 rhs, bytes1 scalarByte) external returns (bytes32) {
+        (, uint256 a, uint256 b) = _binaryOperands(lhs, rhs, scalarByte);
+        return _produceBool(a > b);
+    }
+
+    function fheLe(bytes32 lhs, bytes32 rhs, bytes1 scalarByte) external returns (bytes32) {
+        (, uint256 a, uint256 b) = _binaryOperands(lhs, rhs, scalarByte);
+        return _produceBool(a <= b);
+    }
+
+    function fheLt(bytes32 lhs, bytes32 rhs, bytes1 scalarByte) external returns (bytes32) {
+        (, uint256 a, uint256 b) = _binaryOperands(lhs, rhs, scalarByte);
+        return _produceBool(a < b);
+    }
+
+    // ============================================
+    // SELECTION, CASTS & RANDOMNESS
+    // ============================================
+
+    function fheIfThenElse(bytes32 control, bytes32 ifTrue, bytes32 ifFalse) external returns (bytes32) {
+        (FheType controlType, uint256 condition) = _operand(control);
+        (FheType t, uint256 a) = _operand(ifTrue);
+        (FheType falseType, uint256 b) = _operand(ifFalse);
+        require(controlType == FheType.Bool, "MockFHEVMExecutor: control is not a boolean");
+        require(t == falseType, "MockFHEVMExecutor: incompatible types");
+        _meter(t, false);
+        return _produce(t, condition == 1 ? a : b);
+    }
+
+    function cast(bytes32 ct, FheType toType) external returns (bytes32) {
+        (FheType t, uint256 a) = _operand(ct);
+        _meter(t, false);
+        if (toType == FheType.Bool) {
+            return _produceBool(a != 0);
+        }
+        return _produce(toType, a);
+    }
+
+    function trivialEncrypt(uint256 value, FheType toType) external returns (bytes32) {
+        _meter(toType, false);
+        if (toType == FheType.Bool) {
+            return _produceBool(value != 0);
+        }
+        return _produce(toType, value);
+    }
+
+    function fheRand(FheType randType) external returns (bytes32) {
+        _meter(randType, false);
+        return _produce(randType, _pseudoRandom());
+    }
+
+    function fheRandBounded(uint256 upperBound, FheType randType) external returns (bytes32) {
+        require(upperBound != 0 && upperBound & (upperBound - 1) == 0, "MockFHEVMExecutor: bound not a power of 2");
+        _meter(randType, false);
+        return _produce(randType, _pseudoRandom() % upperBound);
+    }
+
+    // ============================================
+    // INPUT VERIFICATION
+    // ============================================
+
+    /**
+     * @notice Verify a user input created by the mock SDK and register its cleartext
+     * @dev Proof layout (see scripts/fhevm-mock/encoding.js):
+     *      uint8 numHandles | uint8 numSigners | handles (32 bytes each) |
+     *      signatures (65 bytes each) | abi.encode(salt, contract, user, values)
+     *      The handle hash binds the values to the contract, user and chain.
+     */
+    function verifyCiphertext(
+        bytes32 inputHandle,
+        address userAddress,
+        bytes calldata inputProof,
+        FheType inputType
+    ) external returns (bytes32) {
+        require(inputProof.length > 2, "MockFHEVMExecutor: empty input proof");
+        uint256 numHandles = uint8(inputProof[0]);
+        uint256 extraDataOffset = 2 + 32 * numHandles + 65 * uint8(inputProof[1]);
+        uint8 index = uint8(uint256(inputHandle) >> 80);
+
+        require(index < numHandles, "MockFHEVMExecutor: handle index out of range");
+        require(
+            bytes32(inputProof[2 + 32 * index:34 + 32 * index]) == inputHandle,
+            "MockFHEVMExecutor: handle not in input proof"
+        );
+        require(_typeOf(inputHandle) == inputType, "MockFHEVMExecutor: input type mismatch");
+        require(_chainIdOf(inputHandle) == block.chainid, "MockFHEVMExecutor: wrong chain id");
+
+        (bytes32 salt, address contractAddress, address proofUser, uint256[] memory values) = abi.decode(
+            inputProof[extraDataOffset:],
+            (bytes32, address, address, uint256[])
+        );
+        require(contractAddress == msg.sender, "MockFHEVMExecutor: input proof for another contract");
+        require(proofUser == userAddress, "MockFHEVMExecutor: input proof for another user");
+        require(values.length == numHandles, "MockFHEVMExecutor: malformed input proof");
+
+        bytes32 inputHash = keccak256(abi.encode(salt, contractAddress, userAddress, block.chainid, index, values[index]));
+        require(bytes21(inputHash) == bytes21(inputHandle), "MockFHEVMExecutor: invalid input proof");
+        require(values[index] == _mask(inputType, values[index]), "MockFHEVMExecutor: value out of range");
+
+        _store(inputHandle, inputType, values[index]);
+        return inputHandle;
+    }
+
+    /**
+     * @notice The executor verifies inputs itself
+     */
+    function getInputVerifierAddress() external view returns (address) {
+        return address(this);
+    }
+
+    /**
+     * @notice Input verification keeps no transient state
+     */
+    function cleanTransientStorage() external {}
+
+    /**
+     * @notice Cleartext behind a handle, for tests and the mock relayer
+     */
+    function getClearText(bytes32 handle) external view returns (uint256) {
+        require(isHandle[handle], "MockFHEVMExecutor: unknown handle");
+        return plaintexts[handle];
+    }
+
+    // ============================================
+    // INTERNAL HELPERS
+    // ============================================
+
+    function _binaryOperands(
+        bytes32 lhs,
+        bytes32 rhs,
+        bytes1 scalarByte
+    ) private returns (FheType t, uint256 a, uint256 b) {
+        (t, a) = _operand(lhs);
+        if (scalarByte == 0x01) {
+            b = uint256(rhs);
+        } else {
+            FheType rhsType;
+            (rhsType, b) = _operand(rhs);
+            require(rhsType == t, "MockFHEVMExecutor: incompatible types");
+        }
+        _meter(t, scalarByte == 0x01);
+    }
+
+    function _operand(bytes32 handle) private view returns (FheType, uint256) {
+        require(isHandle[handle], "MockFHEVMExecutor: unknown handle");
+        require(_acl().isAllowed(handle, msg.sender), "MockFHEVMExecutor: sender not allowed");
+        return (_typeOf(handle), plaintexts[handle]);
+    }
+
+    function _meter(FheType t, bool scalar) private {
+        emit FheOperation(msg.sig, t, scalar);
+    }
+
+    function _produceBool(bool value) private returns (bytes32) {
+        return _produce(FheType.Bool, value ? 1 : 0);
+    }
+
+    function _produce(FheType t, uint256 value) private returns (bytes32 handle) {
+        bytes32 prefix = keccak256(abi.encode(msg.sender, block.chainid, ++handleCounter));
+        handle = _withMetadata(prefix, COMPUTED_INDEX, t);
+        _store(handle, t, _mask(t, value));
+    }
+
+    function _store(bytes32 handle, FheType t, uint256 value) private {
+        plaintexts[handle] = value;
+        isHandle[handle] = true;
+        _acl().allowTransient(handle, msg.sender);
+        emit HandleCreated(handle, t, value);
+    }
+
+    function _withMetadata(bytes32 prefix, uint8 index, FheType t) private view returns (bytes32) {
+        uint256 metadata = (uint256(index) << 80) |
+            (uint256(uint64(block.chainid)) << 16) |
+            (uint256(uint8(t)) << 8) |
+            HANDLE_VERSION;
+        return bytes32((uint256(prefix) & ~uint256(type(uint88).max)) | metadata);
+    }
+
+    function _pseudoRandom() private view returns (uint256) {
+        return uint256(keccak256(abi.encode(block.prevrandao, block.timestamp, handleCounter)));
+    }
+
+    function _acl() private pure returns (IMockACL) {
+        return IMockACL(ZamaConfig.getSepoliaConfig().ACLAddress);
+    }
+
+    function _typeOf(bytes32 handle) private pure returns (FheType) {
+        return FheType(uint8(uint256(handle) >> 8));
+    }
+
+    function _chainIdOf(bytes32 handle) private pure returns (uint256) {
+        return uint64(uint256(handle) >> 16);
+    }
+
+    function _bits(FheType t) private pure returns (uint256) {
+        if (t == FheType.Bool) return 1;
+        if (t == FheType.Uint4) return 4;
+        if (t == FheType.Uint8) return 8;
+        if (t == FheType.Uint16) return 16;
+        if (t == FheType.Uint32) return 32;
+        if (t == FheType.Uint64) return 64;
+        if (t == FheType.Uint128) return 128;
+        if (t == FheType.Uint160) return 160;
+        if (t == FheType.Uint256) return 256;
+        revert("MockFHEVMExecutor: unsupported type");
+    }
+
+    function _mask(FheType t, uint256 value) private pure returns (uint256) {
+        uint256 bits = _bits(t);
+        return bits == 256 ? value : value & ((1 << bits) - 1);
+    }
+}
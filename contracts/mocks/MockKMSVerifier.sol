@@ -0,0 +1,120 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+/**
+ * @title MockKMSVerifier
+ * @notice Local stand-in for the KMS signature verifier
+ * @dev Installed at the Sepolia KMS verifier address by the Hardhat mock
+ *      environment (scripts/fhevm-mock), which registers its local KMS signer
+ *      keys through initialize(). Decryption proofs use the FHEVM layout:
+ *      uint8 numSigners | signatures (65 bytes each) | extra data
+ *      Each signature is an EIP-712 PublicDecryptVerification signature over
+ *      the handles and the decrypted result. Never deploy this contract to a
+ *      public network.
+ */
+contract MockKMSVerifier {
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 private constant DECRYPTION_TYPEHASH =
+        keccak256("PublicDecryptVerification(bytes32[] ctHandles,bytes decryptedResult,bytes extraData)");
+
+    address[] private kmsSigners;
+    mapping(address => bool) public isSigner;
+    uint256 private threshold;
+
+    /**
+     * @notice Register the KMS signers once
+     */
+    function initialize(address[] calldata _signers, uint256 _threshold) external {
+        require(threshold == 0, "MockKMSVerifier: already initialized");
+        require(_threshold > 0 && _threshold <= _signers.length, "MockKMSVerifier: invalid threshold");
+
+        for (uint256 i = 0; i < _signers.length; i++) {
+            require(!isSigner[_signers[i]], "MockKMSVerifier: duplicate signer");
+            isSigner[_signers[i]] = true;
+            kmsSigners.push(_signers[i]);
+        }
+        threshold = _threshold;
+    }
+
+    function getKmsSigners() external view returns (address[] memory) {
+        return kmsSigners;
+    }
+
+    function getThreshold() external view returns (uint256) {
+        return threshold;
+    }
+
+    /**
+     * @notice Check that enough distinct KMS signers signed the decryption result
+     */
+    function verifyDecryptionEIP712KMSSignatures(
+        bytes32[] memory handlesList,
+        bytes memory decryptedResult,
+        bytes memory decryptionProof
+    ) external view returns (bool) {
+        if (decryptionProof.length == 0) {
+            return false;
+        }
+        uint256 numSigners = uint8(decryptionProof[0]);
+        uint256 extraDataOffset = 1 + 65 * numSigners;
+        if (numSigners < threshold || decryptionProof.length < extraDataOffset) {
+            return false;
+        }
+
+        bytes memory extraData = new bytes(decryptionProof.length - extraDataOffset);
+        for (uint256 i = 0; i < extraData.length; i++) {
+            extraData[i] = decryptionProof[extraDataOffset + i];
+        }
+
+        bytes32 digest = _hashDecryption(handlesList, decryptedResult, extraData);
+        address[] memory seen = new address[](numSigners);
+
+        for (uint256 i = 0; i < numSigners; i++) {
+            address recovered = _recover(digest, decryptionProof, 1 + 65 * i);
+            if (!isSigner[recovered]) {
+                return false;
+            }
+            for (uint256 j = 0; j < i; j++) {
+                if (seen[j] == recovered) {
+                    return false;
+                }
+            }
+            seen[i] = recovered;
+        }
+
+        return true;
+    }
+
+    function _hashDecryption(
+        bytes32[] memory handlesList,
+        bytes memory decryptedResult,
+        bytes memory extraData
+    ) private view returns (bytes32) {
+        bytes32 domainSeparator = keccak256(
+            abi.encode(DOMAIN_TYPEHASH, keccak256("Decryption"), keccak256("1"), block.chainid, address(this))
+        );
+        bytes32 structHash = keccak256(
+            abi.encode(
+                DECRYPTION_TYPEHASH,
+                keccak256(abi.encodePacked(handlesList)),
+                keccak256(decryptedResult),
+                keccak256(extraData)
+            )
+        );
+        return keccak256(abi.encodePacked("\x19\x01", domainSeparator, structHash));
+    }
+
+    function _recover(bytes32 digest, bytes memory proof, uint256 offset) private pure returns (address) {
+        bytes32 r;
+        bytes32 s;
+        uint8 v;
+        assembly {
+            let signature := add(add(proof, 32), offset)
+            r := mload(signature)
+            s := mload(add(signature, 32))
+            v := byte(0, mload(add(signature, 64)))
+        }
+        return ecrecover(digest, v, r, s);
+    }
+}
@@ -2,9 +2,16 @@
 
 import { useState, useEffect } from 'react';
 import { ethers } from 'ethers';
+import { getDeployment, parseDeploymentRegistry } from '@fhevm-pet-dna/sdk/deployments';
+import { DNAImportResult, importDNA, toLegacyDNA } from '@fhevm-pet-dna/sdk';
 
-// Contract configuration
-const CONTRACT_ADDRESS = '0xC16ebe7Cb0A3B057437B8A3568d6Df2FB02812d1';
+// Contract configuration, from the deployment registry inlined by next.config.js
+const DEPLOYMENT_REGISTRY = parseDeploymentRegistry(
+  JSON.parse(process.env.PETDNA_DEPLOYMENT_REGISTRY || 'null'),
+  `deployments/${process.env.NEXT_PUBLIC_NETWORK || 'sepolia'}.json`
+);
+const CONTRACT_ADDRESS = getDeployment(DEPLOYMENT_REGISTRY, 'PetDNAMatching').address;
+const CHAIN_ID = DEPLOYMENT_REGISTRY.chainId;
 const CONTRACT_ABI = [
   "function registerPet(string _name, string _species, string _breed, uint256 _birthYear, uint8 _healthScore, uint16 _geneticMarker1, uint16 _geneticMarker2, uint16 _geneticMarker3, uint8 _temperament) external",
   "function createMatchingProfile(uint256 _petId, uint8 _minHealthScore, uint8 _temperamentPreference, uint256 _maxAge) external",
@@ -32,6 +39,7 @@ export default function Home() {
   const [marker2, setMarker2] = useState('');
   const [marker3, setMarker3] = useState('');
   const [marker4, setMarker4] = useState('');
+  const [imported, setImported] = useState<(DNAImportResult & { fileName: string }) | null>(null);
 
   // Connect wallet
   const connectWallet = async () => {
@@ -53,8 +61,11 @@ export default function Home() {
 
       // Check network
       const network = await web3Provider.getNetwork();
-      if (network.chainId !== 11155111) {
-        setStatus({ type: 'warning', message: 'Please switch to Sepolia testnet' });
+      if (network.chainId !== CHAIN_ID) {
+        setStatus({
+          type: 'warning',
+          message: `Please switch to ${DEPLOYMENT_REGISTRY.network} (chain ID ${CHAIN_ID})`,
+        });
       }
     } catch (error: any) {
       console.error('Connection error:', error);
@@ -62,6 +73,25 @@ export default function Home() {
     }
   };
 
+  // Import DNA values from a lab genotype file
+  const importDNAFile = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const result = importDNA(await file.text(), { fileName: file.name });
+      setImported({ ...result, fileName: file.name });
+      setStatus({
+        type: 'success',
+        message: `Imported DNA from ${file.name}, check the values below before registering`,
+      });
+    } catch (error: any) {
+      console.error('DNA import error:', error);
+      setStatus({ type: 'error', message: error.message });
+    }
+  };
+
   // Register pet
   const registerPet = async (e: React.FormEvent) => {
     e.preventDefault();
@@ -74,20 +104,27 @@ export default function Home() {
     try {
       const currentYear = 2024;
       const birthYear = currentYear - parseInt(age);
-      const temperament = parseInt(marker4) % 10 + 1;
-      const healthScore = 100 - parseInt(healthRisk);
       const species = 'Dog';
+      const dna = imported
+        ? toLegacyDNA(imported.dna)
+        : {
+            healthScore: 100 - parseInt(healthRisk),
+            geneticMarker1: parseInt(marker1),
+            geneticMarker2: parseInt(marker2),
+            geneticMarker3: parseInt(marker3),
+            temperament: parseInt(marker4) % 10 + 1,
+          };
 
       const tx = await contract.registerPet(
         petName,
         species,
         breed,
         birthYear,
-        healthScore,
-        parseInt(marker1),
-        parseInt(marker2),
-        parseInt(marker3),
-        temperament
+        dna.healthScore,
+        dna.geneticMarker1,
+        dna.geneticMarker2,
+        dna.geneticMarker3,
+        dna.temperament
       );
 
       setStatus({ type: 'warning', message: 'Transaction submitted. Waiting for confirmation...' });
@@ -104,6 +141,7 @@ export default function Home() {
       setMarker2('');
       setMarker3('');
       setMarker4('');
+      setImported(null);
     } catch (error: any) {
       console.error('Registration error:', error);
       setStatus({ type: 'error', message: `Registration failed: ${error.message}` });
@@ -172,71 +210,100 @@ export default function Home() {
               </div>
 
               <div className="form-group">
-                <label>Health Risk Score (0-100, lower is better) *</label>
-                <input
-                  type="number"
-                  value={healthRisk}
-                  onChange={(e) => setHealthRisk(e.target.value)}
-                  placeholder="e.g., 15"
-                  min="0"
-                  max="100"
-                  required
-                />
+                <label>Lab Results (VCF or breed panel CSV/TSV)</label>
+                <input type="file" accept=".vcf,.csv,.tsv,.txt" onChange={importDNAFile} />
               </div>
 
-              <div className="grid">
-                <div className="form-group">
-                  <label>Genetic Marker 1 (0-65535) *</label>
-                  <input
-                    type="number"
-                    value={marker1}
-                    onChange={(e) => setMarker1(e.target.value)}
-                    placeholder="e.g., 12345"
-                    min="0"
-                    max="65535"
-                    required
-                  />
+              {imported ? (
+                <div className="card">
+                  <h3>Values to be encrypted</h3>
+                  <p>
+                    From <strong>{imported.fileName}</strong> ({imported.format.toUpperCase()}
+                    {imported.sample ? `, sample ${imported.sample}` : ''}), quantization v{imported.version}
+                  </p>
+                  {Object.entries(toLegacyDNA(imported.dna)).map(([field, value]) => (
+                    <p key={field}><strong>{field}:</strong> {value}</p>
+                  ))}
+                  {imported.healthFindings.map((finding) => (
+                    <p key={finding.locus}>⚠️ {finding.condition}: {finding.status}</p>
+                  ))}
+                  {imported.warnings.map((warning) => (
+                    <div key={warning} className="status warning">{warning}</div>
+                  ))}
+                  <button className="button" type="button" onClick={() => setImported(null)}>
+                    Enter markers manually
+                  </button>
                 </div>
+              ) : (
+                <>
+                  <div className="form-group">
+                    <label>Health Risk Score (0-100, lower is better) *</label>
+                    <input
+                      type="number"
+                      value={healthRisk}
+                      onChange={(e) => setHealthRisk(e.target.value)}
+                      placeholder="e.g., 15"
+                      min="0"
+                      max="100"
+                      required
+                    />
+                  </div>
 
-                <div className="form-group">
-                  <label>Genetic Marker 2 (0-65535) *</label>
-                  <input
-                    type="number"
-                    value={marker2}
-                    onChange={(e) => setMarker2(e.target.value)}
-                    placeholder="e.g., 54321"
-                    min="0"
-                    max="65535"
-                    required
-                  />
-                </div>
+                  <div className="grid">
+                    <div className="form-group">
+                      <label>Genetic Marker 1 (0-65535) *</label>
+                      <input
+                        type="number"
+                        value={marker1}
+                        onChange={(e) => setMarker1(e.target.value)}
+                        placeholder="e.g., 12345"
+                        min="0"
+                        max="65535"
+                        required
+                      />
+                    </div>
 
-                <div className="form-group">
-                  <label>Genetic Marker 3 (0-65535) *</label>
-                  <input
-                    type="number"
-                    value={marker3}
-                    onChange={(e) => setMarker3(e.target.value)}
-                    placeholder="e.g., 23456"
-                    min="0"
-                    max="65535"
-                    required
-                  />
-                </div>
+                    <div className="form-group">
+                      <label>Genetic Marker 2 (0-65535) *</label>
+                      <input
+                        type="number"
+                        value={marker2}
+                        onChange={(e) => setMarker2(e.target.value)}
+                        placeholder="e.g., 54321"
+                        min="0"
+                        max="65535"
+                        required
+                      />
+                    </div>
 
-                <div className="form-group">
-                  <label>Genetic Marker 4 (0-65535) *</label>
-                  <input
-                    type="number"
-                    value={marker4}
-                    onChange={(e) => setMarker4(e.target.value)}
-                    placeholder="e.g., 65432"
-                    min="0"
-                    max="65535"
-                    required
-                  />
-                </div>
-              </div>
+                    <div className="form-group">
+                      <label>Genetic Marker 3 (0-65535) *</label>
+                      <input
+                        type="number"
+                        value={marker3}
+                        onChange={(e) => setMarker3(e.target.value)}
+                        placeholder="e.g., 23456"
+                        min="0"
+                        max="65535"
+                        required
+                      />
+                    </div>
+
+                    <div className="form-group">
+                      <label>Genetic Marker 4 (0-65535) *</label>
+                      <input
+                        type="number"
+                        value={marker4}
+                        onChange={(e) => setMarker4(e.target.value)}
+                        placeholder="e.g., 65432"
+                        min="0"
+                        max="65535"
+                        required
+                      />
+                    </div>
+                  </div>
+                </>
+              )}
 
               <button className="button" type="submit" disabled={loading}>
                 {loading ? <span className="loading"></span> : 'Register Pet'}
@@ -246,9 +313,9 @@ export default function Home() {
 
           <div className="card">
             <h3>📡 Contract Information</h3>
-            <p><strong>Network:</strong> Ethereum Sepolia Testnet</p>
+            <p><strong>Network:</strong> {DEPLOYMENT_REGISTRY.network}</p>
             <p><strong>Contract:</strong> <code>{CONTRACT_ADDRESS}</code></p>
-            <p><strong>Chain ID:</strong> 11155111</p>
+            <p><strong>Chain ID:</strong> {CHAIN_ID}</p>
             <p><strong>Your Account:</strong> <code>{account}</code></p>
           </div>
         </>
@@ -1,6 +1,19 @@
+const fs = require('fs');
+const path = require('path');
+
+// Deployment registry written by scripts/deploy.js, inlined into the page
+const network = process.env.NEXT_PUBLIC_NETWORK || 'sepolia';
+const registryFile = path.join(__dirname, '..', '..', 'deployments', `${network}.json`);
+if (!fs.existsSync(registryFile)) {
+  throw new Error(`Missing ${registryFile}: run scripts/deploy.js with --network ${network} first`);
+}
+
 /** @type {import('next').NextConfig} */
 const nextConfig = {
   reactStrictMode: true,
+  env: {
+    PETDNA_DEPLOYMENT_REGISTRY: fs.readFileSync(registryFile, 'utf8'),
+  },
   webpack: (config) => {
     config.resolve.fallback = {
       ...config.resolve.fallback,
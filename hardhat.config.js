@@ -1,49 +1,50 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
+require("./scripts/fhevm-mock");
+const { loadGatewayConfig } = require("./scripts/gateway-config");
+
+const networks = {
+  sepolia: {
+    url: process.env.SEPOLIA_URL || "https://sepolia.infura.io/v3/YOUR_INFURA_KEY",
+    accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
+  },
+  localhost: {
+    url: "http://127.0.0.1:8545",
+    // Matches `npx hardhat node`, so the FHEVM mock can sign for it
+    chainId: 31337,
+  },
+};
+
+const compilerSettings = {
+  optimizer: {
+    enabled: true,
+    runs: 200,
+  },
+  // EnhancedPetDNAMatching needs the IR pipeline to avoid "stack too deep"
+  viaIR: true,
+};
+
+// The local FHEVM mock ACL uses transient storage; the dApp contracts keep the default EVM version
+const mockCompiler = { version: "0.8.24", settings: { ...compilerSettings, evmVersion: "cancun" } };
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
-    version: "0.8.24",
-    settings: {
-      optimizer: {
-        enabled: true,
-        runs: 200,
-      },
-    },
-  },
-  networks: {
-    sepolia: {
-      url: process.env.SEPOLIA_URL || "https://sepolia.infura.io/v3/YOUR_INFURA_KEY",
-      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
-    },
-    localhost: {
-      url: "http://127.0.0.1:8545",
-    },
-  },
-  // Gateway configuration (新版本环境变量)
-  gateway: {
-    // NUM_PAUSERS should be n_kms + n_copro
-    numPausers: process.env.NUM_PAUSERS || 2,
-    // Pauser addresses array
-    pauserAddresses: getPauserAddresses(),
+    compilers: [{ version: "0.8.24", settings: compilerSettings }],
+    overrides: Object.fromEntries(
+      ["MockACL", "MockDecryptionOracle", "MockFHEVMExecutor", "MockKMSVerifier"].map((name) => [
+        `contracts/mocks/${name}.sol`,
+        mockCompiler,
+      ])
+    ),
   },
+  networks,
+  // Gateway, ACL, KMS verifier and pauser settings per network, validated by
+  // scripts/gateway-config.js; scripts read hre.config.gateway[hre.network.name]
+  gateway: Object.fromEntries(
+    ["hardhat", ...Object.keys(networks)].map((network) => [network, loadGatewayConfig(network)])
+  ),
   etherscan: {
     apiKey: process.env.ETHERSCAN_API_KEY || "",
   },
 };
-
-// Helper function to get pauser addresses from environment variables
-function getPauserAddresses() {
-  const pauserAddresses = [];
-  const numPausers = parseInt(process.env.NUM_PAUSERS || "2");
-
-  for (let i = 0; i < numPausers; i++) {
-    const address = process.env[`PAUSER_ADDRESS_${i}`];
-    if (address) {
-      pauserAddresses.push(address);
-    }
-  }
-
-  return pauserAddresses;
-}
\ No newline at end of file
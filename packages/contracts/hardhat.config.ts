@@ -3,25 +3,9 @@ import "@nomicfoundation/hardhat-toolbox";
 import "@typechain/hardhat";
 import "dotenv/config";
 
-/**
- * Helper function to get pauser addresses from environment variables
- * New Gateway API v2.0+ requires NUM_PAUSERS and indexed addresses
- */
-function getPauserAddresses(): string[] {
-  const pauserAddresses: string[] = [];
-  const numPausers = parseInt(process.env.NUM_PAUSERS || "2");
-
-  for (let i = 0; i < numPausers; i++) {
-    const address = process.env[`PAUSER_ADDRESS_${i}`];
-    if (address) {
-      pauserAddresses.push(address);
-    } else {
-      console.warn(`⚠️  Warning: PAUSER_ADDRESS_${i} not configured`);
-    }
-  }
-
-  return pauserAddresses;
-}
+// Gateway configuration shared with the root project (scripts/gateway-config.js)
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const { loadGatewayConfig } = require("../../scripts/gateway-config");
 
 const config: HardhatUserConfig = {
   solidity: {
@@ -57,12 +41,12 @@ const config: HardhatUserConfig = {
     }
   },
 
-  // Gateway configuration (New Gateway API v2.0+)
+  // Gateway configuration (New Gateway API v2.0+), validated per network
   // @ts-ignore - Custom configuration
   gateway: {
-    gatewayUrl: process.env.GATEWAY_URL || "https://gateway.zama.ai",
-    numPausers: parseInt(process.env.NUM_PAUSERS || "2"),
-    pauserAddresses: getPauserAddresses()
+    hardhat: loadGatewayConfig("hardhat"),
+    localhost: loadGatewayConfig("localhost"),
+    sepolia: loadGatewayConfig("sepolia")
   },
 
   paths: {
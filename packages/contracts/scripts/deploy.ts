@@ -1,11 +1,25 @@
-import { ethers } from "hardhat";
+import { artifacts, config, ethers, network } from "hardhat";
 import * as dotenv from "dotenv";
 
 dotenv.config();
 
+// Deployment registry and gateway checks shared with the root pipeline (scripts/deploy.js)
+/* eslint-disable @typescript-eslint/no-var-requires */
+const { computeAbiHash, recordDeployments } = require("../../../scripts/deployments");
+const {
+  assertGatewayConfig,
+  deploymentGateway,
+  printGatewayReport,
+  verifyGatewayConfig
+} = require("../../../scripts/gateway-config");
+/* eslint-enable @typescript-eslint/no-var-requires */
+
 /**
  * Deploy script for PetDNAMatching contract
  * With Gateway API v2.0+ configuration validation
+ *
+ * The deployment is recorded in deployments/<network>.json at the repository
+ * root, where the SDK, the CLI and the frontends look up contract addresses.
  */
 async function main() {
   console.log("\n🚀 Deploying PetDNAMatching Contract with Gateway API v2.0+\n");
@@ -18,37 +32,23 @@ async function main() {
   console.log("💰 Account balance:", ethers.formatEther(balance), "ETH\n");
 
   // Validate Gateway Configuration (v2.0+)
-  console.log("📋 Gateway Configuration:");
-  const numPausers = parseInt(process.env.NUM_PAUSERS || "2");
-  console.log(`  NUM_PAUSERS: ${numPausers}`);
-
-  const pauserAddresses: string[] = [];
-  for (let i = 0; i < numPausers; i++) {
-    const address = process.env[`PAUSER_ADDRESS_${i}`];
-    if (address) {
-      pauserAddresses.push(address);
-      console.log(`  PAUSER_ADDRESS_${i}: ${address}`);
-    } else {
-      console.warn(`  ⚠️  Warning: PAUSER_ADDRESS_${i} not configured`);
-    }
-  }
-
-  if (pauserAddresses.length !== numPausers) {
-    console.error("\n❌ Error: Number of pauser addresses doesn't match NUM_PAUSERS");
-    console.error(`  Expected: ${numPausers}, Found: ${pauserAddresses.length}`);
+  // @ts-ignore - Custom configuration
+  const gateway = await verifyGatewayConfig(config.gateway[network.name], ethers.provider);
+  printGatewayReport(gateway);
+  try {
+    assertGatewayConfig(gateway);
+  } catch (error) {
+    console.error(`\n❌ Error: ${(error as Error).message}`);
     process.exit(1);
   }
 
-  const gatewayUrl = process.env.GATEWAY_URL || "https://gateway.zama.ai";
-  console.log(`  GATEWAY_URL: ${gatewayUrl}`);
-
   // Deploy PetDNAMatching
   console.log("\n⏳ Deploying PetDNAMatching contract...");
 
   const PetDNAMatching = await ethers.getContractFactory("PetDNAMatching");
   const petDNAMatching = await PetDNAMatching.deploy();
 
-  await petDNAMatching.waitForDeployment();
+  const receipt = await petDNAMatching.deploymentTransaction()!.wait();
   const contractAddress = await petDNAMatching.getAddress();
 
   console.log("✅ PetDNAMatching deployed to:", contractAddress);
@@ -65,31 +65,33 @@ async function main() {
   console.log("  Chain ID:", (await ethers.provider.getNetwork()).chainId);
 
   // Save deployment info
-  const deploymentInfo = {
-    network: (await ethers.provider.getNetwork()).name,
-    chainId: Number((await ethers.provider.getNetwork()).chainId),
-    contractAddress: contractAddress,
+  const deployment = {
+    variant: "PetDNAMatching",
+    address: contractAddress,
+    abiHash: computeAbiHash((await artifacts.readArtifact("PetDNAMatching")).abi),
+    blockNumber: receipt!.blockNumber,
+    transactionHash: receipt!.hash,
     deployer: deployer.address,
-    deploymentTime: new Date().toISOString(),
-    gateway: {
-      gatewayUrl,
-      numPausers,
-      pauserAddresses
-    },
-    matchingCost: ethers.formatEther(matchingCost)
+    deployedAt: new Date().toISOString(),
+    gateway: deploymentGateway(gateway)
   };
 
   console.log("\n📝 Deployment Info:");
-  console.log(JSON.stringify(deploymentInfo, null, 2));
+  console.log(JSON.stringify(deployment, null, 2));
+
+  if (network.name !== "hardhat") {
+    const chainId = Number((await ethers.provider.getNetwork()).chainId);
+    const file = recordDeployments(network.name, chainId, [deployment]);
+    console.log(`  Recorded in ${file}`);
+  }
 
   // Post-deployment instructions
   console.log("\n✨ Deployment Complete!\n");
   console.log("📋 Next Steps:");
   console.log("  1. Verify contract on explorer (if mainnet/testnet):");
   console.log(`     npx hardhat verify --network ${(await ethers.provider.getNetwork()).name} ${contractAddress}`);
-  console.log("\n  2. Update frontend environment variables:");
-  console.log(`     NEXT_PUBLIC_CONTRACT_ADDRESS=${contractAddress}`);
-  console.log(`     NEXT_PUBLIC_CHAIN_ID=${(await ethers.provider.getNetwork()).chainId}`);
+  console.log("\n  2. Commit the deployment registry for the frontends:");
+  console.log(`     deployments/${network.name}.json`);
   console.log("\n  3. Test contract interaction:");
   console.log(`     npx hardhat console --network ${(await ethers.provider.getNetwork()).name}`);
   console.log("\n  4. Generate TypeChain types:");
@@ -101,7 +103,7 @@ async function main() {
   console.log("  - Client-side aggregation required");
   console.log("  - Listen for KMSGeneration events (not KMSManagement)");
   console.log("  - Use isPublicDecryptAllowed() for validation");
-  console.log(`  - Configured with ${numPausers} pauser addresses`);
+  console.log(`  - Configured with ${gateway.numPausers} pauser addresses`);
   console.log("\n");
 }
 
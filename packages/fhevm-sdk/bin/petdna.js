@@ -0,0 +1,4 @@
+#!/usr/bin/env node
+const { main } = require('../dist/cli/index.js');
+
+main().then((code) => process.exit(code));
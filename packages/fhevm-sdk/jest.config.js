@@ -0,0 +1,24 @@
+/**
+ * Jest configuration of the SDK
+ *
+ * Tests live next to the module they cover (`src/**\/*.test.ts`) and are
+ * transpiled by ts-jest without type checking; `tsc` type-checks the
+ * sources. fhevmjs is mocked in the tests that load FHEVMClient, so no
+ * WebAssembly is loaded.
+ */
+
+/** @type {import('jest').Config} */
+module.exports = {
+  testEnvironment: 'node',
+  roots: ['<rootDir>/src'],
+  testMatch: ['**/*.test.ts', '**/*.test.tsx'],
+  transform: {
+    '^.+\\.tsx?$': [
+      'ts-jest',
+      {
+        tsconfig: { module: 'commonjs', jsx: 'react', esModuleInterop: true, isolatedModules: true },
+        diagnostics: false,
+      },
+    ],
+  },
+};
@@ -0,0 +1,63 @@
+/**
+ * Generate src/petdna/abis.ts from the Hardhat artifacts of the PetDNA contracts
+ *
+ * Usage:
+ *   npx hardhat compile            # from the repository root
+ *   npm run generate:abis          # from packages/fhevm-sdk
+ *
+ * The artifacts directory defaults to the repository root `artifacts/` and
+ * can be overridden with `--artifacts <dir>`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONTRACTS = [
+  { name: 'EnhancedPetDNAMatching', constant: 'ENHANCED_PET_DNA_MATCHING_ABI' },
+  { name: 'PrivatePetDNAMatching', constant: 'PRIVATE_PET_DNA_MATCHING_ABI' },
+  { name: 'PetDNAMatching', constant: 'PET_DNA_MATCHING_ABI' },
+];
+
+const OUTPUT = path.join(__dirname, '..', 'src', 'petdna', 'abis.ts');
+
+function artifactsDir() {
+  const flag = process.argv.indexOf('--artifacts');
+  if (flag !== -1 && process.argv[flag + 1]) {
+    return path.resolve(process.argv[flag + 1]);
+  }
+  return path.join(__dirname, '..', '..', '..', 'artifacts');
+}
+
+function readAbi(dir, name) {
+  const file = path.join(dir, 'contracts', `${name}.sol`, `${name}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Artifact not found: ${file}. Run \`npx hardhat compile\` first.`);
+  }
+  // Errors and the constructor are not needed by the client
+  return JSON.parse(fs.readFileSync(file, 'utf8')).abi.filter(
+    (fragment) => fragment.type === 'function' || fragment.type === 'event'
+  );
+}
+
+function main() {
+  const dir = artifactsDir();
+  const sections = CONTRACTS.map(({ name, constant }) => {
+    const abi = JSON.stringify(readAbi(dir, name), null, 2);
+    return `/** ABI of ${name}.sol */\nexport const ${constant} = ${abi} as const;\n`;
+  });
+
+  const header = [
+    '/**',
+    ' * Contract ABIs of the PetDNA matching variants',
+    ' *',
+    ' * Generated by scripts/generate-abis.js from the Hardhat artifacts.',
+    ' * Do not edit by hand; recompile the contracts and rerun the script.',
+    ' */',
+    '',
+  ].join('\n');
+
+  fs.writeFileSync(OUTPUT, `${header}\n${sections.join('\n')}`.replace(/\n/g, '\r\n'));
+  console.log(`Wrote ${path.relative(process.cwd(), OUTPUT)}`);
+}
+
+main();
@@ -0,0 +1,108 @@
+/**
+ * Command definitions and argument helpers of the petdna CLI
+ */
+
+import { ethers } from 'ethers';
+import { ChainTransaction } from '../core/ChainAdapter';
+import { AnyPetDNAClient } from '../petdna/PetDNAClient';
+import { PetDNAVariant } from '../petdna/types';
+import { CliContext, GlobalOptions } from './context';
+import { CommandResult, UsageError } from './output';
+
+export interface CommandInput {
+  global: GlobalOptions;
+  positionals: string[]; // arguments after `<group> <action>`
+  options: Record<string, string | boolean | undefined>;
+  context(): CliContext; // created on first use, so offline commands need no RPC
+}
+
+export interface Command {
+  usage: string;
+  description: string;
+  run(input: CommandInput): Promise<CommandResult>;
+}
+
+export type CommandGroup = Record<string, Command>;
+
+/**
+ * Parse a positive integer ID argument
+ */
+export function parseId(value: string | undefined, label: string): number {
+  if (value === undefined) {
+    throw new UsageError(`Missing ${label}`);
+  }
+  const id = Number(value);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw new UsageError(`Invalid ${label}: ${value}`);
+  }
+  return id;
+}
+
+/**
+ * Parse a comma separated list of DNA values
+ */
+export function parseDNA(value: string | boolean | undefined, fields: string[]): number[] {
+  if (typeof value !== 'string') {
+    throw new UsageError(`Missing --dna ${fields.join(',')}`);
+  }
+  const values = value.split(',').map((part) => Number(part.trim()));
+  if (values.length !== fields.length || values.some((entry) => !Number.isInteger(entry) || entry < 0)) {
+    throw new UsageError(`--dna expects ${fields.length} non-negative integers: ${fields.join(',')}`);
+  }
+  return values;
+}
+
+export function requireString(options: CommandInput['options'], name: string): string {
+  const value = options[name];
+  if (typeof value !== 'string' || value === '') {
+    throw new UsageError(`Missing --${name}`);
+  }
+  return value;
+}
+
+export function requireAddress(value: string, label: string): string {
+  if (!ethers.utils.isAddress(value)) {
+    throw new UsageError(`Invalid ${label}: ${value}`);
+  }
+  return ethers.utils.getAddress(value);
+}
+
+/**
+ * Narrow the connected client to the variants supporting a command
+ */
+export function requireVariant<V extends PetDNAVariant>(
+  petDNA: AnyPetDNAClient,
+  command: string,
+  ...variants: V[]
+): Extract<AnyPetDNAClient, { variant: V }> {
+  if (!(variants as PetDNAVariant[]).includes(petDNA.variant)) {
+    throw new UsageError(`"${command}" is not supported by ${petDNA.variant} (needs ${variants.join(' or ')})`);
+  }
+  return petDNA as Extract<AnyPetDNAClient, { variant: V }>;
+}
+
+/**
+ * Send a transaction and summarize its receipt
+ */
+export async function sendAndConfirm(
+  ctx: CliContext,
+  send: Promise<ChainTransaction>
+): Promise<{ summary: Record<string, unknown>; events: ethers.utils.LogDescription[] }> {
+  const { receipt, events } = await ctx.confirm(await send);
+  return {
+    summary: {
+      txHash: receipt.transactionHash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString(),
+      explorer: ctx.explorerLink(receipt.transactionHash),
+    },
+    events,
+  };
+}
+
+export function findEvent(
+  events: ethers.utils.LogDescription[],
+  name: string
+): ethers.utils.LogDescription | undefined {
+  return events.find((event) => event.name === name);
+}
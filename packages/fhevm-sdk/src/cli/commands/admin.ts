@@ -0,0 +1,88 @@
+/**
+ * petdna admin fees|withdraw|pause|timeout (EnhancedPetDNAMatching owner)
+ */
+
+import { ethers } from 'ethers';
+import { CommandGroup, parseId, requireAddress, requireVariant, sendAndConfirm } from '../command';
+import { UsageError } from '../output';
+
+export const adminCommands: CommandGroup = {
+  fees: {
+    usage: 'admin fees',
+    description: 'Show the contract owner, accumulated platform fees and contract balance',
+    async run({ context }) {
+      const ctx = context();
+      const petDNA = requireVariant(await ctx.connect(), 'admin fees', 'EnhancedPetDNAMatching');
+      const [owner, stats, balance] = await Promise.all([
+        petDNA.getOwner(),
+        petDNA.getContractStats(),
+        ctx.provider.getBalance(petDNA.address),
+      ]);
+      return {
+        owner,
+        platformFees: `${ethers.utils.formatEther(stats.accumulatedFees)} ETH`,
+        platformFeesWei: stats.accumulatedFees.toString(),
+        balance: `${ethers.utils.formatEther(balance)} ETH`,
+        totalRequests: stats.totalRequests,
+      };
+    },
+  },
+
+  withdraw: {
+    usage: 'admin withdraw [--to <address>]',
+    description: 'Withdraw the platform fees to an address (default: your account)',
+    async run({ options, context }) {
+      const ctx = context();
+      const petDNA = requireVariant(await ctx.connect(), 'admin withdraw', 'EnhancedPetDNAMatching');
+      const to = typeof options.to === 'string' ? requireAddress(options.to, '--to') : await ctx.requireAccount();
+
+      const { accumulatedFees } = await petDNA.getContractStats();
+      if (accumulatedFees.isZero()) {
+        throw new UsageError('No platform fees to withdraw');
+      }
+
+      const { summary } = await sendAndConfirm(ctx, petDNA.withdrawPlatformFees(to));
+      return { to, amount: `${ethers.utils.formatEther(accumulatedFees)} ETH`, ...summary };
+    },
+  },
+
+  pause: {
+    usage: 'admin pause [on|off]',
+    description: 'Pause or resume registrations and matching requests; toggles without an argument',
+    async run({ positionals, context }) {
+      const ctx = context();
+      const petDNA = requireVariant(await ctx.connect(), 'admin pause', 'EnhancedPetDNAMatching');
+      const { isPaused } = await petDNA.getContractStats();
+
+      const mode = positionals[0];
+      if (mode !== undefined && mode !== 'on' && mode !== 'off') {
+        throw new UsageError(`Expected "on" or "off", got "${mode}"`);
+      }
+      const paused = mode === undefined ? !isPaused : mode === 'on';
+      if (paused === isPaused) {
+        return { paused, changed: false };
+      }
+
+      const { summary } = await sendAndConfirm(ctx, petDNA.togglePause());
+      return { paused, changed: true, ...summary };
+    },
+  },
+
+  timeout: {
+    usage: 'admin timeout [seconds]',
+    description: 'Show or set the gateway callback timeout',
+    async run({ positionals, context }) {
+      const ctx = context();
+      const petDNA = requireVariant(await ctx.connect(), 'admin timeout', 'EnhancedPetDNAMatching');
+
+      if (positionals[0] === undefined) {
+        const { callbackTimeout } = await petDNA.getContractStats();
+        return { callbackTimeout };
+      }
+
+      const seconds = parseId(positionals[0], 'timeout');
+      const { summary } = await sendAndConfirm(ctx, petDNA.setCallbackTimeout(seconds));
+      return { callbackTimeout: seconds, ...summary };
+    },
+  },
+};
@@ -0,0 +1,51 @@
+/**
+ * petdna deployments list
+ */
+
+import { ContractDeployment } from '../../deployments/DeploymentRegistry';
+import { loadCliConfig } from '../config';
+import { CommandGroup } from '../command';
+
+export const deploymentCommands: CommandGroup = {
+  list: {
+    usage: 'deployments list',
+    description: 'List the configured networks and their contracts, from petdna.config.json and deployments/',
+    async run({ global }) {
+      const config = loadCliConfig(global.config);
+      const rows: Record<string, unknown>[] = [];
+
+      for (const [key, network] of Object.entries(config.networks)) {
+        const isDefault = key === config.defaultNetwork;
+        const base = {
+          network: key,
+          chainId: network.chainId,
+          // A boolean for scripts, a label in the table
+          default: global.json ? isDefault : isDefault ? 'yes' : '',
+        };
+        const recorded: Record<string, ContractDeployment | undefined> = network.deployments?.contracts || {};
+        const configured: Record<string, string | undefined> = network.contracts;
+        const contracts = [...new Set([...Object.keys(recorded), ...Object.keys(configured)])].filter(
+          (contract) => !!configured[contract] || !!recorded[contract]
+        );
+
+        if (contracts.length === 0) {
+          rows.push({ ...base, contract: undefined, address: undefined });
+        }
+        for (const contract of contracts) {
+          const deployment = recorded[contract];
+          const address = configured[contract] || deployment?.address;
+          const fromRegistry = deployment?.address === address;
+          rows.push({
+            ...base,
+            contract,
+            address,
+            block: fromRegistry ? deployment?.blockNumber : undefined,
+            source: fromRegistry ? 'deployments' : 'config',
+          });
+        }
+      }
+
+      return rows;
+    },
+  },
+};
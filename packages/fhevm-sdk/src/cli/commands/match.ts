@@ -0,0 +1,179 @@
+/**
+ * petdna match request|status|refund
+ */
+
+import { ethers } from 'ethers';
+import { EnhancedPetDNAClient } from '../../petdna/PetDNAClient';
+import { MatchingRequestTracker, TrackedMatchingRequest } from '../../petdna/MatchingRequestTracker';
+import { MatchingRequest } from '../../petdna/types';
+import { CliContext } from '../context';
+import { CommandGroup, findEvent, parseId, requireVariant, sendAndConfirm } from '../command';
+import { UsageError } from '../output';
+
+// Extra time granted to the gateway after the on-chain deadline
+const WAIT_MARGIN_MS = 30000;
+
+function describeStatus(request: MatchingRequest, claimable: boolean): string {
+  if (request.isCompleted) {
+    return 'completed';
+  }
+  if (request.isRefunded) {
+    return 'refunded';
+  }
+  return claimable ? 'timed out (refundable)' : 'pending';
+}
+
+/**
+ * Follow a request until the gateway callback or a refund, or until its
+ * deadline has passed
+ */
+async function waitForResult(
+  ctx: CliContext,
+  petDNA: EnhancedPetDNAClient,
+  requestId: number,
+  fromBlock: number
+): Promise<TrackedMatchingRequest | null> {
+  const request = await petDNA.getMatchingRequest(requestId);
+  const latest = await ctx.provider.getBlock('latest');
+  const waitMs = Math.max(0, request.timeoutDeadline - latest.timestamp) * 1000 + WAIT_MARGIN_MS;
+
+  const tracker = new MatchingRequestTracker({ address: petDNA.address, provider: ctx.provider, fromBlock });
+  const updates = tracker.watch(requestId);
+  let timer: ReturnType<typeof setTimeout> | undefined;
+  const timeout = new Promise<null>((resolve) => {
+    timer = setTimeout(() => resolve(null), waitMs);
+  });
+
+  let last: TrackedMatchingRequest | null = null;
+  try {
+    for (;;) {
+      const next = await Promise.race([updates.next(), timeout]);
+      if (!next || next.done) {
+        break;
+      }
+      last = next.value;
+      if (last.status === 'completed' || last.status === 'refunded') {
+        break;
+      }
+    }
+  } finally {
+    clearTimeout(timer);
+    await updates.return?.();
+    tracker.stop();
+  }
+  return last;
+}
+
+export const matchCommands: CommandGroup = {
+  request: {
+    usage: 'match request <petId1> <petId2> [--wait]  (match request <petId> on PrivatePetDNAMatching)',
+    description: 'Request a compatibility match, paying the matching fee; --wait follows the gateway callback',
+    async run({ positionals, options, context }) {
+      const ctx = context();
+      const petDNA = await ctx.connect();
+      const petId1 = parseId(positionals[0], 'pet ID');
+
+      if (petDNA.variant === 'PrivatePetDNAMatching') {
+        const { summary, events } = await sendAndConfirm(ctx, petDNA.requestMatching(petId1));
+        const requested = findEvent(events, 'MatchingRequested');
+        return { requestId: requested?.args.requestId.toNumber(), petId: petId1, ...summary };
+      }
+
+      const petId2 = parseId(positionals[1], 'second pet ID');
+      const fee = await petDNA.getMatchingFee();
+      const { summary, events } = await sendAndConfirm(ctx, petDNA.requestMatching(petId1, petId2));
+      const requested = findEvent(events, 'MatchingRequested');
+      const requestId: number | undefined = requested?.args.requestId.toNumber();
+      const result: Record<string, unknown> = {
+        requestId,
+        petId1,
+        petId2,
+        fee: `${ethers.utils.formatEther(fee)} ETH`,
+        ...summary,
+      };
+
+      if (options.wait && petDNA.variant === 'EnhancedPetDNAMatching' && requestId !== undefined) {
+        const outcome = await waitForResult(ctx, petDNA, requestId, summary.blockNumber as number);
+        result.status = outcome?.status === 'requested' || outcome?.status === 'decrypting' ? 'pending' : outcome?.status;
+        result.compatibilityScore = outcome?.compatibilityScore;
+        result.isSuccessfulMatch = outcome?.isSuccessfulMatch;
+        result.refundReason = outcome?.refundReason;
+      }
+      return result;
+    },
+  },
+
+  status: {
+    usage: 'match status <requestId>',
+    description: 'Show a matching request and whether its timeout refund can be claimed',
+    async run({ positionals, context }) {
+      const requestId = parseId(positionals[0], 'request ID');
+      const petDNA = requireVariant(
+        await context().connect(),
+        'match status',
+        'EnhancedPetDNAMatching',
+        'PrivatePetDNAMatching'
+      );
+
+      if (petDNA.variant === 'PrivatePetDNAMatching') {
+        const request = await petDNA.getMatchingRequest(requestId);
+        return {
+          requestId,
+          petId: request.petId,
+          requester: request.requester,
+          active: request.isActive,
+          requested: new Date(request.requestTime * 1000).toISOString(),
+          bestMatchId: request.bestMatchId || undefined,
+          candidates: request.potentialMatchCount,
+        };
+      }
+
+      const request = await petDNA.getMatchingRequest(requestId);
+      if (request.requestTime === 0) {
+        throw new UsageError(`Matching request #${requestId} does not exist`);
+      }
+      const claimable = await petDNA.canClaimTimeoutRefund(requestId);
+      return {
+        requestId,
+        petId1: request.petId1,
+        petId2: request.petId2,
+        requester: request.requester,
+        status: describeStatus(request, claimable),
+        compatibilityScore: request.isCompleted ? request.compatibilityScore : undefined,
+        requested: new Date(request.requestTime * 1000).toISOString(),
+        deadline: new Date(request.timeoutDeadline * 1000).toISOString(),
+        refundable: claimable,
+      };
+    },
+  },
+
+  refund: {
+    usage: 'match refund <requestId>',
+    description: 'Claim the fee back for a request whose gateway callback timed out',
+    async run({ positionals, context }) {
+      const ctx = context();
+      const requestId = parseId(positionals[0], 'request ID');
+      const petDNA = requireVariant(await ctx.connect(), 'match refund', 'EnhancedPetDNAMatching');
+
+      if (!(await petDNA.canClaimTimeoutRefund(requestId))) {
+        const request = await petDNA.getMatchingRequest(requestId);
+        const reason =
+          request.requestTime === 0
+            ? 'it does not exist'
+            : request.isCompleted || request.isRefunded
+              ? `it is already ${request.isCompleted ? 'completed' : 'refunded'}`
+              : `its deadline ${new Date(request.timeoutDeadline * 1000).toISOString()} has not passed`;
+        throw new UsageError(`Matching request #${requestId} cannot be refunded: ${reason}`);
+      }
+
+      const { summary, events } = await sendAndConfirm(ctx, petDNA.claimTimeoutRefund(requestId));
+      const refunded = findEvent(events, 'MatchingRefunded');
+      return {
+        requestId,
+        amount: refunded ? `${ethers.utils.formatEther(refunded.args.amount)} ETH` : undefined,
+        to: refunded?.args.requester,
+        ...summary,
+      };
+    },
+  },
+};
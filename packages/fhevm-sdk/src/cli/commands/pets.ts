@@ -0,0 +1,220 @@
+/**
+ * petdna pets list|show|register|toggle|import-dna
+ */
+
+import * as fs from 'fs';
+import { DNAImportResult, importDNA, toLegacyDNA } from '../../petdna/DNAImport';
+import { AnyPetDNAClient } from '../../petdna/PetDNAClient';
+import {
+  CommandGroup,
+  CommandInput,
+  findEvent,
+  parseDNA,
+  parseId,
+  requireAddress,
+  requireString,
+  sendAndConfirm,
+} from '../command';
+import { UsageError } from '../output';
+
+const ENHANCED_DNA = ['marker1', 'marker2', 'marker3', 'marker4', 'healthRisk', 'temperament'];
+const PRIVATE_DNA = ['marker1', 'marker2', 'marker3', 'marker4', 'healthRisk'];
+const LEGACY_DNA = ['healthScore', 'geneticMarker1', 'geneticMarker2', 'geneticMarker3', 'temperament'];
+
+function importDNAFile(file: string, options: CommandInput['options']): DNAImportResult {
+  if (!fs.existsSync(file)) {
+    throw new UsageError(`DNA file not found: ${file}`);
+  }
+  return importDNA(fs.readFileSync(file, 'utf8'), {
+    fileName: file,
+    sample: typeof options.sample === 'string' ? options.sample : undefined,
+  });
+}
+
+/**
+ * DNA values in `fields` order, from the imported file or `--dna`
+ */
+function dnaValues(options: CommandInput['options'], imported: object | null | undefined, fields: string[]): number[] {
+  if (!imported) {
+    return parseDNA(options.dna, fields);
+  }
+  return fields.map((field) => (imported as Record<string, number>)[field]);
+}
+
+async function describePet(petDNA: AnyPetDNAClient, petId: number): Promise<Record<string, unknown>> {
+  if (petDNA.variant === 'PetDNAMatching') {
+    const pet = await petDNA.getPetInfo(petId);
+    return {
+      id: pet.id,
+      name: pet.name,
+      species: pet.species,
+      breed: pet.breed,
+      birthYear: pet.birthYear,
+      owner: pet.owner,
+      available: pet.isAvailableForBreeding,
+    };
+  }
+
+  const pet = await petDNA.getPetInfo(petId);
+  return {
+    id: pet.id,
+    name: pet.name,
+    breed: pet.breed,
+    age: pet.age,
+    owner: pet.owner,
+    available: pet.isAvailableForBreeding,
+    registered: new Date(pet.registrationTime * 1000).toISOString(),
+  };
+}
+
+export const petCommands: CommandGroup = {
+  list: {
+    usage: 'pets list [--owner <address> | --all]',
+    description: 'List the pets of an owner (default: your account) or every pet',
+    async run({ options, context }) {
+      const ctx = context();
+      const petDNA = await ctx.connect();
+
+      let ids: number[];
+      if (options.all) {
+        const total = await petDNA.getTotalPets();
+        ids = Array.from({ length: total }, (_, index) => index + 1);
+      } else {
+        const owner =
+          typeof options.owner === 'string' ? requireAddress(options.owner, 'owner') : await ctx.requireAccount();
+        ids = await petDNA.getOwnerPets(owner);
+      }
+
+      return Promise.all(ids.map((id) => describePet(petDNA, id)));
+    },
+  },
+
+  show: {
+    usage: 'pets show <petId>',
+    description: 'Show a pet, with its match history on PetDNAMatching',
+    async run({ positionals, context }) {
+      const petId = parseId(positionals[0], 'pet ID');
+      const petDNA = await context().connect();
+      const pet = await describePet(petDNA, petId);
+
+      if (petDNA.variant === 'PetDNAMatching') {
+        const matches = await petDNA.getPetMatches(petId);
+        pet.matches = matches.map(
+          (match) => `#${match.requestId} ${match.petId1}x${match.petId2} ${match.compatibilityScore}%`
+        );
+      }
+      return pet;
+    },
+  },
+
+  register: {
+    usage:
+      'pets register --name <name> --breed <breed> (--age <years> | --species <species> --birth-year <year>) ' +
+      '(--dna <values> | --dna-file <file> [--sample <name>])',
+    description:
+      'Register a pet; --dna is marker1,marker2,marker3,marker4,healthRisk[,temperament] ' +
+      '(healthScore,geneticMarker1,geneticMarker2,geneticMarker3,temperament on PetDNAMatching), ' +
+      '--dna-file a VCF or CSV/TSV lab export',
+    async run({ options, context }) {
+      if (options.dna !== undefined && options['dna-file'] !== undefined) {
+        throw new UsageError('Pass either --dna or --dna-file');
+      }
+      const imported = typeof options['dna-file'] === 'string' ? importDNAFile(options['dna-file'], options) : null;
+      const ctx = context();
+      const petDNA = await ctx.connect(true);
+      const name = requireString(options, 'name');
+      const breed = requireString(options, 'breed');
+
+      let send;
+      if (petDNA.variant === 'PetDNAMatching') {
+        const [healthScore, geneticMarker1, geneticMarker2, geneticMarker3, temperament] = dnaValues(
+          options,
+          imported && toLegacyDNA(imported.dna),
+          LEGACY_DNA
+        );
+        send = petDNA.registerPet({
+          name,
+          species: requireString(options, 'species'),
+          breed,
+          birthYear: parseId(requireString(options, 'birth-year'), 'birth year'),
+          healthScore,
+          geneticMarker1,
+          geneticMarker2,
+          geneticMarker3,
+          temperament,
+        });
+      } else {
+        const age = Number(requireString(options, 'age'));
+        if (!Number.isInteger(age) || age < 0) {
+          throw new UsageError(`Invalid --age: ${options.age}`);
+        }
+        if (petDNA.variant === 'EnhancedPetDNAMatching') {
+          const [marker1, marker2, marker3, marker4, healthRisk, temperament] = dnaValues(
+            options,
+            imported?.dna,
+            ENHANCED_DNA
+          );
+          send = petDNA.registerPet({
+            name,
+            breed,
+            age,
+            dna: { marker1, marker2, marker3, marker4, healthRisk, temperament },
+          });
+        } else {
+          const [marker1, marker2, marker3, marker4, healthRisk] = dnaValues(options, imported?.dna, PRIVATE_DNA);
+          send = petDNA.registerPet({ name, breed, age, dna: { marker1, marker2, marker3, marker4, healthRisk } });
+        }
+      }
+
+      const { summary, events } = await sendAndConfirm(ctx, send);
+      const registered = findEvent(events, 'PetRegistered');
+      return {
+        petId: registered?.args.petId.toNumber(),
+        name,
+        dnaQuantization: imported ? `v${imported.version}` : undefined,
+        ...summary,
+      };
+    },
+  },
+
+  'import-dna': {
+    usage: 'pets import-dna <file> [--sample <name>]',
+    description: 'Preview the DNA values a VCF or CSV/TSV lab export registers as, without sending anything',
+    async run({ positionals, options }) {
+      if (!positionals[0]) {
+        throw new UsageError('Missing DNA file');
+      }
+      const imported = importDNAFile(positionals[0], options);
+      return {
+        quantization: `v${imported.version}`,
+        format: imported.format,
+        sample: imported.sample ?? undefined,
+        ...imported.dna,
+        legacy: toLegacyDNA(imported.dna),
+        loci: imported.loci,
+        skipped: imported.skipped,
+        healthFindings: imported.healthFindings.map((finding) => `${finding.condition}: ${finding.status}`),
+        warnings: imported.warnings,
+      };
+    },
+  },
+
+  toggle: {
+    usage: 'pets toggle <petId>',
+    description: 'Switch whether a pet is available for breeding',
+    async run({ positionals, context }) {
+      const ctx = context();
+      const petId = parseId(positionals[0], 'pet ID');
+      const petDNA = await ctx.connect();
+
+      const send =
+        petDNA.variant === 'PetDNAMatching'
+          ? petDNA.setBreedingStatus(petId, !(await petDNA.getPetInfo(petId)).isAvailableForBreeding)
+          : petDNA.toggleBreedingStatus(petId);
+
+      const { summary } = await sendAndConfirm(ctx, send);
+      const pet = await petDNA.getPetInfo(petId);
+      return { petId, available: pet.isAvailableForBreeding, ...summary };
+    },
+  },
+};
@@ -0,0 +1,107 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { loadCliConfig, resolveNetwork } from './config';
+import { UsageError } from './output';
+
+const CONFIGURED = '0x00000000000000000000000000000000000000e1';
+const RECORDED = '0x00000000000000000000000000000000000000e2';
+
+let dir: string;
+
+function writeJson(relativePath: string, data: object): string {
+  const file = path.join(dir, relativePath);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data));
+  return file;
+}
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'petdna-config-'));
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+  delete process.env.PETDNA_TEST_RPC;
+  delete process.env.PETDNA_NETWORK;
+});
+
+describe('loadCliConfig', () => {
+  it('merges config networks and recorded deployments over the built-in networks', () => {
+    writeJson('registries/localhost.json', {
+      version: 1,
+      network: 'localhost',
+      chainId: 31337,
+      contracts: {
+        EnhancedPetDNAMatching: { variant: 'EnhancedPetDNAMatching', address: RECORDED, blockNumber: 9 },
+        PetDNAMatching: { variant: 'PetDNAMatching', address: RECORDED, blockNumber: 4 },
+      },
+    });
+    const file = writeJson('petdna.config.json', {
+      deploymentsDir: 'registries',
+      networks: {
+        localhost: { contracts: { EnhancedPetDNAMatching: CONFIGURED } },
+        devnet: { chainId: 9000, rpcUrl: 'http://devnet', contracts: {} },
+      },
+    });
+
+    const config = loadCliConfig(file);
+
+    expect(config.source).toBe(file);
+    expect(config.defaultNetwork).toBe('localhost');
+    expect(config.networks.localhost).toMatchObject({
+      name: 'Localhost',
+      mock: true,
+      fromBlock: 4,
+      contracts: { EnhancedPetDNAMatching: CONFIGURED, PetDNAMatching: RECORDED },
+    });
+    expect(config.networks.devnet.name).toBe('devnet');
+    // Opted out of key verification: no KMS verifier is known for the Sepolia gateway
+    expect(config.networks.sepolia).toMatchObject({ allowUnverifiedPublicKey: true });
+    expect(config.networks.sepolia.kmsVerifierAddress).toBeUndefined();
+    expect(Object.keys(config.networks)).toEqual(['sepolia', 'localhost', 'devnet']);
+  });
+
+  it('reports invalid config files and registries', () => {
+    const file = writeJson('petdna.config.json', {});
+    fs.writeFileSync(file, '{');
+    expect(() => loadCliConfig(file)).toThrow(`Invalid config file ${file}`);
+
+    writeJson('petdna.config.json', {});
+    writeJson('deployments/localhost.json', { version: 1, network: 'localhost', chainId: 31337 });
+    expect(() => loadCliConfig(file)).toThrow(UsageError);
+    expect(() => loadCliConfig(file)).toThrow('contracts are missing');
+  });
+});
+
+describe('resolveNetwork', () => {
+  const config = () =>
+    loadCliConfig(
+      writeJson('petdna.config.json', {
+        defaultNetwork: 'devnet',
+        networks: { devnet: { chainId: 9000, rpcUrl: '${PETDNA_TEST_RPC}/rpc', contracts: {} } },
+      })
+    );
+
+  it('expands environment references of the default network', () => {
+    process.env.PETDNA_TEST_RPC = 'http://node:8545';
+
+    expect(resolveNetwork(config())).toMatchObject({ key: 'devnet', rpcUrl: 'http://node:8545/rpc' });
+  });
+
+  it('picks the given name, then PETDNA_NETWORK, then the default', () => {
+    process.env.PETDNA_NETWORK = 'localhost';
+    process.env.PETDNA_TEST_RPC = 'http://node:8545';
+    const loaded = config();
+
+    expect(resolveNetwork(loaded).key).toBe('localhost');
+    expect(resolveNetwork(loaded, 'devnet').key).toBe('devnet');
+  });
+
+  it('rejects unknown networks and unset variables', () => {
+    expect(() => resolveNetwork(config(), 'mainnet')).toThrow(
+      'Unknown network "mainnet". Configured networks: sepolia, localhost, devnet'
+    );
+    expect(() => resolveNetwork(config())).toThrow('Network "devnet" needs the PETDNA_TEST_RPC environment variable');
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * Network configuration of the petdna CLI
+ *
+ * Networks come from the SDK's NETWORKS and can be extended or overridden
+ * by a `petdna.config.json` in the working directory (or `--config`):
+ *
+ * ```json
+ * {
+ *   "defaultNetwork": "sepolia",
+ *   "networks": {
+ *     "sepolia": {
+ *       "rpcUrl": "${SEPOLIA_URL}",
+ *       "contracts": { "EnhancedPetDNAMatching": "0x..." }
+ *     }
+ *   }
+ * }
+ * ```
+ *
+ * `${VAR}` references are expanded from the environment.
+ *
+ * Contracts recorded by `scripts/deploy.js` in `deployments/<network>.json`
+ * (or `deploymentsDir`, relative to the config file) are added to the
+ * matching networks; addresses in the config file take precedence.
+ */
+
+import * as fs from 'fs';
+import * as path from 'path';
+import { NETWORKS } from '../utils/types';
+import { PetDNAVariant } from '../petdna/types';
+import { DeploymentRegistry, parseDeploymentRegistry } from '../deployments/DeploymentRegistry';
+import { UsageError } from './output';
+
+export interface CliNetworkConfig {
+  name: string;
+  chainId: number;
+  rpcUrl: string;
+  gatewayUrl?: string;
+  aclAddress?: string;
+  kmsVerifierAddress?: string;
+  allowUnverifiedPublicKey?: boolean; // accept the FHE public key without a KMS verifier
+  blockExplorer?: string;
+  mock?: boolean; // local node running the FHEVM mock
+  fromBlock?: number; // deployment block, bounds event queries
+  contracts: Partial<Record<PetDNAVariant, string>>;
+  deployments?: DeploymentRegistry; // registry file of the network, if any
+}
+
+export interface CliConfig {
+  defaultNetwork: string;
+  networks: Record<string, CliNetworkConfig>;
+  source: string | null; // config file path, null when only defaults are used
+  deploymentsDir: string;
+}
+
+export const DEFAULT_CONFIG_FILE = 'petdna.config.json';
+export const DEFAULT_DEPLOYMENTS_DIR = 'deployments';
+
+const CLIENT_VARIANTS: PetDNAVariant[] = ['EnhancedPetDNAMatching', 'PrivatePetDNAMatching', 'PetDNAMatching'];
+
+const BUILTIN_NETWORKS: Record<string, CliNetworkConfig> = {
+  sepolia: {
+    ...NETWORKS.sepolia,
+    rpcUrl: '${SEPOLIA_URL}',
+    // The gateway's key signatures cannot be checked, see FHEVMClient.verifyPublicKey
+    allowUnverifiedPublicKey: true,
+    contracts: {},
+  },
+  localhost: {
+    ...NETWORKS.localhost,
+    rpcUrl: 'http://127.0.0.1:8545',
+    mock: true,
+    contracts: {},
+  },
+};
+
+/**
+ * Load the CLI configuration
+ *
+ * @param configPath - Explicit config file; it must exist when given
+ */
+export function loadCliConfig(configPath?: string): CliConfig {
+  const file = path.resolve(configPath || DEFAULT_CONFIG_FILE);
+  if (!fs.existsSync(file)) {
+    if (configPath) {
+      throw new UsageError(`Config file not found: ${file}`);
+    }
+    const deploymentsDir = path.resolve(DEFAULT_DEPLOYMENTS_DIR);
+    return {
+      defaultNetwork: 'localhost',
+      networks: applyDeployments({ ...BUILTIN_NETWORKS }, deploymentsDir),
+      source: null,
+      deploymentsDir,
+    };
+  }
+
+  let raw: any;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new UsageError(`Invalid config file ${file}: ${(error as Error).message}`);
+  }
+
+  const networks: Record<string, CliNetworkConfig> = { ...BUILTIN_NETWORKS };
+  for (const [name, network] of Object.entries<any>(raw.networks || {})) {
+    const base = BUILTIN_NETWORKS[name];
+    networks[name] = {
+      ...base,
+      ...network,
+      name: network.name || base?.name || name,
+      contracts: { ...base?.contracts, ...network.contracts },
+    };
+  }
+
+  const deploymentsDir = path.resolve(path.dirname(file), raw.deploymentsDir || DEFAULT_DEPLOYMENTS_DIR);
+  return {
+    defaultNetwork: raw.defaultNetwork || 'localhost',
+    networks: applyDeployments(networks, deploymentsDir),
+    source: file,
+    deploymentsDir,
+  };
+}
+
+/**
+ * Read every registry file of a deployments directory
+ *
+ * @throws UsageError for unreadable or invalid registry files
+ */
+export function loadDeploymentRegistries(dir: string): DeploymentRegistry[] {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(dir)
+    .filter((entry) => entry.endsWith('.json'))
+    .sort()
+    .map((entry) => {
+      const file = path.join(dir, entry);
+      try {
+        return parseDeploymentRegistry(JSON.parse(fs.readFileSync(file, 'utf8')), file);
+      } catch (error) {
+        throw new UsageError(`Invalid deployment registry ${file}: ${(error as Error).message}`);
+      }
+    });
+}
+
+/**
+ * Add the recorded contracts to the configured networks they belong to
+ */
+function applyDeployments(
+  networks: Record<string, CliNetworkConfig>,
+  dir: string
+): Record<string, CliNetworkConfig> {
+  for (const registry of loadDeploymentRegistries(dir)) {
+    const network = networks[registry.network];
+    if (!network) {
+      continue; // no RPC endpoint to reach it
+    }
+    if (network.chainId !== registry.chainId) {
+      throw new UsageError(
+        `deployments/${registry.network}.json is for chain ${registry.chainId}, ` +
+          `but network "${registry.network}" has chain ${network.chainId}`
+      );
+    }
+
+    const recorded: Partial<Record<PetDNAVariant, string>> = {};
+    const blocks: number[] = [];
+    for (const variant of CLIENT_VARIANTS) {
+      const deployment = registry.contracts[variant];
+      if (deployment) {
+        recorded[variant] = deployment.address;
+        blocks.push(deployment.blockNumber);
+      }
+    }
+
+    networks[registry.network] = {
+      ...network,
+      contracts: { ...recorded, ...network.contracts },
+      fromBlock: network.fromBlock ?? (blocks.length > 0 ? Math.min(...blocks) : undefined),
+      deployments: registry,
+    };
+  }
+  return networks;
+}
+
+/**
+ * Pick a network and expand environment references in its settings
+ *
+ * @throws UsageError for unknown networks or unset environment variables
+ */
+export function resolveNetwork(config: CliConfig, name?: string): CliNetworkConfig & { key: string } {
+  const key = name || process.env.PETDNA_NETWORK || config.defaultNetwork;
+  const network = config.networks[key];
+  if (!network) {
+    throw new UsageError(
+      `Unknown network "${key}". Configured networks: ${Object.keys(config.networks).join(', ')}`
+    );
+  }
+  if (typeof network.chainId !== 'number' || !network.rpcUrl) {
+    throw new UsageError(`Network "${key}" needs a numeric chainId and an rpcUrl`);
+  }
+
+  return { ...network, rpcUrl: expandEnv(network.rpcUrl, key), key };
+}
+
+function expandEnv(value: string, network: string): string {
+  return value.replace(/\$\{(\w+)\}/g, (_match, variable: string) => {
+    const resolved = process.env[variable];
+    if (!resolved) {
+      throw new UsageError(`Network "${network}" needs the ${variable} environment variable`);
+    }
+    return resolved;
+  });
+}
@@ -0,0 +1,152 @@
+/**
+ * Runtime shared by the petdna CLI commands
+ *
+ * Resolves the network, signer and contract for one invocation. The
+ * FHEVMClient is only initialized for commands that encrypt inputs, so
+ * read-only commands never fetch the network public key.
+ */
+
+import * as os from 'os';
+import * as path from 'path';
+import { ethers } from 'ethers';
+import { ChainReceipt, ChainTransaction } from '../core/ChainAdapter';
+import { FHEVMClient } from '../core/FHEVMClient';
+import { FileSystemPublicKeyStorage } from '../core/PublicKeyStorage';
+import { createFileDecryptionCache } from '../core/DecryptionCache';
+import { AnyPetDNAClient, PetDNAClient } from '../petdna/PetDNAClient';
+import { PetDNAVariant } from '../petdna/types';
+import { CliConfig, CliNetworkConfig, loadCliConfig, resolveNetwork } from './config';
+import { UsageError } from './output';
+
+export interface GlobalOptions {
+  network?: string;
+  config?: string;
+  address?: string;
+  json: boolean;
+}
+
+// Detection order when a network lists several deployments
+const VARIANT_PREFERENCE: PetDNAVariant[] = ['EnhancedPetDNAMatching', 'PrivatePetDNAMatching', 'PetDNAMatching'];
+
+export class CliContext {
+  readonly config: CliConfig;
+  readonly network: CliNetworkConfig & { key: string };
+  readonly provider: ethers.providers.JsonRpcProvider;
+  readonly signer: ethers.Signer | null;
+  private client: FHEVMClient | null = null;
+  private petDNA: AnyPetDNAClient | null = null;
+
+  constructor(readonly options: GlobalOptions) {
+    this.config = loadCliConfig(options.config);
+    this.network = resolveNetwork(this.config, options.network);
+    this.provider = new ethers.providers.JsonRpcProvider(this.network.rpcUrl, this.network.chainId);
+    this.signer = this.createSigner();
+  }
+
+  /**
+   * Address of the signing account
+   *
+   * @throws UsageError when no account is configured
+   */
+  async requireAccount(): Promise<string> {
+    if (!this.signer) {
+      throw new UsageError('No account configured: set PETDNA_PRIVATE_KEY (or PRIVATE_KEY)');
+    }
+    return this.signer.getAddress();
+  }
+
+  /**
+   * Connect to the PetDNA contract of the selected network
+   *
+   * @param encryption - Initialize the FHEVMClient for encrypted inputs
+   */
+  async connect(encryption: boolean = false): Promise<AnyPetDNAClient> {
+    if (!this.petDNA) {
+      const { address, variant } = this.resolveContract();
+      this.client = new FHEVMClient({
+        provider: this.provider,
+        signer: this.signer || undefined,
+        chainId: this.network.chainId,
+        gatewayUrl: this.network.gatewayUrl,
+        aclAddress: this.network.aclAddress,
+        kmsVerifierAddress: this.network.kmsVerifierAddress,
+        allowUnverifiedPublicKey: this.network.allowUnverifiedPublicKey,
+        publicKeyStorage: new FileSystemPublicKeyStorage(path.join(os.homedir(), '.petdna')),
+        decryptionCache: createFileDecryptionCache({ directory: path.join(os.homedir(), '.petdna') }),
+        mock: this.network.mock,
+      });
+
+      this.petDNA = await PetDNAClient.connect({
+        address,
+        client: this.client,
+        // Reads work without an account; writes fail in the VoidSigner
+        signer: this.signer || new ethers.VoidSigner(ethers.constants.AddressZero, this.provider),
+        variant,
+      });
+    }
+
+    if (encryption) {
+      await this.requireAccount();
+      await this.client!.initialize();
+    }
+
+    return this.petDNA;
+  }
+
+  /**
+   * Wait for a transaction and describe its receipt
+   */
+  async confirm(
+    tx: ChainTransaction
+  ): Promise<{ receipt: ChainReceipt; events: ethers.utils.LogDescription[] }> {
+    const receipt = await tx.wait();
+    const iface = this.petDNA!.getContract().getInterface();
+    const events: ethers.utils.LogDescription[] = [];
+    for (const log of receipt.logs) {
+      try {
+        events.push(iface.parseLog(log));
+      } catch {
+        // Logs of other contracts (ACL, coprocessor)
+      }
+    }
+    return { receipt, events };
+  }
+
+  explorerLink(txHash: string): string | undefined {
+    return this.network.blockExplorer ? `${this.network.blockExplorer}/tx/${txHash}` : undefined;
+  }
+
+  private resolveContract(): { address: string; variant?: PetDNAVariant } {
+    const explicit = this.options.address || process.env.PETDNA_CONTRACT;
+    if (explicit) {
+      if (!ethers.utils.isAddress(explicit)) {
+        throw new UsageError(`Invalid contract address: ${explicit}`);
+      }
+      return { address: explicit };
+    }
+
+    for (const variant of VARIANT_PREFERENCE) {
+      const address = this.network.contracts[variant];
+      if (address) {
+        return { address, variant };
+      }
+    }
+
+    throw new UsageError(
+      `No PetDNA contract for network "${this.network.key}": pass --address, add it to petdna.config.json ` +
+        `or record a deployment in deployments/${this.network.key}.json`
+    );
+  }
+
+  private createSigner(): ethers.Signer | null {
+    const privateKey = process.env.PETDNA_PRIVATE_KEY || process.env.PRIVATE_KEY;
+    if (privateKey) {
+      return new ethers.Wallet(privateKey, this.provider);
+    }
+    // Local nodes sign with their first unlocked account
+    if (this.network.mock) {
+      return this.provider.getSigner(0);
+    }
+    return null;
+  }
+}
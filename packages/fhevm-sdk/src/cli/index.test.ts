@@ -0,0 +1,133 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { main } from './index';
+
+jest.mock('fhevmjs', () => ({ createInstance: jest.fn() }), { virtual: true });
+
+const ENHANCED = '0x00000000000000000000000000000000000000e1';
+const LEGACY = '0x00000000000000000000000000000000000000a1';
+
+let dir: string;
+let stdout: string[];
+let stderr: string[];
+
+/**
+ * Write a config file and deployment registries to a fresh directory
+ */
+function writeConfig(config: object, registries: object[] = []): string {
+  fs.mkdirSync(path.join(dir, 'deployments'));
+  for (const registry of registries) {
+    const file = path.join(dir, 'deployments', `${(registry as { network: string }).network}.json`);
+    fs.writeFileSync(file, JSON.stringify(registry));
+  }
+  const file = path.join(dir, 'petdna.config.json');
+  fs.writeFileSync(file, JSON.stringify(config));
+  return file;
+}
+
+const sepoliaRegistry = {
+  version: 1,
+  network: 'sepolia',
+  chainId: 11155111,
+  contracts: { PetDNAMatching: { variant: 'PetDNAMatching', address: LEGACY, blockNumber: 42 } },
+};
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'petdna-cli-'));
+  stdout = [];
+  stderr = [];
+  jest.spyOn(console, 'log').mockImplementation((line) => stdout.push(String(line)));
+  jest.spyOn(console, 'error').mockImplementation((line) => stderr.push(String(line)));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('petdna deployments list', () => {
+  const config = {
+    defaultNetwork: 'sepolia',
+    networks: { sepolia: { contracts: { EnhancedPetDNAMatching: ENHANCED } } },
+  };
+
+  it('prints JSON rows with a boolean default flag', async () => {
+    const file = writeConfig(config, [sepoliaRegistry]);
+
+    expect(await main(['deployments', 'list', '--config', file, '--json'])).toBe(0);
+
+    expect(JSON.parse(stdout.join('\n'))).toEqual([
+      {
+        network: 'sepolia',
+        chainId: 11155111,
+        default: true,
+        contract: 'PetDNAMatching',
+        address: LEGACY,
+        block: 42,
+        source: 'deployments',
+      },
+      {
+        network: 'sepolia',
+        chainId: 11155111,
+        default: true,
+        contract: 'EnhancedPetDNAMatching',
+        address: ENHANCED,
+        source: 'config',
+      },
+      { network: 'localhost', chainId: 31337, default: false },
+    ]);
+  });
+
+  it('labels the default network in the table', async () => {
+    const file = writeConfig(config);
+
+    expect(await main(['deployments', 'list', '--config', file])).toBe(0);
+
+    const [header, ...rows] = stdout;
+    expect(header.split(/\s+/).slice(0, 4)).toEqual(['network', 'chainId', 'default', 'contract']);
+    expect(rows[0]).toMatch(/^sepolia\s+11155111\s+yes\s+EnhancedPetDNAMatching/);
+    expect(rows[1]).toMatch(/^localhost\s+31337\s+-\s+-/);
+  });
+
+  it('rejects registries of another chain', async () => {
+    const file = writeConfig(config, [{ ...sepoliaRegistry, chainId: 1 }]);
+
+    expect(await main(['deployments', 'list', '--config', file, '--json'])).toBe(2);
+
+    expect(JSON.parse(stderr[0])).toEqual({
+      error: 'deployments/sepolia.json is for chain 1, but network "sepolia" has chain 11155111',
+      type: 'UsageError',
+    });
+  });
+});
+
+describe('petdna main', () => {
+  it('prints help and exits 0 with --help', async () => {
+    expect(await main(['--help'])).toBe(0);
+
+    expect(stdout[0]).toContain('Usage: petdna <command> [options]');
+    expect(stdout[0]).toContain('deployments list');
+  });
+
+  it('exits 2 on unknown options and commands', async () => {
+    expect(await main(['pets', 'list', '--bogus', '--json'])).toBe(2);
+    expect(JSON.parse(stderr[0])).toMatchObject({ type: 'UsageError' });
+
+    expect(await main(['pets', 'fly'])).toBe(2);
+    expect(stderr[1]).toBe('Error: Unknown command: pets fly');
+  });
+
+  it('exits 2 without a command', async () => {
+    expect(await main([])).toBe(2);
+    expect(stderr).toEqual([]);
+  });
+
+  it('reports a missing config file as a usage error', async () => {
+    const file = path.join(dir, 'missing.json');
+
+    expect(await main(['deployments', 'list', '--config', file])).toBe(2);
+
+    expect(stderr).toEqual([`Error: Config file not found: ${file}`]);
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * petdna - Command line client for the PetDNA matching contracts
+ *
+ * @example
+ * ```bash
+ * petdna pets register --name Luna --breed Labrador --age 3 --dna 120,85,95,110,20,7
+ * petdna pets register --name Max --breed Labrador --age 2 --dna-file max.vcf
+ * petdna match request 1 2 --wait
+ * petdna admin fees --network sepolia --json
+ * ```
+ *
+ * The signing account comes from PETDNA_PRIVATE_KEY (or PRIVATE_KEY); on
+ * local mock networks the node's first account is used otherwise. The
+ * `petdna` executable is bin/petdna.js.
+ */
+
+import { parseArgs } from 'util';
+import { CliContext, GlobalOptions } from './context';
+import { CommandGroup, CommandInput } from './command';
+import { UsageError, printError, printResult } from './output';
+import { petCommands } from './commands/pets';
+import { matchCommands } from './commands/match';
+import { adminCommands } from './commands/admin';
+import { deploymentCommands } from './commands/deployments';
+
+const GROUPS: Record<string, CommandGroup> = {
+  pets: petCommands,
+  match: matchCommands,
+  admin: adminCommands,
+  deployments: deploymentCommands,
+};
+
+const OPTIONS = {
+  network: { type: 'string', short: 'n' },
+  config: { type: 'string', short: 'c' },
+  address: { type: 'string', short: 'a' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+  owner: { type: 'string' },
+  all: { type: 'boolean' },
+  name: { type: 'string' },
+  breed: { type: 'string' },
+  age: { type: 'string' },
+  species: { type: 'string' },
+  'birth-year': { type: 'string' },
+  dna: { type: 'string' },
+  'dna-file': { type: 'string' },
+  sample: { type: 'string' },
+  to: { type: 'string' },
+  wait: { type: 'boolean' },
+} as const;
+
+const GLOBAL_HELP = `Global options:
+  -n, --network <name>   Network from petdna.config.json (default: defaultNetwork or PETDNA_NETWORK)
+  -c, --config <file>    Config file (default: ./petdna.config.json)
+  -a, --address <addr>   Contract address, overriding the configured deployment
+      --json             Print results as JSON
+  -h, --help             Show help`;
+
+function usage(groupName?: string): string {
+  const groups = groupName && GROUPS[groupName] ? { [groupName]: GROUPS[groupName] } : GROUPS;
+  const lines = ['Usage: petdna <command> [options]', '', 'Commands:'];
+  for (const group of Object.values(groups)) {
+    for (const command of Object.values(group)) {
+      lines.push(`  ${command.usage}`, `      ${command.description}`);
+    }
+  }
+  return [...lines, '', GLOBAL_HELP].join('\n');
+}
+
+/**
+ * Run the CLI
+ *
+ * @returns Process exit code: 0 on success, 1 on failure, 2 on usage errors
+ */
+export async function main(argv: string[] = process.argv.slice(2)): Promise<number> {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+  } catch (error) {
+    printError(new UsageError((error as Error).message), argv.includes('--json'));
+    return 2;
+  }
+
+  const { values, positionals } = parsed;
+  const json = !!values.json;
+  const [groupName, commandName, ...rest] = positionals;
+  const group = groupName ? GROUPS[groupName] : undefined;
+  const command = group && commandName ? group[commandName] : undefined;
+
+  if (values.help || !command) {
+    console.log(usage(groupName));
+    if (values.help) {
+      return 0;
+    }
+    if (groupName) {
+      printError(new UsageError(`Unknown command: ${positionals.slice(0, 2).join(' ')}`), json);
+    }
+    return 2;
+  }
+
+  const global: GlobalOptions = {
+    network: values.network,
+    config: values.config,
+    address: values.address,
+    json,
+  };
+  let ctx: CliContext | null = null;
+  const input: CommandInput = {
+    global,
+    positionals: rest,
+    options: values,
+    context: () => (ctx ??= new CliContext(global)),
+  };
+
+  try {
+    printResult(await command.run(input), json);
+    return 0;
+  } catch (error) {
+    printError(error, json);
+    return error instanceof UsageError ? 2 : 1;
+  }
+}
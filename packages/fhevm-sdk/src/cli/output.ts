@@ -0,0 +1,118 @@
+/**
+ * Output helpers of the petdna CLI
+ *
+ * Commands return plain data; it is printed as JSON with `--json` and as
+ * aligned text otherwise.
+ */
+
+import { ethers } from 'ethers';
+import { FHEVMError } from '../utils/errors';
+import { parseContractError } from '../utils/helpers';
+
+/**
+ * Invalid command line; reported without a stack trace and exit code 2
+ */
+export class UsageError extends FHEVMError {
+  constructor(message: string) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+export type CommandResult = Record<string, unknown> | Record<string, unknown>[];
+
+export function printResult(result: CommandResult, json: boolean): void {
+  if (json) {
+    console.log(JSON.stringify(result, jsonReplacer, 2));
+    return;
+  }
+
+  if (Array.isArray(result)) {
+    printTable(result);
+  } else {
+    printRecord(result);
+  }
+}
+
+export function printError(error: unknown, json: boolean): void {
+  const message = describeError(error);
+  if (json) {
+    console.error(JSON.stringify({ error: message, type: (error as Error)?.name || 'Error' }));
+  } else {
+    console.error(`Error: ${message}`);
+  }
+}
+
+/**
+ * Prefer the revert reason over ethers' gas estimation wrapper message
+ */
+function describeError(error: unknown): string {
+  if (error instanceof FHEVMError || !(error instanceof Error)) {
+    return error instanceof Error ? error.message : String(error);
+  }
+
+  const nested = [(error as any).error?.reason, (error as any).error?.message, (error as any).reason, error.message];
+  for (const text of nested) {
+    const match =
+      typeof text === 'string' &&
+      (text.match(/reverted with reason string '([^']*)'/) || text.match(/execution reverted: ([^"]+)/));
+    if (match) {
+      return `Transaction reverted: ${match[1]}`;
+    }
+  }
+  return parseContractError(error);
+}
+
+function printRecord(record: Record<string, unknown>): void {
+  const width = Math.max(0, ...Object.keys(record).map((key) => key.length));
+  for (const [key, value] of Object.entries(record)) {
+    if (value !== undefined) {
+      console.log(`${key.padEnd(width)}  ${formatValue(value)}`);
+    }
+  }
+}
+
+function printTable(rows: Record<string, unknown>[]): void {
+  if (rows.length === 0) {
+    console.log('(none)');
+    return;
+  }
+
+  const columns = Array.from(new Set(rows.flatMap((row) => Object.keys(row))));
+  const cells = rows.map((row) => columns.map((column) => formatValue(row[column])));
+  const widths = columns.map((column, index) =>
+    Math.max(column.length, ...cells.map((row) => row[index].length))
+  );
+
+  console.log(columns.map((column, index) => column.padEnd(widths[index])).join('  '));
+  for (const row of cells) {
+    console.log(row.map((cell, index) => cell.padEnd(widths[index])).join('  '));
+  }
+}
+
+function formatValue(value: unknown): string {
+  if (value === undefined || value === null) {
+    return '-';
+  }
+  if (Array.isArray(value)) {
+    return value.map(formatValue).join(', ');
+  }
+  if (ethers.BigNumber.isBigNumber(value)) {
+    return value.toString();
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value, jsonReplacer);
+  }
+  return String(value);
+}
+
+function jsonReplacer(_key: string, value: unknown): unknown {
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  // BigNumber.toJSON runs before the replacer
+  if (value && typeof value === 'object' && (value as any).type === 'BigNumber' && (value as any).hex) {
+    return ethers.BigNumber.from((value as any).hex).toString();
+  }
+  return value;
+}
@@ -0,0 +1,129 @@
+import {
+  EncryptedFunctionSchema,
+  expectedArgumentCount,
+  parseEncryptedFunctions,
+  validateEncryptedArguments,
+} from './AbiEncryption';
+import { ENHANCED_PET_DNA_MATCHING_ABI } from '../petdna/abis';
+import { EncryptedArgumentError } from '../utils/errors';
+
+const ACCOUNT = '0x00000000000000000000000000000000000000a1';
+
+const input = (name: string, type: string, internalType = type) => ({ name, type, internalType });
+
+const ABI = [
+  {
+    type: 'function',
+    name: 'setScore',
+    stateMutability: 'nonpayable',
+    inputs: [input('account', 'address'), input('score', 'bytes32', 'externalEuint16'), input('proof', 'bytes')],
+    outputs: [],
+  },
+  {
+    type: 'function',
+    name: 'setScore',
+    stateMutability: 'nonpayable',
+    inputs: [input('score', 'uint16')],
+    outputs: [],
+  },
+  {
+    type: 'function',
+    name: 'setFlag',
+    stateMutability: 'nonpayable',
+    inputs: [input('flag', 'bytes32', 'externalEbool'), input('proof', 'bytes')],
+    outputs: [],
+  },
+  {
+    type: 'function',
+    name: 'setSecret',
+    stateMutability: 'nonpayable',
+    inputs: [input('secret', 'bytes32', 'externalEuint8')],
+    outputs: [],
+  },
+];
+
+describe('parseEncryptedFunctions', () => {
+  it('finds the encrypted parameters and the input proof of registerPet', () => {
+    const [schema] = parseEncryptedFunctions(ENHANCED_PET_DNA_MATCHING_ABI).get('registerPet')!;
+
+    expect(schema.signature).toBe(
+      'registerPet(string,string,uint8,bytes32,bytes32,bytes32,bytes32,bytes32,bytes32,bytes)'
+    );
+    expect(schema.encrypted.map(({ index, type }) => [index, type])).toEqual([
+      [3, 'euint8'],
+      [4, 'euint8'],
+      [5, 'euint8'],
+      [6, 'euint8'],
+      [7, 'euint8'],
+      [8, 'euint8'],
+    ]);
+    expect(schema.proofIndex).toBe(9);
+    expect(expectedArgumentCount(schema)).toBe(9);
+  });
+
+  it('keeps one schema per overload', () => {
+    const [encrypted, plain] = parseEncryptedFunctions(ABI).get('setScore')!;
+
+    expect(encrypted).toMatchObject({ inputCount: 3, proofIndex: 2 });
+    expect(encrypted.encrypted).toEqual([{ index: 1, name: 'score', type: 'euint16' }]);
+    expect(plain).toMatchObject({ signature: 'setScore(uint16)', encrypted: [], proofIndex: null });
+    expect(expectedArgumentCount(plain)).toBe(1);
+  });
+
+  it('yields no encrypted parameters for human-readable ABIs', () => {
+    const [schema] = parseEncryptedFunctions(['function setScore(address, bytes32, bytes)']).get('setScore')!;
+
+    expect(schema.encrypted).toEqual([]);
+    expect(schema.proofIndex).toBeNull();
+  });
+});
+
+describe('validateEncryptedArguments', () => {
+  const schemas = parseEncryptedFunctions(ABI);
+  const [setScore] = schemas.get('setScore')!;
+  const [setFlag] = schemas.get('setFlag')!;
+  const [setSecret] = schemas.get('setSecret')!;
+
+  function failure(schema: EncryptedFunctionSchema, args: any[]): EncryptedArgumentError {
+    try {
+      validateEncryptedArguments(schema, args);
+    } catch (error) {
+      return error as EncryptedArgumentError;
+    }
+    throw new Error('validateEncryptedArguments did not throw');
+  }
+
+  it('accepts integers in range', () => {
+    expect(() => validateEncryptedArguments(setScore, [ACCOUNT, 65535])).not.toThrow();
+    expect(() => validateEncryptedArguments(setScore, [ACCOUNT, BigInt(7)])).not.toThrow();
+  });
+
+  it('rejects values out of range', () => {
+    const error = failure(setScore, [ACCOUNT, 65536]);
+
+    expect(error).toBeInstanceOf(EncryptedArgumentError);
+    expect(error.index).toBe(1);
+    expect(error.message).toBe(
+      'Invalid arguments for setScore(address,bytes32,bytes): Value 65536 exceeds maximum for euint16: 65535 (parameter "score")'
+    );
+  });
+
+  it('rejects values that are not integers', () => {
+    expect(failure(setScore, [ACCOUNT, 1.5]).message).toContain(
+      'expected an integer for euint16 parameter "score", got number'
+    );
+    expect(failure(setScore, [ACCOUNT, '7']).message).toContain('got string');
+  });
+
+  it('accepts booleans for ebool parameters only', () => {
+    expect(() => validateEncryptedArguments(setFlag, [true])).not.toThrow();
+    expect(failure(setScore, [ACCOUNT, true]).message).toContain('got boolean');
+  });
+
+  it('requires an input proof after the encrypted parameters', () => {
+    const error = failure(setSecret, [1]);
+
+    expect(error.index).toBe(-1);
+    expect(error.message).toContain('has no trailing bytes input proof');
+  });
+});
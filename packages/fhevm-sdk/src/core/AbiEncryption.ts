@@ -0,0 +1,154 @@
+/**
+ * AbiEncryption - Detect encrypted parameters from a contract ABI
+ *
+ * Solidity emits `externalEuintX` parameters as `bytes32` with the original
+ * type kept in `internalType`. This module reads JSON ABIs (compiler
+ * artifacts), finds those parameters and the trailing `bytes` input proof,
+ * and validates plain JS values against them before anything is encrypted.
+ */
+
+import { ethers } from 'ethers';
+import { EncryptedType } from '../utils/types';
+import { validateEncryptedValue } from '../utils/helpers';
+import { EncryptedArgumentError } from '../utils/errors';
+
+/**
+ * Mapping from Solidity external handle types to SDK encrypted types
+ */
+const EXTERNAL_TYPES: Record<string, EncryptedType> = {
+  externalEbool: 'ebool',
+  externalEuint8: 'euint8',
+  externalEuint16: 'euint16',
+  externalEuint32: 'euint32',
+  externalEuint64: 'euint64',
+  externalEuint128: 'euint128',
+  externalEuint256: 'euint256',
+};
+
+export interface EncryptedParam {
+  index: number; // position in the full ABI input list
+  name: string;
+  type: EncryptedType;
+}
+
+/**
+ * Encryption layout of one contract function
+ */
+export interface EncryptedFunctionSchema {
+  name: string;
+  signature: string; // e.g. registerPet(string,string,uint8,bytes32,...,bytes)
+  inputCount: number; // number of ABI inputs, proof included
+  encrypted: EncryptedParam[];
+  proofIndex: number | null; // position of the `bytes` input proof
+}
+
+/**
+ * Build encryption schemas for every function of a JSON ABI
+ *
+ * Human-readable ABIs do not carry `internalType`, so they yield schemas
+ * without encrypted parameters.
+ *
+ * @returns Schemas grouped by function name (several when overloaded)
+ */
+export function parseEncryptedFunctions(
+  abi: ethers.ContractInterface
+): Map<string, EncryptedFunctionSchema[]> {
+  const schemas = new Map<string, EncryptedFunctionSchema[]>();
+  const iface = abi instanceof ethers.utils.Interface ? abi : new ethers.utils.Interface(abi);
+
+  // ethers drops internalType, so keep the raw JSON inputs by signature
+  const jsonInputs = new Map<string, any[]>();
+  if (Array.isArray(abi)) {
+    for (const fragment of abi as any[]) {
+      if (typeof fragment === 'object' && fragment.type === 'function') {
+        const signature = ethers.utils.FunctionFragment.from(fragment).format(ethers.utils.FormatTypes.sighash);
+        jsonInputs.set(signature, fragment.inputs || []);
+      }
+    }
+  }
+
+  for (const fragment of Object.values(iface.functions)) {
+    const signature = fragment.format(ethers.utils.FormatTypes.sighash);
+    const inputs = jsonInputs.get(signature) || [];
+
+    const encrypted: EncryptedParam[] = [];
+    inputs.forEach((input, index) => {
+      const type = EXTERNAL_TYPES[input.internalType];
+      if (type) {
+        encrypted.push({ index, name: input.name, type });
+      }
+    });
+
+    let proofIndex: number | null = null;
+    if (encrypted.length > 0) {
+      const lastEncrypted = encrypted[encrypted.length - 1].index;
+      for (let index = fragment.inputs.length - 1; index > lastEncrypted; index--) {
+        if (fragment.inputs[index].type === 'bytes') {
+          proofIndex = index;
+          break;
+        }
+      }
+    }
+
+    const schema: EncryptedFunctionSchema = {
+      name: fragment.name,
+      signature,
+      inputCount: fragment.inputs.length,
+      encrypted,
+      proofIndex,
+    };
+
+    schemas.set(fragment.name, [...(schemas.get(fragment.name) || []), schema]);
+  }
+
+  return schemas;
+}
+
+/**
+ * Number of arguments a caller passes for a schema (the proof is implicit)
+ */
+export function expectedArgumentCount(schema: EncryptedFunctionSchema): number {
+  return schema.proofIndex === null ? schema.inputCount : schema.inputCount - 1;
+}
+
+/**
+ * Validate plain values for the encrypted parameters of a call
+ *
+ * @throws EncryptedArgumentError on the first invalid value
+ */
+export function validateEncryptedArguments(schema: EncryptedFunctionSchema, args: any[]): void {
+  if (schema.encrypted.length > 0 && schema.proofIndex === null) {
+    throw new EncryptedArgumentError(
+      schema.signature,
+      -1,
+      'function takes encrypted parameters but has no trailing bytes input proof'
+    );
+  }
+
+  for (const param of schema.encrypted) {
+    // Encrypted parameters precede the proof, so ABI and argument indices match
+    const value = args[param.index];
+
+    if (param.type === 'ebool' && typeof value === 'boolean') {
+      continue;
+    }
+    if (typeof value !== 'bigint' && !(typeof value === 'number' && Number.isInteger(value))) {
+      throw new EncryptedArgumentError(
+        schema.signature,
+        param.index,
+        `expected an integer for ${param.type} parameter "${param.name}", got ${typeof value}`
+      );
+    }
+
+    try {
+      validateEncryptedValue(value, param.type);
+    } catch (error) {
+      throw new EncryptedArgumentError(
+        schema.signature,
+        param.index,
+        `${(error as Error).message} (parameter "${param.name}")`
+      );
+    }
+  }
+}
+
@@ -0,0 +1,360 @@
+import { ethers } from 'ethers';
+import {
+  ChainAdapter,
+  EIP1193Adapter,
+  EthersV5Adapter,
+  EthersV6Adapter,
+  EthersV6ProviderLike,
+  EthersV6SignerLike,
+  ViemAdapter,
+  createChainAdapter,
+} from './ChainAdapter';
+import { FHEVMError } from '../utils/errors';
+
+const WALLET = new ethers.Wallet(ethers.utils.id('adapter user'));
+const TO = '0x00000000000000000000000000000000000000c0';
+const HASH = ethers.utils.id('transaction');
+
+const DOMAIN = { name: 'Test', version: '1', chainId: 31337, verifyingContract: TO };
+const TYPES = {
+  EIP712Domain: [{ name: 'name', type: 'string' }],
+  Reencrypt: [{ name: 'publicKey', type: 'bytes' }],
+};
+const VALUE = { publicKey: '0x1234' };
+
+const LOG = {
+  address: TO,
+  topics: [ethers.utils.id('Event()')],
+  data: '0x',
+  blockNumber: 7,
+  transactionHash: HASH,
+  logIndex: 2,
+};
+
+/**
+ * EIP-1193 provider answering from a table of methods
+ */
+function fakeRequest(handlers: Record<string, (params: any[]) => any>) {
+  return jest.fn(async ({ method, params }: { method: string; params?: any }) => {
+    if (!handlers[method]) {
+      throw new Error(`Unexpected ${method}`);
+    }
+    return handlers[method](params);
+  });
+}
+
+/**
+ * ethers v6 provider with a receipt that shows up after `pendingPolls` polls
+ */
+function fakeV6Provider(pendingPolls = 0) {
+  let polls = 0;
+  const listeners = new Map<any, (...args: any[]) => void>();
+  const provider = {
+    listeners,
+    getNetwork: async () => ({ chainId: BigInt(31337) }),
+    call: jest.fn(async () => '0x01'),
+    getTransactionReceipt: jest.fn(async () =>
+      polls++ < pendingPolls
+        ? null
+        : {
+            hash: HASH,
+            blockNumber: 7,
+            status: 1,
+            gasUsed: BigInt(21000),
+            logs: [{ ...LOG, logIndex: undefined, index: 2 }],
+          }
+    ),
+    getBlockNumber: async () => 7,
+    getLogs: async () => [{ ...LOG, logIndex: undefined, index: 2 }],
+    on: (filter: any, listener: (...args: any[]) => void) => listeners.set(filter, listener),
+    off: (filter: any) => listeners.delete(filter),
+  };
+  return provider;
+}
+
+function fakeV6Signer(provider: EthersV6ProviderLike): EthersV6SignerLike & { sendTransaction: jest.Mock } {
+  return {
+    provider,
+    getAddress: async () => WALLET.address,
+    signTypedData: (domain, types, value) => WALLET._signTypedData(domain, types, value),
+    sendTransaction: jest.fn(async () => ({ hash: HASH })),
+  };
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.useRealTimers();
+});
+
+describe('EthersV5Adapter', () => {
+  const provider = new ethers.providers.JsonRpcProvider();
+  const signer = WALLET.connect(provider);
+
+  it('signs typed data without the EIP712Domain type', async () => {
+    const signature = await new EthersV5Adapter(undefined, signer).signTypedData(DOMAIN, TYPES, VALUE);
+
+    const { EIP712Domain, ...types } = TYPES;
+    expect(ethers.utils.verifyTypedData(DOMAIN, types, VALUE, signature)).toBe(WALLET.address);
+  });
+
+  it('sends bigint amounts as BigNumbers', async () => {
+    const send = jest.spyOn(signer, 'sendTransaction').mockResolvedValue({ hash: HASH } as any);
+
+    const hash = await new EthersV5Adapter(undefined, signer).sendTransaction({
+      to: TO,
+      data: '0x',
+      value: BigInt(5),
+      gasLimit: BigInt(100000),
+      nonce: 3,
+    });
+
+    expect(hash).toBe(HASH);
+    const request = send.mock.calls[0][0];
+    expect(ethers.BigNumber.from(request.value).toNumber()).toBe(5);
+    expect(ethers.BigNumber.from(request.gasLimit).toNumber()).toBe(100000);
+    expect(request.nonce).toBe(3);
+    expect(request.gasPrice).toBeUndefined();
+  });
+
+  it('normalizes receipts', async () => {
+    jest.spyOn(provider, 'waitForTransaction').mockResolvedValue({
+      transactionHash: HASH,
+      blockNumber: 7,
+      status: 1,
+      gasUsed: ethers.BigNumber.from(21000),
+      logs: [LOG],
+    } as any);
+
+    const receipt = await new EthersV5Adapter(provider).waitForTransaction(HASH, 2);
+
+    expect(provider.waitForTransaction).toHaveBeenCalledWith(HASH, 2);
+    expect(receipt).toEqual({ transactionHash: HASH, blockNumber: 7, status: 1, gasUsed: BigInt(21000), logs: [LOG] });
+  });
+
+  it('needs a provider and a signer to sign', async () => {
+    expect(() => new EthersV5Adapter(undefined, WALLET)).toThrow(
+      'EthersV5Adapter requires a provider or a connected signer'
+    );
+
+    const adapter = new EthersV5Adapter(provider);
+    expect(adapter.hasSigner()).toBe(false);
+    await expect(adapter.getAddress()).rejects.toThrow(FHEVMError);
+  });
+});
+
+describe('EthersV6Adapter', () => {
+  it('reads the chain ID as a number and sends through the signer', async () => {
+    const provider = fakeV6Provider();
+    const signer = fakeV6Signer(provider);
+    const adapter = new EthersV6Adapter(undefined, signer);
+
+    expect(await adapter.getChainId()).toBe(31337);
+    expect(await adapter.getAddress()).toBe(WALLET.address);
+    expect(await adapter.sendTransaction({ to: TO, data: '0x', value: BigInt(1) })).toBe(HASH);
+    expect(signer.sendTransaction).toHaveBeenCalledWith({ to: TO, data: '0x', value: BigInt(1) });
+  });
+
+  it('signs typed data without the EIP712Domain type', async () => {
+    const adapter = new EthersV6Adapter(undefined, fakeV6Signer(fakeV6Provider()));
+
+    const signature = await adapter.signTypedData(DOMAIN, TYPES, VALUE);
+
+    const { EIP712Domain, ...types } = TYPES;
+    expect(ethers.utils.verifyTypedData(DOMAIN, types, VALUE, signature)).toBe(WALLET.address);
+  });
+
+  it('polls for the receipt until the transaction is mined', async () => {
+    jest.useFakeTimers();
+    const provider = fakeV6Provider(2);
+    const adapter = new EthersV6Adapter(provider);
+
+    const waiting = adapter.waitForTransaction(HASH);
+    await jest.advanceTimersByTimeAsync(8000);
+
+    expect(await waiting).toEqual({
+      transactionHash: HASH,
+      blockNumber: 7,
+      status: 1,
+      gasUsed: BigInt(21000),
+      logs: [LOG],
+    });
+    expect(provider.getTransactionReceipt).toHaveBeenCalledTimes(3);
+  });
+
+  it('normalizes logs and unsubscribes', async () => {
+    const provider = fakeV6Provider();
+    const adapter = new EthersV6Adapter(provider);
+    const received: unknown[] = [];
+
+    expect(await adapter.getLogs({ address: TO })).toEqual([LOG]);
+
+    const unsubscribe = adapter.subscribeLogs({ address: TO, topics: LOG.topics }, (log) => received.push(log));
+    const [listener] = provider.listeners.values();
+    listener({ ...LOG, logIndex: undefined, index: 2 });
+    unsubscribe();
+
+    expect(received).toEqual([LOG]);
+    expect(provider.listeners.size).toBe(0);
+  });
+
+  it('needs a signer to send', async () => {
+    await expect(new EthersV6Adapter(fakeV6Provider()).sendTransaction({ to: TO })).rejects.toThrow(
+      'No signer connected to the ethers v6 adapter'
+    );
+  });
+});
+
+describe('EIP1193Adapter', () => {
+  it('requests accounts when none are connected', async () => {
+    const request = fakeRequest({
+      eth_accounts: () => [],
+      eth_requestAccounts: () => [WALLET.address.toLowerCase()],
+    });
+
+    expect(await new EIP1193Adapter({ request }).getAddress()).toBe(WALLET.address);
+    expect(request.mock.calls.map(([{ method }]) => method)).toEqual(['eth_accounts', 'eth_requestAccounts']);
+  });
+
+  it('signs with eth_signTypedData_v4 and a domain type of the fields set', async () => {
+    const request = fakeRequest({ eth_signTypedData_v4: () => '0xsignature' });
+    const adapter = new EIP1193Adapter({ request }, { account: WALLET.address });
+
+    await adapter.signTypedData({ name: 'Test', chainId: BigInt(31337) }, TYPES, VALUE);
+
+    const [address, json] = request.mock.calls[0][0].params;
+    expect(address).toBe(WALLET.address);
+    expect(JSON.parse(json)).toEqual({
+      types: {
+        EIP712Domain: [
+          { name: 'name', type: 'string' },
+          { name: 'chainId', type: 'uint256' },
+        ],
+        Reencrypt: TYPES.Reencrypt,
+      },
+      domain: { name: 'Test', chainId: '31337' },
+      primaryType: 'Reencrypt',
+      message: VALUE,
+    });
+  });
+
+  it('sends quantities as hex', async () => {
+    const request = fakeRequest({ eth_sendTransaction: () => HASH });
+    const adapter = new EIP1193Adapter({ request }, { account: WALLET.address });
+
+    await adapter.sendTransaction({ to: TO, data: '0x', value: BigInt(255), gasLimit: BigInt(21000), nonce: 0 });
+
+    expect(request.mock.calls[0][0].params).toEqual([
+      { from: WALLET.address, to: TO, data: '0x', value: '0xff', gas: '0x5208', gasPrice: undefined, nonce: '0x0' },
+    ]);
+  });
+
+  it('waits for confirmations of the receipt', async () => {
+    let head = 7;
+    const request = fakeRequest({
+      eth_getTransactionReceipt: () => ({
+        transactionHash: HASH,
+        blockNumber: '0x7',
+        status: '0x1',
+        gasUsed: '0x5208',
+        logs: [{ ...LOG, blockNumber: '0x7', logIndex: '0x2' }],
+      }),
+      eth_blockNumber: () => `0x${(head++).toString(16)}`,
+    });
+
+    const receipt = await new EIP1193Adapter({ request }, { pollingInterval: 1 }).waitForTransaction(HASH, 3);
+
+    expect(receipt).toEqual({ transactionHash: HASH, blockNumber: 7, status: 1, gasUsed: BigInt(21000), logs: [LOG] });
+    expect(head).toBe(10);
+  });
+
+  it('polls logs of new blocks for subscriptions', async () => {
+    jest.useFakeTimers();
+    let head = 5;
+    const request = fakeRequest({
+      eth_blockNumber: () => `0x${head.toString(16)}`,
+      eth_getLogs: () => [{ ...LOG, blockNumber: '0x7', logIndex: '0x2' }],
+    });
+    const received: unknown[] = [];
+
+    const unsubscribe = new EIP1193Adapter({ request }, { pollingInterval: 100 }).subscribeLogs(
+      { address: TO },
+      (log) => received.push(log)
+    );
+    await jest.advanceTimersByTimeAsync(100);
+    head = 7;
+    await jest.advanceTimersByTimeAsync(100);
+    unsubscribe();
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(received).toEqual([LOG]);
+    const getLogs = request.mock.calls.filter(([{ method }]) => method === 'eth_getLogs');
+    expect(getLogs.map(([{ params }]) => params[0])).toEqual([
+      { address: TO, topics: undefined, fromBlock: '0x6', toBlock: '0x7' },
+    ]);
+  });
+});
+
+describe('ViemAdapter', () => {
+  it('sends through the wallet client and reads through the public client', async () => {
+    const account = { address: WALLET.address.toLowerCase() };
+    const walletClient = {
+      account,
+      request: jest.fn(),
+      getAddresses: async () => [],
+      signTypedData: jest.fn(),
+      sendTransaction: jest.fn(async () => HASH),
+    };
+    const publicClient = { request: fakeRequest({ eth_chainId: () => '0x7a69' }) };
+    const adapter = new ViemAdapter(walletClient, publicClient);
+
+    expect(await adapter.getAddress()).toBe(WALLET.address);
+    expect(await adapter.getChainId()).toBe(31337);
+    await adapter.sendTransaction({ to: TO, value: BigInt(1) });
+
+    expect(walletClient.sendTransaction).toHaveBeenCalledWith({
+      account,
+      to: TO,
+      data: undefined,
+      value: BigInt(1),
+      gas: undefined,
+      gasPrice: undefined,
+      nonce: undefined,
+    });
+    expect(walletClient.request).not.toHaveBeenCalled();
+  });
+
+  it('reads without a wallet client but cannot sign', async () => {
+    const adapter = new ViemAdapter(null, { request: fakeRequest({}) });
+
+    expect(adapter.hasSigner()).toBe(false);
+    await expect(adapter.getAddress()).rejects.toThrow('No wallet client connected to the viem adapter');
+  });
+});
+
+describe('createChainAdapter', () => {
+  const v5Provider = new ethers.providers.JsonRpcProvider();
+  const v6Provider = fakeV6Provider();
+
+  it.each([
+    ['an ethers v5 signer', () => WALLET.connect(v5Provider), EthersV5Adapter],
+    ['an ethers v5 provider', () => v5Provider, EthersV5Adapter],
+    ['an ethers v6 signer', () => fakeV6Signer(v6Provider), EthersV6Adapter],
+    ['an ethers v6 provider', () => v6Provider, EthersV6Adapter],
+    ['a viem wallet client', () => ({ request: jest.fn(), transport: {}, type: 'walletClient' }), ViemAdapter],
+    ['an EIP-1193 provider', () => ({ request: jest.fn() }), EIP1193Adapter],
+  ])('wraps %s', (_, source, adapterClass) => {
+    expect(createChainAdapter(source())).toBeInstanceOf(adapterClass);
+  });
+
+  it('pairs a provider with a separate signer', () => {
+    expect(createChainAdapter(v5Provider, WALLET).hasSigner()).toBe(true);
+    expect(createChainAdapter(v6Provider).hasSigner()).toBe(false);
+  });
+
+  it('returns adapters unchanged and rejects unknown objects', () => {
+    const adapter: ChainAdapter = new EIP1193Adapter({ request: jest.fn() });
+
+    expect(createChainAdapter(adapter)).toBe(adapter);
+    expect(() => createChainAdapter({})).toThrow('Unsupported provider or signer');
+  });
+});
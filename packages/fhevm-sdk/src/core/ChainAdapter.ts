@@ -0,0 +1,683 @@
+/**
+ * ChainAdapter - Library-independent access to a wallet and an RPC node
+ *
+ * The SDK needs only a few chain operations: the account address, EIP-712
+ * signatures, read-only calls, transactions, receipts and logs. Adapters map them
+ * onto the library an application already uses:
+ * - EthersV5Adapter: ethers v5 providers and signers
+ * - EthersV6Adapter: ethers v6 providers and signers (Hardhat `hre.ethers`)
+ * - ViemAdapter: viem wallet and public clients
+ * - EIP1193Adapter: raw EIP-1193 providers such as `window.ethereum`
+ *
+ * ethers v6 and viem objects are matched structurally, so neither library
+ * is a dependency of the SDK.
+ *
+ * @example
+ * ```typescript
+ * const [signer] = await hre.ethers.getSigners();
+ * const client = new FHEVMClient({
+ *   adapter: createChainAdapter(signer),
+ *   chainId: 31337,
+ *   mock: true,
+ * });
+ * ```
+ */
+
+import { ethers } from 'ethers';
+import { FHEVMError } from '../utils/errors';
+
+export interface TypedDataDomain {
+  name?: string;
+  version?: string;
+  chainId?: number | bigint | string;
+  verifyingContract?: string;
+  salt?: string;
+}
+
+export interface TypedDataField {
+  name: string;
+  type: string;
+}
+
+/**
+ * EIP-712 struct types, without the `EIP712Domain` entry
+ */
+export type TypedDataTypes = Record<string, TypedDataField[]>;
+
+export interface ChainCallRequest {
+  to: string;
+  data: string;
+  from?: string;
+}
+
+export interface ChainTransactionRequest {
+  to: string;
+  data?: string;
+  value?: bigint;
+  gasLimit?: bigint;
+  gasPrice?: bigint;
+  nonce?: number;
+}
+
+export interface ChainLogFilter {
+  address?: string;
+  topics?: (string | string[] | null)[];
+  fromBlock?: number;
+  toBlock?: number;
+}
+
+export interface ChainLog {
+  address: string;
+  topics: string[];
+  data: string;
+  blockNumber: number;
+  transactionHash: string;
+  logIndex: number;
+}
+
+export type ChainLogListener = (log: ChainLog) => void;
+
+export interface ChainReceipt {
+  transactionHash: string;
+  blockNumber: number;
+  status: number; // 1 on success, 0 when reverted
+  gasUsed: bigint;
+  logs: ChainLog[];
+}
+
+/**
+ * A sent transaction, independent of the library that sent it
+ */
+export interface ChainTransaction {
+  hash: string;
+  /**
+   * Wait for the receipt
+   *
+   * @throws FHEVMError if the transaction reverted
+   */
+  wait(confirmations?: number): Promise<ChainReceipt>;
+}
+
+/**
+ * Chain operations used by the SDK
+ */
+export interface ChainAdapter {
+  /**
+   * Whether an account is available for signing and sending
+   */
+  hasSigner(): boolean;
+  getAddress(): Promise<string>;
+  getChainId(): Promise<number>;
+  signTypedData(domain: TypedDataDomain, types: TypedDataTypes, value: Record<string, any>): Promise<string>;
+  /**
+   * Execute a read-only call against the latest block
+   *
+   * @returns ABI encoded return data
+   */
+  call(request: ChainCallRequest): Promise<string>;
+  /**
+   * Sign and broadcast a transaction
+   *
+   * @returns Transaction hash
+   */
+  sendTransaction(request: ChainTransactionRequest): Promise<string>;
+  /**
+   * Wait until a transaction is mined and has `confirmations` blocks
+   */
+  waitForTransaction(hash: string, confirmations?: number): Promise<ChainReceipt>;
+  getBlockNumber(): Promise<number>;
+  getLogs(filter: ChainLogFilter): Promise<ChainLog[]>;
+  /**
+   * Follow new logs matching the filter
+   *
+   * @returns Function that stops the subscription
+   */
+  subscribeLogs(filter: ChainLogFilter, listener: ChainLogListener): () => void;
+}
+
+/**
+ * The subset of an ethers v6 provider used by EthersV6Adapter
+ */
+export interface EthersV6ProviderLike {
+  getNetwork(): Promise<{ chainId: bigint }>;
+  call(request: { to: string; data: string; from?: string }): Promise<string>;
+  getTransactionReceipt(hash: string): Promise<any | null>;
+  getBlockNumber(): Promise<number>;
+  getLogs(filter: any): Promise<any[]>;
+  on(event: any, listener: (...args: any[]) => void): any;
+  off(event: any, listener?: (...args: any[]) => void): any;
+}
+
+/**
+ * The subset of an ethers v6 signer used by EthersV6Adapter
+ */
+export interface EthersV6SignerLike {
+  provider: EthersV6ProviderLike | null;
+  getAddress(): Promise<string>;
+  signTypedData(domain: any, types: any, value: any): Promise<string>;
+  sendTransaction(request: any): Promise<{ hash: string }>;
+}
+
+/**
+ * A provider implementing EIP-1193 `request`
+ */
+export interface EIP1193ProviderLike {
+  request(args: { method: string; params?: unknown[] | object }): Promise<any>;
+}
+
+/**
+ * The subset of a viem wallet client used by ViemAdapter
+ */
+export interface ViemWalletClientLike extends EIP1193ProviderLike {
+  account?: { address: string } | null;
+  getAddresses(): Promise<readonly string[]>;
+  signTypedData(args: any): Promise<string>;
+  sendTransaction(args: any): Promise<string>;
+}
+
+export interface EIP1193AdapterOptions {
+  account?: string; // address to use instead of the first `eth_accounts` entry
+  pollingInterval?: number; // ms between log polls of subscribeLogs
+}
+
+const DEFAULT_POLLING_INTERVAL = 4000;
+
+/**
+ * Adapter over an ethers v5 provider and optional signer
+ */
+export class EthersV5Adapter implements ChainAdapter {
+  private provider: ethers.providers.Provider;
+
+  constructor(provider?: ethers.providers.Provider, private signer?: ethers.Signer) {
+    const resolved = provider || signer?.provider;
+    if (!resolved) {
+      throw new FHEVMError('EthersV5Adapter requires a provider or a connected signer');
+    }
+    this.provider = resolved;
+  }
+
+  hasSigner(): boolean {
+    return !!this.signer;
+  }
+
+  async getAddress(): Promise<string> {
+    return this.requireSigner().getAddress();
+  }
+
+  async getChainId(): Promise<number> {
+    return (await this.provider.getNetwork()).chainId;
+  }
+
+  async signTypedData(domain: TypedDataDomain, types: TypedDataTypes, value: Record<string, any>): Promise<string> {
+    // Wallet and JsonRpcSigner implement _signTypedData, the base Signer does not declare it
+    const signer = this.requireSigner() as ethers.Signer & {
+      _signTypedData(domain: TypedDataDomain, types: TypedDataTypes, value: Record<string, any>): Promise<string>;
+    };
+    return signer._signTypedData(domain, withoutDomainType(types), value);
+  }
+
+  async call(request: ChainCallRequest): Promise<string> {
+    return this.provider.call(request);
+  }
+
+  async sendTransaction(request: ChainTransactionRequest): Promise<string> {
+    const tx = await this.requireSigner().sendTransaction({
+      to: request.to,
+      data: request.data,
+      value: request.value !== undefined ? ethers.BigNumber.from(request.value.toString()) : undefined,
+      gasLimit: request.gasLimit !== undefined ? ethers.BigNumber.from(request.gasLimit.toString()) : undefined,
+      gasPrice: request.gasPrice !== undefined ? ethers.BigNumber.from(request.gasPrice.toString()) : undefined,
+      nonce: request.nonce,
+    });
+    return tx.hash;
+  }
+
+  async waitForTransaction(hash: string, confirmations: number = 1): Promise<ChainReceipt> {
+    return toChainReceipt(await this.provider.waitForTransaction(hash, confirmations));
+  }
+
+  async getBlockNumber(): Promise<number> {
+    return this.provider.getBlockNumber();
+  }
+
+  async getLogs(filter: ChainLogFilter): Promise<ChainLog[]> {
+    const logs = await this.provider.getLogs(filter as ethers.providers.Filter);
+    return logs.map(toChainLog);
+  }
+
+  subscribeLogs(filter: ChainLogFilter, listener: ChainLogListener): () => void {
+    const eventFilter = { address: filter.address, topics: filter.topics } as ethers.providers.Filter;
+    const handler = (log: ethers.providers.Log) => listener(toChainLog(log));
+    this.provider.on(eventFilter, handler);
+    return () => {
+      this.provider.off(eventFilter, handler);
+    };
+  }
+
+  private requireSigner(): ethers.Signer {
+    if (!this.signer) {
+      throw new FHEVMError('No signer connected to the ethers v5 adapter');
+    }
+    return this.signer;
+  }
+}
+
+/**
+ * Adapter over an ethers v6 provider and optional signer
+ *
+ * Hardhat's `hre.ethers.getSigners()` signers work as-is.
+ */
+export class EthersV6Adapter implements ChainAdapter {
+  private provider: EthersV6ProviderLike;
+
+  constructor(provider?: EthersV6ProviderLike | null, private signer?: EthersV6SignerLike) {
+    const resolved = provider || signer?.provider;
+    if (!resolved) {
+      throw new FHEVMError('EthersV6Adapter requires a provider or a connected signer');
+    }
+    this.provider = resolved;
+  }
+
+  hasSigner(): boolean {
+    return !!this.signer;
+  }
+
+  async getAddress(): Promise<string> {
+    return this.requireSigner().getAddress();
+  }
+
+  async getChainId(): Promise<number> {
+    return Number((await this.provider.getNetwork()).chainId);
+  }
+
+  async signTypedData(domain: TypedDataDomain, types: TypedDataTypes, value: Record<string, any>): Promise<string> {
+    return this.requireSigner().signTypedData(domain, withoutDomainType(types), value);
+  }
+
+  async call(request: ChainCallRequest): Promise<string> {
+    return this.provider.call(request);
+  }
+
+  async sendTransaction(request: ChainTransactionRequest): Promise<string> {
+    const tx = await this.requireSigner().sendTransaction(request);
+    return tx.hash;
+  }
+
+  /**
+   * Poll for the receipt; Hardhat's ethers v6 provider does not implement `waitForTransaction`
+   */
+  async waitForTransaction(hash: string, confirmations: number = 1): Promise<ChainReceipt> {
+    return pollReceipt(
+      () => this.provider.getTransactionReceipt(hash),
+      () => this.getBlockNumber(),
+      confirmations,
+      DEFAULT_POLLING_INTERVAL
+    );
+  }
+
+  async getBlockNumber(): Promise<number> {
+    return this.provider.getBlockNumber();
+  }
+
+  async getLogs(filter: ChainLogFilter): Promise<ChainLog[]> {
+    const logs = await this.provider.getLogs(filter);
+    return logs.map(toChainLog);
+  }
+
+  subscribeLogs(filter: ChainLogFilter, listener: ChainLogListener): () => void {
+    const eventFilter = { address: filter.address, topics: filter.topics };
+    const handler = (log: any) => listener(toChainLog(log));
+    this.provider.on(eventFilter, handler);
+    return () => {
+      this.provider.off(eventFilter, handler);
+    };
+  }
+
+  private requireSigner(): EthersV6SignerLike {
+    if (!this.signer) {
+      throw new FHEVMError('No signer connected to the ethers v6 adapter');
+    }
+    return this.signer;
+  }
+}
+
+/**
+ * Adapter over a raw EIP-1193 provider
+ *
+ * Typed data is signed with `eth_signTypedData_v4` and transactions are
+ * sent with `eth_sendTransaction`, so the provider must manage the account
+ * (a browser wallet or a node with unlocked accounts). Log subscriptions
+ * poll `eth_getLogs`, which every provider supports.
+ */
+export class EIP1193Adapter implements ChainAdapter {
+  constructor(
+    protected provider: EIP1193ProviderLike,
+    protected options: EIP1193AdapterOptions = {}
+  ) {}
+
+  hasSigner(): boolean {
+    return true;
+  }
+
+  async getAddress(): Promise<string> {
+    if (this.options.account) {
+      return ethers.utils.getAddress(this.options.account);
+    }
+
+    let accounts: string[] = await this.request('eth_accounts');
+    if (accounts.length === 0) {
+      accounts = await this.request('eth_requestAccounts');
+    }
+    if (accounts.length === 0) {
+      throw new FHEVMError('No account connected to the EIP-1193 provider');
+    }
+    return ethers.utils.getAddress(accounts[0]);
+  }
+
+  async getChainId(): Promise<number> {
+    return parseInt(await this.request('eth_chainId'), 16);
+  }
+
+  async signTypedData(domain: TypedDataDomain, types: TypedDataTypes, value: Record<string, any>): Promise<string> {
+    const structTypes = withoutDomainType(types);
+    const payload = {
+      types: { EIP712Domain: domainType(domain), ...structTypes },
+      domain,
+      primaryType: ethers.utils._TypedDataEncoder.getPrimaryType(structTypes),
+      message: value,
+    };
+
+    return this.request('eth_signTypedData_v4', [await this.getAddress(), JSON.stringify(payload, jsonReplacer)]);
+  }
+
+  async call(request: ChainCallRequest): Promise<string> {
+    return this.request('eth_call', [request, 'latest']);
+  }
+
+  async sendTransaction(request: ChainTransactionRequest): Promise<string> {
+    return this.request('eth_sendTransaction', [
+      {
+        from: await this.getAddress(),
+        to: request.to,
+        data: request.data,
+        value: request.value !== undefined ? toQuantity(request.value) : undefined,
+        gas: request.gasLimit !== undefined ? toQuantity(request.gasLimit) : undefined,
+        gasPrice: request.gasPrice !== undefined ? toQuantity(request.gasPrice) : undefined,
+        nonce: request.nonce !== undefined ? toQuantity(request.nonce) : undefined,
+      },
+    ]);
+  }
+
+  /**
+   * Poll `eth_getTransactionReceipt` until the receipt has enough confirmations
+   */
+  async waitForTransaction(hash: string, confirmations: number = 1): Promise<ChainReceipt> {
+    return pollReceipt(
+      () => this.request('eth_getTransactionReceipt', [hash]),
+      () => this.getBlockNumber(),
+      confirmations,
+      this.options.pollingInterval ?? DEFAULT_POLLING_INTERVAL
+    );
+  }
+
+  async getBlockNumber(): Promise<number> {
+    return parseInt(await this.request('eth_blockNumber'), 16);
+  }
+
+  async getLogs(filter: ChainLogFilter): Promise<ChainLog[]> {
+    const logs: any[] = await this.request('eth_getLogs', [
+      {
+        address: filter.address,
+        topics: filter.topics,
+        fromBlock: filter.fromBlock !== undefined ? toQuantity(filter.fromBlock) : undefined,
+        toBlock: filter.toBlock !== undefined ? toQuantity(filter.toBlock) : undefined,
+      },
+    ]);
+    return logs.map(toChainLog);
+  }
+
+  subscribeLogs(filter: ChainLogFilter, listener: ChainLogListener): () => void {
+    const interval = this.options.pollingInterval ?? DEFAULT_POLLING_INTERVAL;
+    let lastBlock: number | null = null;
+    let stopped = false;
+    let timer: ReturnType<typeof setTimeout> | null = null;
+
+    const poll = async () => {
+      try {
+        const latest = await this.getBlockNumber();
+        if (lastBlock === null) {
+          lastBlock = latest;
+        } else if (latest > lastBlock) {
+          const logs = await this.getLogs({ ...filter, fromBlock: lastBlock + 1, toBlock: latest });
+          lastBlock = latest;
+          if (!stopped) {
+            logs.forEach(listener);
+          }
+        }
+      } catch (error) {
+        // A failed poll is retried on the next tick with the same range
+        console.warn('Failed to poll logs:', error);
+      }
+      if (!stopped) {
+        timer = setTimeout(poll, interval);
+      }
+    };
+
+    poll();
+
+    return () => {
+      stopped = true;
+      if (timer) {
+        clearTimeout(timer);
+      }
+    };
+  }
+
+  protected request(method: string, params?: unknown[]): Promise<any> {
+    return this.provider.request(params ? { method, params } : { method });
+  }
+}
+
+/**
+ * Adapter over viem clients
+ *
+ * Signing and sending go through the wallet client, so local accounts
+ * (`privateKeyToAccount`) work. Reads use the public client when given and
+ * the wallet client's transport otherwise.
+ */
+export class ViemAdapter extends EIP1193Adapter {
+  constructor(
+    private walletClient: ViemWalletClientLike | null,
+    publicClient?: EIP1193ProviderLike,
+    options: EIP1193AdapterOptions = {}
+  ) {
+    const transport = publicClient || walletClient;
+    if (!transport) {
+      throw new FHEVMError('ViemAdapter requires a wallet client or a public client');
+    }
+    super(transport, options);
+  }
+
+  hasSigner(): boolean {
+    return !!this.walletClient;
+  }
+
+  async getAddress(): Promise<string> {
+    const walletClient = this.requireWalletClient();
+    const address = walletClient.account?.address || (await walletClient.getAddresses())[0];
+    if (!address) {
+      throw new FHEVMError('No account connected to the viem wallet client');
+    }
+    return ethers.utils.getAddress(address);
+  }
+
+  async signTypedData(domain: TypedDataDomain, types: TypedDataTypes, value: Record<string, any>): Promise<string> {
+    const structTypes = withoutDomainType(types);
+    return this.requireWalletClient().signTypedData({
+      account: await this.account(),
+      domain,
+      types: structTypes,
+      primaryType: ethers.utils._TypedDataEncoder.getPrimaryType(structTypes),
+      message: value,
+    });
+  }
+
+  async sendTransaction(request: ChainTransactionRequest): Promise<string> {
+    return this.requireWalletClient().sendTransaction({
+      account: await this.account(),
+      to: request.to,
+      data: request.data,
+      value: request.value,
+      gas: request.gasLimit,
+      gasPrice: request.gasPrice,
+      nonce: request.nonce,
+    });
+  }
+
+  /**
+   * The local account object when there is one, so viem signs locally
+   */
+  private async account(): Promise<{ address: string } | string> {
+    return this.requireWalletClient().account || (await this.getAddress());
+  }
+
+  private requireWalletClient(): ViemWalletClientLike {
+    if (!this.walletClient) {
+      throw new FHEVMError('No wallet client connected to the viem adapter');
+    }
+    return this.walletClient;
+  }
+}
+
+/**
+ * Wrap a provider, signer or client of any supported library
+ *
+ * Recognizes ChainAdapter instances (returned unchanged), ethers v5 and v6
+ * providers and signers, viem clients and EIP-1193 providers. Pass the
+ * signer or wallet client as `signer` to pair it with a separate provider.
+ *
+ * @throws FHEVMError if the object is not recognized
+ */
+export function createChainAdapter(source: unknown, signer?: unknown): ChainAdapter {
+  const target = source as any;
+
+  if (isChainAdapter(target)) {
+    return target;
+  }
+
+  if (ethers.Signer.isSigner(target)) {
+    return new EthersV5Adapter(undefined, target);
+  }
+  if (ethers.providers.Provider.isProvider(target)) {
+    return new EthersV5Adapter(target, signer as ethers.Signer | undefined);
+  }
+
+  if (isViemClient(target)) {
+    if (target.type === 'walletClient') {
+      return new ViemAdapter(target, signer as EIP1193ProviderLike | undefined);
+    }
+    return new ViemAdapter((signer as ViemWalletClientLike | undefined) || null, target);
+  }
+
+  if (typeof target?.signTypedData === 'function' && typeof target?.getAddress === 'function') {
+    return new EthersV6Adapter(undefined, target);
+  }
+  if (typeof target?.getNetwork === 'function' && typeof target?.call === 'function') {
+    return new EthersV6Adapter(target, signer as EthersV6SignerLike | undefined);
+  }
+
+  if (typeof target?.request === 'function') {
+    return new EIP1193Adapter(target);
+  }
+
+  throw new FHEVMError('Unsupported provider or signer: expected ethers v5/v6, viem or an EIP-1193 provider');
+}
+
+function isChainAdapter(target: any): target is ChainAdapter {
+  return (
+    typeof target?.hasSigner === 'function' &&
+    typeof target?.subscribeLogs === 'function' &&
+    typeof target?.signTypedData === 'function'
+  );
+}
+
+function isViemClient(target: any): boolean {
+  return typeof target?.request === 'function' && typeof target?.transport === 'object' && typeof target?.type === 'string';
+}
+
+/**
+ * Drop `EIP712Domain`, which ethers derives itself and rejects when given
+ */
+function withoutDomainType(types: TypedDataTypes): TypedDataTypes {
+  const { EIP712Domain, ...rest } = types;
+  return rest;
+}
+
+function domainType(domain: TypedDataDomain): TypedDataField[] {
+  const fields: TypedDataField[] = [
+    { name: 'name', type: 'string' },
+    { name: 'version', type: 'string' },
+    { name: 'chainId', type: 'uint256' },
+    { name: 'verifyingContract', type: 'address' },
+    { name: 'salt', type: 'bytes32' },
+  ];
+  return fields.filter((field) => domain[field.name as keyof TypedDataDomain] !== undefined);
+}
+
+function toQuantity(value: number | bigint): string {
+  return `0x${value.toString(16)}`;
+}
+
+function jsonReplacer(_key: string, value: unknown): unknown {
+  return typeof value === 'bigint' ? value.toString() : value;
+}
+
+/**
+ * Poll until a receipt exists and its block has `confirmations` blocks on top, itself included
+ */
+async function pollReceipt(
+  getReceipt: () => Promise<any | null>,
+  getBlockNumber: () => Promise<number>,
+  confirmations: number,
+  interval: number
+): Promise<ChainReceipt> {
+  for (;;) {
+    const receipt = await getReceipt();
+    if (receipt) {
+      const chainReceipt = toChainReceipt(receipt);
+      if ((await getBlockNumber()) - chainReceipt.blockNumber + 1 >= confirmations) {
+        return chainReceipt;
+      }
+    }
+    await new Promise((resolve) => setTimeout(resolve, interval));
+  }
+}
+
+/**
+ * Normalize ethers v5, ethers v6 and JSON-RPC receipts
+ */
+function toChainReceipt(receipt: any): ChainReceipt {
+  const toNumber = (value: any) => (typeof value === 'string' ? parseInt(value, 16) : Number(value));
+  return {
+    transactionHash: receipt.transactionHash ?? receipt.hash,
+    blockNumber: toNumber(receipt.blockNumber),
+    status: toNumber(receipt.status),
+    gasUsed: BigInt(receipt.gasUsed.toString()),
+    logs: receipt.logs.map(toChainLog),
+  };
+}
+
+/**
+ * Normalize ethers v5, ethers v6 and JSON-RPC logs
+ */
+function toChainLog(log: any): ChainLog {
+  const toNumber = (value: any) => (typeof value === 'string' ? parseInt(value, 16) : Number(value));
+  return {
+    address: log.address,
+    topics: [...log.topics],
+    data: log.data,
+    blockNumber: toNumber(log.blockNumber),
+    transactionHash: log.transactionHash,
+    logIndex: toNumber(log.logIndex ?? log.index),
+  };
+}
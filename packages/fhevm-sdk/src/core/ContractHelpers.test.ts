@@ -0,0 +1,172 @@
+import { ethers } from 'ethers';
+import { FHEVMContract } from './ContractHelpers';
+import { FHEVMClient } from './FHEVMClient';
+import { ChainAdapter, ChainLogListener, ChainReceipt, ChainTransactionRequest } from './ChainAdapter';
+import { DecryptionCache } from './DecryptionCache';
+import { ENHANCED_PET_DNA_MATCHING_ABI } from '../petdna/abis';
+import { EncryptedArgumentError, FHEVMError } from '../utils/errors';
+
+jest.mock('fhevmjs', () => ({ createInstance: jest.fn() }), { virtual: true });
+
+const ADDRESS = '0x00000000000000000000000000000000000000c0';
+const USER = ethers.utils.getAddress('0x00000000000000000000000000000000000000a1');
+const HASH = ethers.utils.id('transaction');
+const iface = new ethers.utils.Interface(ENHANCED_PET_DNA_MATCHING_ABI);
+
+/**
+ * Adapter recording transactions and serving calls and receipts from fixtures
+ */
+class FakeAdapter implements ChainAdapter {
+  sent: ChainTransactionRequest[] = [];
+  calls: { to: string; data: string; from?: string }[] = [];
+  callResult = '0x';
+  receipt: ChainReceipt = { transactionHash: HASH, blockNumber: 1, status: 1, gasUsed: BigInt(21000), logs: [] };
+  listeners = new Map<ChainLogListener, (string | string[] | null)[] | undefined>();
+
+  hasSigner = () => true;
+  getAddress = async () => USER;
+  getChainId = async () => 31337;
+  signTypedData = async () => '0x';
+  getBlockNumber = async () => 1;
+  getLogs = async () => [];
+
+  async call(request: { to: string; data: string; from?: string }) {
+    this.calls.push(request);
+    return this.callResult;
+  }
+
+  async sendTransaction(request: ChainTransactionRequest) {
+    this.sent.push(request);
+    return HASH;
+  }
+
+  async waitForTransaction() {
+    return this.receipt;
+  }
+
+  subscribeLogs(filter: { topics?: (string | string[] | null)[] }, listener: ChainLogListener) {
+    this.listeners.set(listener, filter.topics);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  emit(name: string, args: any[]) {
+    const { data, topics } = iface.encodeEventLog(iface.getEvent(name), args);
+    const log = { address: ADDRESS, data, topics, blockNumber: 1, transactionHash: HASH, logIndex: 0 };
+    this.listeners.forEach((filterTopics, listener) => {
+      if (filterTopics?.[0] === topics[0]) {
+        listener(log);
+      }
+    });
+  }
+}
+
+async function createContract(adapter: FakeAdapter) {
+  const client = new FHEVMClient({ adapter, chainId: 31337, mock: true, decryptionCache: new DecryptionCache() });
+  await client.initialize();
+  return new FHEVMContract({ address: ADDRESS, abi: ENHANCED_PET_DNA_MATCHING_ABI, client });
+}
+
+describe('FHEVMContract', () => {
+  it('encrypts the DNA of registerPet and sends it through the adapter', async () => {
+    const adapter = new FakeAdapter();
+    const contract = await createContract(adapter);
+
+    const tx = await contract.write.registerPet('Rex', 'Labrador', 3, 12, 40, 200, 7, 15, 120, { gasLimit: 500000 });
+
+    expect(tx.hash).toBe(HASH);
+    const [request] = adapter.sent;
+    expect(request).toMatchObject({ to: ADDRESS, gasLimit: BigInt(500000), value: undefined });
+    const args = iface.decodeFunctionData('registerPet', request.data!);
+    expect(args.slice(0, 3)).toEqual(['Rex', 'Labrador', 3]);
+    args.slice(3, 9).forEach((handle: string) => expect(ethers.utils.hexDataLength(handle)).toBe(32));
+    expect(ethers.utils.hexDataLength(args[9])).toBeGreaterThan(6 * 32);
+  });
+
+  it('sends the value override as a bigint', async () => {
+    const adapter = new FakeAdapter();
+    const contract = await createContract(adapter);
+
+    await contract.write.requestMatching(1, 2, { value: ethers.utils.parseEther('0.01') });
+
+    expect(adapter.sent[0].value).toBe(BigInt(10) ** BigInt(16));
+    expect(iface.decodeFunctionData('requestMatching', adapter.sent[0].data!).map(Number)).toEqual([1, 2]);
+  });
+
+  it('checks arguments before encrypting', async () => {
+    const adapter = new FakeAdapter();
+    const contract = await createContract(adapter);
+
+    await expect(contract.write.registerPet('Rex', 'Labrador', 3, 256, 40, 200, 7, 15, 120)).rejects.toThrow(
+      EncryptedArgumentError
+    );
+    expect(adapter.sent).toEqual([]);
+  });
+
+  it('waits for the receipt and rejects reverted transactions', async () => {
+    const adapter = new FakeAdapter();
+    const contract = await createContract(adapter);
+    const tx = await contract.write.togglePause();
+
+    expect(await tx.wait()).toBe(adapter.receipt);
+
+    adapter.receipt = { ...adapter.receipt, status: 0 };
+    const error = await tx.wait().catch((e) => e);
+    expect(error).toBeInstanceOf(FHEVMError);
+    expect(error.message).toBe(`Transaction ${HASH} reverted`);
+  });
+
+  it('reads single and multiple return values from the user account', async () => {
+    const adapter = new FakeAdapter();
+    const contract = await createContract(adapter);
+
+    adapter.callResult = iface.encodeFunctionResult('MATCHING_FEE', [1000]);
+    expect((await contract.read('MATCHING_FEE')).toNumber()).toBe(1000);
+    expect(adapter.calls[0]).toEqual({ to: ADDRESS, data: iface.encodeFunctionData('MATCHING_FEE'), from: USER });
+
+    adapter.callResult = iface.encodeFunctionResult('getPetInfo', [USER, 'Rex', 'Labrador', 3, true, 99]);
+    const info = await contract.read('getPetInfo', 1);
+    expect(info.petOwner).toBe(USER);
+    expect(info.name).toBe('Rex');
+    expect(info.registrationTime.toNumber()).toBe(99);
+  });
+
+  it('decodes events for listeners until they are removed', async () => {
+    const adapter = new FakeAdapter();
+    const contract = await createContract(adapter);
+    const registered: any[][] = [];
+    const listener = (...args: any[]) => registered.push(args);
+
+    contract.on('PetRegistered', listener);
+    contract.on('PetBreedingStatusChanged', listener);
+    adapter.emit('PetRegistered', [7, USER, 'Rex', 'Labrador']);
+    contract.off('PetRegistered', listener);
+    adapter.emit('PetRegistered', [8, USER, 'Max', 'Beagle']);
+
+    expect(registered).toHaveLength(1);
+    const [petId, owner, name, breed, event] = registered[0];
+    expect([petId.toNumber(), owner, name, breed]).toEqual([7, USER, 'Rex', 'Labrador']);
+    expect(event).toMatchObject({ event: 'PetRegistered', transactionHash: HASH });
+    expect(event.args.petId.toNumber()).toBe(7);
+
+    contract.off('PetBreedingStatusChanged');
+    expect(adapter.listeners.size).toBe(0);
+  });
+
+  it('only exposes an ethers Contract when created with a signer', async () => {
+    const adapter = new FakeAdapter();
+    const contract = await createContract(adapter);
+    const signer = new ethers.Wallet(ethers.utils.id('owner'), new ethers.providers.JsonRpcProvider());
+    const withSigner = new FHEVMContract({
+      address: ADDRESS,
+      abi: ENHANCED_PET_DNA_MATCHING_ABI,
+      client: {} as FHEVMClient,
+      signer,
+    });
+
+    expect(() => contract.getContract()).toThrow('getContract() needs an ethers v5 signer');
+    expect(withSigner.getContract().signer).toBe(signer);
+    expect(withSigner.getInterface().getSighash('togglePause')).toBe(iface.getSighash('togglePause'));
+  });
+});
@@ -6,38 +6,174 @@
  * - Encrypted function calls
  * - Event listening
  * - Gas estimation
+ *
+ * Calls, transactions and events go through a ChainAdapter, so contracts
+ * work with ethers v5, ethers v6 (Hardhat), viem and EIP-1193 providers.
  */
 
 import { ethers } from 'ethers';
 import { FHEVMClient, EncryptionInput } from './FHEVMClient';
+import { TransactionOptions } from '../utils/types';
+import { EncryptedArgumentError, FHEVMError } from '../utils/errors';
+import {
+  ChainAdapter,
+  ChainLog,
+  ChainReceipt,
+  ChainTransaction,
+  ChainTransactionRequest,
+  EthersV5Adapter,
+} from './ChainAdapter';
+import {
+  EncryptedFunctionSchema,
+  expectedArgumentCount,
+  parseEncryptedFunctions,
+  validateEncryptedArguments,
+} from './AbiEncryption';
 
 export interface ContractConfig {
   address: string;
   abi: ethers.ContractInterface;
   client: FHEVMClient;
-  signer: ethers.Signer;
+  adapter?: ChainAdapter; // defaults to the signer's, then to the client's adapter
+  signer?: ethers.Signer; // ethers v5 signer, also enables getContract()
+}
+
+export interface EncryptedCallOptions {
+  proofIndex?: number; // argument position of the shared `bytes` input proof
+  overrides?: TransactionOptions;
+}
+
+export type EncryptedWriteFunction = (...args: any[]) => Promise<ChainTransaction>;
+
+interface EventSubscription {
+  eventName: string;
+  callback: (...args: any[]) => void;
+  unsubscribe: () => void;
 }
 
 export class FHEVMContract {
-  private contract: ethers.Contract;
+  private address: string;
+  private interface: ethers.utils.Interface;
+  private adapter: ChainAdapter;
+  private contract: ethers.Contract | null;
   private client: FHEVMClient;
+  private schemas: Map<string, EncryptedFunctionSchema[]>;
+  private subscriptions: EventSubscription[] = [];
+
+  /**
+   * State-changing functions with automatic encryption
+   *
+   * Parameters declared as `externalEuintX` in the ABI take plain JS numbers
+   * (booleans for `externalEbool`); the trailing `bytes` input proof is
+   * omitted and filled in. Transaction overrides may follow the arguments.
+   *
+   * @example
+   * ```typescript
+   * await contract.write.registerPet('Rex', 'Labrador', 3, 12, 40, 200, 7, 15, 120);
+   * await contract.write.requestMatching(1, 2, { value: fee });
+   * ```
+   */
+  readonly write: Record<string, EncryptedWriteFunction> = {};
 
   constructor(config: ContractConfig) {
-    this.contract = new ethers.Contract(
-      config.address,
-      config.abi,
-      config.signer
-    );
+    this.address = config.address;
+    this.interface = ethers.Contract.getInterface(config.abi);
+    this.adapter =
+      config.adapter || (config.signer ? new EthersV5Adapter(undefined, config.signer) : config.client.getAdapter());
+    this.contract = config.signer ? new ethers.Contract(config.address, this.interface, config.signer) : null;
     this.client = config.client;
+    this.schemas = parseEncryptedFunctions(config.abi);
+
+    for (const fragment of Object.values(this.interface.functions)) {
+      if (!fragment.constant) {
+        this.write[fragment.name] = (...args: any[]) => this.writeWithEncryption(fragment.name, args);
+      }
+    }
+  }
+
+  /**
+   * Call a function, encrypting arguments according to its ABI
+   *
+   * Argument count and the range of every encrypted value are checked
+   * before anything is encrypted or signed.
+   *
+   * @param functionName - Name of the contract function
+   * @param args - Plain arguments without the input proof, optionally followed by overrides
+   * @returns Sent transaction
+   * @throws EncryptedArgumentError if the arguments do not match the ABI
+   */
+  async writeWithEncryption(
+    functionName: string,
+    args: any[]
+  ): Promise<ChainTransaction> {
+    const { schema, callArgs, overrides } = this.resolveSchema(functionName, args);
+
+    validateEncryptedArguments(schema, callArgs);
+
+    const values = callArgs.map((value, index) => {
+      const param = schema.encrypted.find((candidate) => candidate.index === index);
+      return param && typeof value === 'boolean' ? Number(value) : value;
+    });
+
+    return await this.callWithEncryption(
+      schema.signature,
+      values,
+      schema.encrypted.map(({ index, type }) => ({ index, type })),
+      { proofIndex: schema.proofIndex ?? undefined, overrides }
+    );
+  }
+
+  /**
+   * Get the encryption layout detected for a function
+   */
+  getEncryptedSchema(functionName: string): EncryptedFunctionSchema[] {
+    return this.schemas.get(functionName) || [];
+  }
+
+  /**
+   * Pick the overload matching the argument count and split off overrides
+   */
+  private resolveSchema(
+    functionName: string,
+    args: any[]
+  ): { schema: EncryptedFunctionSchema; callArgs: any[]; overrides?: TransactionOptions } {
+    const candidates = this.schemas.get(functionName);
+    if (!candidates) {
+      throw new EncryptedArgumentError(functionName, -1, 'function not found in ABI');
+    }
+
+    for (const schema of candidates) {
+      const expected = expectedArgumentCount(schema);
+      if (args.length === expected) {
+        return { schema, callArgs: args };
+      }
+      const last = args[args.length - 1];
+      if (args.length === expected + 1 && isOverrides(last)) {
+        return { schema, callArgs: args.slice(0, -1), overrides: last };
+      }
+    }
+
+    const counts = candidates.map(expectedArgumentCount).join(' or ');
+    throw new EncryptedArgumentError(
+      candidates[0].signature,
+      -1,
+      `expected ${counts} argument(s), got ${args.length}`
+    );
   }
 
   /**
    * Call a contract function with encrypted inputs
    *
+   * All encrypted arguments are encrypted in one batch and share a single
+   * input proof. Each encrypted argument is replaced by its handle and the
+   * proof is inserted at `options.proofIndex` (by default after the last
+   * argument, matching `fn(..., externalEuintX, bytes inputProof)`).
+   *
    * @param functionName - Name of the contract function
    * @param args - Function arguments (mix of plain and encrypted)
    * @param encryptedIndices - Indices of arguments that should be encrypted
-   * @returns Transaction response
+   * @param options - Proof position and transaction overrides
+   * @returns Sent transaction
    */
   async callWithEncryption(
     functionName: string,
@@ -45,25 +181,54 @@ export class FHEVMContract {
     encryptedIndices: {
       index: number;
       type: EncryptionInput['type'];
-    }[]
-  ): Promise<ethers.ContractTransaction> {
+    }[],
+    options: EncryptedCallOptions = {}
+  ): Promise<ChainTransaction> {
     const processedArgs = [...args];
 
-    // Encrypt specified arguments
-    for (const { index, type } of encryptedIndices) {
-      const value = args[index];
-      const encrypted = await this.client.encrypt({
-        value,
-        type,
-        contractAddress: this.contract.address,
+    if (encryptedIndices.length > 0) {
+      const userAddress = await this.adapter.getAddress();
+      const input = this.client.createInput(this.address, userAddress);
+
+      for (const { index, type } of encryptedIndices) {
+        input.add(args[index], type);
+      }
+
+      const { handles, inputProof } = await input.encrypt();
+
+      // Replace arguments with their handles
+      encryptedIndices.forEach(({ index }, i) => {
+        processedArgs[index] = handles[i];
       });
 
-      // Replace argument with encrypted data
-      processedArgs[index] = encrypted.data;
+      processedArgs.splice(options.proofIndex ?? processedArgs.length, 0, inputProof);
     }
 
-    // Call the contract function
-    return await this.contract[functionName](...processedArgs);
+    const hash = await this.adapter.sendTransaction({
+      to: this.address,
+      data: this.interface.encodeFunctionData(functionName, processedArgs),
+      ...toTransactionRequest(options.overrides),
+    });
+    return chainTransaction(this.adapter, hash);
+  }
+
+  /**
+   * Call a view function
+   *
+   * The call is made from the adapter's account when it has one, so views
+   * checking `msg.sender` see the user.
+   *
+   * @returns The return value, or an ethers Result for several return values
+   */
+  async read(functionName: string, ...args: any[]): Promise<any> {
+    const fragment = this.interface.getFunction(functionName);
+    const data = await this.adapter.call({
+      to: this.address,
+      data: this.interface.encodeFunctionData(fragment, args),
+      from: this.adapter.hasSigner() ? await this.adapter.getAddress() : undefined,
+    });
+    const result = this.interface.decodeFunctionResult(fragment, data);
+    return fragment.outputs?.length === 1 ? result[0] : result;
   }
 
   /**
@@ -71,8 +236,9 @@ export class FHEVMContract {
    *
    * @param functionName - View function name
    * @param args - Function arguments
-   * @param handle - Handle to encrypted data (returned by view function)
+   * @param handleIndex - Position of the handle when the view returns a tuple
    * @returns Decrypted value
+   * @throws DecryptionError if the handle cannot be decrypted
    */
   async viewWithDecryption(
     functionName: string,
@@ -80,18 +246,12 @@ export class FHEVMContract {
     handleIndex: number = 0
   ): Promise<bigint> {
     // Call view function to get handle
-    const result = await this.contract[functionName](...args);
+    const result = await this.read(functionName, ...args);
     const handle = Array.isArray(result) ? result[handleIndex] : result;
 
-    // Request reencryption
-    const signature = await this.client.createReencryptionRequest(
-      this.contract.address,
-      handle
-    );
-
-    // Decrypt the result
+    // Reencrypt through the gateway and decrypt with the session key
     const decrypted = await this.client.decrypt({
-      contractAddress: this.contract.address,
+      contractAddress: this.address,
       handles: [handle],
     });
 
@@ -101,42 +261,104 @@ export class FHEVMContract {
   /**
    * Listen for contract events
    *
-   * @param eventName - Name of the event
+   * Like ethers, the callback receives the event arguments followed by the
+   * log, which carries the decoded `args`.
+   *
+   * @param eventName - Name or signature of the event
    * @param callback - Function to call when event is emitted
    */
   on(eventName: string, callback: (...args: any[]) => void): void {
-    this.contract.on(eventName, callback);
+    const event = this.interface.getEvent(eventName);
+    const unsubscribe = this.adapter.subscribeLogs(
+      { address: this.address, topics: [this.interface.getEventTopic(event)] },
+      (log: ChainLog) => {
+        const args = this.interface.decodeEventLog(event, log.data, log.topics);
+        callback(...args, { ...log, event: event.name, args });
+      }
+    );
+    this.subscriptions.push({ eventName: event.name, callback, unsubscribe });
   }
 
   /**
    * Remove event listener
    *
-   * @param eventName - Name of the event
-   * @param callback - Callback to remove
+   * @param eventName - Name or signature of the event
+   * @param callback - Callback to remove; every listener of the event when omitted
    */
   off(eventName: string, callback?: (...args: any[]) => void): void {
-    if (callback) {
-      this.contract.off(eventName, callback);
-    } else {
-      this.contract.removeAllListeners(eventName);
-    }
+    const name = this.interface.getEvent(eventName).name;
+    this.subscriptions = this.subscriptions.filter((subscription) => {
+      if (subscription.eventName !== name || (callback && subscription.callback !== callback)) {
+        return true;
+      }
+      subscription.unsubscribe();
+      return false;
+    });
   }
 
   /**
-   * Get the underlying ethers Contract instance
+   * Get the underlying ethers v5 Contract instance
+   *
+   * @throws FHEVMError unless the contract was created with an ethers v5 signer
    */
   getContract(): ethers.Contract {
+    if (!this.contract) {
+      throw new FHEVMError('getContract() needs an ethers v5 signer; use read() and write with a ChainAdapter');
+    }
     return this.contract;
   }
 
+  /**
+   * Get the ABI interface, e.g. to parse receipt logs
+   */
+  getInterface(): ethers.utils.Interface {
+    return this.interface;
+  }
+
   /**
    * Get contract address
    */
   getAddress(): string {
-    return this.contract.address;
+    return this.address;
   }
 }
 
+/**
+ * Wrap a transaction hash; `wait` rejects when the transaction reverted
+ */
+function chainTransaction(adapter: ChainAdapter, hash: string): ChainTransaction {
+  return {
+    hash,
+    wait: async (confirmations: number = 1) => {
+      const receipt = await adapter.waitForTransaction(hash, confirmations);
+      if (receipt.status !== 1) {
+        throw new FHEVMError(`Transaction ${hash} reverted`);
+      }
+      return receipt;
+    },
+  };
+}
+
+function toTransactionRequest(overrides: TransactionOptions = {}): Omit<ChainTransactionRequest, 'to' | 'data'> {
+  const toBigInt = (value?: ethers.BigNumberish) =>
+    value === undefined ? undefined : ethers.BigNumber.from(value).toBigInt();
+  return {
+    value: toBigInt(overrides.value),
+    gasLimit: toBigInt(overrides.gasLimit),
+    gasPrice: toBigInt(overrides.gasPrice),
+    nonce: overrides.nonce,
+  };
+}
+
+function isOverrides(value: any): value is TransactionOptions {
+  return (
+    value !== null &&
+    typeof value === 'object' &&
+    !Array.isArray(value) &&
+    !ethers.BigNumber.isBigNumber(value)
+  );
+}
+
 /**
  * Helper to estimate gas for encrypted function calls
  */
@@ -155,23 +377,24 @@ export async function estimateEncryptedGas(
 }
 
 /**
- * Helper to wait for transaction confirmation with retry
+ * Helper to wait for transaction confirmation with a timeout
+ *
+ * @throws FHEVMError if the transaction reverted
  */
 export async function waitForTransaction(
-  tx: ethers.ContractTransaction,
+  tx: ChainTransaction,
   confirmations: number = 1,
   timeout: number = 120000
-): Promise<ethers.ContractReceipt> {
-  const receipt = await Promise.race([
-    tx.wait(confirmations),
-    new Promise<never>((_, reject) =>
-      setTimeout(() => reject(new Error('Transaction timeout')), timeout)
-    ),
-  ]);
-
-  if (!receipt.status) {
-    throw new Error('Transaction failed');
+): Promise<ChainReceipt> {
+  let timer: ReturnType<typeof setTimeout> | undefined;
+  try {
+    return await Promise.race([
+      tx.wait(confirmations),
+      new Promise<never>((_, reject) => {
+        timer = setTimeout(() => reject(new Error('Transaction timeout')), timeout);
+      }),
+    ]);
+  } finally {
+    clearTimeout(timer);
   }
-
-  return receipt;
 }
@@ -0,0 +1,132 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import {
+  DecryptionCache,
+  DecryptionSession,
+  createDefaultDecryptionCache,
+  createFileDecryptionCache,
+} from './DecryptionCache';
+import { MemoryKeyValueStorage, WebCryptoCipher } from './SecureStorage';
+
+const USER = '0x00000000000000000000000000000000000000A1';
+const CONTRACT = '0x00000000000000000000000000000000000000C0';
+
+const session = (overrides: Partial<DecryptionSession> = {}): DecryptionSession => ({
+  chainId: 31337,
+  userAddress: USER,
+  publicKey: '0x01',
+  privateKey: '0x02',
+  createdAt: Date.now(),
+  expiresAt: Date.now() + 60000,
+  authorizations: { [CONTRACT]: '0x03' },
+  ...overrides,
+});
+
+describe('DecryptionCache', () => {
+  it('loads sessions by chain and user, whatever the address case', async () => {
+    const cache = new DecryptionCache();
+    const saved = session();
+    await cache.saveSession(saved);
+
+    expect(await cache.loadSession(31337, USER.toLowerCase())).toEqual(saved);
+    expect(await cache.loadSession(1, USER)).toBeNull();
+
+    await cache.removeSession(31337, USER);
+    expect(await cache.loadSession(31337, USER)).toBeNull();
+  });
+
+  it('drops expired sessions', async () => {
+    const storage = new MemoryKeyValueStorage();
+    const cache = new DecryptionCache({ storage });
+    await cache.saveSession(session({ expiresAt: Date.now() - 1 }));
+
+    expect(await cache.loadSession(31337, USER)).toBeNull();
+    expect(await storage.keys()).toEqual([]);
+  });
+
+  it('memoizes values by handle, whatever its encoding', async () => {
+    const cache = new DecryptionCache();
+    await cache.setValue(31337, USER, CONTRACT, '0x2a', BigInt(2) ** BigInt(64));
+
+    expect(await cache.getValue(31337, USER.toLowerCase(), CONTRACT.toLowerCase(), '0x' + '0'.repeat(62) + '2a')).toBe(
+      BigInt(2) ** BigInt(64)
+    );
+    expect(await cache.getValue(31337, USER, CONTRACT, '0x2b')).toBeNull();
+  });
+
+  it('clears entries by chain and user', async () => {
+    const storage = new MemoryKeyValueStorage();
+    const cache = new DecryptionCache({ storage });
+    const other = '0x00000000000000000000000000000000000000b2';
+    await cache.saveSession(session());
+    await cache.saveSession(session({ chainId: 1 }));
+    await cache.setValue(31337, other, CONTRACT, '0x01', BigInt(1));
+    await storage.set('unrelated', 'kept');
+
+    await cache.clear(31337, USER);
+    expect((await storage.keys()).sort()).toEqual([
+      'session:1:' + USER.toLowerCase(),
+      'unrelated',
+      `value:31337:${other}:${CONTRACT.toLowerCase()}:0x${'0'.repeat(63)}1`,
+    ]);
+
+    await cache.clear();
+    expect(await storage.keys()).toEqual(['unrelated']);
+  });
+
+  it('seals entries and starts over when they were sealed with another key', async () => {
+    const storage = new MemoryKeyValueStorage();
+    const cache = new DecryptionCache({ storage, cipher: WebCryptoCipher.fromPassphrase('first') });
+    await cache.saveSession(session());
+    await cache.setValue(31337, USER, CONTRACT, '0x01', BigInt(7));
+
+    const stored = await Promise.all((await storage.keys()).map((key) => storage.get(key)));
+    stored.forEach((raw) => expect(raw).not.toMatch(/privateKey|"7"/));
+    expect((await cache.loadSession(31337, USER))?.privateKey).toBe('0x02');
+
+    const rekeyed = new DecryptionCache({ storage, cipher: WebCryptoCipher.fromPassphrase('second') });
+    expect(await rekeyed.loadSession(31337, USER)).toBeNull();
+    expect(await rekeyed.getValue(31337, USER, CONTRACT, '0x01')).toBeNull();
+    expect(await storage.keys()).toEqual([]);
+  });
+});
+
+describe('createFileDecryptionCache', () => {
+  let directory: string;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'fhevm-cache-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('keeps sealed sessions across instances with a generated key file', async () => {
+    await createFileDecryptionCache({ directory }).saveSession(session());
+
+    expect(fs.readdirSync(directory).sort()).toEqual(['decryption-cache.json', 'decryption-cache.key']);
+    expect(fs.readFileSync(path.join(directory, 'decryption-cache.json'), 'utf8')).not.toContain('privateKey');
+    expect((await createFileDecryptionCache({ directory }).loadSession(31337, USER))?.publicKey).toBe('0x01');
+  });
+
+  it('derives the key from a passphrase instead when given one', async () => {
+    await createFileDecryptionCache({ directory, passphrase: 'secret' }).saveSession(session());
+
+    expect(fs.readdirSync(directory)).toEqual(['decryption-cache.json']);
+    expect(
+      await createFileDecryptionCache({ directory, passphrase: 'secret' }).loadSession(31337, USER)
+    ).not.toBeNull();
+  });
+});
+
+describe('createDefaultDecryptionCache', () => {
+  it('keeps entries in memory without IndexedDB', async () => {
+    const cache = createDefaultDecryptionCache();
+    await cache.saveSession(session());
+
+    expect(await cache.loadSession(31337, USER)).not.toBeNull();
+    expect(await createDefaultDecryptionCache().loadSession(31337, USER)).toBeNull();
+  });
+});
@@ -0,0 +1,194 @@
+/**
+ * DecryptionCache - Persistent decryption session and decrypted value memo
+ *
+ * Decrypting a handle needs a reencryption keypair and an EIP-712
+ * authorization signed by the user for every contract. Without a cache both
+ * are lost on reload and the wallet prompts again. The cache keeps, per
+ * chain and user:
+ * - the decryption session: keypair plus the signed authorization of each
+ *   contract, valid until `expiresAt`
+ * - decrypted values by contract and handle; a handle always stands for
+ *   the same ciphertext, so its cleartext never goes stale
+ *
+ * Entries are sealed with a StorageCipher before they reach the storage
+ * backend (see SecureStorage).
+ */
+
+import { ethers } from 'ethers';
+import {
+  FileKeyValueStorage,
+  IndexedDBKeyValueStorage,
+  KeyValueStorage,
+  MemoryKeyValueStorage,
+  StorageCipher,
+  WebCryptoCipher,
+} from './SecureStorage';
+
+/**
+ * Reencryption keypair and the contracts the user authorized it for
+ */
+export interface DecryptionSession {
+  chainId: number;
+  userAddress: string; // checksummed
+  publicKey: string;
+  privateKey: string;
+  createdAt: number; // unix timestamp in milliseconds
+  expiresAt: number; // unix timestamp in milliseconds
+  authorizations: Record<string, string>; // checksummed contract address => EIP-712 signature
+}
+
+export interface DecryptionCacheOptions {
+  storage?: KeyValueStorage;
+  // Required with persistent storage; without one entries are stored in the clear
+  cipher?: StorageCipher;
+  sessionDuration?: number; // ms a new session stays valid
+}
+
+export const DEFAULT_SESSION_DURATION = 24 * 60 * 60 * 1000;
+
+export class DecryptionCache {
+  private storage: KeyValueStorage;
+  private cipher: StorageCipher | null;
+
+  readonly sessionDuration: number;
+
+  constructor(options: DecryptionCacheOptions = {}) {
+    this.storage = options.storage || new MemoryKeyValueStorage();
+    this.cipher = options.cipher || null;
+    this.sessionDuration = options.sessionDuration ?? DEFAULT_SESSION_DURATION;
+  }
+
+  /**
+   * The stored session of a user, null when missing, expired or unreadable
+   */
+  async loadSession(chainId: number, userAddress: string): Promise<DecryptionSession | null> {
+    const key = sessionKey(chainId, userAddress);
+    const session = await this.read<DecryptionSession>(key);
+    if (!session || session.expiresAt <= Date.now()) {
+      if (session) {
+        await this.storage.remove(key);
+      }
+      return null;
+    }
+    return session;
+  }
+
+  async saveSession(session: DecryptionSession): Promise<void> {
+    await this.write(sessionKey(session.chainId, session.userAddress), session);
+  }
+
+  async removeSession(chainId: number, userAddress: string): Promise<void> {
+    await this.storage.remove(sessionKey(chainId, userAddress));
+  }
+
+  /**
+   * The memoized cleartext of a handle, null when it was never decrypted
+   */
+  async getValue(chainId: number, userAddress: string, contractAddress: string, handle: string): Promise<bigint | null> {
+    const value = await this.read<string>(valueKey(chainId, userAddress, contractAddress, handle));
+    return value === null ? null : BigInt(value);
+  }
+
+  async setValue(
+    chainId: number,
+    userAddress: string,
+    contractAddress: string,
+    handle: string,
+    value: bigint
+  ): Promise<void> {
+    await this.write(valueKey(chainId, userAddress, contractAddress, handle), value.toString());
+  }
+
+  /**
+   * Remove sessions and values, optionally only those of one chain or user
+   */
+  async clear(chainId?: number, userAddress?: string): Promise<void> {
+    const user = userAddress?.toLowerCase();
+    const keys = await this.storage.keys();
+
+    await Promise.all(
+      keys
+        .filter((key) => {
+          const [kind, keyChainId, keyUser] = key.split(':');
+          return (
+            (kind === 'session' || kind === 'value') &&
+            (chainId === undefined || keyChainId === String(chainId)) &&
+            (!user || keyUser === user)
+          );
+        })
+        .map((key) => this.storage.remove(key))
+    );
+  }
+
+  private async read<T>(key: string): Promise<T | null> {
+    const raw = await this.storage.get(key);
+    if (raw === null) {
+      return null;
+    }
+    try {
+      return JSON.parse(this.cipher ? await this.cipher.open(raw) : raw) as T;
+    } catch {
+      // Sealed with another key (cleared site data, new passphrase): start over
+      await this.storage.remove(key);
+      return null;
+    }
+  }
+
+  private async write(key: string, value: unknown): Promise<void> {
+    const raw = JSON.stringify(value);
+    await this.storage.set(key, this.cipher ? await this.cipher.seal(raw) : raw);
+  }
+}
+
+function sessionKey(chainId: number, userAddress: string): string {
+  return `session:${chainId}:${userAddress.toLowerCase()}`;
+}
+
+function valueKey(chainId: number, userAddress: string, contractAddress: string, handle: string): string {
+  const handleHex = ethers.utils.hexZeroPad(ethers.BigNumber.from(handle).toHexString(), 32);
+  return `value:${chainId}:${userAddress.toLowerCase()}:${contractAddress.toLowerCase()}:${handleHex}`;
+}
+
+/**
+ * Cache in IndexedDB, sealed with a non-extractable per-browser key
+ */
+export function createBrowserDecryptionCache(options: { sessionDuration?: number } = {}): DecryptionCache {
+  return new DecryptionCache({
+    storage: new IndexedDBKeyValueStorage(),
+    cipher: WebCryptoCipher.deviceKey(),
+    sessionDuration: options.sessionDuration,
+  });
+}
+
+/**
+ * Cache in `<directory>/decryption-cache.json` for Node.js scripts and CLIs
+ *
+ * Entries are sealed with a key derived from `passphrase` or, without one,
+ * with a random key kept next to the cache in `decryption-cache.key`.
+ */
+export function createFileDecryptionCache(
+  options: { directory?: string; passphrase?: string; sessionDuration?: number } = {}
+): DecryptionCache {
+  const directory = options.directory || '.fhevm';
+  return new DecryptionCache({
+    storage: new FileKeyValueStorage(`${directory}/decryption-cache.json`),
+    cipher: options.passphrase
+      ? WebCryptoCipher.fromPassphrase(options.passphrase)
+      : WebCryptoCipher.keyFile(`${directory}/decryption-cache.key`),
+    sessionDuration: options.sessionDuration,
+  });
+}
+
+/**
+ * Pick the most suitable cache for the current environment
+ *
+ * The browser cache where IndexedDB and WebCrypto exist, memory everywhere
+ * else. Node.js callers that want sessions to survive restarts should pass
+ * createFileDecryptionCache().
+ */
+export function createDefaultDecryptionCache(): DecryptionCache {
+  if (typeof indexedDB !== 'undefined' && globalThis.crypto?.subtle) {
+    return createBrowserDecryptionCache();
+  }
+  return new DecryptionCache();
+}
@@ -0,0 +1,65 @@
+import { ethers } from 'ethers';
+import { EncryptedInputBuilder } from './EncryptedInput';
+import { ChainAdapter } from './ChainAdapter';
+import { createMockInstance } from '../mock/MockFhevmInstance';
+
+const CONTRACT = '0x00000000000000000000000000000000000000c0';
+const USER = '0x00000000000000000000000000000000000000a1';
+
+function createBuilder(): EncryptedInputBuilder {
+  const instance = createMockInstance({ chainId: 31337, adapter: {} as ChainAdapter });
+  return new EncryptedInputBuilder(instance.createEncryptedInput(CONTRACT, USER), CONTRACT, USER);
+}
+
+describe('EncryptedInputBuilder', () => {
+  it('encrypts every value under one input proof', async () => {
+    const builder = createBuilder()
+      .add8(120)
+      .add16(40000)
+      .addBool(true)
+      .add64(BigInt(2) ** BigInt(40));
+
+    expect(builder.size).toBe(4);
+    expect(builder.getTypes()).toEqual(['euint8', 'euint16', 'ebool', 'euint64']);
+
+    const { handles, inputProof } = await builder.encrypt();
+
+    expect(handles).toHaveLength(4);
+    handles.forEach((handle, index) => {
+      expect(ethers.utils.hexDataLength(handle)).toBe(32);
+      // Byte 21 of a handle is its index in the input
+      expect(ethers.utils.hexDataSlice(handle, 21, 22)).toBe(ethers.utils.hexlify(index));
+    });
+    // The proof starts with the handle count and lists the handles
+    expect(ethers.utils.hexDataSlice(inputProof, 0, 1)).toBe('0x04');
+    expect(ethers.utils.hexDataSlice(inputProof, 2, 2 + 4 * 32)).toBe(ethers.utils.hexConcat(handles));
+  });
+
+  it('adds values by encrypted type', async () => {
+    const builder = createBuilder().add(1, 'ebool').add(7, 'euint32').add(9, 'euint128');
+
+    expect(builder.getTypes()).toEqual(['ebool', 'euint32', 'euint128']);
+    expect((await builder.encrypt()).handles).toHaveLength(3);
+  });
+
+  it('rejects values out of range for their type', () => {
+    const builder = createBuilder();
+
+    expect(() => builder.add8(256)).toThrow('Value 256 exceeds maximum for euint8: 255');
+    expect(() => builder.add16(-1)).toThrow('Value cannot be negative: -1');
+    expect(() => builder.add(1, 'euint256')).toThrow('Unsupported encrypted input type: euint256');
+    expect(builder.size).toBe(0);
+  });
+
+  it('refuses to encrypt an empty input', async () => {
+    await expect(createBuilder().encrypt()).rejects.toThrow('Encrypted input is empty');
+  });
+
+  it('is sealed once encrypted', async () => {
+    const builder = createBuilder().add8(1);
+    await builder.encrypt();
+
+    expect(() => builder.add8(2)).toThrow('Encrypted input already sealed');
+    await expect(builder.encrypt()).rejects.toThrow('Encrypted input already sealed');
+  });
+});
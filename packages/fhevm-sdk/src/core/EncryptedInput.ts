@@ -0,0 +1,130 @@
+/**
+ * EncryptedInput - Builder for batched encrypted contract inputs
+ *
+ * Several values encrypted for the same contract call share a single input
+ * proof, which is what contracts taking `externalEuintX` parameters plus one
+ * trailing `bytes inputProof` expect.
+ */
+
+import { ethers } from 'ethers';
+import { FhevmInstance } from 'fhevmjs';
+import { EncryptedType } from '../utils/types';
+import { validateEncryptedValue } from '../utils/helpers';
+
+type ZKInput = ReturnType<FhevmInstance['createEncryptedInput']>;
+
+/**
+ * Handles and the shared proof produced by an encrypted input
+ */
+export interface EncryptedInputs {
+  handles: string[]; // bytes32 hex handles, in the order values were added
+  inputProof: string; // hex encoded proof covering every handle
+}
+
+export class EncryptedInputBuilder {
+  private types: EncryptedType[] = [];
+  private encrypted = false;
+
+  constructor(
+    private input: ZKInput,
+    public readonly contractAddress: string,
+    public readonly userAddress: string
+  ) {}
+
+  addBool(value: boolean | number | bigint): this {
+    return this.add(typeof value === 'boolean' ? Number(value) : value, 'ebool');
+  }
+
+  add8(value: number | bigint): this {
+    return this.add(value, 'euint8');
+  }
+
+  add16(value: number | bigint): this {
+    return this.add(value, 'euint16');
+  }
+
+  add32(value: number | bigint): this {
+    return this.add(value, 'euint32');
+  }
+
+  add64(value: number | bigint): this {
+    return this.add(value, 'euint64');
+  }
+
+  add128(value: number | bigint): this {
+    return this.add(value, 'euint128');
+  }
+
+  /**
+   * Add a value of the given encrypted type
+   *
+   * @throws Error if the value is out of range for the type
+   */
+  add(value: number | bigint, type: EncryptedType): this {
+    if (this.encrypted) {
+      throw new Error('Encrypted input already sealed. Create a new input for another call.');
+    }
+
+    validateEncryptedValue(value, type);
+
+    switch (type) {
+      case 'ebool':
+        this.input.addBool(BigInt(value) === BigInt(1));
+        break;
+      case 'euint8':
+        this.input.add8(value);
+        break;
+      case 'euint16':
+        this.input.add16(value);
+        break;
+      case 'euint32':
+        this.input.add32(value);
+        break;
+      case 'euint64':
+        this.input.add64(value);
+        break;
+      case 'euint128':
+        this.input.add128(value);
+        break;
+      default:
+        throw new Error(`Unsupported encrypted input type: ${type}`);
+    }
+
+    this.types.push(type);
+    return this;
+  }
+
+  /**
+   * Types of the values added so far, in order
+   */
+  getTypes(): EncryptedType[] {
+    return [...this.types];
+  }
+
+  /**
+   * Number of values added so far
+   */
+  get size(): number {
+    return this.types.length;
+  }
+
+  /**
+   * Encrypt all added values and produce their shared input proof
+   */
+  async encrypt(): Promise<EncryptedInputs> {
+    if (this.types.length === 0) {
+      throw new Error('Encrypted input is empty');
+    }
+    if (this.encrypted) {
+      throw new Error('Encrypted input already sealed. Create a new input for another call.');
+    }
+
+    const { handles, inputProof } = await this.input.encrypt();
+    this.encrypted = true;
+
+    return {
+      handles: handles.map((handle: Uint8Array) => ethers.utils.hexlify(handle)),
+      inputProof: ethers.utils.hexlify(inputProof),
+    };
+  }
+}
@@ -0,0 +1,272 @@
+import { ethers } from 'ethers';
+import { FHEVMClient, FHEVMClientConfig } from './FHEVMClient';
+import { MemoryPublicKeyStorage } from './PublicKeyStorage';
+import { DecryptionCache } from './DecryptionCache';
+import { ChainAdapter } from './ChainAdapter';
+import { DecryptionError, HandleDecryptionError, PublicKeyVerificationError } from '../utils/errors';
+
+jest.mock('fhevmjs', () => ({ createInstance: jest.fn() }), { virtual: true });
+
+const KMS_VERIFIER_ABI = new ethers.utils.Interface([
+  'function getKmsSigners() view returns (address[])',
+  'function getThreshold() view returns (uint256)',
+]);
+
+const GATEWAY_URL = 'https://gateway.test';
+const KMS_VERIFIER = '0x00000000000000000000000000000000000000F1';
+const KEY_URL = 'https://keys.test/public-key';
+const KEY_ID = 'ab'.repeat(32);
+const PUBLIC_KEY = ethers.utils.hexlify(ethers.utils.toUtf8Bytes('network public key'));
+
+const kmsSigners = [1, 2, 3].map((i) => new ethers.Wallet(ethers.utils.id(`kms-signer-${i}`)));
+const outsider = new ethers.Wallet(ethers.utils.id('outsider'));
+
+function signKey(wallet: ethers.Wallet, publicKey = PUBLIC_KEY): string {
+  return ethers.utils.joinSignature(wallet._signingKey().signDigest(ethers.utils.keccak256(publicKey)));
+}
+
+/**
+ * Read-only adapter answering the KMS verifier calls
+ */
+function kmsAdapter(threshold = 2): ChainAdapter {
+  return {
+    hasSigner: () => false,
+    call: async ({ data }: { data: string }) => {
+      const { name } = KMS_VERIFIER_ABI.parseTransaction({ data });
+      return name === 'getKmsSigners'
+        ? KMS_VERIFIER_ABI.encodeFunctionResult(name, [kmsSigners.map((signer) => signer.address)])
+        : KMS_VERIFIER_ABI.encodeFunctionResult(name, [threshold]);
+    },
+  } as unknown as ChainAdapter;
+}
+
+/**
+ * Serve the keyurl response and the key bytes
+ */
+function mockGateway(signatures: string[]) {
+  return jest.spyOn(global, 'fetch').mockImplementation(async (input: any) => {
+    const url = String(input);
+    if (url === `${GATEWAY_URL}/keyurl`) {
+      const fhe_public_key = { data_id: KEY_ID, urls: [KEY_URL], signatures };
+      return new Response(JSON.stringify({ response: { fhe_key_info: [{ fhe_public_key }] } }));
+    }
+    if (url === KEY_URL) {
+      return new Response(ethers.utils.arrayify(PUBLIC_KEY));
+    }
+    return new Response(null, { status: 404, statusText: 'Not Found' });
+  });
+}
+
+function createClient(config: Partial<FHEVMClientConfig> = {}): FHEVMClient {
+  return new FHEVMClient({
+    chainId: 11155111,
+    gatewayUrl: GATEWAY_URL,
+    kmsVerifierAddress: KMS_VERIFIER,
+    adapter: kmsAdapter(),
+    publicKeyStorage: new MemoryPublicKeyStorage(),
+    ...config,
+  });
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('FHEVMClient.getPublicKey', () => {
+  it('accepts a key signed by the KMS threshold and caches it as verified', async () => {
+    mockGateway([signKey(kmsSigners[0]), signKey(kmsSigners[2])]);
+    const storage = new MemoryPublicKeyStorage();
+
+    const key = await createClient({ publicKeyStorage: storage }).getPublicKey();
+
+    expect(key).toEqual({ publicKeyId: KEY_ID, publicKey: PUBLIC_KEY, verified: true });
+    expect(await storage.get(11155111)).toMatchObject({ publicKeyId: KEY_ID, verified: true });
+  });
+
+  it('rejects a key below the signature threshold', async () => {
+    // The same signer twice and a signer outside the KMS count once
+    mockGateway([signKey(kmsSigners[0]), signKey(kmsSigners[0]), signKey(outsider), '0x1234']);
+
+    const error = await createClient()
+      .getPublicKey()
+      .catch((e) => e);
+
+    expect(error).toBeInstanceOf(PublicKeyVerificationError);
+    expect(error.message).toContain('1 valid KMS signatures, 2 required');
+  });
+
+  it('rejects signatures over other key bytes', async () => {
+    const otherKey = ethers.utils.hexlify(ethers.utils.toUtf8Bytes('other key'));
+    mockGateway([signKey(kmsSigners[0], otherKey), signKey(kmsSigners[1], otherKey)]);
+
+    await expect(createClient().getPublicKey()).rejects.toThrow(PublicKeyVerificationError);
+  });
+
+  it('rejects keys without signatures', async () => {
+    mockGateway([]);
+
+    await expect(createClient().getPublicKey()).rejects.toThrow('the gateway returned no KMS signatures');
+  });
+
+  it('fails closed without a KMS verifier address, on Sepolia too', async () => {
+    mockGateway([signKey(kmsSigners[0]), signKey(kmsSigners[1])]);
+
+    await expect(createClient({ kmsVerifierAddress: undefined }).getPublicKey()).rejects.toThrow(
+      'FHE public key verification failed for chain 11155111: no KMS verifier address is configured; ' +
+        'set allowUnverifiedPublicKey to accept the key unverified'
+    );
+  });
+
+  it('returns an unverified key only when allowed', async () => {
+    mockGateway([]);
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+    const storage = new MemoryPublicKeyStorage();
+
+    const key = await createClient({
+      chainId: 4242,
+      kmsVerifierAddress: undefined,
+      allowUnverifiedPublicKey: true,
+      publicKeyStorage: storage,
+    }).getPublicKey();
+
+    expect(key.verified).toBe(false);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('unverified FHE public key'));
+    expect(await storage.get(4242)).toMatchObject({ verified: false });
+  });
+
+  it('serves a fresh verified key from storage without the gateway', async () => {
+    const fetch = mockGateway([]);
+    const storage = new MemoryPublicKeyStorage();
+    await storage.set({
+      chainId: 11155111,
+      publicKeyId: KEY_ID,
+      publicKey: PUBLIC_KEY,
+      fetchedAt: Date.now(),
+      verified: true,
+    });
+
+    const key = await createClient({ publicKeyStorage: storage }).getPublicKey();
+
+    expect(key.verified).toBe(true);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('verifies cached keys that were stored unverified', async () => {
+    const fetch = mockGateway([signKey(kmsSigners[0]), signKey(kmsSigners[1])]);
+    const storage = new MemoryPublicKeyStorage();
+    await storage.set({ chainId: 11155111, publicKeyId: KEY_ID, publicKey: PUBLIC_KEY, fetchedAt: Date.now() });
+
+    const key = await createClient({ publicKeyStorage: storage }).getPublicKey();
+
+    expect(key.verified).toBe(true);
+    expect(fetch).toHaveBeenCalledWith(KEY_URL);
+  });
+});
+
+const ACL_ADDRESS = '0x687820221192C5B662b25367F70076A37bc79b6c';
+const CONTRACT = '0x00000000000000000000000000000000000000c0';
+const MOCK_ABI = new ethers.utils.Interface([
+  'function persistAllowed(bytes32 handle, address account) view returns (bool)',
+  'function getClearText(bytes32 handle) view returns (uint256)',
+]);
+
+/**
+ * Signing adapter in front of the mock ACL and coprocessor
+ *
+ * `cleartexts` maps handles to values; the user and the contract may read
+ * every handle except those in `denied`.
+ */
+function mockChainAdapter(user: ethers.Wallet | null, cleartexts: Record<string, bigint>, denied: string[] = []) {
+  const reads: string[] = [];
+  const adapter = {
+    hasSigner: () => user !== null,
+    getAddress: async () => user!.address,
+    signTypedData: async (domain: any, types: any, value: any) => user!._signTypedData(domain, types, value),
+    call: async ({ data }: { data: string }) => {
+      const { name, args } = MOCK_ABI.parseTransaction({ data });
+      const handle = ethers.utils.hexZeroPad(args.handle, 32);
+      if (name === 'persistAllowed') {
+        return MOCK_ABI.encodeFunctionResult(name, [!denied.includes(handle)]);
+      }
+      reads.push(handle);
+      return MOCK_ABI.encodeFunctionResult(name, [cleartexts[handle] ?? 0]);
+    },
+  } as unknown as ChainAdapter;
+  return { adapter, reads };
+}
+
+const handle = (n: number) => ethers.utils.hexZeroPad(ethers.utils.hexlify(n), 32);
+
+describe('FHEVMClient.decrypt', () => {
+  const user = new ethers.Wallet(ethers.utils.id('decrypting user'));
+
+  async function mockClient(adapter: ChainAdapter): Promise<FHEVMClient> {
+    const client = new FHEVMClient({
+      chainId: 31337,
+      mock: true,
+      adapter,
+      aclAddress: ACL_ADDRESS,
+      decryptionCache: new DecryptionCache(),
+    });
+    await client.initialize();
+    return client;
+  }
+
+  it('returns the cleartexts in handle order', async () => {
+    const { adapter } = mockChainAdapter(user, { [handle(1)]: BigInt(120), [handle(2)]: BigInt(85) });
+    const client = await mockClient(adapter);
+
+    await expect(client.decrypt({ contractAddress: CONTRACT, handles: [handle(2), handle(1)] })).resolves.toEqual([
+      BigInt(85),
+      BigInt(120),
+    ]);
+  });
+
+  it('decrypts the zero handle to zero without the gateway', async () => {
+    const { adapter, reads } = mockChainAdapter(user, {});
+    const client = await mockClient(adapter);
+
+    await expect(client.decrypt({ contractAddress: CONTRACT, handles: [handle(0)] })).resolves.toEqual([BigInt(0)]);
+    expect(reads).toEqual([]);
+  });
+
+  it('reports each failed handle and keeps the values that decrypted', async () => {
+    const { adapter } = mockChainAdapter(user, { [handle(1)]: BigInt(7), [handle(3)]: BigInt(9) }, [handle(2)]);
+    const client = await mockClient(adapter);
+
+    const error = await client
+      .decrypt({ contractAddress: CONTRACT, handles: [handle(1), handle(2), handle(3)] })
+      .catch((e) => e);
+
+    expect(error).toBeInstanceOf(DecryptionError);
+    expect(error.message).toBe('Failed to decrypt 1 of 3 handle(s)');
+    expect(error.results).toEqual([BigInt(7), null, BigInt(9)]);
+    expect(error.failures).toHaveLength(1);
+    expect(error.failures[0]).toBeInstanceOf(HandleDecryptionError);
+    expect(error.failures[0]).toMatchObject({ handle: handle(2), contractAddress: CONTRACT });
+    expect(error.failures[0].message).toContain('is not authorized to reencrypt');
+  });
+
+  it('fails every handle without a signer', async () => {
+    const { adapter } = mockChainAdapter(null, { [handle(1)]: BigInt(7) });
+    const client = await mockClient(adapter);
+
+    const error = await client.decrypt({ contractAddress: CONTRACT, handles: [handle(1), handle(2)] }).catch((e) => e);
+
+    expect(error).toBeInstanceOf(DecryptionError);
+    expect(error.results).toEqual([null, null]);
+    expect(error.failures.map((failure: Error) => failure.message)).toEqual([
+      `Failed to decrypt handle ${handle(1)}: Signer required for decryption`,
+      `Failed to decrypt handle ${handle(2)}: Signer required for decryption`,
+    ]);
+  });
+
+  it('requires initialize()', async () => {
+    const { adapter } = mockChainAdapter(user, {});
+    const client = new FHEVMClient({ chainId: 31337, mock: true, adapter });
+
+    await expect(client.decrypt({ contractAddress: CONTRACT, handles: [handle(1)] })).rejects.toThrow(
+      'FHEVM instance not initialized'
+    );
+  });
+});
@@ -9,17 +9,59 @@
  */
 
 import { ethers } from 'ethers';
-import { createInstance, FhevmInstance, Keypair } from 'fhevmjs';
+import { createInstance, FhevmInstance } from 'fhevmjs';
+import { NETWORKS, NetworkConfig } from '../utils/types';
+import { DecryptionError, HandleDecryptionError, PublicKeyVerificationError } from '../utils/errors';
+import { EncryptedInputBuilder } from './EncryptedInput';
+import { PublicKeyStorage, StoredPublicKey, createDefaultPublicKeyStorage } from './PublicKeyStorage';
+import { DecryptionCache, DecryptionSession, createDefaultDecryptionCache } from './DecryptionCache';
+import { createMockInstance } from '../mock/MockFhevmInstance';
+import { ChainAdapter, EthersV5Adapter } from './ChainAdapter';
 
 export interface FHEVMClientConfig {
-  provider: ethers.providers.Provider;
+  provider?: ethers.providers.Provider;
   signer?: ethers.Signer;
+  adapter?: ChainAdapter; // any supported library, used instead of provider/signer
   chainId: number;
   gatewayUrl?: string;
   aclAddress?: string;
   kmsVerifierAddress?: string;
+  publicKeyStorage?: PublicKeyStorage;
+  publicKeyMaxAge?: number; // ms before a cached key ID is re-checked against the gateway
+  allowUnverifiedPublicKey?: boolean; // opt out of key verification without a KMS verifier, see verifyPublicKey
+  mock?: boolean; // use the local FHEVM mock of `npx hardhat node` instead of fhevmjs
+  decryptionCache?: DecryptionCache;
 }
 
+/**
+ * The network FHE public key and the KMS identifier it was published under
+ */
+export interface NetworkPublicKey {
+  publicKeyId: string;
+  publicKey: string; // hex encoded key bytes
+  verified: boolean; // false only when allowUnverifiedPublicKey accepted an unchecked key
+}
+
+/**
+ * Key metadata returned by the gateway `keyurl` endpoint
+ */
+interface GatewayKeyInfo {
+  publicKeyId: string;
+  urls: string[];
+  signatures: string[];
+}
+
+const DEFAULT_PUBLIC_KEY_MAX_AGE = 24 * 60 * 60 * 1000;
+
+const KMS_VERIFIER_ABI = new ethers.utils.Interface([
+  'function getKmsSigners() view returns (address[])',
+  'function getThreshold() view returns (uint256)',
+]);
+
+// Shared across clients so the in-memory fallback still avoids re-downloads
+let defaultPublicKeyStorage: PublicKeyStorage | null = null;
+let defaultDecryptionCache: DecryptionCache | null = null;
+
 export interface EncryptionInput {
   value: number | bigint;
   type: 'euint8' | 'euint16' | 'euint32' | 'euint64' | 'euint128' | 'euint256' | 'ebool';
@@ -35,7 +77,10 @@ export interface DecryptionRequest {
 export class FHEVMClient {
   private instance: FhevmInstance | null = null;
   private config: FHEVMClientConfig;
-  private keypair: Keypair | null = null;
+  private adapter: ChainAdapter | null = null;
+  private publicKey: NetworkPublicKey | null = null;
+  private session: Promise<DecryptionSession> | null = null;
+  private pendingAuthorizations = new Map<string, Promise<string>>();
 
   constructor(config: FHEVMClientConfig) {
     this.config = config;
@@ -51,28 +96,276 @@ export class FHEVMClient {
     }
 
     try {
-      this.instance = await createInstance({
+      if (this.config.mock) {
+        // The mock has no network public key to fetch
+        this.instance = createMockInstance({
+          chainId: this.config.chainId,
+          adapter: this.getAdapter(),
+          aclAddress: this.config.aclAddress,
+        });
+      } else {
+        this.instance = await createInstance({
+          chainId: this.config.chainId,
+          publicKey: (await this.getPublicKey()).publicKey,
+          gatewayUrl: this.getNetworkSetting('gatewayUrl'),
+          aclAddress: this.getNetworkSetting('aclAddress'),
+          kmsVerifierAddress: this.getNetworkSetting('kmsVerifierAddress'),
+        });
+      }
+    } catch (error) {
+      if (error instanceof PublicKeyVerificationError) {
+        throw error;
+      }
+      throw new Error(`Failed to initialize FHEVM instance: ${error}`);
+    }
+  }
+
+  /**
+   * Get the network FHE public key and its ID
+   *
+   * The key is served from the configured storage when its ID still matches
+   * the one published by the gateway; otherwise it is downloaded, verified
+   * against the KMS signers and written back to storage. Unverified cache
+   * entries are only reused with `allowUnverifiedPublicKey`.
+   *
+   * @throws PublicKeyVerificationError when the key cannot be verified
+   */
+  async getPublicKey(): Promise<NetworkPublicKey> {
+    if (this.publicKey) {
+      return this.publicKey;
+    }
+
+    const storage = this.getPublicKeyStorage();
+    const maxAge = this.config.publicKeyMaxAge ?? DEFAULT_PUBLIC_KEY_MAX_AGE;
+
+    let cached: StoredPublicKey | null = null;
+    try {
+      cached = await storage.get(this.config.chainId);
+    } catch (error) {
+      console.warn('Failed to read cached FHE public key:', error);
+    }
+
+    if (cached && !cached.verified && !this.config.allowUnverifiedPublicKey) {
+      cached = null;
+    }
+
+    if (cached && Date.now() - cached.fetchedAt < maxAge) {
+      this.publicKey = {
+        publicKeyId: cached.publicKeyId,
+        publicKey: cached.publicKey,
+        verified: cached.verified === true,
+      };
+      return this.publicKey;
+    }
+
+    const keyInfo = await this.fetchKeyInfo();
+
+    let publicKey: string;
+    let verified: boolean;
+    if (cached && cached.publicKeyId === keyInfo.publicKeyId) {
+      // Key has not been rotated, only the freshness timestamp changes
+      publicKey = cached.publicKey;
+      verified = cached.verified === true;
+    } else {
+      publicKey = await this.downloadPublicKey(keyInfo.urls);
+      verified = await this.verifyPublicKey(keyInfo, publicKey);
+    }
+
+    try {
+      await storage.set({
         chainId: this.config.chainId,
-        publicKey: await this.getPublicKey(),
-        gatewayUrl: this.config.gatewayUrl,
-        aclAddress: this.config.aclAddress,
-        kmsVerifierAddress: this.config.kmsVerifierAddress,
+        publicKeyId: keyInfo.publicKeyId,
+        publicKey,
+        fetchedAt: Date.now(),
+        verified,
       });
-
-      // Generate keypair for this session
-      this.keypair = this.instance.generateKeypair();
     } catch (error) {
-      throw new Error(`Failed to initialize FHEVM instance: ${error}`);
+      // Caching is an optimization; a full quota must not block initialization
+      console.warn('Failed to cache FHE public key:', error);
+    }
+
+    this.publicKey = { publicKeyId: keyInfo.publicKeyId, publicKey, verified };
+    return this.publicKey;
+  }
+
+  /**
+   * Fetch the current public key ID and download locations from the gateway
+   */
+  private async fetchKeyInfo(): Promise<GatewayKeyInfo> {
+    const gatewayUrl = this.getNetworkSetting('gatewayUrl');
+    if (!gatewayUrl) {
+      throw new Error(`No gateway URL configured for chain ${this.config.chainId}`);
+    }
+
+    const response = await fetch(`${gatewayUrl.replace(/\/+$/, '')}/keyurl`);
+    if (!response.ok) {
+      throw new Error(`Gateway keyurl request failed: ${response.status} ${response.statusText}`);
+    }
+
+    const body = await response.json();
+    const keyInfo = body?.response?.fhe_key_info?.[0]?.fhe_public_key;
+    if (!keyInfo?.data_id || !Array.isArray(keyInfo.urls) || keyInfo.urls.length === 0) {
+      throw new Error('Gateway keyurl response does not contain a public key');
+    }
+
+    return {
+      publicKeyId: keyInfo.data_id,
+      urls: keyInfo.urls,
+      signatures: keyInfo.signatures || [],
+    };
+  }
+
+  /**
+   * Download the public key bytes from the first reachable URL
+   */
+  private async downloadPublicKey(urls: string[]): Promise<string> {
+    let lastError: unknown = null;
+
+    for (const url of urls) {
+      try {
+        const response = await fetch(url);
+        if (!response.ok) {
+          throw new Error(`${response.status} ${response.statusText}`);
+        }
+        const bytes = new Uint8Array(await response.arrayBuffer());
+        if (bytes.length === 0) {
+          throw new Error('empty response');
+        }
+        return ethers.utils.hexlify(bytes);
+      } catch (error) {
+        lastError = error;
+      }
+    }
+
+    throw new Error(`Failed to download FHE public key: ${lastError}`);
+  }
+
+  /**
+   * Verify the downloaded key was signed by the KMS
+   *
+   * Each entry of the keyurl `signatures` list must be a 65-byte secp256k1
+   * signature over keccak256 of the key bytes, without an EIP-191 prefix,
+   * and at least `getThreshold()` distinct signers registered in the KMS
+   * verifier contract must have signed it. The Zama gateway does not sign
+   * its keys this way, and neither its keyurl response nor fhevmjs 0.5
+   * documents the payload it signs; so no network in NETWORKS comes with a
+   * KMS verifier address. Set `kmsVerifierAddress` only for a KMS known to
+   * sign keccak256 of the key, e.g. a self-hosted one.
+   *
+   * Fails closed: without a KMS verifier address the key is rejected. Apps
+   * that accept the gateway's key unchecked, as on Sepolia, opt out
+   * explicitly with `allowUnverifiedPublicKey`.
+   *
+   * @returns Whether the signatures were checked
+   */
+  private async verifyPublicKey(keyInfo: GatewayKeyInfo, publicKey: string): Promise<boolean> {
+    const { chainId } = this.config;
+    if (!/^(0x)?[0-9a-fA-F]{64}$/.test(keyInfo.publicKeyId)) {
+      throw new PublicKeyVerificationError(chainId, `invalid public key ID ${keyInfo.publicKeyId}`);
+    }
+
+    const kmsVerifierAddress = this.getNetworkSetting('kmsVerifierAddress');
+    if (!kmsVerifierAddress) {
+      if (this.config.allowUnverifiedPublicKey) {
+        console.warn(`Using an unverified FHE public key: no KMS verifier address for chain ${chainId}`);
+        return false;
+      }
+      throw new PublicKeyVerificationError(
+        chainId,
+        'no KMS verifier address is configured; set allowUnverifiedPublicKey to accept the key unverified'
+      );
+    }
+
+    if (keyInfo.signatures.length === 0) {
+      throw new PublicKeyVerificationError(chainId, 'the gateway returned no KMS signatures');
+    }
+
+    const adapter = this.getAdapter();
+    const [signersData, thresholdData] = await Promise.all([
+      adapter.call({ to: kmsVerifierAddress, data: KMS_VERIFIER_ABI.encodeFunctionData('getKmsSigners') }),
+      adapter.call({ to: kmsVerifierAddress, data: KMS_VERIFIER_ABI.encodeFunctionData('getThreshold') }),
+    ]);
+    const [signers]: [string[]] = KMS_VERIFIER_ABI.decodeFunctionResult('getKmsSigners', signersData) as any;
+    const [threshold]: [ethers.BigNumber] = KMS_VERIFIER_ABI.decodeFunctionResult('getThreshold', thresholdData) as any;
+
+    const digest = ethers.utils.keccak256(publicKey);
+    const kmsSigners = new Set(signers.map((signer) => signer.toLowerCase()));
+    const validSigners = new Set<string>();
+
+    for (const signature of keyInfo.signatures) {
+      try {
+        const recovered = ethers.utils.recoverAddress(digest, signature).toLowerCase();
+        if (kmsSigners.has(recovered)) {
+          validSigners.add(recovered);
+        }
+      } catch {
+        // Malformed signatures simply do not count towards the threshold
+      }
+    }
+
+    if (validSigners.size < threshold.toNumber()) {
+      throw new PublicKeyVerificationError(
+        chainId,
+        `${validSigners.size} valid KMS signatures, ${threshold.toString()} required`
+      );
+    }
+    return true;
+  }
+
+  /**
+   * Resolve a network setting from the config, falling back to NETWORKS
+   */
+  private getNetworkSetting(
+    key: 'gatewayUrl' | 'aclAddress' | 'kmsVerifierAddress'
+  ): string | undefined {
+    if (this.config[key]) {
+      return this.config[key];
+    }
+    const network: NetworkConfig | undefined = Object.values(NETWORKS).find(
+      (candidate) => candidate.chainId === this.config.chainId
+    );
+    return network?.[key];
+  }
+
+  /**
+   * Get the chain adapter, built from provider/signer unless one was configured
+   */
+  getAdapter(): ChainAdapter {
+    if (!this.adapter) {
+      this.adapter = this.config.adapter || new EthersV5Adapter(this.config.provider, this.config.signer);
     }
+    return this.adapter;
   }
 
   /**
-   * Get the public key from the blockchain
+   * The adapter when it can sign, null for read-only configurations
    */
-  private async getPublicKey(): Promise<string> {
-    // In production, this would fetch the public key from the KMS contract
-    // For now, we'll use a placeholder
-    return ''; // Will be fetched from blockchain
+  private getSigningAdapter(): ChainAdapter | null {
+    if (!this.config.adapter && !this.config.signer) {
+      return null;
+    }
+    const adapter = this.getAdapter();
+    return adapter.hasSigner() ? adapter : null;
+  }
+
+  private getPublicKeyStorage(): PublicKeyStorage {
+    if (this.config.publicKeyStorage) {
+      return this.config.publicKeyStorage;
+    }
+    if (!defaultPublicKeyStorage) {
+      defaultPublicKeyStorage = createDefaultPublicKeyStorage();
+    }
+    return defaultPublicKeyStorage;
+  }
+
+  private getDecryptionCache(): DecryptionCache {
+    if (this.config.decryptionCache) {
+      return this.config.decryptionCache;
+    }
+    if (!defaultDecryptionCache) {
+      defaultDecryptionCache = createDefaultDecryptionCache();
+    }
+    return defaultDecryptionCache;
   }
 
   /**
@@ -85,11 +378,11 @@ export class FHEVMClient {
     data: Uint8Array;
     signature: string;
   }> {
-    if (!this.instance || !this.keypair) {
+    if (!this.instance) {
       throw new Error('FHEVM instance not initialized. Call initialize() first.');
     }
 
-    const userAddress = input.userAddress || (await this.config.signer?.getAddress());
+    const userAddress = input.userAddress || (await this.getSigningAdapter()?.getAddress());
     if (!userAddress) {
       throw new Error('User address required for encryption');
     }
@@ -114,18 +407,56 @@ export class FHEVMClient {
   }
 
   /**
-   * Request decryption of encrypted contract outputs
+   * Start a batched encrypted input for one contract call
+   *
+   * All values added to the builder are encrypted together and share a
+   * single input proof, matching contracts that take several
+   * `externalEuintX` parameters and one `bytes inputProof`.
+   *
+   * @example
+   * ```typescript
+   * const { handles, inputProof } = await client
+   *   .createInput(contractAddress, userAddress)
+   *   .add8(120)
+   *   .add8(85)
+   *   .encrypt();
+   * ```
+   *
+   * @param contractAddress - Contract that will consume the input
+   * @param userAddress - Account that will send the transaction
+   */
+  createInput(contractAddress: string, userAddress: string): EncryptedInputBuilder {
+    if (!this.instance) {
+      throw new Error('FHEVM instance not initialized. Call initialize() first.');
+    }
+
+    return new EncryptedInputBuilder(
+      this.instance.createEncryptedInput(contractAddress, userAddress),
+      contractAddress,
+      userAddress
+    );
+  }
+
+  /**
+   * Decrypt encrypted contract outputs the user is allowed to read
+   *
+   * Each handle is reencrypted by the gateway under the session keypair and
+   * decrypted locally with its private key. The keypair and the EIP-712
+   * authorization of each contract are kept in the decryption cache until
+   * the session expires, and decrypted values are memoized by handle, so
+   * the wallet only prompts once per contract and session.
    *
    * @param request - Contract address and handles to decrypt
-   * @returns Promise that resolves with decrypted values
+   * @returns Promise that resolves with decrypted values, in handle order
+   * @throws DecryptionError listing a HandleDecryptionError per failed handle
    */
   async decrypt(request: DecryptionRequest): Promise<bigint[]> {
-    if (!this.instance || !this.keypair) {
+    if (!this.instance) {
       throw new Error('FHEVM instance not initialized. Call initialize() first.');
     }
 
-    // Request decryption through Gateway API
-    const results: bigint[] = [];
+    const results: (bigint | null)[] = [];
+    const failures: HandleDecryptionError[] = [];
 
     for (const handle of request.handles) {
       try {
@@ -135,28 +466,118 @@ export class FHEVMClient {
         );
         results.push(decrypted);
       } catch (error) {
-        console.error(`Failed to decrypt handle ${handle}:`, error);
-        results.push(BigInt(0)); // Fallback value
+        failures.push(new HandleDecryptionError(handle, request.contractAddress, error));
+        results.push(null);
       }
     }
 
-    return results;
+    if (failures.length > 0) {
+      throw new DecryptionError(failures, results);
+    }
+
+    return results as bigint[];
   }
 
   /**
-   * Request decryption of a single handle through Gateway API
+   * Reencrypt a single handle through the gateway and decrypt it locally,
+   * unless its value is already memoized
    */
   private async requestDecryption(
     contractAddress: string,
     handle: string
   ): Promise<bigint> {
-    if (!this.instance || !this.keypair) {
+    if (!this.instance) {
       throw new Error('FHEVM instance not initialized');
     }
+    const adapter = this.getSigningAdapter();
+    if (!adapter) {
+      throw new Error('Signer required for decryption');
+    }
 
-    // This would call the Gateway API to decrypt the handle
-    // For now, return a placeholder
-    return BigInt(0);
+    const handleValue = BigInt(handle);
+    if (handleValue === BigInt(0)) {
+      // An unset ciphertext handle stands for the default value
+      return BigInt(0);
+    }
+
+    const userAddress = await adapter.getAddress();
+    const cache = this.getDecryptionCache();
+    const { chainId } = this.config;
+
+    try {
+      const cached = await cache.getValue(chainId, userAddress, contractAddress, handle);
+      if (cached !== null) {
+        return cached;
+      }
+    } catch (error) {
+      console.warn('Failed to read cached decryption:', error);
+    }
+
+    // Sign for this session's keypair even if the session expires meanwhile
+    const session = await this.getSession(userAddress);
+    const signature = await this.authorize(this.instance, adapter, session, contractAddress);
+
+    const value = await this.instance.reencrypt(
+      handleValue,
+      session.privateKey,
+      session.publicKey,
+      signature,
+      contractAddress,
+      userAddress
+    );
+
+    try {
+      await cache.setValue(chainId, userAddress, contractAddress, handle, value);
+    } catch (error) {
+      console.warn('Failed to cache decryption:', error);
+    }
+    return value;
+  }
+
+  /**
+   * The decryption session of a user: the cached one while it is valid,
+   * otherwise a new keypair without authorizations
+   */
+  private getSession(userAddress: string): Promise<DecryptionSession> {
+    const user = ethers.utils.getAddress(userAddress);
+    const current = this.session;
+
+    this.session = (async () => {
+      const session = current ? await current.catch(() => null) : null;
+      if (session && session.userAddress === user && session.expiresAt > Date.now()) {
+        return session;
+      }
+      return this.loadSession(user);
+    })();
+    return this.session;
+  }
+
+  private async loadSession(userAddress: string): Promise<DecryptionSession> {
+    if (!this.instance) {
+      throw new Error('FHEVM instance not initialized');
+    }
+    const cache = this.getDecryptionCache();
+
+    try {
+      const cached = await cache.loadSession(this.config.chainId, userAddress);
+      if (cached) {
+        return cached;
+      }
+    } catch (error) {
+      console.warn('Failed to read cached decryption session:', error);
+    }
+
+    const keypair = this.instance.generateKeypair();
+    const createdAt = Date.now();
+    return {
+      chainId: this.config.chainId,
+      userAddress,
+      publicKey: keypair.publicKey,
+      privateKey: keypair.privateKey,
+      createdAt,
+      expiresAt: createdAt + cache.sessionDuration,
+      authorizations: {},
+    };
   }
 
   /**
@@ -167,7 +588,8 @@ export class FHEVMClient {
     userAddress: string,
     encryptedData: Uint8Array
   ): Promise<string> {
-    if (!this.config.signer) {
+    const adapter = this.getSigningAdapter();
+    if (!adapter) {
       throw new Error('Signer required for signature generation');
     }
 
@@ -190,46 +612,97 @@ export class FHEVMClient {
       user: userAddress,
     };
 
-    return await this.config.signer._signTypedData(domain, types, value);
+    return await adapter.signTypedData(domain, types, value);
   }
 
   /**
    * Create a reencryption request for viewing encrypted data
    *
+   * Signs the EIP-712 message authorizing the session public key to receive
+   * reencryptions of ciphertexts held by `contractAddress`. The signature is
+   * stored with the session, so it is reused until the session expires, and
+   * concurrent requests for the same contract share one wallet prompt.
+   *
    * @param contractAddress - Contract containing the encrypted data
-   * @param handle - Handle to the encrypted data
    * @returns Signature for reencryption
    */
-  async createReencryptionRequest(
-    contractAddress: string,
-    handle: string
+  async createReencryptionRequest(contractAddress: string): Promise<string> {
+    const adapter = this.getSigningAdapter();
+    if (!this.instance || !adapter) {
+      throw new Error('Signer and initialized instance required for reencryption');
+    }
+
+    const session = await this.getSession(await adapter.getAddress());
+    return this.authorize(this.instance, adapter, session, contractAddress);
+  }
+
+  /**
+   * The session's authorization for a contract, signed on first use
+   */
+  private authorize(
+    instance: FhevmInstance,
+    adapter: ChainAdapter,
+    session: DecryptionSession,
+    contractAddress: string
   ): Promise<string> {
-    if (!this.config.signer || !this.keypair) {
-      throw new Error('Signer and keypair required for reencryption');
+    const contract = ethers.utils.getAddress(contractAddress);
+    const cached = session.authorizations[contract];
+    if (cached) {
+      return Promise.resolve(cached);
     }
 
-    const userAddress = await this.config.signer.getAddress();
+    const pendingKey = `${session.publicKey}:${contract}`;
+    let pending = this.pendingAuthorizations.get(pendingKey);
+    if (!pending) {
+      pending = this.signAuthorization(instance, adapter, session, contract);
+      this.pendingAuthorizations.set(pendingKey, pending);
+      pending
+        .finally(() => this.pendingAuthorizations.delete(pendingKey))
+        .catch(() => undefined);
+    }
+    return pending;
+  }
 
-    const domain = {
-      name: 'FHEVMReencryption',
-      version: '1',
-      chainId: this.config.chainId,
-      verifyingContract: contractAddress,
-    };
+  private async signAuthorization(
+    instance: FhevmInstance,
+    adapter: ChainAdapter,
+    session: DecryptionSession,
+    contract: string
+  ): Promise<string> {
+    const eip712 = instance.createEIP712(session.publicKey, contract);
 
-    const types = {
-      Reencryption: [
-        { name: 'publicKey', type: 'bytes' },
-        { name: 'handle', type: 'bytes32' },
-      ],
-    };
+    // Adapters derive the domain type themselves
+    const types = { ...eip712.types };
+    delete types.EIP712Domain;
 
-    const value = {
-      publicKey: this.keypair.publicKey,
-      handle: handle,
-    };
+    const signature = await adapter.signTypedData(
+      eip712.domain,
+      types,
+      eip712.message
+    );
 
-    return await this.config.signer._signTypedData(domain, types, value);
+    session.authorizations[contract] = signature;
+    try {
+      await this.getDecryptionCache().saveSession(session);
+    } catch (error) {
+      // The signature still serves this client, only a reload prompts again
+      console.warn('Failed to cache decryption session:', error);
+    }
+    return signature;
+  }
+
+  /**
+   * Forget the decryption session and memoized values of the signer (of
+   * every user of the chain for read-only clients)
+   *
+   * The next decryption generates a new keypair and asks the wallet to sign
+   * the authorizations again. Call it when the user signs out.
+   */
+  async clearDecryptionCache(): Promise<void> {
+    const userAddress = await this.getSigningAdapter()?.getAddress();
+    this.session = null;
+    this.pendingAuthorizations.clear();
+    await this.getDecryptionCache().clear(this.config.chainId, userAddress);
   }
 
   /**
@@ -239,11 +712,18 @@ export class FHEVMClient {
     return this.instance;
   }
 
+  /**
+   * Get the ID of the network public key in use (null before initialize)
+   */
+  getPublicKeyId(): string | null {
+    return this.publicKey ? this.publicKey.publicKeyId : null;
+  }
+
   /**
    * Check if the client is initialized
    */
   isInitialized(): boolean {
-    return this.instance !== null && this.keypair !== null;
+    return this.instance !== null;
   }
 
   /**
@@ -251,6 +731,8 @@ export class FHEVMClient {
    */
   reset(): void {
     this.instance = null;
-    this.keypair = null;
+    this.publicKey = null;
+    this.session = null;
+    this.pendingAuthorizations.clear();
   }
 }
@@ -0,0 +1,72 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import {
+  FileSystemPublicKeyStorage,
+  MemoryPublicKeyStorage,
+  StoredPublicKey,
+  createDefaultPublicKeyStorage,
+} from './PublicKeyStorage';
+
+const entry = (chainId: number, publicKeyId = 'ab'.repeat(32)): StoredPublicKey => ({
+  chainId,
+  publicKeyId,
+  publicKey: '0x0102',
+  fetchedAt: 1700000000000,
+  verified: true,
+});
+
+describe('MemoryPublicKeyStorage', () => {
+  it('stores one key per chain', async () => {
+    const storage = new MemoryPublicKeyStorage();
+    await storage.set(entry(1));
+    await storage.set(entry(2, 'cd'.repeat(32)));
+    await storage.set(entry(1, 'ef'.repeat(32)));
+
+    expect((await storage.get(1))?.publicKeyId).toBe('ef'.repeat(32));
+    expect((await storage.get(2))?.publicKeyId).toBe('cd'.repeat(32));
+    expect(await storage.get(3)).toBeNull();
+
+    await storage.remove(1);
+    expect(await storage.get(1)).toBeNull();
+  });
+});
+
+describe('FileSystemPublicKeyStorage', () => {
+  let directory: string;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'fhevm-keys-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('round-trips keys through publickey-<chainId>.json', async () => {
+    const storage = new FileSystemPublicKeyStorage(path.join(directory, 'nested'));
+    await storage.set(entry(11155111));
+
+    expect(fs.existsSync(path.join(directory, 'nested', 'publickey-11155111.json'))).toBe(true);
+    expect(await new FileSystemPublicKeyStorage(path.join(directory, 'nested')).get(11155111)).toEqual(entry(11155111));
+  });
+
+  it('returns null for missing keys and ignores removing them', async () => {
+    const storage = new FileSystemPublicKeyStorage(directory);
+
+    expect(await storage.get(1)).toBeNull();
+    await expect(storage.remove(1)).resolves.toBeUndefined();
+  });
+
+  it('surfaces unreadable entries', async () => {
+    fs.writeFileSync(path.join(directory, 'publickey-1.json'), '{');
+
+    await expect(new FileSystemPublicKeyStorage(directory).get(1)).rejects.toThrow(SyntaxError);
+  });
+});
+
+describe('createDefaultPublicKeyStorage', () => {
+  it('uses memory outside the browser', () => {
+    expect(createDefaultPublicKeyStorage()).toBeInstanceOf(MemoryPublicKeyStorage);
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * PublicKeyStorage - Pluggable cache for the network FHE public key
+ *
+ * The network public key is several megabytes, so it is cached per chainId
+ * instead of being downloaded on every page load. Storage backends:
+ * - MemoryPublicKeyStorage: per-process cache (default outside the browser)
+ * - LocalStoragePublicKeyStorage: browser localStorage (small keys only)
+ * - IndexedDBPublicKeyStorage: browser IndexedDB (default in the browser)
+ * - FileSystemPublicKeyStorage: JSON files on disk for Node.js scripts
+ */
+
+/**
+ * A network public key as stored in the cache
+ */
+export interface StoredPublicKey {
+  chainId: number;
+  publicKeyId: string;
+  publicKey: string; // hex encoded key bytes
+  fetchedAt: number; // unix timestamp in milliseconds
+  verified?: boolean; // KMS signatures checked; entries without it count as unverified
+}
+
+/**
+ * Storage backend for network public keys, keyed by chainId
+ */
+export interface PublicKeyStorage {
+  get(chainId: number): Promise<StoredPublicKey | null>;
+  set(entry: StoredPublicKey): Promise<void>;
+  remove(chainId: number): Promise<void>;
+}
+
+/**
+ * In-memory storage, shared by all clients using the same instance
+ */
+export class MemoryPublicKeyStorage implements PublicKeyStorage {
+  private entries = new Map<number, StoredPublicKey>();
+
+  async get(chainId: number): Promise<StoredPublicKey | null> {
+    return this.entries.get(chainId) || null;
+  }
+
+  async set(entry: StoredPublicKey): Promise<void> {
+    this.entries.set(entry.chainId, entry);
+  }
+
+  async remove(chainId: number): Promise<void> {
+    this.entries.delete(chainId);
+  }
+}
+
+/**
+ * Browser localStorage storage
+ *
+ * Most browsers cap localStorage at ~5MB, so this only suits networks with
+ * small keys. Prefer IndexedDBPublicKeyStorage for production keys.
+ */
+export class LocalStoragePublicKeyStorage implements PublicKeyStorage {
+  constructor(private prefix: string = 'fhevm:publicKey:') {}
+
+  async get(chainId: number): Promise<StoredPublicKey | null> {
+    const raw = window.localStorage.getItem(this.prefix + chainId);
+    return raw ? (JSON.parse(raw) as StoredPublicKey) : null;
+  }
+
+  async set(entry: StoredPublicKey): Promise<void> {
+    window.localStorage.setItem(this.prefix + entry.chainId, JSON.stringify(entry));
+  }
+
+  async remove(chainId: number): Promise<void> {
+    window.localStorage.removeItem(this.prefix + chainId);
+  }
+}
+
+/**
+ * Browser IndexedDB storage
+ */
+export class IndexedDBPublicKeyStorage implements PublicKeyStorage {
+  private db: Promise<IDBDatabase> | null = null;
+
+  constructor(
+    private dbName: string = 'fhevm-sdk',
+    private storeName: string = 'publicKeys'
+  ) {}
+
+  async get(chainId: number): Promise<StoredPublicKey | null> {
+    const result = await this.request<StoredPublicKey | undefined>('readonly', (store) =>
+      store.get(chainId)
+    );
+    return result || null;
+  }
+
+  async set(entry: StoredPublicKey): Promise<void> {
+    await this.request('readwrite', (store) => store.put(entry, entry.chainId));
+  }
+
+  async remove(chainId: number): Promise<void> {
+    await this.request('readwrite', (store) => store.delete(chainId));
+  }
+
+  private open(): Promise<IDBDatabase> {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.db;
+  }
+
+  private async request<T>(
+    mode: IDBTransactionMode,
+    operation: (store: IDBObjectStore) => IDBRequest
+  ): Promise<T> {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const request = operation(db.transaction(this.storeName, mode).objectStore(this.storeName));
+      request.onsuccess = () => resolve(request.result as T);
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
+
+/**
+ * Filesystem storage for Node.js (Hardhat tasks, scripts, CLIs)
+ *
+ * Each chain is stored as `<directory>/publickey-<chainId>.json`.
+ */
+export class FileSystemPublicKeyStorage implements PublicKeyStorage {
+  constructor(private directory: string = '.fhevm') {}
+
+  async get(chainId: number): Promise<StoredPublicKey | null> {
+    const fs = await import('fs/promises');
+    try {
+      const raw = await fs.readFile(await this.filePath(chainId), 'utf8');
+      return JSON.parse(raw) as StoredPublicKey;
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async set(entry: StoredPublicKey): Promise<void> {
+    const fs = await import('fs/promises');
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(await this.filePath(entry.chainId), JSON.stringify(entry));
+  }
+
+  async remove(chainId: number): Promise<void> {
+    const fs = await import('fs/promises');
+    await fs.rm(await this.filePath(chainId), { force: true });
+  }
+
+  private async filePath(chainId: number): Promise<string> {
+    const path = await import('path');
+    return path.join(this.directory, `publickey-${chainId}.json`);
+  }
+}
+
+/**
+ * Pick the most suitable storage for the current environment
+ *
+ * IndexedDB in browsers, memory everywhere else. Node.js callers that want
+ * the key to survive restarts should pass a FileSystemPublicKeyStorage.
+ */
+export function createDefaultPublicKeyStorage(): PublicKeyStorage {
+  if (typeof indexedDB !== 'undefined') {
+    return new IndexedDBPublicKeyStorage();
+  }
+  return new MemoryPublicKeyStorage();
+}
@@ -0,0 +1,101 @@
+import * as fs from 'fs';
+import fsPromises from 'fs/promises';
+import * as os from 'os';
+import * as path from 'path';
+import { ethers } from 'ethers';
+import { FileKeyValueStorage, MemoryKeyValueStorage, WebCryptoCipher } from './SecureStorage';
+
+let directory: string;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'fhevm-secure-'));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe('MemoryKeyValueStorage', () => {
+  it('stores, lists and removes values', async () => {
+    const storage = new MemoryKeyValueStorage();
+    await storage.set('a', '1');
+    await storage.set('b', '2');
+    await storage.remove('a');
+
+    expect(await storage.get('a')).toBeNull();
+    expect(await storage.get('b')).toBe('2');
+    expect(await storage.keys()).toEqual(['b']);
+  });
+});
+
+describe('FileKeyValueStorage', () => {
+  it('keeps concurrent writes in an owner-only file', async () => {
+    const file = path.join(directory, 'nested', 'storage.json');
+    const storage = new FileKeyValueStorage(file);
+
+    await Promise.all([storage.set('a', '1'), storage.set('b', '2'), storage.set('c', '3')]);
+    await storage.remove('b');
+
+    expect(await new FileKeyValueStorage(file).keys()).toEqual(['a', 'c']);
+    expect(await storage.get('c')).toBe('3');
+    expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+  });
+
+  it('reads a missing file as empty', async () => {
+    const storage = new FileKeyValueStorage(path.join(directory, 'missing.json'));
+
+    expect(await storage.get('a')).toBeNull();
+    expect(await storage.keys()).toEqual([]);
+  });
+});
+
+describe('WebCryptoCipher', () => {
+  it('round-trips values under a passphrase key with a fresh IV each time', async () => {
+    const cipher = WebCryptoCipher.fromPassphrase('correct horse');
+    const first = await cipher.seal('secret ✓');
+    const second = await cipher.seal('secret ✓');
+
+    expect(first).not.toBe(second);
+    expect(first).not.toContain('secret');
+    expect(await cipher.open(first)).toBe('secret ✓');
+    expect(await WebCryptoCipher.fromPassphrase('correct horse').open(second)).toBe('secret ✓');
+    await expect(WebCryptoCipher.fromPassphrase('wrong').open(first)).rejects.toThrow();
+    await expect(WebCryptoCipher.fromPassphrase('correct horse', 'other-app').open(first)).rejects.toThrow();
+  });
+
+  it('creates an owner-only key file once and reuses it', async () => {
+    const file = path.join(directory, 'keys', 'storage.key');
+    const sealed = await WebCryptoCipher.keyFile(file).seal('secret');
+    const key = fs.readFileSync(file, 'utf8');
+
+    expect(ethers.utils.base64.decode(key)).toHaveLength(32);
+    expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+    expect(await WebCryptoCipher.keyFile(file).open(sealed)).toBe('secret');
+    expect(fs.readFileSync(file, 'utf8')).toBe(key);
+  });
+
+  it('uses the key of a process that created the key file first', async () => {
+    const file = path.join(directory, 'storage.key');
+    const sealed = await WebCryptoCipher.keyFile(file).seal('secret');
+    // The file appears between this cipher's read and its exclusive write
+    const readFile = fsPromises.readFile;
+    jest
+      .spyOn(fsPromises, 'readFile')
+      .mockRejectedValueOnce(Object.assign(new Error('ENOENT'), { code: 'ENOENT' }))
+      .mockImplementation(readFile);
+
+    expect(await WebCryptoCipher.keyFile(file).open(sealed)).toBe('secret');
+  });
+
+  it('retries loading the key after a failure', async () => {
+    const file = path.join(directory, 'storage.key');
+    fs.mkdirSync(file);
+    const cipher = WebCryptoCipher.keyFile(file);
+
+    await expect(cipher.seal('secret')).rejects.toThrow();
+
+    fs.rmdirSync(file);
+    expect(await cipher.open(await cipher.seal('secret'))).toBe('secret');
+  });
+});
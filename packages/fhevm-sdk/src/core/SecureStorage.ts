@@ -0,0 +1,345 @@
+/**
+ * SecureStorage - Encrypted key-value storage for secrets kept by the SDK
+ *
+ * Decryption keypairs, EIP-712 authorizations and decrypted values must not
+ * sit in storage as plaintext, so entries are sealed with a StorageCipher
+ * (AES-256-GCM through WebCrypto, available in browsers and Node.js 18+)
+ * before they reach a backend:
+ * - MemoryKeyValueStorage: per-process map, nothing is persisted
+ * - LocalStorageKeyValueStorage: browser localStorage
+ * - IndexedDBKeyValueStorage: browser IndexedDB
+ * - FileKeyValueStorage: a JSON file for Node.js scripts and CLIs
+ */
+
+import { ethers } from 'ethers';
+
+/**
+ * String storage backend; values are opaque sealed strings
+ */
+export interface KeyValueStorage {
+  get(key: string): Promise<string | null>;
+  set(key: string, value: string): Promise<void>;
+  remove(key: string): Promise<void>;
+  keys(): Promise<string[]>;
+}
+
+/**
+ * Seals values before they are written and opens them when read
+ */
+export interface StorageCipher {
+  seal(plaintext: string): Promise<string>;
+  open(sealed: string): Promise<string>;
+}
+
+const DEFAULT_DB_NAME = 'fhevm-sdk-secure';
+const ENTRY_STORE = 'entries';
+const KEY_STORE = 'keys';
+const DEVICE_KEY_ID = 'device-key';
+const IV_LENGTH = 12;
+const PBKDF2_ITERATIONS = 210000;
+
+/**
+ * In-memory storage
+ */
+export class MemoryKeyValueStorage implements KeyValueStorage {
+  private entries = new Map<string, string>();
+
+  async get(key: string): Promise<string | null> {
+    return this.entries.get(key) ?? null;
+  }
+
+  async set(key: string, value: string): Promise<void> {
+    this.entries.set(key, value);
+  }
+
+  async remove(key: string): Promise<void> {
+    this.entries.delete(key);
+  }
+
+  async keys(): Promise<string[]> {
+    return [...this.entries.keys()];
+  }
+}
+
+/**
+ * Browser localStorage storage, every key prefixed with `prefix`
+ */
+export class LocalStorageKeyValueStorage implements KeyValueStorage {
+  constructor(private prefix: string = 'fhevm:secure:') {}
+
+  async get(key: string): Promise<string | null> {
+    return window.localStorage.getItem(this.prefix + key);
+  }
+
+  async set(key: string, value: string): Promise<void> {
+    window.localStorage.setItem(this.prefix + key, value);
+  }
+
+  async remove(key: string): Promise<void> {
+    window.localStorage.removeItem(this.prefix + key);
+  }
+
+  async keys(): Promise<string[]> {
+    const keys: string[] = [];
+    for (let i = 0; i < window.localStorage.length; i++) {
+      const key = window.localStorage.key(i);
+      if (key && key.startsWith(this.prefix)) {
+        keys.push(key.slice(this.prefix.length));
+      }
+    }
+    return keys;
+  }
+}
+
+/**
+ * Browser IndexedDB storage
+ *
+ * The database also holds the non-extractable device key of
+ * WebCryptoCipher.deviceKey(), in a separate object store.
+ */
+export class IndexedDBKeyValueStorage implements KeyValueStorage {
+  constructor(private dbName: string = DEFAULT_DB_NAME) {}
+
+  async get(key: string): Promise<string | null> {
+    const value = await idbRequest<string | undefined>(this.dbName, ENTRY_STORE, 'readonly', (store) =>
+      store.get(key)
+    );
+    return value ?? null;
+  }
+
+  async set(key: string, value: string): Promise<void> {
+    await idbRequest(this.dbName, ENTRY_STORE, 'readwrite', (store) => store.put(value, key));
+  }
+
+  async remove(key: string): Promise<void> {
+    await idbRequest(this.dbName, ENTRY_STORE, 'readwrite', (store) => store.delete(key));
+  }
+
+  async keys(): Promise<string[]> {
+    const keys = await idbRequest<IDBValidKey[]>(this.dbName, ENTRY_STORE, 'readonly', (store) =>
+      store.getAllKeys()
+    );
+    return keys.map(String);
+  }
+}
+
+/**
+ * JSON file storage for Node.js, written with owner-only permissions
+ */
+export class FileKeyValueStorage implements KeyValueStorage {
+  // Writes rewrite the whole file, so they run one after another
+  private writes: Promise<void> = Promise.resolve();
+
+  constructor(private file: string = '.fhevm/secure-storage.json') {}
+
+  async get(key: string): Promise<string | null> {
+    return (await this.read())[key] ?? null;
+  }
+
+  async set(key: string, value: string): Promise<void> {
+    await this.update((entries) => {
+      entries[key] = value;
+    });
+  }
+
+  async remove(key: string): Promise<void> {
+    await this.update((entries) => {
+      delete entries[key];
+    });
+  }
+
+  async keys(): Promise<string[]> {
+    return Object.keys(await this.read());
+  }
+
+  private async read(): Promise<Record<string, string>> {
+    const fs = await import('fs/promises');
+    try {
+      return JSON.parse(await fs.readFile(this.file, 'utf8'));
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  private update(change: (entries: Record<string, string>) => void): Promise<void> {
+    const write = this.writes.then(async () => {
+      const fs = await import('fs/promises');
+      const path = await import('path');
+      const entries = await this.read();
+      change(entries);
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.writeFile(this.file, JSON.stringify(entries), { mode: 0o600 });
+    });
+    // A failed write is reported to its caller only, later writes still run
+    this.writes = write.catch(() => undefined);
+    return write;
+  }
+}
+
+/**
+ * AES-256-GCM cipher on WebCrypto
+ *
+ * Sealed values are base64 encoded `iv || ciphertext`. Pick the key source
+ * with one of the static constructors.
+ */
+export class WebCryptoCipher implements StorageCipher {
+  private key: Promise<CryptoKey> | null = null;
+
+  constructor(private loadKey: () => Promise<CryptoKey>) {}
+
+  /**
+   * Key derived from a passphrase with PBKDF2-SHA256
+   *
+   * @param salt - Application specific salt, so equal passphrases of
+   *   different apps give different keys
+   */
+  static fromPassphrase(passphrase: string, salt: string = 'fhevm-sdk'): WebCryptoCipher {
+    return new WebCryptoCipher(async () => {
+      const subtle = getSubtle();
+      const material = await subtle.importKey('raw', copyBytes(ethers.utils.toUtf8Bytes(passphrase)), 'PBKDF2', false, [
+        'deriveKey',
+      ]);
+      return subtle.deriveKey(
+        {
+          name: 'PBKDF2',
+          hash: 'SHA-256',
+          salt: copyBytes(ethers.utils.toUtf8Bytes(salt)),
+          iterations: PBKDF2_ITERATIONS,
+        },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+      );
+    });
+  }
+
+  /**
+   * Non-extractable key generated once per browser profile and kept in
+   * IndexedDB; scripts running in the page can use it but cannot read it
+   */
+  static deviceKey(dbName: string = DEFAULT_DB_NAME): WebCryptoCipher {
+    return new WebCryptoCipher(async () => {
+      const stored = await idbRequest<CryptoKey | undefined>(dbName, KEY_STORE, 'readonly', (store) =>
+        store.get(DEVICE_KEY_ID)
+      );
+      if (stored) {
+        return stored;
+      }
+      const key = await getSubtle().generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+      await idbRequest(dbName, KEY_STORE, 'readwrite', (store) => store.put(key, DEVICE_KEY_ID));
+      return key;
+    });
+  }
+
+  /**
+   * Random key stored in a file with owner-only permissions (Node.js)
+   */
+  static keyFile(file: string = '.fhevm/secure-storage.key'): WebCryptoCipher {
+    return new WebCryptoCipher(async () => {
+      const fs = await import('fs/promises');
+      const path = await import('path');
+      const readKey = async () => ethers.utils.base64.decode((await fs.readFile(file, 'utf8')).trim());
+      let raw: Uint8Array;
+      try {
+        raw = await readKey();
+      } catch (error) {
+        if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+          throw error;
+        }
+        raw = ethers.utils.randomBytes(32);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        try {
+          await fs.writeFile(file, ethers.utils.base64.encode(raw), { mode: 0o600, flag: 'wx' });
+        } catch (writeError) {
+          if ((writeError as NodeJS.ErrnoException).code !== 'EEXIST') {
+            throw writeError;
+          }
+          // Another process created the key first; use theirs so both can open each other's values
+          raw = await readKey();
+        }
+      }
+      return getSubtle().importKey('raw', copyBytes(raw), 'AES-GCM', false, ['encrypt', 'decrypt']);
+    });
+  }
+
+  async seal(plaintext: string): Promise<string> {
+    const iv = copyBytes(ethers.utils.randomBytes(IV_LENGTH));
+    const ciphertext = await getSubtle().encrypt(
+      { name: 'AES-GCM', iv },
+      await this.getKey(),
+      copyBytes(ethers.utils.toUtf8Bytes(plaintext))
+    );
+    return ethers.utils.base64.encode(ethers.utils.concat([iv, new Uint8Array(ciphertext)]));
+  }
+
+  async open(sealed: string): Promise<string> {
+    const bytes = copyBytes(ethers.utils.base64.decode(sealed));
+    const plaintext = await getSubtle().decrypt(
+      { name: 'AES-GCM', iv: bytes.slice(0, IV_LENGTH) },
+      await this.getKey(),
+      bytes.slice(IV_LENGTH)
+    );
+    return ethers.utils.toUtf8String(new Uint8Array(plaintext));
+  }
+
+  private getKey(): Promise<CryptoKey> {
+    if (!this.key) {
+      this.key = this.loadKey();
+      // A failed load (blocked IndexedDB, unreadable key file) is retried next time
+      this.key.catch(() => {
+        this.key = null;
+      });
+    }
+    return this.key;
+  }
+}
+
+function getSubtle(): SubtleCrypto {
+  const subtle = globalThis.crypto?.subtle;
+  if (!subtle) {
+    throw new Error('WebCrypto is not available; use Node.js 18+ or a secure (https) browser context');
+  }
+  return subtle;
+}
+
+// WebCrypto takes bytes backed by a plain ArrayBuffer
+function copyBytes(bytes: Uint8Array) {
+  return new Uint8Array(bytes);
+}
+
+const databases = new Map<string, Promise<IDBDatabase>>();
+
+function openDatabase(dbName: string): Promise<IDBDatabase> {
+  let db = databases.get(dbName);
+  if (!db) {
+    db = new Promise((resolve, reject) => {
+      const request = indexedDB.open(dbName, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(ENTRY_STORE);
+        request.result.createObjectStore(KEY_STORE);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    databases.set(dbName, db);
+  }
+  return db;
+}
+
+async function idbRequest<T>(
+  dbName: string,
+  storeName: string,
+  mode: IDBTransactionMode,
+  operation: (store: IDBObjectStore) => IDBRequest
+): Promise<T> {
+  const db = await openDatabase(dbName);
+  return new Promise((resolve, reject) => {
+    const request = operation(db.transaction(storeName, mode).objectStore(storeName));
+    request.onsuccess = () => resolve(request.result as T);
+    request.onerror = () => reject(request.error);
+  });
+}
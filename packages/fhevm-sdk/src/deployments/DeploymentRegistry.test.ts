@@ -0,0 +1,88 @@
+import {
+  DEPLOYMENT_REGISTRY_VERSION,
+  computeAbiHash,
+  findDeployment,
+  getDeployment,
+  parseDeploymentRegistry,
+} from './DeploymentRegistry';
+import { DeploymentRegistryError } from '../utils/errors';
+
+const ENHANCED = '0x00000000000000000000000000000000000000E1';
+const LEGACY = '0x00000000000000000000000000000000000000A1';
+
+const registry = (contracts: Record<string, unknown>) => ({
+  version: DEPLOYMENT_REGISTRY_VERSION,
+  network: 'sepolia',
+  chainId: 11155111,
+  contracts,
+});
+
+const SEPOLIA = registry({
+  EnhancedPetDNAMatching: { variant: 'EnhancedPetDNAMatching', address: ENHANCED, blockNumber: 120 },
+  PetDNAMatching: { variant: 'PetDNAMatching', address: LEGACY, blockNumber: 0 },
+});
+
+describe('parseDeploymentRegistry', () => {
+  it('accepts registries written by the deploy script', () => {
+    expect(parseDeploymentRegistry(SEPOLIA)).toEqual(SEPOLIA);
+  });
+
+  it.each([
+    ['files that are no registry', ['PetDNAMatching'], 'not a deployment registry'],
+    [
+      'newer registry versions',
+      { ...SEPOLIA, version: DEPLOYMENT_REGISTRY_VERSION + 1 },
+      `registry version ${DEPLOYMENT_REGISTRY_VERSION + 1} is newer than the supported version`,
+    ],
+    ['unknown variants', registry({ Vault: { variant: 'Vault', address: LEGACY, blockNumber: 1 } }), 'Vault'],
+    [
+      'invalid addresses',
+      registry({ PetDNAMatching: { variant: 'PetDNAMatching', address: '0x12', blockNumber: 1 } }),
+      'PetDNAMatching needs its variant and a valid address',
+    ],
+    [
+      'entries without a deployment block',
+      registry({ PetDNAMatching: { variant: 'PetDNAMatching', address: LEGACY } }),
+      'deployments/sepolia.json: PetDNAMatching has no deployment block; record it with DEPLOYMENT_TX=',
+    ],
+    [
+      'invalid deployment blocks',
+      registry({ PetDNAMatching: { variant: 'PetDNAMatching', address: LEGACY, blockNumber: '42' } }),
+      'PetDNAMatching has no deployment block',
+    ],
+  ])('rejects %s', (_, data, message) => {
+    const parse = () => parseDeploymentRegistry(data, 'deployments/sepolia.json');
+
+    expect(parse).toThrow(DeploymentRegistryError);
+    expect(parse).toThrow(message);
+  });
+});
+
+describe('getDeployment', () => {
+  it('picks the newest client variant unless told otherwise', () => {
+    expect(getDeployment(SEPOLIA).address).toBe(ENHANCED);
+    expect(getDeployment(SEPOLIA, 'PetDNAMatching').address).toBe(LEGACY);
+    expect(getDeployment(SEPOLIA, ['PrivatePetDNAMatching', 'PetDNAMatching']).address).toBe(LEGACY);
+    expect(() => getDeployment(SEPOLIA, 'PrivatePetDNAMatching')).toThrow(
+      'deployments/sepolia.json: no PrivatePetDNAMatching deployment'
+    );
+  });
+
+  it('finds deployments by chain', () => {
+    expect(findDeployment([SEPOLIA], 11155111)?.address).toBe(ENHANCED);
+    expect(findDeployment([SEPOLIA], 11155111, 'SimplePetDNAMatching')).toBeNull();
+    expect(findDeployment([SEPOLIA], 31337)).toBeNull();
+  });
+});
+
+describe('computeAbiHash', () => {
+  it('hashes the function and event fragments only', () => {
+    const transfer = { type: 'function', name: 'transfer', inputs: [], outputs: [], stateMutability: 'nonpayable' };
+    const moved = { type: 'event', name: 'Moved', inputs: [], anonymous: false };
+
+    expect(computeAbiHash([transfer, moved])).toBe(
+      computeAbiHash([{ type: 'constructor', inputs: [] }, transfer, { type: 'error', name: 'Nope' }, moved])
+    );
+    expect(computeAbiHash([moved, transfer])).not.toBe(computeAbiHash([transfer, moved]));
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * Deployment registry - addresses of the deployed PetDNA contracts
+ *
+ * `scripts/deploy.js` records each deployment in `deployments/<network>.json`
+ * with its address, block, deployer, ABI hash and gateway configuration.
+ * Apps load that file instead of hard-coding contract addresses.
+ *
+ * @example
+ * ```typescript
+ * import sepolia from '../deployments/sepolia.json';
+ *
+ * const registry = parseDeploymentRegistry(sepolia);
+ * const deployment = getDeployment(registry, 'EnhancedPetDNAMatching');
+ * const petDNA = await PetDNAClient.connect({ address: deployment.address, client, signer });
+ * ```
+ */
+
+import { ethers } from 'ethers';
+import { DeploymentRegistryError } from '../utils/errors';
+import { PetDNAVariant } from '../petdna/types';
+
+/**
+ * Registry format version this SDK reads
+ */
+export const DEPLOYMENT_REGISTRY_VERSION = 1;
+
+/**
+ * Deployable contracts: the PetDNAClient variants plus the test contracts
+ */
+export type DeploymentVariant = PetDNAVariant | 'TestPetDNAMatching' | 'SimplePetDNAMatching';
+
+/**
+ * Variants in the order getDeployment picks them by default
+ */
+export const DEPLOYMENT_VARIANTS: DeploymentVariant[] = [
+  'EnhancedPetDNAMatching',
+  'PrivatePetDNAMatching',
+  'PetDNAMatching',
+  'TestPetDNAMatching',
+  'SimplePetDNAMatching',
+];
+
+export interface GatewayDeploymentConfig {
+  gatewayUrl: string;
+  aclAddress?: string;
+  kmsVerifierAddress?: string;
+  numPausers: number;
+  pauserAddresses: string[];
+}
+
+/**
+ * A deployed contract
+ *
+ * `variant`, `address` and `blockNumber` are required: clients scan events
+ * from the deployment block. Record contracts deployed before the registry
+ * existed from their creation transaction (`DEPLOYMENT_TX`, see
+ * scripts/deploy.js) instead of writing their entries by hand.
+ */
+export interface ContractDeployment {
+  variant: DeploymentVariant;
+  address: string;
+  abiHash?: string; // see computeAbiHash
+  blockNumber: number;
+  transactionHash?: string;
+  deployer?: string;
+  deployedAt?: string; // ISO 8601
+  gateway?: GatewayDeploymentConfig;
+}
+
+export interface DeploymentRegistry {
+  version: number;
+  network: string;
+  chainId: number;
+  contracts: Partial<Record<DeploymentVariant, ContractDeployment>>;
+}
+
+/**
+ * keccak256 of the JSON function and event fragments of an ABI
+ *
+ * Matches the `abiHash` written by the deploy script, so the ABIs shipped
+ * with the SDK can be checked against a deployment.
+ */
+export function computeAbiHash(abi: readonly unknown[]): string {
+  const fragments = abi.filter((fragment) => {
+    const type = (fragment as { type?: string }).type;
+    return type === 'function' || type === 'event';
+  });
+  return ethers.utils.id(JSON.stringify(fragments));
+}
+
+/**
+ * Validate the parsed JSON of a registry file
+ *
+ * @param source - Name used in error messages, e.g. the file path
+ * @throws DeploymentRegistryError if the data is not a supported registry
+ */
+export function parseDeploymentRegistry(data: unknown, source = 'deployment registry'): DeploymentRegistry {
+  const registry = data as DeploymentRegistry;
+  if (!registry || typeof registry !== 'object' || typeof registry.version !== 'number') {
+    throw new DeploymentRegistryError(source, 'not a deployment registry');
+  }
+  if (registry.version > DEPLOYMENT_REGISTRY_VERSION) {
+    throw new DeploymentRegistryError(
+      source,
+      `registry version ${registry.version} is newer than the supported version ${DEPLOYMENT_REGISTRY_VERSION}`
+    );
+  }
+  if (typeof registry.network !== 'string' || typeof registry.chainId !== 'number') {
+    throw new DeploymentRegistryError(source, 'network and chainId are required');
+  }
+  if (!registry.contracts || typeof registry.contracts !== 'object') {
+    throw new DeploymentRegistryError(source, 'contracts are missing');
+  }
+
+  for (const [key, deployment] of Object.entries(registry.contracts)) {
+    if (!DEPLOYMENT_VARIANTS.includes(key as DeploymentVariant)) {
+      throw new DeploymentRegistryError(source, `unknown contract variant ${key}`);
+    }
+    if (!deployment || deployment.variant !== key || !ethers.utils.isAddress(deployment.address)) {
+      throw new DeploymentRegistryError(source, `${key} needs its variant and a valid address`);
+    }
+    if (!Number.isSafeInteger(deployment.blockNumber) || deployment.blockNumber < 0) {
+      throw new DeploymentRegistryError(
+        source,
+        `${key} has no deployment block; record it with DEPLOYMENT_TX=<creation transaction> scripts/deploy.js`
+      );
+    }
+  }
+
+  return registry;
+}
+
+/**
+ * Pick a deployed contract from a registry
+ *
+ * @param variants - Variant, or variants in order of preference; defaults to
+ *   the PetDNAClient variants, newest first
+ * @throws DeploymentRegistryError if none of the variants is deployed
+ */
+export function getDeployment(
+  registry: DeploymentRegistry,
+  variants: DeploymentVariant | DeploymentVariant[] = ['EnhancedPetDNAMatching', 'PrivatePetDNAMatching', 'PetDNAMatching']
+): ContractDeployment {
+  const candidates = Array.isArray(variants) ? variants : [variants];
+  for (const variant of candidates) {
+    const deployment = registry.contracts[variant];
+    if (deployment) {
+      return deployment;
+    }
+  }
+  throw new DeploymentRegistryError(
+    `deployments/${registry.network}.json`,
+    `no ${candidates.join(' or ')} deployment`
+  );
+}
+
+/**
+ * Pick a deployed contract on a chain, e.g. the wallet's current chain
+ *
+ * @returns The deployment, or null if no registry covers the chain or the
+ *   variants are not deployed there
+ */
+export function findDeployment(
+  registries: DeploymentRegistry[],
+  chainId: number,
+  variants?: DeploymentVariant | DeploymentVariant[]
+): ContractDeployment | null {
+  const registry = registries.find((candidate) => candidate.chainId === chainId);
+  if (!registry) {
+    return null;
+  }
+  try {
+    return getDeployment(registry, variants);
+  } catch (error) {
+    if (error instanceof DeploymentRegistryError) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Fetch and validate a registry served over HTTP, e.g. `/deployments/sepolia.json`
+ */
+export async function fetchDeploymentRegistry(url: string): Promise<DeploymentRegistry> {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new DeploymentRegistryError(url, `HTTP ${response.status}`);
+  }
+  return parseDeploymentRegistry(await response.json(), url);
+}
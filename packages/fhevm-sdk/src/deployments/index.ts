@@ -0,0 +1,23 @@
+/**
+ * @fhevm-pet-dna/sdk/deployments
+ *
+ * Reads the deployment registry (`deployments/<network>.json`) without
+ * loading the FHEVM client, for apps that only need contract addresses.
+ */
+
+export {
+  DEPLOYMENT_REGISTRY_VERSION,
+  DEPLOYMENT_VARIANTS,
+  computeAbiHash,
+  parseDeploymentRegistry,
+  getDeployment,
+  findDeployment,
+  fetchDeploymentRegistry,
+} from './DeploymentRegistry';
+export type {
+  DeploymentVariant,
+  GatewayDeploymentConfig,
+  ContractDeployment,
+  DeploymentRegistry,
+} from './DeploymentRegistry';
+export { DeploymentRegistryError } from '../utils/errors';
@@ -34,14 +34,197 @@ export type {
   FHEVMClientConfig,
   EncryptionInput,
   DecryptionRequest,
+  NetworkPublicKey,
 } from './core/FHEVMClient';
 
+export {
+  MemoryPublicKeyStorage,
+  LocalStoragePublicKeyStorage,
+  IndexedDBPublicKeyStorage,
+  FileSystemPublicKeyStorage,
+  createDefaultPublicKeyStorage,
+} from './core/PublicKeyStorage';
+export type { PublicKeyStorage, StoredPublicKey } from './core/PublicKeyStorage';
+
+export {
+  DecryptionCache,
+  DEFAULT_SESSION_DURATION,
+  createBrowserDecryptionCache,
+  createFileDecryptionCache,
+  createDefaultDecryptionCache,
+} from './core/DecryptionCache';
+export type { DecryptionCacheOptions, DecryptionSession } from './core/DecryptionCache';
+
+export {
+  MemoryKeyValueStorage,
+  LocalStorageKeyValueStorage,
+  IndexedDBKeyValueStorage,
+  FileKeyValueStorage,
+  WebCryptoCipher,
+} from './core/SecureStorage';
+export type { KeyValueStorage, StorageCipher } from './core/SecureStorage';
+
 export { FHEVMContract, estimateEncryptedGas, waitForTransaction } from './core/ContractHelpers';
-export type { ContractConfig } from './core/ContractHelpers';
+export type { ContractConfig, EncryptedCallOptions, EncryptedWriteFunction } from './core/ContractHelpers';
+
+export { parseEncryptedFunctions } from './core/AbiEncryption';
+export type { EncryptedFunctionSchema, EncryptedParam } from './core/AbiEncryption';
+
+export { EncryptedInputBuilder } from './core/EncryptedInput';
+export type { EncryptedInputs } from './core/EncryptedInput';
+
+export {
+  EthersV5Adapter,
+  EthersV6Adapter,
+  ViemAdapter,
+  EIP1193Adapter,
+  createChainAdapter,
+} from './core/ChainAdapter';
+export type {
+  ChainAdapter,
+  ChainCallRequest,
+  ChainTransactionRequest,
+  ChainTransaction,
+  ChainReceipt,
+  ChainLogFilter,
+  ChainLog,
+  ChainLogListener,
+  TypedDataDomain,
+  TypedDataField,
+  TypedDataTypes,
+  EthersV6ProviderLike,
+  EthersV6SignerLike,
+  EIP1193ProviderLike,
+  ViemWalletClientLike,
+  EIP1193AdapterOptions,
+} from './core/ChainAdapter';
+
+// Local FHEVM mock
+export {
+  createMockInstance,
+  computeMockInputHandle,
+  encodeMockInputProof,
+  MOCK_FHEVM_ADDRESSES,
+} from './mock/MockFhevmInstance';
+export type { MockFhevmConfig } from './mock/MockFhevmInstance';
+
+// PetDNA contract clients
+export {
+  PetDNAClient,
+  EnhancedPetDNAClient,
+  PrivatePetDNAClient,
+  LegacyPetDNAClient,
+  detectPetDNAVariant,
+  PET_DNA_ABIS,
+} from './petdna/PetDNAClient';
+export type { AnyPetDNAClient } from './petdna/PetDNAClient';
+export { IndexerClient } from './petdna/IndexerClient';
+export type {
+  IndexerClientOptions,
+  IndexerPage,
+  IndexedContract,
+  IndexerStatus,
+  IndexedPet,
+  IndexedMatch,
+  IndexedMatchStatus,
+  IndexedFeeTotals,
+  IndexedPetFilter,
+  IndexedMatchFilter,
+} from './petdna/IndexerClient';
+export { PetStore } from './petdna/PetStore';
+export type { StoredPetInfo, PetStoreListener } from './petdna/PetStore';
+export { MatchingRequestTracker } from './petdna/MatchingRequestTracker';
+export type {
+  MatchingRequestStatus,
+  TrackedMatchingRequest,
+  MatchingRequestTrackerConfig,
+  MatchingRequestListener,
+} from './petdna/MatchingRequestTracker';
+export * from './petdna/abis';
+export {
+  DNA_QUANTIZATION_VERSION,
+  HEALTH_PANEL,
+  UNKNOWN_HEALTH_RISK,
+  importDNA,
+  detectGenotypeFormat,
+  parseGenotypes,
+  quantizeGenotypes,
+  toLegacyDNA,
+} from './petdna/DNAImport';
+export type {
+  GenotypeFormat,
+  ImportedDNA,
+  GenotypeCall,
+  SkippedCall,
+  HealthFinding,
+  DNAImportResult,
+  DNAImportOptions,
+} from './petdna/DNAImport';
+export {
+  ENHANCED_MIN_SCORE,
+  PRIVATE_MATCH_THRESHOLD,
+  LEGACY_MATCH_THRESHOLD,
+  absDiff,
+  enhancedRawScore,
+  normalizeScore,
+  enhancedCompatibility,
+  privateRawScore,
+  privateMatching,
+  legacyDecryptionInputs,
+  legacyScore,
+  legacyCompatibility,
+} from './petdna/CompatibilityModel';
+export type {
+  EnhancedDNA,
+  PrivateDNA,
+  LegacyDNA,
+  EnhancedCompatibility,
+  PrivateMatchingPet,
+  PrivateMatching,
+  LegacyCompatibility,
+} from './petdna/CompatibilityModel';
+export type {
+  PetDNAVariant,
+  PetDNAClientConfig,
+  PetInfo,
+  LegacyPetInfo,
+  PetDNATraits,
+  PetChange,
+  EncryptedPetRegistration,
+  PrivatePetRegistration,
+  LegacyPetRegistration,
+  MatchingRequest,
+  PrivateMatchingRequest,
+  MatchResult,
+  MatchHistoryStatus,
+  MatchHistoryEntry,
+  MatchingProfile,
+  ContractStats,
+  AdminAction,
+  AdminEvent,
+} from './petdna/types';
+
+// Deployment registry
+export {
+  DEPLOYMENT_REGISTRY_VERSION,
+  DEPLOYMENT_VARIANTS,
+  computeAbiHash,
+  parseDeploymentRegistry,
+  getDeployment,
+  findDeployment,
+  fetchDeploymentRegistry,
+} from './deployments/DeploymentRegistry';
+export type {
+  DeploymentVariant,
+  GatewayDeploymentConfig,
+  ContractDeployment,
+  DeploymentRegistry,
+} from './deployments/DeploymentRegistry';
 
 // Utility exports
 export * from './utils/types';
 export * from './utils/helpers';
+export * from './utils/errors';
 
 // Re-export fhevmjs types for convenience
 export type { FhevmInstance, Keypair } from 'fhevmjs';
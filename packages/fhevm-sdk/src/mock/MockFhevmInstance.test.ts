@@ -0,0 +1,95 @@
+import { ethers } from 'ethers';
+import { computeMockInputHandle, createMockInstance, encodeMockInputProof } from './MockFhevmInstance';
+import { ChainAdapter } from '../core/ChainAdapter';
+
+// Encoding of the Hardhat mock environment (ethers v6), which MockFHEVMExecutor verifies
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const hardhatEncoding = require('../../../../scripts/fhevm-mock/encoding.js');
+
+const CHAIN_ID = 31337;
+const CONTRACT = '0x00000000000000000000000000000000000000C0';
+const USER = '0x00000000000000000000000000000000000000a1';
+const SALT = ethers.utils.id('salt');
+
+const VALUES = [
+  { fheType: hardhatEncoding.FHE_TYPES.bool, value: BigInt(1) },
+  { fheType: hardhatEncoding.FHE_TYPES.uint8, value: BigInt(200) },
+  { fheType: hardhatEncoding.FHE_TYPES.uint16, value: BigInt(40000) },
+  { fheType: hardhatEncoding.FHE_TYPES.uint64, value: BigInt(2) ** BigInt(63) },
+  { fheType: hardhatEncoding.FHE_TYPES.uint128, value: BigInt(2) ** BigInt(128) - BigInt(1) },
+];
+
+const sdkHandles = () =>
+  VALUES.map(({ fheType, value }, index) =>
+    computeMockInputHandle(SALT, CONTRACT, USER, CHAIN_ID, index, fheType, value)
+  );
+
+describe('mock input encoding', () => {
+  it('computes the handles of the Hardhat mock', () => {
+    const expected = VALUES.map(({ fheType, value }, index) =>
+      hardhatEncoding.computeInputHandle({
+        salt: SALT,
+        contractAddress: CONTRACT,
+        userAddress: USER,
+        chainId: CHAIN_ID,
+        index,
+        fheType,
+        value,
+      })
+    );
+
+    expect(sdkHandles()).toEqual(expected);
+  });
+
+  it('encodes the input proof of the Hardhat mock', () => {
+    const handles = sdkHandles();
+    const values = VALUES.map(({ value }) => value);
+
+    expect(encodeMockInputProof(handles, SALT, CONTRACT, USER, values)).toBe(
+      hardhatEncoding.encodeInputProof({ handles, salt: SALT, contractAddress: CONTRACT, userAddress: USER, values })
+    );
+  });
+
+  it('produces inputs the Hardhat mock recomputes from the proof', async () => {
+    const input = createMockInstance({ chainId: CHAIN_ID, adapter: {} as ChainAdapter }).createEncryptedInput(
+      CONTRACT,
+      USER
+    );
+    input
+      .addBool(true)
+      .add8(200)
+      .add16(40000)
+      .add64(BigInt(2) ** BigInt(63))
+      .add128(BigInt(2) ** BigInt(128) - BigInt(1));
+
+    const { handles, inputProof } = input.encrypt();
+
+    // uint8 numHandles | uint8 numSigners | handles | abi.encode(salt, contract, user, values)
+    const [salt, contractAddress, userAddress, values] = ethers.utils.defaultAbiCoder.decode(
+      ['bytes32', 'address', 'address', 'uint256[]'],
+      ethers.utils.hexDataSlice(inputProof, 2 + handles.length * 32)
+    );
+    const recomputed = values.map((value: ethers.BigNumber, index: number) =>
+      hardhatEncoding.computeInputHandle({
+        salt,
+        contractAddress,
+        userAddress,
+        chainId: CHAIN_ID,
+        index,
+        fheType: hardhatEncoding.getHandleType(handles[index]),
+        value: value.toBigInt(),
+      })
+    );
+
+    expect(recomputed).toEqual(handles.map((handle: Uint8Array) => ethers.utils.hexlify(handle)));
+    expect(ethers.utils.hexlify(inputProof)).toBe(
+      hardhatEncoding.encodeInputProof({
+        handles: recomputed,
+        salt,
+        contractAddress,
+        userAddress,
+        values: values.map((value: ethers.BigNumber) => value.toBigInt()),
+      })
+    );
+  });
+});
@@ -0,0 +1,272 @@
+/**
+ * MockFhevmInstance - fhevmjs stand-in for the local FHEVM mock
+ *
+ * Works against the mock coprocessor, ACL and KMS that the repository's
+ * Hardhat mock environment (scripts/fhevm-mock) installs on
+ * `npx hardhat node`. Inputs are encoded so MockFHEVMExecutor can verify
+ * them, and reencryption returns the cleartext behind a handle after the
+ * same signature and ACL checks the gateway performs.
+ *
+ * Nothing is encrypted: use it for local development and tests only.
+ *
+ * @example
+ * ```typescript
+ * const client = new FHEVMClient({ provider, signer, chainId: 31337, mock: true });
+ * await client.initialize();
+ * ```
+ */
+
+import { ethers } from 'ethers';
+import { FhevmInstance } from 'fhevmjs';
+import { ChainAdapter, EthersV5Adapter } from '../core/ChainAdapter';
+
+type ZKInput = ReturnType<FhevmInstance['createEncryptedInput']>;
+
+export interface MockFhevmConfig {
+  chainId: number;
+  provider?: ethers.providers.Provider;
+  adapter?: ChainAdapter; // used instead of provider
+  aclAddress?: string;
+  coprocessorAddress?: string;
+}
+
+/**
+ * Addresses the Hardhat mock environment installs the mock contracts at
+ * (the Sepolia addresses of ZamaConfig, so contracts run unchanged)
+ */
+export const MOCK_FHEVM_ADDRESSES = {
+  aclAddress: '0x687820221192C5B662b25367F70076A37bc79b6c',
+  coprocessorAddress: '0x848B0066793BcC60346Da1F49049357399B8D595',
+};
+
+// FheType values of @fhevm/solidity/lib/FheType.sol
+const FHE_TYPES = {
+  bool: 0,
+  uint4: 1,
+  uint8: 2,
+  uint16: 3,
+  uint32: 4,
+  uint64: 5,
+  uint128: 6,
+  address: 7,
+  uint256: 8,
+};
+
+const TYPE_BITS: Record<number, number> = { 0: 1, 1: 4, 2: 8, 3: 16, 4: 32, 5: 64, 6: 128, 7: 160, 8: 256 };
+
+const HANDLE_VERSION = 0;
+const MAX_INPUT_BITS = 2048;
+
+const ACL_ABI = new ethers.utils.Interface([
+  'function persistAllowed(bytes32 handle, address account) view returns (bool)',
+]);
+const EXECUTOR_ABI = new ethers.utils.Interface(['function getClearText(bytes32 handle) view returns (uint256)']);
+
+const abiCoder = ethers.utils.defaultAbiCoder;
+
+/**
+ * Input handle: 21-byte input hash, index, chain id, type and version
+ */
+export function computeMockInputHandle(
+  salt: string,
+  contractAddress: string,
+  userAddress: string,
+  chainId: number,
+  index: number,
+  fheType: number,
+  value: bigint
+): string {
+  const inputHash = ethers.utils.keccak256(
+    abiCoder.encode(
+      ['bytes32', 'address', 'address', 'uint256', 'uint8', 'uint256'],
+      [salt, contractAddress, userAddress, chainId, index, value.toString()]
+    )
+  );
+
+  return ethers.utils.hexConcat([
+    ethers.utils.hexDataSlice(inputHash, 0, 21),
+    ethers.utils.hexZeroPad(ethers.utils.hexlify(index), 1),
+    ethers.utils.hexZeroPad(ethers.utils.hexlify(chainId), 8),
+    ethers.utils.hexZeroPad(ethers.utils.hexlify(fheType), 1),
+    ethers.utils.hexZeroPad(ethers.utils.hexlify(HANDLE_VERSION), 1),
+  ]);
+}
+
+/**
+ * Input proof: uint8 numHandles | uint8 numSigners (0) | handles | abi.encode(salt, contract, user, values)
+ */
+export function encodeMockInputProof(
+  handles: string[],
+  salt: string,
+  contractAddress: string,
+  userAddress: string,
+  values: bigint[]
+): string {
+  return ethers.utils.hexConcat([
+    ethers.utils.hexZeroPad(ethers.utils.hexlify(handles.length), 1),
+    '0x00',
+    ...handles,
+    abiCoder.encode(
+      ['bytes32', 'address', 'address', 'uint256[]'],
+      [salt, contractAddress, userAddress, values.map((value) => value.toString())]
+    ),
+  ]);
+}
+
+function createMockInput(chainId: number, contractAddress: string, userAddress: string): ZKInput {
+  if (!ethers.utils.isAddress(contractAddress)) {
+    throw new Error(`Invalid contract address: ${contractAddress}`);
+  }
+  if (!ethers.utils.isAddress(userAddress)) {
+    throw new Error(`Invalid user address: ${userAddress}`);
+  }
+
+  const contract = ethers.utils.getAddress(contractAddress);
+  const user = ethers.utils.getAddress(userAddress);
+  let inputs: { fheType: number; value: bigint }[] = [];
+
+  const input: ZKInput = {
+    addBool: (value: boolean) => add(FHE_TYPES.bool, value ? 1 : 0),
+    add4: (value: number | bigint) => add(FHE_TYPES.uint4, value),
+    add8: (value: number | bigint) => add(FHE_TYPES.uint8, value),
+    add16: (value: number | bigint) => add(FHE_TYPES.uint16, value),
+    add32: (value: number | bigint) => add(FHE_TYPES.uint32, value),
+    add64: (value: number | bigint) => add(FHE_TYPES.uint64, value),
+    add128: (value: number | bigint) => add(FHE_TYPES.uint128, value),
+    addAddress: (value: string) => {
+      if (!ethers.utils.isAddress(value)) {
+        throw new Error(`Invalid address: ${value}`);
+      }
+      return add(FHE_TYPES.address, BigInt(value));
+    },
+    getValues: () => inputs.map((entry) => entry.value),
+    getBits: () => inputs.map((entry) => TYPE_BITS[entry.fheType]),
+    resetValues: () => {
+      inputs = [];
+      return input;
+    },
+    encrypt: () => {
+      const salt = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+      const values = inputs.map((entry) => entry.value);
+      const handles = inputs.map((entry, index) =>
+        computeMockInputHandle(salt, contract, user, chainId, index, entry.fheType, entry.value)
+      );
+      const inputProof = encodeMockInputProof(handles, salt, contract, user, values);
+
+      return {
+        handles: handles.map((handle) => ethers.utils.arrayify(handle)),
+        inputProof: ethers.utils.arrayify(inputProof),
+      };
+    },
+    send: async () => input.encrypt(),
+  };
+
+  function add(fheType: number, value: number | bigint): ZKInput {
+    const bits = TYPE_BITS[fheType];
+    const cleartext = BigInt(value);
+    if (cleartext < BigInt(0) || cleartext >= BigInt(1) << BigInt(bits)) {
+      throw new Error(`Value ${value} does not fit in ${bits} bits`);
+    }
+    const usedBits = inputs.reduce((total, entry) => total + TYPE_BITS[entry.fheType], 0);
+    if (usedBits + bits > MAX_INPUT_BITS) {
+      throw new Error(`Encrypted input exceeds ${MAX_INPUT_BITS} bits`);
+    }
+
+    inputs.push({ fheType, value: cleartext });
+    return input;
+  }
+
+  return input;
+}
+
+/**
+ * Create an FhevmInstance backed by the local FHEVM mock contracts
+ */
+export function createMockInstance(config: MockFhevmConfig): FhevmInstance {
+  const adapter = config.adapter || new EthersV5Adapter(config.provider);
+  const aclAddress = config.aclAddress || MOCK_FHEVM_ADDRESSES.aclAddress;
+  const coprocessorAddress = config.coprocessorAddress || MOCK_FHEVM_ADDRESSES.coprocessorAddress;
+
+  const persistAllowed = async (handle: string, account: string): Promise<boolean> => {
+    const data = await adapter.call({
+      to: aclAddress,
+      data: ACL_ABI.encodeFunctionData('persistAllowed', [handle, account]),
+    });
+    return ACL_ABI.decodeFunctionResult('persistAllowed', data)[0];
+  };
+
+  const createEIP712 = (publicKey: string, contractAddress: string) => ({
+    domain: {
+      name: 'Authorization token',
+      version: '1',
+      chainId: config.chainId,
+      verifyingContract: contractAddress,
+    },
+    types: {
+      EIP712Domain: [
+        { name: 'name', type: 'string' },
+        { name: 'version', type: 'string' },
+        { name: 'chainId', type: 'uint256' },
+        { name: 'verifyingContract', type: 'address' },
+      ],
+      Reencrypt: [{ name: 'publicKey', type: 'bytes' }],
+    },
+    primaryType: 'Reencrypt',
+    message: {
+      publicKey: publicKey.startsWith('0x') ? publicKey : `0x${publicKey}`,
+    },
+  });
+
+  return {
+    createEncryptedInput: (contractAddress: string, userAddress: string) =>
+      createMockInput(config.chainId, contractAddress, userAddress),
+
+    generateKeypair: () => ({
+      publicKey: ethers.utils.hexlify(ethers.utils.randomBytes(32)).slice(2),
+      privateKey: ethers.utils.hexlify(ethers.utils.randomBytes(32)).slice(2),
+    }),
+
+    createEIP712,
+
+    reencrypt: async (
+      handle: bigint,
+      _privateKey: string,
+      publicKey: string,
+      signature: string,
+      contractAddress: string,
+      userAddress: string
+    ): Promise<bigint> => {
+      const eip712 = createEIP712(publicKey, contractAddress);
+      const signer = ethers.utils.verifyTypedData(
+        eip712.domain,
+        { Reencrypt: eip712.types.Reencrypt },
+        eip712.message,
+        signature
+      );
+      if (signer.toLowerCase() !== userAddress.toLowerCase()) {
+        throw new Error('Invalid EIP-712 signature for reencryption');
+      }
+
+      const hexHandle = ethers.utils.hexZeroPad(ethers.utils.hexlify(handle), 32);
+      const [userAllowed, contractAllowed] = await Promise.all([
+        persistAllowed(hexHandle, userAddress),
+        persistAllowed(hexHandle, contractAddress),
+      ]);
+      if (!userAllowed) {
+        throw new Error(`User ${userAddress} is not authorized to reencrypt handle ${hexHandle}`);
+      }
+      if (!contractAllowed) {
+        throw new Error(`Contract ${contractAddress} is not authorized to use handle ${hexHandle}`);
+      }
+
+      const data = await adapter.call({
+        to: coprocessorAddress,
+        data: EXECUTOR_ABI.encodeFunctionData('getClearText', [hexHandle]),
+      });
+      const [cleartext]: [ethers.BigNumber] = EXECUTOR_ABI.decodeFunctionResult('getClearText', data) as any;
+      return BigInt(cleartext.toString());
+    },
+
+    getPublicKey: () => null,
+  };
+}
@@ -0,0 +1,200 @@
+/**
+ * Compatibility model - Plaintext scoring of the PetDNA contracts
+ *
+ * Computes the compatibility score each contract variant would produce from
+ * cleartext DNA, for local "what-if" previews before paying for a matching.
+ * The integer semantics of the encrypted operations are kept: FHE.add and
+ * FHE.sub wrap around modulo 2^8 on euint8 and 2^32 on euint32, they never
+ * revert or saturate.
+ *
+ * scripts/compatibility/differential.js of the repository checks this module
+ * against the contracts; update it with any change to a scoring formula.
+ *
+ * @example
+ * ```typescript
+ * const preview = enhancedCompatibility(myPet.dna, candidate.dna);
+ * if (!preview.isSuccessfulMatch) console.log(`Would score ${preview.score} and be refunded`);
+ * ```
+ */
+
+import type { EncryptedPetRegistration, LegacyPetRegistration, PrivatePetRegistration } from './types';
+
+/** EnhancedPetDNAMatching.MIN_COMPATIBILITY_SCORE */
+export const ENHANCED_MIN_SCORE = 70;
+/** PrivatePetDNAMatching.processMatchingResult reports a match above this raw score */
+export const PRIVATE_MATCH_THRESHOLD = 100;
+/** PetDNAMatching.processMatchingResult marks results from this score as matched */
+export const LEGACY_MATCH_THRESHOLD = 70;
+
+export type EnhancedDNA = EncryptedPetRegistration['dna'];
+export type PrivateDNA = PrivatePetRegistration['dna'];
+export type LegacyDNA = Pick<LegacyPetRegistration, 'healthScore' | 'temperament'>;
+
+export interface EnhancedCompatibility {
+  rawScore: number; // uint32 the contract decrypts
+  score: number; // 0-100, stored as compatibilityScore
+  isSuccessfulMatch: boolean; // false means the fee is refunded
+}
+
+/**
+ * A pet as PrivatePetDNAMatching.requestMatching scans it
+ */
+export interface PrivateMatchingPet {
+  id: number;
+  owner: string;
+  isAvailableForBreeding: boolean;
+  dna: PrivateDNA;
+}
+
+export interface PrivateMatching {
+  bestScore: number; // uint32 the contract decrypts
+  bestMatchId: number; // 0 without candidates
+  candidateIds: number[];
+  matchFound: boolean; // MatchFound, otherwise NoSuitableMatch
+}
+
+export interface LegacyCompatibility {
+  healthSum: number; // euint8 the gateway decrypts
+  temperamentDiff: number; // euint8 the gateway decrypts
+  score: number;
+  isMatched: boolean;
+}
+
+const wrap = (value: number, bits: number): number => {
+  const modulus = 2 ** bits;
+  return ((value % modulus) + modulus) % modulus;
+};
+
+const uint8 = (value: number): number => wrap(value, 8);
+const uint32 = (value: number): number => wrap(value, 32);
+
+/**
+ * EnhancedPetDNAMatching._absDiff: selects the subtraction that did not wrap
+ */
+export function absDiff(a: number, b: number): number {
+  return a >= b ? uint8(a - b) : uint8(b - a);
+}
+
+/**
+ * EnhancedPetDNAMatching._calculateCompatibility, the encrypted raw score
+ */
+export function enhancedRawScore(pet1: EnhancedDNA, pet2: EnhancedDNA): number {
+  const diversity =
+    absDiff(pet1.marker1, pet2.marker1) +
+    absDiff(pet1.marker2, pet2.marker2) +
+    absDiff(pet1.marker3, pet2.marker3) +
+    absDiff(pet1.marker4, pet2.marker4);
+  const healthPenalty = uint32(pet1.healthRisk + pet2.healthRisk);
+  // Wraps to ~2^32 when the temperaments differ by more than 200
+  const temperamentScore = uint32(200 - absDiff(pet1.temperament, pet2.temperament));
+
+  return uint32(uint32(diversity + temperamentScore) - healthPenalty);
+}
+
+/**
+ * EnhancedPetDNAMatching._normalizeScore, applied to the decrypted raw score
+ */
+export function normalizeScore(rawScore: number): number {
+  return Math.min(100, Math.floor((rawScore * 100) / 1024));
+}
+
+/**
+ * Outcome of an EnhancedPetDNAMatching request once the callback ran
+ */
+export function enhancedCompatibility(pet1: EnhancedDNA, pet2: EnhancedDNA): EnhancedCompatibility {
+  const rawScore = enhancedRawScore(pet1, pet2);
+  const score = normalizeScore(rawScore);
+  return { rawScore, score, isSuccessfulMatch: score >= ENHANCED_MIN_SCORE };
+}
+
+/**
+ * PrivatePetDNAMatching._calculateCompatibility
+ *
+ * The marker "differences" are plain euint8 subtractions, so a smaller
+ * marker on pet1 wraps around: 10 - 12 = 254.
+ */
+export function privateRawScore(pet1: PrivateDNA, pet2: PrivateDNA): number {
+  const diversity =
+    uint8(pet1.marker1 - pet2.marker1) +
+    uint8(pet1.marker2 - pet2.marker2) +
+    uint8(pet1.marker3 - pet2.marker3) +
+    uint8(pet1.marker4 - pet2.marker4);
+  const healthPenalty = uint32(pet1.healthRisk + pet2.healthRisk);
+
+  return uint32(diversity - healthPenalty);
+}
+
+/**
+ * Outcome of PrivatePetDNAMatching.requestMatching(petId)
+ *
+ * Every other available pet of another owner is a candidate, in pet ID
+ * order. The best score is their maximum (starting from 0), but the
+ * contract reports the first candidate as the match.
+ */
+export function privateMatching(pets: PrivateMatchingPet[], petId: number): PrivateMatching {
+  const requester = pets.find((pet) => pet.id === petId);
+  if (!requester) {
+    throw new Error(`Pet ${petId} is not among the given pets`);
+  }
+
+  const owner = requester.owner.toLowerCase();
+  const candidates = pets
+    .filter((pet) => pet.id !== petId && pet.isAvailableForBreeding && pet.owner.toLowerCase() !== owner)
+    .sort((a, b) => a.id - b.id);
+
+  let bestScore = 0;
+  for (const candidate of candidates) {
+    bestScore = Math.max(bestScore, privateRawScore(requester.dna, candidate.dna));
+  }
+  const bestMatchId = candidates.length > 0 ? candidates[0].id : 0;
+
+  return {
+    bestScore,
+    bestMatchId,
+    candidateIds: candidates.map((pet) => pet.id),
+    matchFound: bestMatchId > 0 && bestScore > PRIVATE_MATCH_THRESHOLD,
+  };
+}
+
+/**
+ * Cleartexts PetDNAMatching.requestMatching asks the gateway to decrypt:
+ * the euint8 sum of the health scores and difference of the temperaments
+ */
+export function legacyDecryptionInputs(
+  pet1: LegacyDNA,
+  pet2: LegacyDNA
+): Pick<LegacyCompatibility, 'healthSum' | 'temperamentDiff'> {
+  return {
+    healthSum: uint8(pet1.healthScore + pet2.healthScore),
+    // Wraps when pet2 has the higher temperament: 3 - 4 = 255
+    temperamentDiff: uint8(pet1.temperament - pet2.temperament),
+  };
+}
+
+/**
+ * PetDNAMatching._calculateCompatibility(healthSum, temperamentDiff)
+ */
+export function legacyScore(healthSum: number, temperamentDiff: number): number {
+  let score = 0;
+
+  if (healthSum >= 160) score += 50;
+  else if (healthSum >= 140) score += 40;
+  else if (healthSum >= 120) score += 30;
+  else score += 20;
+
+  if (temperamentDiff <= 2) score += 30;
+  else if (temperamentDiff <= 4) score += 20;
+  else score += 10;
+
+  score += 20;
+  return Math.min(score, 100);
+}
+
+/**
+ * Outcome of a PetDNAMatching request once its result was processed
+ */
+export function legacyCompatibility(pet1: LegacyDNA, pet2: LegacyDNA): LegacyCompatibility {
+  const inputs = legacyDecryptionInputs(pet1, pet2);
+  const score = legacyScore(inputs.healthSum, inputs.temperamentDiff);
+  return { ...inputs, score, isMatched: score >= LEGACY_MATCH_THRESHOLD };
+}
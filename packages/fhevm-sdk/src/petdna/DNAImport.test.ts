@@ -0,0 +1,277 @@
+import {
+  UNKNOWN_HEALTH_RISK,
+  detectGenotypeFormat,
+  importDNA,
+  parseGenotypes,
+  quantizeGenotypes,
+  toLegacyDNA,
+} from './DNAImport';
+import { DNAImportError } from '../utils/errors';
+
+const VCF_HEADER = ['##fileformat=VCFv4.2', '#CHROM\tPOS\tID\tREF\tALT\tQUAL\tFILTER\tINFO\tFORMAT\tREX\tMAX'];
+
+/**
+ * VCF data line with the genotypes of REX and MAX
+ */
+const vcfLine = (id: string, rex: string, max = '0/0', info = '.') =>
+  ['chr5', '1200', id, 'A', 'G', '60', 'PASS', info, 'DP:GT', `30:${rex}`, `25:${max}`].join('\t');
+
+/**
+ * CSV rows of `count` loci typed with the same genotype, enough to feed every marker field
+ */
+const csvMarkers = (count: number, genotype: string) =>
+  Array.from({ length: count }, (_, i) => `rs${1000 + i},${genotype}`);
+
+describe('detectGenotypeFormat', () => {
+  it('prefers the file extension', () => {
+    expect(detectGenotypeFormat('a,b', 'panel.TSV')).toBe('tsv');
+    expect(detectGenotypeFormat('', 'rex.vcf')).toBe('vcf');
+  });
+
+  it('recognizes VCF headers and tab separated tables', () => {
+    expect(detectGenotypeFormat(VCF_HEADER.join('\n'))).toBe('vcf');
+    expect(detectGenotypeFormat('\n#CHROM\tPOS\n', 'export.txt')).toBe('vcf');
+    expect(detectGenotypeFormat('[Header]\nSNP Name\tAllele1 - AB\n')).toBe('tsv');
+    expect(detectGenotypeFormat('# lab export\nmarker,genotype\n')).toBe('csv');
+  });
+});
+
+describe('parseGenotypes (VCF)', () => {
+  it('reads the GT field of the first sample', () => {
+    const text = [
+      ...VCF_HEADER,
+      vcfLine('rs1', '0/1'),
+      vcfLine('.', '1|1'),
+      vcfLine('rs3', './.'),
+      vcfLine('rs4', '0/0', '0/0', 'DP=30;GENE=SOD1'),
+    ].join('\r\n');
+
+    const { calls, sample, skipped } = parseGenotypes(text, { format: 'vcf' });
+
+    expect(sample).toBe('REX');
+    expect(calls).toEqual([
+      { locus: 'rs1', gene: undefined, dosage: 1, line: 3 },
+      { locus: '5:1200', gene: undefined, dosage: 2, line: 4 },
+      { locus: 'rs4', gene: 'SOD1', dosage: 0, line: 6 },
+    ]);
+    expect(skipped).toEqual([{ line: 5, call: './.', reason: 'missing' }]);
+  });
+
+  it('reads the selected sample', () => {
+    const text = [...VCF_HEADER, vcfLine('rs1', '0/0', '1/1')].join('\n');
+
+    const { calls, sample } = parseGenotypes(text, { format: 'vcf', sample: 'MAX' });
+
+    expect(sample).toBe('MAX');
+    expect(calls[0].dosage).toBe(2);
+  });
+
+  it.each([
+    [
+      'a missing header',
+      [vcfLine('rs1', '0/1')],
+      'DNA import failed on line 1: VCF data before the #CHROM header line',
+    ],
+    [
+      'an unknown sample',
+      VCF_HEADER,
+      'DNA import failed on line 2: VCF has no sample "BELLA" (found REX, MAX)',
+      { sample: 'BELLA' },
+    ],
+    [
+      'no samples',
+      ['#CHROM\tPOS\tID\tREF\tALT\tQUAL\tFILTER\tINFO'],
+      'DNA import failed on line 1: VCF has no sample columns',
+    ],
+    ['short rows', [...VCF_HEADER, 'chr1\t5\trs1'], 'DNA import failed on line 3: expected 10 columns, found 3'],
+    ['no header at all', ['##fileformat=VCFv4.2'], 'DNA import failed: not a VCF file: missing the #CHROM header line'],
+  ])('rejects %s', (_, lines, message, options = {}) => {
+    const parse = () => parseGenotypes(lines.join('\n'), { format: 'vcf', ...options });
+
+    expect(parse).toThrow(DNAImportError);
+    expect(parse).toThrow(message);
+  });
+});
+
+describe('parseGenotypes (CSV/TSV)', () => {
+  it('reads nucleotide calls against the reference allele and quoted fields', () => {
+    const text = [
+      '# Breed panel export',
+      'Marker,"Gene",Ref,Genotype',
+      'rs1,,A,A/G',
+      '"rs2, alt",,C,TT',
+      'rs3,,G,GG',
+      'rs4,,A,--',
+      'rs5,,,AG',
+    ].join('\n');
+
+    const { calls, skipped } = parseGenotypes(text, { format: 'csv' });
+
+    expect(calls.map(({ locus, dosage, line }) => [locus, dosage, line])).toEqual([
+      ['rs1', 1, 3],
+      ['rs2, alt', 2, 4],
+      ['rs3', 0, 5],
+    ]);
+    expect(skipped).toEqual([
+      { line: 6, call: '--', reason: 'missing' },
+      { line: 7, call: 'AG', reason: 'no reference allele' },
+    ]);
+  });
+
+  it('reads health panel results and mutation notations', () => {
+    const text = [
+      'Test,Gene,Result',
+      'MDR1,ABCB1,Clear',
+      'DM,SOD1,Carrier',
+      'PRA-prcd,,At Risk',
+      'EIC,DNM1,N/M',
+      'CEA,NHEJ1,DM/DM',
+      'vWD1,VWF,unknown result',
+    ].join('\n');
+
+    const { calls, skipped } = parseGenotypes(text, { format: 'csv' });
+
+    expect(calls.map(({ locus, gene, dosage }) => [locus, gene, dosage])).toEqual([
+      ['MDR1', 'ABCB1', 0],
+      ['DM', 'SOD1', 1],
+      ['PRA-prcd', undefined, 2],
+      ['EIC', 'DNM1', 1],
+      ['CEA', 'NHEJ1', 2],
+    ]);
+    expect(skipped).toEqual([{ line: 7, call: 'unknown result', reason: 'unreadable' }]);
+  });
+
+  it('reads Illumina A/B allele pairs after the [Data] marker', () => {
+    const text = [
+      '[Header]',
+      'GSGT Version\t2.0',
+      '[Data]',
+      'SNP Name\tSample ID\tAllele1 - AB\tAllele2 - AB',
+      'BICF2P1\tREX\tA\tB',
+      'BICF2P2\tREX\tB\tB',
+      'BICF2P3\tREX\t-\t-',
+    ].join('\n');
+
+    const { calls, skipped } = parseGenotypes(text, { format: 'tsv' });
+
+    expect(calls.map(({ locus, dosage }) => [locus, dosage])).toEqual([
+      ['BICF2P1', 1],
+      ['BICF2P2', 2],
+    ]);
+    expect(skipped).toEqual([{ line: 7, call: '-/-', reason: 'missing' }]);
+  });
+
+  it('reads A and B as nucleotides when the file also calls C, G or T', () => {
+    const text = ['SNP,Genotype', 'rs1,AB', 'rs2,CT'].join('\n');
+
+    const { skipped } = parseGenotypes(text, { format: 'csv' });
+
+    expect(skipped.map((entry) => entry.reason)).toEqual(['unreadable', 'no reference allele']);
+  });
+
+  it.each([
+    ['empty files', '\n# only comments\n', 'DNA import failed: genotype file is empty'],
+    ['files without a locus column', 'Sample,Genotype\nREX,AG', 'DNA import failed on line 1: no locus column'],
+    ['files without genotypes', 'SNP,Allele1\nrs1,A', 'DNA import failed on line 1: no genotype column'],
+    ['rows without a locus', 'SNP,Genotype\nrs1,0/1\n,0/1', 'DNA import failed on line 3: row without a locus name'],
+  ])('rejects %s', (_, text, message) => {
+    expect(() => parseGenotypes(text, { format: 'csv' })).toThrow(message);
+  });
+});
+
+describe('quantizeGenotypes', () => {
+  it('scales the mean dosage of each field to 0-255', () => {
+    const calls = (dosage: number) => Array.from({ length: 40 }, (_, i) => ({ locus: `rs${i}`, dosage, line: i + 1 }));
+
+    expect(quantizeGenotypes(calls(0)).dna).toMatchObject({ marker1: 0, marker4: 0, temperament: 0 });
+    expect(quantizeGenotypes(calls(1)).dna).toMatchObject({ marker1: 128, marker4: 128, temperament: 128 });
+    expect(quantizeGenotypes(calls(2)).dna).toMatchObject({ marker1: 255, marker4: 255, temperament: 255 });
+
+    const { loci, version } = quantizeGenotypes(calls(1));
+    expect(version).toBe(1);
+    expect(loci.marker1 + loci.marker2 + loci.marker3 + loci.marker4 + loci.temperament).toBe(40);
+  });
+
+  it('assigns a locus to the same field whatever its case or chr prefix', () => {
+    const calls = Array.from({ length: 40 }, (_, i) => ({ locus: `chr1:${i}`, dosage: i % 3, line: i + 1 }));
+    const renamed = calls.map((call, i) => ({ ...call, locus: call.locus.replace('chr', i % 2 ? 'CHR' : '') }));
+
+    expect(quantizeGenotypes(renamed).dna).toEqual(quantizeGenotypes(calls).dna);
+  });
+
+  it('needs typed loci for every marker field', () => {
+    expect(() => quantizeGenotypes([{ locus: 'rs1', dosage: 1, line: 1 }])).toThrow(
+      'DNA import failed: no typed loci for'
+    );
+  });
+});
+
+describe('importDNA', () => {
+  it('scores the health panel and quantizes the markers of a CSV export', () => {
+    const text = ['SNP,Genotype', ...csvMarkers(40, '0/1'), 'MDR1,N/N', 'SOD1,N/M', 'rs1000,1/1', 'rs1001,NoCall'].join(
+      '\n'
+    );
+
+    const imported = importDNA(text, { fileName: 'rex.csv' });
+
+    expect(imported).toMatchObject({
+      version: 1,
+      format: 'csv',
+      sample: null,
+      dna: { marker1: 128, marker2: 128, marker3: 128, marker4: 128, temperament: 128, healthRisk: 13 },
+      healthFindings: [{ condition: 'Degenerative myelopathy', locus: 'SOD1', status: 'carrier' }],
+      skipped: 1,
+    });
+    expect(imported.loci.healthRisk).toBe(2);
+    expect(imported.warnings).toEqual([
+      '1 no-call(s) skipped',
+      '1 duplicate locus call(s) ignored, the first call of each locus is used',
+    ]);
+  });
+
+  it('marks the health risk unknown without panel loci', () => {
+    const imported = importDNA(
+      ['SNP\tGenotype', ...csvMarkers(40, 'AA').map((row) => row.replace(',', '\t'))].join('\n')
+    );
+
+    expect(imported.format).toBe('tsv');
+    expect(imported.dna.healthRisk).toBe(UNKNOWN_HEALTH_RISK);
+    expect(imported.warnings).toContain(
+      `No health panel loci found, healthRisk set to ${UNKNOWN_HEALTH_RISK} (unknown)`
+    );
+  });
+
+  it('reads affected VCF calls by their GENE annotation', () => {
+    const text = [
+      ...VCF_HEADER,
+      ...Array.from({ length: 40 }, (_, i) => vcfLine(`rs${i}`, '1/1')),
+      vcfLine('.', '1/1', '0/0', 'GENE=ABCB1'),
+    ].join('\n');
+
+    const imported = importDNA(text);
+
+    expect(imported.format).toBe('vcf');
+    expect(imported.sample).toBe('REX');
+    expect(imported.dna).toMatchObject({ marker1: 255, healthRisk: 100 });
+    expect(imported.healthFindings).toEqual([
+      { condition: 'MDR1 drug sensitivity', locus: '5:1200', status: 'affected' },
+    ]);
+  });
+});
+
+describe('toLegacyDNA', () => {
+  it('maps imported DNA to the PetDNAMatching fields', () => {
+    expect(
+      toLegacyDNA({ marker1: 0, marker2: 128, marker3: 255, marker4: 7, healthRisk: 13, temperament: 255 })
+    ).toEqual({
+      healthScore: 87,
+      geneticMarker1: 0,
+      geneticMarker2: 32896,
+      geneticMarker3: 65535,
+      temperament: 10,
+    });
+    expect(
+      toLegacyDNA({ marker1: 0, marker2: 0, marker3: 0, marker4: 0, healthRisk: 0, temperament: 0 }).temperament
+    ).toBe(1);
+  });
+});
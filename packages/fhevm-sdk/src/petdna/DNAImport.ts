@@ -0,0 +1,525 @@
+/**
+ * DNA import - Contract DNA values from lab genotype exports
+ *
+ * Reads VCF files and the CSV/TSV exports of breed panels (one row per
+ * locus, with a genotype column or an allele pair) and quantizes the calls
+ * into the DNA fields of the PetDNA contracts.
+ *
+ * Quantization v1 (DNA_QUANTIZATION_VERSION):
+ * - Every call becomes an alternate allele dosage from 0 to 2: VCF `0/1`,
+ *   nucleotides against the reference allele, Illumina `A/B` calls (B
+ *   counted), `N/M` style results and clear / carrier / affected.
+ *   Missing calls are skipped.
+ * - Loci of the health panel (HEALTH_PANEL, matched by locus name or VCF
+ *   INFO `GENE`) score 0 when clear, 0.25 when carrier and 1 when affected;
+ *   healthRisk is their mean scaled to 0-100. Without any typed health
+ *   locus it is UNKNOWN_HEALTH_RISK.
+ * - Every other locus is assigned to marker1-4 or temperament by the
+ *   FNV-1a hash of its normalized name, so the same locus always feeds the
+ *   same field; a field is the mean dosage of its loci scaled to 0-255.
+ *
+ * Changing any of these rules changes DNA values of already registered
+ * pets, so it needs a new quantization version.
+ *
+ * @example
+ * ```typescript
+ * const imported = importDNA(await file.text(), { fileName: file.name });
+ * console.log(imported.dna, imported.warnings);
+ * await petDNA.registerPet({ name, breed, age, dna: imported.dna });
+ * ```
+ */
+
+import { DNAImportError } from '../utils/errors';
+
+export const DNA_QUANTIZATION_VERSION = 1;
+
+export type GenotypeFormat = 'vcf' | 'csv' | 'tsv';
+
+/**
+ * DNA fields of EnhancedPetDNAMatching; PrivatePetDNAMatching takes all but
+ * temperament, PetDNAMatching takes toLegacyDNA()
+ */
+export interface ImportedDNA {
+  marker1: number; // 0-255
+  marker2: number; // 0-255
+  marker3: number; // 0-255
+  marker4: number; // 0-255
+  healthRisk: number; // 0-100, lower is better
+  temperament: number; // 0-255
+}
+
+/**
+ * One genotype call of a file
+ */
+export interface GenotypeCall {
+  locus: string; // rsID, panel SNP name or `chrom:pos`
+  gene?: string;
+  dosage: number; // alternate alleles, 0-2
+  line: number;
+}
+
+/**
+ * Health panel locus that was not clear
+ */
+export interface HealthFinding {
+  condition: string;
+  locus: string;
+  status: 'carrier' | 'affected';
+}
+
+export interface DNAImportResult {
+  version: number; // DNA_QUANTIZATION_VERSION
+  format: GenotypeFormat;
+  sample: string | null; // VCF sample the calls were read from
+  dna: ImportedDNA;
+  loci: Record<keyof ImportedDNA, number>; // typed loci behind each field
+  healthFindings: HealthFinding[];
+  skipped: number; // missing or unreadable calls
+  warnings: string[];
+}
+
+export interface DNAImportOptions {
+  format?: GenotypeFormat; // detected from fileName and content otherwise
+  fileName?: string;
+  sample?: string; // VCF sample name, default the first
+}
+
+/**
+ * Conditions of the breed panels scored into healthRisk, with the locus
+ * names and gene symbols labs report them under
+ */
+export const HEALTH_PANEL: Record<string, string[]> = {
+  'MDR1 drug sensitivity': ['mdr1', 'abcb1'],
+  'Progressive rod-cone degeneration (PRA-prcd)': ['prcd'],
+  'Degenerative myelopathy': ['sod1'],
+  'Exercise-induced collapse': ['eic', 'dnm1'],
+  'Hyperuricosuria': ['huu', 'slc2a9'],
+  'Collie eye anomaly': ['cea', 'nhej1'],
+  'Von Willebrand disease type 1': ['vwd1', 'vwf'],
+  'Canine multifocal retinopathy': ['cmr1', 'best1'],
+  'Hereditary nasal parakeratosis': ['hnpk', 'suv39h2'],
+  'Phosphofructokinase deficiency': ['pfkm'],
+};
+
+export const UNKNOWN_HEALTH_RISK = 50;
+
+const MARKER_FIELDS = ['marker1', 'marker2', 'marker3', 'marker4', 'temperament'] as const;
+
+const MISSING_CALLS = new Set(['', '.', '-', '--', 'nc', 'nocall', 'na', 'n/a', 'failed', 'fail', 'undetermined']);
+const RESULT_WORDS: Record<string, number> = {
+  clear: 0,
+  normal: 0,
+  carrier: 1,
+  affected: 2,
+  atrisk: 2,
+};
+const NUCLEOTIDES = /^[ACGT]+$/;
+
+/**
+ * Parse and quantize a genotype file
+ */
+export function importDNA(text: string, options: DNAImportOptions = {}): DNAImportResult {
+  const format = options.format || detectGenotypeFormat(text, options.fileName);
+  const parsed = parseGenotypes(text, { ...options, format });
+  return {
+    ...quantizeGenotypes(parsed.calls),
+    format,
+    sample: parsed.sample,
+    skipped: parsed.skipped.length,
+    warnings: [...describeSkipped(parsed.skipped), ...quantizeWarnings(parsed.calls)],
+  };
+}
+
+/**
+ * Guess the format from the file extension, then from the first lines
+ */
+export function detectGenotypeFormat(text: string, fileName?: string): GenotypeFormat {
+  const extension = fileName?.toLowerCase().match(/\.(vcf|csv|tsv|txt)$/)?.[1];
+  if (extension === 'vcf' || extension === 'csv' || extension === 'tsv') {
+    return extension;
+  }
+
+  const lines = text.split(/\r?\n/).filter((line) => line.trim() !== '');
+  if (lines[0]?.startsWith('##fileformat=VCF') || lines.some((line) => line.startsWith('#CHROM'))) {
+    return 'vcf';
+  }
+  const header = lines.find((line) => !line.startsWith('#') && !line.startsWith('[')) || '';
+  return header.includes('\t') ? 'tsv' : 'csv';
+}
+
+/**
+ * Read the calls of a genotype file without quantizing them
+ */
+export function parseGenotypes(
+  text: string,
+  options: DNAImportOptions & { format: GenotypeFormat }
+): { calls: GenotypeCall[]; sample: string | null; skipped: SkippedCall[] } {
+  const lines = text.split(/\r?\n/);
+  return options.format === 'vcf'
+    ? parseVCF(lines, options.sample)
+    : { ...parseTable(lines, options.format === 'tsv' ? '\t' : ','), sample: null };
+}
+
+/**
+ * Quantize calls into contract DNA values (quantization v1)
+ */
+export function quantizeGenotypes(
+  calls: GenotypeCall[]
+): Pick<DNAImportResult, 'version' | 'dna' | 'loci' | 'healthFindings'> {
+  const seen = new Set<string>();
+  const markerDosages: Record<string, number[]> = Object.fromEntries(MARKER_FIELDS.map((field) => [field, []]));
+  const healthScores: number[] = [];
+  const healthFindings: HealthFinding[] = [];
+
+  for (const call of calls) {
+    const locus = normalizeLocus(call.locus);
+    if (seen.has(locus)) {
+      continue; // The first call of a locus wins
+    }
+    seen.add(locus);
+
+    const condition = healthCondition(call);
+    if (condition) {
+      healthScores.push(call.dosage === 0 ? 0 : call.dosage < 2 ? 0.25 : 1);
+      if (call.dosage > 0) {
+        healthFindings.push({ condition, locus: call.locus, status: call.dosage < 2 ? 'carrier' : 'affected' });
+      }
+      continue;
+    }
+    markerDosages[MARKER_FIELDS[fnv1a(locus) % MARKER_FIELDS.length]].push(call.dosage);
+  }
+
+  const loci = { healthRisk: healthScores.length } as Record<keyof ImportedDNA, number>;
+  const dna = {
+    healthRisk:
+      healthScores.length > 0 ? Math.round((100 * sum(healthScores)) / healthScores.length) : UNKNOWN_HEALTH_RISK,
+  } as ImportedDNA;
+
+  for (const field of MARKER_FIELDS) {
+    const dosages = markerDosages[field];
+    if (dosages.length === 0) {
+      throw new DNAImportError(
+        `no typed loci for ${field}: ${seen.size - healthScores.length} marker loci are too few, ` +
+          'import a genome-wide SNP panel'
+      );
+    }
+    loci[field] = dosages.length;
+    dna[field] = Math.round((255 * sum(dosages)) / (2 * dosages.length));
+  }
+
+  return {
+    version: DNA_QUANTIZATION_VERSION,
+    dna: {
+      marker1: dna.marker1,
+      marker2: dna.marker2,
+      marker3: dna.marker3,
+      marker4: dna.marker4,
+      healthRisk: dna.healthRisk,
+      temperament: dna.temperament,
+    },
+    loci,
+    healthFindings,
+  };
+}
+
+/**
+ * Imported DNA in the fields of PetDNAMatching: 16-bit markers, a 0-100
+ * health score (100 - healthRisk) and a 1-10 temperament
+ */
+export function toLegacyDNA(dna: ImportedDNA): {
+  healthScore: number;
+  geneticMarker1: number;
+  geneticMarker2: number;
+  geneticMarker3: number;
+  temperament: number;
+} {
+  return {
+    healthScore: 100 - dna.healthRisk,
+    geneticMarker1: dna.marker1 * 257,
+    geneticMarker2: dna.marker2 * 257,
+    geneticMarker3: dna.marker3 * 257,
+    temperament: 1 + Math.round((dna.temperament * 9) / 255),
+  };
+}
+
+/**
+ * Call left out of the import
+ */
+export interface SkippedCall {
+  line: number;
+  call: string;
+  reason: 'missing' | 'unreadable' | 'no reference allele';
+}
+
+function parseVCF(
+  lines: string[],
+  sampleName?: string
+): { calls: GenotypeCall[]; sample: string | null; skipped: SkippedCall[] } {
+  const calls: GenotypeCall[] = [];
+  const skipped: SkippedCall[] = [];
+  let sampleColumn = -1;
+  let sample: string | null = null;
+
+  lines.forEach((line, index) => {
+    const lineNumber = index + 1;
+    if (line.trim() === '' || line.startsWith('##')) {
+      return;
+    }
+
+    const columns = line.split('\t');
+    if (line.startsWith('#CHROM')) {
+      const samples = columns.slice(9);
+      if (samples.length === 0) {
+        throw new DNAImportError('VCF has no sample columns', lineNumber);
+      }
+      const position = sampleName === undefined ? 0 : samples.indexOf(sampleName);
+      if (position < 0) {
+        throw new DNAImportError(`VCF has no sample "${sampleName}" (found ${samples.join(', ')})`, lineNumber);
+      }
+      sampleColumn = 9 + position;
+      sample = samples[position];
+      return;
+    }
+    if (sampleColumn < 0) {
+      throw new DNAImportError('VCF data before the #CHROM header line', lineNumber);
+    }
+    if (columns.length <= sampleColumn) {
+      throw new DNAImportError(`expected ${sampleColumn + 1} columns, found ${columns.length}`, lineNumber);
+    }
+
+    const [chrom, pos, id, , , , , info, format] = columns;
+    const gtIndex = format.split(':').indexOf('GT');
+    const gt = gtIndex < 0 ? '' : columns[sampleColumn].split(':')[gtIndex] ?? '';
+    const dosage = readCall(gt);
+    if (typeof dosage === 'string') {
+      skipped.push({ line: lineNumber, call: gt, reason: dosage });
+      return;
+    }
+
+    calls.push({
+      locus: id && id !== '.' ? id : `${chrom.replace(/^chr/i, '')}:${pos}`,
+      gene: info?.match(/(?:^|;)GENE=([^;]+)/)?.[1],
+      dosage,
+      line: lineNumber,
+    });
+  });
+
+  if (sampleColumn < 0) {
+    throw new DNAImportError('not a VCF file: missing the #CHROM header line');
+  }
+  return { calls, sample, skipped };
+}
+
+// Header names of the columns read from CSV/TSV exports, compared without case and punctuation
+const LOCUS_COLUMNS = ['snpname', 'snp', 'rsid', 'marker', 'locus', 'variant', 'test', 'id', 'name'];
+const GENE_COLUMNS = ['gene'];
+const GENOTYPE_COLUMNS = ['genotype', 'call', 'result', 'gt', 'gtype'];
+const ALLELE1_COLUMNS = ['allele1forward', 'allele1top', 'allele1ab', 'allele1'];
+const ALLELE2_COLUMNS = ['allele2forward', 'allele2top', 'allele2ab', 'allele2'];
+const REFERENCE_COLUMNS = ['ref', 'reference', 'refallele', 'referenceallele'];
+
+function parseTable(lines: string[], delimiter: string): { calls: GenotypeCall[]; skipped: SkippedCall[] } {
+  // Illumina FinalReport files put the table after a [Data] section marker
+  const dataSection = lines.findIndex((line) => line.trim().toLowerCase() === '[data]');
+  const start = dataSection + 1;
+  const headerIndex = lines.findIndex((line, index) => index >= start && line.trim() !== '' && !line.startsWith('#'));
+  if (headerIndex < 0) {
+    throw new DNAImportError('genotype file is empty');
+  }
+
+  const header = splitRow(lines[headerIndex], delimiter).map((name) => name.toLowerCase().replace(/[^a-z0-9]/g, ''));
+  const column = (names: string[]) => {
+    for (const name of names) {
+      const index = header.indexOf(name);
+      if (index >= 0) {
+        return index;
+      }
+    }
+    return -1;
+  };
+
+  const locusColumn = column(LOCUS_COLUMNS);
+  const geneColumn = column(GENE_COLUMNS);
+  const genotypeColumn = column(GENOTYPE_COLUMNS);
+  const alleleColumns = [column(ALLELE1_COLUMNS), column(ALLELE2_COLUMNS)];
+  const referenceColumn = column(REFERENCE_COLUMNS);
+  if (locusColumn < 0) {
+    throw new DNAImportError(`no locus column (one of ${LOCUS_COLUMNS.join(', ')})`, headerIndex + 1);
+  }
+  if (genotypeColumn < 0 && alleleColumns.includes(-1)) {
+    throw new DNAImportError(
+      `no genotype column (one of ${GENOTYPE_COLUMNS.join(', ')}) or Allele1/Allele2 pair`,
+      headerIndex + 1
+    );
+  }
+
+  const rows: { line: number; row: string[]; call: string }[] = [];
+  for (let index = headerIndex + 1; index < lines.length; index++) {
+    if (lines[index].trim() === '' || lines[index].startsWith('#')) {
+      continue;
+    }
+    const row = splitRow(lines[index], delimiter);
+    const call = genotypeColumn >= 0 ? row[genotypeColumn] ?? '' : alleleColumns.map((at) => row[at] ?? '').join('/');
+    rows.push({ line: index + 1, row, call });
+  }
+  // `A` and `B` are Illumina alleles unless the file also calls C, G or T
+  const nucleotideCalls = rows.some(
+    ({ call }) => /^[ACGT]{2}$|^[ACGT]\s*[/|]\s*[ACGT]$/i.test(call.trim()) && /[CGT]/i.test(call)
+  );
+
+  const calls: GenotypeCall[] = [];
+  const skipped: SkippedCall[] = [];
+  for (const { line: lineNumber, row, call } of rows) {
+    const locus = row[locusColumn]?.trim();
+    if (!locus) {
+      throw new DNAImportError('row without a locus name', lineNumber);
+    }
+    const dosage = readCall(call, referenceColumn >= 0 ? row[referenceColumn] : undefined, nucleotideCalls);
+    if (typeof dosage === 'string') {
+      skipped.push({ line: lineNumber, call, reason: dosage });
+      continue;
+    }
+    const gene = geneColumn >= 0 ? row[geneColumn]?.trim() : '';
+    calls.push({ locus, gene: gene || undefined, dosage, line: lineNumber });
+  }
+
+  return { calls, skipped };
+}
+
+/**
+ * Split a CSV/TSV row, honouring double-quoted fields
+ */
+function splitRow(line: string, delimiter: string): string[] {
+  const fields: string[] = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+/**
+ * Alternate allele dosage (0-2) of a call, or why it was skipped
+ */
+function readCall(raw: string, reference?: string, nucleotideCalls = false): number | SkippedCall['reason'] {
+  const call = raw.trim();
+  const word = call.toLowerCase().replace(/[\s_-]/g, '');
+  if (MISSING_CALLS.has(call.toLowerCase()) || MISSING_CALLS.has(word)) {
+    return 'missing';
+  }
+  if (word in RESULT_WORDS) {
+    return RESULT_WORDS[word];
+  }
+
+  // `A/G`, `0|1`, `N/DM`; unseparated calls like `AG` or `AB` are one letter per allele
+  const alleles = /[/|]/.test(call)
+    ? call.split(/[/|]/).map((allele) => allele.trim().toUpperCase())
+    : /^[A-Za-z]{1,2}$/.test(call)
+      ? call.toUpperCase().split('')
+      : [call];
+  if (alleles.some((allele) => allele === '' || allele === '.' || allele === '-')) {
+    return 'missing';
+  }
+
+  const scale = (alternate: number) => (2 * alternate) / alleles.length;
+  const ref = reference?.trim().toUpperCase();
+  if (ref && NUCLEOTIDES.test(ref) && alleles.every((allele) => NUCLEOTIDES.test(allele))) {
+    return scale(alleles.filter((allele) => allele !== ref).length);
+  }
+  if (alleles.every((allele) => /^\d+$/.test(allele))) {
+    return scale(alleles.filter((allele) => allele !== '0').length);
+  }
+  if (!nucleotideCalls && alleles.every((allele) => allele === 'A' || allele === 'B')) {
+    return scale(alleles.filter((allele) => allele === 'B').length);
+  }
+  if (alleles.every((allele) => NUCLEOTIDES.test(allele))) {
+    return 'no reference allele';
+  }
+  if (alleles.length === 2 && alleles.every((allele) => /^[A-Z]+$/.test(allele)) && alleles.includes('N')) {
+    return scale(alleles.filter((allele) => allele !== 'N').length);
+  }
+  if (alleles.length === 2 && alleles[0] === alleles[1] && /^[A-Z]+$/.test(alleles[0])) {
+    return 2; // `M/M`, `DM/DM`
+  }
+  return 'unreadable';
+}
+
+function healthCondition(call: GenotypeCall): string | null {
+  const names = [call.locus, call.gene || '']
+    .flatMap((name) => name.toLowerCase().split(/[^a-z0-9]+/))
+    .filter(Boolean);
+  for (const [condition, aliases] of Object.entries(HEALTH_PANEL)) {
+    if (aliases.some((alias) => names.includes(alias))) {
+      return condition;
+    }
+  }
+  return null;
+}
+
+function normalizeLocus(locus: string): string {
+  return locus.trim().toLowerCase().replace(/^chr/, '');
+}
+
+/**
+ * 32-bit FNV-1a of the UTF-16 code units
+ */
+function fnv1a(text: string): number {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+function sum(values: number[]): number {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+function describeSkipped(skipped: SkippedCall[]): string[] {
+  const warnings: string[] = [];
+  const missing = skipped.filter((entry) => entry.reason === 'missing').length;
+  if (missing > 0) {
+    warnings.push(`${missing} no-call(s) skipped`);
+  }
+  for (const reason of ['no reference allele', 'unreadable'] as const) {
+    const entries = skipped.filter((entry) => entry.reason === reason);
+    if (entries.length > 0) {
+      const example = entries[0];
+      warnings.push(`${entries.length} call(s) skipped (${reason}), e.g. "${example.call}" on line ${example.line}`);
+    }
+  }
+  return warnings;
+}
+
+function quantizeWarnings(calls: GenotypeCall[]): string[] {
+  const warnings: string[] = [];
+  const loci = new Set(calls.map((call) => normalizeLocus(call.locus)));
+  if (loci.size < calls.length) {
+    warnings.push(`${calls.length - loci.size} duplicate locus call(s) ignored, the first call of each locus is used`);
+  }
+  if (!calls.some((call) => healthCondition(call))) {
+    warnings.push(`No health panel loci found, healthRisk set to ${UNKNOWN_HEALTH_RISK} (unknown)`);
+  }
+  return warnings;
+}
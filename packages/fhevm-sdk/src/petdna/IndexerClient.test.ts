@@ -0,0 +1,141 @@
+import { IndexedPet, IndexerClient } from './IndexerClient';
+import { IndexerError } from '../utils/errors';
+
+const CONTRACT = '0x00000000000000000000000000000000000000C0';
+
+const pet = (id: number): IndexedPet => ({
+  contract: CONTRACT.toLowerCase(),
+  id,
+  owner: '0x00000000000000000000000000000000000000a1',
+  name: `Pet ${id}`,
+  breed: 'Labrador',
+  age: 3,
+  isAvailableForBreeding: true,
+  registrationBlock: 10,
+  registrationTime: 1700000000,
+});
+
+const asFetch = (fetch: jest.Mock) => fetch as unknown as typeof globalThis.fetch;
+
+/**
+ * fetch answering from `respond`, recording the requested URLs
+ */
+function fakeFetch(respond: (url: URL) => { status?: number; body: unknown }) {
+  const urls: URL[] = [];
+  const fetch = jest.fn(async (input: string | URL | Request) => {
+    const url = new URL(String(input));
+    urls.push(url);
+    const { status = 200, body } = respond(url);
+    return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } });
+  });
+  return { urls, fetch: asFetch(fetch) };
+}
+
+describe('IndexerClient', () => {
+  it('sends the filters as query parameters', async () => {
+    const { urls, fetch } = fakeFetch(() => ({ body: { total: 0, items: [] } }));
+    const indexer = new IndexerClient('http://indexer:4000//', { fetch });
+
+    await indexer.getPets('Enhanced', { ids: [1, 2], available: false, breed: '', owner: undefined });
+    await indexer.getMatches(CONTRACT, { petId: 7, status: 'pending', limit: 20 });
+
+    expect(urls.map(String)).toEqual([
+      'http://indexer:4000/contracts/Enhanced/pets?ids=1%2C2&available=false',
+      `http://indexer:4000/contracts/${CONTRACT}/matches?petId=7&status=pending&limit=20`,
+    ]);
+  });
+
+  it('follows the pages of a list', async () => {
+    const pets = Array.from({ length: 501 }, (_, i) => pet(i + 1));
+    const { urls, fetch } = fakeFetch((url) => {
+      const offset = Number(url.searchParams.get('offset'));
+      const limit = Number(url.searchParams.get('limit'));
+      return { body: { total: pets.length, items: pets.slice(offset, offset + limit) } };
+    });
+
+    expect(await new IndexerClient('http://indexer', { fetch }).getAllPets('Enhanced', { owner: 'alice' })).toEqual(
+      pets
+    );
+    expect(urls.map((url) => url.search)).toEqual([
+      '?owner=alice&limit=500&offset=0',
+      '?owner=alice&limit=500&offset=500',
+    ]);
+  });
+
+  it('stops at an empty page when the total shrinks while paging', async () => {
+    const match = { requestId: 1, status: 'pending' };
+    const { urls, fetch } = fakeFetch((url) => ({
+      body: url.searchParams.get('offset') === '0' ? { total: 900, items: [match] } : { total: 1, items: [] },
+    }));
+
+    expect(await new IndexerClient('http://indexer', { fetch }).getAllMatches('Enhanced')).toEqual([match]);
+    expect(urls).toHaveLength(2);
+  });
+
+  it('reads missing pets and matches as null', async () => {
+    const { fetch } = fakeFetch((url) =>
+      url.pathname.endsWith('/1') ? { body: pet(1) } : { status: 404, body: { error: 'Not found' } }
+    );
+    const indexer = new IndexerClient('http://indexer', { fetch });
+
+    expect(await indexer.getPet('Enhanced', 1)).toEqual(pet(1));
+    expect(await indexer.getPet('Enhanced', 2)).toBeNull();
+    expect(await indexer.getMatch('Enhanced', 2)).toBeNull();
+  });
+
+  it('reports the error of failed requests with their status', async () => {
+    const { fetch } = fakeFetch(() => ({ status: 400, body: { error: 'Unknown contract "Nope"' } }));
+
+    const error = await new IndexerClient('http://indexer', { fetch }).getPet('Nope', 1).catch((e) => e);
+
+    expect(error).toBeInstanceOf(IndexerError);
+    expect(error.status).toBe(400);
+    expect(error.message).toBe('Indexer request http://indexer/contracts/Nope/pets/1 failed: Unknown contract "Nope"');
+  });
+
+  it('falls back to the HTTP status without an error body', async () => {
+    const fetch = asFetch(jest.fn(async () => new Response('Bad gateway', { status: 502 })));
+
+    await expect(new IndexerClient('http://indexer', { fetch }).getFeeTotals('Enhanced')).rejects.toThrow(
+      'Indexer request http://indexer/contracts/Enhanced/fees failed: HTTP 502'
+    );
+  });
+
+  it('reports unreachable and unresponsive indexers', async () => {
+    const refused = asFetch(
+      jest.fn(async () => {
+        throw new TypeError('fetch failed');
+      })
+    );
+    // Never answers, rejects once the request is aborted
+    const silent = asFetch(
+      jest.fn((_: unknown, init: RequestInit) => {
+        return new Promise((_resolve, reject) => {
+          init.signal!.addEventListener('abort', () => reject(new Error('aborted')));
+        });
+      })
+    );
+
+    await expect(new IndexerClient('http://indexer', { fetch: refused }).getStatus()).rejects.toThrow(
+      'Indexer request http://indexer/status failed: TypeError: fetch failed'
+    );
+    await expect(new IndexerClient('http://indexer', { fetch: silent, timeout: 10 }).getStatus()).rejects.toThrow(
+      'Indexer request http://indexer/status failed: no answer within 10ms'
+    );
+  });
+
+  it('finds the indexed block of a contract by its address', async () => {
+    const { fetch } = fakeFetch(() => ({
+      body: {
+        latestBlock: 120,
+        lastSyncAt: null,
+        lastError: null,
+        contracts: [{ address: CONTRACT.toLowerCase(), variant: 'Enhanced', startBlock: 1, indexedBlock: 117 }],
+      },
+    }));
+    const indexer = new IndexerClient('http://indexer', { fetch });
+
+    expect(await indexer.getIndexedBlock(CONTRACT)).toBe(117);
+    expect(await indexer.getIndexedBlock('0x00000000000000000000000000000000000000c1')).toBeNull();
+  });
+});
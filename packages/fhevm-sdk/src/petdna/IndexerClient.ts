@@ -0,0 +1,247 @@
+/**
+ * IndexerClient - Reads of the PetDNA event indexer
+ *
+ * The indexer of the repository (scripts/indexer) stores the events of the
+ * deployed contracts in SQLite and serves pets, match history and fee
+ * totals over HTTP. Given to a PetDNAClient as `indexer`, it replaces the
+ * per-pet contract calls of getPets; the client falls back to the contract
+ * when the indexer is unreachable or more than `indexerMaxLag` blocks behind.
+ *
+ * @example
+ * ```typescript
+ * const indexer = new IndexerClient('http://127.0.0.1:4000');
+ * const petDNA = await PetDNAClient.connect({ address, client, signer, indexer });
+ *
+ * const { items } = await indexer.getMatches(petDNA.address, { requester: account });
+ * ```
+ */
+
+import { IndexerError } from '../utils/errors';
+
+export interface IndexerClientOptions {
+  timeout?: number; // milliseconds per request (default 5000)
+  fetch?: typeof fetch; // defaults to the global fetch
+}
+
+/**
+ * One page of a list; `total` counts every item matching the filter
+ */
+export interface IndexerPage<T> {
+  total: number;
+  items: T[];
+}
+
+export interface IndexedContract {
+  address: string; // lowercase
+  variant: string;
+  startBlock: number;
+  indexedBlock: number;
+}
+
+export interface IndexerStatus {
+  latestBlock: number | null; // chain head at the last sync
+  lastSyncAt: string | null;
+  lastError: string | null;
+  contracts: IndexedContract[];
+}
+
+/**
+ * Pet as indexed: `age` on EnhancedPetDNAMatching and PrivatePetDNAMatching,
+ * `species` and `birthYear` on PetDNAMatching
+ */
+export interface IndexedPet {
+  contract: string;
+  id: number;
+  owner: string;
+  name: string;
+  breed: string;
+  species?: string;
+  age?: number;
+  birthYear?: number;
+  isAvailableForBreeding: boolean;
+  registrationBlock: number;
+  registrationTime: number; // unix timestamp in seconds
+}
+
+export type IndexedMatchStatus = 'pending' | 'completed' | 'refunded';
+
+/**
+ * Matching request of any variant
+ *
+ * PrivatePetDNAMatching requests have no `petId2` until a match is found;
+ * `timeoutDeadline` is only set on EnhancedPetDNAMatching.
+ */
+export interface IndexedMatch {
+  contract: string;
+  requestId: number;
+  petId1: number;
+  petId2: number | null;
+  requester: string;
+  status: IndexedMatchStatus;
+  score: number | null;
+  isSuccessfulMatch: boolean | null;
+  feePaid: string; // wei
+  refundAmount: string | null; // wei
+  refundReason: string | null;
+  timeoutDeadline: number | null;
+  requestBlock: number;
+  requestTime: number;
+  completionBlock: number | null;
+  completionTime: number | null;
+  transactionHash: string;
+}
+
+/**
+ * Matching fees of a contract, in wei
+ */
+export interface IndexedFeeTotals {
+  requests: number;
+  refunds: number;
+  paid: string;
+  refunded: string;
+  retained: string; // paid minus refunded
+  withdrawn: string; // by the owner
+}
+
+export interface IndexedPetFilter {
+  ids?: number[];
+  owner?: string;
+  breed?: string; // case-insensitive
+  available?: boolean;
+  limit?: number; // at most 500
+  offset?: number;
+}
+
+export interface IndexedMatchFilter {
+  petId?: number; // on either side
+  requester?: string;
+  status?: IndexedMatchStatus;
+  limit?: number; // at most 500
+  offset?: number;
+}
+
+// Largest page the indexer serves
+const MAX_PAGE = 500;
+
+export class IndexerClient {
+  private baseUrl: string;
+  private timeout: number;
+  private fetch: typeof fetch;
+
+  /**
+   * @param baseUrl - Indexer API, e.g. http://127.0.0.1:4000
+   */
+  constructor(baseUrl: string, options: IndexerClientOptions = {}) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.timeout = options.timeout ?? 5000;
+    this.fetch = options.fetch ?? ((...args) => fetch(...args));
+  }
+
+  async getStatus(): Promise<IndexerStatus> {
+    return this.get('/status');
+  }
+
+  /**
+   * Pets of a contract; `contract` is its address or variant name
+   */
+  async getPets(contract: string, filter: IndexedPetFilter = {}): Promise<IndexerPage<IndexedPet>> {
+    return this.get(`/contracts/${contract}/pets`, { ...filter, ids: filter.ids?.join(',') });
+  }
+
+  /**
+   * Every pet matching a filter, following the pages
+   */
+  async getAllPets(contract: string, filter: Omit<IndexedPetFilter, 'limit' | 'offset'> = {}): Promise<IndexedPet[]> {
+    const pets: IndexedPet[] = [];
+    for (;;) {
+      const page = await this.getPets(contract, { ...filter, limit: MAX_PAGE, offset: pets.length });
+      pets.push(...page.items);
+      if (page.items.length === 0 || pets.length >= page.total) {
+        return pets;
+      }
+    }
+  }
+
+  async getPet(contract: string, petId: number): Promise<IndexedPet | null> {
+    return this.getOptional(`/contracts/${contract}/pets/${petId}`);
+  }
+
+  /**
+   * Matching requests of a contract, newest first
+   */
+  async getMatches(contract: string, filter: IndexedMatchFilter = {}): Promise<IndexerPage<IndexedMatch>> {
+    return this.get(`/contracts/${contract}/matches`, { ...filter });
+  }
+
+  /**
+   * Every matching request matching a filter, following the pages
+   */
+  async getAllMatches(
+    contract: string,
+    filter: Omit<IndexedMatchFilter, 'limit' | 'offset'> = {}
+  ): Promise<IndexedMatch[]> {
+    const matches: IndexedMatch[] = [];
+    for (;;) {
+      const page = await this.getMatches(contract, { ...filter, limit: MAX_PAGE, offset: matches.length });
+      matches.push(...page.items);
+      if (page.items.length === 0 || matches.length >= page.total) {
+        return matches;
+      }
+    }
+  }
+
+  async getMatch(contract: string, requestId: number): Promise<IndexedMatch | null> {
+    return this.getOptional(`/contracts/${contract}/matches/${requestId}`);
+  }
+
+  async getFeeTotals(contract: string): Promise<IndexedFeeTotals> {
+    return this.get(`/contracts/${contract}/fees`);
+  }
+
+  /**
+   * How far the indexer got for a contract, or null if it does not index it
+   */
+  async getIndexedBlock(contract: string): Promise<number | null> {
+    const { contracts } = await this.getStatus();
+    const indexed = contracts.find((candidate) => candidate.address === contract.toLowerCase());
+    return indexed ? indexed.indexedBlock : null;
+  }
+
+  private async getOptional<T>(path: string): Promise<T | null> {
+    try {
+      return await this.get<T>(path);
+    } catch (error) {
+      if (error instanceof IndexerError && error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  private async get<T>(path: string, query: Record<string, string | number | boolean | undefined> = {}): Promise<T> {
+    const params = new URLSearchParams();
+    Object.entries(query).forEach(([key, value]) => {
+      if (value !== undefined && value !== '') {
+        params.set(key, String(value));
+      }
+    });
+    const url = `${this.baseUrl}${path}${params.toString() ? `?${params}` : ''}`;
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+    let response: Response;
+    try {
+      response = await this.fetch(url, { signal: controller.signal });
+    } catch (error) {
+      throw new IndexerError(url, controller.signal.aborted ? `no answer within ${this.timeout}ms` : String(error));
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const body = await response.json().catch(() => null);
+    if (!response.ok) {
+      throw new IndexerError(url, body?.error || `HTTP ${response.status}`, response.status);
+    }
+    return body as T;
+  }
+}
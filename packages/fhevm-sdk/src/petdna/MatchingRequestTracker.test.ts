@@ -0,0 +1,243 @@
+import { ethers } from 'ethers';
+import { MatchingRequestTracker, TrackedMatchingRequest } from './MatchingRequestTracker';
+import { ENHANCED_PET_DNA_MATCHING_ABI } from './abis';
+
+const ADDRESS = '0x00000000000000000000000000000000000000c0';
+const REQUESTER = ethers.utils.getAddress('0x00000000000000000000000000000000000000a1');
+const iface = new ethers.utils.Interface(ENHANCED_PET_DNA_MATCHING_ABI);
+
+/**
+ * Provider serving logs from memory; `emit` delivers a log to live subscribers
+ */
+class LogProvider {
+  logs: ethers.providers.Log[] = [];
+  queries: ethers.providers.Filter[] = [];
+  blockNumber = 0;
+  private handlers = new Set<(log: ethers.providers.Log) => void>();
+
+  log(blockNumber: number, name: string, args: any[]): ethers.providers.Log {
+    const { data, topics } = iface.encodeEventLog(iface.getEvent(name), args);
+    const log = {
+      address: ADDRESS,
+      blockNumber,
+      blockHash: ethers.constants.HashZero,
+      transactionIndex: 0,
+      removed: false,
+      data,
+      topics,
+      transactionHash: ethers.utils.id(`${name}-${blockNumber}`),
+      logIndex: this.logs.length,
+    };
+    this.logs.push(log);
+    this.blockNumber = Math.max(this.blockNumber, blockNumber);
+    return log;
+  }
+
+  emit(blockNumber: number, name: string, args: any[]): void {
+    const log = this.log(blockNumber, name, args);
+    this.handlers.forEach((handler) => handler(log));
+  }
+
+  get listenerCount(): number {
+    return this.handlers.size;
+  }
+
+  async getBlockNumber(): Promise<number> {
+    return this.blockNumber;
+  }
+
+  async getLogs(filter: ethers.providers.Filter & { fromBlock: number; toBlock: number }) {
+    this.queries.push(filter);
+    const [events, requestTopic] = filter.topics as [string[], string?];
+    return this.logs
+      .filter((log) => log.blockNumber >= filter.fromBlock && log.blockNumber <= filter.toBlock)
+      .filter((log) => events.includes(log.topics[0]) && (!requestTopic || log.topics[1] === requestTopic))
+      .reverse();
+  }
+
+  on(_filter: ethers.providers.Filter, handler: (log: ethers.providers.Log) => void): void {
+    this.handlers.add(handler);
+  }
+
+  off(_filter: ethers.providers.Filter, handler: (log: ethers.providers.Log) => void): void {
+    this.handlers.delete(handler);
+  }
+}
+
+function createTracker(provider: LogProvider, fromBlock = 1, maxBlockRange?: number) {
+  return new MatchingRequestTracker({
+    address: ADDRESS,
+    provider: provider as unknown as ethers.providers.Provider,
+    fromBlock,
+    maxBlockRange,
+  });
+}
+
+function requested(provider: LogProvider, block: number, requestId: number, deadline = 2000) {
+  provider.log(block, 'MatchingRequested', [requestId, 1, 2, REQUESTER, deadline]);
+}
+
+describe('MatchingRequestTracker', () => {
+  it('rebuilds request states from past logs', async () => {
+    const provider = new LogProvider();
+    requested(provider, 1, 1);
+    provider.log(2, 'DecryptionRequested', [1, 77]);
+    provider.log(3, 'MatchingCompleted', [1, 88, true]);
+    requested(provider, 4, 2);
+    provider.log(5, 'TimeoutTriggered', [2, 1000]);
+    provider.log(5, 'MatchingRefunded', [2, REQUESTER, 1000, 'Callback timeout']);
+    requested(provider, 6, 3);
+
+    const tracker = createTracker(provider);
+    await tracker.sync();
+
+    expect(tracker.get(1)).toMatchObject({
+      status: 'completed',
+      decryptionRequestId: 77,
+      compatibilityScore: 88,
+      isSuccessfulMatch: true,
+      blockNumber: 3,
+    });
+    expect(tracker.get(2)).toMatchObject({ status: 'refunded', timedOut: true, refundReason: 'Callback timeout' });
+    expect(tracker.get(2)!.refundAmount!.toNumber()).toBe(1000);
+    expect(tracker.get(3)).toMatchObject({ status: 'requested', petId1: 1, petId2: 2, requester: REQUESTER });
+    expect(tracker.getAll(REQUESTER.toLowerCase())).toHaveLength(3);
+    expect(tracker.getAll('0x00000000000000000000000000000000000000b2')).toEqual([]);
+  });
+
+  it('queries bounded block ranges and only new blocks on the next sync', async () => {
+    const provider = new LogProvider();
+    requested(provider, 25, 1);
+    const tracker = createTracker(provider, 1, 10);
+
+    await tracker.sync();
+    expect(provider.queries.map(({ fromBlock, toBlock }) => [fromBlock, toBlock])).toEqual([
+      [1, 10],
+      [11, 20],
+      [21, 25],
+    ]);
+
+    provider.queries = [];
+    provider.log(30, 'MatchingCompleted', [1, 40, false]);
+    await tracker.sync();
+
+    expect(provider.queries.map(({ fromBlock, toBlock }) => [fromBlock, toBlock])).toEqual([[26, 30]]);
+    expect(tracker.get(1)!.status).toBe('completed');
+  });
+
+  it('ignores logs of requests created before fromBlock', async () => {
+    const provider = new LogProvider();
+    requested(provider, 1, 1);
+    provider.log(5, 'MatchingCompleted', [1, 40, false]);
+
+    const tracker = createTracker(provider, 3);
+    await tracker.sync();
+
+    expect(tracker.get(1)).toBeNull();
+  });
+
+  it('recovers a single request by its indexed id', async () => {
+    const provider = new LogProvider();
+    requested(provider, 1, 1);
+    requested(provider, 2, 2);
+    provider.log(3, 'DecryptionRequested', [2, 9]);
+
+    const tracker = createTracker(provider);
+
+    expect(await tracker.recover(2)).toMatchObject({ requestId: 2, status: 'decrypting' });
+    expect(tracker.get(1)).toBeNull();
+    expect(await tracker.recover(5)).toBeNull();
+  });
+
+  it('reports deadlines and expiry of pending requests', async () => {
+    const provider = new LogProvider();
+    requested(provider, 1, 1, 2000);
+    requested(provider, 2, 2, 2000);
+    provider.log(3, 'MatchingCompleted', [2, 40, false]);
+
+    const tracker = createTracker(provider);
+    await tracker.sync();
+
+    expect(tracker.getDeadline(1)).toEqual(new Date(2000 * 1000));
+    expect(tracker.getDeadline(9)).toBeNull();
+    expect(tracker.isExpired(1, 2000)).toBe(false);
+    expect(tracker.isExpired(1, 2001)).toBe(true);
+    expect(tracker.isExpired(2, 2001)).toBe(false);
+  });
+
+  it('notifies subscribers of new logs and detaches with the last one', async () => {
+    const provider = new LogProvider();
+    const tracker = createTracker(provider);
+    const first: TrackedMatchingRequest[] = [];
+    const second: TrackedMatchingRequest[] = [];
+
+    const unsubscribeFirst = tracker.subscribe((request) => first.push(request));
+    const unsubscribeSecond = tracker.subscribe((request) => second.push(request));
+    expect(provider.listenerCount).toBe(1);
+
+    provider.emit(1, 'MatchingRequested', [1, 1, 2, REQUESTER, 2000]);
+    unsubscribeFirst();
+    provider.emit(2, 'DecryptionRequested', [1, 3]);
+
+    expect(first.map((request) => request.status)).toEqual(['requested']);
+    expect(second.map((request) => request.status)).toEqual(['requested', 'decrypting']);
+
+    unsubscribeSecond();
+    expect(provider.listenerCount).toBe(0);
+  });
+
+  it('watches a request from its recovered state until it completes', async () => {
+    const provider = new LogProvider();
+    requested(provider, 1, 1);
+    const tracker = createTracker(provider);
+
+    const statuses: string[] = [];
+    const watching = (async () => {
+      for await (const request of tracker.watch(1)) {
+        statuses.push(request.status);
+      }
+    })();
+
+    // Let watch() recover the request before new logs arrive
+    await new Promise((resolve) => setImmediate(resolve));
+    provider.emit(2, 'MatchingRequested', [2, 3, 4, REQUESTER, 2000]);
+    provider.emit(3, 'DecryptionRequested', [1, 5]);
+    provider.emit(4, 'MatchingCompleted', [1, 91, true]);
+    provider.emit(5, 'DecryptionRequested', [2, 6]);
+    await watching;
+
+    expect(statuses).toEqual(['requested', 'decrypting', 'completed']);
+    expect(provider.listenerCount).toBe(0);
+  });
+
+  it('ends watching a request that is already final', async () => {
+    const provider = new LogProvider();
+    requested(provider, 1, 1);
+    provider.log(2, 'MatchingRefunded', [1, REQUESTER, 1000, 'Refunded']);
+    const tracker = createTracker(provider);
+
+    const states: TrackedMatchingRequest[] = [];
+    for await (const request of tracker.watch(1)) {
+      states.push(request);
+    }
+
+    expect(states.map((request) => request.status)).toEqual(['refunded']);
+    expect(provider.listenerCount).toBe(0);
+  });
+
+  it('iterates over updates of every request until stopped', async () => {
+    const provider = new LogProvider();
+    const tracker = createTracker(provider);
+    const iterator = tracker[Symbol.asyncIterator]();
+
+    provider.emit(1, 'MatchingRequested', [1, 1, 2, REQUESTER, 2000]);
+    provider.emit(2, 'MatchingRequested', [2, 3, 4, REQUESTER, 2000]);
+
+    expect((await iterator.next()).value.requestId).toBe(1);
+    expect((await iterator.next()).value.requestId).toBe(2);
+
+    await iterator.return!();
+    expect(await iterator.next()).toEqual({ value: undefined, done: true });
+    expect(provider.listenerCount).toBe(0);
+  });
+});
@@ -0,0 +1,326 @@
+/**
+ * MatchingRequestTracker - Follow EnhancedPetDNAMatching requests through the gateway
+ *
+ * A matching request moves through
+ *   MatchingRequested → DecryptionRequested → MatchingCompleted
+ * or ends in MatchingRefunded (with TimeoutTriggered when the gateway
+ * callback missed its `timeoutDeadline`). The tracker rebuilds that state
+ * from past logs, so results survive page reloads, and follows new logs
+ * while listeners or iterators are attached.
+ *
+ * @example
+ * ```typescript
+ * const tracker = new MatchingRequestTracker({ address, provider });
+ *
+ * for await (const request of tracker.watch(requestId)) {
+ *   console.log(request.status, request.compatibilityScore);
+ * }
+ * ```
+ */
+
+import { ethers } from 'ethers';
+import { ENHANCED_PET_DNA_MATCHING_ABI } from './abis';
+
+export type MatchingRequestStatus = 'requested' | 'decrypting' | 'completed' | 'refunded';
+
+/**
+ * State of a matching request as reconstructed from contract events
+ */
+export interface TrackedMatchingRequest {
+  requestId: number;
+  petId1: number;
+  petId2: number;
+  requester: string;
+  status: MatchingRequestStatus;
+  timeoutDeadline: number; // unix timestamp in seconds
+  decryptionRequestId?: number;
+  compatibilityScore?: number;
+  isSuccessfulMatch?: boolean;
+  refundAmount?: ethers.BigNumber;
+  refundReason?: string;
+  timedOut: boolean; // refunded because the gateway callback timed out
+  transactionHash: string; // transaction of the latest event
+  blockNumber: number; // block of the latest event
+}
+
+export interface MatchingRequestTrackerConfig {
+  address: string;
+  provider: ethers.providers.Provider;
+  fromBlock?: number; // deployment block, to bound log queries
+  maxBlockRange?: number; // block span per eth_getLogs call
+}
+
+export type MatchingRequestListener = (request: TrackedMatchingRequest) => void;
+
+const TRACKED_EVENTS = [
+  'MatchingRequested',
+  'DecryptionRequested',
+  'MatchingCompleted',
+  'MatchingRefunded',
+  'TimeoutTriggered',
+];
+
+const DEFAULT_MAX_BLOCK_RANGE = 10000;
+
+export class MatchingRequestTracker {
+  private iface = new ethers.utils.Interface(ENHANCED_PET_DNA_MATCHING_ABI);
+  private topics: string[];
+  private requests = new Map<number, TrackedMatchingRequest>();
+  private listeners = new Set<MatchingRequestListener>();
+  private syncedBlock: number;
+  private handleLog = (log: ethers.providers.Log) => this.applyLog(log);
+
+  constructor(private config: MatchingRequestTrackerConfig) {
+    this.topics = TRACKED_EVENTS.map((name) => this.iface.getEventTopic(name));
+    this.syncedBlock = (config.fromBlock ?? 0) - 1;
+  }
+
+  /**
+   * Replay past logs up to the latest block
+   *
+   * Only blocks not seen by a previous sync are queried.
+   */
+  async sync(): Promise<void> {
+    const latest = await this.config.provider.getBlockNumber();
+    await this.replay(this.syncedBlock + 1, latest, [this.topics]);
+    this.syncedBlock = Math.max(this.syncedBlock, latest);
+  }
+
+  /**
+   * Rebuild the state of a single request from its logs
+   *
+   * @returns The request, or null if it was never created
+   */
+  async recover(requestId: number): Promise<TrackedMatchingRequest | null> {
+    const latest = await this.config.provider.getBlockNumber();
+    const requestTopic = ethers.utils.hexZeroPad(ethers.utils.hexlify(requestId), 32);
+
+    this.requests.delete(requestId);
+    await this.replay(this.config.fromBlock ?? 0, latest, [this.topics, requestTopic]);
+
+    return this.get(requestId);
+  }
+
+  get(requestId: number): TrackedMatchingRequest | null {
+    const request = this.requests.get(requestId);
+    return request ? { ...request } : null;
+  }
+
+  /**
+   * All known requests, optionally restricted to one requester
+   */
+  getAll(requester?: string): TrackedMatchingRequest[] {
+    const all = Array.from(this.requests.values()).map((request) => ({ ...request }));
+    if (!requester) {
+      return all;
+    }
+    return all.filter((request) => request.requester.toLowerCase() === requester.toLowerCase());
+  }
+
+  /**
+   * Deadline after which anyone can claim a refund for the request
+   */
+  getDeadline(requestId: number): Date | null {
+    const request = this.requests.get(requestId);
+    return request ? new Date(request.timeoutDeadline * 1000) : null;
+  }
+
+  /**
+   * Whether a still-pending request has passed its callback deadline
+   *
+   * @param now - Unix timestamp in seconds (defaults to the local clock;
+   *              pass the latest block timestamp for on-chain accuracy)
+   */
+  isExpired(requestId: number, now: number = Math.floor(Date.now() / 1000)): boolean {
+    const request = this.requests.get(requestId);
+    return !!request && !isFinal(request) && now > request.timeoutDeadline;
+  }
+
+  /**
+   * Subscribe to request updates, following new blocks while subscribed
+   *
+   * @returns Function that removes the listener
+   */
+  subscribe(listener: MatchingRequestListener): () => void {
+    if (this.listeners.size === 0) {
+      this.config.provider.on(this.liveFilter(), this.handleLog);
+    }
+    this.listeners.add(listener);
+
+    return () => {
+      this.listeners.delete(listener);
+      if (this.listeners.size === 0) {
+        this.config.provider.off(this.liveFilter(), this.handleLog);
+      }
+    };
+  }
+
+  /**
+   * Iterate over the states of a request until it completes or is refunded
+   *
+   * Yields the recovered state first, then every subsequent update.
+   */
+  async *watch(requestId: number): AsyncIterableIterator<TrackedMatchingRequest> {
+    const updates = this.updates((request) => request.requestId === requestId);
+    try {
+      const current = await this.recover(requestId);
+      if (current) {
+        yield current;
+        if (isFinal(current)) {
+          return;
+        }
+      }
+
+      for await (const request of updates) {
+        yield request;
+        if (isFinal(request)) {
+          return;
+        }
+      }
+    } finally {
+      await updates.return?.();
+    }
+  }
+
+  /**
+   * Iterate over updates of every request
+   */
+  [Symbol.asyncIterator](): AsyncIterableIterator<TrackedMatchingRequest> {
+    return this.updates(() => true);
+  }
+
+  /**
+   * Detach from the provider and drop all listeners
+   */
+  stop(): void {
+    if (this.listeners.size > 0) {
+      this.config.provider.off(this.liveFilter(), this.handleLog);
+    }
+    this.listeners.clear();
+  }
+
+  private updates(
+    filter: (request: TrackedMatchingRequest) => boolean
+  ): AsyncIterableIterator<TrackedMatchingRequest> {
+    const queue: TrackedMatchingRequest[] = [];
+    let wake: (() => void) | null = null;
+    let done = false;
+
+    const unsubscribe = this.subscribe((request) => {
+      if (filter(request)) {
+        queue.push(request);
+        wake?.();
+      }
+    });
+
+    const iterator: AsyncIterableIterator<TrackedMatchingRequest> = {
+      async next() {
+        while (queue.length === 0 && !done) {
+          await new Promise<void>((resolve) => (wake = resolve));
+          wake = null;
+        }
+        if (queue.length > 0) {
+          return { value: queue.shift()!, done: false };
+        }
+        return { value: undefined, done: true };
+      },
+      async return() {
+        done = true;
+        unsubscribe();
+        wake?.();
+        return { value: undefined, done: true };
+      },
+      [Symbol.asyncIterator]() {
+        return iterator;
+      },
+    };
+
+    return iterator;
+  }
+
+  private liveFilter(): ethers.providers.Filter {
+    return { address: this.config.address, topics: [this.topics] };
+  }
+
+  private async replay(fromBlock: number, toBlock: number, topics: any[]): Promise<void> {
+    const range = this.config.maxBlockRange ?? DEFAULT_MAX_BLOCK_RANGE;
+
+    for (let start = fromBlock; start <= toBlock; start += range) {
+      const logs = await this.config.provider.getLogs({
+        address: this.config.address,
+        topics,
+        fromBlock: start,
+        toBlock: Math.min(start + range - 1, toBlock),
+      });
+
+      logs
+        .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+        .forEach((log) => this.applyLog(log, false));
+    }
+  }
+
+  private applyLog(log: ethers.providers.Log, notify: boolean = true): void {
+    let event: ethers.utils.LogDescription;
+    try {
+      event = this.iface.parseLog(log);
+    } catch {
+      return;
+    }
+
+    const requestId = event.args.requestId.toNumber();
+    const previous = this.requests.get(requestId);
+    const seen = { transactionHash: log.transactionHash, blockNumber: log.blockNumber };
+    let next: TrackedMatchingRequest;
+
+    if (event.name === 'MatchingRequested') {
+      next = {
+        requestId,
+        petId1: event.args.petId1.toNumber(),
+        petId2: event.args.petId2.toNumber(),
+        requester: event.args.requester,
+        status: 'requested',
+        timeoutDeadline: event.args.timeoutDeadline.toNumber(),
+        timedOut: false,
+        ...seen,
+      };
+    } else if (!previous) {
+      // Logs of a request created before `fromBlock`
+      return;
+    } else if (event.name === 'DecryptionRequested') {
+      next = {
+        ...previous,
+        status: previous.status === 'requested' ? 'decrypting' : previous.status,
+        decryptionRequestId: event.args.decryptionRequestId.toNumber(),
+        ...seen,
+      };
+    } else if (event.name === 'MatchingCompleted') {
+      next = {
+        ...previous,
+        status: 'completed',
+        compatibilityScore: event.args.compatibilityScore,
+        isSuccessfulMatch: event.args.isSuccessfulMatch,
+        ...seen,
+      };
+    } else if (event.name === 'MatchingRefunded') {
+      next = {
+        ...previous,
+        status: 'refunded',
+        refundAmount: event.args.amount,
+        refundReason: event.args.reason,
+        ...seen,
+      };
+    } else {
+      next = { ...previous, timedOut: true, ...seen };
+    }
+
+    this.requests.set(requestId, next);
+
+    if (notify) {
+      this.listeners.forEach((listener) => listener({ ...next }));
+    }
+  }
+}
+
+function isFinal(request: TrackedMatchingRequest): boolean {
+  return request.status === 'completed' || request.status === 'refunded';
+}
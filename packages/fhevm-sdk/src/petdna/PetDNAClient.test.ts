@@ -0,0 +1,105 @@
+import { ethers } from 'ethers';
+import {
+  EnhancedPetDNAClient,
+  LegacyPetDNAClient,
+  PET_DNA_ABIS,
+  PetDNAClient,
+  PrivatePetDNAClient,
+  detectPetDNAVariant,
+} from './PetDNAClient';
+import { PetDNAVariant } from './types';
+import { FHEVMClient } from '../core/FHEVMClient';
+import { UnsupportedContractError } from '../utils/errors';
+
+jest.mock('fhevmjs', () => ({ createInstance: jest.fn() }), { virtual: true });
+
+const ADDRESS = '0x00000000000000000000000000000000000000c0';
+
+/**
+ * Runtime bytecode of a dispatcher comparing against every selector of a variant
+ *
+ * Like solc, selectors are pushed without their leading zero bytes.
+ */
+function dispatcherCode(variant: PetDNAVariant, omit: string[] = []): string {
+  const iface = new ethers.utils.Interface(PET_DNA_ABIS[variant]);
+  const signatures = Object.keys(iface.functions).filter(
+    (signature) => !omit.includes(iface.getFunction(signature).name)
+  );
+  const pushes = signatures.map((signature) => {
+    const selector = iface
+      .getSighash(signature)
+      .slice(2)
+      .replace(/^(00)+/, '');
+    // PUSHn selector, DUP2, EQ
+    return (0x5f + selector.length / 2).toString(16) + selector + '8114';
+  });
+  return '0x6080604052' + pushes.join('');
+}
+
+function providerWithCode(code: string): ethers.providers.Provider {
+  const provider = new ethers.providers.JsonRpcProvider();
+  jest.spyOn(provider, 'getCode').mockResolvedValue(code);
+  return provider;
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('detectPetDNAVariant', () => {
+  it.each(Object.keys(PET_DNA_ABIS) as PetDNAVariant[])('detects %s', async (variant) => {
+    await expect(detectPetDNAVariant(ADDRESS, providerWithCode(dispatcherCode(variant)))).resolves.toBe(variant);
+  });
+
+  it('rejects addresses without code', async () => {
+    const error = await detectPetDNAVariant(ADDRESS, providerWithCode('0x')).catch((e) => e);
+
+    expect(error).toBeInstanceOf(UnsupportedContractError);
+    expect(error.address).toBe(ADDRESS);
+    expect(error.message).toBe(`Unsupported contract at ${ADDRESS}: no contract deployed`);
+  });
+
+  it('rejects contracts missing functions of every variant', async () => {
+    const code = dispatcherCode('PetDNAMatching', ['getPetMatches']);
+
+    await expect(detectPetDNAVariant(ADDRESS, providerWithCode(code))).rejects.toThrow(
+      'bytecode does not match any PetDNA contract'
+    );
+  });
+});
+
+describe('PetDNAClient.connect', () => {
+  const client = {} as FHEVMClient;
+
+  it.each([
+    ['EnhancedPetDNAMatching', EnhancedPetDNAClient],
+    ['PrivatePetDNAMatching', PrivatePetDNAClient],
+    ['PetDNAMatching', LegacyPetDNAClient],
+  ] as const)('returns the client of a detected %s', async (variant, clientClass) => {
+    const signer = new ethers.Wallet(ethers.utils.id('owner'), providerWithCode(dispatcherCode(variant)));
+
+    const petDNA = await PetDNAClient.connect({ address: ADDRESS, client, signer });
+
+    expect(petDNA).toBeInstanceOf(clientClass);
+    expect(petDNA.variant).toBe(variant);
+    expect(petDNA.address).toBe(ADDRESS);
+  });
+
+  it('skips detection when the variant is given', async () => {
+    const provider = providerWithCode('0x');
+    const signer = new ethers.Wallet(ethers.utils.id('owner'), provider);
+
+    const petDNA = await PetDNAClient.connect({ address: ADDRESS, client, signer, variant: 'PetDNAMatching' });
+
+    expect(petDNA).toBeInstanceOf(LegacyPetDNAClient);
+    expect(provider.getCode).not.toHaveBeenCalled();
+  });
+
+  it('needs a provider to detect the variant', async () => {
+    const signer = new ethers.Wallet(ethers.utils.id('owner'));
+
+    await expect(PetDNAClient.connect({ address: ADDRESS, client, signer })).rejects.toThrow(
+      'Signer must be connected to a provider to detect the contract variant'
+    );
+  });
+});
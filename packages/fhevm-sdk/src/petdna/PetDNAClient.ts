@@ -0,0 +1,883 @@
+/**
+ * PetDNAClient - Typed client for the PetDNA matching contracts
+ *
+ * Wraps FHEVMContract with methods generated from the compiled ABIs of
+ * EnhancedPetDNAMatching, PrivatePetDNAMatching and PetDNAMatching. The
+ * variant deployed at an address is detected from its bytecode, and the
+ * returned client only exposes the methods that variant supports.
+ *
+ * @example
+ * ```typescript
+ * const petDNA = await PetDNAClient.connect({ address, client, signer });
+ *
+ * if (petDNA.variant === 'EnhancedPetDNAMatching') {
+ *   await petDNA.claimTimeoutRefund(requestId);
+ * }
+ * ```
+ */
+
+import { ethers } from 'ethers';
+import { ChainTransaction } from '../core/ChainAdapter';
+import { FHEVMContract } from '../core/ContractHelpers';
+import { FHEVMClient } from '../core/FHEVMClient';
+import { TransactionOptions } from '../utils/types';
+import { UnsupportedContractError } from '../utils/errors';
+import { IndexedMatch, IndexedPet, IndexerClient } from './IndexerClient';
+import {
+  ENHANCED_PET_DNA_MATCHING_ABI,
+  PRIVATE_PET_DNA_MATCHING_ABI,
+  PET_DNA_MATCHING_ABI,
+} from './abis';
+import {
+  AdminAction,
+  AdminEvent,
+  ContractStats,
+  EncryptedPetRegistration,
+  LegacyPetInfo,
+  LegacyPetRegistration,
+  MatchingProfile,
+  MatchHistoryEntry,
+  MatchingRequest,
+  MatchResult,
+  PetChange,
+  PetDNAClientConfig,
+  PetDNATraits,
+  PetDNAVariant,
+  PetInfo,
+  PrivateMatchingRequest,
+  PrivatePetRegistration,
+} from './types';
+
+/**
+ * ABI of each variant, in detection order
+ */
+export const PET_DNA_ABIS = {
+  EnhancedPetDNAMatching: ENHANCED_PET_DNA_MATCHING_ABI,
+  PrivatePetDNAMatching: PRIVATE_PET_DNA_MATCHING_ABI,
+  PetDNAMatching: PET_DNA_MATCHING_ABI,
+};
+
+/**
+ * Detect which PetDNA variant is deployed at an address
+ *
+ * A variant matches when the runtime bytecode dispatches every function
+ * selector of its ABI.
+ *
+ * @throws UnsupportedContractError if there is no code or no variant matches
+ */
+export async function detectPetDNAVariant(
+  address: string,
+  provider: ethers.providers.Provider
+): Promise<PetDNAVariant> {
+  const code = (await provider.getCode(address)).toLowerCase();
+  if (code === '0x') {
+    throw new UnsupportedContractError(address, 'no contract deployed');
+  }
+
+  for (const variant of Object.keys(PET_DNA_ABIS) as PetDNAVariant[]) {
+    const iface = new ethers.utils.Interface(PET_DNA_ABIS[variant]);
+    const selectors = Object.keys(iface.functions).map((signature) =>
+      // The dispatcher pushes selectors without their leading zero bytes
+      iface.getSighash(signature).slice(2).replace(/^(00)+/, '')
+    );
+
+    if (selectors.every((selector) => code.includes(selector))) {
+      return variant;
+    }
+  }
+
+  throw new UnsupportedContractError(address, 'bytecode does not match any PetDNA contract');
+}
+
+// Block span per eth_getLogs call of the match history
+const LOG_BLOCK_RANGE = 10000;
+
+const newestFirst = (a: MatchHistoryEntry, b: MatchHistoryEntry) => b.requestId - a.requestId;
+
+function adminAction(event: ethers.Event): AdminAction {
+  const args = event.args!;
+  switch (event.event) {
+    case 'PlatformFeesWithdrawn':
+      return { type: 'feesWithdrawn', to: args.to, amount: args.amount };
+    case 'CallbackTimeoutUpdated':
+      return { type: 'callbackTimeoutUpdated', callbackTimeout: args.newTimeout.toNumber() };
+    case 'EmergencyPauseToggled':
+      return { type: 'pauseToggled', isPaused: args.isPaused };
+    default:
+      return { type: 'ownershipTransferred', previousOwner: args.previousOwner, newOwner: args.newOwner };
+  }
+}
+
+/**
+ * Methods shared by every variant
+ */
+export abstract class PetDNAClient {
+  abstract readonly variant: PetDNAVariant;
+  protected contract: FHEVMContract;
+  protected client: FHEVMClient;
+  protected signer: ethers.Signer;
+  readonly indexer: IndexerClient | null;
+  private indexerMaxLag: number;
+  private fromBlock: number;
+
+  // Encrypted fields of the `pets` getter, in decryption order
+  protected abstract readonly dnaFields: string[];
+  protected abstract readonly breedingStatusEvent: string;
+  // Events of a matching request and its outcome
+  protected abstract readonly matchingEvents: string[];
+
+  constructor(config: PetDNAClientConfig, abi: ethers.ContractInterface) {
+    this.contract = new FHEVMContract({
+      address: config.address,
+      abi,
+      client: config.client,
+      signer: config.signer,
+    });
+    this.client = config.client;
+    this.signer = config.signer;
+    if (!config.indexer) {
+      this.indexer = null;
+    } else {
+      this.indexer = typeof config.indexer === 'string' ? new IndexerClient(config.indexer) : config.indexer;
+    }
+    this.indexerMaxLag = config.indexerMaxLag ?? 5;
+    this.fromBlock = config.fromBlock ?? 0;
+  }
+
+  /**
+   * Connect to a deployed PetDNA contract, detecting its variant
+   *
+   * @returns A client typed for the detected variant; narrow on `variant`
+   * @throws UnsupportedContractError if the contract is not a PetDNA variant
+   */
+  static async connect(config: PetDNAClientConfig): Promise<AnyPetDNAClient> {
+    let variant = config.variant;
+    if (!variant) {
+      if (!config.signer.provider) {
+        throw new Error('Signer must be connected to a provider to detect the contract variant');
+      }
+      variant = await detectPetDNAVariant(config.address, config.signer.provider);
+    }
+
+    switch (variant) {
+      case 'EnhancedPetDNAMatching':
+        return new EnhancedPetDNAClient(config);
+      case 'PrivatePetDNAMatching':
+        return new PrivatePetDNAClient(config);
+      case 'PetDNAMatching':
+        return new LegacyPetDNAClient(config);
+      default:
+        throw new UnsupportedContractError(config.address, `unknown variant ${variant}`);
+    }
+  }
+
+  get address(): string {
+    return this.contract.getAddress();
+  }
+
+  /**
+   * Get the IDs of all pets registered by an owner
+   *
+   * @param owner - Owner address (defaults to the signer)
+   */
+  async getOwnerPets(owner?: string): Promise<number[]> {
+    const ids: ethers.BigNumber[] = await this.read('getOwnerPets', owner || (await this.signer.getAddress()));
+    return ids.map((id) => id.toNumber());
+  }
+
+  async getTotalPets(): Promise<number> {
+    return (await this.read('getTotalPets')).toNumber();
+  }
+
+  abstract getPetInfo(petId: number): Promise<PetInfo | LegacyPetInfo>;
+
+  /**
+   * Get several pets at once
+   *
+   * With an indexer that is caught up, the pets are read from it in one
+   * request and only the pets it has not indexed yet from the contract.
+   * Otherwise the contract calls are sent in parallel.
+   */
+  async getPets(petIds: number[]): Promise<(PetInfo | LegacyPetInfo)[]> {
+    const indexed = new Map<number, PetInfo | LegacyPetInfo>();
+    const indexer = petIds.length > 0 ? await this.readyIndexer() : null;
+    if (indexer) {
+      try {
+        const pets = await indexer.getAllPets(this.address, { ids: petIds });
+        pets.forEach((pet) => indexed.set(pet.id, this.fromIndexedPet(pet)));
+      } catch (error) {
+        console.warn('Indexer read failed, reading pets from the contract:', error);
+      }
+    }
+    return Promise.all(petIds.map((petId) => indexed.get(petId) ?? this.getPetInfo(petId)));
+  }
+
+  /**
+   * Get the ciphertext handles of a pet's encrypted DNA traits
+   */
+  async getPetDNAHandles(petId: number): Promise<Record<string, string>> {
+    const pet = await this.read('pets', petId);
+    const dna = pet.dnaProfile || pet;
+    return Object.fromEntries(this.dnaFields.map((field) => [field, ethers.utils.hexlify(dna[field])]));
+  }
+
+  /**
+   * Decrypt a pet's DNA traits
+   *
+   * Only the pet's owner is granted access to the ciphertexts. Decrypted
+   * values are memoized by the FHEVMClient's decryption cache.
+   *
+   * @throws DecryptionError if the signer may not decrypt the traits
+   */
+  async decryptPetDNA(petId: number): Promise<PetDNATraits> {
+    const handles = await this.getPetDNAHandles(petId);
+    const values = await this.client.decrypt({
+      contractAddress: this.address,
+      handles: this.dnaFields.map((field) => handles[field]),
+    });
+    return Object.fromEntries(this.dnaFields.map((field, i) => [field, Number(values[i])]));
+  }
+
+  /**
+   * Listen for pet registrations and breeding status changes
+   *
+   * @returns Function removing the listener
+   */
+  onPetChange(listener: (change: PetChange) => void): () => void {
+    const contract = this.contract;
+    const onRegistered = (petId: ethers.BigNumber, owner: string) =>
+      listener({ type: 'registered', petId: petId.toNumber(), owner });
+    const onStatus = (petId: ethers.BigNumber, isAvailableForBreeding: boolean) =>
+      listener({ type: 'breedingStatus', petId: petId.toNumber(), isAvailableForBreeding });
+
+    contract.on('PetRegistered', onRegistered);
+    contract.on(this.breedingStatusEvent, onStatus);
+    return () => {
+      contract.off('PetRegistered', onRegistered);
+      contract.off(this.breedingStatusEvent, onStatus);
+    };
+  }
+
+  /**
+   * Matching requests involving a pet, on either side, newest first
+   *
+   * Request IDs come from the indexer when it is caught up and from the
+   * contract logs since `fromBlock` otherwise.
+   */
+  abstract getMatchHistory(petId: number): Promise<MatchHistoryEntry[]>;
+
+  /**
+   * Listen for matching requests and their outcomes
+   *
+   * @returns Function removing the listener
+   */
+  onMatchingChange(listener: () => void): () => void {
+    const contract = this.contract;
+    const onEvent = () => listener();
+
+    this.matchingEvents.forEach((event) => contract.on(event, onEvent));
+    return () => {
+      this.matchingEvents.forEach((event) => contract.off(event, onEvent));
+    };
+  }
+
+  /**
+   * Get the underlying FHEVMContract
+   */
+  getContract(): FHEVMContract {
+    return this.contract;
+  }
+
+  protected read(functionName: string, ...args: any[]): Promise<any> {
+    return this.contract.read(functionName, ...args);
+  }
+
+  protected fromIndexedPet(pet: IndexedPet): PetInfo | LegacyPetInfo {
+    return {
+      id: pet.id,
+      owner: pet.owner,
+      name: pet.name,
+      breed: pet.breed,
+      age: pet.age ?? 0,
+      isAvailableForBreeding: pet.isAvailableForBreeding,
+      registrationTime: pet.registrationTime,
+    };
+  }
+
+  /**
+   * Indexed matching requests involving a pet, or null when the indexer cannot be used
+   */
+  protected async indexedMatches(petId: number): Promise<IndexedMatch[] | null> {
+    const indexer = await this.readyIndexer();
+    if (!indexer) {
+      return null;
+    }
+    try {
+      return await indexer.getAllMatches(this.address, { petId });
+    } catch (error) {
+      console.warn('Indexer read failed, reading match history from the logs:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Events matching any of the filters since `fromBlock`
+   */
+  protected async queryEvents(...filters: ethers.EventFilter[]): Promise<ethers.Event[]> {
+    const contract = this.contract.getContract();
+    const latest = await contract.provider.getBlockNumber();
+    const events: ethers.Event[] = [];
+
+    for (let start = this.fromBlock; start <= latest; start += LOG_BLOCK_RANGE) {
+      const end = Math.min(start + LOG_BLOCK_RANGE - 1, latest);
+      for (const filter of filters) {
+        events.push(...(await contract.queryFilter(filter, start, end)));
+      }
+    }
+    return events;
+  }
+
+  /**
+   * The indexer, when it indexes this contract within `indexerMaxLag` blocks of the head
+   */
+  private async readyIndexer(): Promise<IndexerClient | null> {
+    if (!this.indexer || !this.signer.provider) {
+      return null;
+    }
+    try {
+      const [indexedBlock, head] = await Promise.all([
+        this.indexer.getIndexedBlock(this.address),
+        this.signer.provider.getBlockNumber(),
+      ]);
+      return indexedBlock !== null && head - indexedBlock <= this.indexerMaxLag ? this.indexer : null;
+    } catch (error) {
+      console.warn('Indexer unavailable, reading from the contract:', error);
+      return null;
+    }
+  }
+}
+
+/**
+ * Client for EnhancedPetDNAMatching
+ */
+export class EnhancedPetDNAClient extends PetDNAClient {
+  readonly variant = 'EnhancedPetDNAMatching' as const;
+  protected readonly dnaFields = ['marker1', 'marker2', 'marker3', 'marker4', 'healthRisk', 'temperament'];
+  protected readonly breedingStatusEvent = 'PetBreedingStatusChanged';
+  protected readonly matchingEvents = ['MatchingRequested', 'MatchingCompleted', 'MatchingRefunded'];
+
+  constructor(config: PetDNAClientConfig) {
+    super(config, ENHANCED_PET_DNA_MATCHING_ABI);
+  }
+
+  /**
+   * Register a pet, encrypting its DNA profile with a single input proof
+   */
+  async registerPet(
+    pet: EncryptedPetRegistration,
+    overrides: TransactionOptions = {}
+  ): Promise<ChainTransaction> {
+    const { dna } = pet;
+    return this.contract.write.registerPet(
+      pet.name,
+      pet.breed,
+      pet.age,
+      dna.marker1,
+      dna.marker2,
+      dna.marker3,
+      dna.marker4,
+      dna.healthRisk,
+      dna.temperament,
+      overrides
+    );
+  }
+
+  /**
+   * Request matching between two pets, paying the matching fee unless
+   * `overrides.value` is set
+   */
+  async requestMatching(
+    petId1: number,
+    petId2: number,
+    overrides: TransactionOptions = {}
+  ): Promise<ChainTransaction> {
+    const value = overrides.value ?? (await this.getMatchingFee());
+    return this.contract.write.requestMatching(petId1, petId2, { ...overrides, value });
+  }
+
+  async getMatchingFee(): Promise<ethers.BigNumber> {
+    return this.read('MATCHING_FEE');
+  }
+
+  async getPetInfo(petId: number): Promise<PetInfo> {
+    const info = await this.read('getPetInfo', petId);
+    return {
+      id: petId,
+      owner: info.petOwner,
+      name: info.name,
+      breed: info.breed,
+      age: info.age,
+      isAvailableForBreeding: info.isAvailableForBreeding,
+      registrationTime: info.registrationTime.toNumber(),
+    };
+  }
+
+  async getMatchingRequest(requestId: number): Promise<MatchingRequest> {
+    const request = await this.read('getMatchingRequest', requestId);
+    return {
+      id: requestId,
+      petId1: request.petId1.toNumber(),
+      petId2: request.petId2.toNumber(),
+      requester: request.requester,
+      isActive: request.isActive,
+      isCompleted: request.isCompleted,
+      isRefunded: request.isRefunded,
+      requestTime: request.requestTime.toNumber(),
+      timeoutDeadline: request.timeoutDeadline.toNumber(),
+      compatibilityScore: request.compatibilityScore,
+    };
+  }
+
+  /**
+   * Refund a matching request whose gateway callback timed out
+   */
+  async claimTimeoutRefund(
+    requestId: number,
+    overrides: TransactionOptions = {}
+  ): Promise<ChainTransaction> {
+    return this.contract.write.claimTimeoutRefund(requestId, overrides);
+  }
+
+  async canClaimTimeoutRefund(requestId: number): Promise<boolean> {
+    return this.read('canClaimTimeoutRefund', requestId);
+  }
+
+  async getMatchHistory(petId: number): Promise<MatchHistoryEntry[]> {
+    const indexed = await this.indexedMatches(petId);
+    let requestIds: number[];
+    if (indexed) {
+      requestIds = indexed.map((match) => match.requestId);
+    } else {
+      const filters = this.contract.getContract().filters;
+      const events = await this.queryEvents(
+        filters.MatchingRequested(null, petId),
+        filters.MatchingRequested(null, null, petId)
+      );
+      requestIds = events.map((event) => event.args!.requestId.toNumber());
+    }
+
+    // Every request pays the fixed MATCHING_FEE
+    const fee = await this.getMatchingFee();
+    const entries = await Promise.all(
+      requestIds.map(async (requestId): Promise<MatchHistoryEntry> => {
+        const request = await this.getMatchingRequest(requestId);
+        const isPending = !request.isCompleted && !request.isRefunded;
+        const canClaimRefund = isPending && (await this.canClaimTimeoutRefund(requestId));
+        return {
+          requestId,
+          petId,
+          counterpartId: request.petId1 === petId ? request.petId2 : request.petId1,
+          status: request.isRefunded
+            ? 'refunded'
+            : request.isCompleted
+              ? 'completed'
+              : canClaimRefund
+                ? 'timedOut'
+                : 'pending',
+          score: request.isCompleted ? request.compatibilityScore : null,
+          isSuccessfulMatch: request.isCompleted ? !request.isRefunded : null,
+          feePaid: fee,
+          timeoutDeadline: request.timeoutDeadline,
+          canClaimRefund,
+        };
+      })
+    );
+    return entries.sort(newestFirst);
+  }
+
+  async toggleBreedingStatus(
+    petId: number,
+    overrides: TransactionOptions = {}
+  ): Promise<ChainTransaction> {
+    return this.contract.write.toggleBreedingStatus(petId, overrides);
+  }
+
+  async getContractStats(): Promise<ContractStats> {
+    const stats = await this.read('getContractStats');
+    return {
+      totalPets: stats.totalPets.toNumber(),
+      totalRequests: stats.totalRequests.toNumber(),
+      accumulatedFees: stats.accumulatedFees,
+      callbackTimeout: stats.currentTimeout.toNumber(),
+      isPaused: stats.paused,
+    };
+  }
+
+  async getOwner(): Promise<string> {
+    return this.read('owner');
+  }
+
+  /**
+   * Send the accumulated platform fees to `to` (owner only)
+   */
+  async withdrawPlatformFees(
+    to: string,
+    overrides: TransactionOptions = {}
+  ): Promise<ChainTransaction> {
+    return this.contract.write.withdrawPlatformFees(to, overrides);
+  }
+
+  /**
+   * Set the gateway callback timeout in seconds (owner only)
+   */
+  async setCallbackTimeout(
+    seconds: number,
+    overrides: TransactionOptions = {}
+  ): Promise<ChainTransaction> {
+    return this.contract.write.setCallbackTimeout(seconds, overrides);
+  }
+
+  /**
+   * Pause or resume registrations and matching requests (owner only)
+   */
+  async togglePause(overrides: TransactionOptions = {}): Promise<ChainTransaction> {
+    return this.contract.write.togglePause(overrides);
+  }
+
+  /**
+   * Hand the contract over to a new owner (owner only)
+   */
+  async transferOwnership(
+    newOwner: string,
+    overrides: TransactionOptions = {}
+  ): Promise<ChainTransaction> {
+    return this.contract.write.transferOwnership(newOwner, overrides);
+  }
+
+  /**
+   * Bounds of setCallbackTimeout, in seconds
+   */
+  async getCallbackTimeoutRange(): Promise<{ min: number; max: number }> {
+    const [min, max] = await Promise.all([this.read('MIN_CALLBACK_TIMEOUT'), this.read('MAX_CALLBACK_TIMEOUT')]);
+    return { min: min.toNumber(), max: max.toNumber() };
+  }
+
+  /**
+   * Fee withdrawals, timeout changes, pauses and ownership transfers, newest
+   * first
+   *
+   * The logs are read from the deployment block set as `fromBlock` in the
+   * client config, or from the genesis block without one.
+   */
+  async getAdminEvents(): Promise<AdminEvent[]> {
+    const filters = this.contract.getContract().filters;
+    const events = await this.queryEvents(
+      filters.PlatformFeesWithdrawn(),
+      filters.CallbackTimeoutUpdated(),
+      filters.EmergencyPauseToggled(),
+      filters.OwnershipTransferred()
+    );
+    events.sort((a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex);
+
+    const timestamps = new Map<number, number>();
+    for (const event of events) {
+      if (!timestamps.has(event.blockNumber)) {
+        timestamps.set(event.blockNumber, (await event.getBlock()).timestamp);
+      }
+    }
+    return events.map((event) => ({
+      ...adminAction(event),
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      timestamp: timestamps.get(event.blockNumber)!,
+    }));
+  }
+}
+
+/**
+ * Client for PrivatePetDNAMatching
+ */
+export class PrivatePetDNAClient extends PetDNAClient {
+  readonly variant = 'PrivatePetDNAMatching' as const;
+  protected readonly dnaFields = ['marker1', 'marker2', 'marker3', 'marker4', 'healthRisk'];
+  protected readonly breedingStatusEvent = 'PetBreedingStatusChanged';
+  protected readonly matchingEvents = ['MatchingRequested', 'MatchFound', 'NoSuitableMatch'];
+
+  constructor(config: PetDNAClientConfig) {
+    super(config, PRIVATE_PET_DNA_MATCHING_ABI);
+  }
+
+  /**
+   * Register a pet; this variant encrypts the DNA profile on-chain
+   */
+  async registerPet(
+    pet: PrivatePetRegistration,
+    overrides: TransactionOptions = {}
+  ): Promise<ChainTransaction> {
+    const { dna } = pet;
+    return this.contract.write.registerPet(
+      pet.name,
+      pet.breed,
+      pet.age,
+      dna.marker1,
+      dna.marker2,
+      dna.marker3,
+      dna.marker4,
+      dna.healthRisk,
+      overrides
+    );
+  }
+
+  /**
+   * Search all available pets for the best match of a pet
+   */
+  async requestMatching(
+    petId: number,
+    overrides: TransactionOptions = {}
+  ): Promise<ChainTransaction> {
+    return this.contract.write.requestMatching(petId, overrides);
+  }
+
+  async getPetInfo(petId: number): Promise<PetInfo> {
+    const info = await this.read('getPetInfo', petId);
+    return {
+      id: petId,
+      owner: info.petOwner,
+      name: info.name,
+      breed: info.breed,
+      age: info.age,
+      isAvailableForBreeding: info.isAvailableForBreeding,
+      registrationTime: info.registrationTime.toNumber(),
+    };
+  }
+
+  async getMatchingRequest(requestId: number): Promise<PrivateMatchingRequest> {
+    const request = await this.read('getMatchingRequest', requestId);
+    return {
+      id: requestId,
+      petId: request.petId.toNumber(),
+      requester: request.requester,
+      isActive: request.isActive,
+      requestTime: request.requestTime.toNumber(),
+      bestMatchId: request.bestMatchId.toNumber(),
+      potentialMatchCount: request.potentialMatchCount.toNumber(),
+    };
+  }
+
+  async getMatchHistory(petId: number): Promise<MatchHistoryEntry[]> {
+    // Match found by each request: [requesting pet, matched pet, score]
+    const found = new Map<number, [number, number, number]>();
+    let requestIds: number[];
+    const indexed = await this.indexedMatches(petId);
+    if (indexed) {
+      requestIds = indexed.map((match) => match.requestId);
+      indexed
+        .filter((match) => match.petId2 !== null && match.isSuccessfulMatch)
+        .forEach((match) => found.set(match.requestId, [match.petId1, match.petId2!, match.score!]));
+    } else {
+      const filters = this.contract.getContract().filters;
+      const events = await this.queryEvents(
+        filters.MatchingRequested(null, petId),
+        filters.MatchFound(null, petId),
+        filters.MatchFound(null, null, petId)
+      );
+      events
+        .filter((event) => event.event === 'MatchFound')
+        .forEach(({ args }) =>
+          found.set(args!.requestId.toNumber(), [args!.petId.toNumber(), args!.matchId.toNumber(), args!.compatibility])
+        );
+      requestIds = events.map((event) => event.args!.requestId.toNumber());
+    }
+
+    const entries = await Promise.all(
+      [...new Set(requestIds)].map(async (requestId): Promise<MatchHistoryEntry> => {
+        const request = await this.getMatchingRequest(requestId);
+        const match = found.get(requestId);
+        return {
+          requestId,
+          petId,
+          counterpartId: match ? (match[0] === petId ? match[1] : match[0]) : null,
+          status: request.isActive ? 'pending' : 'completed',
+          score: match ? match[2] : null,
+          isSuccessfulMatch: request.isActive ? null : !!match,
+          // Searches are free
+          feePaid: ethers.constants.Zero,
+          timeoutDeadline: null,
+          canClaimRefund: false,
+        };
+      })
+    );
+    return entries.sort(newestFirst);
+  }
+
+  async getAvailablePets(): Promise<number[]> {
+    const ids: ethers.BigNumber[] = await this.read('getAvailablePets');
+    return ids.map((id) => id.toNumber());
+  }
+
+  async toggleBreedingStatus(
+    petId: number,
+    overrides: TransactionOptions = {}
+  ): Promise<ChainTransaction> {
+    return this.contract.write.toggleBreedingStatus(petId, overrides);
+  }
+}
+
+/**
+ * Client for the original PetDNAMatching contract
+ */
+export class LegacyPetDNAClient extends PetDNAClient {
+  readonly variant = 'PetDNAMatching' as const;
+  protected readonly dnaFields = ['healthScore', 'geneticMarker1', 'geneticMarker2', 'geneticMarker3', 'temperament'];
+  protected readonly breedingStatusEvent = 'BreedingStatusChanged';
+  protected readonly matchingEvents = ['MatchingRequested', 'MatchingCompleted'];
+
+  constructor(config: PetDNAClientConfig) {
+    super(config, PET_DNA_MATCHING_ABI);
+  }
+
+  async registerPet(
+    pet: LegacyPetRegistration,
+    overrides: TransactionOptions = {}
+  ): Promise<ChainTransaction> {
+    return this.contract.write.registerPet(
+      pet.name,
+      pet.species,
+      pet.breed,
+      pet.birthYear,
+      pet.healthScore,
+      pet.geneticMarker1,
+      pet.geneticMarker2,
+      pet.geneticMarker3,
+      pet.temperament,
+      overrides
+    );
+  }
+
+  /**
+   * Request matching between two pets, paying the matching cost unless
+   * `overrides.value` is set
+   */
+  async requestMatching(
+    petId1: number,
+    petId2: number,
+    overrides: TransactionOptions = {}
+  ): Promise<ChainTransaction> {
+    const value = overrides.value ?? (await this.getMatchingFee());
+    return this.contract.write.requestMatching(petId1, petId2, { ...overrides, value });
+  }
+
+  async getMatchingFee(): Promise<ethers.BigNumber> {
+    return this.read('matchingCost');
+  }
+
+  async getPetInfo(petId: number): Promise<LegacyPetInfo> {
+    const info = await this.read('getPetInfo', petId);
+    return {
+      id: petId,
+      owner: info.petOwner,
+      name: info.name,
+      species: info.species,
+      breed: info.breed,
+      birthYear: info.birthYear.toNumber(),
+      isAvailableForBreeding: info.availableForBreeding,
+    };
+  }
+
+  protected fromIndexedPet(pet: IndexedPet): LegacyPetInfo {
+    return {
+      id: pet.id,
+      owner: pet.owner,
+      name: pet.name,
+      species: pet.species ?? '',
+      breed: pet.breed,
+      birthYear: pet.birthYear ?? 0,
+      isAvailableForBreeding: pet.isAvailableForBreeding,
+    };
+  }
+
+  async getPetMatches(petId: number): Promise<MatchResult[]> {
+    const matches: any[] = await this.read('getPetMatches', petId);
+    return matches.map((match) => ({
+      requestId: match.requestId.toNumber(),
+      petId1: match.petId1.toNumber(),
+      petId2: match.petId2.toNumber(),
+      compatibilityScore: match.compatibilityScore,
+      isMatched: match.isMatched,
+      matchTime: match.matchTime.toNumber(),
+    }));
+  }
+
+  async getMatchHistory(petId: number): Promise<MatchHistoryEntry[]> {
+    const [results, indexed] = await Promise.all([this.getPetMatches(petId), this.indexedMatches(petId)]);
+    // Pets and fee of each request
+    const requests = new Map<number, { petId1: number; petId2: number; feePaid: ethers.BigNumber | null }>();
+
+    if (indexed) {
+      indexed.forEach((match) =>
+        requests.set(match.requestId, {
+          petId1: match.petId1,
+          petId2: match.petId2!,
+          feePaid: ethers.BigNumber.from(match.feePaid),
+        })
+      );
+    } else {
+      const filters = this.contract.getContract().filters;
+      const events = await this.queryEvents(filters.MatchingRequested(petId), filters.MatchingRequested(null, petId));
+      // The fee is what the request sent; matchingCost may have changed since
+      const transactions = await Promise.all(events.map((event) => event.getTransaction()));
+      events.forEach(({ args }, i) =>
+        requests.set(args!.requestId.toNumber(), {
+          petId1: args!.petId1.toNumber(),
+          petId2: args!.petId2.toNumber(),
+          feePaid: transactions[i].value,
+        })
+      );
+    }
+    // Results of requests before `fromBlock` or not indexed yet
+    results
+      .filter((result) => !requests.has(result.requestId))
+      .forEach((result) => requests.set(result.requestId, { ...result, feePaid: null }));
+
+    const completed = new Map(results.map((result) => [result.requestId, result]));
+    const entries = Array.from(requests, ([requestId, request]): MatchHistoryEntry => {
+      const result = completed.get(requestId);
+      return {
+        requestId,
+        petId,
+        counterpartId: request.petId1 === petId ? request.petId2 : request.petId1,
+        status: result ? 'completed' : 'pending',
+        score: result ? result.compatibilityScore : null,
+        isSuccessfulMatch: result ? result.isMatched : null,
+        feePaid: request.feePaid,
+        timeoutDeadline: null,
+        canClaimRefund: false,
+      };
+    });
+    return entries.sort(newestFirst);
+  }
+
+  async createMatchingProfile(
+    petId: number,
+    profile: MatchingProfile,
+    overrides: TransactionOptions = {}
+  ): Promise<ChainTransaction> {
+    return this.contract.write.createMatchingProfile(
+      petId,
+      profile.minHealthScore,
+      profile.temperamentPreference,
+      profile.maxAge,
+      overrides
+    );
+  }
+
+  async setBreedingStatus(
+    petId: number,
+    available: boolean,
+    overrides: TransactionOptions = {}
+  ): Promise<ChainTransaction> {
+    return this.contract.write.setBreedingStatus(petId, available, overrides);
+  }
+}
+
+export type AnyPetDNAClient = EnhancedPetDNAClient | PrivatePetDNAClient | LegacyPetDNAClient;
@@ -0,0 +1,167 @@
+import { PetDNAClient } from './PetDNAClient';
+import { PetStore } from './PetStore';
+import { PetChange, PetDNATraits, PetInfo } from './types';
+
+const OWNER = '0x00000000000000000000000000000000000000A1';
+
+const pet = (id: number, overrides: Partial<PetInfo> = {}): PetInfo => ({
+  id,
+  owner: OWNER,
+  name: `Pet ${id}`,
+  breed: 'Labrador',
+  age: 3,
+  isAvailableForBreeding: true,
+  registrationTime: 1700000000,
+  ...overrides,
+});
+
+const traits = (marker1: number): PetDNATraits => ({ marker1 }) as PetDNATraits;
+
+/**
+ * Client serving pets from memory; `change` delivers a contract event to the watchers
+ */
+class FakePetDNA {
+  pets = new Map<number, PetInfo>();
+  owned = new Map<string, number[]>();
+  watchers = new Set<(change: PetChange) => void>();
+  decryptPetDNA = jest.fn(async (petId: number) => traits(petId));
+
+  add(...pets: PetInfo[]): void {
+    pets.forEach((added) => {
+      this.pets.set(added.id, added);
+      const owner = added.owner.toLowerCase();
+      this.owned.set(owner, [...(this.owned.get(owner) || []), added.id]);
+    });
+  }
+
+  async getOwnerPets(owner: string): Promise<number[]> {
+    return this.owned.get(owner.toLowerCase()) || [];
+  }
+
+  async getPetInfo(petId: number): Promise<PetInfo> {
+    const found = this.pets.get(petId);
+    if (!found) {
+      throw new Error(`Pet ${petId} not found`);
+    }
+    return found;
+  }
+
+  getPets(petIds: number[]): Promise<PetInfo[]> {
+    return Promise.all(petIds.map((petId) => this.getPetInfo(petId)));
+  }
+
+  onPetChange(watcher: (change: PetChange) => void): () => void {
+    this.watchers.add(watcher);
+    return () => this.watchers.delete(watcher);
+  }
+
+  change(change: PetChange): void {
+    this.watchers.forEach((watcher) => watcher(change));
+  }
+}
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+function createStore() {
+  const petDNA = new FakePetDNA();
+  return { petDNA, store: new PetStore(petDNA as unknown as PetDNAClient) };
+}
+
+describe('PetStore', () => {
+  it('shares one store per client', () => {
+    const petDNA = new FakePetDNA() as unknown as PetDNAClient;
+
+    expect(PetStore.for(petDNA)).toBe(PetStore.for(petDNA));
+    expect(PetStore.for(new FakePetDNA() as unknown as PetDNAClient)).not.toBe(PetStore.for(petDNA));
+  });
+
+  it('loads the pets of an owner, whatever the address case', async () => {
+    const { petDNA, store } = createStore();
+    petDNA.add(pet(1), pet(2));
+    const listener = jest.fn();
+    store.subscribe(listener);
+
+    expect(store.getOwnerPets(OWNER)).toBeNull();
+    expect(await store.loadOwnerPets(OWNER.toLowerCase())).toEqual([pet(1), pet(2)]);
+
+    expect(store.getOwnerPets(OWNER)).toEqual([pet(1), pet(2)]);
+    expect(store.getPet(2)).toEqual(pet(2));
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  it('loads single pets and batches, notifying once per load', async () => {
+    const { petDNA, store } = createStore();
+    petDNA.add(pet(1), pet(2), pet(3));
+    const listener = jest.fn();
+    store.subscribe(listener);
+
+    await store.loadPets([1, 2]);
+    await store.loadPet(3);
+
+    expect([1, 2, 3].map((petId) => store.getPet(petId)?.name)).toEqual(['Pet 1', 'Pet 2', 'Pet 3']);
+    expect(listener).toHaveBeenCalledTimes(2);
+    await expect(store.loadPet(4)).rejects.toThrow('Pet 4 not found');
+  });
+
+  it('shares concurrent decryptions and keeps the traits', async () => {
+    const { petDNA, store } = createStore();
+
+    const [first, second] = await Promise.all([store.decryptDNA(1), store.decryptDNA(1)]);
+    await store.decryptDNA(1);
+
+    expect(first).toBe(second);
+    expect(store.getDNA(1)).toEqual(traits(1));
+    expect(store.getDNA(2)).toBeNull();
+    expect(petDNA.decryptPetDNA).toHaveBeenCalledTimes(1);
+  });
+
+  it('retries a failed decryption', async () => {
+    const { petDNA, store } = createStore();
+    petDNA.decryptPetDNA.mockRejectedValueOnce(new Error('Not the owner'));
+
+    await expect(store.decryptDNA(1)).rejects.toThrow('Not the owner');
+    expect(await store.decryptDNA(1)).toEqual(traits(1));
+    expect(petDNA.decryptPetDNA).toHaveBeenCalledTimes(2);
+  });
+
+  it('follows breeding status changes and registrations of loaded owners', async () => {
+    const { petDNA, store } = createStore();
+    petDNA.add(pet(1));
+    const listener = jest.fn();
+    store.subscribe(listener);
+    await store.loadOwnerPets(OWNER);
+
+    petDNA.change({ type: 'breedingStatus', petId: 1, isAvailableForBreeding: false });
+    expect(store.getPet(1)?.isAvailableForBreeding).toBe(false);
+
+    petDNA.add(pet(2));
+    petDNA.change({ type: 'registered', petId: 2, owner: OWNER.toLowerCase() });
+    await flush();
+    expect(store.getOwnerPets(OWNER)?.map((stored) => stored.id)).toEqual([1, 2]);
+
+    // Unknown pets and owners nobody loaded are left alone
+    const other = '0x00000000000000000000000000000000000000b2';
+    petDNA.add(pet(3, { owner: other }));
+    petDNA.change({ type: 'breedingStatus', petId: 9, isAvailableForBreeding: false });
+    petDNA.change({ type: 'registered', petId: 3, owner: other });
+    await flush();
+    expect(store.getPet(3)).toBeNull();
+    expect(listener).toHaveBeenCalledTimes(3);
+  });
+
+  it('watches contract events only while listeners are subscribed', () => {
+    const { petDNA, store } = createStore();
+
+    const unsubscribeFirst = store.subscribe(jest.fn());
+    const unsubscribeSecond = store.subscribe(jest.fn());
+    expect(petDNA.watchers.size).toBe(1);
+
+    unsubscribeFirst();
+    expect(petDNA.watchers.size).toBe(1);
+    unsubscribeSecond();
+    expect(petDNA.watchers.size).toBe(0);
+
+    store.subscribe(jest.fn());
+    expect(petDNA.watchers.size).toBe(1);
+  });
+});
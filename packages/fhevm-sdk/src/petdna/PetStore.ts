@@ -0,0 +1,173 @@
+/**
+ * PetStore - Shared, event-synced view of the pets of a PetDNA contract
+ *
+ * Every component reading pets through the same PetDNAClient shares one
+ * store (`PetStore.for(petDNA)`), so owner lists, breeding statuses and
+ * decrypted traits stay consistent across the page. While listeners are
+ * subscribed the store follows PetRegistered and breeding status events;
+ * pets are loaded in parallel.
+ *
+ * @example
+ * ```typescript
+ * const store = PetStore.for(petDNA);
+ * const unsubscribe = store.subscribe(() => render(store.getOwnerPets(account)));
+ * await store.loadOwnerPets(account);
+ * ```
+ */
+
+import { PetDNAClient } from './PetDNAClient';
+import { LegacyPetInfo, PetChange, PetDNATraits, PetInfo } from './types';
+
+export type StoredPetInfo = PetInfo | LegacyPetInfo;
+
+export type PetStoreListener = () => void;
+
+const stores = new WeakMap<PetDNAClient, PetStore>();
+
+export class PetStore {
+  private pets = new Map<number, StoredPetInfo>();
+  private traits = new Map<number, PetDNATraits>();
+  private owners = new Map<string, number[]>();
+  private pendingTraits = new Map<number, Promise<PetDNATraits>>();
+  private listeners = new Set<PetStoreListener>();
+  private stopWatching: (() => void) | null = null;
+
+  constructor(private petDNA: PetDNAClient) {}
+
+  /**
+   * The store shared by everything using `petDNA`
+   */
+  static for(petDNA: PetDNAClient): PetStore {
+    let store = stores.get(petDNA);
+    if (!store) {
+      store = new PetStore(petDNA);
+      stores.set(petDNA, store);
+    }
+    return store;
+  }
+
+  getPet(petId: number): StoredPetInfo | null {
+    return this.pets.get(petId) ?? null;
+  }
+
+  /**
+   * Decrypted traits of a pet, null until decryptDNA() succeeded
+   */
+  getDNA(petId: number): PetDNATraits | null {
+    return this.traits.get(petId) ?? null;
+  }
+
+  /**
+   * Pets of an owner in registration order, null until loaded
+   */
+  getOwnerPets(owner: string): StoredPetInfo[] | null {
+    const petIds = this.owners.get(owner.toLowerCase());
+    if (!petIds) {
+      return null;
+    }
+    return petIds.map((petId) => this.pets.get(petId)).filter((pet): pet is StoredPetInfo => !!pet);
+  }
+
+  /**
+   * Fetch the pets of an owner
+   */
+  async loadOwnerPets(owner: string): Promise<StoredPetInfo[]> {
+    const petIds = await this.petDNA.getOwnerPets(owner);
+    const pets = await this.petDNA.getPets(petIds);
+
+    pets.forEach((pet) => this.pets.set(pet.id, pet));
+    this.owners.set(owner.toLowerCase(), petIds);
+    this.notify();
+    return pets;
+  }
+
+  /**
+   * Fetch several pets in parallel, notifying listeners once
+   */
+  async loadPets(petIds: number[]): Promise<StoredPetInfo[]> {
+    const pets = await this.petDNA.getPets(petIds);
+    pets.forEach((pet) => this.pets.set(pet.id, pet));
+    this.notify();
+    return pets;
+  }
+
+  async loadPet(petId: number): Promise<StoredPetInfo> {
+    const pet = await this.petDNA.getPetInfo(petId);
+    this.pets.set(petId, pet);
+    this.notify();
+    return pet;
+  }
+
+  /**
+   * Decrypt a pet's traits; only its owner may. Concurrent calls for the
+   * same pet share one decryption.
+   */
+  decryptDNA(petId: number): Promise<PetDNATraits> {
+    const cached = this.traits.get(petId);
+    if (cached) {
+      return Promise.resolve(cached);
+    }
+
+    let pending = this.pendingTraits.get(petId);
+    if (!pending) {
+      pending = this.petDNA.decryptPetDNA(petId).then((traits) => {
+        this.traits.set(petId, traits);
+        this.notify();
+        return traits;
+      });
+      this.pendingTraits.set(petId, pending);
+      pending
+        .finally(() => this.pendingTraits.delete(petId))
+        .catch(() => undefined);
+    }
+    return pending;
+  }
+
+  /**
+   * Be notified of every change; contract events are followed while at
+   * least one listener is subscribed
+   *
+   * @returns Function removing the listener
+   */
+  subscribe(listener: PetStoreListener): () => void {
+    this.listeners.add(listener);
+    if (!this.stopWatching) {
+      this.stopWatching = this.petDNA.onPetChange((change) => this.applyChange(change));
+    }
+
+    return () => {
+      this.listeners.delete(listener);
+      if (this.listeners.size === 0 && this.stopWatching) {
+        this.stopWatching();
+        this.stopWatching = null;
+      }
+    };
+  }
+
+  private applyChange(change: PetChange): void {
+    if (change.type === 'breedingStatus') {
+      const pet = this.pets.get(change.petId);
+      if (pet) {
+        this.pets.set(change.petId, { ...pet, isAvailableForBreeding: change.isAvailableForBreeding });
+        this.notify();
+      }
+      return;
+    }
+
+    const owner = change.owner.toLowerCase();
+    const petIds = this.owners.get(owner);
+    if (!petIds) {
+      return; // Nobody shows this owner's pets
+    }
+    if (!petIds.includes(change.petId)) {
+      this.owners.set(owner, [...petIds, change.petId]);
+    }
+    this.loadPet(change.petId).catch((error) => {
+      console.warn(`Failed to load registered pet ${change.petId}:`, error);
+    });
+  }
+
+  private notify(): void {
+    this.listeners.forEach((listener) => listener());
+  }
+}
@@ -0,0 +1,211 @@
+/**
+ * Data shapes returned and accepted by the PetDNA contract clients
+ */
+
+import { ethers } from 'ethers';
+import { FHEVMClient } from '../core/FHEVMClient';
+import type { IndexerClient } from './IndexerClient';
+
+/**
+ * Deployed contract variants, named after their Solidity contracts
+ */
+export type PetDNAVariant =
+  | 'EnhancedPetDNAMatching'
+  | 'PrivatePetDNAMatching'
+  | 'PetDNAMatching';
+
+export interface PetDNAClientConfig {
+  address: string;
+  client: FHEVMClient;
+  signer: ethers.Signer;
+  variant?: PetDNAVariant; // skip detection, e.g. behind a proxy
+  indexer?: IndexerClient | string; // event indexer for batched pet reads, see IndexerClient
+  indexerMaxLag?: number; // blocks the indexer may trail the chain before reads skip it (default 5)
+  fromBlock?: number; // deployment block, bounds the log queries of getMatchHistory and getAdminEvents
+}
+
+/**
+ * Pet record of EnhancedPetDNAMatching and PrivatePetDNAMatching
+ */
+export interface PetInfo {
+  id: number;
+  owner: string;
+  name: string;
+  breed: string;
+  age: number;
+  isAvailableForBreeding: boolean;
+  registrationTime: number; // unix timestamp in seconds
+}
+
+/**
+ * Pet record of PetDNAMatching
+ */
+export interface LegacyPetInfo {
+  id: number;
+  owner: string;
+  name: string;
+  species: string;
+  breed: string;
+  birthYear: number;
+  isAvailableForBreeding: boolean;
+}
+
+/**
+ * Decrypted DNA traits of a pet, by the field names of its contract:
+ * - EnhancedPetDNAMatching: marker1-4, healthRisk, temperament
+ * - PrivatePetDNAMatching: marker1-4, healthRisk
+ * - PetDNAMatching: healthScore, geneticMarker1-3, temperament
+ */
+export type PetDNATraits = Record<string, number>;
+
+/**
+ * Pet change announced by contract events
+ */
+export type PetChange =
+  | { type: 'registered'; petId: number; owner: string }
+  | { type: 'breedingStatus'; petId: number; isAvailableForBreeding: boolean };
+
+/**
+ * Registration data for EnhancedPetDNAMatching, DNA values encrypted client-side
+ */
+export interface EncryptedPetRegistration {
+  name: string;
+  breed: string;
+  age: number;
+  dna: {
+    marker1: number;
+    marker2: number;
+    marker3: number;
+    marker4: number;
+    healthRisk: number;
+    temperament: number;
+  };
+}
+
+/**
+ * Registration data for PrivatePetDNAMatching, DNA values encrypted on-chain
+ */
+export interface PrivatePetRegistration {
+  name: string;
+  breed: string;
+  age: number;
+  dna: {
+    marker1: number;
+    marker2: number;
+    marker3: number;
+    marker4: number;
+    healthRisk: number;
+  };
+}
+
+/**
+ * Registration data for PetDNAMatching
+ */
+export interface LegacyPetRegistration {
+  name: string;
+  species: string;
+  breed: string;
+  birthYear: number;
+  healthScore: number;
+  geneticMarker1: number;
+  geneticMarker2: number;
+  geneticMarker3: number;
+  temperament: number;
+}
+
+/**
+ * Matching request of EnhancedPetDNAMatching
+ */
+export interface MatchingRequest {
+  id: number;
+  petId1: number;
+  petId2: number;
+  requester: string;
+  isActive: boolean;
+  isCompleted: boolean;
+  isRefunded: boolean;
+  requestTime: number;
+  timeoutDeadline: number;
+  compatibilityScore: number; // 0 until the gateway callback completes
+}
+
+/**
+ * Matching request of PrivatePetDNAMatching
+ */
+export interface PrivateMatchingRequest {
+  id: number;
+  petId: number;
+  requester: string;
+  isActive: boolean;
+  requestTime: number;
+  bestMatchId: number;
+  potentialMatchCount: number;
+}
+
+/**
+ * Completed match of PetDNAMatching
+ */
+export interface MatchResult {
+  requestId: number;
+  petId1: number;
+  petId2: number;
+  compatibilityScore: number;
+  isMatched: boolean;
+  matchTime: number;
+}
+
+/**
+ * `pending` requests wait for the gateway callback; `timedOut` ones missed
+ * their EnhancedPetDNAMatching deadline and can be refunded
+ */
+export type MatchHistoryStatus = 'pending' | 'completed' | 'refunded' | 'timedOut';
+
+/**
+ * Matching request involving a pet, on either side, in any variant
+ */
+export interface MatchHistoryEntry {
+  requestId: number;
+  petId: number; // the pet whose history this is
+  counterpartId: number | null; // PrivatePetDNAMatching: null until a match is found
+  status: MatchHistoryStatus;
+  score: number | null; // null until the gateway callback completes
+  isSuccessfulMatch: boolean | null;
+  feePaid: ethers.BigNumber | null; // null if the request was not found in the logs
+  timeoutDeadline: number | null; // unix timestamp in seconds, EnhancedPetDNAMatching only
+  canClaimRefund: boolean;
+}
+
+/**
+ * Matching preferences of PetDNAMatching
+ */
+export interface MatchingProfile {
+  minHealthScore: number;
+  temperamentPreference: number;
+  maxAge: number;
+}
+
+/**
+ * Aggregate state of EnhancedPetDNAMatching
+ */
+export interface ContractStats {
+  totalPets: number;
+  totalRequests: number;
+  accumulatedFees: ethers.BigNumber;
+  callbackTimeout: number; // seconds
+  isPaused: boolean;
+}
+
+/**
+ * Owner action of EnhancedPetDNAMatching, read from its events
+ */
+export type AdminAction =
+  | { type: 'feesWithdrawn'; to: string; amount: ethers.BigNumber }
+  | { type: 'callbackTimeoutUpdated'; callbackTimeout: number }
+  | { type: 'pauseToggled'; isPaused: boolean }
+  | { type: 'ownershipTransferred'; previousOwner: string; newOwner: string };
+
+export type AdminEvent = AdminAction & {
+  blockNumber: number;
+  transactionHash: string;
+  timestamp: number; // unix timestamp in seconds
+};
@@ -6,6 +6,8 @@
  * - useEncrypt: Hook for encrypting values
  * - useDecrypt: Hook for decrypting values
  * - useFHEVMContract: Hook for contract interactions
+ * - useMatchingRequest: Hook for tracking matching requests
+ * - useMyPets / usePet: Hooks for event-synced pet data
  *
  * @example
  * ```tsx
@@ -35,4 +37,7 @@ export { useFHEVM } from './useFHEVM';
 export { useEncrypt } from './useEncrypt';
 export { useDecrypt } from './useDecrypt';
 export { useFHEVMContract } from './useFHEVMContract';
+export { useMatchingRequest } from './useMatchingRequest';
+export { useMyPets, usePet } from './usePets';
+export type { PetWithDNA, UsePetsOptions, UseMyPetsReturn, UsePetReturn } from './usePets';
 export { FHEVMProvider, useFHEVMContext } from './FHEVMContext';
@@ -7,13 +7,20 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
 import { ethers } from 'ethers';
 import { FHEVMClient, FHEVMClientConfig } from '../core/FHEVMClient';
+import { PublicKeyStorage } from '../core/PublicKeyStorage';
+import { DecryptionCache } from '../core/DecryptionCache';
+import { ChainAdapter } from '../core/ChainAdapter';
 import { InitializationStatus } from '../utils/types';
 
 export interface UseFHEVMConfig {
   provider?: ethers.providers.Provider;
   signer?: ethers.Signer;
+  adapter?: ChainAdapter; // used instead of provider/signer
   chainId: number;
   gatewayUrl?: string;
+  publicKeyStorage?: PublicKeyStorage;
+  decryptionCache?: DecryptionCache;
+  mock?: boolean;
   autoInitialize?: boolean;
 }
 
@@ -50,12 +57,12 @@ export function useFHEVM(config: UseFHEVMConfig): UseFHEVMReturn {
       let provider = config.provider;
       let signer = config.signer;
 
-      if (!provider && typeof window !== 'undefined' && window.ethereum) {
+      if (!provider && !config.adapter && typeof window !== 'undefined' && window.ethereum) {
         provider = new ethers.providers.Web3Provider(window.ethereum);
         signer = provider.getSigner();
       }
 
-      if (!provider) {
+      if (!provider && !config.adapter) {
         throw new Error('No provider available. Please connect your wallet.');
       }
 
@@ -63,8 +70,12 @@ export function useFHEVM(config: UseFHEVMConfig): UseFHEVMReturn {
       const clientConfig: FHEVMClientConfig = {
         provider,
         signer,
+        adapter: config.adapter,
         chainId: config.chainId,
         gatewayUrl: config.gatewayUrl,
+        publicKeyStorage: config.publicKeyStorage,
+        decryptionCache: config.decryptionCache,
+        mock: config.mock,
       };
 
       // Create and initialize client
@@ -7,13 +7,14 @@
 import { useState, useCallback, useMemo } from 'react';
 import { ethers } from 'ethers';
 import { FHEVMClient } from '../core/FHEVMClient';
-import { FHEVMContract, ContractConfig } from '../core/ContractHelpers';
+import { ChainTransaction } from '../core/ChainAdapter';
+import { FHEVMContract, ContractConfig, EncryptedCallOptions } from '../core/ContractHelpers';
 
 export interface UseFHEVMContractConfig {
   address: string;
   abi: ethers.ContractInterface;
   client: FHEVMClient | null;
-  signer: ethers.Signer | null;
+  signer?: ethers.Signer | null; // ethers v5 signer; the client's adapter is used without one
 }
 
 export interface UseFHEVMContractReturn {
@@ -21,8 +22,9 @@ export interface UseFHEVMContractReturn {
   call: (
     functionName: string,
     args: any[],
-    encryptedIndices?: { index: number; type: any }[]
-  ) => Promise<ethers.ContractTransaction>;
+    encryptedIndices?: { index: number; type: any }[],
+    options?: EncryptedCallOptions
+  ) => Promise<ChainTransaction>;
   view: (
     functionName: string,
     args: any[]
@@ -39,7 +41,7 @@ export function useFHEVMContract(
 
   // Create contract instance
   const contract = useMemo(() => {
-    if (!config.client || !config.signer) {
+    if (!config.client) {
       return null;
     }
 
@@ -48,7 +50,7 @@ export function useFHEVMContract(
         address: config.address,
         abi: config.abi,
         client: config.client,
-        signer: config.signer,
+        signer: config.signer || undefined,
       };
 
       return new FHEVMContract(contractConfig);
@@ -63,7 +65,8 @@ export function useFHEVMContract(
     async (
       functionName: string,
       args: any[],
-      encryptedIndices: { index: number; type: any }[] = []
+      encryptedIndices: { index: number; type: any }[] = [],
+      options?: EncryptedCallOptions
     ) => {
       if (!contract) {
         throw new Error('Contract not initialized');
@@ -76,7 +79,8 @@ export function useFHEVMContract(
         const tx = await contract.callWithEncryption(
           functionName,
           args,
-          encryptedIndices
+          encryptedIndices,
+          options
         );
         return tx;
       } catch (err) {
@@ -101,9 +105,7 @@ export function useFHEVMContract(
       setError(null);
 
       try {
-        const ethersContract = contract.getContract();
-        const result = await ethersContract[functionName](...args);
-        return result;
+        return await contract.read(functionName, ...args);
       } catch (err) {
         const error = err as Error;
         setError(error);
@@ -0,0 +1,85 @@
+/**
+ * useMatchingRequest Hook
+ *
+ * React hook following a matching request through the gateway callback
+ */
+
+import { useState, useEffect } from 'react';
+import {
+  MatchingRequestTracker,
+  TrackedMatchingRequest,
+} from '../petdna/MatchingRequestTracker';
+
+export interface UseMatchingRequestReturn {
+  request: TrackedMatchingRequest | null;
+  deadline: Date | null;
+  isExpired: boolean;
+  isLoading: boolean;
+  error: Error | null;
+}
+
+export function useMatchingRequest(
+  tracker: MatchingRequestTracker | null,
+  requestId: number | null
+): UseMatchingRequestReturn {
+  const [request, setRequest] = useState<TrackedMatchingRequest | null>(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<Error | null>(null);
+  const [now, setNow] = useState(() => Math.floor(Date.now() / 1000));
+
+  useEffect(() => {
+    setRequest(null);
+    setError(null);
+
+    if (!tracker || requestId === null) {
+      return;
+    }
+
+    const updates = tracker.watch(requestId);
+    let cancelled = false;
+    setIsLoading(true);
+
+    (async () => {
+      try {
+        for await (const update of updates) {
+          if (cancelled) {
+            break;
+          }
+          setRequest(update);
+          setIsLoading(false);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err as Error);
+        }
+      } finally {
+        if (!cancelled) {
+          setIsLoading(false);
+        }
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+      updates.return?.();
+    };
+  }, [tracker, requestId]);
+
+  // Re-evaluate expiry while the request is pending
+  const isPending = request?.status === 'requested' || request?.status === 'decrypting';
+  useEffect(() => {
+    if (!isPending) {
+      return;
+    }
+    const timer = setInterval(() => setNow(Math.floor(Date.now() / 1000)), 15000);
+    return () => clearInterval(timer);
+  }, [isPending]);
+
+  return {
+    request,
+    deadline: request ? new Date(request.timeoutDeadline * 1000) : null,
+    isExpired: !!request && isPending && now > request.timeoutDeadline,
+    isLoading,
+    error,
+  };
+}
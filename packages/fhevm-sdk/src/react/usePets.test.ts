@@ -0,0 +1,167 @@
+import { createElement } from 'react';
+import { ReactTestRenderer, act, create } from 'react-test-renderer';
+import { usePet, useMyPets } from './usePets';
+import { PetDNAClient } from '../petdna/PetDNAClient';
+import { PetChange, PetDNATraits, PetInfo } from '../petdna/types';
+
+const OWNER = '0x00000000000000000000000000000000000000A1';
+
+(globalThis as { IS_REACT_ACT_ENVIRONMENT?: boolean }).IS_REACT_ACT_ENVIRONMENT = true;
+
+const pet = (id: number): PetInfo => ({
+  id,
+  owner: OWNER,
+  name: `Pet ${id}`,
+  breed: 'Labrador',
+  age: 3,
+  isAvailableForBreeding: true,
+  registrationTime: 1700000000,
+});
+
+const traits = (marker1: number): PetDNATraits => ({ marker1 }) as PetDNATraits;
+
+/**
+ * Client serving pets from memory; `change` delivers a contract event to the watchers
+ */
+class FakePetDNA {
+  pets = new Map([1, 2].map((id) => [id, pet(id)]));
+  watchers = new Set<(change: PetChange) => void>();
+  decryptPetDNA = jest.fn(async (petId: number) => traits(petId));
+
+  async getOwnerPets(owner: string): Promise<number[]> {
+    return owner.toLowerCase() === OWNER.toLowerCase() ? [...this.pets.keys()] : [];
+  }
+
+  async getPetInfo(petId: number): Promise<PetInfo> {
+    const found = this.pets.get(petId);
+    if (!found) {
+      throw new Error(`Pet ${petId} not found`);
+    }
+    return found;
+  }
+
+  getPets(petIds: number[]): Promise<PetInfo[]> {
+    return Promise.all(petIds.map((petId) => this.getPetInfo(petId)));
+  }
+
+  onPetChange(watcher: (change: PetChange) => void): () => void {
+    this.watchers.add(watcher);
+    return () => this.watchers.delete(watcher);
+  }
+
+  change(change: PetChange): void {
+    this.watchers.forEach((watcher) => watcher(change));
+  }
+
+  get client(): PetDNAClient {
+    return this as unknown as PetDNAClient;
+  }
+}
+
+/**
+ * Render a hook in a component and let its effects settle
+ */
+async function renderHook<T>(hook: () => T) {
+  const result = {} as { current: T };
+  function Probe() {
+    result.current = hook();
+    return null;
+  }
+  let renderer!: ReactTestRenderer;
+  await act(async () => {
+    renderer = create(createElement(Probe));
+  });
+  return { result, unmount: () => act(() => renderer.unmount()) };
+}
+
+describe('useMyPets', () => {
+  it('loads the pets of the account', async () => {
+    const petDNA = new FakePetDNA();
+
+    const { result } = await renderHook(() => useMyPets(petDNA.client, OWNER));
+
+    expect(result.current.isLoading).toBe(false);
+    expect(result.current.error).toBeNull();
+    expect(result.current.pets).toEqual([
+      { ...pet(1), dna: null },
+      { ...pet(2), dna: null },
+    ]);
+    expect(petDNA.decryptPetDNA).not.toHaveBeenCalled();
+  });
+
+  it('decrypts the loaded pets and reports failed decryptions', async () => {
+    const petDNA = new FakePetDNA();
+    petDNA.decryptPetDNA.mockImplementation(async (petId) => {
+      if (petId === 2) {
+        throw new Error('Not the owner');
+      }
+      return traits(petId);
+    });
+
+    const { result } = await renderHook(() => useMyPets(petDNA.client, OWNER, { decrypt: true }));
+
+    expect(result.current.pets.map((stored) => stored.dna)).toEqual([traits(1), null]);
+    expect(result.current.error?.message).toBe('Not the owner');
+  });
+
+  it('re-renders on contract events and stops watching when unmounted', async () => {
+    const petDNA = new FakePetDNA();
+    const { result, unmount } = await renderHook(() => useMyPets(petDNA.client, OWNER));
+
+    act(() => petDNA.change({ type: 'breedingStatus', petId: 2, isAvailableForBreeding: false }));
+    expect(result.current.pets[1].isAvailableForBreeding).toBe(false);
+
+    unmount();
+    expect(petDNA.watchers.size).toBe(0);
+  });
+
+  it('decrypts on demand and shows the traits', async () => {
+    const petDNA = new FakePetDNA();
+    const { result } = await renderHook(() => useMyPets(petDNA.client, OWNER));
+
+    await act(async () => {
+      expect(await result.current.decryptDNA(1)).toEqual(traits(1));
+    });
+
+    expect(result.current.pets[0].dna).toEqual(traits(1));
+  });
+
+  it('stays empty without a client or account', async () => {
+    const petDNA = new FakePetDNA();
+    const { result } = await renderHook(() => useMyPets(null, OWNER));
+    const withoutAccount = await renderHook(() => useMyPets(petDNA.client, null));
+
+    expect(result.current.pets).toEqual([]);
+    expect(withoutAccount.result.current.pets).toEqual([]);
+    await expect(result.current.decryptDNA(1)).rejects.toThrow('PetDNA client not connected');
+  });
+});
+
+describe('usePet', () => {
+  it('loads and refreshes one pet', async () => {
+    const petDNA = new FakePetDNA();
+    const { result } = await renderHook(() => usePet(petDNA.client, 1, { decrypt: true }));
+
+    expect(result.current.pet).toEqual({ ...pet(1), dna: traits(1) });
+
+    petDNA.pets.set(1, { ...pet(1), name: 'Renamed' });
+    await act(() => result.current.refresh());
+    expect(result.current.pet?.name).toBe('Renamed');
+  });
+
+  it('reports pets that fail to load', async () => {
+    const petDNA = new FakePetDNA();
+    const { result } = await renderHook(() => usePet(petDNA.client, 9));
+
+    expect(result.current.pet).toBeNull();
+    expect(result.current.error?.message).toBe('Pet 9 not found');
+  });
+
+  it('needs a selected pet to decrypt', async () => {
+    const petDNA = new FakePetDNA();
+    const { result } = await renderHook(() => usePet(petDNA.client, null));
+
+    expect(result.current.pet).toBeNull();
+    await expect(result.current.decryptDNA()).rejects.toThrow('No pet selected');
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * useMyPets / usePet Hooks
+ *
+ * React hooks reading pets through the shared PetStore of a PetDNAClient,
+ * so every component shows the same, event-synced data
+ */
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { PetDNAClient } from '../petdna/PetDNAClient';
+import { PetStore, StoredPetInfo } from '../petdna/PetStore';
+import { PetDNATraits } from '../petdna/types';
+
+export type PetWithDNA = StoredPetInfo & {
+  dna: PetDNATraits | null; // decrypted traits, null until decrypted
+};
+
+export interface UsePetsOptions {
+  decrypt?: boolean; // decrypt the traits of the loaded pets (owner only)
+}
+
+export interface UseMyPetsReturn {
+  pets: PetWithDNA[];
+  isLoading: boolean;
+  error: Error | null;
+  refresh: () => Promise<void>;
+  decryptDNA: (petId: number) => Promise<PetDNATraits>;
+}
+
+export interface UsePetReturn {
+  pet: PetWithDNA | null;
+  isLoading: boolean;
+  error: Error | null;
+  refresh: () => Promise<void>;
+  decryptDNA: () => Promise<PetDNATraits>;
+}
+
+/**
+ * Re-render whenever the store changes
+ */
+function useStore(petDNA: PetDNAClient | null): PetStore | null {
+  const store = useMemo(() => (petDNA ? PetStore.for(petDNA) : null), [petDNA]);
+  const [, setVersion] = useState(0);
+
+  useEffect(() => {
+    if (!store) {
+      return;
+    }
+    return store.subscribe(() => setVersion((version) => version + 1));
+  }, [store]);
+
+  return store;
+}
+
+function withDNA(store: PetStore, pet: StoredPetInfo): PetWithDNA {
+  return { ...pet, dna: store.getDNA(pet.id) };
+}
+
+/**
+ * Pets registered by `account`, kept up to date by contract events
+ */
+export function useMyPets(
+  petDNA: PetDNAClient | null,
+  account: string | null,
+  options: UsePetsOptions = {}
+): UseMyPetsReturn {
+  const store = useStore(petDNA);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<Error | null>(null);
+  const { decrypt = false } = options;
+
+  const load = useCallback(async () => {
+    if (!store || !account) {
+      return;
+    }
+    setIsLoading(true);
+    setError(null);
+    try {
+      const pets = await store.loadOwnerPets(account);
+      if (decrypt) {
+        const results = await Promise.allSettled(pets.map((pet) => store.decryptDNA(pet.id)));
+        const failed = results.find((result): result is PromiseRejectedResult => result.status === 'rejected');
+        if (failed) {
+          setError(failed.reason as Error);
+        }
+      }
+    } catch (err) {
+      setError(err as Error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [store, account, decrypt]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const decryptDNA = useCallback(
+    (petId: number) => {
+      if (!store) {
+        return Promise.reject(new Error('PetDNA client not connected'));
+      }
+      return store.decryptDNA(petId);
+    },
+    [store]
+  );
+
+  const pets = store && account ? (store.getOwnerPets(account) || []).map((pet) => withDNA(store, pet)) : [];
+
+  return {
+    pets,
+    isLoading,
+    error,
+    refresh: load,
+    decryptDNA,
+  };
+}
+
+/**
+ * One pet, kept up to date by contract events
+ */
+export function usePet(
+  petDNA: PetDNAClient | null,
+  petId: number | null,
+  options: UsePetsOptions = {}
+): UsePetReturn {
+  const store = useStore(petDNA);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState<Error | null>(null);
+  const { decrypt = false } = options;
+
+  const load = useCallback(async () => {
+    if (!store || petId === null) {
+      return;
+    }
+    setIsLoading(true);
+    setError(null);
+    try {
+      await store.loadPet(petId);
+      if (decrypt) {
+        await store.decryptDNA(petId);
+      }
+    } catch (err) {
+      setError(err as Error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [store, petId, decrypt]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const decryptDNA = useCallback(() => {
+    if (!store || petId === null) {
+      return Promise.reject(new Error('No pet selected'));
+    }
+    return store.decryptDNA(petId);
+  }, [store, petId]);
+
+  const stored = store && petId !== null ? store.getPet(petId) : null;
+
+  return {
+    pet: store && stored ? withDNA(store, stored) : null,
+    isLoading,
+    error,
+    refresh: load,
+    decryptDNA,
+  };
+}
@@ -0,0 +1,122 @@
+/**
+ * Error types surfaced by the SDK
+ */
+
+/**
+ * Base class for SDK errors
+ */
+export class FHEVMError extends Error {
+  constructor(message: string, public readonly cause?: unknown) {
+    super(message);
+    this.name = 'FHEVMError';
+    Object.setPrototypeOf(this, new.target.prototype);
+  }
+}
+
+/**
+ * The network FHE public key could not be verified against the KMS
+ */
+export class PublicKeyVerificationError extends FHEVMError {
+  constructor(public readonly chainId: number, reason: string) {
+    super(`FHE public key verification failed for chain ${chainId}: ${reason}`);
+    this.name = 'PublicKeyVerificationError';
+  }
+}
+
+/**
+ * Decryption of a single handle failed
+ */
+export class HandleDecryptionError extends FHEVMError {
+  constructor(
+    public readonly handle: string,
+    public readonly contractAddress: string,
+    cause?: unknown
+  ) {
+    super(`Failed to decrypt handle ${handle}: ${describeCause(cause)}`, cause);
+    this.name = 'HandleDecryptionError';
+  }
+}
+
+/**
+ * One or more handles of a decryption request failed
+ *
+ * `results` is aligned with the requested handles and holds the values
+ * that did decrypt (null for each failed handle).
+ */
+export class DecryptionError extends FHEVMError {
+  constructor(
+    public readonly failures: HandleDecryptionError[],
+    public readonly results: (bigint | null)[]
+  ) {
+    super(`Failed to decrypt ${failures.length} of ${results.length} handle(s)`);
+    this.name = 'DecryptionError';
+  }
+}
+
+/**
+ * An argument of an encrypted contract call was rejected before signing
+ *
+ * `index` is the ABI input position of the offending argument, or -1 when
+ * the call as a whole (argument count, function layout) is invalid.
+ */
+export class EncryptedArgumentError extends FHEVMError {
+  constructor(
+    public readonly functionSignature: string,
+    public readonly index: number,
+    reason: string
+  ) {
+    super(`Invalid arguments for ${functionSignature}: ${reason}`);
+    this.name = 'EncryptedArgumentError';
+  }
+}
+
+/**
+ * The contract at an address is not a supported PetDNA matching variant
+ */
+export class UnsupportedContractError extends FHEVMError {
+  constructor(public readonly address: string, reason: string) {
+    super(`Unsupported contract at ${address}: ${reason}`);
+    this.name = 'UnsupportedContractError';
+  }
+}
+
+/**
+ * A deployment registry is malformed or lacks the requested contract
+ */
+export class DeploymentRegistryError extends FHEVMError {
+  constructor(public readonly source: string, reason: string) {
+    super(`${source}: ${reason}`);
+    this.name = 'DeploymentRegistryError';
+  }
+}
+
+/**
+ * A genotype file could not be read or holds too few loci to quantize
+ *
+ * `line` is the 1-based line of the offending row, when there is one.
+ */
+export class DNAImportError extends FHEVMError {
+  constructor(reason: string, public readonly line?: number) {
+    super(line === undefined ? `DNA import failed: ${reason}` : `DNA import failed on line ${line}: ${reason}`);
+    this.name = 'DNAImportError';
+  }
+}
+
+/**
+ * The event indexer could not be reached or rejected a query
+ *
+ * `status` is the HTTP status, when the indexer answered.
+ */
+export class IndexerError extends FHEVMError {
+  constructor(public readonly url: string, reason: string, public readonly status?: number) {
+    super(`Indexer request ${url} failed: ${reason}`);
+    this.name = 'IndexerError';
+  }
+}
+
+function describeCause(cause: unknown): string {
+  if (cause instanceof Error) {
+    return cause.message;
+  }
+  return cause === undefined ? 'unknown error' : String(cause);
+}
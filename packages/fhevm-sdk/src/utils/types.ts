@@ -37,6 +37,9 @@ export const NETWORKS: Record<string, NetworkConfig> = {
     chainId: 11155111,
     name: 'Sepolia Testnet',
     rpcUrl: 'https://sepolia.infura.io/v3',
+    gatewayUrl: 'https://relayer.testnet.zama.cloud/v1',
+    aclAddress: '0x687820221192C5B662b25367F70076A37bc79b6c',
+    // No kmsVerifierAddress: the gateway does not sign the key the way FHEVMClient.verifyPublicKey checks
     blockExplorer: 'https://sepolia.etherscan.io',
   },
   localhost: {
@@ -0,0 +1,169 @@
+import { createRenderer, defineComponent, h, nextTick } from 'vue';
+import { ethers } from 'ethers';
+import { FHEVMContext, FHEVMPlugin, useFHEVMContext } from './FHEVMPlugin';
+import { UseFHEVMConfig } from './useFHEVM';
+import { ChainAdapter } from '../core/ChainAdapter';
+import { DecryptionCache } from '../core/DecryptionCache';
+
+jest.mock('fhevmjs', () => ({ createInstance: jest.fn() }), { virtual: true });
+
+interface TestNode {
+  parent: TestNode | null;
+  children: TestNode[];
+}
+
+// Renderer without a DOM; the test components render empty elements
+const { createApp } = createRenderer<TestNode, TestNode>({
+  createElement: () => ({ parent: null, children: [] }),
+  createText: () => ({ parent: null, children: [] }),
+  createComment: () => ({ parent: null, children: [] }),
+  setText: () => undefined,
+  setElementText: () => undefined,
+  patchProp: () => undefined,
+  insert: (child, parent) => {
+    child.parent = parent;
+    parent.children.push(child);
+  },
+  remove: (child) => {
+    if (child.parent) {
+      child.parent.children = child.parent.children.filter((node) => node !== child);
+    }
+  },
+  parentNode: (node) => node.parent,
+  nextSibling: () => null,
+});
+
+const USER = new ethers.Wallet(ethers.utils.id('vue user'));
+
+const adapter = {
+  hasSigner: () => true,
+  getAddress: async () => USER.address,
+} as unknown as ChainAdapter;
+
+/**
+ * Mount an app using FHEVMPlugin and return the context its components inject
+ */
+function mountApp(config: UseFHEVMConfig) {
+  const contexts: FHEVMContext[] = [];
+  const Child = defineComponent({
+    setup() {
+      contexts.push(useFHEVMContext());
+      return () => null;
+    },
+  });
+  const app = createApp(
+    defineComponent({
+      setup() {
+        contexts.push(useFHEVMContext());
+        return () => h('div', [h(Child), h(Child)]);
+      },
+    })
+  );
+  app.use(FHEVMPlugin, config).mount({ parent: null, children: [] });
+  return { app, contexts, context: contexts[0] };
+}
+
+async function flush() {
+  for (let i = 0; i < 5; i++) {
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+  await nextTick();
+}
+
+/**
+ * EIP-1193 wallet recording its listeners
+ */
+function fakeEthereum(accounts: string[]) {
+  const listeners: Record<string, (...args: any[]) => void> = {};
+  return {
+    listeners,
+    request: jest.fn(async ({ method }: { method: string }) => (method === 'eth_accounts' ? accounts : null)),
+    on: (event: string, listener: (...args: any[]) => void) => {
+      listeners[event] = listener;
+    },
+    removeListener: (event: string) => {
+      delete listeners[event];
+    },
+  };
+}
+
+afterEach(() => {
+  delete (global as any).window;
+});
+
+describe('FHEVMPlugin', () => {
+  it('initializes one client and provides it to every component', async () => {
+    const { contexts, context } = mountApp({
+      adapter,
+      chainId: 31337,
+      mock: true,
+      decryptionCache: new DecryptionCache(),
+    });
+
+    expect(context.isInitializing.value).toBe(true);
+    await flush();
+
+    expect(context.isInitialized.value).toBe(true);
+    expect(context.client.value!.getInstance()).not.toBeNull();
+    expect(context.account.value).toBe(USER.address);
+    expect(contexts.length).toBeGreaterThan(1);
+    contexts.forEach((other) => expect(other).toBe(context));
+  });
+
+  it('reports initialization errors', async () => {
+    const { context } = mountApp({ chainId: 31337 });
+    await flush();
+
+    expect(context.isInitialized.value).toBe(false);
+    expect(context.error.value!.message).toBe('No provider available');
+  });
+
+  it('waits for initialize() without autoInitialize', async () => {
+    const { context } = mountApp({ adapter, chainId: 31337, mock: true, autoInitialize: false });
+    await flush();
+    expect(context.client.value).toBeNull();
+
+    await context.initialize();
+
+    expect(context.isInitialized.value).toBe(true);
+  });
+
+  it('resets the client when the app unmounts', async () => {
+    const { app, context } = mountApp({ adapter, chainId: 31337, mock: true });
+    await flush();
+    const client = context.client.value!;
+
+    app.unmount();
+
+    expect(context.client.value).toBeNull();
+    expect(client.getInstance()).toBeNull();
+  });
+
+  it('follows the accounts and chain of the injected wallet', async () => {
+    const ethereum = fakeEthereum([USER.address]);
+    (global as any).window = { ethereum };
+
+    const { app, context } = mountApp({ chainId: 11155111, autoInitialize: false });
+    await flush();
+
+    expect(ethereum.request).toHaveBeenCalledWith({ method: 'eth_accounts' });
+    expect(context.account.value).toBe(USER.address);
+
+    ethereum.listeners.accountsChanged([]);
+    expect(context.account.value).toBeNull();
+
+    ethereum.listeners.chainChanged('0x7a69');
+    expect(context.chainId.value).toBe(31337);
+
+    app.unmount();
+    expect(ethereum.listeners).toEqual({});
+  });
+});
+
+describe('useFHEVMContext', () => {
+  it('requires FHEVMPlugin', () => {
+    expect(() => createApp({}).runWithContext(() => useFHEVMContext())).toThrow(
+      'useFHEVMContext must be used within an app that installed FHEVMPlugin'
+    );
+  });
+});
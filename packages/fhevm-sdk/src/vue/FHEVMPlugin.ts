@@ -0,0 +1,117 @@
+/**
+ * FHEVMPlugin
+ *
+ * Vue plugin for sharing one FHEVM client across components
+ */
+
+import { App, InjectionKey, Ref, inject, ref } from 'vue';
+import { UseFHEVMConfig, FHEVMState, createFHEVMState } from './useFHEVM';
+
+export interface FHEVMContext extends FHEVMState {
+  account: Ref<string | null>;
+}
+
+export const FHEVM_CONTEXT_KEY: InjectionKey<FHEVMContext> = Symbol('fhevm');
+
+/**
+ * Plugin providing the FHEVM client to the whole app
+ *
+ * Without an explicit provider or adapter the client follows the injected wallet:
+ * account and chain changes reset it and initialize it again. The client is
+ * torn down when the app unmounts.
+ *
+ * @example
+ * ```typescript
+ * createApp(App)
+ *   .use(FHEVMPlugin, { chainId: 11155111 })
+ *   .mount('#app');
+ * ```
+ */
+export const FHEVMPlugin = {
+  install(app: App, config: UseFHEVMConfig) {
+    const state = createFHEVMState(config);
+    const account = ref<string | null>(null);
+    const ethereum = !config.provider && !config.adapter && typeof window !== 'undefined' ? (window as any).ethereum : undefined;
+
+    const reinitialize = () => {
+      state.reset();
+      if (config.autoInitialize !== false) {
+        state.initialize();
+      }
+    };
+
+    const handleAccountsChanged = (accounts: string[]) => {
+      account.value = accounts[0] ?? null;
+      reinitialize();
+    };
+
+    const handleChainChanged = (chainId: string) => {
+      state.chainId.value = parseInt(chainId, 16);
+      reinitialize();
+    };
+
+    if (ethereum?.on) {
+      ethereum.on('accountsChanged', handleAccountsChanged);
+      ethereum.on('chainChanged', handleChainChanged);
+      ethereum
+        .request({ method: 'eth_accounts' })
+        .then((accounts: string[]) => {
+          account.value = accounts[0] ?? null;
+        })
+        .catch(() => {});
+    } else {
+      const signer = config.adapter?.hasSigner() ? config.adapter : config.signer;
+      signer?.getAddress().then(
+        (address) => {
+          account.value = address;
+        },
+        () => {}
+      );
+    }
+
+    const teardown = () => {
+      if (ethereum?.removeListener) {
+        ethereum.removeListener('accountsChanged', handleAccountsChanged);
+        ethereum.removeListener('chainChanged', handleChainChanged);
+      }
+      state.reset();
+    };
+
+    // app.onUnmount is available from Vue 3.5
+    if (typeof (app as any).onUnmount === 'function') {
+      (app as any).onUnmount(teardown);
+    } else {
+      const unmount = app.unmount.bind(app);
+      app.unmount = () => {
+        teardown();
+        unmount();
+      };
+    }
+
+    app.provide(FHEVM_CONTEXT_KEY, { ...state, account });
+
+    if (config.autoInitialize !== false) {
+      state.initialize();
+    }
+  },
+};
+
+/**
+ * Composable to access the client provided by FHEVMPlugin
+ *
+ * @example
+ * ```vue
+ * <script setup>
+ * const { client, isInitialized } = useFHEVMContext();
+ * </script>
+ * ```
+ */
+export function useFHEVMContext(): FHEVMContext {
+  const context = inject(FHEVM_CONTEXT_KEY, null);
+
+  if (!context) {
+    throw new Error('useFHEVMContext must be used within an app that installed FHEVMPlugin');
+  }
+
+  return context;
+}
@@ -26,6 +26,9 @@
  */
 
 export { useFHEVM } from './useFHEVM';
+export { FHEVMPlugin, FHEVM_CONTEXT_KEY, useFHEVMContext } from './FHEVMPlugin';
+export type { FHEVMContext } from './FHEVMPlugin';
 export { useEncrypt } from './useEncrypt';
 export { useDecrypt } from './useDecrypt';
 export { useFHEVMContract } from './useFHEVMContract';
+export { useMatchingRequest } from './useMatchingRequest';
@@ -5,20 +5,36 @@
 import { ref, onMounted, onUnmounted, computed } from 'vue';
 import { ethers } from 'ethers';
 import { FHEVMClient, FHEVMClientConfig } from '../core/FHEVMClient';
+import { PublicKeyStorage } from '../core/PublicKeyStorage';
+import { DecryptionCache } from '../core/DecryptionCache';
+import { ChainAdapter } from '../core/ChainAdapter';
 import { InitializationStatus } from '../utils/types';
 
 export interface UseFHEVMConfig {
   provider?: ethers.providers.Provider;
   signer?: ethers.Signer;
+  adapter?: ChainAdapter; // used instead of provider/signer
   chainId: number;
   gatewayUrl?: string;
+  publicKeyStorage?: PublicKeyStorage;
+  decryptionCache?: DecryptionCache;
+  mock?: boolean;
   autoInitialize?: boolean;
 }
 
-export function useFHEVM(config: UseFHEVMConfig) {
+/**
+ * Reactive client state shared by useFHEVM and FHEVMPlugin
+ *
+ * `chainId` starts at the configured chain and follows the wallet when the
+ * plugin handles chain changes. An initialization that is overtaken by
+ * reset() never publishes its client.
+ */
+export function createFHEVMState(config: UseFHEVMConfig) {
   const client = ref<FHEVMClient | null>(null);
   const status = ref<InitializationStatus>(InitializationStatus.NOT_INITIALIZED);
   const error = ref<Error | null>(null);
+  const chainId = ref<number>(config.chainId);
+  let generation = 0;
 
   const isInitialized = computed(() => status.value === InitializationStatus.INITIALIZED);
   const isInitializing = computed(() => status.value === InitializationStatus.INITIALIZING);
@@ -29,6 +45,7 @@ export function useFHEVM(config: UseFHEVMConfig) {
       return;
     }
 
+    const current = ++generation;
     status.value = InitializationStatus.INITIALIZING;
     error.value = null;
 
@@ -36,34 +53,47 @@ export function useFHEVM(config: UseFHEVMConfig) {
       let provider = config.provider;
       let signer = config.signer;
 
-      if (!provider && typeof window !== 'undefined' && (window as any).ethereum) {
+      if (!provider && !config.adapter && typeof window !== 'undefined' && (window as any).ethereum) {
         provider = new ethers.providers.Web3Provider((window as any).ethereum);
         signer = provider.getSigner();
       }
 
-      if (!provider) {
+      if (!provider && !config.adapter) {
         throw new Error('No provider available');
       }
 
       const clientConfig: FHEVMClientConfig = {
         provider,
         signer,
-        chainId: config.chainId,
+        adapter: config.adapter,
+        chainId: chainId.value,
         gatewayUrl: config.gatewayUrl,
+        publicKeyStorage: config.publicKeyStorage,
+        decryptionCache: config.decryptionCache,
+        mock: config.mock,
       };
 
       const newClient = new FHEVMClient(clientConfig);
       await newClient.initialize();
 
+      if (current !== generation) {
+        newClient.reset();
+        return;
+      }
+
       client.value = newClient;
       status.value = InitializationStatus.INITIALIZED;
     } catch (err) {
+      if (current !== generation) {
+        return;
+      }
       error.value = err as Error;
       status.value = InitializationStatus.ERROR;
     }
   }
 
   function reset() {
+    generation++;
     if (client.value) {
       client.value.reset();
     }
@@ -72,6 +102,23 @@ export function useFHEVM(config: UseFHEVMConfig) {
     error.value = null;
   }
 
+  return {
+    client,
+    isInitialized,
+    isInitializing,
+    error,
+    status,
+    chainId,
+    initialize,
+    reset,
+  };
+}
+
+export type FHEVMState = ReturnType<typeof createFHEVMState>;
+
+export function useFHEVM(config: UseFHEVMConfig) {
+  const { client, isInitialized, isInitializing, error, status, initialize, reset } = createFHEVMState(config);
+
   onMounted(() => {
     if (config.autoInitialize !== false) {
       initialize();
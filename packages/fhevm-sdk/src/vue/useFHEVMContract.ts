@@ -5,13 +5,13 @@
 import { ref, computed, Ref } from 'vue';
 import { ethers } from 'ethers';
 import { FHEVMClient } from '../core/FHEVMClient';
-import { FHEVMContract, ContractConfig } from '../core/ContractHelpers';
+import { FHEVMContract, ContractConfig, EncryptedCallOptions } from '../core/ContractHelpers';
 
 export interface UseFHEVMContractConfig {
   address: string;
   abi: ethers.ContractInterface;
   client: Ref<FHEVMClient | null>;
-  signer: Ref<ethers.Signer | null>;
+  signer?: Ref<ethers.Signer | null>; // ethers v5 signer; the client's adapter is used without one
 }
 
 export function useFHEVMContract(config: UseFHEVMContractConfig) {
@@ -19,7 +19,7 @@ export function useFHEVMContract(config: UseFHEVMContractConfig) {
   const error = ref<Error | null>(null);
 
   const contract = computed(() => {
-    if (!config.client.value || !config.signer.value) {
+    if (!config.client.value) {
       return null;
     }
 
@@ -28,7 +28,7 @@ export function useFHEVMContract(config: UseFHEVMContractConfig) {
         address: config.address,
         abi: config.abi,
         client: config.client.value,
-        signer: config.signer.value,
+        signer: config.signer?.value || undefined,
       };
 
       return new FHEVMContract(contractConfig);
@@ -41,7 +41,8 @@ export function useFHEVMContract(config: UseFHEVMContractConfig) {
   async function call(
     functionName: string,
     args: any[],
-    encryptedIndices: { index: number; type: any }[] = []
+    encryptedIndices: { index: number; type: any }[] = [],
+    options?: EncryptedCallOptions
   ) {
     if (!contract.value) {
       throw new Error('Contract not initialized');
@@ -54,7 +55,8 @@ export function useFHEVMContract(config: UseFHEVMContractConfig) {
       const tx = await contract.value.callWithEncryption(
         functionName,
         args,
-        encryptedIndices
+        encryptedIndices,
+        options
       );
       return tx;
     } catch (err) {
@@ -74,9 +76,7 @@ export function useFHEVMContract(config: UseFHEVMContractConfig) {
     error.value = null;
 
     try {
-      const ethersContract = contract.value.getContract();
-      const result = await ethersContract[functionName](...args);
-      return result;
+      return await contract.value.read(functionName, ...args);
     } catch (err) {
       error.value = err as Error;
       throw err;
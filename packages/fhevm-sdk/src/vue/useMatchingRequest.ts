@@ -0,0 +1,93 @@
+/**
+ * useMatchingRequest Composable for Vue 3
+ */
+
+import { ref, computed, watch, onUnmounted, Ref } from 'vue';
+import {
+  MatchingRequestTracker,
+  TrackedMatchingRequest,
+} from '../petdna/MatchingRequestTracker';
+
+export function useMatchingRequest(
+  tracker: Ref<MatchingRequestTracker | null>,
+  requestId: Ref<number | null>
+) {
+  const request = ref<TrackedMatchingRequest | null>(null);
+  const isLoading = ref(false);
+  const error = ref<Error | null>(null);
+  const now = ref(Math.floor(Date.now() / 1000));
+
+  let updates: AsyncIterableIterator<TrackedMatchingRequest> | null = null;
+
+  function stop() {
+    updates?.return?.();
+    updates = null;
+  }
+
+  async function follow(current: AsyncIterableIterator<TrackedMatchingRequest>) {
+    isLoading.value = true;
+    try {
+      for await (const update of current) {
+        if (updates !== current) {
+          break;
+        }
+        request.value = update;
+        isLoading.value = false;
+      }
+    } catch (err) {
+      if (updates === current) {
+        error.value = err as Error;
+      }
+    } finally {
+      if (updates === current) {
+        isLoading.value = false;
+      }
+    }
+  }
+
+  watch(
+    [tracker, requestId],
+    ([currentTracker, currentId]) => {
+      stop();
+      request.value = null;
+      error.value = null;
+
+      if (currentTracker && currentId !== null) {
+        updates = currentTracker.watch(currentId);
+        follow(updates);
+      }
+    },
+    { immediate: true }
+  );
+
+  // Re-evaluate expiry while the request is pending
+  const timer = setInterval(() => {
+    now.value = Math.floor(Date.now() / 1000);
+  }, 15000);
+
+  onUnmounted(() => {
+    stop();
+    clearInterval(timer);
+  });
+
+  const deadline = computed(() =>
+    request.value ? new Date(request.value.timeoutDeadline * 1000) : null
+  );
+
+  const isExpired = computed(() => {
+    const current = request.value;
+    return (
+      !!current &&
+      (current.status === 'requested' || current.status === 'decrypting') &&
+      now.value > current.timeoutDeadline
+    );
+  });
+
+  return {
+    request,
+    deadline,
+    isExpired,
+    isLoading,
+    error,
+  };
+}
@@ -0,0 +1,207 @@
+const fs = require("fs");
+const path = require("path");
+const { HCU_TRANSACTION_LIMIT } = require("./hcu");
+
+/**
+ * Benchmark baseline
+ *
+ * `benchmarks/baseline.json` holds the gas and estimated HCU of every
+ * benchmarked operation, keyed by contract variant:
+ *
+ *   {
+ *     "version": 1,
+ *     "compiler": { "version": "0.8.24+commit.e11b9ed9", "optimizer": true, "runs": 200, "viaIR": true },
+ *     "variants": {
+ *       "EnhancedPetDNAMatching": {
+ *         "registerPet": { "gas": 512345, "hcu": 64, "samples": 3, "operations": { "cast(Uint8)": 2 } }
+ *       }
+ *     }
+ *   }
+ *
+ * Operations measured several times keep their most expensive sample. The
+ * compiler is the solc build that compiled the contracts, read from the build
+ * info. Gas depends on it and on the compiler settings, so regenerate the
+ * baseline with `npm run bench:update` whenever hardhat.config.js changes them.
+ */
+
+const BASELINE_VERSION = 1;
+const DEFAULT_BASELINE = path.join(__dirname, "..", "..", "benchmarks", "baseline.json");
+const DEFAULT_MAX_REGRESSION = 5;
+
+function loadBaseline(file = DEFAULT_BASELINE) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  const baseline = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (baseline.version !== BASELINE_VERSION) {
+    throw new Error(`Unsupported baseline version ${baseline.version} in ${file}`);
+  }
+  return baseline;
+}
+
+function saveBaseline(results, file = DEFAULT_BASELINE) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(results, null, 2) + "\n");
+}
+
+/**
+ * Replace the measured variants of a baseline, keeping the others
+ */
+function mergeResults(baseline, results) {
+  if (!baseline) {
+    return results;
+  }
+  return { ...results, variants: { ...baseline.variants, ...results.variants } };
+}
+
+// Relative change in percent; Infinity when something appears from nothing
+function percentChange(before, after) {
+  if (before === after) {
+    return 0;
+  }
+  return before === 0 ? Infinity : ((after - before) / before) * 100;
+}
+
+/**
+ * Compare measured results with the baseline
+ *
+ * Every operation gets a status:
+ *   - "regressed"  gas or HCU grew by more than `maxRegression` percent
+ *   - "over-limit" the estimated HCU exceeds the per-transaction limit
+ *   - "improved"   gas or HCU dropped by more than `maxRegression` percent
+ *   - "ok"         within the tolerance
+ *   - "new"        not in the baseline yet
+ *   - "missing"    in the baseline but no longer measured
+ * Only "regressed" and "over-limit" fail the comparison. Variants that were
+ * not measured are left out.
+ */
+function compareResults(baseline, results, { maxRegression = DEFAULT_MAX_REGRESSION } = {}) {
+  const rows = [];
+  for (const [variant, operations] of Object.entries(results.variants)) {
+    const previous = baseline?.variants[variant] || {};
+    const names = [...new Set([...Object.keys(previous), ...Object.keys(operations)])];
+
+    for (const operation of names) {
+      const before = previous[operation] || null;
+      const after = operations[operation] || null;
+      const row = { variant, operation, before, after, gasChange: null, hcuChange: null };
+      if (before && after) {
+        row.gasChange = percentChange(before.gas, after.gas);
+        row.hcuChange = percentChange(before.hcu, after.hcu);
+      }
+
+      if (!after) {
+        row.status = "missing";
+      } else if (after.hcu > HCU_TRANSACTION_LIMIT) {
+        row.status = "over-limit";
+      } else if (!before) {
+        row.status = "new";
+      } else if (row.gasChange > maxRegression || row.hcuChange > maxRegression) {
+        row.status = "regressed";
+      } else if (row.gasChange < -maxRegression || row.hcuChange < -maxRegression) {
+        row.status = "improved";
+      } else {
+        row.status = "ok";
+      }
+      rows.push(row);
+    }
+  }
+
+  const failed = rows.some((row) => row.status === "regressed" || row.status === "over-limit");
+  return { maxRegression, compilerChanged: compilerChanged(baseline, results), failed, rows };
+}
+
+// Gas of different solc builds is not comparable; other settings must match the baseline
+function compilerChanged(baseline, results) {
+  return Boolean(baseline) && baseline.compiler?.version !== results.compiler.version;
+}
+
+const STATUS_ICONS = {
+  regressed: "❌",
+  "over-limit": "❌",
+  improved: "🟢",
+  ok: "✅",
+  new: "🆕",
+  missing: "⚠️",
+};
+
+function formatNumber(value) {
+  return value === null || value === undefined ? "-" : value.toLocaleString("en-US");
+}
+
+function formatChange(change) {
+  if (change === null) {
+    return "-";
+  }
+  if (!Number.isFinite(change)) {
+    return "new";
+  }
+  const rounded = change.toFixed(2);
+  return `${change > 0 && rounded !== "0.00" ? "+" : ""}${rounded === "-0.00" ? "0.00" : rounded}%`;
+}
+
+function comparisonCells(comparison) {
+  const header = ["Variant", "Operation", "Gas (base)", "Gas", "Δ gas", "HCU (base)", "HCU", "Δ HCU", "Status"];
+  const rows = comparison.rows.map(({ variant, operation, before, after, gasChange, hcuChange, status }) => [
+    variant,
+    operation,
+    formatNumber(before?.gas),
+    formatNumber(after?.gas),
+    formatChange(gasChange),
+    formatNumber(before?.hcu),
+    formatNumber(after?.hcu),
+    formatChange(hcuChange),
+    `${STATUS_ICONS[status]} ${status}`,
+  ]);
+  return { header, rows };
+}
+
+function summaryLines(comparison) {
+  const regressions = comparison.rows.filter((row) => row.status === "regressed" || row.status === "over-limit");
+  const lines = [];
+  if (comparison.compilerChanged) {
+    lines.push("⚠️  The solc build differs from the baseline; gas changes may come from the compiler.");
+  }
+  lines.push(
+    regressions.length === 0
+      ? `✅ No operation regressed by more than ${comparison.maxRegression}%`
+      : `❌ ${regressions.length} operation(s) regressed by more than ${comparison.maxRegression}% ` +
+          `or exceed the ${formatNumber(HCU_TRANSACTION_LIMIT)} HCU transaction limit`
+  );
+  return lines;
+}
+
+function comparisonToText(comparison) {
+  const { header, rows } = comparisonCells(comparison);
+  const widths = header.map((_, i) => Math.max(...[header, ...rows].map((cells) => cells[i].length)));
+  const format = (cells) => `  ${cells.map((cell, i) => cell.padEnd(widths[i])).join("  ")}`.trimEnd();
+  return [format(header), ...rows.map(format), "", ...summaryLines(comparison)].join("\n");
+}
+
+function comparisonToMarkdown(comparison) {
+  const { header, rows } = comparisonCells(comparison);
+  const row = (cells) => `| ${cells.map((cell) => cell.replace(/\|/g, "\\|")).join(" | ")} |`;
+  return [
+    "# Gas and HCU benchmark",
+    "",
+    row(header),
+    row(header.map(() => "---")),
+    ...rows.map(row),
+    "",
+    ...summaryLines(comparison),
+    "",
+    "HCU are estimated from the FHE operations each transaction runs on the local FHEVM mock.",
+  ].join("\n");
+}
+
+module.exports = {
+  BASELINE_VERSION,
+  DEFAULT_BASELINE,
+  DEFAULT_MAX_REGRESSION,
+  loadBaseline,
+  saveBaseline,
+  mergeResults,
+  compareResults,
+  comparisonToText,
+  comparisonToMarkdown,
+};
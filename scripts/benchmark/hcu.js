@@ -0,0 +1,171 @@
+const { ethers } = require("ethers");
+
+/**
+ * Homomorphic complexity units (HCU)
+ *
+ * The FHEVM coprocessor charges every FHE operation in HCU on top of gas and
+ * caps each transaction (HCU_TRANSACTION_LIMIT). The local mock does not run
+ * real ciphertext operations, so MockFHEVMExecutor emits an `FheOperation`
+ * event per operation and this module prices them.
+ *
+ * Prices are estimates taken from the HCU table of the FHEVM Solidity guide
+ * and change between protocol versions. When they do, update HCU_PRICES and
+ * regenerate the baseline with `npm run bench:update`.
+ */
+
+const HCU_TRANSACTION_LIMIT = 20_000_000;
+
+// Types the prices cover, in the column order of HCU_PRICES
+const PRICED_TYPES = ["Bool", "Uint8", "Uint16", "Uint32", "Uint64", "Uint128"];
+
+// FheType values of @fhevm/solidity/lib/FheType.sol
+const FHE_TYPE_NAMES = ["Bool", "Uint4", "Uint8", "Uint16", "Uint32", "Uint64", "Uint128", "Uint160", "Uint256"];
+
+// [scalar prices, non-scalar prices] per type; null where the operation does not exist
+const HCU_PRICES = {
+  fheAdd: [
+    [null, 84_000, 93_000, 95_000, 133_000, 172_000],
+    [null, 88_000, 93_000, 125_000, 162_000, 259_000],
+  ],
+  fheSub: [
+    [null, 84_000, 93_000, 95_000, 133_000, 172_000],
+    [null, 91_000, 93_000, 125_000, 162_000, 260_000],
+  ],
+  fheMul: [
+    [null, 122_000, 193_000, 265_000, 365_000, 696_000],
+    [null, 150_000, 222_000, 328_000, 596_000, 1_686_000],
+  ],
+  fheDiv: [[null, 210_000, 302_000, 438_000, 715_000, 1_225_000], null],
+  fheRem: [[null, 440_000, 580_000, 792_000, 1_153_000, 1_943_000], null],
+  fheBitAnd: [
+    [22_000, 31_000, 31_000, 32_000, 34_000, 37_000],
+    [25_000, 31_000, 31_000, 32_000, 34_000, 37_000],
+  ],
+  fheBitOr: [
+    [22_000, 30_000, 30_000, 32_000, 34_000, 37_000],
+    [24_000, 30_000, 31_000, 32_000, 34_000, 37_000],
+  ],
+  fheBitXor: [
+    [22_000, 31_000, 31_000, 32_000, 34_000, 37_000],
+    [22_000, 31_000, 31_000, 32_000, 34_000, 37_000],
+  ],
+  fheShl: [
+    [null, 32_000, 32_000, 32_000, 34_000, 37_000],
+    [null, 92_000, 123_000, 162_000, 209_000, 272_000],
+  ],
+  fheShr: [
+    [null, 32_000, 32_000, 32_000, 34_000, 37_000],
+    [null, 91_000, 123_000, 162_000, 209_000, 272_000],
+  ],
+  fheRotl: [
+    [null, 31_000, 31_000, 32_000, 34_000, 37_000],
+    [null, 91_000, 125_000, 162_000, 209_000, 272_000],
+  ],
+  fheRotr: [
+    [null, 31_000, 31_000, 32_000, 34_000, 37_000],
+    [null, 93_000, 125_000, 163_000, 209_000, 272_000],
+  ],
+  fheEq: [
+    [25_000, 55_000, 55_000, 82_000, 83_000, 117_000],
+    [26_000, 55_000, 83_000, 86_000, 120_000, 122_000],
+  ],
+  fheNe: [
+    [25_000, 55_000, 55_000, 83_000, 84_000, 117_000],
+    [26_000, 55_000, 83_000, 85_000, 118_000, 122_000],
+  ],
+  fheGe: [
+    [null, 52_000, 55_000, 84_000, 116_000, 149_000],
+    [null, 63_000, 84_000, 118_000, 152_000, 210_000],
+  ],
+  fheGt: [
+    [null, 52_000, 55_000, 84_000, 116_000, 149_000],
+    [null, 59_000, 84_000, 118_000, 152_000, 218_000],
+  ],
+  fheLe: [
+    [null, 58_000, 58_000, 84_000, 119_000, 150_000],
+    [null, 58_000, 83_000, 117_000, 149_000, 218_000],
+  ],
+  fheLt: [
+    [null, 52_000, 58_000, 83_000, 118_000, 149_000],
+    [null, 59_000, 84_000, 117_000, 146_000, 215_000],
+  ],
+  fheMin: [
+    [null, 84_000, 119_000, 158_000, 149_000, 180_000],
+    [null, 119_000, 146_000, 182_000, 228_000, 280_000],
+  ],
+  fheMax: [
+    [null, 89_000, 121_000, 128_000, 150_000, 180_000],
+    [null, 121_000, 145_000, 180_000, 226_000, 280_000],
+  ],
+  fheNeg: [null, [null, 79_000, 93_000, 131_000, 149_000, 199_000]],
+  fheNot: [null, [2, 9, 16, 32, 63, 130]],
+  fheIfThenElse: [null, [55_000, 55_000, 55_000, 55_000, 55_000, 57_000]],
+  cast: [null, [32, 32, 32, 32, 32, 32]],
+  trivialEncrypt: [null, [32, 32, 32, 32, 32, 32]],
+  fheRand: [null, [19_000, 23_000, 23_000, 24_000, 24_000, 25_000]],
+  fheRandBounded: [null, [null, 23_000, 23_000, 24_000, 24_000, 25_000]],
+};
+
+const FHE_OPERATION_EVENT = "event FheOperation(bytes4 indexed operator, uint8 fheType, bool scalar)";
+
+/**
+ * FHE operations executed by a transaction, from the mock executor's events
+ *
+ * @param receipt Transaction receipt
+ * @param executor Contract (or interface owner) of MockFHEVMExecutor
+ * @returns [{ operator: "fheAdd", type: "Uint8", scalar: false }]
+ */
+function fheOperations(receipt, executor) {
+  const eventInterface = new ethers.Interface([FHE_OPERATION_EVENT]);
+  const topic = eventInterface.getEvent("FheOperation").topicHash;
+  const executorAddress = executor.target.toLowerCase();
+
+  return receipt.logs
+    .filter((log) => log.address.toLowerCase() === executorAddress && log.topics[0] === topic)
+    .map((log) => {
+      const { args } = eventInterface.parseLog(log);
+      const fragment = executor.interface.getFunction(args.operator);
+      return {
+        operator: fragment ? fragment.name : args.operator,
+        type: FHE_TYPE_NAMES[Number(args.fheType)] || `FheType(${args.fheType})`,
+        scalar: args.scalar,
+      };
+    });
+}
+
+/**
+ * Estimated HCU of one operation; throws when the price table has no entry
+ */
+function operationHcu({ operator, type, scalar }) {
+  const prices = HCU_PRICES[operator];
+  const column = PRICED_TYPES.indexOf(type);
+  // Operations without a scalar variant take the non-scalar price
+  const row = prices && (scalar && prices[0] ? prices[0] : prices[1]);
+  const price = row && column >= 0 ? row[column] : null;
+  if (price === null || price === undefined) {
+    throw new Error(`No HCU price for ${operator} on ${type}${scalar ? " (scalar)" : ""}`);
+  }
+  return price;
+}
+
+/**
+ * Total HCU and operation counts ("fheAdd(Uint8)": 2, "fheSub(Uint8, scalar)": 1)
+ */
+function estimateHcu(operations) {
+  const counts = {};
+  let hcu = 0;
+  for (const operation of operations) {
+    hcu += operationHcu(operation);
+    const key = `${operation.operator}(${operation.type}${operation.scalar ? ", scalar" : ""})`;
+    counts[key] = (counts[key] || 0) + 1;
+  }
+  return { hcu, operations: counts };
+}
+
+module.exports = {
+  HCU_TRANSACTION_LIMIT,
+  HCU_PRICES,
+  fheOperations,
+  operationHcu,
+  estimateHcu,
+};
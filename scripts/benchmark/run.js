@@ -0,0 +1,263 @@
+#!/usr/bin/env node
+
+const fs = require("fs");
+const path = require("path");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  BASELINE_VERSION,
+  DEFAULT_BASELINE,
+  DEFAULT_MAX_REGRESSION,
+  compareResults,
+  comparisonToMarkdown,
+  comparisonToText,
+  loadBaseline,
+  mergeResults,
+  saveBaseline,
+} = require("./baseline");
+const { estimateHcu, fheOperations } = require("./hcu");
+const { SCENARIOS } = require("./scenarios");
+const { parseVariants } = require("../deployments");
+const { UsageError, runCli } = require("../security/check");
+
+/**
+ * Gas and HCU benchmarks
+ *
+ * Runs the scenarios of scenarios.js for every contract variant on the
+ * in-process Hardhat network with the FHEVM mock, records the gas and the
+ * estimated HCU of each operation and compares them with the committed
+ * baseline (benchmarks/baseline.json).
+ *
+ * Usage:
+ *   node scripts/benchmark/run.js [options]
+ *
+ * Options:
+ *   --format text|markdown|json   Output format (default text)
+ *   --output FILE                 Write the report to FILE instead of stdout
+ *   --max-regression PERCENT      Fail when gas or HCU grows by more than PERCENT (default 5)
+ *   --variant NAME                Only benchmark the given variants (repeatable,
+ *                                 short names or comma separated lists accepted)
+ *   --baseline FILE               Baseline to compare with (default benchmarks/baseline.json)
+ *   --update                      Write the results to the baseline instead of failing
+ *
+ * Exit codes: 0 no regressions, 1 regressions, 2 usage or scenario errors.
+ */
+
+const FORMATS = {
+  text: comparisonToText,
+  markdown: comparisonToMarkdown,
+  json: (comparison, results) => ({ ...comparison, results }),
+};
+
+/**
+ * Records the receipts of one scenario, keeping the most expensive sample
+ * of each operation
+ */
+class BenchmarkRun {
+  constructor(hre, executor, signers) {
+    this.hre = hre;
+    this.fhevm = hre.fhevm;
+    this.executor = executor;
+    this.signers = signers;
+    this.operations = {};
+  }
+
+  async deploy(name) {
+    const factory = await this.hre.ethers.getContractFactory(name);
+    const contract = await factory.deploy();
+    this.record("deploy", await contract.deploymentTransaction().wait());
+    await this.fhevm.configureContract(await contract.getAddress());
+    return contract;
+  }
+
+  async measure(operation, transaction) {
+    const receipt = await (await transaction).wait();
+    this.record(operation, receipt);
+    return receipt;
+  }
+
+  /**
+   * Deliver the contract's pending decryption requests through the mock
+   * relayer and measure each callback
+   */
+  async fulfill(contract, operation) {
+    const requests = await this.pendingDecryptions(contract);
+    if (requests.length === 0) {
+      throw new Error(`No pending decryption request for ${operation}`);
+    }
+    for (const request of requests) {
+      await this.measure(operation, this.fhevm.fulfillDecryptionRequest(request));
+    }
+  }
+
+  async pendingDecryptions(contract) {
+    return this.fhevm.getPendingDecryptionRequests({ contractAddress: await contract.getAddress() });
+  }
+
+  async increaseTime(seconds) {
+    await time.increase(seconds);
+  }
+
+  record(operation, receipt) {
+    const gas = Number(receipt.gasUsed);
+    const { hcu, operations } = estimateHcu(fheOperations(receipt, this.executor));
+    const previous = this.operations[operation];
+
+    this.operations[operation] = {
+      gas: Math.max(gas, previous?.gas ?? 0),
+      hcu: Math.max(hcu, previous?.hcu ?? 0),
+      samples: (previous?.samples ?? 0) + 1,
+      operations: previous && previous.hcu > hcu ? previous.operations : operations,
+    };
+  }
+}
+
+/**
+ * Compiler that built a benchmarked contract, read from its build info
+ *
+ * The version is the solc build that actually ran (e.g.
+ * "0.8.24+commit.e11b9ed9"), not the version hardhat.config.js asks for.
+ */
+async function compilerSettings(hre, contractName) {
+  const { sourceName } = await hre.artifacts.readArtifact(contractName);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${sourceName}:${contractName}`);
+  if (!buildInfo) {
+    throw new Error(`No build info for ${contractName}; run "npx hardhat compile --force"`);
+  }
+  const { optimizer, viaIR } = buildInfo.input.settings;
+  return {
+    version: buildInfo.solcLongVersion,
+    optimizer: Boolean(optimizer?.enabled),
+    runs: optimizer?.runs ?? null,
+    viaIR: Boolean(viaIR),
+  };
+}
+
+/**
+ * Run the benchmark scenarios and return the measured results
+ *
+ * The chain is restored afterwards, so the benchmarks can run inside the
+ * test suite. A first, unmeasured pass warms the storage counters of the
+ * mock contracts, so the numbers do not depend on what ran before.
+ *
+ * @param hre Hardhat runtime environment on the in-process network
+ * @param options.variants Contract names to benchmark (default all)
+ */
+async function runBenchmarks(hre, { variants = Object.keys(SCENARIOS) } = {}) {
+  if (!hre.fhevm) {
+    throw new UsageError(`Benchmarks need the FHEVM mock of the in-process network, not "${hre.network.name}"`);
+  }
+  await hre.run("compile", { quiet: true });
+  await hre.fhevm.initialize();
+
+  const executor = await hre.fhevm.getContract("MockFHEVMExecutor");
+  const signers = await hre.ethers.getSigners();
+  const snapshot = await hre.network.provider.send("evm_snapshot");
+
+  try {
+    await SCENARIOS.EnhancedPetDNAMatching(new BenchmarkRun(hre, executor, signers));
+
+    const results = { version: BASELINE_VERSION, compiler: await compilerSettings(hre, variants[0]), variants: {} };
+    for (const variant of variants) {
+      const run = new BenchmarkRun(hre, executor, signers);
+      try {
+        await SCENARIOS[variant](run);
+      } catch (error) {
+        throw new Error(`${variant} benchmark failed: ${error.shortMessage || error.message}`);
+      }
+      results.variants[variant] = run.operations;
+    }
+    return results;
+  } finally {
+    await hre.network.provider.send("evm_revert", [snapshot]);
+  }
+}
+
+function parseArgs(argv) {
+  const options = {
+    format: "text",
+    output: null,
+    maxRegression: DEFAULT_MAX_REGRESSION,
+    variants: [],
+    baseline: DEFAULT_BASELINE,
+    update: false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) {
+        throw new UsageError(`${flag} needs a value`);
+      }
+      return argv[++i];
+    };
+    switch (flag) {
+      case "--format":
+        options.format = value();
+        if (!FORMATS[options.format]) {
+          throw new UsageError(`Unknown format "${options.format}"; expected ${Object.keys(FORMATS).join(", ")}`);
+        }
+        break;
+      case "--output":
+        options.output = value();
+        break;
+      case "--max-regression": {
+        const percent = Number(value());
+        if (!Number.isFinite(percent) || percent < 0) {
+          throw new UsageError("--max-regression needs a non-negative percentage");
+        }
+        options.maxRegression = percent;
+        break;
+      }
+      case "--variant":
+        try {
+          options.variants.push(...parseVariants(value()));
+        } catch (error) {
+          throw new UsageError(error.message);
+        }
+        break;
+      case "--baseline":
+        options.baseline = value();
+        break;
+      case "--update":
+        options.update = true;
+        break;
+      default:
+        throw new UsageError(`Unknown option ${flag}`);
+    }
+  }
+  options.variants = [...new Set(options.variants)];
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  const hre = require("hardhat");
+  const variants = options.variants.length ? options.variants : Object.keys(SCENARIOS);
+  const results = await runBenchmarks(hre, { variants });
+  const baseline = loadBaseline(options.baseline);
+  const comparison = compareResults(baseline, results, { maxRegression: options.maxRegression });
+
+  const report = FORMATS[options.format](comparison, results);
+  const output = typeof report === "string" ? report : JSON.stringify(report, null, 2);
+  if (options.output) {
+    fs.mkdirSync(path.dirname(path.resolve(options.output)), { recursive: true });
+    fs.writeFileSync(options.output, output + "\n");
+    console.log(comparisonToText(comparison));
+    console.log(`\n📝 ${options.format} report written to ${options.output}`);
+  } else {
+    console.log(output);
+  }
+
+  if (options.update) {
+    saveBaseline(mergeResults(baseline, results), options.baseline);
+    console.log(`\n📝 Baseline written to ${options.baseline}`);
+    return false;
+  }
+  return comparison.failed;
+}
+
+if (require.main === module) {
+  runCli(main);
+}
+
+module.exports = { BenchmarkRun, runBenchmarks, parseArgs };
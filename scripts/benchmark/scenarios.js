@@ -0,0 +1,138 @@
+/**
+ * Benchmark scenarios, one per contract variant
+ *
+ * A scenario deploys a fresh contract and drives it through registration,
+ * matching requests, decryption callbacks and refunds, recording each
+ * transaction with `bench.measure(operation, transaction)`. Operations a
+ * variant does not implement are not measured. Inputs are fixed so the
+ * numbers are reproducible run to run.
+ */
+
+// Markers far apart score above EnhancedPetDNAMatching.MIN_COMPATIBILITY_SCORE
+const DIVERSE_DNA = [
+  { markers: [240, 20, 230, 15], healthRisk: 5, temperament: 6 },
+  { markers: [10, 235, 25, 240], healthRisk: 8, temperament: 7 },
+];
+// Markers close to DIVERSE_DNA[1] score below it, so the callback refunds the fee
+const SIMILAR_DNA = { markers: [12, 230, 28, 236], healthRisk: 30, temperament: 2 };
+
+/**
+ * Fee-paying request, timed-out request, successful and refunded callbacks
+ */
+async function enhanced(bench) {
+  const [owner, breeder] = bench.signers;
+  const contract = await bench.deploy("EnhancedPetDNAMatching");
+  const contractAddress = await contract.getAddress();
+  const fee = await contract.MATCHING_FEE();
+
+  const register = async (signer, name, dna) => {
+    const input = bench.fhevm.createEncryptedInput(contractAddress, signer.address);
+    [...dna.markers, dna.healthRisk, dna.temperament].forEach((value) => input.add8(value));
+    const { handles, inputProof } = await input.encrypt();
+    return bench.measure(
+      "registerPet",
+      contract.connect(signer).registerPet(name, "Labrador", 3, ...handles, inputProof)
+    );
+  };
+
+  await register(owner, "Luna", DIVERSE_DNA[0]);
+  await register(breeder, "Rocky", DIVERSE_DNA[1]);
+  await register(breeder, "Daisy", SIMILAR_DNA);
+
+  await bench.measure("requestMatching", contract.connect(owner).requestMatching(1, 2, { value: fee }));
+  await bench.fulfill(contract, "processMatchingCallback");
+
+  await bench.measure("requestMatching", contract.connect(breeder).requestMatching(2, 3, { value: fee }));
+  await bench.fulfill(contract, "processMatchingCallback (refund)");
+
+  await bench.measure("requestMatching", contract.connect(owner).requestMatching(1, 3, { value: fee }));
+  await bench.increaseTime((await contract.callbackTimeout()) + 1n);
+  await bench.measure("claimTimeoutRefund", contract.connect(breeder).claimTimeoutRefund(3));
+}
+
+/**
+ * Matching against every registered pet; the request cost grows with the
+ * number of pets, so the scenario always registers four
+ */
+async function privateMatching(bench) {
+  const [owner, breeder] = bench.signers;
+  const contract = await bench.deploy("PrivatePetDNAMatching");
+
+  const pets = [
+    [owner, "Luna", DIVERSE_DNA[0]],
+    [breeder, "Rocky", DIVERSE_DNA[1]],
+    [breeder, "Daisy", SIMILAR_DNA],
+    [breeder, "Max", DIVERSE_DNA[0]],
+  ];
+  for (const [signer, name, dna] of pets) {
+    await bench.measure(
+      "registerPet",
+      contract.connect(signer).registerPet(name, "Labrador", 3, ...dna.markers, dna.healthRisk)
+    );
+  }
+
+  await bench.measure("requestMatching", contract.connect(owner).requestMatching(1));
+  await bench.fulfill(contract, "processMatchingResult");
+}
+
+/**
+ * processMatchingResult still has the legacy gateway signature
+ * (requestId, healthSum, temperamentDiff, signatures), which the decryption
+ * oracle cannot call, so the scenario delivers the cleartexts directly
+ */
+async function petDnaMatching(bench) {
+  const [owner, breeder] = bench.signers;
+  const contract = await bench.deploy("PetDNAMatching");
+  const cost = await contract.matchingCost();
+
+  await bench.measure(
+    "registerPet",
+    contract.connect(owner).registerPet("Luna", "Dog", "Labrador", 2020, 90, 1200, 3400, 560, 6)
+  );
+  await bench.measure(
+    "registerPet",
+    contract.connect(breeder).registerPet("Rocky", "Dog", "Labrador", 2019, 85, 1500, 2900, 610, 7)
+  );
+
+  const receipt = await bench.measure(
+    "requestMatching",
+    contract.connect(owner).requestMatching(1, 2, { value: cost })
+  );
+  const { requestId } = receipt.logs
+    .map((log) => contract.interface.parseLog(log))
+    .find((event) => event && event.name === "MatchingRequested").args;
+  const [request] = await bench.pendingDecryptions(contract);
+  const [healthSum, temperamentDiff] = await Promise.all(
+    request.handles.map((handle) => bench.fhevm.getClearText(handle))
+  );
+
+  await bench.measure(
+    "processMatchingResult",
+    contract.processMatchingResult(requestId, healthSum, temperamentDiff, [])
+  );
+}
+
+/**
+ * SimplePetDNAMatching and TestPetDNAMatching have no paid matching, only a
+ * compatibility check
+ */
+function compatibilityCheck(variant) {
+  return async (bench) => {
+    const [owner, breeder] = bench.signers;
+    const contract = await bench.deploy(variant);
+
+    await bench.measure("registerPet", contract.connect(owner).registerPet("Luna", "Labrador", 90, 1200));
+    await bench.measure("registerPet", contract.connect(breeder).registerPet("Rocky", "Labrador", 85, 1500));
+    await bench.measure("checkCompatibility", contract.connect(owner).checkCompatibility(1, 2));
+  };
+}
+
+const SCENARIOS = {
+  EnhancedPetDNAMatching: enhanced,
+  PrivatePetDNAMatching: privateMatching,
+  PetDNAMatching: petDnaMatching,
+  SimplePetDNAMatching: compatibilityCheck("SimplePetDNAMatching"),
+  TestPetDNAMatching: compatibilityCheck("TestPetDNAMatching"),
+};
+
+module.exports = { SCENARIOS };
@@ -0,0 +1,486 @@
+#!/usr/bin/env node
+
+const { MockFhevm } = require("../fhevm-mock/MockFhevm");
+const { parseVariants } = require("../deployments");
+const { UsageError, runCli } = require("../security/check");
+const { loadSdk } = require("../sdk");
+const model = require("./model");
+
+const sdk = loadSdk();
+
+/**
+ * Differential check of the compatibility model against the contracts
+ *
+ * Registers pets with random DNA on each contract variant, requests
+ * matchings, delivers the decryption callbacks and compares what the
+ * contracts decrypted and stored with the plaintext model of model.js.
+ * Random values lean towards the uint8 edges (0, 1, 127, 128, 254, 255...)
+ * so the wrap-around paths are exercised. Runs are reproducible from their
+ * seed. EnhancedPetDNAMatching pets are registered through the SDK's
+ * FHEVMContract over Hardhat's ethers v6 signers, so the check also covers
+ * the SDK's ABI-driven encryption.
+ *
+ * Usage:
+ *   node scripts/compatibility/differential.js [options]
+ *
+ * Options:
+ *   --cases N              Random cases per variant (default 25)
+ *   --seed N               Seed of the random inputs (default: random, printed)
+ *   --variant NAME         Only check the given variants (repeatable, short
+ *                          names or comma separated lists accepted)
+ *   --network NAME         hardhat (in-process, default) or localhost, a running
+ *                          `npx hardhat node` with the FHEVM mock
+ *   --format text|json     Output format (default text)
+ *
+ * Exit codes: 0 model and contracts agree, 1 mismatches, 2 usage or setup errors.
+ */
+
+const DEFAULT_CASES = 25;
+const EDGE_VALUES = [0, 1, 2, 127, 128, 200, 254, 255];
+// How long to wait for the relayer of `npx hardhat node` to deliver a callback
+const CALLBACK_TIMEOUT_MS = 30000;
+
+/**
+ * mulberry32, a small seedable PRNG returning floats in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    int: (max) => Math.floor(next() * (max + 1)),
+    chance: (probability) => next() < probability,
+    // uint8 with a third of the draws on the edges; values above max are folded back
+    uint8: (max = 255) =>
+      (next() < 0.3 ? EDGE_VALUES[Math.floor(next() * EDGE_VALUES.length)] : Math.floor(next() * 256)) % (max + 1),
+    pick: (values) => values[Math.floor(next() * values.length)],
+  };
+}
+
+/**
+ * Contracts, signers and FHEVM mock of one run
+ */
+class DifferentialRun {
+  constructor(hre, fhevm, signers, random) {
+    this.hre = hre;
+    this.fhevm = fhevm;
+    this.signers = signers;
+    this.random = random;
+    this.inProcess = hre.network.name === "hardhat";
+  }
+
+  async deploy(name) {
+    const factory = await this.hre.ethers.getContractFactory(name, this.signers[0]);
+    const contract = await factory.deploy();
+    await contract.waitForDeployment();
+    await this.fhevm.configureContract(await contract.getAddress());
+    return contract;
+  }
+
+  async send(transaction) {
+    return (await transaction).wait();
+  }
+
+  /**
+   * The SDK's FHEVMContract for a deployed contract, sending as `signer`
+   * through the SDK's ethers v6 chain adapter and mock encryption
+   */
+  async sdkContract(contract, name, signer) {
+    const adapter = sdk.createChainAdapter(signer);
+    const client = new sdk.FHEVMClient({ adapter, chainId: await adapter.getChainId(), mock: true });
+    await client.initialize();
+
+    const { abi } = await this.hre.artifacts.readArtifact(name);
+    return new sdk.FHEVMContract({ address: await contract.getAddress(), abi, client, adapter });
+  }
+
+  event(contract, receipt, name) {
+    const event = receipt.logs
+      .map((log) => {
+        try {
+          return contract.interface.parseLog(log);
+        } catch {
+          return null;
+        }
+      })
+      .find((parsed) => parsed && parsed.name === name);
+    if (!event) {
+      // ethers v6 receipts carry `hash`, SDK receipts `transactionHash`
+      throw new Error(`No ${name} event in ${receipt.hash || receipt.transactionHash}`);
+    }
+    return event.args;
+  }
+
+  /**
+   * The decryption request a transaction made, read from its receipt so a
+   * relayer answering first cannot hide it
+   */
+  async decryptionRequest(receipt) {
+    const oracle = await this.fhevm.getContract("MockDecryptionOracle");
+    const address = (await oracle.getAddress()).toLowerCase();
+    const log = receipt.logs.find((entry) => entry.address.toLowerCase() === address);
+    if (!log) {
+      throw new Error(`No decryption request in ${receipt.hash}`);
+    }
+
+    const { args } = oracle.interface.parseLog(log);
+    return {
+      counter: args.counter,
+      requestID: args.requestID,
+      handles: Array.from(args.cts),
+      contractAddress: args.contractCaller,
+      callbackSelector: args.callbackSelector,
+      blockNumber: receipt.blockNumber,
+    };
+  }
+
+  async clearTexts(request) {
+    return Promise.all(request.handles.map(async (handle) => Number(await this.fhevm.getClearText(handle))));
+  }
+
+  /**
+   * Run the callback of a request: in-process as the relayer, on a node by
+   * waiting for its relayer
+   */
+  async deliver(request) {
+    if (this.inProcess) {
+      await this.send(this.fhevm.fulfillDecryptionRequest(request));
+      return;
+    }
+
+    const deadline = Date.now() + CALLBACK_TIMEOUT_MS;
+    while (!(await this.fhevm.isFulfilled(request))) {
+      if (Date.now() > deadline) {
+        throw new Error(`Decryption request ${request.requestID} was not fulfilled; is the node relaying?`);
+      }
+      await new Promise((resolve) => setTimeout(resolve, 500));
+    }
+  }
+}
+
+/**
+ * Expected and actual values of one case; it agrees when every value does
+ */
+function compare(inputs, expected, actual) {
+  const mismatches = Object.keys(expected)
+    .filter((key) => JSON.stringify(expected[key]) !== JSON.stringify(actual[key]))
+    .map((key) => ({ field: key, expected: expected[key], actual: actual[key] }));
+  return { inputs, expected, actual, agrees: mismatches.length === 0, mismatches };
+}
+
+function enhancedDNA(random) {
+  const [marker1, marker2, marker3, marker4, healthRisk, temperament] = Array.from({ length: 6 }, () => random.uint8());
+  return { marker1, marker2, marker3, marker4, healthRisk, temperament };
+}
+
+async function enhancedCases(run, count) {
+  const [, alice, bob] = run.signers;
+  const contract = await run.deploy("EnhancedPetDNAMatching");
+  const fee = await contract.MATCHING_FEE();
+  const sdkContracts = new Map([
+    [alice, await run.sdkContract(contract, "EnhancedPetDNAMatching", alice)],
+    [bob, await run.sdkContract(contract, "EnhancedPetDNAMatching", bob)],
+  ]);
+
+  const register = async (signer, dna) => {
+    // The SDK encrypts the DNA markers and appends the input proof
+    const receipt = await run.send(
+      sdkContracts.get(signer).write.registerPet("Pet", "Labrador", 3, ...Object.values(dna))
+    );
+    return run.event(contract, receipt, "PetRegistered").petId;
+  };
+
+  const results = [];
+  for (let i = 0; i < count; i++) {
+    const pet1 = enhancedDNA(run.random);
+    const pet2 = enhancedDNA(run.random);
+    const petId1 = await register(alice, pet1);
+    const petId2 = await register(bob, pet2);
+
+    const receipt = await run.send(contract.connect(alice).requestMatching(petId1, petId2, { value: fee }));
+    const { requestId } = run.event(contract, receipt, "MatchingRequested");
+    const decryption = await run.decryptionRequest(receipt);
+    const [rawScore] = await run.clearTexts(decryption);
+    await run.deliver(decryption);
+
+    const request = await contract.getMatchingRequest(requestId);
+    results.push(
+      compare({ pet1, pet2 }, model.enhancedCompatibility(pet1, pet2), {
+        rawScore,
+        score: Number(request.compatibilityScore),
+        isSuccessfulMatch: request.isCompleted && !request.isRefunded,
+      })
+    );
+  }
+  return results;
+}
+
+/**
+ * A fresh contract per case, since matching scans every registered pet
+ */
+async function privateCases(run, count) {
+  const owners = run.signers.slice(1, 4);
+  const results = [];
+
+  for (let i = 0; i < count; i++) {
+    const contract = await run.deploy("PrivatePetDNAMatching");
+    const pets = [];
+
+    for (let id = 1, total = 2 + run.random.int(2); id <= total; id++) {
+      // Pet 1 is the requester, so it is always available
+      const pet = {
+        id,
+        owner: id === 1 ? owners[0] : run.random.pick(owners),
+        isAvailableForBreeding: id === 1 || !run.random.chance(0.25),
+        dna: Object.fromEntries(
+          ["marker1", "marker2", "marker3", "marker4", "healthRisk"].map((field) => [field, run.random.uint8()])
+        ),
+      };
+      const { marker1, marker2, marker3, marker4, healthRisk } = pet.dna;
+      await run.send(
+        contract.connect(pet.owner).registerPet("Pet", "Labrador", 3, marker1, marker2, marker3, marker4, healthRisk)
+      );
+      if (!pet.isAvailableForBreeding) {
+        await run.send(contract.connect(pet.owner).toggleBreedingStatus(id));
+      }
+      pets.push(pet);
+    }
+
+    const receipt = await run.send(contract.connect(owners[0]).requestMatching(1));
+    const { requestId } = run.event(contract, receipt, "MatchingRequested");
+    const decryption = await run.decryptionRequest(receipt);
+    const [bestScore] = await run.clearTexts(decryption);
+    await run.deliver(decryption);
+
+    const request = await contract.getMatchingRequest(requestId);
+    const found = await contract.queryFilter(contract.filters.MatchFound(requestId));
+    const expected = model.privateMatching(
+      pets.map((pet) => ({ ...pet, owner: pet.owner.address })),
+      1
+    );
+    results.push(
+      compare(
+        {
+          pets: pets.map(({ id, owner, isAvailableForBreeding, dna }) => ({
+            id,
+            owner: owner.address,
+            isAvailableForBreeding,
+            dna,
+          })),
+        },
+        {
+          bestScore: expected.bestScore,
+          bestMatchId: expected.bestMatchId,
+          candidates: expected.candidateIds.length,
+          matchFound: expected.matchFound,
+        },
+        {
+          bestScore,
+          bestMatchId: Number(request.bestMatchId),
+          candidates: Number(request.potentialMatchCount),
+          matchFound: found.length > 0,
+        }
+      )
+    );
+  }
+  return results;
+}
+
+/**
+ * processMatchingResult keeps the legacy gateway signature, which the
+ * decryption oracle cannot call, so the decrypted inputs are delivered
+ * directly like scripts/benchmark does
+ */
+async function legacyCases(run, count) {
+  const [, alice, bob] = run.signers;
+  const contract = await run.deploy("PetDNAMatching");
+  const cost = await contract.matchingCost();
+
+  const register = async (signer, pet) => {
+    const receipt = await run.send(
+      contract
+        .connect(signer)
+        .registerPet("Pet", "Dog", "Labrador", 2020, pet.healthScore, 1200, 3400, 560, pet.temperament)
+    );
+    return run.event(contract, receipt, "PetRegistered").petId;
+  };
+  const legacyPet = () => ({ healthScore: run.random.uint8(100), temperament: run.random.uint8(10) });
+
+  const results = [];
+  for (let i = 0; i < count; i++) {
+    const pet1 = legacyPet();
+    const pet2 = legacyPet();
+    const petId1 = await register(alice, pet1);
+    const petId2 = await register(bob, pet2);
+
+    const receipt = await run.send(contract.connect(alice).requestMatching(petId1, petId2, { value: cost }));
+    const { requestId } = run.event(contract, receipt, "MatchingRequested");
+    const [healthSum, temperamentDiff] = await run.clearTexts(await run.decryptionRequest(receipt));
+    await run.send(contract.processMatchingResult(requestId, healthSum, temperamentDiff, []));
+
+    const matches = await contract.getPetMatches(petId1);
+    const result = matches[matches.length - 1];
+    results.push(
+      compare({ pet1, pet2 }, model.legacyCompatibility(pet1, pet2), {
+        healthSum,
+        temperamentDiff,
+        score: Number(result.compatibilityScore),
+        isMatched: result.isMatched,
+      })
+    );
+  }
+  return results;
+}
+
+const CHECKS = {
+  EnhancedPetDNAMatching: enhancedCases,
+  PrivatePetDNAMatching: privateCases,
+  PetDNAMatching: legacyCases,
+};
+
+/**
+ * Compare the model with the contracts on random inputs
+ *
+ * In-process the chain is restored afterwards, so the check can run inside
+ * the test suite.
+ *
+ * @param hre Hardhat runtime environment, in-process or connected to a node running the FHEVM mock
+ * @param options.variants Contract names to check (default all modelled variants)
+ * @param options.cases Random cases per variant
+ * @param options.seed Seed of the random inputs
+ * @returns { seed, network, variants: { [variant]: case results } }
+ */
+async function runDifferential(hre, { variants = Object.keys(CHECKS), cases = DEFAULT_CASES, seed } = {}) {
+  const unsupported = variants.filter((variant) => !CHECKS[variant]);
+  if (unsupported.length > 0) {
+    throw new UsageError(`No compatibility model for ${unsupported.join(", ")}`);
+  }
+  const runSeed = seed ?? Math.floor(Math.random() * 2 ** 32);
+
+  await hre.run("compile", { quiet: true });
+  const fhevm = hre.fhevm || new MockFhevm(hre);
+  await fhevm.initialize();
+
+  const signers = await hre.ethers.getSigners();
+  const inProcess = hre.network.name === "hardhat";
+  const snapshot = inProcess ? await hre.network.provider.send("evm_snapshot") : null;
+
+  try {
+    const results = { seed: runSeed, network: hre.network.name, variants: {} };
+    for (const variant of variants) {
+      // Each variant draws from its own stream, so --variant does not change the inputs
+      const run = new DifferentialRun(hre, fhevm, signers, createRandom(runSeed + variants.indexOf(variant)));
+      try {
+        results.variants[variant] = await CHECKS[variant](run, cases);
+      } catch (error) {
+        throw new Error(`${variant} check failed: ${error.shortMessage || error.message}`);
+      }
+    }
+    return results;
+  } finally {
+    if (snapshot) {
+      await hre.network.provider.send("evm_revert", [snapshot]);
+    }
+  }
+}
+
+function hasMismatches(results) {
+  return Object.values(results.variants).some((cases) => cases.some((result) => !result.agrees));
+}
+
+function resultsToText(results) {
+  const lines = [`🔬 Compatibility model vs contracts on ${results.network} (seed ${results.seed})`, ""];
+  for (const [variant, cases] of Object.entries(results.variants)) {
+    const failed = cases.filter((result) => !result.agrees);
+    lines.push(
+      `${failed.length ? "❌" : "✅"} ${variant}: ${cases.length - failed.length}/${cases.length} cases agree`
+    );
+    for (const result of failed) {
+      lines.push(`   inputs ${JSON.stringify(result.inputs)}`);
+      for (const { field, expected, actual } of result.mismatches) {
+        lines.push(`     ${field}: model ${JSON.stringify(expected)}, contract ${JSON.stringify(actual)}`);
+      }
+    }
+  }
+  return lines.join("\n");
+}
+
+const FORMATS = {
+  text: resultsToText,
+  json: (results) => JSON.stringify(results, null, 2),
+};
+
+function parseArgs(argv) {
+  const options = { cases: DEFAULT_CASES, seed: undefined, variants: [], network: "hardhat", format: "text" };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) {
+        throw new UsageError(`${flag} needs a value`);
+      }
+      return argv[++i];
+    };
+    const integer = (min) => {
+      const number = Number(value());
+      if (!Number.isInteger(number) || number < min) {
+        throw new UsageError(`${flag} needs an integer of at least ${min}`);
+      }
+      return number;
+    };
+    switch (flag) {
+      case "--cases":
+        options.cases = integer(1);
+        break;
+      case "--seed":
+        options.seed = integer(0);
+        break;
+      case "--variant":
+        try {
+          options.variants.push(...parseVariants(value()));
+        } catch (error) {
+          throw new UsageError(error.message);
+        }
+        break;
+      case "--network":
+        options.network = value();
+        break;
+      case "--format":
+        options.format = value();
+        if (!FORMATS[options.format]) {
+          throw new UsageError(`Unknown format "${options.format}"; expected ${Object.keys(FORMATS).join(", ")}`);
+        }
+        break;
+      default:
+        throw new UsageError(`Unknown option ${flag}`);
+    }
+  }
+  options.variants = [...new Set(options.variants)];
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  process.env.HARDHAT_NETWORK = options.network;
+  const hre = require("hardhat");
+  const results = await runDifferential(hre, {
+    variants: options.variants.length ? options.variants : Object.keys(CHECKS),
+    cases: options.cases,
+    seed: options.seed,
+  });
+
+  console.log(FORMATS[options.format](results));
+  return hasMismatches(results);
+}
+
+if (require.main === module) {
+  runCli(main);
+}
+
+module.exports = { createRandom, runDifferential, hasMismatches, resultsToText, parseArgs };
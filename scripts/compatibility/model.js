@@ -0,0 +1,11 @@
+/**
+ * Plaintext compatibility model
+ *
+ * The model lives in packages/fhevm-sdk/src/petdna/CompatibilityModel.ts,
+ * which the frontends use for what-if previews. It is loaded here from the
+ * SDK sources (see scripts/sdk.js), so scripts/compatibility/differential.js
+ * checks the very code the SDK ships against the deployed contracts.
+ */
+const { loadSdk } = require("../sdk");
+
+module.exports = loadSdk("petdna/CompatibilityModel");
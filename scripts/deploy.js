@@ -1,83 +1,156 @@
 const hre = require("hardhat");
 require("dotenv").config();
+const { computeAbiHash, parseVariants, recordDeployments } = require("./deployments");
+const { MockFhevm } = require("./fhevm-mock/MockFhevm");
+const {
+  GatewayConfigError,
+  assertGatewayConfig,
+  deploymentGateway,
+  printGatewayReport,
+  verifyGatewayConfig,
+} = require("./gateway-config");
+
+/**
+ * Deploy PetDNA matching contracts and record them in deployments/<network>.json
+ *
+ * Usage:
+ *   npx hardhat run scripts/deploy.js --network sepolia
+ *   DEPLOY_VARIANTS=Enhanced,Private npx hardhat run scripts/deploy.js --network localhost
+ *
+ * Environment:
+ *   DEPLOY_VARIANTS          Enhanced, Private, PetDNA, Test and/or Simple (default Test)
+ *   DEPLOYMENTS_DIR          Registry directory (default deployments/)
+ *   DEPLOYMENT_TX            Record the contract created by this transaction instead of
+ *                            deploying; DEPLOY_VARIANTS names its single variant
+ *   GATEWAY_URL, ACL_ADDRESS, KMS_VERIFIER_ADDRESS, NUM_PAUSERS, NUM_COPROCESSORS, PAUSER_ADDRESS_[0-N]
+ *                            Gateway configuration, see scripts/gateway-config.js
+ *
+ * The deployment is aborted when the gateway configuration has errors.
+ * Deployments to the in-process `hardhat` network are not recorded.
+ * On `hardhat` and `localhost`, variants that do not inherit SepoliaConfig
+ * are pointed at the FHEVM mock (scripts/fhevm-mock).
+ */
+
+/**
+ * Deploy each variant from the first signer
+ *
+ * @returns Registry entries of the deployed contracts
+ */
+async function deployVariants(hre, variants, gateway) {
+  const [deployer] = await hre.ethers.getSigners();
+  const fhevm = hre.fhevm || (hre.network.name === "localhost" ? new MockFhevm(hre) : null);
+  const deployments = [];
+
+  for (const variant of variants) {
+    const factory = await hre.ethers.getContractFactory(variant, deployer);
+    const contract = await factory.deploy();
+    const receipt = await contract.deploymentTransaction().wait();
+    const { abi } = await hre.artifacts.readArtifact(variant);
+    const address = await contract.getAddress();
+    if (fhevm) {
+      await fhevm.configureContract(address);
+    }
+
+    deployments.push({
+      variant,
+      address,
+      abiHash: computeAbiHash(abi),
+      blockNumber: receipt.blockNumber,
+      transactionHash: receipt.hash,
+      deployer: deployer.address,
+      deployedAt: new Date().toISOString(),
+      gateway,
+    });
+  }
+
+  return deployments;
+}
+
+/**
+ * Registry entry of a contract deployed earlier, read from its creation transaction
+ *
+ * For contracts deployed before the registry existed or by other tools.
+ */
+async function readDeployment(hre, variant, transactionHash, gateway) {
+  const receipt = await hre.ethers.provider.getTransactionReceipt(transactionHash);
+  if (!receipt?.contractAddress) {
+    throw new Error(`${transactionHash} is not a contract creation on ${hre.network.name}`);
+  }
+  const { abi } = await hre.artifacts.readArtifact(variant);
+  const block = await hre.ethers.provider.getBlock(receipt.blockNumber);
+
+  return {
+    variant,
+    address: receipt.contractAddress,
+    abiHash: computeAbiHash(abi),
+    blockNumber: receipt.blockNumber,
+    transactionHash: receipt.hash,
+    deployer: receipt.from,
+    deployedAt: new Date(block.timestamp * 1000).toISOString(),
+    gateway,
+  };
+}
 
 async function main() {
   console.log("=".repeat(60));
   console.log("Pet DNA Matching Contract Deployment");
   console.log("=".repeat(60));
 
+  const variants = parseVariants(process.env.DEPLOY_VARIANTS || "Test");
+  const network = hre.network.name;
+  const chainId = Number((await hre.ethers.provider.getNetwork()).chainId);
+  const [deployer] = await hre.ethers.getSigners();
+
+  console.log(`\n🌐 Network: ${network} (chain ID ${chainId})`);
+  console.log(`👤 Deployer: ${deployer.address}`);
+  console.log(`💰 Balance: ${hre.ethers.formatEther(await hre.ethers.provider.getBalance(deployer.address))} ETH`);
+
   // Validate gateway configuration
-  console.log("\n📋 Gateway Configuration:");
-  const numPausers = process.env.NUM_PAUSERS || 2;
-  console.log(`  NUM_PAUSERS: ${numPausers}`);
-
-  const pauserAddresses = [];
-  for (let i = 0; i < numPausers; i++) {
-    const address = process.env[`PAUSER_ADDRESS_${i}`];
-    if (address) {
-      pauserAddresses.push(address);
-      console.log(`  PAUSER_ADDRESS_${i}: ${address}`);
-    } else {
-      console.warn(`  ⚠️  Warning: PAUSER_ADDRESS_${i} not configured`);
+  const gateway = await verifyGatewayConfig(hre.config.gateway[network], hre.ethers.provider);
+  console.log();
+  printGatewayReport(gateway);
+  assertGatewayConfig(gateway);
+
+  let deployments;
+  if (process.env.DEPLOYMENT_TX) {
+    if (variants.length !== 1) {
+      throw new Error("DEPLOYMENT_TX records one contract; name its variant in DEPLOY_VARIANTS");
     }
+    console.log(`\n🔎 Reading ${variants[0]} from transaction ${process.env.DEPLOYMENT_TX}...`);
+    deployments = [await readDeployment(hre, variants[0], process.env.DEPLOYMENT_TX, deploymentGateway(gateway))];
+  } else {
+    console.log(`\n🚀 Deploying ${variants.join(", ")}...`);
+    deployments = await deployVariants(hre, variants, deploymentGateway(gateway));
+  }
+  for (const { variant, address, blockNumber } of deployments) {
+    console.log(`✅ ${variant} deployed to ${address} (block ${blockNumber})`);
   }
 
-  if (pauserAddresses.length === 0) {
-    console.warn("\n⚠️  Warning: No pauser addresses configured. This is required for production.");
-    console.warn("   Please set NUM_PAUSERS and PAUSER_ADDRESS_[0-N] in .env file");
+  console.log("\n" + "=".repeat(60));
+  if (network === "hardhat") {
+    console.log("ℹ️  In-process hardhat network: deployments are not recorded");
+  } else {
+    const file = recordDeployments(network, chainId, deployments, process.env.DEPLOYMENTS_DIR);
+    console.log(`📝 Recorded ${deployments.length} deployment(s) in ${file}`);
   }
+  console.log("=".repeat(60));
 
-  console.log("\n🚀 Deploying TestPetDNAMatching contract...");
-
-  // Deploy the contract
-  const TestPetDNAMatching = await hre.ethers.getContractFactory("TestPetDNAMatching");
-  const contract = await TestPetDNAMatching.deploy();
-
-  await contract.waitForDeployment();
-
-  const contractAddress = await contract.getAddress();
-  console.log("\n✅ TestPetDNAMatching deployed to:", contractAddress);
-
-  // Test basic functionality
-  console.log("\n🧪 Testing contract functions...");
-
-  try {
-    const totalPets = await contract.getTotalPets();
-    console.log("  📊 Total pets:", totalPets.toString());
-
-    const owner = await contract.owner();
-    console.log("  👤 Contract owner:", owner);
-
-    const matchingCost = await contract.matchingCost();
-    console.log("  💰 Matching cost:", hre.ethers.formatEther(matchingCost), "ETH");
-
-    console.log("\n" + "=".repeat(60));
-    console.log("✅ Contract deployment and basic tests successful!");
-    console.log("=".repeat(60));
-    console.log("\n📝 Next Steps:");
-    console.log("  1. Update CONTRACT_ADDRESS in index.html:");
-    console.log(`     const CONTRACT_ADDRESS = "${contractAddress}";`);
-    console.log("\n  2. Update .env file with:");
-    console.log(`     CONTRACT_ADDRESS=${contractAddress}`);
-    console.log("\n  3. Verify contract on Etherscan (optional):");
-    console.log(`     npx hardhat verify --network sepolia ${contractAddress}`);
-    console.log("\n  4. Test the dApp at:");
-    console.log("     http://localhost:1171");
-    console.log("\n📚 Migration Notes:");
-    console.log("  - This contract uses the new FHEVM Gateway API");
-    console.log("  - No longer uses checkSignatures() - signature verification");
-    console.log("    is now handled automatically by the gateway");
-    console.log("  - Events are emitted individually per KMS response");
-    console.log("  - See GATEWAY_MIGRATION.md for full details");
-    console.log("=".repeat(60) + "\n");
-
-  } catch (error) {
-    console.error("\n❌ Contract test failed:", error);
-    process.exitCode = 1;
+  console.log("\n📝 Next Steps:");
+  console.log("  1. The SDK, the petdna CLI and the frontends read the addresses from the registry;");
+  console.log("     commit deployments/<network>.json for shared networks");
+  console.log("  2. Verify the contracts on Etherscan (optional):");
+  for (const { address } of deployments) {
+    console.log(`     npx hardhat verify --network ${network} ${address}`);
   }
+  console.log("=".repeat(60) + "\n");
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    // The gateway report above already lists the invalid settings
+    console.error("\n❌ Deployment failed:", error instanceof GatewayConfigError ? error.message : error);
+    process.exitCode = 1;
+  });
 }
 
-main().catch((error) => {
-  console.error("\n❌ Deployment failed:", error);
-  process.exitCode = 1;
-});
\ No newline at end of file
+module.exports = { deployVariants, readDeployment };
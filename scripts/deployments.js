@@ -0,0 +1,147 @@
+const fs = require("fs");
+const path = require("path");
+const { id } = require("ethers");
+
+/**
+ * Deployment registry
+ *
+ * Every deployment made by scripts/deploy.js is recorded in
+ * `deployments/<network>.json`, keyed by contract variant:
+ *
+ *   {
+ *     "version": 1,
+ *     "network": "sepolia",
+ *     "chainId": 11155111,
+ *     "contracts": {
+ *       "EnhancedPetDNAMatching": {
+ *         "variant": "EnhancedPetDNAMatching",
+ *         "address": "0x...",
+ *         "abiHash": "0x...",
+ *         "blockNumber": 123,
+ *         "transactionHash": "0x...",
+ *         "deployer": "0x...",
+ *         "deployedAt": "2024-01-01T00:00:00.000Z",
+ *         "gateway": { "gatewayUrl": "...", "numPausers": 2, "pauserAddresses": [] }
+ *       }
+ *     }
+ *   }
+ *
+ * The SDK (`@fhevm-pet-dna/sdk/deployments`), the petdna CLI and the
+ * frontends read these files; keep the format in sync with
+ * packages/fhevm-sdk/src/deployments/DeploymentRegistry.ts.
+ */
+
+const REGISTRY_VERSION = 1;
+
+const DEFAULT_DIR = path.join(__dirname, "..", "deployments");
+
+// Short names accepted by DEPLOY_VARIANTS
+const VARIANTS = {
+  Enhanced: "EnhancedPetDNAMatching",
+  Private: "PrivatePetDNAMatching",
+  PetDNA: "PetDNAMatching",
+  Test: "TestPetDNAMatching",
+  Simple: "SimplePetDNAMatching",
+};
+
+/**
+ * Resolve a comma separated list of variants ("Enhanced,Private" or full
+ * contract names) to contract names
+ */
+function parseVariants(list) {
+  const names = Object.values(VARIANTS);
+  const variants = list
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const variant = VARIANTS[entry] || names.find((name) => name === entry);
+      if (!variant) {
+        throw new Error(`Unknown variant "${entry}". Expected one of: ${Object.keys(VARIANTS).join(", ")}`);
+      }
+      return variant;
+    });
+
+  if (variants.length === 0) {
+    throw new Error("No contract variant to deploy");
+  }
+  return [...new Set(variants)];
+}
+
+/**
+ * keccak256 of the JSON function and event fragments of an ABI
+ *
+ * Errors and the constructor are left out, like in the SDK's generated ABIs,
+ * so clients can compare the hash with the ABI they ship.
+ */
+function computeAbiHash(abi) {
+  const fragments = abi.filter((fragment) => fragment.type === "function" || fragment.type === "event");
+  return id(JSON.stringify(fragments));
+}
+
+function registryPath(network, dir = DEFAULT_DIR) {
+  return path.join(dir, `${network}.json`);
+}
+
+/**
+ * Read the registry of a network, or null if nothing was deployed there yet
+ */
+function readRegistry(network, dir = DEFAULT_DIR) {
+  const file = registryPath(network, dir);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+
+  const registry = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (registry.version > REGISTRY_VERSION) {
+    throw new Error(`${file} has registry version ${registry.version}; this script supports ${REGISTRY_VERSION}`);
+  }
+  return registry;
+}
+
+/**
+ * Record deployments, replacing earlier entries of the same variants
+ *
+ * @returns The path of the registry file
+ */
+function recordDeployments(network, chainId, deployments, dir = DEFAULT_DIR) {
+  const existing = readRegistry(network, dir);
+  if (existing && existing.chainId !== chainId) {
+    throw new Error(
+      `${registryPath(network, dir)} belongs to chain ${existing.chainId}, not ${chainId}; move it away first`
+    );
+  }
+
+  const registry = {
+    version: REGISTRY_VERSION,
+    network,
+    chainId,
+    contracts: { ...existing?.contracts },
+  };
+  for (const deployment of deployments) {
+    registry.contracts[deployment.variant] = deployment;
+  }
+
+  const file = registryPath(network, dir);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(registry, null, 2) + "\n");
+  return file;
+}
+
+/**
+ * Address of a deployed variant, or undefined when it is not recorded
+ */
+function deployedAddress(network, variant, dir = DEFAULT_DIR) {
+  return readRegistry(network, dir)?.contracts[variant]?.address;
+}
+
+module.exports = {
+  REGISTRY_VERSION,
+  VARIANTS,
+  parseVariants,
+  computeAbiHash,
+  registryPath,
+  readRegistry,
+  recordDeployments,
+  deployedAddress,
+};
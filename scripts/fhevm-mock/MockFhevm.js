@@ -0,0 +1,305 @@
+const { ethers } = require("ethers");
+const { MockEncryptedInput, encodeCleartexts, getHandleType, signDecryption, FHE_TYPES } = require("./encoding");
+
+/**
+ * FHEVM mock environment for the local Hardhat network
+ *
+ * Installs MockACL, MockFHEVMExecutor, MockDecryptionOracle and
+ * MockKMSVerifier at the addresses of ZamaConfig.getSepoliaConfig(), so
+ * contracts inheriting SepoliaConfig run unchanged, and plays the gateway
+ * relayer: it reads pending decryption requests, signs the cleartexts with
+ * local KMS keys and calls the dApp callback. Contracts that never call
+ * FHE.setCoprocessor are pointed at the mocks with configureContract().
+ */
+
+// ZamaConfig.getSepoliaConfig() of @fhevm/solidity
+const SEPOLIA_CONFIG = {
+  ACLAddress: "0x687820221192C5B662b25367F70076A37bc79b6c",
+  CoprocessorAddress: "0x848B0066793BcC60346Da1F49049357399B8D595",
+  DecryptionOracleAddress: "0xa02Cda4Ca3a71D7C46997716F4283aa851C28812",
+  KMSVerifierAddress: "0x1364cBBf2cDF5032C47d8226a6f6FBD2AFCDacAC",
+};
+
+const MOCK_CONTRACTS = {
+  MockACL: SEPOLIA_CONFIG.ACLAddress,
+  MockFHEVMExecutor: SEPOLIA_CONFIG.CoprocessorAddress,
+  MockDecryptionOracle: SEPOLIA_CONFIG.DecryptionOracleAddress,
+  MockKMSVerifier: SEPOLIA_CONFIG.KMSVerifierAddress,
+};
+
+// Deterministic local keys; these must never hold real funds
+const KMS_SIGNER_KEYS = [ethers.id("fhevm-mock-kms-signer-0"), ethers.id("fhevm-mock-kms-signer-1")];
+const KMS_THRESHOLD = 2;
+const RELAYER_KEY = ethers.id("fhevm-mock-relayer");
+const RELAYER_BALANCE = ethers.parseEther("1000");
+
+// CoprocessorConfigLocation of @fhevm/solidity/lib/Impl.sol, one address per slot
+const COPROCESSOR_CONFIG_SLOT = BigInt("0x9e7b61f58c47dc699ac88507c4f5bb9f121c03808c5676a8078fe583e4649700");
+
+const DECRYPTION_FULFILLED_TOPIC = ethers.id("DecryptionFulfilled(uint256)");
+
+class MockFhevm {
+  constructor(hre) {
+    this.hre = hre;
+    this.isMock = true;
+    this.addresses = { ...SEPOLIA_CONFIG };
+    this.kmsSigners = KMS_SIGNER_KEYS.map((key) => new ethers.Wallet(key));
+    this.relayerInterval = null;
+  }
+
+  get chainId() {
+    return BigInt(this.hre.network.config.chainId);
+  }
+
+  /**
+   * Install the mock contracts and register the KMS signers
+   *
+   * Safe to call repeatedly; does nothing once the mocks are in place.
+   */
+  async initialize() {
+    const provider = this.hre.ethers.provider;
+    const verifier = await this.getContract("MockKMSVerifier");
+
+    if ((await provider.getCode(SEPOLIA_CONFIG.KMSVerifierAddress)) !== "0x" && (await verifier.getThreshold()) > 0n) {
+      return;
+    }
+
+    for (const [name, address] of Object.entries(MOCK_CONTRACTS)) {
+      const artifact = await this.hre.artifacts.readArtifact(name);
+      await provider.send("hardhat_setCode", [address, artifact.deployedBytecode]);
+    }
+
+    const relayer = await this.getRelayer();
+    const tx = await verifier.connect(relayer).initialize(
+      this.kmsSigners.map((signer) => signer.address),
+      KMS_THRESHOLD
+    );
+    await tx.wait();
+  }
+
+  /**
+   * Write the mock addresses into a contract's FHE configuration
+   *
+   * PetDNAMatching and SimplePetDNAMatching do not inherit SepoliaConfig, so
+   * their FHE calls go to address zero until configured. Contracts that set
+   * their own configuration are left untouched.
+   *
+   * @returns Whether the configuration was written
+   */
+  async configureContract(contractAddress) {
+    const provider = this.hre.ethers.provider;
+    const slot = (offset) => ethers.toQuantity(COPROCESSOR_CONFIG_SLOT + BigInt(offset));
+
+    if (BigInt(await provider.getStorage(contractAddress, slot(0))) !== 0n) {
+      return false;
+    }
+    const config = [
+      SEPOLIA_CONFIG.ACLAddress,
+      SEPOLIA_CONFIG.CoprocessorAddress,
+      SEPOLIA_CONFIG.DecryptionOracleAddress,
+      SEPOLIA_CONFIG.KMSVerifierAddress,
+    ];
+    for (const [offset, address] of config.entries()) {
+      await provider.send("hardhat_setStorageAt", [contractAddress, slot(offset), ethers.zeroPadValue(address, 32)]);
+    }
+    return true;
+  }
+
+  /**
+   * Create an encrypted input bound to a contract and user
+   */
+  createEncryptedInput(contractAddress, userAddress) {
+    return new MockEncryptedInput(this.chainId, contractAddress, userAddress);
+  }
+
+  /**
+   * Read the cleartext behind a handle, ignoring permissions (tests only)
+   */
+  async getClearText(handle) {
+    const executor = await this.getContract("MockFHEVMExecutor");
+    return executor.getClearText(ethers.hexlify(handle));
+  }
+
+  /**
+   * Decrypt a handle for a user, enforcing the ACL like the KMS would
+   */
+  async userDecrypt(handle, contractAddress, userAddress) {
+    const acl = await this.getContract("MockACL");
+    const hexHandle = ethers.hexlify(handle);
+
+    if (!(await acl.persistAllowed(hexHandle, userAddress))) {
+      throw new Error(`User ${userAddress} is not allowed to decrypt handle ${hexHandle}`);
+    }
+    if (!(await acl.persistAllowed(hexHandle, contractAddress))) {
+      throw new Error(`Contract ${contractAddress} is not allowed to use handle ${hexHandle}`);
+    }
+    return this.getClearText(hexHandle);
+  }
+
+  /**
+   * Decrypt a handle that was made publicly decryptable
+   */
+  async publicDecrypt(handle) {
+    const acl = await this.getContract("MockACL");
+    const hexHandle = ethers.hexlify(handle);
+
+    if (!(await acl.isAllowedForDecryption(hexHandle))) {
+      throw new Error(`Handle ${hexHandle} is not allowed for decryption`);
+    }
+    return this.getClearText(hexHandle);
+  }
+
+  /**
+   * Decryption requests whose callback has not succeeded yet
+   *
+   * The Hardhat chain is shared by every test file, so callers should scope
+   * the list to their own contract and blocks.
+   *
+   * @param filter.contractAddress Only requests made by this contract
+   * @param filter.fromBlock Only requests made from this block on (default: 0)
+   */
+  async getPendingDecryptionRequests(filter = {}) {
+    const oracle = await this.getContract("MockDecryptionOracle");
+    const events = await oracle.queryFilter(oracle.filters.DecryptionRequest(), filter.fromBlock || 0, "latest");
+    const contractAddress = filter.contractAddress ? ethers.getAddress(filter.contractAddress) : null;
+    const pending = [];
+
+    for (const event of events) {
+      if (contractAddress && event.args.contractCaller !== contractAddress) {
+        continue;
+      }
+      const request = {
+        counter: event.args.counter,
+        requestID: event.args.requestID,
+        handles: Array.from(event.args.cts),
+        contractAddress: event.args.contractCaller,
+        callbackSelector: event.args.callbackSelector,
+        blockNumber: event.blockNumber,
+      };
+      if (!(await this.isFulfilled(request))) {
+        pending.push(request);
+      }
+    }
+
+    return pending;
+  }
+
+  /**
+   * Sign the cleartexts of a request and call its callback as the relayer
+   *
+   * @param request Entry of getPendingDecryptionRequests()
+   * @param options.values Cleartexts to deliver instead of the real ones
+   * @param options.decryptionProof Proof to deliver instead of a valid one
+   * @returns The callback transaction
+   */
+  async fulfillDecryptionRequest(request, options = {}) {
+    const acl = await this.getContract("MockACL");
+    for (const handle of request.handles) {
+      if (!(await acl.isAllowedForDecryption(handle))) {
+        throw new Error(`Handle ${handle} is not allowed for decryption`);
+      }
+    }
+
+    const values = options.values || (await Promise.all(request.handles.map((handle) => this.getClearText(handle))));
+    const cleartexts = encodeCleartexts(values);
+    const decryptionProof =
+      options.decryptionProof ||
+      (await signDecryption({
+        signers: this.kmsSigners,
+        verifierAddress: SEPOLIA_CONFIG.KMSVerifierAddress,
+        chainId: this.chainId,
+        handles: request.handles,
+        cleartexts,
+      }));
+
+    const data = ethers.concat([
+      request.callbackSelector,
+      ethers.AbiCoder.defaultAbiCoder().encode(
+        ["uint256", "bytes", "bytes"],
+        [request.requestID, cleartexts, decryptionProof]
+      ),
+    ]);
+
+    const relayer = await this.getRelayer();
+    return relayer.sendTransaction({ to: request.contractAddress, data });
+  }
+
+  /**
+   * Fulfill every pending decryption request
+   *
+   * A failing callback does not stop the others; its error is reported in
+   * the result and the request stays pending.
+   *
+   * @param filter Same as getPendingDecryptionRequests()
+   */
+  async awaitDecryptionOracle(filter = {}) {
+    const results = [];
+
+    for (const request of await this.getPendingDecryptionRequests(filter)) {
+      try {
+        const tx = await this.fulfillDecryptionRequest(request);
+        const receipt = await tx.wait();
+        results.push({ ...request, success: true, transactionHash: receipt.hash });
+      } catch (error) {
+        results.push({ ...request, success: false, error: error.shortMessage || error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Poll for decryption requests, used by `npx hardhat node`
+   */
+  startRelayer(intervalMs = 1000) {
+    if (this.relayerInterval) {
+      return;
+    }
+
+    let busy = false;
+    this.relayerInterval = setInterval(async () => {
+      if (busy) return;
+      busy = true;
+      try {
+        for (const result of await this.awaitDecryptionOracle()) {
+          const status = result.success ? `✅ fulfilled in ${result.transactionHash}` : `❌ ${result.error}`;
+          console.log(`🔓 Decryption request ${result.requestID} for ${result.contractAddress}: ${status}`);
+        }
+      } catch (error) {
+        console.error("❌ Mock relayer error:", error.message);
+      } finally {
+        busy = false;
+      }
+    }, intervalMs);
+  }
+
+  stopRelayer() {
+    clearInterval(this.relayerInterval);
+    this.relayerInterval = null;
+  }
+
+  async isFulfilled(request) {
+    const logs = await this.hre.ethers.provider.getLogs({
+      address: request.contractAddress,
+      topics: [DECRYPTION_FULFILLED_TOPIC, ethers.toBeHex(request.requestID, 32)],
+      fromBlock: request.blockNumber,
+      toBlock: "latest",
+    });
+    return logs.length > 0;
+  }
+
+  async getContract(name) {
+    return this.hre.ethers.getContractAt(name, MOCK_CONTRACTS[name]);
+  }
+
+  async getRelayer() {
+    const provider = this.hre.ethers.provider;
+    const relayer = new ethers.Wallet(RELAYER_KEY, provider);
+    if ((await provider.getBalance(relayer.address)) < RELAYER_BALANCE / 2n) {
+      await provider.send("hardhat_setBalance", [relayer.address, ethers.toQuantity(RELAYER_BALANCE)]);
+    }
+    return relayer;
+  }
+}
+
+module.exports = { MockFhevm, SEPOLIA_CONFIG, FHE_TYPES, getHandleType };
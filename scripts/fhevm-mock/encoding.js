@@ -0,0 +1,222 @@
+const { ethers } = require("ethers");
+
+/**
+ * Handle, input proof and decryption proof encoding of the FHEVM mock
+ *
+ * Shared by the Hardhat mock environment and mirrored by the SDK mock
+ * instance (packages/fhevm-sdk/src/mock), so inputs encrypted in the browser
+ * against `npx hardhat node` verify in MockFHEVMExecutor.
+ * src/mock/MockFhevmInstance.test.ts of the SDK checks that both encode alike.
+ */
+
+// FheType values of @fhevm/solidity/lib/FheType.sol
+const FHE_TYPES = {
+  bool: 0,
+  uint4: 1,
+  uint8: 2,
+  uint16: 3,
+  uint32: 4,
+  uint64: 5,
+  uint128: 6,
+  address: 7,
+  uint256: 8,
+};
+
+const TYPE_BITS = { 0: 1, 1: 4, 2: 8, 3: 16, 4: 32, 5: 64, 6: 128, 7: 160, 8: 256 };
+
+const HANDLE_VERSION = 0;
+const MAX_INPUT_BITS = 2048;
+
+const abiCoder = ethers.AbiCoder.defaultAbiCoder();
+
+/**
+ * Build an input handle: 21-byte input hash, index, chain id, type and version
+ */
+function computeInputHandle({ salt, contractAddress, userAddress, chainId, index, fheType, value }) {
+  const inputHash = ethers.keccak256(
+    abiCoder.encode(
+      ["bytes32", "address", "address", "uint256", "uint8", "uint256"],
+      [salt, contractAddress, userAddress, chainId, index, value]
+    )
+  );
+
+  return ethers.concat([
+    ethers.dataSlice(inputHash, 0, 21),
+    ethers.toBeHex(index, 1),
+    ethers.toBeHex(chainId, 8),
+    ethers.toBeHex(fheType, 1),
+    ethers.toBeHex(HANDLE_VERSION, 1),
+  ]);
+}
+
+/**
+ * Input proof: uint8 numHandles | uint8 numSigners (0) | handles | abi.encode(salt, contract, user, values)
+ */
+function encodeInputProof({ handles, salt, contractAddress, userAddress, values }) {
+  return ethers.concat([
+    ethers.toBeHex(handles.length, 1),
+    ethers.toBeHex(0, 1),
+    ...handles,
+    abiCoder.encode(["bytes32", "address", "address", "uint256[]"], [salt, contractAddress, userAddress, values]),
+  ]);
+}
+
+function getHandleType(handle) {
+  return ethers.getBytes(handle)[30];
+}
+
+/**
+ * Encrypted input builder with the add*()/encrypt() API of the FHEVM SDKs
+ */
+class MockEncryptedInput {
+  constructor(chainId, contractAddress, userAddress) {
+    if (!ethers.isAddress(contractAddress)) {
+      throw new Error(`Invalid contract address: ${contractAddress}`);
+    }
+    if (!ethers.isAddress(userAddress)) {
+      throw new Error(`Invalid user address: ${userAddress}`);
+    }
+    this.chainId = BigInt(chainId);
+    this.contractAddress = ethers.getAddress(contractAddress);
+    this.userAddress = ethers.getAddress(userAddress);
+    this.inputs = [];
+  }
+
+  addBool(value) {
+    return this.add(FHE_TYPES.bool, value ? 1n : 0n);
+  }
+
+  add4(value) {
+    return this.add(FHE_TYPES.uint4, value);
+  }
+
+  add8(value) {
+    return this.add(FHE_TYPES.uint8, value);
+  }
+
+  add16(value) {
+    return this.add(FHE_TYPES.uint16, value);
+  }
+
+  add32(value) {
+    return this.add(FHE_TYPES.uint32, value);
+  }
+
+  add64(value) {
+    return this.add(FHE_TYPES.uint64, value);
+  }
+
+  add128(value) {
+    return this.add(FHE_TYPES.uint128, value);
+  }
+
+  add256(value) {
+    return this.add(FHE_TYPES.uint256, value);
+  }
+
+  addAddress(value) {
+    if (!ethers.isAddress(value)) {
+      throw new Error(`Invalid address: ${value}`);
+    }
+    return this.add(FHE_TYPES.address, BigInt(value));
+  }
+
+  add(fheType, value) {
+    const bits = TYPE_BITS[fheType];
+    const cleartext = BigInt(value);
+    if (cleartext < 0n || cleartext >= 1n << BigInt(bits)) {
+      throw new Error(`Value ${value} does not fit in ${bits} bits`);
+    }
+    const usedBits = this.inputs.reduce((total, input) => total + TYPE_BITS[input.fheType], 0);
+    if (usedBits + bits > MAX_INPUT_BITS) {
+      throw new Error(`Encrypted input exceeds ${MAX_INPUT_BITS} bits`);
+    }
+
+    this.inputs.push({ fheType, value: cleartext });
+    return this;
+  }
+
+  getBits() {
+    return this.inputs.map((input) => TYPE_BITS[input.fheType]);
+  }
+
+  async encrypt() {
+    const salt = ethers.hexlify(ethers.randomBytes(32));
+    const values = this.inputs.map((input) => input.value);
+    const handles = this.inputs.map((input, index) =>
+      computeInputHandle({
+        salt,
+        contractAddress: this.contractAddress,
+        userAddress: this.userAddress,
+        chainId: this.chainId,
+        index,
+        fheType: input.fheType,
+        value: input.value,
+      })
+    );
+
+    const inputProof = encodeInputProof({
+      handles,
+      salt,
+      contractAddress: this.contractAddress,
+      userAddress: this.userAddress,
+      values,
+    });
+
+    return {
+      handles: handles.map((handle) => ethers.getBytes(handle)),
+      inputProof: ethers.getBytes(inputProof),
+    };
+  }
+}
+
+/**
+ * Cleartexts as returned by the KMS: one 32-byte word per handle
+ */
+function encodeCleartexts(values) {
+  return abiCoder.encode(
+    values.map(() => "uint256"),
+    values
+  );
+}
+
+/**
+ * Decryption proof: uint8 numSigners | EIP-712 signatures | extra data
+ *
+ * The signed result is the cleartexts followed by the signatures offset,
+ * which is what FHE.checkSignatures passes to the KMS verifier.
+ */
+async function signDecryption({ signers, verifierAddress, chainId, handles, cleartexts, extraData = "0x" }) {
+  const decryptedResult = ethers.concat([
+    cleartexts,
+    ethers.toBeHex(32 + ethers.dataLength(cleartexts) + 32, 32),
+  ]);
+  const domain = { name: "Decryption", version: "1", chainId, verifyingContract: verifierAddress };
+  const types = {
+    PublicDecryptVerification: [
+      { name: "ctHandles", type: "bytes32[]" },
+      { name: "decryptedResult", type: "bytes" },
+      { name: "extraData", type: "bytes" },
+    ],
+  };
+  const message = { ctHandles: handles, decryptedResult, extraData };
+
+  const signatures = [];
+  for (const signer of signers) {
+    signatures.push(await signer.signTypedData(domain, types, message));
+  }
+
+  return ethers.concat([ethers.toBeHex(signatures.length, 1), ...signatures, extraData]);
+}
+
+module.exports = {
+  FHE_TYPES,
+  TYPE_BITS,
+  HANDLE_VERSION,
+  MockEncryptedInput,
+  computeInputHandle,
+  encodeInputProof,
+  encodeCleartexts,
+  getHandleType,
+  signDecryption,
+};
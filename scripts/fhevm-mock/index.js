@@ -0,0 +1,36 @@
+const { extendEnvironment, subtask } = require("hardhat/config");
+const { TASK_TEST_RUN_MOCHA_TESTS, TASK_NODE_SERVER_READY } = require("hardhat/builtin-tasks/task-names");
+const { MockFhevm } = require("./MockFhevm");
+
+/**
+ * Local FHEVM mock mode
+ *
+ * On the in-process Hardhat network, `hre.fhevm` emulates the coprocessor,
+ * ACL, decryption oracle and KMS so the FHE contracts can be tested offline:
+ *   - `npx hardhat test` installs the mocks before the tests run
+ *   - `npx hardhat node` installs them and relays decryption callbacks
+ *   - scripts run with `--network hardhat` call `await hre.fhevm.initialize()`
+ * Other networks are untouched and `hre.fhevm` stays undefined.
+ */
+
+extendEnvironment((hre) => {
+  if (hre.network.name === "hardhat") {
+    hre.fhevm = new MockFhevm(hre);
+  }
+});
+
+subtask(TASK_TEST_RUN_MOCHA_TESTS).setAction(async (args, hre, runSuper) => {
+  if (hre.fhevm) {
+    await hre.fhevm.initialize();
+  }
+  return runSuper(args);
+});
+
+subtask(TASK_NODE_SERVER_READY).setAction(async (args, hre, runSuper) => {
+  await runSuper(args);
+  if (hre.fhevm) {
+    await hre.fhevm.initialize();
+    hre.fhevm.startRelayer();
+    console.log("🔐 FHEVM mock installed, relaying decryption requests");
+  }
+});
@@ -0,0 +1,345 @@
+const { Contract, ZeroAddress, getAddress } = require("ethers");
+
+/**
+ * Gateway configuration
+ *
+ * Loads the gateway, ACL, KMS verifier and pauser settings of a network
+ * from the environment and validates them against SCHEMA. Both Hardhat
+ * configs and the deploy scripts use this module, so every tool applies the
+ * same rules and prints the same report.
+ *
+ * Environment:
+ *   GATEWAY_URL              Gateway / relayer URL (default https://gateway.zama.ai)
+ *   ACL_ADDRESS              ACL contract (default: ZamaConfig address of the network)
+ *   KMS_VERIFIER_ADDRESS     KMSVerifier contract (default: ZamaConfig address of the network)
+ *   NUM_PAUSERS              Number of pausers, n_kms + n_copro (default 2)
+ *   NUM_COPROCESSORS         Coprocessors counted in NUM_PAUSERS (default 1)
+ *   PAUSER_ADDRESS_[0-N]     Pauser addresses
+ *
+ * Missing or placeholder pausers are errors on live networks and warnings on
+ * the local ones (hardhat, localhost), where the FHEVM mock stands in for
+ * the gateway.
+ */
+
+// ZamaConfig.getSepoliaConfig() of @fhevm/solidity; the local FHEVM mock
+// installs its contracts at the same addresses
+const ZAMA_SEPOLIA = {
+  aclAddress: "0x687820221192C5B662b25367F70076A37bc79b6c",
+  kmsVerifierAddress: "0x1364cBBf2cDF5032C47d8226a6f6FBD2AFCDacAC",
+};
+
+const NETWORK_DEFAULTS = {
+  sepolia: { ...ZAMA_SEPOLIA, local: false },
+  localhost: { ...ZAMA_SEPOLIA, local: true },
+  hardhat: { ...ZAMA_SEPOLIA, local: true },
+};
+
+// Environment variable -> setting, with its type and default
+const SCHEMA = {
+  GATEWAY_URL: { key: "gatewayUrl", type: "url", default: "https://gateway.zama.ai" },
+  ACL_ADDRESS: { key: "aclAddress", type: "address" },
+  KMS_VERIFIER_ADDRESS: { key: "kmsVerifierAddress", type: "address" },
+  NUM_PAUSERS: { key: "numPausers", type: "count", min: 1, default: 2 },
+  NUM_COPROCESSORS: { key: "numCoprocessors", type: "count", min: 0, default: 1 },
+};
+
+const KMS_VERIFIER_ABI = [
+  "function getKmsSigners() view returns (address[])",
+  "function getThreshold() view returns (uint256)",
+];
+
+// On-chain checks give up on networks that do not answer in time
+const REACHABILITY_TIMEOUT_MS = 10000;
+
+class GatewayConfigError extends Error {
+  constructor(config) {
+    const errors = config.issues.filter((issue) => issue.level === "error");
+    super(
+      `Invalid gateway configuration for ${config.network}:\n` +
+        errors.map((issue) => `  - ${issue.field}: ${issue.message}`).join("\n")
+    );
+    this.name = "GatewayConfigError";
+    this.issues = errors;
+  }
+}
+
+/**
+ * Normalise an address, rejecting malformed ones and wrong EIP-55 checksums
+ *
+ * @returns The checksummed address, or an error message
+ */
+function parseAddress(value) {
+  if (!/^0x[0-9a-fA-F]{40}$/.test(value)) {
+    return { error: `"${value}" is not an address` };
+  }
+  try {
+    return { value: getAddress(value) };
+  } catch {
+    return { error: `"${value}" has an invalid checksum (expected ${getAddress(value.toLowerCase())})` };
+  }
+}
+
+function parseField(spec, raw) {
+  switch (spec.type) {
+    case "url": {
+      try {
+        const url = new URL(raw);
+        if (url.protocol !== "https:" && url.protocol !== "http:") {
+          return { error: `"${raw}" is not an http(s) URL` };
+        }
+        return { value: raw };
+      } catch {
+        return { error: `"${raw}" is not a URL` };
+      }
+    }
+    case "address":
+      return parseAddress(raw);
+    case "count": {
+      if (!/^\d+$/.test(raw) || Number(raw) < spec.min) {
+        return { error: `"${raw}" is not an integer >= ${spec.min}` };
+      }
+      return { value: Number(raw) };
+    }
+    default:
+      throw new Error(`Unknown schema type ${spec.type}`);
+  }
+}
+
+/**
+ * Load and validate the gateway configuration of a network
+ *
+ * Never throws on invalid settings: they are listed in `issues` with level
+ * "error" or "warning". Use assertGatewayConfig to fail on errors.
+ */
+function loadGatewayConfig(network, env = process.env) {
+  const defaults = NETWORK_DEFAULTS[network] || { local: false };
+  const config = {
+    network,
+    local: defaults.local,
+    pauserAddresses: [],
+    issues: [],
+    onChain: null,
+  };
+  const issue = (level, field, message) => config.issues.push({ level, field, message });
+
+  for (const [variable, spec] of Object.entries(SCHEMA)) {
+    const raw = env[variable];
+    config[spec.key] = defaults[spec.key] ?? spec.default;
+    if (raw === undefined || raw === "") {
+      if (config[spec.key] === undefined) {
+        issue("error", variable, `required on ${network}`);
+      }
+      continue;
+    }
+
+    const parsed = parseField(spec, raw.trim());
+    if (parsed.error) {
+      issue("error", variable, parsed.error);
+    } else {
+      config[spec.key] = parsed.value;
+    }
+  }
+
+  // Missing pausers only block deployments to live networks
+  const placeholderLevel = config.local ? "warning" : "error";
+  const seen = new Map();
+  for (let i = 0; i < config.numPausers; i++) {
+    const variable = `PAUSER_ADDRESS_${i}`;
+    const raw = env[variable];
+    if (!raw) {
+      issue(placeholderLevel, variable, "not configured");
+      continue;
+    }
+
+    const parsed = parseAddress(raw.trim());
+    if (parsed.error) {
+      issue("error", variable, parsed.error);
+    } else if (parsed.value === ZeroAddress) {
+      issue(placeholderLevel, variable, "is the zero address placeholder");
+    } else if (seen.has(parsed.value)) {
+      issue("error", variable, `duplicates ${seen.get(parsed.value)}`);
+    } else {
+      seen.set(parsed.value, variable);
+      config.pauserAddresses.push(parsed.value);
+    }
+  }
+
+  const extra = Object.keys(env).filter((variable) => {
+    const match = /^PAUSER_ADDRESS_(\d+)$/.exec(variable);
+    return match && Number(match[1]) >= config.numPausers && env[variable];
+  });
+  for (const variable of extra.sort()) {
+    issue("warning", variable, `ignored: NUM_PAUSERS is ${config.numPausers}`);
+  }
+
+  return config;
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`no answer within ${ms / 1000}s`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Cross-check a loaded configuration against the ACL and KMS verifier
+ * contracts of the network
+ *
+ * Checks are skipped with a warning when the network cannot be reached.
+ *
+ * @returns A copy of the configuration with `onChain` and the new issues
+ */
+async function verifyGatewayConfig(config, provider, { timeoutMs = REACHABILITY_TIMEOUT_MS } = {}) {
+  const issues = [...config.issues];
+  const onChain = { reachable: false, acl: null, kmsVerifier: null };
+  const result = { ...config, issues, onChain };
+  // Locally the contracts only exist once the FHEVM mock is installed
+  const missingLevel = config.local ? "warning" : "error";
+
+  try {
+    onChain.blockNumber = await withTimeout(provider.getBlockNumber(), timeoutMs);
+    onChain.reachable = true;
+  } catch (error) {
+    issues.push({
+      level: "warning",
+      field: "network",
+      message: `unreachable, on-chain checks skipped (${error.message})`,
+    });
+    return result;
+  }
+
+  if (config.aclAddress) {
+    onChain.acl = { deployed: (await provider.getCode(config.aclAddress)) !== "0x" };
+    if (!onChain.acl.deployed) {
+      issues.push({ level: missingLevel, field: "ACL_ADDRESS", message: `no contract at ${config.aclAddress}` });
+    }
+  }
+
+  if (config.kmsVerifierAddress) {
+    onChain.kmsVerifier = { deployed: (await provider.getCode(config.kmsVerifierAddress)) !== "0x" };
+    if (!onChain.kmsVerifier.deployed) {
+      issues.push({
+        level: missingLevel,
+        field: "KMS_VERIFIER_ADDRESS",
+        message: `no contract at ${config.kmsVerifierAddress}`,
+      });
+      return result;
+    }
+
+    try {
+      const verifier = new Contract(config.kmsVerifierAddress, KMS_VERIFIER_ABI, provider);
+      const [signers, threshold] = await Promise.all([verifier.getKmsSigners(), verifier.getThreshold()]);
+      onChain.kmsVerifier.signers = [...signers];
+      onChain.kmsVerifier.threshold = Number(threshold);
+    } catch (error) {
+      issues.push({
+        level: "error",
+        field: "KMS_VERIFIER_ADDRESS",
+        message: `${config.kmsVerifierAddress} is not a KMS verifier (${error.shortMessage || error.message})`,
+      });
+      return result;
+    }
+
+    const { signers, threshold } = onChain.kmsVerifier;
+    if (threshold > signers.length) {
+      issues.push({
+        level: "error",
+        field: "KMS_VERIFIER_ADDRESS",
+        message: `threshold ${threshold} exceeds the ${signers.length} KMS signer(s)`,
+      });
+    }
+    const expected = signers.length + config.numCoprocessors;
+    if (config.numPausers !== expected) {
+      issues.push({
+        level: "warning",
+        field: "NUM_PAUSERS",
+        message:
+          `${config.numPausers} does not match n_kms + n_copro = ` +
+          `${signers.length} + ${config.numCoprocessors} = ${expected}`,
+      });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Report lines of a configuration, in the format every script prints
+ */
+function formatGatewayReport(config) {
+  const lines = [`📋 Gateway Configuration (${config.network}${config.local ? ", local" : ""}):`];
+  const onChain = config.onChain;
+  const row = (label, value) => lines.push(`  ${label.padEnd(22)}${value}`);
+
+  row("GATEWAY_URL", config.gatewayUrl ?? "-");
+
+  let acl = config.aclAddress ?? "-";
+  if (onChain?.acl) {
+    acl += onChain.acl.deployed ? "  ✅ deployed" : "  ❌ no code";
+  }
+  row("ACL_ADDRESS", acl);
+
+  let kms = config.kmsVerifierAddress ?? "-";
+  if (onChain?.kmsVerifier) {
+    const { deployed, signers, threshold } = onChain.kmsVerifier;
+    kms += !deployed ? "  ❌ no code" : signers ? `  ✅ ${signers.length} signer(s), threshold ${threshold}` : "";
+  }
+  row("KMS_VERIFIER_ADDRESS", kms);
+
+  row("NUM_PAUSERS", `${config.numPausers} (${config.numCoprocessors} coprocessor(s))`);
+  config.pauserAddresses.forEach((address, i) => row(`PAUSER_ADDRESS_${i}`, address));
+
+  if (onChain && !onChain.reachable) {
+    lines.push("  On-chain checks:      skipped");
+  } else if (onChain) {
+    lines.push(`  On-chain checks:      block ${onChain.blockNumber}`);
+  }
+
+  for (const { level, field, message } of config.issues) {
+    lines.push(`  ${level === "error" ? "❌" : "⚠️ "} ${field}: ${message}`);
+  }
+  if (config.issues.length === 0) {
+    lines.push("  ✅ No issues");
+  }
+  return lines;
+}
+
+function printGatewayReport(config) {
+  console.log(formatGatewayReport(config).join("\n"));
+}
+
+/**
+ * @throws GatewayConfigError if the configuration has errors
+ */
+function assertGatewayConfig(config) {
+  if (config.issues.some((issue) => issue.level === "error")) {
+    throw new GatewayConfigError(config);
+  }
+}
+
+/**
+ * Gateway settings recorded with each deployment in deployments/<network>.json
+ */
+function deploymentGateway(config) {
+  return {
+    gatewayUrl: config.gatewayUrl,
+    aclAddress: config.aclAddress,
+    kmsVerifierAddress: config.kmsVerifierAddress,
+    numPausers: config.numPausers,
+    pauserAddresses: config.pauserAddresses,
+  };
+}
+
+module.exports = {
+  SCHEMA,
+  NETWORK_DEFAULTS,
+  GatewayConfigError,
+  loadGatewayConfig,
+  verifyGatewayConfig,
+  formatGatewayReport,
+  printGatewayReport,
+  assertGatewayConfig,
+  deploymentGateway,
+};
@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+
+const fs = require("fs");
+const path = require("path");
+const { parseVariants, readRegistry } = require("../deployments");
+const { UsageError, runCli } = require("../security/check");
+const { INDEXED_EVENTS } = require("./projections");
+const { IndexerStore, loadSqlite } = require("./store");
+const { EventIndexer } = require("./indexer");
+const { createServer } = require("./server");
+
+/**
+ * Event indexer and read API of the PetDNA contracts
+ *
+ * Follows the contracts recorded in deployments/<network>.json, stores
+ * their events in SQLite and serves pets, match history and fee totals over
+ * HTTP (see server.js). The SDK reads pets from it when a PetDNAClient is
+ * given an `indexer`.
+ *
+ * Usage:
+ *   node scripts/indexer/index.js [options]
+ *
+ * Options:
+ *   --network NAME         Hardhat network to follow (default localhost)
+ *   --db FILE              SQLite file (default cache/indexer/<network>.sqlite)
+ *   --port N               HTTP port (default 4000)
+ *   --host HOST            HTTP interface (default 127.0.0.1)
+ *   --variant NAME         Only index the given variants (repeatable, short
+ *                          names or comma separated lists accepted)
+ *   --from-block N         First block of contracts whose deployment block is
+ *                          not recorded (default 0)
+ *   --confirmations N      Blocks to stay behind the head (default 0 on
+ *                          localhost and hardhat, 3 elsewhere)
+ *   --interval MS          Polling interval (default 2000)
+ *   --block-range N        Blocks per log query (default 2000)
+ *   --once                 Index up to the head, print a summary and exit
+ *
+ * Exit codes: 0 stopped cleanly, 1 indexing failed (--once), 2 usage or setup errors.
+ */
+
+const LOCAL_NETWORKS = ["localhost", "hardhat"];
+
+function parseArgs(argv) {
+  const options = {
+    network: "localhost",
+    db: null,
+    port: 4000,
+    host: "127.0.0.1",
+    variants: [],
+    fromBlock: 0,
+    confirmations: null,
+    interval: 2000,
+    blockRange: 2000,
+    once: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) {
+        throw new UsageError(`${flag} needs a value`);
+      }
+      return argv[++i];
+    };
+    const integer = (min) => {
+      const number = Number(value());
+      if (!Number.isInteger(number) || number < min) {
+        throw new UsageError(`${flag} needs an integer of at least ${min}`);
+      }
+      return number;
+    };
+    switch (flag) {
+      case "--network":
+        options.network = value();
+        break;
+      case "--db":
+        options.db = value();
+        break;
+      case "--port":
+        options.port = integer(0);
+        break;
+      case "--host":
+        options.host = value();
+        break;
+      case "--variant":
+        try {
+          options.variants.push(...parseVariants(value()));
+        } catch (error) {
+          throw new UsageError(error.message);
+        }
+        break;
+      case "--from-block":
+        options.fromBlock = integer(0);
+        break;
+      case "--confirmations":
+        options.confirmations = integer(0);
+        break;
+      case "--interval":
+        options.interval = integer(100);
+        break;
+      case "--block-range":
+        options.blockRange = integer(1);
+        break;
+      case "--once":
+        options.once = true;
+        break;
+      default:
+        throw new UsageError(`Unknown option ${flag}`);
+    }
+  }
+
+  options.variants = [...new Set(options.variants)];
+  const unsupported = options.variants.filter((variant) => !INDEXED_EVENTS[variant]);
+  if (unsupported.length > 0) {
+    throw new UsageError(`${unsupported.join(", ")} emits no indexed events`);
+  }
+  if (options.confirmations === null) {
+    options.confirmations = LOCAL_NETWORKS.includes(options.network) ? 0 : 3;
+  }
+  options.db = options.db || path.join(__dirname, "..", "..", "cache", "indexer", `${options.network}.sqlite`);
+  return options;
+}
+
+/**
+ * Contracts of the deployment registry to index
+ */
+function registryContracts(network, variants, fromBlock) {
+  const registry = readRegistry(network);
+  const deployments = Object.values(registry?.contracts || {}).filter(
+    (deployment) => INDEXED_EVENTS[deployment.variant] && (!variants.length || variants.includes(deployment.variant))
+  );
+  if (deployments.length === 0) {
+    throw new UsageError(`No indexable PetDNA contract in deployments/${network}.json; deploy one first`);
+  }
+  return {
+    chainId: registry.chainId,
+    contracts: deployments.map((deployment) => ({
+      address: deployment.address,
+      variant: deployment.variant,
+      startBlock: deployment.blockNumber ?? fromBlock,
+    })),
+  };
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const { chainId, contracts } = registryContracts(options.network, options.variants, options.fromBlock);
+  try {
+    loadSqlite();
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  process.env.HARDHAT_NETWORK = options.network;
+  const hre = require("hardhat");
+  const network = await hre.ethers.provider.getNetwork();
+  if (chainId !== undefined && BigInt(chainId) !== network.chainId) {
+    throw new UsageError(
+      `deployments/${options.network}.json is for chain ${chainId}, the node is chain ${network.chainId}`
+    );
+  }
+
+  fs.mkdirSync(path.dirname(options.db), { recursive: true });
+  const store = new IndexerStore(options.db);
+  const storedChainId = store.getMeta("chainId");
+  if (storedChainId && storedChainId !== network.chainId.toString()) {
+    store.close();
+    throw new UsageError(
+      `${options.db} indexes chain ${storedChainId}; pass another --db for chain ${network.chainId}`
+    );
+  }
+  store.setMeta("chainId", network.chainId);
+
+  const indexer = new EventIndexer({
+    provider: hre.ethers.provider,
+    store,
+    contracts: await Promise.all(
+      contracts.map(async (contract) => ({
+        ...contract,
+        abi: (await hre.artifacts.readArtifact(contract.variant)).abi,
+      }))
+    ),
+    confirmations: options.confirmations,
+    interval: options.interval,
+    blockRange: options.blockRange,
+    log: (message) => console.log(message),
+  });
+
+  console.log(`\n🗂️  PetDNA indexer on ${options.network} (chain ${network.chainId})`);
+  contracts.forEach((contract) =>
+    console.log(`   ${contract.variant} ${contract.address} from block ${contract.startBlock}`)
+  );
+  console.log(`   Database: ${options.db}\n`);
+
+  if (options.once) {
+    try {
+      const result = await indexer.sync();
+      console.log(`✅ Indexed ${result.events} event(s) up to block ${result.targetBlock}`);
+      return false;
+    } catch (error) {
+      console.error(`❌ ${error.shortMessage || error.message}`);
+      return true;
+    } finally {
+      store.close();
+    }
+  }
+
+  const server = createServer(store, indexer);
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(options.port, options.host, resolve);
+  });
+  console.log(`🌐 API on http://${options.host}:${server.address().port}\n`);
+  indexer.start();
+
+  await new Promise((resolve) => {
+    process.once("SIGINT", resolve);
+    process.once("SIGTERM", resolve);
+  });
+  console.log("\n👋 Stopping indexer");
+  await indexer.stop();
+  await new Promise((resolve) => server.close(resolve));
+  store.close();
+  return false;
+}
+
+if (require.main === module) {
+  runCli(main);
+}
+
+module.exports = { parseArgs, registryContracts };
@@ -0,0 +1,206 @@
+const { ethers } = require("ethers");
+const { INDEXED_EVENTS } = require("./projections");
+
+/**
+ * Event indexer of the PetDNA contracts
+ *
+ * Follows the events of INDEXED_EVENTS for each contract in ranges of
+ * blocks up to `confirmations` blocks behind the head and stores them in an
+ * IndexerStore. Before every pass the hash of the last recorded block is
+ * compared with the chain; after a reorganisation the store is rolled back
+ * to the newest recorded block still on the chain and indexing resumes
+ * from there.
+ */
+
+const DEFAULT_OPTIONS = {
+  confirmations: 0,
+  blockRange: 2000,
+  interval: 2000,
+  // Recorded blocks compared with the chain before giving up and reindexing everything
+  maxReorgDepth: 1000,
+};
+
+const serialize = (value) => (typeof value === "bigint" ? value.toString() : value);
+
+// Data the events lack, read from the chain when an event is indexed
+const DETAILS = {
+  PetRegistered: async ({ contract, variant, args, blockNumber }) => {
+    const info = await contract.getPetInfo(args.petId, { blockTag: blockNumber });
+    return variant === "PetDNAMatching"
+      ? { species: info.species, breed: info.breed, birthYear: Number(info.birthYear) }
+      : { age: Number(info.age) };
+  },
+  MatchingRequested: async ({ provider, transactionHash }) => {
+    const tx = await provider.getTransaction(transactionHash);
+    return { value: tx.value.toString(), from: tx.from };
+  },
+  // PetDNAMatching results only name the pets; the request ID is in the call
+  MatchingCompleted: async ({ provider, contract, variant, transactionHash }) => {
+    if (variant !== "PetDNAMatching") {
+      return {};
+    }
+    const tx = await provider.getTransaction(transactionHash);
+    const call =
+      tx.to && tx.to.toLowerCase() === (await contract.getAddress()).toLowerCase()
+        ? contract.interface.parseTransaction({ data: tx.data, value: tx.value })
+        : null;
+    return call?.name === "processMatchingResult" ? { requestId: Number(call.args.requestId) } : {};
+  },
+};
+
+class EventIndexer {
+  /**
+   * @param options.provider ethers v6 provider
+   * @param options.store IndexerStore
+   * @param options.contracts [{ address, variant, abi, startBlock }]
+   * @param options.confirmations Blocks to stay behind the head
+   * @param options.blockRange Blocks per log query
+   * @param options.interval Polling interval of start(), in milliseconds
+   * @param options.log Progress logger (default silent)
+   */
+  constructor({ provider, store, contracts, log = () => {}, ...overrides }) {
+    this.provider = provider;
+    this.store = store;
+    this.log = log;
+    this.options = { ...DEFAULT_OPTIONS, ...overrides };
+    this.contracts = new Map();
+    this.timer = null;
+    this.pass = null;
+    this.stopped = true;
+    this.status = { latestBlock: null, lastSyncAt: null, lastError: null };
+
+    for (const { address, variant, abi, startBlock = 0 } of contracts) {
+      if (!INDEXED_EVENTS[variant]) {
+        throw new Error(`${variant} is not indexed; expected one of ${Object.keys(INDEXED_EVENTS).join(", ")}`);
+      }
+      const contract = new ethers.Contract(address, abi, provider);
+      const topics = INDEXED_EVENTS[variant].map((name) => contract.interface.getEvent(name).topicHash);
+      this.contracts.set(address.toLowerCase(), { variant, contract, topics });
+      store.addContract(address, variant, startBlock);
+    }
+  }
+
+  /**
+   * Index every contract up to the confirmed head
+   *
+   * @returns { latestBlock, targetBlock, events, reorg } where reorg is null or { forkBlock, droppedBlock }
+   */
+  async sync() {
+    const reorg = await this.handleReorg();
+    const latestBlock = await this.provider.getBlockNumber();
+    const targetBlock = latestBlock - this.options.confirmations;
+    let events = 0;
+
+    for (const contract of this.store.getContracts()) {
+      const followed = this.contracts.get(contract.address);
+      if (!followed) {
+        continue;
+      }
+      for (let from = contract.indexedBlock + 1; from <= targetBlock; from += this.options.blockRange) {
+        const to = Math.min(from + this.options.blockRange - 1, targetBlock);
+        events += await this.indexRange(contract.address, followed, from, to);
+      }
+    }
+
+    this.status = { latestBlock, lastSyncAt: new Date().toISOString(), lastError: null };
+    return { latestBlock, targetBlock, events, reorg };
+  }
+
+  /**
+   * Roll the store back when its newest block is no longer on the chain
+   */
+  async handleReorg() {
+    const latest = this.store.getLatestBlock();
+    if (!latest || (await this.blockHash(latest.number)) === latest.hash) {
+      return null;
+    }
+
+    let forkBlock = Math.min(...this.store.getContracts().map((contract) => contract.startBlock)) - 1;
+    for (const recorded of this.store.getBlocksDescending(this.options.maxReorgDepth)) {
+      if ((await this.blockHash(recorded.number)) === recorded.hash) {
+        forkBlock = recorded.number;
+        break;
+      }
+    }
+
+    this.store.rollback(forkBlock);
+    this.log(`↩️  Reorg: block ${latest.number} left the chain, reindexing after block ${forkBlock}`);
+    return { forkBlock, droppedBlock: latest.number };
+  }
+
+  async blockHash(number) {
+    return (await this.provider.getBlock(number))?.hash ?? null;
+  }
+
+  async indexRange(address, { variant, contract, topics }, fromBlock, toBlock) {
+    const logs = await this.provider.getLogs({ address, fromBlock, toBlock, topics: [topics] });
+
+    const blocks = new Map();
+    for (const number of new Set([...logs.map((log) => log.blockNumber), toBlock])) {
+      const block = await this.provider.getBlock(number);
+      if (!block) {
+        throw new Error(`Block ${number} disappeared while indexing; retrying on the next pass`);
+      }
+      blocks.set(number, { number, hash: block.hash, timestamp: block.timestamp });
+    }
+
+    const events = [];
+    for (const log of logs) {
+      if (log.blockHash !== blocks.get(log.blockNumber).hash) {
+        throw new Error(`Block ${log.blockNumber} was reorganised while indexing; retrying on the next pass`);
+      }
+
+      const parsed = contract.interface.parseLog(log);
+      const args = Object.fromEntries(
+        parsed.fragment.inputs.map((input, i) => [input.name, serialize(parsed.args[i])])
+      );
+      const event = {
+        blockNumber: log.blockNumber,
+        logIndex: log.index,
+        transactionHash: log.transactionHash,
+        name: parsed.name,
+        args,
+      };
+      const details = DETAILS[parsed.name];
+      event.details = details ? await details({ provider: this.provider, contract, variant, args, ...event }) : {};
+      events.push(event);
+    }
+
+    this.store.appendRange(address, events, [...blocks.values()], toBlock);
+    if (events.length > 0) {
+      this.log(`📥 ${variant}: ${events.length} event(s) in blocks ${fromBlock}-${toBlock}`);
+    }
+    return events.length;
+  }
+
+  /**
+   * Sync now and then every `interval` milliseconds until stop()
+   *
+   * Errors are logged and kept in `status.lastError`; the next pass retries.
+   */
+  start() {
+    this.stopped = false;
+    const poll = async () => {
+      this.pass = this.sync().catch((error) => {
+        this.status = { ...this.status, lastError: error.shortMessage || error.message };
+        this.log(`⚠️  ${this.status.lastError}`);
+      });
+      await this.pass;
+      if (!this.stopped) {
+        this.timer = setTimeout(poll, this.options.interval);
+      }
+    };
+    poll();
+  }
+
+  /**
+   * Stop polling once the running pass is done
+   */
+  async stop() {
+    this.stopped = true;
+    clearTimeout(this.timer);
+    await this.pass;
+  }
+}
+
+module.exports = { EventIndexer, DEFAULT_OPTIONS };
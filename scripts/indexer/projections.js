@@ -0,0 +1,183 @@
+/**
+ * Projections of indexed events into the `pets` and `matches` tables
+ *
+ * Event arguments are stored as JSON with uint256 values as decimal
+ * strings. `details` holds what the events lack and the indexer read when
+ * the event was indexed: pet fields only returned by getPetInfo, the value
+ * and sender of matching request transactions, and the request ID of a
+ * PetDNAMatching result. Applying the events of a contract in chain order
+ * rebuilds its projections.
+ */
+
+// PetDNAMatching.processMatchingResult marks results from this score as matched
+const LEGACY_MATCH_THRESHOLD = 70;
+
+// Events followed for each variant
+const INDEXED_EVENTS = {
+  EnhancedPetDNAMatching: [
+    "PetRegistered",
+    "PetBreedingStatusChanged",
+    "MatchingRequested",
+    "MatchingCompleted",
+    "MatchingRefunded",
+    "PlatformFeesWithdrawn",
+  ],
+  PrivatePetDNAMatching: [
+    "PetRegistered",
+    "PetBreedingStatusChanged",
+    "MatchingRequested",
+    "MatchFound",
+    "NoSuitableMatch",
+  ],
+  PetDNAMatching: ["PetRegistered", "BreedingStatusChanged", "MatchingRequested", "MatchingCompleted"],
+};
+
+function insertPet(db, contract, event) {
+  const { args, details } = event;
+  db.prepare(
+    `INSERT OR REPLACE INTO pets
+       (contract, pet_id, owner, name, breed, species, age, birth_year, is_available, registered_block, registered_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1, ?, ?)`
+  ).run(
+    contract.address,
+    Number(args.petId),
+    args.owner,
+    args.name,
+    args.breed ?? details.breed,
+    details.species ?? null,
+    details.age ?? null,
+    details.birthYear ?? null,
+    event.blockNumber,
+    event.timestamp
+  );
+}
+
+function setAvailability(db, contract, petId, isAvailable) {
+  db.prepare("UPDATE pets SET is_available = ? WHERE contract = ? AND pet_id = ?").run(
+    isAvailable ? 1 : 0,
+    contract.address,
+    Number(petId)
+  );
+}
+
+function insertRequest(db, contract, event, { requestId, petId1, petId2 = null, requester, timeoutDeadline = null }) {
+  db.prepare(
+    `INSERT OR REPLACE INTO matches
+       (contract, request_id, pet_id1, pet_id2, requester, status, fee_paid, timeout_deadline,
+        requested_block, requested_at, transaction_hash)
+     VALUES (?, ?, ?, ?, ?, 'pending', ?, ?, ?, ?, ?)`
+  ).run(
+    contract.address,
+    Number(requestId),
+    Number(petId1),
+    petId2 === null ? null : Number(petId2),
+    requester,
+    event.details.value ?? "0",
+    timeoutDeadline === null ? null : Number(timeoutDeadline),
+    event.blockNumber,
+    event.timestamp,
+    event.transactionHash
+  );
+}
+
+/**
+ * Record the result of a request; a refunded request keeps its status
+ */
+function completeRequest(db, contract, event, requestId, { score, isSuccessful, petId2 }) {
+  db.prepare(
+    `UPDATE matches SET
+       status = CASE WHEN status = 'refunded' THEN status ELSE 'completed' END,
+       score = ?, is_successful = ?, pet_id2 = COALESCE(?, pet_id2), completed_block = ?, completed_at = ?
+     WHERE contract = ? AND request_id = ?`
+  ).run(
+    score,
+    isSuccessful ? 1 : 0,
+    petId2 ?? null,
+    event.blockNumber,
+    event.timestamp,
+    contract.address,
+    Number(requestId)
+  );
+}
+
+const HANDLERS = {
+  EnhancedPetDNAMatching: {
+    PetRegistered: insertPet,
+    PetBreedingStatusChanged: (db, contract, { args }) => setAvailability(db, contract, args.petId, args.isAvailable),
+    MatchingRequested: (db, contract, event) => insertRequest(db, contract, event, event.args),
+    MatchingCompleted: (db, contract, event) =>
+      completeRequest(db, contract, event, event.args.requestId, {
+        score: Number(event.args.compatibilityScore),
+        isSuccessful: event.args.isSuccessfulMatch,
+      }),
+    // Emitted before MatchingCompleted for scores below the minimum, alone on timeouts
+    MatchingRefunded: (db, contract, { args }) =>
+      db
+        .prepare(
+          "UPDATE matches SET status = 'refunded', refund_amount = ?, refund_reason = ? WHERE contract = ? AND request_id = ?"
+        )
+        .run(args.amount, args.reason, contract.address, Number(args.requestId)),
+  },
+  PrivatePetDNAMatching: {
+    PetRegistered: insertPet,
+    PetBreedingStatusChanged: (db, contract, { args }) => setAvailability(db, contract, args.petId, args.isAvailable),
+    MatchingRequested: (db, contract, event) =>
+      insertRequest(db, contract, event, {
+        requestId: event.args.requestId,
+        petId1: event.args.petId,
+        requester: event.args.requester,
+      }),
+    MatchFound: (db, contract, event) =>
+      completeRequest(db, contract, event, event.args.requestId, {
+        score: Number(event.args.compatibility),
+        isSuccessful: true,
+        petId2: Number(event.args.matchId),
+      }),
+    NoSuitableMatch: (db, contract, event) =>
+      completeRequest(db, contract, event, event.args.requestId, { score: null, isSuccessful: false }),
+  },
+  PetDNAMatching: {
+    PetRegistered: insertPet,
+    BreedingStatusChanged: (db, contract, { args }) => setAvailability(db, contract, args.petId, args.available),
+    MatchingRequested: (db, contract, event) =>
+      insertRequest(db, contract, event, {
+        requestId: event.args.requestId,
+        petId1: event.args.petId1,
+        petId2: event.args.petId2,
+        requester: event.details.from,
+      }),
+    // The event has no request ID; without one from the transaction, the oldest pending request of the pair is meant
+    MatchingCompleted: (db, contract, event) => {
+      const { args, details } = event;
+      const requestId =
+        details.requestId ??
+        db
+          .prepare(
+            `SELECT request_id FROM matches WHERE contract = ? AND pet_id1 = ? AND pet_id2 = ? AND status = 'pending'
+             ORDER BY request_id LIMIT 1`
+          )
+          .get(contract.address, Number(args.petId1), Number(args.petId2))?.request_id;
+      if (requestId === undefined) {
+        return;
+      }
+      const score = Number(args.compatibilityScore);
+      completeRequest(db, contract, event, requestId, { score, isSuccessful: score >= LEGACY_MATCH_THRESHOLD });
+    },
+  },
+};
+
+/**
+ * Apply one event to the projections
+ *
+ * @param db better-sqlite3 database
+ * @param contract Indexed contract: { address, variant }
+ * @param event { blockNumber, logIndex, transactionHash, timestamp, name, args, details }
+ */
+function applyEvent(db, contract, event) {
+  const handler = HANDLERS[contract.variant]?.[event.name];
+  if (handler) {
+    handler(db, contract, { ...event, details: event.details || {} });
+  }
+}
+
+module.exports = { INDEXED_EVENTS, applyEvent };
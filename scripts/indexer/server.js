@@ -0,0 +1,166 @@
+const http = require("http");
+const { VARIANTS } = require("../deployments");
+
+/**
+ * Read-only REST API over an IndexerStore
+ *
+ *   GET /status                                  Chain head, indexed contracts and their progress
+ *   GET /contracts/:contract/pets                ?ids=1,2 &owner= &breed= &available=true|false &limit= &offset=
+ *   GET /contracts/:contract/pets/:petId
+ *   GET /contracts/:contract/matches             ?petId= &requester= &status=pending|completed|refunded &limit= &offset=
+ *   GET /contracts/:contract/matches/:requestId
+ *   GET /contracts/:contract/fees                Matching fees paid, refunded, retained and withdrawn (wei)
+ *
+ * `:contract` is an address or a variant name (`EnhancedPetDNAMatching`
+ * or its short name `Enhanced`). Lists return `{ total, items }`. Responses
+ * allow any origin, so the dApps can read them from the browser.
+ */
+
+const MATCH_STATUSES = ["pending", "completed", "refunded"];
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function integer(query, name, min = 0) {
+  if (!query.has(name)) {
+    return undefined;
+  }
+  const value = Number(query.get(name));
+  if (!Number.isInteger(value) || value < min) {
+    throw new HttpError(400, `${name} must be an integer of at least ${min}`);
+  }
+  return value;
+}
+
+function address(query, name) {
+  const value = query.get(name);
+  if (value && !/^0x[0-9a-fA-F]{40}$/.test(value)) {
+    throw new HttpError(400, `${name} must be an address`);
+  }
+  return value || undefined;
+}
+
+function page(query) {
+  return { limit: integer(query, "limit", 1), offset: integer(query, "offset") };
+}
+
+function resolveContract(store, reference) {
+  const variant = VARIANTS[reference] || reference;
+  const contract = store
+    .getContracts()
+    .find((candidate) => candidate.address === reference.toLowerCase() || candidate.variant === variant);
+  if (!contract) {
+    throw new HttpError(404, `Contract ${reference} is not indexed`);
+  }
+  return contract;
+}
+
+function route(store, indexer, url) {
+  const parts = url.pathname.split("/").filter(Boolean);
+  const query = url.searchParams;
+
+  if (parts.length === 1 && parts[0] === "status") {
+    return { ...indexer?.status, contracts: store.getContracts() };
+  }
+  if (parts[0] !== "contracts" || parts.length < 3 || parts.length > 4) {
+    throw new HttpError(404, `No route for ${url.pathname}`);
+  }
+
+  const contract = resolveContract(store, decodeURIComponent(parts[1]));
+  const [, , resource, id] = parts;
+  const itemId = () => {
+    const value = Number(id);
+    if (!Number.isInteger(value) || value < 0) {
+      throw new HttpError(400, `Invalid ID ${id}`);
+    }
+    return value;
+  };
+  const found = (item, what) => {
+    if (!item) {
+      throw new HttpError(404, `${what} ${id} not found`);
+    }
+    return item;
+  };
+
+  switch (resource) {
+    case "pets": {
+      if (id !== undefined) {
+        return found(store.getPet(contract.address, itemId()), "Pet");
+      }
+      const available = query.get("available");
+      if (available !== null && available !== "true" && available !== "false") {
+        throw new HttpError(400, "available must be true or false");
+      }
+      const ids = query.get("ids");
+      if (ids !== null && !/^\d+(,\d+)*$/.test(ids)) {
+        throw new HttpError(400, "ids must be a comma separated list of pet IDs");
+      }
+      return store.getPets(contract.address, {
+        ids: ids === null ? undefined : ids.split(",").map(Number),
+        owner: address(query, "owner"),
+        breed: query.get("breed") || undefined,
+        available: available === null ? undefined : available === "true",
+        ...page(query),
+      });
+    }
+    case "matches": {
+      if (id !== undefined) {
+        return found(store.getMatch(contract.address, itemId()), "Matching request");
+      }
+      const status = query.get("status");
+      if (status && !MATCH_STATUSES.includes(status)) {
+        throw new HttpError(400, `status must be one of ${MATCH_STATUSES.join(", ")}`);
+      }
+      return store.getMatches(contract.address, {
+        petId: integer(query, "petId"),
+        requester: address(query, "requester"),
+        status: status || undefined,
+        ...page(query),
+      });
+    }
+    case "fees":
+      if (id === undefined) {
+        return store.getFeeTotals(contract.address);
+      }
+      break;
+  }
+  throw new HttpError(404, `No route for ${url.pathname}`);
+}
+
+/**
+ * Create the HTTP server; call listen() on it
+ *
+ * @param store IndexerStore to read
+ * @param indexer EventIndexer whose status /status reports (optional)
+ */
+function createServer(store, indexer = null) {
+  return http.createServer((request, response) => {
+    const send = (status, body) => {
+      response.writeHead(status, {
+        "Content-Type": "application/json",
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "GET, OPTIONS",
+      });
+      response.end(body === undefined ? undefined : JSON.stringify(body));
+    };
+
+    if (request.method === "OPTIONS") {
+      return send(204);
+    }
+    if (request.method !== "GET") {
+      return send(405, { error: `${request.method} is not supported` });
+    }
+
+    try {
+      send(200, route(store, indexer, new URL(request.url, "http://indexer")));
+    } catch (error) {
+      send(error.status || 500, { error: error.message });
+    }
+  });
+}
+
+module.exports = { createServer };
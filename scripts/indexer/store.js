@@ -0,0 +1,393 @@
+const { applyEvent } = require("./projections");
+
+/**
+ * SQLite store of the event indexer
+ *
+ * Raw events are kept in `events`; `pets` and `matches` are projections of
+ * them (see projections.js). A chain reorganisation deletes the events of
+ * the dropped blocks and replays the rest, so the projections never hold
+ * state of an abandoned fork. `blocks` records the hash of every block with
+ * events and of the last block of each indexed range, to detect reorgs.
+ *
+ * Addresses keep the checksum case of the events and are compared
+ * case-insensitively. Amounts are stored as decimal wei strings, SQLite
+ * integers are 64 bits.
+ */
+
+let sqlite = null;
+
+/**
+ * The better-sqlite3 Database class
+ *
+ * better-sqlite3 is an optional dependency: it compiles a native module that
+ * only the indexer needs, so it is loaded when a store opens.
+ *
+ * @throws Error telling how to install it when it is missing or does not load
+ */
+function loadSqlite() {
+  if (!sqlite) {
+    try {
+      const Database = require("better-sqlite3");
+      new Database(":memory:").close(); // The native binding loads on first use
+      sqlite = { Database };
+    } catch (error) {
+      sqlite = { error };
+    }
+  }
+  if (sqlite.error) {
+    const reason =
+      sqlite.error.code === "MODULE_NOT_FOUND"
+        ? "is not installed"
+        : `failed to load (${sqlite.error.message.split("\n")[0]})`;
+    throw new Error(`The indexer needs better-sqlite3, which ${reason}. Install it with: npm install better-sqlite3`);
+  }
+  return sqlite.Database;
+}
+
+const SCHEMA_VERSION = 1;
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS contracts (
+    address TEXT PRIMARY KEY,
+    variant TEXT NOT NULL,
+    start_block INTEGER NOT NULL,
+    indexed_block INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS events (
+    contract TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    name TEXT NOT NULL,
+    args TEXT NOT NULL,
+    details TEXT NOT NULL,
+    PRIMARY KEY (contract, block_number, log_index)
+  );
+
+  CREATE TABLE IF NOT EXISTS pets (
+    contract TEXT NOT NULL,
+    pet_id INTEGER NOT NULL,
+    owner TEXT NOT NULL,
+    name TEXT NOT NULL,
+    breed TEXT NOT NULL,
+    species TEXT,
+    age INTEGER,
+    birth_year INTEGER,
+    is_available INTEGER NOT NULL,
+    registered_block INTEGER NOT NULL,
+    registered_at INTEGER NOT NULL,
+    PRIMARY KEY (contract, pet_id)
+  );
+  CREATE INDEX IF NOT EXISTS pets_by_owner ON pets (contract, owner COLLATE NOCASE);
+  CREATE INDEX IF NOT EXISTS pets_by_breed ON pets (contract, breed COLLATE NOCASE);
+
+  CREATE TABLE IF NOT EXISTS matches (
+    contract TEXT NOT NULL,
+    request_id INTEGER NOT NULL,
+    pet_id1 INTEGER NOT NULL,
+    pet_id2 INTEGER,
+    requester TEXT NOT NULL,
+    status TEXT NOT NULL,
+    score INTEGER,
+    is_successful INTEGER,
+    fee_paid TEXT NOT NULL,
+    refund_amount TEXT,
+    refund_reason TEXT,
+    timeout_deadline INTEGER,
+    requested_block INTEGER NOT NULL,
+    requested_at INTEGER NOT NULL,
+    completed_block INTEGER,
+    completed_at INTEGER,
+    transaction_hash TEXT NOT NULL,
+    PRIMARY KEY (contract, request_id)
+  );
+  CREATE INDEX IF NOT EXISTS matches_by_requester ON matches (contract, requester COLLATE NOCASE);
+`;
+
+const MAX_LIMIT = 500;
+
+const toPet = (row) => ({
+  contract: row.contract,
+  id: row.pet_id,
+  owner: row.owner,
+  name: row.name,
+  breed: row.breed,
+  ...(row.species !== null && { species: row.species }),
+  ...(row.age !== null && { age: row.age }),
+  ...(row.birth_year !== null && { birthYear: row.birth_year }),
+  isAvailableForBreeding: row.is_available === 1,
+  registrationBlock: row.registered_block,
+  registrationTime: row.registered_at,
+});
+
+const toMatch = (row) => ({
+  contract: row.contract,
+  requestId: row.request_id,
+  petId1: row.pet_id1,
+  petId2: row.pet_id2,
+  requester: row.requester,
+  status: row.status,
+  score: row.score,
+  isSuccessfulMatch: row.is_successful === null ? null : row.is_successful === 1,
+  feePaid: row.fee_paid,
+  refundAmount: row.refund_amount,
+  refundReason: row.refund_reason,
+  timeoutDeadline: row.timeout_deadline,
+  requestBlock: row.requested_block,
+  requestTime: row.requested_at,
+  completionBlock: row.completed_block,
+  completionTime: row.completed_at,
+  transactionHash: row.transaction_hash,
+});
+
+const sum = (values) => values.reduce((total, value) => total + BigInt(value || 0), 0n);
+
+class IndexerStore {
+  /**
+   * @param file SQLite file, ":memory:" for a throwaway store
+   */
+  constructor(file) {
+    const Database = loadSqlite();
+    this.db = new Database(file);
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(SCHEMA);
+
+    const version = this.getMeta("schemaVersion");
+    if (version && Number(version) !== SCHEMA_VERSION) {
+      throw new Error(`${file} has indexer schema ${version}; this indexer supports ${SCHEMA_VERSION}`);
+    }
+    this.setMeta("schemaVersion", SCHEMA_VERSION);
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  getMeta(key) {
+    return this.db.prepare("SELECT value FROM meta WHERE key = ?").get(key)?.value;
+  }
+
+  setMeta(key, value) {
+    this.db
+      .prepare("INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value")
+      .run(key, String(value));
+  }
+
+  /**
+   * Start following a contract; a known contract keeps its progress
+   */
+  addContract(address, variant, startBlock) {
+    this.db
+      .prepare(
+        "INSERT INTO contracts (address, variant, start_block, indexed_block) VALUES (?, ?, ?, ?) ON CONFLICT (address) DO NOTHING"
+      )
+      .run(address.toLowerCase(), variant, startBlock, startBlock - 1);
+  }
+
+  getContracts() {
+    return this.db
+      .prepare("SELECT address, variant, start_block, indexed_block FROM contracts ORDER BY variant")
+      .all()
+      .map((row) => ({
+        address: row.address,
+        variant: row.variant,
+        startBlock: row.start_block,
+        indexedBlock: row.indexed_block,
+      }));
+  }
+
+  getContract(address) {
+    return this.getContracts().find((contract) => contract.address === address.toLowerCase());
+  }
+
+  /**
+   * Latest recorded block, the reference point of reorg detection
+   */
+  getLatestBlock() {
+    return this.db.prepare("SELECT number, hash, timestamp FROM blocks ORDER BY number DESC LIMIT 1").get();
+  }
+
+  /**
+   * Recorded blocks from the newest down, to find where a fork started
+   */
+  getBlocksDescending(limit) {
+    return this.db.prepare("SELECT number, hash FROM blocks ORDER BY number DESC LIMIT ?").all(limit);
+  }
+
+  /**
+   * Store the events of an indexed block range and advance the contract
+   *
+   * @param address Contract address
+   * @param events Decoded events in chain order: { blockNumber, logIndex, transactionHash, name, args, details }
+   * @param blocks Blocks of the events and of toBlock: { number, hash, timestamp }
+   * @param toBlock Last block of the range
+   */
+  appendRange(address, events, blocks, toBlock) {
+    const contract = this.getContract(address);
+    const timestamps = new Map(blocks.map((block) => [block.number, block.timestamp]));
+    const insertBlock = this.db.prepare(
+      "INSERT INTO blocks (number, hash, timestamp) VALUES (?, ?, ?) ON CONFLICT (number) DO UPDATE SET hash = excluded.hash, timestamp = excluded.timestamp"
+    );
+    const insertEvent = this.db.prepare(
+      "INSERT OR IGNORE INTO events (contract, block_number, log_index, transaction_hash, name, args, details) VALUES (?, ?, ?, ?, ?, ?, ?)"
+    );
+
+    this.db.transaction(() => {
+      blocks.forEach((block) => insertBlock.run(block.number, block.hash, block.timestamp));
+      for (const event of events) {
+        const inserted = insertEvent.run(
+          contract.address,
+          event.blockNumber,
+          event.logIndex,
+          event.transactionHash,
+          event.name,
+          JSON.stringify(event.args),
+          JSON.stringify(event.details || {})
+        );
+        if (inserted.changes > 0) {
+          applyEvent(this.db, contract, { ...event, timestamp: timestamps.get(event.blockNumber) });
+        }
+      }
+      this.db.prepare("UPDATE contracts SET indexed_block = ? WHERE address = ?").run(toBlock, contract.address);
+    })();
+  }
+
+  /**
+   * Drop everything after forkBlock and rebuild the projections
+   */
+  rollback(forkBlock) {
+    this.db.transaction(() => {
+      this.db.prepare("DELETE FROM events WHERE block_number > ?").run(forkBlock);
+      this.db.prepare("DELETE FROM blocks WHERE number > ?").run(forkBlock);
+      this.db.prepare("UPDATE contracts SET indexed_block = MIN(indexed_block, ?)").run(forkBlock);
+      this.db.exec("DELETE FROM pets; DELETE FROM matches;");
+
+      const contracts = new Map(this.getContracts().map((contract) => [contract.address, contract]));
+      const events = this.db
+        .prepare(
+          `SELECT events.*, blocks.timestamp FROM events JOIN blocks ON blocks.number = events.block_number
+           ORDER BY events.block_number, events.log_index`
+        )
+        .all();
+      for (const row of events) {
+        applyEvent(this.db, contracts.get(row.contract), {
+          blockNumber: row.block_number,
+          logIndex: row.log_index,
+          transactionHash: row.transaction_hash,
+          name: row.name,
+          args: JSON.parse(row.args),
+          details: JSON.parse(row.details),
+          timestamp: row.timestamp,
+        });
+      }
+    })();
+  }
+
+  /**
+   * Pets of a contract, optionally by ID, owner, breed (case-insensitive) or availability
+   */
+  getPets(address, { ids, owner, breed, available, limit = 100, offset = 0 } = {}) {
+    const conditions = ["contract = @contract"];
+    if (ids) conditions.push(`pet_id IN (${ids.map(Number).filter(Number.isInteger).join(", ") || "NULL"})`);
+    if (owner) conditions.push("owner = @owner COLLATE NOCASE");
+    if (breed) conditions.push("breed = @breed COLLATE NOCASE");
+    if (available !== undefined) conditions.push("is_available = @available");
+
+    const where = conditions.join(" AND ");
+    const params = {
+      contract: address.toLowerCase(),
+      owner,
+      breed,
+      available: available ? 1 : 0,
+      limit: Math.min(limit, MAX_LIMIT),
+      offset,
+    };
+    const total = this.db.prepare(`SELECT COUNT(*) AS count FROM pets WHERE ${where}`).get(params).count;
+    const rows = this.db
+      .prepare(`SELECT * FROM pets WHERE ${where} ORDER BY pet_id LIMIT @limit OFFSET @offset`)
+      .all(params);
+    return { total, items: rows.map(toPet) };
+  }
+
+  getPet(address, petId) {
+    const row = this.db
+      .prepare("SELECT * FROM pets WHERE contract = ? AND pet_id = ?")
+      .get(address.toLowerCase(), petId);
+    return row ? toPet(row) : null;
+  }
+
+  /**
+   * Matching requests of a contract, newest first
+   *
+   * @param filter.petId Requests involving the pet on either side
+   * @param filter.requester Requests sent by an account
+   * @param filter.status pending, completed or refunded
+   */
+  getMatches(address, { petId, requester, status, limit = 100, offset = 0 } = {}) {
+    const conditions = ["contract = @contract"];
+    if (petId !== undefined) conditions.push("(pet_id1 = @petId OR pet_id2 = @petId)");
+    if (requester) conditions.push("requester = @requester COLLATE NOCASE");
+    if (status) conditions.push("status = @status");
+
+    const where = conditions.join(" AND ");
+    const params = {
+      contract: address.toLowerCase(),
+      petId,
+      requester,
+      status,
+      limit: Math.min(limit, MAX_LIMIT),
+      offset,
+    };
+    const total = this.db.prepare(`SELECT COUNT(*) AS count FROM matches WHERE ${where}`).get(params).count;
+    const rows = this.db
+      .prepare(`SELECT * FROM matches WHERE ${where} ORDER BY request_id DESC LIMIT @limit OFFSET @offset`)
+      .all(params);
+    return { total, items: rows.map(toMatch) };
+  }
+
+  getMatch(address, requestId) {
+    const row = this.db
+      .prepare("SELECT * FROM matches WHERE contract = ? AND request_id = ?")
+      .get(address.toLowerCase(), requestId);
+    return row ? toMatch(row) : null;
+  }
+
+  /**
+   * Matching fees paid, refunded and withdrawn by the owner, in wei
+   *
+   * `retained` is what the contract kept: paid minus refunded.
+   */
+  getFeeTotals(address) {
+    const contract = address.toLowerCase();
+    const matches = this.db.prepare("SELECT fee_paid, refund_amount FROM matches WHERE contract = ?").all(contract);
+    const withdrawals = this.db
+      .prepare("SELECT args FROM events WHERE contract = ? AND name = 'PlatformFeesWithdrawn'")
+      .all(contract)
+      .map((row) => JSON.parse(row.args).amount);
+
+    const paid = sum(matches.map((row) => row.fee_paid));
+    const refunded = sum(matches.map((row) => row.refund_amount));
+    return {
+      requests: matches.length,
+      refunds: matches.filter((row) => row.refund_amount !== null).length,
+      paid: paid.toString(),
+      refunded: refunded.toString(),
+      retained: (paid - refunded).toString(),
+      withdrawn: sum(withdrawals).toString(),
+    };
+  }
+}
+
+module.exports = { IndexerStore, SCHEMA_VERSION, loadSqlite };
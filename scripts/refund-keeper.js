@@ -0,0 +1,286 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+require("dotenv").config();
+const { deployedAddress } = require("./deployments");
+
+/**
+ * Timeout refund keeper for EnhancedPetDNAMatching
+ *
+ * Scans MatchingRequested events, checks canClaimTimeoutRefund for every
+ * request and claims refunds for those whose gateway callback timed out.
+ * claimTimeoutRefund is permissionless, so any funded account can run this.
+ *
+ * Usage: npx hardhat run scripts/refund-keeper.js --network sepolia
+ *
+ * Environment:
+ *   CONTRACT_ADDRESS         EnhancedPetDNAMatching address (default: deployments/<network>.json)
+ *   KEEPER_FROM_BLOCK        First block to scan, e.g. the deployment block (default 0)
+ *   KEEPER_BLOCK_RANGE       Blocks per log query (default 10000)
+ *   KEEPER_BATCH_SIZE        Refund transactions sent before waiting for receipts (default 5)
+ *   KEEPER_MAX_GAS_PER_TX    Skip refunds estimated above this gas (default 200000)
+ *   KEEPER_MAX_FEE_GWEI      Do not submit while the network fee exceeds this (optional)
+ *   KEEPER_DRY_RUN           "true" to report claimable requests without sending
+ *   KEEPER_REPORT            Path of the JSON report (default: stdout only)
+ */
+
+const DEFAULT_OPTIONS = {
+  fromBlock: 0,
+  blockRange: 10000,
+  batchSize: 5,
+  maxGasPerTx: 200000n,
+  maxFeePerGas: null,
+  dryRun: false,
+};
+
+/**
+ * Collect the IDs of all requests created since fromBlock
+ */
+async function scanRequestIds(contract, options) {
+  const provider = contract.runner.provider;
+  const latest = await provider.getBlockNumber();
+  const ids = new Set();
+
+  for (let start = options.fromBlock; start <= latest; start += options.blockRange) {
+    const end = Math.min(start + options.blockRange - 1, latest);
+    const events = await contract.queryFilter(contract.filters.MatchingRequested(), start, end);
+    events.forEach((event) => ids.add(event.args.requestId));
+  }
+
+  return Array.from(ids).sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+}
+
+/**
+ * Find requests whose callback deadline passed without completion or refund
+ */
+async function findClaimableRequests(contract, options) {
+  const requestIds = await scanRequestIds(contract, options);
+  const claimable = [];
+
+  for (const requestId of requestIds) {
+    if (await contract.canClaimTimeoutRefund(requestId)) {
+      const request = await contract.getMatchingRequest(requestId);
+      claimable.push({
+        requestId,
+        requester: request.requester,
+        timeoutDeadline: request.timeoutDeadline,
+      });
+    }
+  }
+
+  return { scanned: requestIds.length, claimable };
+}
+
+/**
+ * Claim one refund, enforcing the per-transaction gas cap
+ *
+ * Returns the sent transaction, or a report entry when the refund is skipped.
+ */
+async function sendRefund(contract, requestId, options, feeData) {
+  let gasEstimate;
+  try {
+    gasEstimate = await contract.claimTimeoutRefund.estimateGas(requestId);
+  } catch (error) {
+    return { entry: { status: "failed", reason: error.shortMessage || error.message } };
+  }
+
+  if (gasEstimate > options.maxGasPerTx) {
+    return {
+      entry: {
+        status: "skipped",
+        reason: `Estimated gas ${gasEstimate} exceeds cap ${options.maxGasPerTx}`,
+        gasEstimate: gasEstimate.toString(),
+      },
+    };
+  }
+
+  const overrides = { gasLimit: options.maxGasPerTx };
+  if (options.maxFeePerGas !== null && feeData.maxFeePerGas !== null) {
+    overrides.maxFeePerGas = options.maxFeePerGas;
+    overrides.maxPriorityFeePerGas =
+      feeData.maxPriorityFeePerGas < options.maxFeePerGas ? feeData.maxPriorityFeePerGas : options.maxFeePerGas;
+  }
+
+  try {
+    const tx = await contract.claimTimeoutRefund(requestId, overrides);
+    return { tx, gasEstimate };
+  } catch (error) {
+    return { entry: { status: "failed", reason: error.shortMessage || error.message } };
+  }
+}
+
+/**
+ * Run one keeper pass
+ *
+ * @param contract EnhancedPetDNAMatching instance connected to the keeper signer
+ * @param overrides Options overriding DEFAULT_OPTIONS
+ * @returns JSON-serialisable report
+ */
+async function runKeeper(contract, overrides = {}) {
+  const options = { ...DEFAULT_OPTIONS, ...overrides };
+  const provider = contract.runner.provider;
+  const network = await provider.getNetwork();
+  const latestBlock = await provider.getBlock("latest");
+
+  const report = {
+    network: network.name,
+    chainId: network.chainId.toString(),
+    contract: await contract.getAddress(),
+    keeper: contract.runner.address || null,
+    dryRun: options.dryRun,
+    blockNumber: latestBlock.number,
+    blockTimestamp: latestBlock.timestamp,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    scanned: 0,
+    claimable: 0,
+    refunds: [],
+    totals: { refunded: 0, failed: 0, skipped: 0, gasUsed: "0" },
+  };
+
+  const { scanned, claimable } = await findClaimableRequests(contract, options);
+  report.scanned = scanned;
+  report.claimable = claimable.length;
+
+  const describe = (request) => ({
+    requestId: request.requestId.toString(),
+    requester: request.requester,
+    timeoutDeadline: Number(request.timeoutDeadline),
+  });
+
+  if (options.dryRun) {
+    report.refunds = claimable.map((request) => ({ ...describe(request), status: "claimable" }));
+    report.finishedAt = new Date().toISOString();
+    return report;
+  }
+
+  const feeData = await provider.getFeeData();
+  const networkFee = feeData.maxFeePerGas ?? feeData.gasPrice;
+  if (options.maxFeePerGas !== null && networkFee !== null && networkFee > options.maxFeePerGas) {
+    report.refunds = claimable.map((request) => ({
+      ...describe(request),
+      status: "skipped",
+      reason: `Network fee ${networkFee} exceeds cap ${options.maxFeePerGas}`,
+    }));
+    report.totals.skipped = claimable.length;
+    report.finishedAt = new Date().toISOString();
+    return report;
+  }
+
+  let gasUsed = 0n;
+
+  for (let i = 0; i < claimable.length; i += options.batchSize) {
+    const batch = claimable.slice(i, i + options.batchSize);
+
+    // Send the whole batch first, then wait for every receipt
+    const sent = [];
+    for (const request of batch) {
+      sent.push({ request, ...(await sendRefund(contract, request.requestId, options, feeData)) });
+    }
+
+    for (const { request, tx, gasEstimate, entry } of sent) {
+      if (!tx) {
+        report.refunds.push({ ...describe(request), ...entry });
+        report.totals[entry.status] += 1;
+        continue;
+      }
+
+      try {
+        const receipt = await tx.wait();
+        gasUsed += receipt.gasUsed;
+        report.refunds.push({
+          ...describe(request),
+          status: "refunded",
+          txHash: receipt.hash,
+          gasEstimate: gasEstimate.toString(),
+          gasUsed: receipt.gasUsed.toString(),
+        });
+        report.totals.refunded += 1;
+      } catch (error) {
+        report.refunds.push({
+          ...describe(request),
+          status: "failed",
+          txHash: tx.hash,
+          reason: error.shortMessage || error.message,
+        });
+        report.totals.failed += 1;
+      }
+    }
+  }
+
+  report.totals.gasUsed = gasUsed.toString();
+  report.finishedAt = new Date().toISOString();
+  return report;
+}
+
+function optionsFromEnv() {
+  const options = {};
+  if (process.env.KEEPER_FROM_BLOCK) options.fromBlock = parseInt(process.env.KEEPER_FROM_BLOCK);
+  if (process.env.KEEPER_BLOCK_RANGE) options.blockRange = parseInt(process.env.KEEPER_BLOCK_RANGE);
+  if (process.env.KEEPER_BATCH_SIZE) options.batchSize = parseInt(process.env.KEEPER_BATCH_SIZE);
+  if (process.env.KEEPER_MAX_GAS_PER_TX) options.maxGasPerTx = BigInt(process.env.KEEPER_MAX_GAS_PER_TX);
+  if (process.env.KEEPER_MAX_FEE_GWEI) {
+    options.maxFeePerGas = hre.ethers.parseUnits(process.env.KEEPER_MAX_FEE_GWEI, "gwei");
+  }
+  options.dryRun = process.env.KEEPER_DRY_RUN === "true";
+  return options;
+}
+
+async function main() {
+  const contractAddress =
+    process.env.CONTRACT_ADDRESS || deployedAddress(hre.network.name, "EnhancedPetDNAMatching");
+
+  if (!contractAddress) {
+    console.error(
+      `❌ Error: CONTRACT_ADDRESS not set and no EnhancedPetDNAMatching in deployments/${hre.network.name}.json`
+    );
+    process.exit(1);
+  }
+
+  const options = optionsFromEnv();
+  const [keeper] = await hre.ethers.getSigners();
+  const contract = await hre.ethers.getContractAt("EnhancedPetDNAMatching", contractAddress, keeper);
+
+  console.log("\n⏰ Timeout Refund Keeper");
+  console.log("Contract Address:", contractAddress);
+  console.log("Network:", hre.network.name);
+  console.log("Keeper:", keeper.address);
+  console.log("Mode:", options.dryRun ? "dry run" : "live");
+  console.log("--------------------------------------------------\n");
+
+  const report = await runKeeper(contract, options);
+
+  console.log(`🔍 Scanned ${report.scanned} request(s), ${report.claimable} claimable`);
+  for (const refund of report.refunds) {
+    const detail = refund.txHash || refund.reason || "";
+    console.log(`  #${refund.requestId} ${refund.status} ${detail}`);
+  }
+  console.log(
+    `\n✅ Refunded: ${report.totals.refunded}, failed: ${report.totals.failed}, skipped: ${report.totals.skipped}`
+  );
+
+  const json = JSON.stringify(report, null, 2);
+  if (process.env.KEEPER_REPORT) {
+    const reportPath = path.resolve(process.env.KEEPER_REPORT);
+    fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+    fs.writeFileSync(reportPath, json);
+    console.log("📝 Report written to", reportPath);
+  } else {
+    console.log("\n" + json);
+  }
+
+  if (report.totals.failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(process.exitCode || 0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
+
+module.exports = { runKeeper, findClaimableRequests, DEFAULT_OPTIONS };
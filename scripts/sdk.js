@@ -0,0 +1,27 @@
+/**
+ * The SDK of packages/fhevm-sdk, loaded from its TypeScript sources
+ *
+ * ts-node (a peer dependency of hardhat-toolbox) compiles the sources on
+ * require, so scripts use the SDK without a build. The SDK keeps its own
+ * ethers v5; Hardhat's ethers v6 signers reach it through
+ * `createChainAdapter`.
+ */
+const path = require("path");
+
+require("ts-node").register({
+  transpileOnly: true,
+  compilerOptions: { module: "commonjs" },
+});
+
+const SDK_SOURCES = path.join(__dirname, "..", "packages", "fhevm-sdk", "src");
+
+/**
+ * Require a module of the SDK sources, by default its public entry point
+ *
+ * @param {string} [modulePath] Path below packages/fhevm-sdk/src, e.g. "petdna/CompatibilityModel"
+ */
+function loadSdk(modulePath = "index") {
+  return require(path.join(SDK_SOURCES, modulePath));
+}
+
+module.exports = { loadSdk };
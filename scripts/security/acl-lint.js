@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+
+const { ACL_RULES, permissionMatrix } = require("./fhe-acl");
+const { analyze, applyProjectBaseline, contractsOf, parseArgs, runCli, writeReport } = require("./check");
+const { hasFailures, toJson, toSarif, toText } = require("./report");
+const { loadProjectSources } = require("./solidity-ast");
+
+/**
+ * FHE ACL linter
+ *
+ * Tracks the encrypted values each contract writes to storage or returns
+ * from getters and view functions, flags those missing the ACL grants they
+ * need, and prints a permission matrix per contract: which addresses each
+ * write of an encrypted field grants access to.
+ *
+ * Usage:
+ *   node scripts/security/acl-lint.js [options]
+ *
+ * Options:
+ *   --format text|markdown|json|sarif   Output format (default text)
+ *   --output FILE                       Write the report to FILE instead of stdout
+ *   --fail-on LEVEL                     error, warning, note or none (default error)
+ *   --exclude PREFIX                    Skip sources starting with PREFIX (repeatable,
+ *                                       default contracts/mocks/)
+ *   --rule ID                           Only run the given rule (repeatable)
+ *   --contract NAME                     Only lint the given contract (repeatable)
+ *   --baseline FILE|none                Accepted findings, shared with check.js
+ *                                       (default scripts/security/baseline.json if present)
+ *
+ * Exit codes: 0 no failures, 1 failures, 2 usage or compilation errors.
+ */
+
+const GRANT_LABELS = {
+  text: { all: "yes", some: "some", none: "-" },
+  markdown: { all: "✅", some: "⚠️ some", none: "—" },
+};
+
+/**
+ * Permission matrices of the contracts that keep encrypted state
+ */
+function permissionMatrices(sources, contracts = []) {
+  return contractsOf(sources, contracts)
+    .map(({ file, contract }) => ({ file: file.sourceName, ...permissionMatrix(file, contract) }))
+    .filter((matrix) => matrix.rows.length > 0);
+}
+
+function matrixCells(matrix, labels) {
+  const header = ["Field", "Type", ...matrix.principals, "Written by", "Returned by"];
+  const rows = matrix.rows.map((row) => [
+    row.path,
+    row.type,
+    ...matrix.principals.map((principal) => labels[row.grants[principal]]),
+    row.writers.join(", ") || "(never written)",
+    row.readers.join(", ") || "-",
+  ]);
+  return { header, rows };
+}
+
+function matricesToText(matrices) {
+  const lines = [];
+  for (const matrix of matrices) {
+    const { header, rows } = matrixCells(matrix, GRANT_LABELS.text);
+    const widths = header.map((_, i) => Math.max(...[header, ...rows].map((cells) => cells[i].length)));
+    const format = (cells) => `  ${cells.map((cell, i) => cell.padEnd(widths[i])).join("  ")}`.trimEnd();
+    lines.push(`🔐 ${matrix.contract} (${matrix.file})`, format(header), ...rows.map(format), "");
+  }
+  lines.push(
+    "Grants: yes = every write grants access, some = only some writes, - = none",
+    "contract = FHE.allowThis, public = FHE.makePubliclyDecryptable"
+  );
+  return lines.join("\n");
+}
+
+function toMarkdown(matrices, findings) {
+  const lines = ["# FHE ACL permission matrix", ""];
+  for (const matrix of matrices) {
+    const { header, rows } = matrixCells(matrix, GRANT_LABELS.markdown);
+    const row = (cells) => `| ${cells.map((cell) => cell.replace(/\|/g, "\\|")).join(" | ")} |`;
+    lines.push(
+      `## ${matrix.contract}`,
+      "",
+      `\`${matrix.file}\``,
+      "",
+      row(header),
+      row(header.map(() => "---")),
+      ...rows.map(row),
+      ""
+    );
+  }
+  lines.push(
+    "✅ every write grants access, ⚠️ only some writes do, — none. " +
+      "`contract` is FHE.allowThis, `public` FHE.makePubliclyDecryptable.",
+    "",
+    "## Findings",
+    ""
+  );
+  if (findings.length === 0) {
+    lines.push("No findings.");
+  }
+  for (const { level, ruleId, message, file, region, suppression } of findings) {
+    const label = suppression ? `~~${level}~~ (baseline: ${suppression.justification})` : `**${level}**`;
+    lines.push(`- ${label} \`${ruleId}\` ${file}:${region.startLine}: ${message}`);
+  }
+  return lines.join("\n");
+}
+
+async function main() {
+  const formats = {
+    text: (findings, rules, matrices) => `${matricesToText(matrices)}\n\n${toText(findings)}`,
+    markdown: (findings, rules, matrices) => toMarkdown(matrices, findings),
+    json: (findings, rules, matrices) => ({ ...toJson(findings), contracts: matrices }),
+    sarif: toSarif,
+  };
+  const options = parseArgs(process.argv.slice(2), { formats, rules: ACL_RULES });
+  const rules = options.rules.length ? ACL_RULES.filter((rule) => options.rules.includes(rule.id)) : ACL_RULES;
+
+  const hre = require("hardhat");
+  const sources = await loadProjectSources(hre, { exclude: options.exclude });
+  const findings = applyProjectBaseline(options, sources, rules, analyze(sources, rules, options.contracts));
+  const matrices = permissionMatrices(sources, options.contracts);
+
+  writeReport(options, formats[options.format](findings, rules, matrices), findings);
+  return hasFailures(findings, options.failOn);
+}
+
+if (require.main === module) {
+  runCli(main);
+}
+
+module.exports = { permissionMatrices, matricesToText, toMarkdown };
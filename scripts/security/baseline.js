@@ -0,0 +1,63 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Reviewed baseline of accepted findings
+ *
+ * Findings listed in baseline.json stay in the reports, marked as suppressed
+ * with the reviewer's justification, and do not fail the run. Entries match
+ * on rule, file, contract and message rather than on lines, so unrelated
+ * edits keep them valid while a changed finding needs a new review.
+ */
+
+const DEFAULT_BASELINE = path.join(__dirname, "baseline.json");
+const ENTRY_FIELDS = ["ruleId", "file", "contract", "message", "justification"];
+
+/**
+ * Read a baseline file
+ *
+ * @throws Error if the file is not a baseline or an entry lacks a field
+ */
+function loadBaseline(file) {
+  const baseline = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!baseline || !Array.isArray(baseline.entries)) {
+    throw new Error(`${file} is not a baseline: expected an "entries" array`);
+  }
+  baseline.entries.forEach((entry, index) => {
+    const missing = ENTRY_FIELDS.filter((field) => typeof entry[field] !== "string" || entry[field] === "");
+    if (missing.length) {
+      throw new Error(`${file}: entry ${index} needs ${missing.join(", ")}`);
+    }
+  });
+  return baseline.entries;
+}
+
+function matches(entry, finding) {
+  return (
+    entry.ruleId === finding.ruleId &&
+    entry.file === finding.file &&
+    entry.contract === finding.contract &&
+    entry.message === finding.message
+  );
+}
+
+/**
+ * Mark the findings a baseline entry accepts as suppressed
+ *
+ * @returns The findings, suppressed ones carrying `suppression.justification`,
+ *   and the entries that matched no finding
+ */
+function applyBaseline(findings, entries) {
+  const used = new Set();
+  const marked = findings.map((finding) => {
+    const entry = entries.find((candidate) => matches(candidate, finding));
+    if (!entry) {
+      return finding;
+    }
+    used.add(entry);
+    return { ...finding, suppression: { justification: entry.justification } };
+  });
+  return { findings: marked, unused: entries.filter((entry) => !used.has(entry)) };
+}
+
+module.exports = { DEFAULT_BASELINE, loadBaseline, applyBaseline };
@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+
+const fs = require("fs");
+const path = require("path");
+const { DEFAULT_BASELINE, applyBaseline, loadBaseline } = require("./baseline");
+const { RULES } = require("./rules");
+const { LEVELS, hasFailures, toJson, toSarif, toText } = require("./report");
+const { SourceFile, findAll, loadProjectSources } = require("./solidity-ast");
+
+/**
+ * Static security checks on the Solidity AST
+ *
+ * Compiles the project with Hardhat, runs the rules of rules.js on the AST
+ * of every contract and reports findings with file:line locations.
+ *
+ * Usage:
+ *   node scripts/security/check.js [options]
+ *
+ * Options:
+ *   --format text|json|sarif   Output format (default text)
+ *   --output FILE              Write the report to FILE instead of stdout
+ *   --fail-on LEVEL            Exit 1 on findings at or above error, warning or note;
+ *                              "none" always exits 0 (default error)
+ *   --exclude PREFIX           Skip sources starting with PREFIX (repeatable,
+ *                              default contracts/mocks/)
+ *   --rule ID                  Only run the given rule (repeatable)
+ *   --contract NAME            Only check the given contract (repeatable)
+ *   --baseline FILE|none       Accepted findings, reported as suppressed
+ *                              (default scripts/security/baseline.json if present)
+ *
+ * Exit codes: 0 no failures, 1 failures, 2 usage or compilation errors.
+ */
+
+const DEFAULT_EXCLUDE = ["contracts/mocks/"];
+const FORMATS = { text: toText, json: toJson, sarif: toSarif };
+
+class UsageError extends Error {}
+
+/**
+ * Contracts of the analysed sources, with the SourceFile each belongs to
+ *
+ * @param names - Only these contracts, when given
+ */
+function contractsOf(sources, names = []) {
+  return Object.entries(sources).flatMap(([sourceName, source]) => {
+    const file = new SourceFile(sourceName, source);
+    return findAll(file.ast, "ContractDefinition")
+      .filter((contract) => contract.contractKind !== "interface")
+      .filter((contract) => names.length === 0 || names.includes(contract.name))
+      .map((contract) => ({ file, contract }));
+  });
+}
+
+/**
+ * Run the rules on analysed sources
+ *
+ * @param sources - { sourceName: { ast, content } }, see solidity-ast.js
+ * @param contracts - Only check these contracts, when given
+ * @returns Findings sorted by file and position
+ */
+function analyze(sources, rules = RULES, contracts = []) {
+  const findings = [];
+  for (const { file, contract } of contractsOf(sources, contracts)) {
+    for (const rule of rules) {
+      rule.check(file, contract, (node, message, level = rule.level) => {
+        findings.push({
+          ruleId: rule.id,
+          level,
+          message,
+          file: file.sourceName,
+          region: file.region(node),
+          contract: contract.name,
+        });
+      });
+    }
+  }
+
+  return findings.sort(
+    (a, b) =>
+      a.file.localeCompare(b.file) ||
+      a.region.startLine - b.region.startLine ||
+      a.region.startColumn - b.region.startColumn
+  );
+}
+
+/**
+ * Parse the options shared by the security tools
+ *
+ * @param formats - Output formats the tool supports, by name
+ * @param rules - Rules --rule may select
+ */
+function parseArgs(argv, { formats = FORMATS, rules = RULES } = {}) {
+  const options = {
+    format: "text",
+    output: null,
+    failOn: "error",
+    exclude: [],
+    rules: [],
+    contracts: [],
+    baseline: DEFAULT_BASELINE,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) {
+        throw new UsageError(`${flag} needs a value`);
+      }
+      return argv[++i];
+    };
+    switch (flag) {
+      case "--format":
+        options.format = value();
+        if (!formats[options.format]) {
+          throw new UsageError(`Unknown format "${options.format}"; expected ${Object.keys(formats).join(", ")}`);
+        }
+        break;
+      case "--output":
+        options.output = value();
+        break;
+      case "--fail-on":
+        options.failOn = value();
+        if (options.failOn !== "none" && !LEVELS.includes(options.failOn)) {
+          throw new UsageError(`Unknown level "${options.failOn}"; expected error, warning, note or none`);
+        }
+        break;
+      case "--exclude":
+        options.exclude.push(value());
+        break;
+      case "--rule": {
+        const id = value();
+        if (!rules.some((rule) => rule.id === id)) {
+          throw new UsageError(`Unknown rule "${id}"; expected one of ${rules.map((rule) => rule.id).join(", ")}`);
+        }
+        options.rules.push(id);
+        break;
+      }
+      case "--contract":
+        options.contracts.push(value());
+        break;
+      case "--baseline":
+        options.baseline = value();
+        break;
+      default:
+        throw new UsageError(`Unknown option ${flag}`);
+    }
+  }
+  if (options.exclude.length === 0) {
+    options.exclude = DEFAULT_EXCLUDE;
+  }
+  return options;
+}
+
+/**
+ * Mark the findings accepted by the --baseline file as suppressed
+ *
+ * Entries of the rules and contracts that ran but matched nothing are stale:
+ * they are listed on stderr so the baseline shrinks as findings get fixed.
+ */
+function applyProjectBaseline(options, sources, rules, findings) {
+  if (options.baseline === "none" || (options.baseline === DEFAULT_BASELINE && !fs.existsSync(DEFAULT_BASELINE))) {
+    return findings;
+  }
+  let entries;
+  try {
+    entries = loadBaseline(options.baseline);
+  } catch (error) {
+    throw new UsageError(error.code === "ENOENT" ? `Baseline file not found: ${options.baseline}` : error.message);
+  }
+
+  const ruleIds = new Set(rules.map((rule) => rule.id));
+  const contracts = new Set(contractsOf(sources, options.contracts).map(({ contract }) => contract.name));
+  const checked = entries.filter((entry) => ruleIds.has(entry.ruleId) && contracts.has(entry.contract));
+  const { findings: marked, unused } = applyBaseline(findings, checked);
+  if (unused.length) {
+    console.error(
+      `⚠️  ${unused.length} baseline entr${unused.length === 1 ? "y no longer matches" : "ies no longer match"}; remove:`
+    );
+    unused.forEach(({ ruleId, contract, message }) => console.error(`   [${ruleId}] ${contract}: ${message}`));
+  }
+  return marked;
+}
+
+/**
+ * Print a report, or write it to --output and print the text summary
+ */
+function writeReport(options, report, findings) {
+  const output = typeof report === "string" ? report : JSON.stringify(report, null, 2);
+  if (options.output) {
+    fs.mkdirSync(path.dirname(path.resolve(options.output)), { recursive: true });
+    fs.writeFileSync(options.output, output + "\n");
+    console.log(toText(findings));
+    console.log(`\n📝 ${options.format} report written to ${options.output}`);
+  } else {
+    console.log(output);
+  }
+}
+
+/**
+ * Run a tool's main function and map its result to the exit code
+ */
+function runCli(main) {
+  main()
+    .then((failed) => {
+      process.exitCode = failed ? 1 : 0;
+    })
+    .catch((error) => {
+      console.error(error instanceof UsageError ? `❌ ${error.message}` : error);
+      process.exitCode = 2;
+    });
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const rules = options.rules.length ? RULES.filter((rule) => options.rules.includes(rule.id)) : RULES;
+
+  const hre = require("hardhat");
+  const sources = await loadProjectSources(hre, { exclude: options.exclude });
+  const findings = applyProjectBaseline(options, sources, rules, analyze(sources, rules, options.contracts));
+
+  writeReport(options, FORMATS[options.format](findings, rules), findings);
+  return hasFailures(findings, options.failOn);
+}
+
+if (require.main === module) {
+  runCli(main);
+}
+
+module.exports = { UsageError, contractsOf, analyze, parseArgs, applyProjectBaseline, writeReport, runCli };
@@ -0,0 +1,377 @@
+const {
+  fheCalls,
+  findAll,
+  functionLabel,
+  isEncryptedType,
+  isStateChanging,
+  reachableFunctions,
+  writes,
+} = require("./solidity-ast");
+
+/**
+ * FHE ACL analysis
+ *
+ * A ciphertext handle created in a transaction is only usable by the
+ * creating contract until the transaction ends. FHE.allowThis and FHE.allow
+ * record permanent permissions in the ACL contract, and
+ * FHE.makePubliclyDecryptable lets anyone decrypt the handle.
+ *
+ * For each contract this lists the encrypted fields in storage, every write
+ * of a new handle to them with the grants the writing function makes, and
+ * the getters and view functions returning them. Grants are matched to a
+ * write by variable, by expression, or by storage slot, in the writing
+ * function and the internal functions it calls.
+ */
+
+const CONTRACT = "contract";
+const PUBLIC = "public";
+
+const analyses = new WeakMap();
+
+/**
+ * Encrypted slots under a type: "pets[].dnaProfile.marker1" for
+ * `mapping(uint256 => Pet) pets`
+ */
+function encryptedSlots(file, typeName, path, structs = new Set()) {
+  switch (typeName.nodeType) {
+    case "Mapping":
+      return encryptedSlots(file, typeName.valueType, `${path}[]`, structs);
+    case "ArrayTypeName":
+      return encryptedSlots(file, typeName.baseType, `${path}[]`, structs);
+    case "UserDefinedTypeName": {
+      if (isEncryptedType(typeName.typeDescriptions)) {
+        return [{ path, type: typeName.typeDescriptions.typeString }];
+      }
+      const struct = file.declarations.get(typeName.referencedDeclaration);
+      if (struct?.nodeType !== "StructDefinition" || structs.has(struct)) {
+        return [];
+      }
+      const nested = new Set(structs).add(struct);
+      return struct.members.flatMap((member) =>
+        encryptedSlots(file, member.typeName, `${path}.${member.name}`, nested)
+      );
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Slots returned by the getter of a public state variable; like solc,
+ * leaves out struct members that are structs, arrays or mappings
+ */
+function getterSlots(file, variable) {
+  let typeName = variable.typeName;
+  let path = variable.name;
+  while (typeName.nodeType === "Mapping" || typeName.nodeType === "ArrayTypeName") {
+    typeName = typeName.nodeType === "Mapping" ? typeName.valueType : typeName.baseType;
+    path += "[]";
+  }
+  if (isEncryptedType(typeName.typeDescriptions)) {
+    return [path];
+  }
+  const struct = file.declarations.get(typeName.referencedDeclaration);
+  if (struct?.nodeType !== "StructDefinition") {
+    return [];
+  }
+  return struct.members
+    .filter((member) => isEncryptedType(member.typeName.typeDescriptions))
+    .map((member) => `${path}.${member.name}`);
+}
+
+/**
+ * Encrypted handles in a stored value that the contract has not been
+ * granted yet: struct constructor fields, tuple components and local
+ * variables, but not handles read back from storage or passed in
+ *
+ * @returns Each handle with the struct fields leading to it from the value
+ */
+function newHandles(file, value, fields = []) {
+  switch (value.nodeType) {
+    case "TupleExpression":
+      return value.components.filter(Boolean).flatMap((component) => newHandles(file, component, fields));
+    case "Conditional":
+      return [...newHandles(file, value.trueExpression, fields), ...newHandles(file, value.falseExpression, fields)];
+    case "FunctionCall":
+      if (value.kind === "structConstructorCall") {
+        const members = file.declarations.get(value.expression.referencedDeclaration)?.members || [];
+        return value.arguments.flatMap((argument, i) => {
+          const field = value.names.length ? value.names[i] : members[i]?.name;
+          return newHandles(file, argument, [...fields, field]);
+        });
+      }
+      break;
+    case "Identifier": {
+      const declaration = file.resolve(value);
+      if (declaration?.nodeType !== "VariableDeclaration" || declaration.stateVariable) {
+        return [];
+      }
+      const initialValue = file.declarationStatements.get(declaration.id)?.initialValue;
+      if (!initialValue) {
+        // Parameters are granted by the caller
+        return [];
+      }
+      if (file.storageRoot(initialValue)) {
+        return [];
+      }
+      if (!isEncryptedType(value.typeDescriptions)) {
+        // A memory struct: check the fields it was built from
+        return newHandles(file, initialValue, fields);
+      }
+      return [{ handle: value, fields }];
+    }
+    default:
+      break;
+  }
+  if (!isEncryptedType(value.typeDescriptions) || file.storageRoot(value)) {
+    return [];
+  }
+  return [{ handle: value, fields }];
+}
+
+/**
+ * Who an address expression of FHE.allow stands for: "contract" for
+ * address(this), the slot of storage addresses ("pets[].owner") or the
+ * expression itself ("msg.sender")
+ */
+function principalOf(file, address) {
+  const key = file.key(address);
+  if (key === "address(this)") {
+    return CONTRACT;
+  }
+  return file.storagePath(address) || key;
+}
+
+// Persistent grants made by `fn` and the internal functions it calls
+function grantsOf(file, fn) {
+  return reachableFunctions(file, fn).flatMap((reached) => [
+    ...fheCalls(reached.body, "allowThis").map((call) => ({
+      handle: call.arguments[0],
+      principal: CONTRACT,
+    })),
+    ...fheCalls(reached.body, "allow").map((call) => ({
+      handle: call.arguments[0],
+      principal: principalOf(file, call.arguments[1]),
+    })),
+    ...fheCalls(reached.body, "makePubliclyDecryptable").map((call) => ({
+      handle: call.arguments[0],
+      principal: PUBLIC,
+    })),
+  ]);
+}
+
+function grantsHandle(file, granted, handle, path) {
+  if (granted.nodeType === "Identifier" && handle.nodeType === "Identifier") {
+    return granted.referencedDeclaration === handle.referencedDeclaration;
+  }
+  return file.key(granted) === file.key(handle) || file.storagePath(granted) === path;
+}
+
+/**
+ * Encrypted fields of a contract with their writes and readers
+ *
+ * @returns { fields: [{ path, type, variable, writes, readers }] } where each
+ *   write is { fn, label, handle, principals } and each reader { label, node }
+ */
+function analyzeAcl(file, contract) {
+  if (analyses.has(contract)) {
+    return analyses.get(contract);
+  }
+
+  const fields = new Map();
+  const field = (path, type, variable) => {
+    if (!fields.has(path)) {
+      fields.set(path, { path, type, variable, writes: [], readers: [] });
+    }
+    return fields.get(path);
+  };
+
+  const variables = contract.nodes.filter((node) => node.nodeType === "VariableDeclaration" && node.stateVariable);
+  for (const variable of variables) {
+    for (const slot of encryptedSlots(file, variable.typeName, variable.name)) {
+      field(slot.path, slot.type, variable);
+    }
+    if (variable.visibility === "public") {
+      for (const path of getterSlots(file, variable)) {
+        fields.get(path).readers.push({ label: `getter ${variable.name}()`, node: variable });
+      }
+    }
+  }
+
+  const functions = findAll(contract, "FunctionDefinition").filter((fn) => fn.body);
+  for (const fn of functions) {
+    const label = functionLabel(contract, fn);
+    if (!isStateChanging(fn)) {
+      addReaders(file, fn, label, fields);
+      continue;
+    }
+
+    const grants = grantsOf(file, fn);
+    for (const { target, value, push } of writes(fn.body)) {
+      const slot = value && file.storagePath(target);
+      if (!slot) {
+        continue;
+      }
+      for (const { handle, fields: members } of newHandles(file, value)) {
+        const path = [push ? `${slot}[]` : slot, ...members].join(".");
+        const principals = grants
+          .filter((grant) => grantsHandle(file, grant.handle, handle, path))
+          .map((grant) => grant.principal);
+        field(path, handle.typeDescriptions.typeString, null).writes.push({
+          fn,
+          label,
+          handle,
+          principals: [...new Set(principals)],
+        });
+      }
+    }
+  }
+
+  const analysis = { contract, fields: [...fields.values()] };
+  analyses.set(contract, analysis);
+  return analysis;
+}
+
+// View functions returning encrypted slots, e.g. `return pets[id].dnaProfile.marker1`
+function addReaders(file, fn, label, fields) {
+  const returnsEncrypted = fn.returnParameters.parameters.some(
+    (parameter) =>
+      isEncryptedType(parameter.typeDescriptions) || (parameter.typeDescriptions.typeString || "").startsWith("struct ")
+  );
+  if (!returnsEncrypted) {
+    return;
+  }
+  for (const statement of findAll(fn.body, "Return")) {
+    const expression = statement.expression;
+    const values = expression?.nodeType === "TupleExpression" ? expression.components : [expression];
+    for (const value of values.filter(Boolean)) {
+      const path = file.storagePath(value);
+      for (const [slot, entry] of fields) {
+        if (path && (slot === path || slot.startsWith(`${path}.`))) {
+          entry.readers.push({ label, node: value });
+        }
+      }
+    }
+  }
+}
+
+const missingAllowThis = {
+  id: "missing-fhe-allow-this",
+  name: "Encrypted value stored without FHE.allowThis",
+  level: "error",
+  description:
+    "A new ciphertext handle is only usable by the contract in the transaction that created " +
+    "it. Handles written to storage need FHE.allowThis, or later transactions cannot compute " +
+    "on or decrypt them.",
+  check(file, contract, report) {
+    for (const { path, writes: stored } of analyzeAcl(file, contract).fields) {
+      for (const { label, handle, principals } of stored) {
+        if (!principals.includes(CONTRACT)) {
+          report(
+            handle,
+            `${file.text(handle)} is stored in ${path} by ${label} without FHE.allowThis; ` +
+              "the contract cannot use it in later transactions"
+          );
+        }
+      }
+    }
+  },
+};
+
+const undecryptableField = {
+  id: "fhe-undecryptable-field",
+  name: "Encrypted field returned to callers nobody may decrypt",
+  level: "warning",
+  description:
+    "Getters and view functions hand out ciphertext handles. Unless some write grants " +
+    "FHE.allow to a user or makes the value publicly decryptable, no caller can decrypt them.",
+  check(file, contract, report) {
+    for (const { path, writes: stored, readers } of analyzeAcl(file, contract).fields) {
+      if (readers.length === 0 || stored.length === 0) {
+        continue;
+      }
+      const decryptable = stored.some(({ principals }) => principals.some((principal) => principal !== CONTRACT));
+      if (!decryptable) {
+        const returnedBy = readers.map((reader) => reader.label).join(", ");
+        report(
+          readers[0].node,
+          `${path} is returned by ${returnedBy}, but no write grants it to a user or makes it ` + "publicly decryptable"
+        );
+      }
+    }
+  },
+};
+
+const inconsistentGrants = {
+  id: "fhe-inconsistent-grants",
+  name: "Encrypted field granted differently by its writers",
+  level: "warning",
+  description:
+    "When several functions write the same encrypted field, a grant made by one and " +
+    "forgotten by another leaves some values undecryptable for that address.",
+  check(file, contract, report) {
+    for (const { path, writes: stored } of analyzeAcl(file, contract).fields) {
+      for (const write of stored) {
+        // The missing contract grant is reported by missing-fhe-allow-this
+        const missing = stored
+          .flatMap((other) =>
+            other.principals.filter((principal) => principal !== CONTRACT && !write.principals.includes(principal))
+          )
+          .filter((principal, i, all) => all.indexOf(principal) === i);
+        if (missing.length) {
+          const grantedBy = stored.find((other) => other.principals.includes(missing[0]));
+          report(
+            write.handle,
+            `${write.label} stores ${path} without granting ${missing.join(", ")}, ` + `which ${grantedBy.label} grants`
+          );
+        }
+      }
+    }
+  },
+};
+
+const ACL_RULES = [missingAllowThis, undecryptableField, inconsistentGrants];
+
+/**
+ * Which principals every, some or none of the writes of each field grant
+ *
+ * @returns { contract, principals, rows: [{ path, type, grants, writers, readers }] }
+ *   with grants[principal] one of "all", "some" or "none"
+ */
+function permissionMatrix(file, contract) {
+  const { fields } = analyzeAcl(file, contract);
+  const granted = new Set(fields.flatMap((entry) => entry.writes.flatMap((write) => write.principals)));
+  granted.delete(CONTRACT);
+  granted.delete(PUBLIC);
+  const principals = [CONTRACT, ...[...granted].sort()];
+  if (fields.some((entry) => entry.writes.some((write) => write.principals.includes(PUBLIC)))) {
+    principals.push(PUBLIC);
+  }
+
+  const rows = fields.map((entry) => {
+    const grants = {};
+    for (const principal of principals) {
+      const count = entry.writes.filter((write) => write.principals.includes(principal)).length;
+      grants[principal] = count === 0 ? "none" : count === entry.writes.length ? "all" : "some";
+    }
+    const unique = (labels) => [...new Set(labels)].map((label) => label.replace(`${contract.name}.`, ""));
+    return {
+      path: entry.path,
+      type: entry.type,
+      grants,
+      writers: unique(entry.writes.map((write) => write.label)),
+      readers: unique(entry.readers.map((reader) => reader.label)),
+    };
+  });
+
+  return { contract: contract.name, principals, rows };
+}
+
+module.exports = {
+  CONTRACT,
+  PUBLIC,
+  ACL_RULES,
+  missingAllowThis,
+  analyzeAcl,
+  permissionMatrix,
+};
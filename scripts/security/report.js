@@ -0,0 +1,109 @@
+/**
+ * Output formats of the security check: text for terminals, JSON for
+ * scripts and SARIF 2.1.0 for code scanning (GitHub, IDEs)
+ *
+ * Findings accepted by the baseline carry `suppression` and only count as
+ * suppressed.
+ */
+
+const TOOL_NAME = "petdna-security-check";
+const LEVELS = ["note", "warning", "error"];
+
+function summarize(findings) {
+  const summary = { error: 0, warning: 0, note: 0 };
+  findings.filter((finding) => !finding.suppression).forEach((finding) => summary[finding.level]++);
+  return summary;
+}
+
+function toJson(findings) {
+  return {
+    tool: TOOL_NAME,
+    summary: summarize(findings),
+    suppressed: findings.filter((finding) => finding.suppression).length,
+    findings: findings.map(({ ruleId, level, message, file, region, contract, suppression }) => ({
+      ruleId,
+      level,
+      message,
+      file,
+      line: region.startLine,
+      column: region.startColumn,
+      endLine: region.endLine,
+      endColumn: region.endColumn,
+      contract,
+      ...(suppression && { suppression }),
+    })),
+  };
+}
+
+function toSarif(findings, rules) {
+  return {
+    $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+    version: "2.1.0",
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: TOOL_NAME,
+            rules: rules.map((rule) => ({
+              id: rule.id,
+              name: rule.name,
+              shortDescription: { text: rule.name },
+              fullDescription: { text: rule.description },
+              defaultConfiguration: { level: rule.level },
+            })),
+          },
+        },
+        results: findings.map((finding) => ({
+          ruleId: finding.ruleId,
+          ruleIndex: rules.findIndex((rule) => rule.id === finding.ruleId),
+          level: finding.level,
+          message: { text: finding.message },
+          locations: [
+            {
+              physicalLocation: {
+                artifactLocation: { uri: finding.file, uriBaseId: "%SRCROOT%" },
+                region: finding.region,
+              },
+              logicalLocations: [{ name: finding.contract, kind: "type" }],
+            },
+          ],
+          ...(finding.suppression && {
+            suppressions: [{ kind: "external", justification: finding.suppression.justification }],
+          }),
+        })),
+      },
+    ],
+  };
+}
+
+function toText(findings) {
+  const icons = { error: "❌", warning: "⚠️ ", note: "ℹ️ " };
+  const lines = findings.map(({ ruleId, level, message, file, region, suppression }) => {
+    const location = `${file}:${region.startLine}:${region.startColumn} [${ruleId}] ${message}`;
+    return suppression ? `🔕 ${location} (baseline: ${suppression.justification})` : `${icons[level]} ${location}`;
+  });
+  const { error, warning, note } = summarize(findings);
+  const suppressed = findings.filter((finding) => finding.suppression).length;
+  if (findings.length === 0) {
+    lines.push("✅ No findings");
+  } else {
+    lines.push(
+      `\n${error} error(s), ${warning} warning(s), ${note} note(s)` +
+        (suppressed ? `, ${suppressed} in the baseline` : "")
+    );
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Whether any finding is at or above `failOn` ("none" never fails)
+ */
+function hasFailures(findings, failOn) {
+  if (failOn === "none") {
+    return false;
+  }
+  const threshold = LEVELS.indexOf(failOn);
+  return findings.some((finding) => !finding.suppression && LEVELS.indexOf(finding.level) >= threshold);
+}
+
+module.exports = { LEVELS, summarize, toJson, toSarif, toText, hasFailures };
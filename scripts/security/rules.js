@@ -0,0 +1,224 @@
+const { missingAllowThis } = require("./fhe-acl");
+const {
+  fheCalls,
+  findAll,
+  functionLabel,
+  isStateChanging,
+  parseSrc,
+  reachableFunctions,
+  walk,
+  writes,
+} = require("./solidity-ast");
+
+/**
+ * Security rules
+ *
+ * Each rule inspects one contract of an analysed source and reports findings
+ * through `report(node, message)`. Levels follow SARIF: "error" fails the
+ * check by default, "warning" and "note" are informational unless
+ * `--fail-on` lowers the threshold.
+ */
+
+const REENTRANCY_GUARD = /nonReentrant|noReentran|reentrancyGuard/i;
+
+function isEntryPoint(fn) {
+  return fn.visibility === "public" || fn.visibility === "external";
+}
+
+// Location of a function's name, so findings point at the signature line
+function nameNode(fn) {
+  return fn.nameLocation && !fn.nameLocation.startsWith("-1") ? { src: fn.nameLocation } : fn;
+}
+
+/**
+ * `.call{value: ...}`, `.transfer(...)` and `.send(...)` calls in a body
+ */
+function etherTransfers(body) {
+  return findAll(body, "FunctionCall").filter((call) => {
+    const callee = call.expression;
+    if (callee.nodeType === "FunctionCallOptions") {
+      return callee.names.includes("value") && callee.expression.memberName === "call";
+    }
+    return (
+      callee.nodeType === "MemberAccess" &&
+      (callee.memberName === "transfer" || callee.memberName === "send") &&
+      (callee.expression.typeDescriptions?.typeString || "").startsWith("address payable")
+    );
+  });
+}
+
+const unboundedStorageLoop = {
+  id: "unbounded-storage-loop",
+  name: "Loop bounded by growing storage",
+  level: "error",
+  description:
+    "A loop whose bound is a state variable or the length of a storage array runs once per " +
+    "stored entry. Anyone who can add entries can make the function exceed the block gas limit.",
+  check(file, contract, report) {
+    for (const fn of findAll(contract, "FunctionDefinition")) {
+      const loops = [
+        ...findAll(fn.body, "ForStatement"),
+        ...findAll(fn.body, "WhileStatement"),
+        ...findAll(fn.body, "DoWhileStatement"),
+      ];
+      for (const loop of loops) {
+        const bound = loop.condition && storageBound(file, loop.condition);
+        if (!bound) {
+          continue;
+        }
+        // View functions only hit the RPC gas cap, unless a transaction calls them
+        const level = isStateChanging(fn) ? "error" : "warning";
+        report(
+          loop,
+          `Loop in ${functionLabel(contract, fn)} runs up to ${file.text(bound)} times, which grows ` +
+            "with storage; bound the iterations or process the entries in batches",
+          level
+        );
+      }
+    }
+  },
+};
+
+// The part of a loop condition that grows with storage, or null
+function storageBound(file, condition) {
+  let bound = null;
+  walk(condition, (node) => {
+    if (bound) {
+      return false;
+    }
+    if (node.nodeType === "MemberAccess" && node.memberName === "length") {
+      if (file.storageRoot(node.expression)) {
+        bound = node;
+      }
+      return false;
+    }
+    if (node.nodeType === "Identifier") {
+      const declaration = file.resolve(node);
+      if (declaration?.stateVariable && declaration.mutability === "mutable") {
+        bound = node;
+      }
+    }
+  });
+  return bound;
+}
+
+const missingReentrancyGuard = {
+  id: "missing-reentrancy-guard",
+  name: "Payable or ETH-sending function without reentrancy guard",
+  level: "warning",
+  description:
+    "Public functions that accept or send ETH should use a nonReentrant modifier, so a " +
+    "receiving contract cannot re-enter them before their state updates are complete.",
+  check(file, contract, report) {
+    for (const fn of findAll(contract, "FunctionDefinition")) {
+      if (!isEntryPoint(fn) || !isStateChanging(fn) || !fn.body || fn.body.statements.length === 0) {
+        continue;
+      }
+      const guarded = fn.modifiers.some((modifier) =>
+        REENTRANCY_GUARD.test(modifier.modifierName.name || modifier.modifierName.namePath)
+      );
+      if (guarded) {
+        continue;
+      }
+
+      const sender = reachableFunctions(file, fn).find((reached) => etherTransfers(reached.body).length > 0);
+      if (sender) {
+        const via = sender === fn ? "" : ` (via ${sender.name})`;
+        report(nameNode(fn), `${functionLabel(contract, fn)} sends ETH${via} without a reentrancy guard`);
+      } else if (fn.stateMutability === "payable") {
+        report(nameNode(fn), `${functionLabel(contract, fn)} is payable but has no reentrancy guard`);
+      }
+    }
+  },
+};
+
+const stateWriteAfterCall = {
+  id: "state-write-after-external-call",
+  name: "Storage written after sending ETH",
+  level: "error",
+  description:
+    "Storage updated after an ETH transfer can be observed in an inconsistent state by the " +
+    "recipient. Update storage before the transfer (checks-effects-interactions).",
+  check(file, contract, report) {
+    for (const fn of findAll(contract, "FunctionDefinition")) {
+      const transfers = etherTransfers(fn.body);
+      if (transfers.length === 0) {
+        continue;
+      }
+      const firstTransfer = Math.min(...transfers.map((call) => parseSrc(call.src).start));
+      for (const { node, target } of writes(fn.body)) {
+        if (parseSrc(node.src).start > firstTransfer && file.storageRoot(target)) {
+          report(node, `${functionLabel(contract, fn)} writes ${file.text(target)} after sending ETH`);
+        }
+      }
+    }
+  },
+};
+
+const callbackWithoutSignatureCheck = {
+  id: "callback-missing-check-signatures",
+  name: "Decryption callback without FHE.checkSignatures",
+  level: "error",
+  description:
+    "Decryption callbacks are external functions anyone can call. Without " +
+    "FHE.checkSignatures, a caller can pass arbitrary cleartexts as the decryption result.",
+  check(file, contract, report) {
+    const reported = new Set();
+    for (const request of fheCalls(contract, "requestDecryption")) {
+      const selector = request.arguments[1];
+      const target = selector?.nodeType === "MemberAccess" && selector.memberName === "selector" && selector.expression;
+      const callback = target && file.declarations.get(target.referencedDeclaration);
+      if (callback?.nodeType !== "FunctionDefinition" || reported.has(callback)) {
+        continue;
+      }
+      reported.add(callback);
+
+      const verified = reachableFunctions(file, callback).some(
+        (reached) => fheCalls(reached.body, "checkSignatures").length > 0
+      );
+      if (!verified) {
+        report(
+          nameNode(callback),
+          `${functionLabel(contract, callback)} is a decryption callback but never calls ` +
+            "FHE.checkSignatures on its cleartexts and proof"
+        );
+      }
+    }
+  },
+};
+
+const dangerousBuiltins = {
+  id: "dangerous-builtin",
+  name: "tx.origin, delegatecall or selfdestruct",
+  level: "warning",
+  description:
+    "tx.origin breaks authorisation through intermediate contracts, delegatecall runs foreign " +
+    "code on this contract's storage and selfdestruct is deprecated (EIP-6780).",
+  check(file, contract, report) {
+    walk(contract, (node) => {
+      if (
+        node.nodeType === "MemberAccess" &&
+        node.memberName === "origin" &&
+        node.expression.nodeType === "Identifier" &&
+        node.expression.name === "tx"
+      ) {
+        report(node, "tx.origin used; use msg.sender for authorisation");
+      } else if (node.nodeType === "MemberAccess" && node.memberName === "delegatecall") {
+        report(node, "delegatecall executes external code with this contract's storage");
+      } else if (node.nodeType === "Identifier" && node.name === "selfdestruct") {
+        report(node, "selfdestruct is deprecated and no longer removes code (EIP-6780)");
+      }
+    });
+  },
+};
+
+const RULES = [
+  unboundedStorageLoop,
+  missingReentrancyGuard,
+  stateWriteAfterCall,
+  missingAllowThis,
+  callbackWithoutSignatureCheck,
+  dangerousBuiltins,
+];
+
+module.exports = { RULES };
@@ -0,0 +1,323 @@
+/**
+ * Solidity AST access for the security tools
+ *
+ * Sources come from solc's standard JSON output: the build info Hardhat keeps
+ * for each compilation, or any { sourceName: { ast, content } } map. Offsets
+ * in the AST (`src` = "start:length:fileIndex") are byte offsets into the
+ * source, converted to 1-based lines and columns for reports.
+ */
+
+const ENCRYPTED_TYPE = /^t_userDefinedValueType\$_(euint\d+|eint\d+|ebool|eaddress|ebytes\d+)_\$/;
+
+/**
+ * Compile with Hardhat and collect the AST and content of every project source
+ *
+ * @param exclude - Source name prefixes to leave out, e.g. "contracts/mocks/"
+ */
+async function loadProjectSources(hre, { exclude = [] } = {}) {
+  await hre.run("compile", { quiet: true });
+
+  const sources = {};
+  const seen = new Set();
+  for (const name of await hre.artifacts.getAllFullyQualifiedNames()) {
+    const buildInfo = await hre.artifacts.getBuildInfo(name);
+    if (!buildInfo || seen.has(buildInfo.id)) {
+      continue;
+    }
+    seen.add(buildInfo.id);
+    Object.assign(sources, sourcesFromStandardJson(buildInfo.input, buildInfo.output));
+  }
+
+  // Libraries from node_modules (@fhevm/solidity, ...) are not ours to fix
+  const isProjectSource = (sourceName) =>
+    !sourceName.startsWith("@") &&
+    !sourceName.includes("node_modules/") &&
+    !exclude.some((prefix) => sourceName.startsWith(prefix));
+  return Object.fromEntries(Object.entries(sources).filter(([sourceName]) => isProjectSource(sourceName)));
+}
+
+/**
+ * Pair the ASTs of a solc standard JSON output with their source code
+ */
+function sourcesFromStandardJson(input, output) {
+  const sources = {};
+  for (const [sourceName, { ast }] of Object.entries(output.sources || {})) {
+    const content = input.sources[sourceName]?.content;
+    if (ast && content !== undefined) {
+      sources[sourceName] = { ast, content };
+    }
+  }
+  return sources;
+}
+
+/**
+ * Visit every node below `node` depth first; return false from the visitor
+ * to skip the children of a node
+ */
+function walk(node, visit, parent = null) {
+  if (Array.isArray(node)) {
+    node.forEach((child) => walk(child, visit, parent));
+    return;
+  }
+  if (!node || typeof node !== "object") {
+    return;
+  }
+  if (node.nodeType && visit(node, parent) === false) {
+    return;
+  }
+  for (const [key, value] of Object.entries(node)) {
+    if (key !== "typeDescriptions" && value && typeof value === "object") {
+      walk(value, visit, node.nodeType ? node : parent);
+    }
+  }
+}
+
+function findAll(node, nodeType) {
+  const found = [];
+  walk(node, (child) => {
+    if (child.nodeType === nodeType) {
+      found.push(child);
+    }
+  });
+  return found;
+}
+
+function parseSrc(src) {
+  const [start, length] = src.split(":").map(Number);
+  return { start, length };
+}
+
+/**
+ * One analysed source: maps AST offsets to lines and columns and resolves
+ * references to the declarations of the source unit
+ */
+class SourceFile {
+  constructor(sourceName, { ast, content }) {
+    this.sourceName = sourceName;
+    this.ast = ast;
+    this.declarations = new Map();
+    // Local variable id -> its VariableDeclarationStatement
+    this.declarationStatements = new Map();
+    walk(ast, (node) => {
+      if (node.id !== undefined && /Definition$|Declaration$/.test(node.nodeType)) {
+        this.declarations.set(node.id, node);
+      }
+      if (node.nodeType === "VariableDeclarationStatement") {
+        node.declarations.filter(Boolean).forEach((declaration) => {
+          this.declarationStatements.set(declaration.id, node);
+        });
+      }
+    });
+
+    this.bytes = Buffer.from(content, "utf8");
+    this.lineStarts = [0];
+    this.bytes.forEach((byte, offset) => {
+      if (byte === 0x0a) {
+        this.lineStarts.push(offset + 1);
+      }
+    });
+  }
+
+  position(offset) {
+    let low = 0;
+    let high = this.lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (this.lineStarts[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    const column = this.bytes.subarray(this.lineStarts[low], offset).toString("utf8").length + 1;
+    return { line: low + 1, column };
+  }
+
+  /**
+   * 1-based region of a node, as used by SARIF
+   */
+  region(node) {
+    const { start, length } = parseSrc(node.src);
+    const from = this.position(start);
+    const to = this.position(start + length);
+    return { startLine: from.line, startColumn: from.column, endLine: to.line, endColumn: to.column };
+  }
+
+  text(node) {
+    const { start, length } = parseSrc(node.src);
+    return this.bytes.subarray(start, start + length).toString("utf8");
+  }
+
+  /**
+   * Source text without whitespace, to compare expressions written differently
+   */
+  key(node) {
+    return this.text(node).replace(/\s+/g, "");
+  }
+
+  /**
+   * Declaration an identifier refers to, if it is part of this source unit
+   */
+  resolve(identifier) {
+    return this.declarations.get(identifier.referencedDeclaration) || null;
+  }
+
+  /**
+   * The state variable an expression reads or writes, through index and
+   * member accesses and local storage pointers (`pets[id].dnaProfile.marker1`,
+   * `request.bestMatchScore`), or null for memory and calldata values
+   */
+  storageRoot(expression) {
+    return this.storageAccess(expression)?.root || null;
+  }
+
+  /**
+   * Storage slot an expression refers to, written with `[]` for any index:
+   * `pets[petId].dnaProfile.marker1` and `pet.dnaProfile.marker1` (with
+   * `Pet storage pet = pets[id]`) are both "pets[].dnaProfile.marker1"
+   *
+   * @returns The path, or null for memory values and storage parameters
+   */
+  storagePath(expression) {
+    const access = this.storageAccess(expression);
+    return access && access.root.stateVariable ? access.path : null;
+  }
+
+  storageAccess(expression) {
+    const suffix = [];
+    let node = expression;
+    for (;;) {
+      switch (node.nodeType) {
+        case "IndexAccess":
+          suffix.unshift("[]");
+          node = node.baseExpression;
+          break;
+        case "MemberAccess":
+          suffix.unshift(`.${node.memberName}`);
+          node = node.expression;
+          break;
+        case "Identifier": {
+          const declaration = this.resolve(node);
+          if (declaration?.nodeType !== "VariableDeclaration") {
+            return null;
+          }
+          if (declaration.stateVariable) {
+            return { root: declaration, path: declaration.name + suffix.join("") };
+          }
+          if (declaration.storageLocation !== "storage") {
+            return null;
+          }
+          // Follow a local storage pointer to what it was initialised with;
+          // storage parameters have no initial value and count as storage
+          const initialValue = this.declarationStatements.get(declaration.id)?.initialValue;
+          if (!initialValue) {
+            return { root: declaration, path: declaration.name + suffix.join("") };
+          }
+          node = initialValue;
+          break;
+        }
+        default:
+          return null;
+      }
+    }
+  }
+}
+
+/**
+ * Whether a type is an FHE handle (euint32, ebool, eaddress, ...)
+ */
+function isEncryptedType(typeDescriptions) {
+  return ENCRYPTED_TYPE.test(typeDescriptions?.typeIdentifier || "");
+}
+
+/**
+ * `FHE.<name>(...)` calls: returns the member name, or null for other nodes
+ */
+function fheCallName(node) {
+  if (node.nodeType !== "FunctionCall" || node.expression.nodeType !== "MemberAccess") {
+    return null;
+  }
+  const library = node.expression.expression;
+  return library.typeDescriptions?.typeString === "type(library FHE)" ? node.expression.memberName : null;
+}
+
+function isStateChanging(fn) {
+  return fn.stateMutability !== "view" && fn.stateMutability !== "pure";
+}
+
+/**
+ * "Contract.function" for messages; constructor, receive and fallback by kind
+ */
+function functionLabel(contract, fn) {
+  if (fn.kind === "constructor" || fn.kind === "receive" || fn.kind === "fallback") {
+    return `${contract.name}.${fn.kind}`;
+  }
+  return `${contract.name}.${fn.name}`;
+}
+
+/**
+ * Internal functions called by `fn`, directly or through other internal calls
+ *
+ * @returns `fn` and every function it reaches, in discovery order
+ */
+function reachableFunctions(file, fn) {
+  const reached = [fn];
+  for (let i = 0; i < reached.length; i++) {
+    walk(reached[i].body, (node) => {
+      if (node.nodeType !== "FunctionCall" || node.expression.nodeType !== "Identifier") {
+        return;
+      }
+      const callee = file.resolve(node.expression);
+      if (callee?.nodeType === "FunctionDefinition" && callee.body && !reached.includes(callee)) {
+        reached.push(callee);
+      }
+    });
+  }
+  return reached;
+}
+
+function fheCalls(body, name) {
+  return findAll(body, "FunctionCall").filter((call) => fheCallName(call) === name);
+}
+
+/**
+ * Targets written by a body: assignments, ++/--, delete and array push/pop
+ *
+ * @returns { node, target, value, push } for each write; `push` marks
+ *   `target.push(value)`, which writes a new element of `target`
+ */
+function writes(body) {
+  const targets = [];
+  walk(body, (node) => {
+    if (node.nodeType === "Assignment") {
+      targets.push({ node, target: node.leftHandSide, value: node.rightHandSide, push: false });
+    } else if (node.nodeType === "UnaryOperation" && ["++", "--", "delete"].includes(node.operator)) {
+      targets.push({ node, target: node.subExpression, push: false });
+    } else if (
+      node.nodeType === "FunctionCall" &&
+      node.expression.nodeType === "MemberAccess" &&
+      ["push", "pop"].includes(node.expression.memberName) &&
+      (node.expression.expression.typeDescriptions?.typeString || "").includes(" storage ")
+    ) {
+      const push = node.expression.memberName === "push";
+      targets.push({ node, target: node.expression.expression, value: node.arguments[0], push });
+    }
+  });
+  return targets;
+}
+
+module.exports = {
+  loadProjectSources,
+  sourcesFromStandardJson,
+  walk,
+  findAll,
+  parseSrc,
+  SourceFile,
+  isEncryptedType,
+  fheCallName,
+  isStateChanging,
+  functionLabel,
+  reachableFunctions,
+  fheCalls,
+  writes,
+};
@@ -1,5 +1,6 @@
 const hre = require("hardhat");
 require("dotenv").config();
+const { deployedAddress } = require("./deployments");
 
 /**
  * Verify deployed PetDNAMatching contract on Etherscan
@@ -7,10 +8,10 @@ require("dotenv").config();
  */
 
 async function main() {
-  const contractAddress = process.env.CONTRACT_ADDRESS;
+  const contractAddress = process.env.CONTRACT_ADDRESS || deployedAddress(hre.network.name, "PetDNAMatching");
 
   if (!contractAddress) {
-    console.error("❌ Error: CONTRACT_ADDRESS not set in .env file");
+    console.error(`❌ Error: CONTRACT_ADDRESS not set and no PetDNAMatching in deployments/${hre.network.name}.json`);
     console.log("Please add: CONTRACT_ADDRESS=0xYourContractAddress");
     process.exit(1);
   }
@@ -0,0 +1,196 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { runBenchmarks } = require("../scripts/benchmark/run");
+const { SCENARIOS } = require("../scripts/benchmark/scenarios");
+const { HCU_TRANSACTION_LIMIT, estimateHcu, operationHcu } = require("../scripts/benchmark/hcu");
+const { compareResults, comparisonToMarkdown, loadBaseline } = require("../scripts/benchmark/baseline");
+
+/**
+ * Gas and HCU Benchmarks
+ *
+ * Runs the benchmark scenarios of scripts/benchmark for every contract
+ * variant and compares them with the committed baseline
+ * (benchmarks/baseline.json). After an intended change in gas or HCU,
+ * refresh the baseline with `npm run bench:update`.
+ */
+describe("Gas and HCU Benchmarks", function () {
+  describe("Contract variants", function () {
+    let results;
+    let baseline;
+
+    before(async function () {
+      if (!hre.fhevm) {
+        this.skip();
+      }
+      this.timeout(300000);
+      results = await runBenchmarks(hre);
+      baseline = loadBaseline();
+    });
+
+    it("Should benchmark every contract variant", function () {
+      expect(Object.keys(results.variants)).to.have.members(Object.keys(SCENARIOS));
+      for (const operations of Object.values(results.variants)) {
+        expect(operations).to.include.keys("deploy", "registerPet");
+      }
+    });
+
+    it("Should record the solc build that compiled the contracts", function () {
+      const [{ version }] = hre.config.solidity.compilers;
+
+      expect(results.compiler.version.startsWith(`${version}+commit.`)).to.equal(true, results.compiler.version);
+      expect(results.compiler).to.include({ optimizer: true, viaIR: true });
+    });
+
+    it("Should measure matching requests, callbacks and refunds", function () {
+      expect(results.variants.EnhancedPetDNAMatching).to.include.keys(
+        "requestMatching",
+        "processMatchingCallback",
+        "processMatchingCallback (refund)",
+        "claimTimeoutRefund"
+      );
+      expect(results.variants.PrivatePetDNAMatching).to.include.keys("requestMatching", "processMatchingResult");
+      expect(results.variants.PetDNAMatching).to.include.keys("requestMatching", "processMatchingResult");
+    });
+
+    it("Should estimate HCU from the FHE operations of each transaction", function () {
+      const { requestMatching } = results.variants.EnhancedPetDNAMatching;
+      const operations = Object.entries(requestMatching.operations).flatMap(([key, count]) => {
+        const [, operator, type, scalar] = key.match(/^(\w+)\((\w+)(, scalar)?\)$/);
+        return Array(count).fill({ operator, type, scalar: Boolean(scalar) });
+      });
+
+      expect(requestMatching.hcu).to.be.greaterThan(0);
+      expect(estimateHcu(operations).hcu).to.equal(requestMatching.hcu);
+      // TestPetDNAMatching keeps cleartexts and runs no FHE operation
+      expect(results.variants.TestPetDNAMatching.registerPet.hcu).to.equal(0);
+    });
+
+    it("Should keep every operation within the HCU transaction limit", function () {
+      for (const operations of Object.values(results.variants)) {
+        for (const { hcu } of Object.values(operations)) {
+          expect(hcu).to.be.at.most(HCU_TRANSACTION_LIMIT);
+        }
+      }
+    });
+
+    it("Should not regress against the committed baseline", function () {
+      if (!baseline) {
+        this.skip();
+      }
+      const comparison = compareResults(baseline, results);
+      // Gas is only comparable with the solc build the baseline was made with
+      const regressions = comparison.rows.filter(
+        (row) =>
+          row.status === "over-limit" ||
+          (row.status === "regressed" && (!comparison.compilerChanged || row.hcuChange > comparison.maxRegression))
+      );
+
+      expect(regressions.map((row) => `${row.variant}.${row.operation}`)).to.deep.equal([]);
+    });
+  });
+
+  describe("Baseline comparison", function () {
+    const measured = (gas, hcu) => ({ gas, hcu, samples: 1, operations: {} });
+    const compiler = { version: "0.8.24+commit.e11b9ed9", optimizer: true, runs: 200, viaIR: true };
+    const baseline = {
+      version: 1,
+      compiler,
+      variants: {
+        Vault: { deploy: measured(1000000, 0), deposit: measured(100000, 200000), withdraw: measured(50000, 0) },
+      },
+    };
+
+    function compare(operations, options) {
+      return compareResults(baseline, { version: 1, compiler, variants: { Vault: operations } }, options);
+    }
+
+    it("Should pass changes within the tolerance", function () {
+      const comparison = compare({
+        deploy: measured(1040000, 0),
+        deposit: measured(100000, 200000),
+        withdraw: measured(50000, 0),
+      });
+
+      expect(comparison.failed).to.equal(false);
+      expect(comparison.rows.map((row) => row.status)).to.deep.equal(["ok", "ok", "ok"]);
+      expect(comparison.rows[0].gasChange).to.be.closeTo(4, 1e-9);
+    });
+
+    it("Should fail when gas or HCU grows by more than the configured percentage", function () {
+      const operations = {
+        deploy: measured(1040000, 0),
+        deposit: measured(100000, 230000),
+        withdraw: measured(30000, 0),
+      };
+
+      const strict = compare(operations, { maxRegression: 2 });
+      expect(strict.failed).to.equal(true);
+      expect(strict.rows.map((row) => row.status)).to.deep.equal(["regressed", "regressed", "improved"]);
+
+      const lenient = compare(operations, { maxRegression: 20 });
+      expect(lenient.rows.map((row) => row.status)).to.deep.equal(["ok", "ok", "improved"]);
+      expect(lenient.failed).to.equal(false);
+    });
+
+    it("Should report new and missing operations without failing", function () {
+      const comparison = compare({
+        deploy: measured(1000000, 0),
+        deposit: measured(100000, 200000),
+        refund: measured(30000, 0),
+      });
+
+      expect(comparison.failed).to.equal(false);
+      expect(comparison.rows.map((row) => [row.operation, row.status])).to.deep.equal([
+        ["deploy", "ok"],
+        ["deposit", "ok"],
+        ["withdraw", "missing"],
+        ["refund", "new"],
+      ]);
+    });
+
+    it("Should only flag a compiler change when the solc build differs", function () {
+      const operations = { deploy: measured(1000000, 0) };
+      const rebuilt = (changes) => ({ version: 1, compiler: { ...compiler, ...changes }, variants: { Vault: operations } });
+
+      expect(compareResults(baseline, rebuilt({})).compilerChanged).to.equal(false);
+      expect(compareResults(baseline, rebuilt({ runs: 1000 })).compilerChanged).to.equal(false);
+      expect(compareResults(baseline, rebuilt({ version: "0.8.26+commit.8a97fa7a" })).compilerChanged).to.equal(true);
+      expect(compareResults(null, rebuilt({})).compilerChanged).to.equal(false);
+    });
+
+    it("Should fail operations above the HCU transaction limit", function () {
+      const comparison = compare({ deposit: measured(100000, HCU_TRANSACTION_LIMIT + 1) });
+
+      expect(comparison.failed).to.equal(true);
+      expect(comparison.rows.find((row) => row.operation === "deposit").status).to.equal("over-limit");
+    });
+
+    it("Should render a markdown comparison table", function () {
+      const markdown = comparisonToMarkdown(
+        compare({ deploy: measured(1000000, 0), deposit: measured(110000, 200000), withdraw: measured(50000, 0) })
+      ).split("\n");
+
+      expect(markdown).to.include(
+        "| Variant | Operation | Gas (base) | Gas | Δ gas | HCU (base) | HCU | Δ HCU | Status |"
+      );
+      expect(markdown).to.include(
+        "| Vault | deposit | 100,000 | 110,000 | +10.00% | 200,000 | 200,000 | 0.00% | ❌ regressed |"
+      );
+      expect(markdown).to.include(
+        "❌ 1 operation(s) regressed by more than 5% or exceed the 20,000,000 HCU transaction limit"
+      );
+    });
+
+    it("Should price FHE operations by type and scalar operand", function () {
+      expect(operationHcu({ operator: "fheAdd", type: "Uint8", scalar: true })).to.be.lessThan(
+        operationHcu({ operator: "fheAdd", type: "Uint8", scalar: false })
+      );
+      expect(operationHcu({ operator: "fheAdd", type: "Uint32", scalar: false })).to.be.greaterThan(
+        operationHcu({ operator: "fheAdd", type: "Uint8", scalar: false })
+      );
+      expect(() => operationHcu({ operator: "fheDiv", type: "Uint8", scalar: false })).to.throw(
+        "No HCU price for fheDiv on Uint8"
+      );
+    });
+  });
+});
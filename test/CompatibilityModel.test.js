@@ -0,0 +1,178 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+const model = require("../scripts/compatibility/model");
+const {
+  createRandom,
+  hasMismatches,
+  parseArgs,
+  resultsToText,
+  runDifferential,
+} = require("../scripts/compatibility/differential");
+
+/**
+ * Compatibility Model Tests
+ *
+ * Pins the SDK's plaintext model (loaded by scripts/compatibility/model.js)
+ * on hand-picked pairs, including the uint8 wrap-around of the encrypted
+ * arithmetic, then runs the differential check against the contracts with a
+ * fixed seed. The differential check needs `hre.fhevm` (the FHEVM mock
+ * environment).
+ */
+describe("Compatibility Model", function () {
+  // DNA of the EnhancedPetDNAMatching tests
+  const LUNA = { marker1: 250, marker2: 10, marker3: 240, marker4: 5, healthRisk: 0, temperament: 5 };
+  const ROCKY = { marker1: 10, marker2: 250, marker3: 5, marker4: 240, healthRisk: 0, temperament: 5 };
+  const DAISY = { marker1: 248, marker2: 12, marker3: 238, marker4: 7, healthRisk: 20, temperament: 6 };
+
+  describe("EnhancedPetDNAMatching", function () {
+    it("Should score diverse pairs as successful matches", function () {
+      expect(model.enhancedCompatibility(LUNA, ROCKY)).to.deep.equal({
+        rawScore: 1150,
+        score: 100,
+        isSuccessfulMatch: true,
+      });
+    });
+
+    it("Should score similar pairs below the minimum", function () {
+      expect(model.enhancedCompatibility(LUNA, DAISY)).to.deep.equal({
+        rawScore: 187,
+        score: 18,
+        isSuccessfulMatch: false,
+      });
+    });
+
+    it("Should wrap the temperament score when temperaments differ by more than 200", function () {
+      const calm = { ...DAISY, temperament: 0 };
+      const wild = { ...DAISY, temperament: 255 };
+
+      expect(model.enhancedRawScore(calm, wild)).to.equal(2 ** 32 - 55 - 40);
+      expect(model.enhancedCompatibility(calm, wild).score).to.equal(100);
+    });
+
+    it("Should wrap the raw score when health risks outweigh the rest", function () {
+      const risky = { ...LUNA, healthRisk: 255, temperament: 0 };
+      const other = { ...LUNA, healthRisk: 255, temperament: 200 };
+
+      expect(model.enhancedRawScore(risky, other)).to.equal(2 ** 32 - 510);
+    });
+  });
+
+  describe("PrivatePetDNAMatching", function () {
+    const dna = (marker, healthRisk = 0) => ({
+      marker1: marker,
+      marker2: marker,
+      marker3: marker,
+      marker4: marker,
+      healthRisk,
+    });
+
+    it("Should wrap marker differences instead of taking absolute values", function () {
+      expect(model.privateRawScore(dna(12), dna(10))).to.equal(8);
+      expect(model.privateRawScore(dna(10), dna(12))).to.equal(4 * 254);
+    });
+
+    it("Should report the first candidate with the best score of all candidates", function () {
+      const pets = [
+        { id: 1, owner: "alice", isAvailableForBreeding: true, dna: dna(100) },
+        { id: 2, owner: "alice", isAvailableForBreeding: true, dna: dna(0) },
+        { id: 3, owner: "bob", isAvailableForBreeding: false, dna: dna(0) },
+        { id: 4, owner: "bob", isAvailableForBreeding: true, dna: dna(90) },
+        { id: 5, owner: "carol", isAvailableForBreeding: true, dna: dna(60) },
+      ];
+
+      expect(model.privateMatching(pets, 1)).to.deep.equal({
+        bestScore: 160,
+        bestMatchId: 4,
+        candidateIds: [4, 5],
+        matchFound: true,
+      });
+    });
+
+    it("Should find no match without candidates", function () {
+      const pets = [
+        { id: 1, owner: "alice", isAvailableForBreeding: true, dna: dna(100) },
+        { id: 2, owner: "alice", isAvailableForBreeding: true, dna: dna(0) },
+      ];
+
+      expect(model.privateMatching(pets, 1)).to.deep.equal({
+        bestScore: 0,
+        bestMatchId: 0,
+        candidateIds: [],
+        matchFound: false,
+      });
+    });
+  });
+
+  describe("PetDNAMatching", function () {
+    it("Should score from the health sum and temperament difference", function () {
+      expect(
+        model.legacyCompatibility({ healthScore: 85, temperament: 7 }, { healthScore: 90, temperament: 6 })
+      ).to.deep.equal({
+        healthSum: 175,
+        temperamentDiff: 1,
+        score: 100,
+        isMatched: true,
+      });
+    });
+
+    it("Should wrap the health sum and a negative temperament difference", function () {
+      expect(
+        model.legacyCompatibility({ healthScore: 100, temperament: 3 }, { healthScore: 100, temperament: 4 })
+      ).to.deep.equal({
+        healthSum: 200,
+        temperamentDiff: 255,
+        score: 80,
+        isMatched: true,
+      });
+      expect(
+        model.legacyDecryptionInputs({ healthScore: 200, temperament: 0 }, { healthScore: 100, temperament: 0 })
+          .healthSum
+      ).to.equal(44);
+    });
+  });
+
+  describe("Differential check", function () {
+    it("Should draw reproducible inputs from a seed", function () {
+      const draw = (random) => Array.from({ length: 20 }, () => random.uint8());
+
+      expect(draw(createRandom(7))).to.deep.equal(draw(createRandom(7)));
+      expect(draw(createRandom(7))).to.not.deep.equal(draw(createRandom(8)));
+      expect(draw(createRandom(7)).every((value) => value >= 0 && value <= 255)).to.equal(true);
+    });
+
+    it("Should parse command line options", function () {
+      expect(parseArgs(["--cases", "5", "--seed", "42", "--variant", "Enhanced,Private"])).to.deep.include({
+        cases: 5,
+        seed: 42,
+        variants: ["EnhancedPetDNAMatching", "PrivatePetDNAMatching"],
+      });
+      expect(() => parseArgs(["--cases", "0"])).to.throw("--cases needs an integer of at least 1");
+      expect(() => parseArgs(["--variant", "Nope"])).to.throw();
+    });
+
+    it("Should agree with every contract variant on random inputs", async function () {
+      if (!hre.fhevm) {
+        this.skip();
+      }
+      this.timeout(600000);
+
+      // The run leaves pets and requests on the shared chain; drop them afterwards
+      const snapshot = await takeSnapshot();
+      const results = await runDifferential(hre, { cases: 6, seed: 2024 }).finally(() => snapshot.restore());
+
+      expect(Object.keys(results.variants)).to.have.members([
+        "EnhancedPetDNAMatching",
+        "PrivatePetDNAMatching",
+        "PetDNAMatching",
+      ]);
+      expect(hasMismatches(results), resultsToText(results)).to.equal(false);
+    });
+
+    it("Should refuse variants without a model", async function () {
+      await expect(runDifferential(hre, { variants: ["TestPetDNAMatching"] })).to.be.rejectedWith(
+        "No compatibility model for TestPetDNAMatching"
+      );
+    });
+  });
+});
@@ -0,0 +1,133 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { deployVariants, readDeployment } = require("../scripts/deploy");
+const {
+  REGISTRY_VERSION,
+  computeAbiHash,
+  deployedAddress,
+  parseVariants,
+  readRegistry,
+  recordDeployments,
+} = require("../scripts/deployments");
+
+/**
+ * Deployment Pipeline Tests
+ *
+ * Deploys the plain (non-FHE) variants on the in-process Hardhat network and
+ * records them in a temporary registry directory.
+ */
+describe("Deployment Pipeline", function () {
+  const gateway = { gatewayUrl: "https://gateway.example", numPausers: 1, pauserAddresses: [] };
+  let dir;
+  let chainId;
+
+  before(async function () {
+    chainId = Number((await hre.ethers.provider.getNetwork()).chainId);
+  });
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "petdna-deployments-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("parseVariants", function () {
+    it("should accept short and full contract names", function () {
+      expect(parseVariants("Enhanced, PrivatePetDNAMatching,Test")).to.deep.equal([
+        "EnhancedPetDNAMatching",
+        "PrivatePetDNAMatching",
+        "TestPetDNAMatching",
+      ]);
+    });
+
+    it("should drop duplicates", function () {
+      expect(parseVariants("Simple,SimplePetDNAMatching")).to.deep.equal(["SimplePetDNAMatching"]);
+    });
+
+    it("should reject unknown or missing variants", function () {
+      expect(() => parseVariants("Legacy")).to.throw('Unknown variant "Legacy"');
+      expect(() => parseVariants(" , ")).to.throw("No contract variant to deploy");
+    });
+  });
+
+  describe("deployVariants", function () {
+    it("should record address, block, deployer, ABI hash and gateway config", async function () {
+      const [deployer] = await hre.ethers.getSigners();
+      const deployments = await deployVariants(hre, ["TestPetDNAMatching", "SimplePetDNAMatching"], gateway);
+      const file = recordDeployments("testnet", chainId, deployments, dir);
+
+      expect(file).to.equal(path.join(dir, "testnet.json"));
+      const registry = readRegistry("testnet", dir);
+      expect(registry.version).to.equal(REGISTRY_VERSION);
+      expect(registry.network).to.equal("testnet");
+      expect(registry.chainId).to.equal(chainId);
+      expect(Object.keys(registry.contracts)).to.deep.equal(["TestPetDNAMatching", "SimplePetDNAMatching"]);
+
+      const test = registry.contracts.TestPetDNAMatching;
+      const { abi } = await hre.artifacts.readArtifact("TestPetDNAMatching");
+      expect(test.variant).to.equal("TestPetDNAMatching");
+      expect(test.deployer).to.equal(deployer.address);
+      expect(test.abiHash).to.equal(computeAbiHash(abi));
+      expect(test.gateway).to.deep.equal(gateway);
+
+      const receipt = await hre.ethers.provider.getTransactionReceipt(test.transactionHash);
+      expect(receipt.contractAddress).to.equal(test.address);
+      expect(receipt.blockNumber).to.equal(test.blockNumber);
+
+      const contract = await hre.ethers.getContractAt("TestPetDNAMatching", test.address);
+      expect(await contract.owner()).to.equal(deployer.address);
+    });
+
+    it("should replace redeployed variants and keep the others", async function () {
+      const [first] = await deployVariants(hre, ["TestPetDNAMatching"], gateway);
+      const [simple] = await deployVariants(hre, ["SimplePetDNAMatching"], gateway);
+      recordDeployments("testnet", chainId, [first, simple], dir);
+
+      const [second] = await deployVariants(hre, ["TestPetDNAMatching"], gateway);
+      recordDeployments("testnet", chainId, [second], dir);
+
+      expect(second.address).to.not.equal(first.address);
+      expect(deployedAddress("testnet", "TestPetDNAMatching", dir)).to.equal(second.address);
+      expect(deployedAddress("testnet", "SimplePetDNAMatching", dir)).to.equal(simple.address);
+      expect(deployedAddress("testnet", "EnhancedPetDNAMatching", dir)).to.be.undefined;
+      expect(deployedAddress("othernet", "TestPetDNAMatching", dir)).to.be.undefined;
+    });
+  });
+
+  describe("readDeployment", function () {
+    it("should read an earlier deployment from its creation transaction", async function () {
+      const [deployed] = await deployVariants(hre, ["TestPetDNAMatching"], gateway);
+      const block = await hre.ethers.provider.getBlock(deployed.blockNumber);
+
+      const recorded = await readDeployment(hre, "TestPetDNAMatching", deployed.transactionHash, gateway);
+
+      expect(recorded).to.deep.equal({ ...deployed, deployedAt: new Date(block.timestamp * 1000).toISOString() });
+    });
+
+    it("should refuse transactions that created no contract", async function () {
+      const [signer, other] = await hre.ethers.getSigners();
+      const tx = await signer.sendTransaction({ to: other.address, value: 1 });
+
+      await expect(readDeployment(hre, "TestPetDNAMatching", tx.hash, gateway)).to.be.rejectedWith(
+        `${tx.hash} is not a contract creation on hardhat`
+      );
+    });
+  });
+
+  describe("recordDeployments", function () {
+    it("should refuse to mix chains in one registry", function () {
+      recordDeployments("testnet", 1, [], dir);
+      expect(() => recordDeployments("testnet", 2, [], dir)).to.throw("belongs to chain 1, not 2");
+    });
+
+    it("should refuse registries of a newer version", function () {
+      fs.writeFileSync(path.join(dir, "testnet.json"), JSON.stringify({ version: REGISTRY_VERSION + 1 }));
+      expect(() => readRegistry("testnet", dir)).to.throw(`registry version ${REGISTRY_VERSION + 1}`);
+    });
+  });
+});
@@ -0,0 +1,466 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = require("hardhat");
+const { loadFixture, takeSnapshot, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+/**
+ * EnhancedPetDNAMatching Integration Tests
+ *
+ * Covers the gateway callback, refund, timeout, pause, fee and ownership
+ * paths. Decryption callbacks are delivered by the FHEVM mock
+ * (`hre.fhevm`), which stands in for the decryption oracle and KMS.
+ */
+describe("EnhancedPetDNAMatching", function () {
+  let contract;
+  let owner;
+  let alice;
+  let bob;
+  let outsider;
+  let matchingFee;
+  let snapshot;
+
+  // Pairs chosen so the decrypted score is 100 (match) or 18 (refund)
+  const LUNA_DNA = [250, 10, 240, 5, 0, 5];
+  const ROCKY_DNA = [10, 250, 5, 240, 0, 5];
+  const DAISY_DNA = [248, 12, 238, 7, 20, 6];
+
+  async function registerPet(signer, name, dna, target = contract) {
+    const input = hre.fhevm.createEncryptedInput(await target.getAddress(), signer.address);
+    dna.forEach((value) => input.add8(value));
+    const encrypted = await input.encrypt();
+
+    return target.connect(signer).registerPet(name, "Labrador", 3, ...encrypted.handles, encrypted.inputProof);
+  }
+
+  async function requestMatching(signer, petId1, petId2) {
+    await (await contract.connect(signer).requestMatching(petId1, petId2, { value: matchingFee })).wait();
+    return nextPendingRequest();
+  }
+
+  // Latest decryption request of this contract that has not been answered
+  async function nextPendingRequest() {
+    const contractAddress = await contract.getAddress();
+    return (await hre.fhevm.getPendingDecryptionRequests({ contractAddress })).pop();
+  }
+
+  async function fulfill(request) {
+    const tx = await hre.fhevm.fulfillDecryptionRequest(request);
+    await tx.wait();
+    return tx;
+  }
+
+  // Fees still held for requests that were neither completed nor refunded
+  async function pendingFees() {
+    let total = 0n;
+    const nextRequestId = await contract.nextRequestId();
+    for (let id = 1n; id < nextRequestId; id++) {
+      const request = await contract.getMatchingRequest(id);
+      if (!request.isCompleted && !request.isRefunded) {
+        total += matchingFee;
+      }
+    }
+    return total;
+  }
+
+  async function expectFeesAccountedFor() {
+    const balance = await ethers.provider.getBalance(await contract.getAddress());
+    expect(balance).to.equal((await contract.platformFees()) + (await pendingFees()));
+  }
+
+  // Every test starts from the same three pets; the snapshot around the file
+  // drops its open requests and time travel before the next test file runs
+  async function deployWithPetsFixture() {
+    const [, alice, bob] = await ethers.getSigners();
+    const EnhancedPetDNAMatching = await ethers.getContractFactory("EnhancedPetDNAMatching");
+    const deployed = await EnhancedPetDNAMatching.deploy();
+    await deployed.waitForDeployment();
+
+    await (await registerPet(alice, "Luna", LUNA_DNA, deployed)).wait();
+    await (await registerPet(bob, "Rocky", ROCKY_DNA, deployed)).wait();
+    await (await registerPet(bob, "Daisy", DAISY_DNA, deployed)).wait();
+    return deployed;
+  }
+
+  before(async function () {
+    if (!hre.fhevm) {
+      this.skip();
+    }
+    snapshot = await takeSnapshot();
+  });
+
+  after(async function () {
+    if (snapshot) {
+      await snapshot.restore();
+    }
+  });
+
+  beforeEach(async function () {
+    [owner, alice, bob, outsider] = await ethers.getSigners();
+    contract = await loadFixture(deployWithPetsFixture);
+    matchingFee = await contract.MATCHING_FEE();
+  });
+
+  describe("Deployment", function () {
+    it("Should set the owner and default timeout", async function () {
+      expect(await contract.owner()).to.equal(owner.address);
+      expect(await contract.callbackTimeout()).to.equal(await contract.DEFAULT_CALLBACK_TIMEOUT());
+      expect(await contract.isPaused()).to.equal(false);
+    });
+  });
+
+  describe("Matching Requests", function () {
+    it("Should record the request with its callback deadline", async function () {
+      await expect(contract.connect(alice).requestMatching(1, 2, { value: matchingFee }))
+        .to.emit(contract, "MatchingRequested")
+        .and.to.emit(contract, "DecryptionRequested");
+
+      const request = await contract.getMatchingRequest(1);
+      expect(request.requester).to.equal(alice.address);
+      expect(request.isActive).to.equal(true);
+      expect(request.timeoutDeadline).to.equal(request.requestTime + (await contract.callbackTimeout()));
+    });
+
+    it("Should reject an incorrect matching fee", async function () {
+      await expect(
+        contract.connect(alice).requestMatching(1, 2, { value: matchingFee - 1n })
+      ).to.be.revertedWith("Incorrect matching fee");
+      await expect(
+        contract.connect(alice).requestMatching(1, 2, { value: matchingFee + 1n })
+      ).to.be.revertedWith("Incorrect matching fee");
+    });
+
+    it("Should reject matching a pet with itself", async function () {
+      await expect(
+        contract.connect(alice).requestMatching(1, 1, { value: matchingFee })
+      ).to.be.revertedWith("Cannot match pet with itself");
+    });
+
+    it("Should require the requester to own one of the pets", async function () {
+      await expect(
+        contract.connect(outsider).requestMatching(1, 2, { value: matchingFee })
+      ).to.be.revertedWith("Must own at least one pet");
+    });
+
+    it("Should reject pets that are not available for breeding", async function () {
+      await contract.connect(bob).toggleBreedingStatus(2);
+
+      await expect(
+        contract.connect(alice).requestMatching(1, 2, { value: matchingFee })
+      ).to.be.revertedWith("Pet 2 not available for breeding");
+    });
+  });
+
+  describe("Gateway Callback", function () {
+    it("Should keep the fee for a successful match", async function () {
+      const request = await requestMatching(alice, 1, 2);
+
+      await expect(fulfill(request))
+        .to.emit(contract, "MatchingCompleted")
+        .withArgs(1, 100, true);
+
+      const matching = await contract.getMatchingRequest(1);
+      expect(matching.isCompleted).to.equal(true);
+      expect(matching.isActive).to.equal(false);
+      expect(matching.isRefunded).to.equal(false);
+      expect(await contract.platformFees()).to.equal(matchingFee);
+    });
+
+    it("Should refund the requester when the score is below the threshold", async function () {
+      const request = await requestMatching(alice, 1, 3);
+      const balanceBefore = await ethers.provider.getBalance(alice.address);
+
+      await expect(fulfill(request))
+        .to.emit(contract, "MatchingRefunded")
+        .withArgs(1, alice.address, matchingFee, "Compatibility score below threshold")
+        .and.to.emit(contract, "MatchingCompleted")
+        .withArgs(1, 18, false);
+
+      const matching = await contract.getMatchingRequest(1);
+      expect(matching.isCompleted).to.equal(true);
+      expect(matching.isRefunded).to.equal(true);
+      expect(await contract.platformFees()).to.equal(0);
+      expect(await ethers.provider.getBalance(alice.address)).to.equal(balanceBefore + matchingFee);
+    });
+
+    it("Should reject a second callback for the same request", async function () {
+      const request = await requestMatching(alice, 1, 2);
+      await fulfill(request);
+
+      await expect(hre.fhevm.fulfillDecryptionRequest(request)).to.be.revertedWith("Request is not active");
+      expect(await contract.platformFees()).to.equal(matchingFee);
+    });
+
+    it("Should reject a second callback after a low-score refund", async function () {
+      const request = await requestMatching(alice, 1, 3);
+      await fulfill(request);
+
+      await expect(hre.fhevm.fulfillDecryptionRequest(request)).to.be.revertedWith("Request is not active");
+    });
+
+    it("Should reject a callback after the deadline", async function () {
+      const request = await requestMatching(alice, 1, 2);
+      await time.increase((await contract.callbackTimeout()) + 1n);
+
+      await expect(hre.fhevm.fulfillDecryptionRequest(request)).to.be.revertedWith("Request has timed out");
+
+      const matching = await contract.getMatchingRequest(1);
+      expect(matching.isActive).to.equal(true);
+      expect(await contract.canClaimTimeoutRefund(1)).to.equal(true);
+    });
+
+    it("Should accept a callback right at the deadline", async function () {
+      const request = await requestMatching(alice, 1, 2);
+      const { timeoutDeadline } = await contract.getMatchingRequest(1);
+      await time.setNextBlockTimestamp(timeoutDeadline);
+
+      await expect(fulfill(request)).to.emit(contract, "MatchingCompleted");
+    });
+
+    it("Should reject a callback after a timeout refund", async function () {
+      const request = await requestMatching(alice, 1, 2);
+      await time.increase((await contract.callbackTimeout()) + 1n);
+      await contract.connect(outsider).claimTimeoutRefund(1);
+
+      await expect(hre.fhevm.fulfillDecryptionRequest(request)).to.be.revertedWith("Request is not active");
+    });
+
+    it("Should reject a callback with an invalid decryption proof", async function () {
+      const request = await requestMatching(alice, 1, 2);
+
+      await expect(
+        hre.fhevm.fulfillDecryptionRequest(request, { decryptionProof: "0x00" })
+      ).to.be.revertedWithCustomError(contract, "InvalidKMSSignatures");
+    });
+
+    it("Should reject a callback for an unknown decryption request", async function () {
+      await expect(contract.processMatchingCallback(42, "0x", "0x")).to.be.revertedWithCustomError(
+        contract,
+        "NoHandleFoundForRequestID"
+      );
+    });
+
+    it("Should deliver callbacks while the contract is paused", async function () {
+      const request = await requestMatching(alice, 1, 2);
+      await contract.togglePause();
+
+      await expect(fulfill(request)).to.emit(contract, "MatchingCompleted");
+    });
+  });
+
+  describe("Timeout Refunds", function () {
+    it("Should refund the requester after the deadline", async function () {
+      await requestMatching(alice, 1, 2);
+      await time.increase((await contract.callbackTimeout()) + 1n);
+      const balanceBefore = await ethers.provider.getBalance(alice.address);
+
+      await expect(contract.connect(outsider).claimTimeoutRefund(1))
+        .to.emit(contract, "TimeoutTriggered")
+        .withArgs(1, matchingFee)
+        .and.to.emit(contract, "MatchingRefunded")
+        .withArgs(1, alice.address, matchingFee, "Gateway callback timeout");
+
+      expect(await ethers.provider.getBalance(alice.address)).to.equal(balanceBefore + matchingFee);
+      expect((await contract.getMatchingRequest(1)).isRefunded).to.equal(true);
+      expect(await contract.canClaimTimeoutRefund(1)).to.equal(false);
+    });
+
+    it("Should reject a refund before the deadline", async function () {
+      await requestMatching(alice, 1, 2);
+
+      expect(await contract.canClaimTimeoutRefund(1)).to.equal(false);
+      await expect(contract.claimTimeoutRefund(1)).to.be.revertedWith("Timeout not reached yet");
+    });
+
+    it("Should reject a second timeout refund", async function () {
+      await requestMatching(alice, 1, 2);
+      await time.increase((await contract.callbackTimeout()) + 1n);
+      await contract.claimTimeoutRefund(1);
+
+      await expect(contract.claimTimeoutRefund(1)).to.be.revertedWith("Request is not active");
+    });
+
+    it("Should reject a timeout refund for a completed request", async function () {
+      const request = await requestMatching(alice, 1, 2);
+      await fulfill(request);
+      await time.increase((await contract.callbackTimeout()) + 1n);
+
+      expect(await contract.canClaimTimeoutRefund(1)).to.equal(false);
+      await expect(contract.claimTimeoutRefund(1)).to.be.revertedWith("Request is not active");
+    });
+
+    it("Should reject unknown request IDs", async function () {
+      await expect(contract.claimTimeoutRefund(0)).to.be.revertedWith("Invalid request ID");
+      await expect(contract.claimTimeoutRefund(1)).to.be.revertedWith("Invalid request ID");
+      expect(await contract.canClaimTimeoutRefund(0)).to.equal(false);
+      expect(await contract.canClaimTimeoutRefund(1)).to.equal(false);
+    });
+
+    it("Should allow timeout refunds while the contract is paused", async function () {
+      await requestMatching(alice, 1, 2);
+      await contract.togglePause();
+      await time.increase((await contract.callbackTimeout()) + 1n);
+
+      await expect(contract.claimTimeoutRefund(1)).to.emit(contract, "TimeoutTriggered");
+    });
+  });
+
+  describe("Callback Timeout Configuration", function () {
+    it("Should accept the minimum and maximum timeout", async function () {
+      const minTimeout = await contract.MIN_CALLBACK_TIMEOUT();
+      const maxTimeout = await contract.MAX_CALLBACK_TIMEOUT();
+
+      await expect(contract.setCallbackTimeout(minTimeout))
+        .to.emit(contract, "CallbackTimeoutUpdated")
+        .withArgs(minTimeout);
+      await contract.setCallbackTimeout(maxTimeout);
+
+      expect(await contract.callbackTimeout()).to.equal(maxTimeout);
+    });
+
+    it("Should reject timeouts outside the bounds", async function () {
+      const minTimeout = await contract.MIN_CALLBACK_TIMEOUT();
+      const maxTimeout = await contract.MAX_CALLBACK_TIMEOUT();
+
+      await expect(contract.setCallbackTimeout(minTimeout - 1n)).to.be.revertedWith("Timeout too short");
+      await expect(contract.setCallbackTimeout(maxTimeout + 1n)).to.be.revertedWith("Timeout too long");
+    });
+
+    it("Should only allow the owner to change the timeout", async function () {
+      await expect(
+        contract.connect(alice).setCallbackTimeout(await contract.MIN_CALLBACK_TIMEOUT())
+      ).to.be.revertedWith("Not authorized: Owner only");
+    });
+
+    it("Should only apply a new timeout to later requests", async function () {
+      await requestMatching(alice, 1, 2);
+      const minTimeout = await contract.MIN_CALLBACK_TIMEOUT();
+      await contract.setCallbackTimeout(minTimeout);
+      await requestMatching(alice, 1, 3);
+
+      const first = await contract.getMatchingRequest(1);
+      const second = await contract.getMatchingRequest(2);
+      expect(first.timeoutDeadline - first.requestTime).to.equal(await contract.DEFAULT_CALLBACK_TIMEOUT());
+      expect(second.timeoutDeadline - second.requestTime).to.equal(minTimeout);
+    });
+  });
+
+  describe("Emergency Pause", function () {
+    it("Should block registrations and matching requests while paused", async function () {
+      await expect(contract.togglePause()).to.emit(contract, "EmergencyPauseToggled").withArgs(true);
+
+      await expect(registerPet(alice, "Milo", LUNA_DNA)).to.be.revertedWith("Contract is paused");
+      await expect(
+        contract.connect(alice).requestMatching(1, 2, { value: matchingFee })
+      ).to.be.revertedWith("Contract is paused");
+    });
+
+    it("Should resume after unpausing", async function () {
+      await contract.togglePause();
+      await expect(contract.togglePause()).to.emit(contract, "EmergencyPauseToggled").withArgs(false);
+
+      await expect(contract.connect(alice).requestMatching(1, 2, { value: matchingFee })).to.emit(
+        contract,
+        "MatchingRequested"
+      );
+    });
+
+    it("Should only allow the owner to pause", async function () {
+      await expect(contract.connect(alice).togglePause()).to.be.revertedWith("Not authorized: Owner only");
+    });
+  });
+
+  describe("Platform Fees", function () {
+    it("Should withdraw accumulated fees", async function () {
+      await fulfill(await requestMatching(alice, 1, 2));
+      const balanceBefore = await ethers.provider.getBalance(outsider.address);
+
+      await expect(contract.withdrawPlatformFees(outsider.address))
+        .to.emit(contract, "PlatformFeesWithdrawn")
+        .withArgs(outsider.address, matchingFee);
+
+      expect(await contract.platformFees()).to.equal(0);
+      expect(await ethers.provider.getBalance(outsider.address)).to.equal(balanceBefore + matchingFee);
+    });
+
+    it("Should reject a withdrawal without fees", async function () {
+      await expect(contract.withdrawPlatformFees(owner.address)).to.be.revertedWith("No fees to withdraw");
+    });
+
+    it("Should not count fees of pending or refunded requests", async function () {
+      await requestMatching(alice, 1, 2);
+      await fulfill(await requestMatching(alice, 1, 3));
+
+      expect(await contract.platformFees()).to.equal(0);
+      await expect(contract.withdrawPlatformFees(owner.address)).to.be.revertedWith("No fees to withdraw");
+    });
+
+    it("Should reject the zero address as recipient", async function () {
+      await fulfill(await requestMatching(alice, 1, 2));
+
+      await expect(contract.withdrawPlatformFees(ethers.ZeroAddress)).to.be.revertedWith(
+        "Invalid recipient address"
+      );
+    });
+
+    it("Should only allow the owner to withdraw", async function () {
+      await fulfill(await requestMatching(alice, 1, 2));
+
+      await expect(contract.connect(alice).withdrawPlatformFees(alice.address)).to.be.revertedWith(
+        "Not authorized: Owner only"
+      );
+    });
+
+    it("Should hold exactly the platform fees plus the fees of open requests", async function () {
+      await expectFeesAccountedFor();
+
+      await fulfill(await requestMatching(alice, 1, 2)); // kept as platform fee
+      await expectFeesAccountedFor();
+
+      await fulfill(await requestMatching(alice, 1, 3)); // refunded, low score
+      await expectFeesAccountedFor();
+
+      await requestMatching(bob, 2, 3); // timed out and refunded
+      await requestMatching(alice, 1, 2); // still pending
+      await expectFeesAccountedFor();
+
+      await time.increase((await contract.callbackTimeout()) + 1n);
+      await contract.claimTimeoutRefund(3);
+      await expectFeesAccountedFor();
+
+      await contract.withdrawPlatformFees(owner.address);
+      await expectFeesAccountedFor();
+
+      const stats = await contract.getContractStats();
+      expect(stats.totalRequests).to.equal(4);
+      expect(stats.accumulatedFees).to.equal(0);
+      expect(await pendingFees()).to.equal(matchingFee);
+    });
+  });
+
+  describe("Ownership", function () {
+    it("Should transfer ownership", async function () {
+      await expect(contract.transferOwnership(alice.address))
+        .to.emit(contract, "OwnershipTransferred")
+        .withArgs(owner.address, alice.address);
+
+      expect(await contract.owner()).to.equal(alice.address);
+    });
+
+    it("Should move admin rights to the new owner", async function () {
+      await contract.transferOwnership(alice.address);
+
+      await expect(contract.togglePause()).to.be.revertedWith("Not authorized: Owner only");
+      await expect(contract.connect(alice).togglePause()).to.emit(contract, "EmergencyPauseToggled");
+    });
+
+    it("Should reject the zero address as new owner", async function () {
+      await expect(contract.transferOwnership(ethers.ZeroAddress)).to.be.revertedWith("Invalid new owner");
+    });
+
+    it("Should only allow the owner to transfer ownership", async function () {
+      await expect(contract.connect(alice).transferOwnership(alice.address)).to.be.revertedWith(
+        "Not authorized: Owner only"
+      );
+    });
+  });
+});
@@ -0,0 +1,280 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = require("hardhat");
+const { loadFixture, takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+
+/**
+ * FHEVM Mock Tests
+ *
+ * Runs EnhancedPetDNAMatching and PrivatePetDNAMatching end to end on the
+ * local Hardhat network: encrypted inputs from `hre.fhevm`, homomorphic
+ * operations in MockFHEVMExecutor and gateway callbacks signed by the mock
+ * KMS signers.
+ */
+describe("FHEVM Mock", function () {
+  let owner;
+  let alice;
+  let bob;
+  let snapshot;
+
+  // Compatibility score computed by EnhancedPetDNAMatching, on cleartexts
+  function expectedEnhancedScore(dna1, dna2) {
+    const absDiff = (a, b) => Math.abs(a - b);
+    const diversity = [0, 1, 2, 3].reduce((sum, i) => sum + absDiff(dna1[i], dna2[i]), 0);
+    const rawScore = diversity + (200 - absDiff(dna1[5], dna2[5])) - (dna1[4] + dna2[4]);
+    return Math.min(Math.floor((rawScore * 100) / 1024), 100);
+  }
+
+  // Leave no open decryption requests behind for the next test file
+  before(async function () {
+    if (!hre.fhevm) {
+      this.skip();
+    }
+    snapshot = await takeSnapshot();
+  });
+
+  after(async function () {
+    if (snapshot) {
+      await snapshot.restore();
+    }
+  });
+
+  beforeEach(async function () {
+    [owner, alice, bob] = await ethers.getSigners();
+  });
+
+  describe("Encrypted inputs", function () {
+    let contract;
+    let contractAddress;
+
+    async function deployFixture() {
+      const EnhancedPetDNAMatching = await ethers.getContractFactory("EnhancedPetDNAMatching");
+      const deployed = await EnhancedPetDNAMatching.deploy();
+      await deployed.waitForDeployment();
+      return deployed;
+    }
+
+    beforeEach(async function () {
+      contract = await loadFixture(deployFixture);
+      contractAddress = await contract.getAddress();
+    });
+
+    async function encryptDNA(user, dna, target = contractAddress) {
+      const input = hre.fhevm.createEncryptedInput(target, user.address);
+      dna.forEach((value) => input.add8(value));
+      return input.encrypt();
+    }
+
+    it("Should encode chain id, type and index in the handles", async function () {
+      const encrypted = await encryptDNA(alice, [1, 2, 3, 4, 5, 6]);
+
+      expect(encrypted.handles).to.have.lengthOf(6);
+      encrypted.handles.forEach((handle, index) => {
+        expect(handle[21]).to.equal(index);
+        expect(BigInt(ethers.hexlify(handle.slice(22, 30)))).to.equal(31337n);
+        expect(handle[30]).to.equal(2); // FheType.Uint8
+      });
+    });
+
+    it("Should track the cleartexts behind registered handles", async function () {
+      const dna = [120, 85, 95, 110, 20, 7];
+      const encrypted = await encryptDNA(alice, dna);
+
+      await contract.connect(alice).registerPet("Luna", "Labrador", 3, ...encrypted.handles, encrypted.inputProof);
+
+      for (let i = 0; i < dna.length; i++) {
+        expect(await hre.fhevm.getClearText(encrypted.handles[i])).to.equal(BigInt(dna[i]));
+        expect(await hre.fhevm.userDecrypt(encrypted.handles[i], contractAddress, alice.address)).to.equal(
+          BigInt(dna[i])
+        );
+      }
+    });
+
+    it("Should refuse user decryption without an ACL permission", async function () {
+      const encrypted = await encryptDNA(alice, [120, 85, 95, 110, 20, 7]);
+      await contract.connect(alice).registerPet("Luna", "Labrador", 3, ...encrypted.handles, encrypted.inputProof);
+
+      await expect(hre.fhevm.userDecrypt(encrypted.handles[0], contractAddress, bob.address)).to.be.rejectedWith(
+        /not allowed to decrypt/
+      );
+    });
+
+    it("Should reject an input proof submitted by another user", async function () {
+      const encrypted = await encryptDNA(alice, [120, 85, 95, 110, 20, 7]);
+
+      await expect(
+        contract.connect(bob).registerPet("Luna", "Labrador", 3, ...encrypted.handles, encrypted.inputProof)
+      ).to.be.revertedWith("MockFHEVMExecutor: input proof for another user");
+    });
+
+    it("Should reject an input proof created for another contract", async function () {
+      const encrypted = await encryptDNA(alice, [120, 85, 95, 110, 20, 7], bob.address);
+
+      await expect(
+        contract.connect(alice).registerPet("Luna", "Labrador", 3, ...encrypted.handles, encrypted.inputProof)
+      ).to.be.revertedWith("MockFHEVMExecutor: input proof for another contract");
+    });
+
+    it("Should reject values that do not fit the encrypted type", function () {
+      const input = hre.fhevm.createEncryptedInput(contractAddress, alice.address);
+
+      expect(() => input.add8(256)).to.throw(/does not fit in 8 bits/);
+    });
+  });
+
+  describe("EnhancedPetDNAMatching", function () {
+    let contract;
+    let contractAddress;
+    let matchingFee;
+
+    const lunaDNA = [250, 10, 240, 5, 0, 5];
+    const rockyDNA = [10, 250, 5, 240, 0, 5];
+    const daisyDNA = [120, 85, 95, 110, 20, 7];
+
+    async function registerPet(deployed, signer, name, dna) {
+      const input = hre.fhevm.createEncryptedInput(await deployed.getAddress(), signer.address);
+      dna.forEach((value) => input.add8(value));
+      const encrypted = await input.encrypt();
+
+      const tx = await deployed
+        .connect(signer)
+        .registerPet(name, "Labrador", 3, ...encrypted.handles, encrypted.inputProof);
+      await tx.wait();
+    }
+
+    async function deployWithPetsFixture() {
+      const [, alice, bob] = await ethers.getSigners();
+      const EnhancedPetDNAMatching = await ethers.getContractFactory("EnhancedPetDNAMatching");
+      const deployed = await EnhancedPetDNAMatching.deploy();
+      await deployed.waitForDeployment();
+
+      await registerPet(deployed, alice, "Luna", lunaDNA);
+      await registerPet(deployed, bob, "Rocky", rockyDNA);
+      await registerPet(deployed, bob, "Daisy", daisyDNA);
+      return deployed;
+    }
+
+    beforeEach(async function () {
+      contract = await loadFixture(deployWithPetsFixture);
+      contractAddress = await contract.getAddress();
+      matchingFee = await contract.MATCHING_FEE();
+    });
+
+    it("Should complete a successful match through the decryption callback", async function () {
+      await contract.connect(alice).requestMatching(1, 2, { value: matchingFee });
+
+      const results = await hre.fhevm.awaitDecryptionOracle({ contractAddress });
+
+      expect(results).to.have.lengthOf(1);
+      expect(results[0].success).to.equal(true);
+
+      const score = expectedEnhancedScore(lunaDNA, rockyDNA);
+      const request = await contract.getMatchingRequest(1);
+      expect(request.isCompleted).to.equal(true);
+      expect(request.compatibilityScore).to.equal(score);
+      expect(await contract.platformFees()).to.equal(matchingFee);
+    });
+
+    it("Should refund the fee when the decrypted score is below the threshold", async function () {
+      await contract.connect(alice).requestMatching(1, 3, { value: matchingFee });
+
+      const balanceBefore = await ethers.provider.getBalance(alice.address);
+      await hre.fhevm.awaitDecryptionOracle({ contractAddress });
+
+      const request = await contract.getMatchingRequest(1);
+      expect(request.compatibilityScore).to.equal(expectedEnhancedScore(lunaDNA, daisyDNA));
+      expect(request.isRefunded).to.equal(true);
+      expect(await ethers.provider.getBalance(alice.address)).to.equal(balanceBefore + matchingFee);
+    });
+
+    it("Should leave fulfilled requests out of the pending list", async function () {
+      await contract.connect(alice).requestMatching(1, 2, { value: matchingFee });
+      expect(await hre.fhevm.getPendingDecryptionRequests({ contractAddress })).to.have.lengthOf(1);
+
+      await hre.fhevm.awaitDecryptionOracle({ contractAddress });
+
+      expect(await hre.fhevm.getPendingDecryptionRequests({ contractAddress })).to.have.lengthOf(0);
+    });
+
+    it("Should only list the requests of the given contract and blocks", async function () {
+      const tx = await contract.connect(alice).requestMatching(1, 2, { value: matchingFee });
+      const { blockNumber } = await tx.wait();
+      const other = await deployWithPetsFixture();
+      await other.connect(alice).requestMatching(1, 2, { value: matchingFee });
+
+      const pending = await hre.fhevm.getPendingDecryptionRequests({ contractAddress });
+      expect(pending).to.have.lengthOf(1);
+      expect(pending[0].contractAddress).to.equal(contractAddress);
+      expect(
+        await hre.fhevm.getPendingDecryptionRequests({ contractAddress, fromBlock: blockNumber + 1 })
+      ).to.have.lengthOf(0);
+    });
+
+    it("Should reject a callback with an invalid decryption proof", async function () {
+      await contract.connect(alice).requestMatching(1, 2, { value: matchingFee });
+      const [request] = await hre.fhevm.getPendingDecryptionRequests({ contractAddress });
+
+      await expect(
+        hre.fhevm.fulfillDecryptionRequest(request, { decryptionProof: "0x00" })
+      ).to.be.revertedWithCustomError(contract, "InvalidKMSSignatures");
+    });
+  });
+
+  describe("PrivatePetDNAMatching", function () {
+    let contract;
+    let contractAddress;
+
+    async function deployWithPetsFixture() {
+      const [, alice, bob] = await ethers.getSigners();
+      const PrivatePetDNAMatching = await ethers.getContractFactory("PrivatePetDNAMatching");
+      const deployed = await PrivatePetDNAMatching.deploy();
+      await deployed.waitForDeployment();
+
+      await deployed.connect(alice).registerPet("Luna", "Labrador", 3, 200, 10, 200, 10, 5);
+      await deployed.connect(bob).registerPet("Rocky", "Beagle", 4, 10, 200, 10, 200, 5);
+      return deployed;
+    }
+
+    beforeEach(async function () {
+      contract = await loadFixture(deployWithPetsFixture);
+      contractAddress = await contract.getAddress();
+    });
+
+    it("Should find a match through the decryption callback", async function () {
+      await contract.connect(alice).requestMatching(1);
+
+      const results = await hre.fhevm.awaitDecryptionOracle({ contractAddress });
+      expect(results).to.have.lengthOf(1);
+      expect(results[0].success).to.equal(true);
+
+      const request = await contract.getMatchingRequest(1);
+      expect(request.isActive).to.equal(false);
+      expect(request.bestMatchId).to.equal(2);
+    });
+
+    it("Should reject a second callback for the same request", async function () {
+      await contract.connect(alice).requestMatching(1);
+      const [request] = await hre.fhevm.getPendingDecryptionRequests({ contractAddress });
+
+      await (await hre.fhevm.fulfillDecryptionRequest(request)).wait();
+
+      await expect(hre.fhevm.fulfillDecryptionRequest(request)).to.be.revertedWith("Request is not active");
+    });
+
+    it("Should keep encrypted DNA readable by the pet owner only", async function () {
+      const events = await contract.queryFilter(contract.filters.PetRegistered(1n));
+      const receipt = await events[0].getTransactionReceipt();
+      const executor = await ethers.getContractAt("MockFHEVMExecutor", hre.fhevm.addresses.CoprocessorAddress);
+      const handles = receipt.logs
+        .filter((log) => log.address === hre.fhevm.addresses.CoprocessorAddress)
+        .map((log) => executor.interface.parseLog(log))
+        .filter((event) => event.name === "HandleCreated")
+        .map((event) => event.args.handle);
+
+      expect(await hre.fhevm.userDecrypt(handles[0], contractAddress, alice.address)).to.equal(200n);
+      await expect(hre.fhevm.userDecrypt(handles[0], contractAddress, bob.address)).to.be.rejectedWith(
+        /not allowed to decrypt/
+      );
+    });
+  });
+});
@@ -0,0 +1,178 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const {
+  GatewayConfigError,
+  assertGatewayConfig,
+  deploymentGateway,
+  formatGatewayReport,
+  loadGatewayConfig,
+  verifyGatewayConfig,
+} = require("../scripts/gateway-config");
+
+/**
+ * Gateway Configuration Tests
+ *
+ * Validates the environment rules offline and the on-chain cross-checks
+ * against the FHEVM mock of the in-process Hardhat network.
+ */
+describe("Gateway Configuration", function () {
+  const PAUSER_0 = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+  const PAUSER_1 = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+  const env = { NUM_PAUSERS: "2", PAUSER_ADDRESS_0: PAUSER_0, PAUSER_ADDRESS_1: PAUSER_1 };
+
+  const issuesOf = (config, level) =>
+    config.issues.filter((issue) => issue.level === level).map(({ field, message }) => `${field}: ${message}`);
+
+  describe("loadGatewayConfig", function () {
+    it("should apply the network defaults", function () {
+      const config = loadGatewayConfig("sepolia", env);
+
+      expect(config.local).to.equal(false);
+      expect(config.gatewayUrl).to.equal("https://gateway.zama.ai");
+      expect(config.aclAddress).to.equal("0x687820221192C5B662b25367F70076A37bc79b6c");
+      expect(config.kmsVerifierAddress).to.equal("0x1364cBBf2cDF5032C47d8226a6f6FBD2AFCDacAC");
+      expect(config.numPausers).to.equal(2);
+      expect(config.numCoprocessors).to.equal(1);
+      expect(config.pauserAddresses).to.deep.equal([PAUSER_0, PAUSER_1]);
+      expect(config.issues).to.be.empty;
+    });
+
+    it("should checksum lower case addresses and reject wrong checksums", function () {
+      const config = loadGatewayConfig("sepolia", {
+        ...env,
+        PAUSER_ADDRESS_0: PAUSER_0.toLowerCase(),
+        PAUSER_ADDRESS_1: PAUSER_1.replace("C44", "c44"),
+      });
+
+      expect(config.pauserAddresses).to.deep.equal([PAUSER_0]);
+      expect(issuesOf(config, "error")).to.deep.equal([
+        `PAUSER_ADDRESS_1: "${PAUSER_1.replace("C44", "c44")}" has an invalid checksum (expected ${PAUSER_1})`,
+      ]);
+    });
+
+    it("should reject duplicate pausers", function () {
+      const config = loadGatewayConfig("sepolia", { ...env, PAUSER_ADDRESS_1: PAUSER_0.toLowerCase() });
+      expect(issuesOf(config, "error")).to.deep.equal(["PAUSER_ADDRESS_1: duplicates PAUSER_ADDRESS_0"]);
+    });
+
+    it("should reject missing and zero pausers on live networks only", function () {
+      const placeholders = { NUM_PAUSERS: "2", PAUSER_ADDRESS_0: "0x0000000000000000000000000000000000000000" };
+      const expected = ["PAUSER_ADDRESS_0: is the zero address placeholder", "PAUSER_ADDRESS_1: not configured"];
+
+      const live = loadGatewayConfig("sepolia", placeholders);
+      expect(issuesOf(live, "error")).to.deep.equal(expected);
+      expect(() => assertGatewayConfig(live)).to.throw(GatewayConfigError, "Invalid gateway configuration for sepolia");
+
+      const local = loadGatewayConfig("localhost", placeholders);
+      expect(issuesOf(local, "error")).to.be.empty;
+      expect(issuesOf(local, "warning")).to.deep.equal(expected);
+      expect(() => assertGatewayConfig(local)).to.not.throw();
+    });
+
+    it("should reject malformed settings", function () {
+      const config = loadGatewayConfig("sepolia", {
+        ...env,
+        GATEWAY_URL: "ftp://gateway.example",
+        ACL_ADDRESS: "0x1234",
+        NUM_COPROCESSORS: "-1",
+      });
+
+      expect(issuesOf(config, "error")).to.deep.equal([
+        'GATEWAY_URL: "ftp://gateway.example" is not an http(s) URL',
+        'ACL_ADDRESS: "0x1234" is not an address',
+        'NUM_COPROCESSORS: "-1" is not an integer >= 0',
+      ]);
+      expect(loadGatewayConfig("sepolia", { ...env, NUM_PAUSERS: "0" }).issues[0].message).to.equal(
+        '"0" is not an integer >= 1'
+      );
+    });
+
+    it("should warn about pausers beyond NUM_PAUSERS", function () {
+      const config = loadGatewayConfig("sepolia", { ...env, PAUSER_ADDRESS_2: PAUSER_0 });
+      expect(issuesOf(config, "warning")).to.deep.equal(["PAUSER_ADDRESS_2: ignored: NUM_PAUSERS is 2"]);
+    });
+
+    it("should require ACL and KMS verifier addresses on unknown networks", function () {
+      const config = loadGatewayConfig("devnet", env);
+      expect(issuesOf(config, "error")).to.deep.equal([
+        "ACL_ADDRESS: required on devnet",
+        "KMS_VERIFIER_ADDRESS: required on devnet",
+      ]);
+    });
+  });
+
+  describe("verifyGatewayConfig", function () {
+    it("should read the KMS signers and threshold of the network", async function () {
+      const config = await verifyGatewayConfig(loadGatewayConfig("hardhat", env), hre.ethers.provider);
+
+      expect(config.onChain.reachable).to.equal(true);
+      expect(config.onChain.acl).to.deep.equal({ deployed: true });
+      expect(config.onChain.kmsVerifier.deployed).to.equal(true);
+      expect(config.onChain.kmsVerifier.threshold).to.be.at.most(config.onChain.kmsVerifier.signers.length);
+      expect(issuesOf(config, "error")).to.be.empty;
+    });
+
+    it("should compare NUM_PAUSERS with n_kms + n_copro", async function () {
+      const config = await verifyGatewayConfig(
+        loadGatewayConfig("hardhat", { ...env, NUM_COPROCESSORS: "5" }),
+        hre.ethers.provider
+      );
+      const kms = config.onChain.kmsVerifier.signers.length;
+
+      expect(issuesOf(config, "warning")).to.deep.equal([
+        `NUM_PAUSERS: 2 does not match n_kms + n_copro = ${kms} + 5 = ${kms + 5}`,
+      ]);
+    });
+
+    it("should report contracts missing on-chain", async function () {
+      const [signer] = await hre.ethers.getSigners();
+      const config = await verifyGatewayConfig(
+        loadGatewayConfig("hardhat", { ...env, ACL_ADDRESS: signer.address, KMS_VERIFIER_ADDRESS: signer.address }),
+        hre.ethers.provider
+      );
+
+      expect(config.onChain.acl).to.deep.equal({ deployed: false });
+      expect(issuesOf(config, "warning")).to.deep.equal([
+        `ACL_ADDRESS: no contract at ${signer.address}`,
+        `KMS_VERIFIER_ADDRESS: no contract at ${signer.address}`,
+      ]);
+    });
+
+    it("should skip the checks when the network is unreachable", async function () {
+      const provider = { getBlockNumber: () => Promise.reject(new Error("connection refused")) };
+      const loaded = loadGatewayConfig("sepolia", env);
+      const config = await verifyGatewayConfig(loaded, provider);
+
+      expect(config.onChain).to.deep.equal({ reachable: false, acl: null, kmsVerifier: null });
+      expect(issuesOf(config, "warning")).to.deep.equal([
+        "network: unreachable, on-chain checks skipped (connection refused)",
+      ]);
+      expect(loaded.issues).to.be.empty;
+    });
+  });
+
+  describe("report", function () {
+    it("should list settings, on-chain status and issues", async function () {
+      const config = await verifyGatewayConfig(
+        loadGatewayConfig("hardhat", { NUM_PAUSERS: "1", PAUSER_ADDRESS_0: PAUSER_0, PAUSER_ADDRESS_1: PAUSER_1 }),
+        hre.ethers.provider
+      );
+      const report = formatGatewayReport(config);
+
+      expect(report[0]).to.equal("📋 Gateway Configuration (hardhat, local):");
+      expect(report).to.include(`  PAUSER_ADDRESS_0      ${PAUSER_0}`);
+      expect(report.some((line) => line.startsWith("  On-chain checks:      block "))).to.equal(true);
+      expect(report).to.include("  ⚠️  PAUSER_ADDRESS_1: ignored: NUM_PAUSERS is 1");
+    });
+
+    it("should keep only the settings recorded with deployments", function () {
+      expect(deploymentGateway(loadGatewayConfig("sepolia", env))).to.deep.equal({
+        gatewayUrl: "https://gateway.zama.ai",
+        aclAddress: "0x687820221192C5B662b25367F70076A37bc79b6c",
+        kmsVerifierAddress: "0x1364cBBf2cDF5032C47d8226a6f6FBD2AFCDacAC",
+        numPausers: 2,
+        pauserAddresses: [PAUSER_0, PAUSER_1],
+      });
+    });
+  });
+});
@@ -0,0 +1,318 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = require("hardhat");
+const { IndexerStore, loadSqlite } = require("../scripts/indexer/store");
+const { EventIndexer } = require("../scripts/indexer/indexer");
+const { createServer } = require("../scripts/indexer/server");
+
+/**
+ * Event Indexer Tests
+ *
+ * Indexes the events of all three contract variants into an in-memory
+ * SQLite store, checks the pet, match history and fee projections, rolls
+ * the chain back to check reorg handling and reads the results through the
+ * HTTP API. Registration on EnhancedPetDNAMatching needs encrypted inputs,
+ * so this suite runs when `hre.fhevm` (the FHEVM mock environment) is
+ * available, and when the optional better-sqlite3 dependency loads.
+ */
+describe("Event Indexer", function () {
+  let enhanced;
+  let privateMatching;
+  let legacy;
+  let store;
+  let indexer;
+  let owner;
+  let alice;
+  let bob;
+  let matchingFee;
+
+  async function deploy(name) {
+    const factory = await ethers.getContractFactory(name);
+    const contract = await factory.deploy();
+    const receipt = await contract.deploymentTransaction().wait();
+    await hre.fhevm.configureContract(await contract.getAddress());
+    return { contract, startBlock: receipt.blockNumber };
+  }
+
+  async function registerEnhancedPet(signer, name, breed, dna) {
+    const input = hre.fhevm.createEncryptedInput(await enhanced.getAddress(), signer.address);
+    dna.forEach((value) => input.add8(value));
+    const { handles, inputProof } = await input.encrypt();
+    await (await enhanced.connect(signer).registerPet(name, breed, 3, ...handles, inputProof)).wait();
+  }
+
+  function sqliteLoads() {
+    try {
+      loadSqlite();
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  before(async function () {
+    if (!hre.fhevm || !sqliteLoads()) {
+      this.skip();
+    }
+    this.timeout(120000);
+
+    [owner, alice, bob] = await ethers.getSigners();
+    const deployments = {
+      EnhancedPetDNAMatching: await deploy("EnhancedPetDNAMatching"),
+      PrivatePetDNAMatching: await deploy("PrivatePetDNAMatching"),
+      PetDNAMatching: await deploy("PetDNAMatching"),
+    };
+    enhanced = deployments.EnhancedPetDNAMatching.contract;
+    privateMatching = deployments.PrivatePetDNAMatching.contract;
+    legacy = deployments.PetDNAMatching.contract;
+    matchingFee = await enhanced.MATCHING_FEE();
+
+    store = new IndexerStore(":memory:");
+    indexer = new EventIndexer({
+      provider: ethers.provider,
+      store,
+      contracts: await Promise.all(
+        Object.entries(deployments).map(async ([variant, { contract, startBlock }]) => ({
+          address: await contract.getAddress(),
+          variant,
+          abi: (await hre.artifacts.readArtifact(variant)).abi,
+          startBlock,
+        }))
+      ),
+    });
+  });
+
+  after(function () {
+    store?.close();
+  });
+
+  describe("Pets", function () {
+    it("Should index registrations with the fields the events lack", async function () {
+      await registerEnhancedPet(alice, "Luna", "Labrador", [250, 10, 240, 5, 0, 5]);
+      await registerEnhancedPet(bob, "Rocky", "Beagle", [10, 250, 5, 240, 0, 5]);
+      await registerEnhancedPet(bob, "Daisy", "labrador", [248, 12, 238, 7, 20, 6]);
+      await (await legacy.connect(alice).registerPet("Max", "Dog", "Poodle", 2020, 85, 1200, 3400, 560, 7)).wait();
+
+      await indexer.sync();
+
+      const enhancedAddress = await enhanced.getAddress();
+      expect(store.getPets(enhancedAddress).total).to.equal(3);
+      expect(
+        store.getPets(enhancedAddress, { owner: bob.address.toLowerCase() }).items.map((pet) => pet.name)
+      ).to.deep.equal(["Rocky", "Daisy"]);
+      expect(store.getPets(enhancedAddress, { breed: "LABRADOR" }).items.map((pet) => pet.id)).to.deep.equal([1, 3]);
+      expect(store.getPet(enhancedAddress, 1)).to.deep.include({
+        owner: alice.address,
+        age: 3,
+        isAvailableForBreeding: true,
+      });
+
+      expect(store.getPet(await legacy.getAddress(), 1)).to.deep.include({
+        name: "Max",
+        species: "Dog",
+        breed: "Poodle",
+        birthYear: 2020,
+      });
+    });
+
+    it("Should follow breeding status changes", async function () {
+      await (await enhanced.connect(bob).toggleBreedingStatus(3)).wait();
+      await (await legacy.connect(alice).setBreedingStatus(1, false)).wait();
+
+      await indexer.sync();
+
+      const enhancedAddress = await enhanced.getAddress();
+      expect(store.getPet(enhancedAddress, 3).isAvailableForBreeding).to.equal(false);
+      expect(store.getPets(enhancedAddress, { available: true }).items.map((pet) => pet.id)).to.deep.equal([1, 2]);
+      expect(store.getPet(await legacy.getAddress(), 1).isAvailableForBreeding).to.equal(false);
+
+      await (await enhanced.connect(bob).toggleBreedingStatus(3)).wait();
+      await (await legacy.connect(alice).setBreedingStatus(1, true)).wait();
+    });
+  });
+
+  describe("Match history", function () {
+    it("Should record completed and refunded EnhancedPetDNAMatching requests with their fees", async function () {
+      await (await enhanced.connect(alice).requestMatching(1, 2, { value: matchingFee })).wait();
+      await (await enhanced.connect(alice).requestMatching(1, 3, { value: matchingFee })).wait();
+      await indexer.sync();
+
+      const enhancedAddress = await enhanced.getAddress();
+      expect(store.getMatches(enhancedAddress, { status: "pending" }).total).to.equal(2);
+
+      await hre.fhevm.awaitDecryptionOracle();
+      await indexer.sync();
+
+      expect(store.getMatch(enhancedAddress, 1)).to.deep.include({
+        petId1: 1,
+        petId2: 2,
+        requester: alice.address,
+        status: "completed",
+        score: 100,
+        isSuccessfulMatch: true,
+        feePaid: matchingFee.toString(),
+      });
+      expect(store.getMatch(enhancedAddress, 2)).to.deep.include({
+        status: "refunded",
+        score: 18,
+        isSuccessfulMatch: false,
+        refundAmount: matchingFee.toString(),
+        refundReason: "Compatibility score below threshold",
+      });
+      expect(store.getMatches(enhancedAddress, { petId: 3 }).items.map((match) => match.requestId)).to.deep.equal([2]);
+      expect(store.getMatches(enhancedAddress, { requester: alice.address }).total).to.equal(2);
+    });
+
+    it("Should total the fees paid, refunded and withdrawn", async function () {
+      await (await enhanced.connect(owner).withdrawPlatformFees(owner.address)).wait();
+      await indexer.sync();
+
+      expect(store.getFeeTotals(await enhanced.getAddress())).to.deep.equal({
+        requests: 2,
+        refunds: 1,
+        paid: (matchingFee * 2n).toString(),
+        refunded: matchingFee.toString(),
+        retained: matchingFee.toString(),
+        withdrawn: matchingFee.toString(),
+      });
+    });
+
+    it("Should record the outcome of PrivatePetDNAMatching searches", async function () {
+      await (await privateMatching.connect(alice).registerPet("Bella", "Husky", 2, 200, 200, 200, 200, 0)).wait();
+      await (await privateMatching.connect(bob).registerPet("Coco", "Husky", 3, 50, 50, 50, 50, 0)).wait();
+      await (await privateMatching.connect(alice).requestMatching(1)).wait();
+      await hre.fhevm.awaitDecryptionOracle();
+
+      await indexer.sync();
+
+      expect(store.getMatch(await privateMatching.getAddress(), 1)).to.deep.include({
+        petId1: 1,
+        petId2: 2,
+        requester: alice.address,
+        status: "completed",
+        score: 600,
+        isSuccessfulMatch: true,
+        feePaid: "0",
+      });
+    });
+
+    it("Should attribute PetDNAMatching results to their request", async function () {
+      await (await legacy.connect(bob).registerPet("Rex", "Dog", "Poodle", 2021, 90, 1000, 2000, 300, 6)).wait();
+      const cost = await legacy.matchingCost();
+      const receipt = await (await legacy.connect(alice).requestMatching(1, 2, { value: cost })).wait();
+      const requestId = legacy.interface.parseLog(receipt.logs.find((log) => log.address === receipt.to)).args
+        .requestId;
+
+      const legacyAddress = await legacy.getAddress();
+      const [request] = (await hre.fhevm.getPendingDecryptionRequests()).filter(
+        (pending) => pending.contractAddress === legacyAddress
+      );
+      const [healthSum, temperamentDiff] = await Promise.all(
+        request.handles.map((handle) => hre.fhevm.getClearText(handle))
+      );
+      await (await legacy.processMatchingResult(requestId, healthSum, temperamentDiff, [])).wait();
+
+      await indexer.sync();
+
+      expect(store.getMatch(legacyAddress, Number(requestId))).to.deep.include({
+        petId1: 1,
+        petId2: 2,
+        requester: alice.address,
+        status: "completed",
+        score: 100,
+        isSuccessfulMatch: true,
+        feePaid: cost.toString(),
+      });
+    });
+  });
+
+  describe("Reorgs", function () {
+    it("Should drop the events of blocks that left the chain", async function () {
+      const privateAddress = await privateMatching.getAddress();
+      const snapshot = await hre.network.provider.send("evm_snapshot");
+
+      await (await privateMatching.connect(bob).registerPet("Ghost", "Husky", 4, 1, 2, 3, 4, 5)).wait();
+      await indexer.sync();
+      expect(store.getPet(privateAddress, 3)).to.deep.include({ name: "Ghost" });
+
+      await hre.network.provider.send("evm_revert", [snapshot]);
+      await (await privateMatching.connect(alice).registerPet("Nova", "Akita", 5, 1, 2, 3, 4, 5)).wait();
+      await (await owner.sendTransaction({ to: bob.address, value: 1n })).wait();
+
+      const { reorg } = await indexer.sync();
+
+      expect(reorg).to.not.equal(null);
+      expect(store.getPet(privateAddress, 3)).to.deep.include({ name: "Nova", owner: alice.address });
+      expect(store.getPets(privateAddress).total).to.equal(3);
+      // Projections of blocks before the fork survive the replay
+      expect(store.getMatch(privateAddress, 1)).to.deep.include({ status: "completed", petId2: 2 });
+      expect(store.getMatch(await enhanced.getAddress(), 2)).to.deep.include({ status: "refunded" });
+    });
+  });
+
+  describe("HTTP API", function () {
+    let server;
+    let baseUrl;
+
+    before(async function () {
+      server = createServer(store, indexer);
+      await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async function () {
+      await new Promise((resolve) => server?.close(resolve) ?? resolve());
+    });
+
+    const get = async (path) => {
+      const response = await fetch(baseUrl + path);
+      return { status: response.status, body: await response.json() };
+    };
+
+    it("Should report the indexed contracts", async function () {
+      const { status, body } = await get("/status");
+
+      expect(status).to.equal(200);
+      expect(body.contracts.map((contract) => contract.variant)).to.have.members([
+        "EnhancedPetDNAMatching",
+        "PrivatePetDNAMatching",
+        "PetDNAMatching",
+      ]);
+      expect(body.latestBlock).to.be.a("number");
+    });
+
+    it("Should serve pets by owner and breed", async function () {
+      const byOwner = await get(`/contracts/Enhanced/pets?owner=${bob.address}`);
+      const byBreed = await get(`/contracts/${await enhanced.getAddress()}/pets?breed=labrador&limit=1`);
+
+      expect(byOwner.body.items.map((pet) => pet.name)).to.deep.equal(["Rocky", "Daisy"]);
+      expect(byBreed.body.total).to.equal(2);
+      expect(byBreed.body.items).to.have.length(1);
+      expect((await get("/contracts/PetDNAMatching/pets/1")).body).to.deep.include({ name: "Max" });
+    });
+
+    it("Should serve a batch of pets by ID", async function () {
+      const { body } = await get("/contracts/Enhanced/pets?ids=3,1,42");
+
+      expect(body.items.map((pet) => pet.name)).to.deep.equal(["Luna", "Daisy"]);
+      expect((await get("/contracts/Enhanced/pets?ids=1,two")).status).to.equal(400);
+    });
+
+    it("Should serve match history and fee totals", async function () {
+      const refunded = await get("/contracts/Enhanced/matches?status=refunded");
+      const fees = await get("/contracts/Enhanced/fees");
+
+      expect(refunded.body.items.map((match) => match.requestId)).to.deep.equal([2]);
+      expect(fees.body.paid).to.equal((matchingFee * 2n).toString());
+      expect((await get("/contracts/Private/matches/1")).body).to.deep.include({ status: "completed" });
+    });
+
+    it("Should reject unknown contracts and invalid filters", async function () {
+      expect((await get("/contracts/Simple/pets")).status).to.equal(404);
+      expect((await get("/contracts/Enhanced/pets/99")).status).to.equal(404);
+      expect((await get("/contracts/Enhanced/matches?status=lost")).status).to.equal(400);
+      expect((await get("/contracts/Enhanced/pets?owner=alice")).status).to.equal(400);
+      expect((await get("/nowhere")).status).to.equal(404);
+    });
+  });
+});
@@ -1,5 +1,6 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers } = hre;
 
 describe("PetDNAMatching Contract", function () {
   let petDNAMatching;
@@ -14,6 +15,10 @@ describe("PetDNAMatching Contract", function () {
     const PetDNAMatching = await ethers.getContractFactory("PetDNAMatching");
     petDNAMatching = await PetDNAMatching.deploy();
     await petDNAMatching.waitForDeployment();
+    // PetDNAMatching does not configure FHE itself; point it at the local mock
+    if (hre.fhevm) {
+      await hre.fhevm.configureContract(await petDNAMatching.getAddress());
+    }
   });
 
   describe("Deployment", function () {
@@ -0,0 +1,162 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { runKeeper } = require("../scripts/refund-keeper");
+
+/**
+ * Timeout Refund Keeper Tests
+ *
+ * Creates matching requests on EnhancedPetDNAMatching, moves the local
+ * Hardhat clock past the callback deadline and lets the keeper refund them.
+ * Registration needs encrypted inputs, so this suite runs when `hre.fhevm`
+ * (the FHEVM mock environment) is available.
+ */
+describe("Timeout Refund Keeper", function () {
+  let contract;
+  let owner;
+  let requester;
+  let keeper;
+  let matchingFee;
+  let callbackTimeout;
+
+  async function registerPet(signer, name, dna) {
+    const contractAddress = await contract.getAddress();
+    const input = hre.fhevm.createEncryptedInput(contractAddress, signer.address);
+    dna.forEach((value) => input.add8(value));
+    const encrypted = await input.encrypt();
+
+    const tx = await contract
+      .connect(signer)
+      .registerPet(name, "Labrador", 3, ...encrypted.handles, encrypted.inputProof);
+    await tx.wait();
+  }
+
+  async function requestMatching(petId1, petId2) {
+    const tx = await contract.connect(requester).requestMatching(petId1, petId2, { value: matchingFee });
+    await tx.wait();
+  }
+
+  before(function () {
+    if (!hre.fhevm) {
+      this.skip();
+    }
+  });
+
+  beforeEach(async function () {
+    [owner, requester, keeper] = await ethers.getSigners();
+
+    const EnhancedPetDNAMatching = await ethers.getContractFactory("EnhancedPetDNAMatching");
+    contract = await EnhancedPetDNAMatching.deploy();
+    await contract.waitForDeployment();
+
+    matchingFee = await contract.MATCHING_FEE();
+    callbackTimeout = await contract.callbackTimeout();
+
+    await registerPet(requester, "Luna", [120, 85, 95, 110, 20, 7]);
+    await registerPet(owner, "Rocky", [118, 88, 98, 108, 25, 6]);
+    await registerPet(owner, "Daisy", [100, 90, 80, 70, 30, 5]);
+  });
+
+  it("Should report nothing before the callback deadline", async function () {
+    await requestMatching(1, 2);
+
+    const report = await runKeeper(contract.connect(keeper));
+
+    expect(report.scanned).to.equal(1);
+    expect(report.claimable).to.equal(0);
+    expect(report.refunds).to.have.lengthOf(0);
+  });
+
+  it("Should list claimable requests without sending in dry-run mode", async function () {
+    await requestMatching(1, 2);
+    await time.increase(callbackTimeout + 1n);
+
+    const report = await runKeeper(contract.connect(keeper), { dryRun: true });
+
+    expect(report.dryRun).to.equal(true);
+    expect(report.refunds).to.deep.equal([
+      {
+        requestId: "1",
+        requester: requester.address,
+        timeoutDeadline: report.refunds[0].timeoutDeadline,
+        status: "claimable",
+      },
+    ]);
+    expect(await contract.canClaimTimeoutRefund(1)).to.equal(true);
+  });
+
+  it("Should refund timed-out requests to the requester", async function () {
+    await requestMatching(1, 2);
+    await time.increase(callbackTimeout + 1n);
+
+    const balanceBefore = await ethers.provider.getBalance(requester.address);
+    const report = await runKeeper(contract.connect(keeper));
+
+    expect(report.totals.refunded).to.equal(1);
+    expect(report.refunds[0].status).to.equal("refunded");
+    expect(await ethers.provider.getBalance(requester.address)).to.equal(balanceBefore + matchingFee);
+
+    const request = await contract.getMatchingRequest(1);
+    expect(request.isRefunded).to.equal(true);
+    expect(await contract.canClaimTimeoutRefund(1)).to.equal(false);
+  });
+
+  it("Should process refunds in batches", async function () {
+    await requestMatching(1, 2);
+    await requestMatching(1, 3);
+    await contract.connect(owner).requestMatching(2, 3, { value: matchingFee });
+    await time.increase(callbackTimeout + 1n);
+
+    const report = await runKeeper(contract.connect(keeper), { batchSize: 2 });
+
+    expect(report.claimable).to.equal(3);
+    expect(report.totals.refunded).to.equal(3);
+    expect(report.refunds.map((refund) => refund.requestId)).to.deep.equal(["1", "2", "3"]);
+  });
+
+  it("Should only refund requests past their own deadline", async function () {
+    await requestMatching(1, 2);
+    await time.increase(callbackTimeout / 2n);
+    await requestMatching(1, 3);
+    await time.increase(callbackTimeout / 2n + 1n);
+
+    const report = await runKeeper(contract.connect(keeper));
+
+    expect(report.scanned).to.equal(2);
+    expect(report.refunds.map((refund) => refund.requestId)).to.deep.equal(["1"]);
+  });
+
+  it("Should skip refunds above the gas cap", async function () {
+    await requestMatching(1, 2);
+    await time.increase(callbackTimeout + 1n);
+
+    const report = await runKeeper(contract.connect(keeper), { maxGasPerTx: 21000n });
+
+    expect(report.totals.skipped).to.equal(1);
+    expect(report.refunds[0].status).to.equal("skipped");
+    expect(await contract.canClaimTimeoutRefund(1)).to.equal(true);
+  });
+
+  it("Should skip all refunds while the network fee exceeds the cap", async function () {
+    await requestMatching(1, 2);
+    await time.increase(callbackTimeout + 1n);
+
+    const report = await runKeeper(contract.connect(keeper), { maxFeePerGas: 1n });
+
+    expect(report.totals.skipped).to.equal(1);
+    expect(report.refunds[0].reason).to.match(/exceeds cap/);
+  });
+
+  it("Should produce a JSON-serialisable report", async function () {
+    await requestMatching(1, 2);
+    await time.increase(callbackTimeout + 1n);
+
+    const report = await runKeeper(contract.connect(keeper));
+    const parsed = JSON.parse(JSON.stringify(report));
+
+    expect(parsed.contract).to.equal(await contract.getAddress());
+    expect(parsed.keeper).to.equal(keeper.address);
+    expect(parsed.totals.gasUsed).to.equal(report.refunds[0].gasUsed);
+  });
+});
@@ -0,0 +1,565 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const solc = require("solc");
+const { matricesToText, permissionMatrices, toMarkdown } = require("../scripts/security/acl-lint");
+const { applyBaseline, loadBaseline } = require("../scripts/security/baseline");
+const { analyze, applyProjectBaseline, parseArgs } = require("../scripts/security/check");
+const { ACL_RULES } = require("../scripts/security/fhe-acl");
+const { RULES } = require("../scripts/security/rules");
+const { hasFailures, toJson, toSarif, toText } = require("../scripts/security/report");
+const { loadProjectSources, sourcesFromStandardJson } = require("../scripts/security/solidity-ast");
+
+// Minimal stand-in for @fhevm/solidity: the rules only look at FHE.* calls
+// and the encrypted user-defined value types
+const FHE_STUB = `
+type euint32 is bytes32;
+
+library FHE {
+    function asEuint32(uint32 value) internal pure returns (euint32) {
+        return euint32.wrap(bytes32(uint256(value)));
+    }
+    function add(euint32 a, euint32 b) internal pure returns (euint32) {
+        return euint32.wrap(keccak256(abi.encode(a, b)));
+    }
+    function allowThis(euint32 value) internal returns (euint32) {
+        return value;
+    }
+    function allow(euint32 value, address) internal returns (euint32) {
+        return value;
+    }
+    function makePubliclyDecryptable(euint32 value) internal returns (euint32) {
+        return value;
+    }
+    function toBytes32(euint32 value) internal pure returns (bytes32) {
+        return euint32.unwrap(value);
+    }
+    function requestDecryption(bytes32[] memory, bytes4) internal returns (uint256) {
+        return 1;
+    }
+    function checkSignatures(uint256, bytes memory, bytes memory) internal {}
+}
+`;
+
+/**
+ * Compile a fixture contract with solc-js
+ *
+ * Fixtures start with a newline, so their first line is line 3 of the source.
+ */
+function compile(source) {
+  const input = {
+    language: "Solidity",
+    sources: { "Fixture.sol": { content: `pragma solidity ^0.8.24;\n${source}\n${FHE_STUB}` } },
+    settings: { outputSelection: { "*": { "": ["ast"] } } },
+  };
+  const output = JSON.parse(solc.compile(JSON.stringify(input)));
+  const errors = (output.errors || []).filter((error) => error.severity === "error");
+  if (errors.length) {
+    throw new Error(errors.map((error) => error.formattedMessage).join("\n"));
+  }
+  return sourcesFromStandardJson(input, output);
+}
+
+function check(source, rules = RULES) {
+  return analyze(compile(source), rules);
+}
+
+const onlyRule = (id) => RULES.filter((rule) => rule.id === id);
+const summary = (findings) => findings.map(({ ruleId, level, region }) => `${region.startLine} ${level} ${ruleId}`);
+
+/**
+ * Security Check Tests
+ *
+ * Runs the AST rules of scripts/security on small fixtures compiled with
+ * solc-js, and on the project contracts as compiled by Hardhat.
+ */
+describe("Security Check", function () {
+  this.timeout(120000);
+
+  describe("project contracts", function () {
+    let sources;
+    let findings;
+
+    before(async function () {
+      sources = await loadProjectSources(hre, { exclude: ["contracts/mocks/"] });
+      findings = analyze(sources);
+    });
+
+    it("should report the unbounded scan over all pets", function () {
+      const loop = findings.find(
+        (finding) => finding.ruleId === "unbounded-storage-loop" && finding.message.includes("_processMatching")
+      );
+      expect(loop.file).to.equal("contracts/PrivatePetDNAMatching.sol");
+      expect(loop.level).to.equal("error");
+      expect(loop.message).to.include("runs up to nextPetId times");
+    });
+
+    it("should find every stored encrypted value granted to the contract", function () {
+      expect(findings.filter((finding) => finding.ruleId === "missing-fhe-allow-this")).to.deep.equal([]);
+    });
+
+    it("should report the callback that skips FHE.checkSignatures", function () {
+      const callbacks = findings.filter((finding) => finding.ruleId === "callback-missing-check-signatures");
+      expect(callbacks.map((finding) => finding.contract)).to.deep.equal(["PetDNAMatching"]);
+    });
+
+    it("should leave excluded sources out", function () {
+      expect(findings.some((finding) => finding.file.startsWith("contracts/mocks/"))).to.equal(false);
+    });
+
+    it("should accept the remaining findings in the reviewed baseline", function () {
+      const aclFindings = analyze(sources, ACL_RULES);
+      const marked = [
+        ...applyProjectBaseline(parseArgs([]), sources, RULES, findings),
+        ...applyProjectBaseline(parseArgs([]), sources, ACL_RULES, aclFindings),
+      ];
+
+      expect(marked).to.have.length(findings.length + aclFindings.length);
+      expect(marked.filter((finding) => !finding.suppression)).to.deep.equal([]);
+    });
+  });
+
+  describe("missing-fhe-allow-this", function () {
+    const rules = onlyRule("missing-fhe-allow-this");
+
+    it("should accept grants by variable or by storage slot", function () {
+      const findings = check(
+        `
+contract Grants {
+    struct Score { uint256 id; euint32 value; }
+    mapping(uint256 => Score) public scores;
+    euint32 public total;
+
+    function byVariable(uint32 amount) external {
+        euint32 value = FHE.asEuint32(amount);
+        scores[1] = Score(1, value);
+        FHE.allowThis(value);
+    }
+
+    function bySlot(uint32 amount) external {
+        scores[2] = Score({ id: 2, value: FHE.asEuint32(amount) });
+        FHE.allowThis(scores[2].value);
+        total = FHE.add(total, scores[2].value);
+        FHE.allow(total, address(this));
+    }
+}`,
+        rules
+      );
+      expect(findings).to.be.empty;
+    });
+
+    it("should report handles stored without a grant", function () {
+      const findings = check(
+        `
+contract Leaks {
+    struct Score { uint256 id; euint32 value; }
+    mapping(uint256 => Score) public scores;
+    euint32[] public history;
+
+    function inlined() external {
+        scores[1] = Score({ id: 1, value: FHE.asEuint32(0) });
+    }
+
+    function throughMemory(uint32 amount) external {
+        euint32 value = FHE.asEuint32(amount);
+        Score memory score = Score(2, value);
+        scores[2] = score;
+        FHE.allow(value, msg.sender);
+    }
+
+    function pushed(uint32 amount) external {
+        history.push(FHE.asEuint32(amount));
+    }
+
+    function copied() external {
+        scores[3] = scores[1];
+    }
+}`,
+        rules
+      );
+      expect(findings.map((finding) => finding.message.split(" by ")[0])).to.deep.equal([
+        "FHE.asEuint32(0) is stored in scores[].value",
+        "value is stored in scores[].value",
+        "FHE.asEuint32(amount) is stored in history[]",
+      ]);
+    });
+  });
+
+  describe("callback-missing-check-signatures", function () {
+    it("should follow internal calls to FHE.checkSignatures", function () {
+      const findings = check(
+        `
+contract Callbacks {
+    function request(euint32 value) external {
+        bytes32[] memory cts = new bytes32[](1);
+        cts[0] = FHE.toBytes32(value);
+        FHE.requestDecryption(cts, this.verified.selector);
+        FHE.requestDecryption(cts, this.unverified.selector);
+    }
+
+    function verified(uint256 id, bytes memory cleartexts, bytes memory proof) external {
+        _verify(id, cleartexts, proof);
+    }
+
+    function unverified(uint256, bytes memory, bytes memory) external {}
+
+    function _verify(uint256 id, bytes memory cleartexts, bytes memory proof) internal {
+        FHE.checkSignatures(id, cleartexts, proof);
+    }
+}`,
+        onlyRule("callback-missing-check-signatures")
+      );
+      expect(findings).to.have.length(1);
+      expect(findings[0].message).to.include("Callbacks.unverified is a decryption callback");
+      expect(findings[0].region.startLine).to.equal(15);
+    });
+  });
+
+  describe("reentrancy", function () {
+    it("should report unguarded ETH transfers and writes after them", function () {
+      const findings = check(`
+contract Payments {
+    mapping(address => uint256) public balances;
+    bool private locked;
+
+    modifier nonReentrant() {
+        require(!locked);
+        locked = true;
+        _;
+        locked = false;
+    }
+
+    function deposit() external payable {
+        balances[msg.sender] += msg.value;
+    }
+
+    function guarded() external payable nonReentrant {
+        _send(msg.sender, balances[msg.sender]);
+        balances[msg.sender] = 0;
+    }
+
+    function withdraw() external {
+        (bool sent, ) = msg.sender.call{ value: balances[msg.sender] }("");
+        require(sent);
+        balances[msg.sender] = 0;
+    }
+
+    function _send(address to, uint256 amount) internal {
+        payable(to).transfer(amount);
+    }
+
+    receive() external payable {}
+}`);
+      expect(summary(findings)).to.deep.equal([
+        "14 warning missing-reentrancy-guard",
+        "23 warning missing-reentrancy-guard",
+        "26 error state-write-after-external-call",
+      ]);
+      expect(findings[0].message).to.equal("Payments.deposit is payable but has no reentrancy guard");
+      expect(findings[1].message).to.equal("Payments.withdraw sends ETH without a reentrancy guard");
+    });
+  });
+
+  describe("unbounded-storage-loop", function () {
+    it("should report loops bounded by storage only", function () {
+      const findings = check(
+        `
+contract Loops {
+    uint256 public constant MAX = 10;
+    uint256 public count;
+    uint256[] public items;
+
+    function bounded(uint256[] calldata input) external {
+        for (uint256 i = 0; i < MAX && i < input.length; i++) {
+            items.push(input[i]);
+        }
+    }
+
+    function scan() external {
+        for (uint256 i = 0; i < items.length; i++) {
+            count++;
+        }
+    }
+
+    function view_() external view returns (uint256 total) {
+        uint256 i = 0;
+        while (i < count) {
+            total += i++;
+        }
+    }
+}`,
+        onlyRule("unbounded-storage-loop")
+      );
+      expect(summary(findings)).to.deep.equal(["15 error unbounded-storage-loop", "22 warning unbounded-storage-loop"]);
+      expect(findings[0].message).to.include("runs up to items.length times");
+    });
+  });
+
+  describe("FHE ACL linter", function () {
+    const VAULT = `
+contract Vault {
+    struct Entry { address owner; euint32 balance; euint32 limit; }
+    mapping(uint256 => Entry) public entries;
+    euint32 private total;
+    euint32 private unused;
+
+    function open(uint256 id, uint32 amount) external {
+        euint32 balance = FHE.asEuint32(amount);
+        entries[id] = Entry(msg.sender, balance, FHE.asEuint32(100));
+        FHE.allowThis(balance);
+        FHE.allow(balance, msg.sender);
+        FHE.allowThis(entries[id].limit);
+        total = FHE.add(total, balance);
+        FHE.allowThis(total);
+        FHE.makePubliclyDecryptable(total);
+    }
+
+    function reset(uint256 id) external {
+        Entry storage entry = entries[id];
+        entry.balance = FHE.asEuint32(0);
+        FHE.allowThis(entry.balance);
+        FHE.allow(entry.balance, entry.owner);
+    }
+
+    function getTotal() external view returns (euint32) {
+        return total;
+    }
+}`;
+
+    it("should build the permission matrix of each contract", function () {
+      const [matrix] = permissionMatrices(compile(VAULT));
+
+      expect(matrix.contract).to.equal("Vault");
+      expect(matrix.principals).to.deep.equal(["contract", "entries[].owner", "msg.sender", "public"]);
+      expect(matrix.rows).to.deep.equal([
+        {
+          path: "entries[].balance",
+          type: "euint32",
+          grants: { contract: "all", "entries[].owner": "some", "msg.sender": "some", public: "none" },
+          writers: ["open", "reset"],
+          readers: ["getter entries()"],
+        },
+        {
+          path: "entries[].limit",
+          type: "euint32",
+          grants: { contract: "all", "entries[].owner": "none", "msg.sender": "none", public: "none" },
+          writers: ["open"],
+          readers: ["getter entries()"],
+        },
+        {
+          path: "total",
+          type: "euint32",
+          grants: { contract: "all", "entries[].owner": "none", "msg.sender": "none", public: "all" },
+          writers: ["open"],
+          readers: ["getTotal"],
+        },
+        {
+          path: "unused",
+          type: "euint32",
+          grants: { contract: "none", "entries[].owner": "none", "msg.sender": "none", public: "none" },
+          writers: [],
+          readers: [],
+        },
+      ]);
+    });
+
+    it("should flag undecryptable returns and inconsistent grants", function () {
+      const findings = analyze(compile(VAULT), ACL_RULES);
+      expect(findings.map(({ ruleId, message }) => `${ruleId}: ${message}`)).to.deep.equal([
+        "fhe-undecryptable-field: entries[].limit is returned by getter entries(), but no write " +
+          "grants it to a user or makes it publicly decryptable",
+        "fhe-inconsistent-grants: Vault.open stores entries[].balance without granting " +
+          "entries[].owner, which Vault.reset grants",
+        "fhe-inconsistent-grants: Vault.reset stores entries[].balance without granting " +
+          "msg.sender, which Vault.open grants",
+      ]);
+    });
+
+    it("should render text and markdown matrices", function () {
+      const sources = compile(VAULT);
+      const matrices = permissionMatrices(sources);
+      const text = matricesToText(matrices).split("\n");
+      const markdown = toMarkdown(matrices, analyze(sources, ACL_RULES)).split("\n");
+
+      expect(text[0]).to.equal("🔐 Vault (Fixture.sol)");
+      expect(text[3]).to.match(/^  entries\[\]\.limit +euint32 +yes +- +- +- +open +getter entries\(\)$/);
+      expect(markdown).to.include("| total | euint32 | ✅ | — | — | ✅ | open | getTotal |");
+      expect(markdown.filter((line) => line.startsWith("- **warning**"))).to.have.length(3);
+    });
+
+    it("should show who can decrypt the project's encrypted fields", async function () {
+      const sources = await loadProjectSources(hre, { exclude: ["contracts/mocks/"] });
+      const [matrix] = permissionMatrices(sources, ["PrivatePetDNAMatching"]);
+      const rows = Object.fromEntries(matrix.rows.map((row) => [row.path, row]));
+
+      expect(rows["pets[].dnaProfile.marker1"].grants).to.deep.equal({ contract: "all", "msg.sender": "all" });
+      expect(rows["matchingRequests[].bestMatchScore"]).to.deep.include({
+        grants: { contract: "all", "msg.sender": "none" },
+        writers: ["requestMatching", "_processMatching"],
+        readers: ["getter matchingRequests()"],
+      });
+    });
+  });
+
+  describe("reports", function () {
+    const findings = [
+      {
+        ruleId: "unbounded-storage-loop",
+        level: "error",
+        message: "Loop in A.scan runs up to n times",
+        file: "contracts/A.sol",
+        region: { startLine: 3, startColumn: 9, endLine: 5, endColumn: 10 },
+        contract: "A",
+      },
+      {
+        ruleId: "missing-reentrancy-guard",
+        level: "warning",
+        message: "A.pay is payable but has no reentrancy guard",
+        file: "contracts/A.sol",
+        region: { startLine: 8, startColumn: 14, endLine: 8, endColumn: 17 },
+        contract: "A",
+      },
+    ];
+
+    it("should produce SARIF 2.1.0 with rules and file:line locations", function () {
+      const sarif = toSarif(findings, RULES);
+      const [run] = sarif.runs;
+
+      expect(sarif.version).to.equal("2.1.0");
+      expect(run.tool.driver.rules.map((rule) => rule.id)).to.deep.equal(RULES.map((rule) => rule.id));
+      expect(run.results[0]).to.deep.include({
+        ruleId: "unbounded-storage-loop",
+        ruleIndex: 0,
+        level: "error",
+        message: { text: "Loop in A.scan runs up to n times" },
+      });
+      expect(run.results[0].locations[0].physicalLocation).to.deep.equal({
+        artifactLocation: { uri: "contracts/A.sol", uriBaseId: "%SRCROOT%" },
+        region: { startLine: 3, startColumn: 9, endLine: 5, endColumn: 10 },
+      });
+    });
+
+    it("should summarise JSON reports", function () {
+      const json = toJson(findings);
+      expect(json.summary).to.deep.equal({ error: 1, warning: 1, note: 0 });
+      expect(json.findings[1]).to.deep.include({ file: "contracts/A.sol", line: 8, column: 14 });
+    });
+
+    it("should fail at or above the configured level", function () {
+      expect(hasFailures(findings, "error")).to.equal(true);
+      expect(hasFailures(findings.slice(1), "error")).to.equal(false);
+      expect(hasFailures(findings.slice(1), "warning")).to.equal(true);
+      expect(hasFailures(findings, "none")).to.equal(false);
+    });
+
+    it("should validate command line options", function () {
+      expect(parseArgs(["--format", "sarif", "--fail-on", "warning"])).to.deep.include({
+        format: "sarif",
+        failOn: "warning",
+        exclude: ["contracts/mocks/"],
+      });
+      expect(() => parseArgs(["--format", "xml"])).to.throw('Unknown format "xml"');
+      expect(() => parseArgs(["--rule", "nope"])).to.throw('Unknown rule "nope"');
+      expect(() => parseArgs(["--output"])).to.throw("--output needs a value");
+      expect(parseArgs(["--baseline", "none"]).baseline).to.equal("none");
+    });
+  });
+
+  describe("baseline", function () {
+    const finding = {
+      ruleId: "missing-reentrancy-guard",
+      level: "error",
+      message: "A.pay is payable but has no reentrancy guard",
+      file: "contracts/A.sol",
+      region: { startLine: 8, startColumn: 14, endLine: 8, endColumn: 17 },
+      contract: "A",
+    };
+    const entry = {
+      ruleId: finding.ruleId,
+      file: finding.file,
+      contract: "A",
+      message: finding.message,
+      justification: "Owner only",
+    };
+    let dir;
+
+    beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "security-baseline-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function writeBaseline(entries) {
+      const file = path.join(dir, "baseline.json");
+      fs.writeFileSync(file, JSON.stringify({ entries }));
+      return file;
+    }
+
+    it("should match entries on rule, file, contract and message", function () {
+      const moved = { ...finding, region: { ...finding.region, startLine: 40 } };
+      const other = { ...finding, message: "A.refund sends ETH without a reentrancy guard" };
+      const stale = { ...entry, contract: "B" };
+
+      const { findings, unused } = applyBaseline([moved, other], [entry, stale]);
+
+      expect(findings[0].suppression).to.deep.equal({ justification: "Owner only" });
+      expect(findings[1]).to.equal(other);
+      expect(unused).to.deep.equal([stale]);
+    });
+
+    it("should report suppressed findings without failing or counting them", function () {
+      const [suppressed] = applyBaseline([finding], [entry]).findings;
+
+      expect(hasFailures([suppressed], "note")).to.equal(false);
+      expect(toJson([suppressed])).to.deep.include({ summary: { error: 0, warning: 0, note: 0 }, suppressed: 1 });
+      expect(toJson([suppressed]).findings[0].suppression).to.deep.equal({ justification: "Owner only" });
+      expect(toSarif([suppressed], RULES).runs[0].results[0].suppressions).to.deep.equal([
+        { kind: "external", justification: "Owner only" },
+      ]);
+      expect(toText([suppressed]).split("\n")).to.deep.equal([
+        "🔕 contracts/A.sol:8:14 [missing-reentrancy-guard] A.pay is payable but has no reentrancy guard (baseline: Owner only)",
+        "",
+        "0 error(s), 0 warning(s), 0 note(s), 1 in the baseline",
+      ]);
+    });
+
+    it("should require a justification for every entry", function () {
+      const file = writeBaseline([{ ...entry, justification: "" }]);
+
+      expect(() => loadBaseline(file)).to.throw(`${file}: entry 0 needs justification`);
+      expect(() => applyProjectBaseline({ baseline: file }, {}, RULES, [])).to.throw("entry 0 needs justification");
+      expect(() => applyProjectBaseline({ baseline: path.join(dir, "missing.json") }, {}, RULES, [])).to.throw(
+        "Baseline file not found"
+      );
+    });
+
+    it("should list stale entries only for the rules and contracts that ran", function () {
+      const sources = compile(`
+contract A {
+    function pay() external payable {}
+}`);
+      const file = writeBaseline([
+        { ...entry, message: "A.gone sends ETH without a reentrancy guard" },
+        { ...entry, ruleId: "unbounded-storage-loop" },
+        { ...entry, contract: "NotAnalysed" },
+      ]);
+      const errors = [];
+      const originalError = console.error;
+      console.error = (line) => errors.push(line);
+      try {
+        applyProjectBaseline({ baseline: file, contracts: [] }, sources, onlyRule("missing-reentrancy-guard"), []);
+      } finally {
+        console.error = originalError;
+      }
+
+      expect(errors).to.deep.equal([
+        "⚠️  1 baseline entry no longer matches; remove:",
+        "   [missing-reentrancy-guard] A: A.gone sends ETH without a reentrancy guard",
+      ]);
+    });
+  });
+});
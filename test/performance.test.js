@@ -1,6 +1,7 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
-const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
 
 /**
  * Performance and DoS Protection Tests
@@ -12,14 +13,36 @@ describe("Performance and DoS Protection Tests", function () {
   let petDNAMatching;
   let owner;
   let users;
+  let snapshot;
 
   // Performance thresholds (adjust based on requirements)
-  const MAX_GAS_REGISTER_PET = 500000; // Max gas for registering a pet
+  // The five FHE.asEuint* conversions of registerPet call the mock coprocessor and ACL
+  const MAX_GAS_REGISTER_PET = 1000000; // Max gas for registering a pet
   const MAX_GAS_REQUEST_MATCH = 1000000; // Max gas for match request
   const MAX_EXECUTION_TIME_MS = 5000; // Max 5 seconds for operations
 
+  // healthScore, geneticMarker1-3 and temperament of PetDNAMatching.registerPet
+  function registerPet(signer, name, breed, [healthScore, marker1, marker2, marker3, temperament]) {
+    return petDNAMatching
+      .connect(signer)
+      .registerPet(name, "Dog", breed, 2020, healthScore, marker1, marker2, marker3, temperament);
+  }
+
+  // Register two pets and return their IDs
+  async function registerPair(signer1, signer2) {
+    const petId1 = await petDNAMatching.nextPetId();
+    await (await registerPet(signer1, "PairPet1", "Labrador", [90, 1150, 900, 1000, 5])).wait();
+    await (await registerPet(signer2, "PairPet2", "Labrador", [88, 1180, 880, 980, 4])).wait();
+    return [petId1, petId1 + 1n];
+  }
+
   before(async function () {
+    // PetDNAMatching encrypts on-chain and needs the FHEVM mock
+    if (!hre.fhevm) {
+      this.skip();
+    }
     this.timeout(60000);
+    snapshot = await takeSnapshot();
 
     [owner, ...users] = await ethers.getSigners();
 
@@ -27,21 +50,24 @@ describe("Performance and DoS Protection Tests", function () {
     const PetDNAMatching = await ethers.getContractFactory("PetDNAMatching");
     petDNAMatching = await PetDNAMatching.deploy();
     await petDNAMatching.waitForDeployment();
+    await hre.fhevm.configureContract(await petDNAMatching.getAddress());
 
     console.log("Contract deployed for performance testing");
   });
 
+  after(async function () {
+    if (snapshot) {
+      await snapshot.restore();
+    }
+  });
+
   describe("Gas Optimization Tests", function () {
     it("Should register a pet within gas limits", async function () {
       this.timeout(MAX_EXECUTION_TIME_MS);
 
       const startTime = Date.now();
 
-      const tx = await petDNAMatching.registerPet(
-        "Max",
-        "Golden Retriever",
-        [120, 85, 95, 110, 100, 88, 92, 105]
-      );
+      const tx = await registerPet(owner, "Max", "Golden Retriever", [85, 1200, 950, 1100, 7]);
 
       const receipt = await tx.wait();
       const gasUsed = receipt.gasUsed;
@@ -58,26 +84,12 @@ describe("Performance and DoS Protection Tests", function () {
       this.timeout(MAX_EXECUTION_TIME_MS * 2);
 
       // Register two pets first
-      await petDNAMatching.connect(users[0]).registerPet(
-        "Luna",
-        "Labrador",
-        [115, 90, 100, 105, 95, 92, 88, 98]
-      );
-
-      await petDNAMatching.connect(users[1]).registerPet(
-        "Rocky",
-        "Labrador",
-        [118, 88, 98, 108, 97, 90, 90, 100]
-      );
+      const [luna, rocky] = await registerPair(users[0], users[1]);
 
       const startTime = Date.now();
 
       const matchCost = await petDNAMatching.matchingCost();
-      const tx = await petDNAMatching.connect(users[0]).requestMatch(
-        0,
-        1,
-        { value: matchCost }
-      );
+      const tx = await petDNAMatching.connect(users[0]).requestMatching(luna, rocky, { value: matchCost });
 
       const receipt = await tx.wait();
       const gasUsed = receipt.gasUsed;
@@ -99,11 +111,7 @@ describe("Performance and DoS Protection Tests", function () {
       const startTime = Date.now();
 
       for (let i = 0; i < operationCount; i++) {
-        await petDNAMatching.connect(users[i % users.length]).registerPet(
-          `Pet${i}`,
-          "Mixed Breed",
-          [100 + i, 90, 95, 100, 105, 88, 92, 98]
-        );
+        await registerPet(users[i % users.length], `Pet${i}`, "Mixed Breed", [90 + i, 900, 950, 1000, 5]);
       }
 
       const executionTime = Date.now() - startTime;
@@ -118,21 +126,16 @@ describe("Performance and DoS Protection Tests", function () {
       // that could be exploited for DoS attacks
 
       const petCount = 5;
+      const firstPetId = await petDNAMatching.nextPetId();
       for (let i = 0; i < petCount; i++) {
-        await petDNAMatching.connect(users[i]).registerPet(
-          `TestPet${i}`,
-          "Test Breed",
-          [100, 90, 95, 100, 105, 88, 92, 98]
-        );
+        await registerPet(users[i], `TestPet${i}`, "Test Breed", [90, 900, 950, 1000, 5]);
       }
 
       // Test that matching doesn't timeout even with multiple pets
       const matchCost = await petDNAMatching.matchingCost();
-      const tx = await petDNAMatching.connect(users[0]).requestMatch(
-        0,
-        1,
-        { value: matchCost }
-      );
+      const tx = await petDNAMatching
+        .connect(users[0])
+        .requestMatching(firstPetId, firstPetId + 1n, { value: matchCost });
 
       const receipt = await tx.wait();
       expect(receipt.status).to.equal(1); // Transaction should succeed
@@ -140,18 +143,10 @@ describe("Performance and DoS Protection Tests", function () {
 
     it("Should handle edge cases without excessive gas consumption", async function () {
       // Test with extreme genetic marker values
-      const tx1 = await petDNAMatching.connect(users[0]).registerPet(
-        "EdgeCase1",
-        "Test",
-        [255, 255, 255, 255, 255, 255, 255, 255]
-      );
+      const tx1 = await registerPet(users[0], "EdgeCase1", "Test", [100, 65535, 65535, 65535, 10]);
       const receipt1 = await tx1.wait();
 
-      const tx2 = await petDNAMatching.connect(users[1]).registerPet(
-        "EdgeCase2",
-        "Test",
-        [0, 0, 0, 0, 0, 0, 0, 0]
-      );
+      const tx2 = await registerPet(users[1], "EdgeCase2", "Test", [0, 0, 0, 0, 0]);
       const receipt2 = await tx2.wait();
 
       expect(receipt1.gasUsed).to.be.lessThan(MAX_GAS_REGISTER_PET);
@@ -161,16 +156,12 @@ describe("Performance and DoS Protection Tests", function () {
 
   describe("State Bloat Prevention", function () {
     it("Should efficiently manage storage for pet registrations", async function () {
-      const petCountBefore = await petDNAMatching.petCount();
+      const petCountBefore = await petDNAMatching.getTotalPets();
 
-      const tx = await petDNAMatching.connect(users[0]).registerPet(
-        "StorageTest",
-        "Test Breed",
-        [100, 90, 95, 100, 105, 88, 92, 98]
-      );
+      const tx = await registerPet(users[0], "StorageTest", "Test Breed", [90, 900, 950, 1000, 5]);
 
       const receipt = await tx.wait();
-      const petCountAfter = await petDNAMatching.petCount();
+      const petCountAfter = await petDNAMatching.getTotalPets();
 
       // Verify state updates are minimal and efficient
       expect(petCountAfter).to.equal(petCountBefore + BigInt(1));
@@ -181,11 +172,7 @@ describe("Performance and DoS Protection Tests", function () {
   describe("Optimization Verification", function () {
     it("Should demonstrate gas savings from optimizer", async function () {
       // This test verifies that Solidity optimizer is working
-      const tx = await petDNAMatching.registerPet(
-        "OptimizerTest",
-        "Test",
-        [100, 90, 95, 100, 105, 88, 92, 98]
-      );
+      const tx = await registerPet(owner, "OptimizerTest", "Test", [90, 900, 950, 1000, 5]);
 
       const receipt = await tx.wait();
       console.log(`    Gas with optimizer: ${receipt.gasUsed.toString()}`);
@@ -198,7 +185,7 @@ describe("Performance and DoS Protection Tests", function () {
       const startTime = Date.now();
 
       // Perform multiple read operations
-      await petDNAMatching.petCount();
+      await petDNAMatching.getTotalPets();
       await petDNAMatching.owner();
       await petDNAMatching.matchingCost();
 
@@ -220,11 +207,13 @@ describe("Performance and DoS Protection Tests", function () {
       const startTime = Date.now();
 
       for (let i = 0; i < concurrentOps; i++) {
-        const promise = petDNAMatching.connect(users[i % users.length]).registerPet(
-          `ConcurrentPet${i}`,
-          "Stress Test",
-          [100 + (i % 50), 90, 95, 100, 105, 88, 92, 98]
-        );
+        const promise = registerPet(users[i % users.length], `ConcurrentPet${i}`, "Stress Test", [
+          90 + (i % 10),
+          900,
+          950,
+          1000,
+          5,
+        ]);
         promises.push(promise);
       }
 
@@ -250,12 +239,9 @@ describe("Performance and DoS Protection Tests", function () {
       // Verify that state changes happen before external calls
       // This is a placeholder - implement based on contract specifics
 
+      const [petId1, petId2] = await registerPair(users[0], users[1]);
       const matchCost = await petDNAMatching.matchingCost();
-      const tx = await petDNAMatching.connect(users[0]).requestMatch(
-        0,
-        1,
-        { value: matchCost }
-      );
+      const tx = await petDNAMatching.connect(users[0]).requestMatching(petId1, petId2, { value: matchCost });
 
       const receipt = await tx.wait();
       expect(receipt.status).to.equal(1);
@@ -264,10 +250,11 @@ describe("Performance and DoS Protection Tests", function () {
     it("Should validate all inputs to prevent overflow attacks", async function () {
       // Test with boundary values to ensure no overflows
       try {
-        await petDNAMatching.registerPet(
+        await registerPet(
+          owner,
           "A".repeat(100), // Long name
           "B".repeat(100), // Long breed
-          [255, 255, 255, 255, 255, 255, 255, 255]
+          [255, 65535, 65535, 65535, 255]
         );
       } catch (error) {
         // Should either succeed with proper bounds or fail gracefully